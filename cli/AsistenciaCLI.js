@@ -0,0 +1,268 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const { AsistenciaService } = require('../services');
+const dayjs = require('dayjs');
+
+/**
+ * CLI para Control de Asistencia
+ * Permite registrar entradas y salidas y consultar el historial de visitas
+ */
+class AsistenciaCLI {
+    constructor(db) {
+        this.db = db;
+        this.asistenciaService = new AsistenciaService(db);
+    }
+
+    /**
+     * Muestra el menú de control de asistencia
+     */
+    async mostrarMenuAsistencia() {
+        console.log(chalk.blue.bold('\n🚪 CONTROL DE ASISTENCIA'));
+        console.log(chalk.gray('========================\n'));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: 'Selecciona una opción:',
+                choices: [
+                    { name: '✅ Registrar Entrada', value: 'entrada' },
+                    { name: '👋 Registrar Salida', value: 'salida' },
+                    { name: '📜 Historial de Cliente', value: 'historial' },
+                    { name: '📅 Asistencias del Día', value: 'dia' },
+                    { name: '🔙 Volver al Menú Principal', value: 'volver' }
+                ]
+            }
+        ]);
+
+        switch (opcion) {
+            case 'entrada':
+                await this.registrarEntrada();
+                break;
+            case 'salida':
+                await this.registrarSalida();
+                break;
+            case 'historial':
+                await this.verHistorialCliente();
+                break;
+            case 'dia':
+                await this.verAsistenciasDelDia();
+                break;
+            case 'volver':
+                return;
+        }
+
+        // Volver al menú de asistencia
+        await this.mostrarMenuAsistencia();
+    }
+
+    /**
+     * Registra la entrada de un cliente validando su contrato vigente
+     */
+    async registrarEntrada() {
+        try {
+            console.log(chalk.blue('\n✅ REGISTRAR ENTRADA'));
+            console.log(chalk.gray('====================\n'));
+
+            const cliente = await this.seleccionarCliente();
+            if (!cliente) {
+                await this.pausar();
+                return;
+            }
+
+            const { observaciones } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'observaciones',
+                    message: 'Observaciones (opcional):'
+                }
+            ]);
+
+            console.log(chalk.yellow('\n⏳ Verificando contrato y registrando entrada...'));
+
+            const resultado = await this.asistenciaService.registrarEntrada(cliente.clienteId, observaciones);
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(`Hora de entrada: ${resultado.data.horaEntrada}`);
+            console.log(`Contrato vigente hasta: ${resultado.data.contratoFin} (${resultado.data.diasRestantesContrato} días restantes)`);
+            if (resultado.data.diasRestantesContrato <= 7) {
+                console.log(chalk.yellow('⚠️  El contrato vence pronto, recuerde ofrecer la renovación'));
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Registra la salida de un cliente con entrada abierta
+     */
+    async registrarSalida() {
+        try {
+            console.log(chalk.blue('\n👋 REGISTRAR SALIDA'));
+            console.log(chalk.gray('===================\n'));
+
+            const cliente = await this.seleccionarCliente();
+            if (!cliente) {
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.yellow('\n⏳ Registrando salida...'));
+
+            const resultado = await this.asistenciaService.registrarSalida(cliente.clienteId);
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(`Entrada: ${resultado.data.horaEntrada} - Salida: ${resultado.data.horaSalida}`);
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra el historial de asistencias de un cliente
+     */
+    async verHistorialCliente() {
+        try {
+            console.log(chalk.blue('\n📜 HISTORIAL DE ASISTENCIA'));
+            console.log(chalk.gray('==========================\n'));
+
+            const cliente = await this.seleccionarCliente();
+            if (!cliente) {
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.yellow('\n⏳ Cargando historial...'));
+
+            const resultado = await this.asistenciaService.obtenerHistorialCliente(cliente.clienteId);
+
+            console.log(chalk.cyan(`\n👤 ${resultado.cliente.nombreCompleto} (${resultado.cliente.email})`));
+            console.log(chalk.gray('─'.repeat(50)));
+            console.log(`Total de visitas: ${resultado.total}`);
+            console.log(`Visitas en los últimos 30 días: ${resultado.estadisticas.ultimos30Dias}`);
+            console.log(`Permanencia promedio: ${resultado.estadisticas.duracionPromedioMinutos} minutos`);
+            console.log(`Última visita: ${resultado.estadisticas.ultimaVisita ? dayjs(resultado.estadisticas.ultimaVisita).format('DD/MM/YYYY HH:mm') : 'Nunca'}`);
+
+            if (resultado.data.length === 0) {
+                console.log(chalk.yellow('\n📭 El cliente no tiene asistencias registradas'));
+            } else {
+                console.log(chalk.cyan('\n📅 VISITAS RECIENTES:'));
+                resultado.data.forEach((asistencia, index) => {
+                    const salida = asistencia.horaSalida || chalk.green('en el gimnasio');
+                    const duracion = asistencia.duracionMinutos !== null ? ` (${asistencia.duracionMinutos} min)` : '';
+                    console.log(`   ${index + 1}. ${asistencia.fecha} ${asistencia.horaEntrada} → ${salida}${duracion}`);
+                });
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ Error al obtener historial: ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra la lista de asistencias de un día
+     */
+    async verAsistenciasDelDia() {
+        try {
+            console.log(chalk.blue('\n📅 ASISTENCIAS DEL DÍA'));
+            console.log(chalk.gray('======================\n'));
+
+            const { fecha } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'fecha',
+                    message: 'Fecha (YYYY-MM-DD):',
+                    default: dayjs().format('YYYY-MM-DD'),
+                    validate: input => dayjs(input).isValid() ? true : 'Formato de fecha inválido'
+                }
+            ]);
+
+            console.log(chalk.yellow('\n⏳ Cargando asistencias...'));
+
+            const resultado = await this.asistenciaService.obtenerAsistenciasDelDia(fecha);
+
+            console.log(chalk.cyan(`\n📅 ${resultado.fecha}`));
+            console.log(chalk.gray('─'.repeat(50)));
+            console.log(`Total de entradas: ${resultado.total}`);
+            console.log(`Clientes distintos: ${resultado.clientesUnicos}`);
+            console.log(`Actualmente en el gimnasio: ${resultado.enGimnasio}`);
+
+            if (resultado.data.length === 0) {
+                console.log(chalk.yellow('\n📭 No hay asistencias registradas para esta fecha'));
+            } else {
+                console.log('');
+                resultado.data.forEach((asistencia, index) => {
+                    const salida = asistencia.horaSalida || chalk.green('dentro');
+                    console.log(`   ${index + 1}. ${asistencia.horaEntrada} → ${salida}  ${asistencia.cliente}`);
+                });
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ Error al obtener asistencias: ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Solicita un identificador y permite elegir el cliente entre las coincidencias
+     * @returns {Promise<Object|null>} Resumen del cliente seleccionado o null
+     */
+    async seleccionarCliente() {
+        const { identificador } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'identificador',
+                message: 'Email, teléfono, ID o nombre del cliente:',
+                validate: input => (input && input.trim()) ? true : 'Debe ingresar un dato de búsqueda'
+            }
+        ]);
+
+        console.log(chalk.yellow('\n⏳ Buscando cliente...'));
+
+        const resultado = await this.asistenciaService.buscarCliente(identificador);
+
+        if (resultado.total === 0) {
+            console.log(chalk.red('\n❌ No se encontró ningún cliente'));
+            return null;
+        }
+
+        if (resultado.total === 1) {
+            const cliente = resultado.data[0];
+            console.log(chalk.green(`\n👤 ${cliente.nombreCompleto} (${cliente.email})`));
+            return cliente;
+        }
+
+        const { clienteId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'clienteId',
+                message: 'Selecciona el cliente:',
+                choices: resultado.data.map(cliente => ({
+                    name: `${cliente.nombreCompleto} (${cliente.email})`,
+                    value: cliente.clienteId.toString()
+                }))
+            }
+        ]);
+
+        return resultado.data.find(cliente => cliente.clienteId.toString() === clienteId);
+    }
+
+    /**
+     * Pausa la ejecución hasta que el usuario presione Enter
+     */
+    async pausar() {
+        console.log(chalk.gray('\n' + '─'.repeat(50)));
+        await inquirer.prompt([{
+            type: 'input',
+            name: 'continuar',
+            message: chalk.cyan('Presiona Enter para continuar...')
+        }]);
+    }
+}
+
+module.exports = AsistenciaCLI;
@@ -1,8 +1,10 @@
 const inquirer = require('inquirer');
 const chalk = require('chalk');
-const { ClienteService, PlanClienteService } = require('../services/index');
+const { ClienteService, PlanClienteService, ClienteDuplicadosService, PrivacidadService, InteraccionService, ListaEsperaService } = require('../services/index');
 const ClienteIntegradoService = require('../services/ClienteIntegradoService');
+const { Cliente, Interaccion } = require('../models');
 const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
 
 /**
  * CLI para Gestión de Clientes
@@ -13,6 +15,10 @@ class ClienteCLI {
         this.clienteService = new ClienteService(db);
         this.planClienteService = new PlanClienteService(db);
         this.clienteIntegradoService = new ClienteIntegradoService(db);
+        this.clienteDuplicadosService = new ClienteDuplicadosService(db);
+        this.privacidadService = new PrivacidadService(db);
+        this.interaccionService = new InteraccionService(db);
+        this.listaEsperaService = new ListaEsperaService(db);
     }
 
     /**
@@ -32,6 +38,10 @@ class ClienteCLI {
                         name: '➕ Crear Nuevo Cliente',
                         value: 'crear'
                     },
+                    {
+                        name: '📥 Importar Clientes (CSV/JSON)',
+                        value: 'importar'
+                    },
                     {
                         name: '📋 Listar Clientes',
                         value: 'listar'
@@ -44,10 +54,26 @@ class ClienteCLI {
                         name: '✏️  Actualizar Cliente',
                         value: 'actualizar'
                     },
+                    {
+                        name: '🩺 Perfil de Salud y PAR-Q',
+                        value: 'salud'
+                    },
                     {
                         name: '🗑️  Eliminar Cliente',
                         value: 'eliminar'
                     },
+                    {
+                        name: '📦 Exportar Datos Personales (JSON/ZIP)',
+                        value: 'exportar'
+                    },
+                    {
+                        name: '🕶️  Anonimizar Cliente',
+                        value: 'anonimizar'
+                    },
+                    {
+                        name: '🧬 Detectar y Fusionar Duplicados',
+                        value: 'duplicados'
+                    },
                     {
                         name: '📊 Ver Estadísticas de Clientes',
                         value: 'estadisticas'
@@ -56,6 +82,10 @@ class ClienteCLI {
                         name: '🔍 Ver Cliente Completo (Planes + Seguimientos + Nutrición)',
                         value: 'completo'
                     },
+                    {
+                        name: '📞 Interacciones y Contactos Pendientes',
+                        value: 'interacciones'
+                    },
                     {
                         name: '🔗 Gestionar Planes del Cliente',
                         value: 'planes'
@@ -74,6 +104,9 @@ class ClienteCLI {
             case 'crear':
                 await this.crearCliente();
                 break;
+            case 'importar':
+                await this.importarClientes();
+                break;
             case 'listar':
                 await this.listarClientes();
                 break;
@@ -83,15 +116,30 @@ class ClienteCLI {
             case 'actualizar':
                 await this.actualizarCliente();
                 break;
+            case 'salud':
+                await this.gestionarPerfilSalud();
+                break;
             case 'eliminar':
                 await this.eliminarCliente();
                 break;
+            case 'exportar':
+                await this.exportarDatosCliente();
+                break;
+            case 'anonimizar':
+                await this.anonimizarCliente();
+                break;
+            case 'duplicados':
+                await this.gestionarDuplicados();
+                break;
             case 'estadisticas':
                 await this.mostrarEstadisticas();
                 break;
             case 'completo':
                 await this.verClienteCompleto();
                 break;
+            case 'interacciones':
+                await this.gestionarInteracciones();
+                break;
             case 'planes':
                 await this.gestionarPlanesCliente();
                 break;
@@ -173,6 +221,26 @@ class ClienteCLI {
                 }
             ]);
 
+            // Programa de referidos: el cliente que refiere recibe crédito con el primer contrato
+            const { fueReferido } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'fueReferido',
+                    message: '¿El cliente fue referido por otro cliente?',
+                    default: false
+                }
+            ]);
+
+            let referidor = null;
+            if (fueReferido) {
+                referidor = await this.buscarClienteInteractivo();
+                if (referidor) {
+                    datosCliente.referidoPor = referidor.clienteId;
+                } else {
+                    console.log(chalk.yellow('Se creará el cliente sin referencia.'));
+                }
+            }
+
             console.log(chalk.yellow('\n⏳ Creando cliente...'));
 
             const resultado = await this.clienteService.crearCliente(datosCliente);
@@ -182,6 +250,9 @@ class ClienteCLI {
                 console.log(chalk.gray('ID del cliente: ') + chalk.cyan(resultado.clienteId));
                 console.log(chalk.gray('Nombre: ') + chalk.white(resultado.data.nombreCompleto));
                 console.log(chalk.gray('Email: ') + chalk.white(resultado.data.email));
+                if (referidor) {
+                    console.log(chalk.gray('Referido por: ') + chalk.white(referidor.nombreCompleto));
+                }
             }
 
         } catch (error) {
@@ -192,6 +263,112 @@ class ClienteCLI {
         await this.pausar();
     }
 
+    /**
+     * Importa clientes de forma masiva desde un archivo CSV o JSON
+     * Siempre muestra el reporte por fila antes de escribir en la base de datos
+     */
+    async importarClientes() {
+        console.log(chalk.blue('\n📥 IMPORTAR CLIENTES'));
+        console.log(chalk.gray('====================\n'));
+        console.log(chalk.gray('Columnas esperadas: nombre, apellido, email, telefono (activo opcional)\n'));
+
+        try {
+            const { rutaArchivo, modo } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'rutaArchivo',
+                    message: 'Ruta del archivo (.csv o .json):',
+                    validate: (input) => {
+                        if (!input || !input.trim()) {
+                            return 'Debe indicar la ruta del archivo';
+                        }
+                        return true;
+                    }
+                },
+                {
+                    type: 'list',
+                    name: 'modo',
+                    message: 'Modo de importación:',
+                    choices: [
+                        { name: '🔎 Simulación (solo validar, no guarda nada)', value: 'simulacion' },
+                        { name: '💾 Insertar solo las filas válidas', value: 'solo_validos' }
+                    ]
+                }
+            ]);
+
+            console.log(chalk.yellow('\n⏳ Leyendo y validando archivo...'));
+
+            const registros = this.clienteService.leerArchivoImportacion(rutaArchivo.trim().replace(/^["']|["']$/g, ''));
+            const validacion = await this.clienteService.importarClientes(registros, { simulacion: true });
+
+            this.mostrarReporteImportacion(validacion);
+
+            if (modo === 'simulacion') {
+                console.log(chalk.blue('\nℹ️  Simulación finalizada. No se guardó ningún cliente.'));
+            } else if (validacion.resumen.aceptados === 0) {
+                console.log(chalk.yellow('\n⚠️  No hay filas válidas para insertar.'));
+            } else {
+                const { confirmar } = await inquirer.prompt([
+                    {
+                        type: 'confirm',
+                        name: 'confirmar',
+                        message: `¿Insertar ${validacion.resumen.aceptados} cliente(s) válido(s) y omitir el resto?`,
+                        default: false
+                    }
+                ]);
+
+                if (confirmar) {
+                    console.log(chalk.yellow('\n⏳ Insertando clientes...'));
+                    const resultado = await this.clienteService.importarClientes(registros, { simulacion: false });
+                    this.mostrarReporteImportacion(resultado);
+                    console.log(chalk.green(`\n✅ Importación completada: ${resultado.resumen.insertados} cliente(s) insertado(s)`));
+                } else {
+                    console.log(chalk.yellow('\n❌ Importación cancelada'));
+                }
+            }
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error al importar clientes:'));
+            console.log(chalk.red(error.message));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra el reporte por fila de una importación
+     * @param {Object} resultado - Resultado de ClienteService.importarClientes
+     */
+    mostrarReporteImportacion(resultado) {
+        const estilos = {
+            aceptado: { icono: '✅', color: chalk.green, texto: 'Aceptado' },
+            insertado: { icono: '💾', color: chalk.green, texto: 'Insertado' },
+            duplicado: { icono: '🔁', color: chalk.yellow, texto: 'Duplicado' },
+            invalido: { icono: '❌', color: chalk.red, texto: 'Inválido' },
+            error: { icono: '⚠️ ', color: chalk.red, texto: 'Error' }
+        };
+
+        console.log(chalk.cyan('\n📋 REPORTE POR FILA'));
+        console.log(chalk.gray('─'.repeat(50)));
+
+        resultado.data.forEach(fila => {
+            const estilo = estilos[fila.estado];
+            const detalle = fila.motivo ? chalk.gray(` - ${fila.motivo}`) : '';
+            console.log(`${estilo.icono} Fila ${fila.fila}: ${estilo.color(estilo.texto)} ${fila.email || fila.nombre || ''}${detalle}`);
+        });
+
+        const resumen = resultado.resumen;
+        console.log(chalk.cyan('\n📊 RESUMEN'));
+        console.log(chalk.gray(`Total filas: ${chalk.white(resumen.total)}`));
+        if (resultado.simulacion) {
+            console.log(chalk.gray(`Válidas: ${chalk.green(resumen.aceptados)}`));
+        } else {
+            console.log(chalk.gray(`Insertadas: ${chalk.green(resumen.insertados)}`));
+            console.log(chalk.gray(`Errores al insertar: ${chalk.red(resumen.errores)}`));
+        }
+        console.log(chalk.gray(`Duplicadas: ${chalk.yellow(resumen.duplicados)}`));
+        console.log(chalk.gray(`Inválidas: ${chalk.red(resumen.invalidos)}`));
+    }
+
     /**
      * Lista clientes con opciones de filtrado y paginación
      */
@@ -607,12 +784,21 @@ class ClienteCLI {
                 forzarEliminacion = forzar.forzar;
             }
 
+            const { motivo } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'motivo',
+                    message: 'Motivo de la eliminación (opcional):'
+                }
+            ]);
+
             console.log(chalk.yellow('\n⏳ Eliminando cliente...'));
 
-            const resultado = await this.clienteService.eliminarCliente(clienteSeleccionado.clienteId, forzarEliminacion);
+            const resultado = await this.clienteService.eliminarCliente(clienteSeleccionado.clienteId, forzarEliminacion, { motivo });
 
             if (resultado.success) {
                 console.log(chalk.green('\n✅ ¡Cliente eliminado exitosamente!'));
+                console.log(chalk.gray('Puede restaurarse desde Configuración > Papelera.'));
                 if (forzarEliminacion) {
                     console.log(chalk.yellow('Se desasociaron todos los planes del cliente.'));
                 }
@@ -626,6 +812,474 @@ class ClienteCLI {
         await this.pausar();
     }
 
+    /**
+     * Exporta todos los datos de un cliente (derecho de acceso)
+     */
+    async exportarDatosCliente() {
+        console.log(chalk.blue('\n📦 EXPORTAR DATOS PERSONALES'));
+        console.log(chalk.gray('============================\n'));
+
+        try {
+            const clienteSeleccionado = await this.buscarClienteInteractivo();
+            if (!clienteSeleccionado) {
+                await this.pausar();
+                return;
+            }
+
+            const { formato } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'formato',
+                    message: 'Formato de exportación:',
+                    choices: [
+                        { name: 'JSON (un solo archivo)', value: 'json' },
+                        { name: 'ZIP (un archivo JSON por colección)', value: 'zip' }
+                    ]
+                }
+            ]);
+
+            console.log(chalk.yellow('\n⏳ Recopilando datos del cliente...'));
+
+            const resultado = await this.privacidadService.exportarDatosCliente(clienteSeleccionado.clienteId, { formato });
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`Archivo: ${resultado.data.archivo}`));
+            Object.entries(resultado.data.documentos).forEach(([coleccion, cantidad]) => {
+                console.log(chalk.gray(`   ${coleccion}: ${cantidad}`));
+            });
+            if (resultado.data.fotos > 0) {
+                console.log(chalk.yellow(`Incluye ${resultado.data.fotos} ruta(s) de fotos; entregue también esos archivos si el cliente los solicita.`));
+            }
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error al exportar datos:'));
+            console.log(chalk.red(error.message));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Anonimiza un cliente conservando sus registros financieros
+     */
+    async anonimizarCliente() {
+        console.log(chalk.blue('\n🕶️  ANONIMIZAR CLIENTE'));
+        console.log(chalk.gray('=====================\n'));
+
+        try {
+            const clienteSeleccionado = await this.buscarClienteInteractivo();
+            if (!clienteSeleccionado) {
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.red('\n⚠️  ESTA OPERACIÓN NO SE PUEDE DESHACER'));
+            console.log(chalk.gray(`Cliente: ${clienteSeleccionado.nombreCompleto} (${clienteSeleccionado.email})`));
+            console.log(chalk.gray('Se reemplazan nombre, email, teléfono y perfil de salud.'));
+            console.log(chalk.gray('Se eliminan seguimientos físicos, planes nutricionales e interacciones.'));
+            console.log(chalk.gray('Se conservan contratos, pagos y movimientos financieros sin datos personales.'));
+
+            const { confirmar } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmar',
+                    message: '¿Deseas exportar antes los datos del cliente?',
+                    default: true
+                }
+            ]);
+            if (confirmar) {
+                const exportacion = await this.privacidadService.exportarDatosCliente(clienteSeleccionado.clienteId, { formato: 'zip' });
+                console.log(chalk.green(`✅ ${exportacion.mensaje}`));
+            }
+
+            const { confirmacion, motivo } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'confirmacion',
+                    message: 'Escribe ANONIMIZAR para confirmar:'
+                },
+                {
+                    type: 'input',
+                    name: 'motivo',
+                    message: 'Motivo de la anonimización (opcional):',
+                    when: (respuestas) => respuestas.confirmacion === 'ANONIMIZAR'
+                }
+            ]);
+
+            if (confirmacion !== 'ANONIMIZAR') {
+                console.log(chalk.yellow('Operación cancelada.'));
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.yellow('\n⏳ Anonimizando cliente...'));
+
+            const resultado = await this.privacidadService.anonimizarCliente(clienteSeleccionado.clienteId, { motivo });
+            const { afectados, fotos } = resultado.data;
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`Seguimientos eliminados: ${afectados.seguimientosEliminados}`));
+            console.log(chalk.gray(`Planes nutricionales eliminados: ${afectados.planesNutricionalesEliminados}`));
+            console.log(chalk.gray(`Interacciones eliminadas: ${afectados.interaccionesEliminadas}`));
+            if (afectados.prospectosDepurados > 0) {
+                console.log(chalk.gray(`Registro de prospecto depurado: ${afectados.prospectosDepurados}`));
+            }
+            if (afectados.sesionesDepuradas > 0) {
+                console.log(chalk.gray(`Sesiones de entrenamiento depuradas: ${afectados.sesionesDepuradas}`));
+            }
+            if (afectados.turnosEsperaCerrados > 0) {
+                console.log(chalk.gray(`Turnos de lista de espera cerrados: ${afectados.turnosEsperaCerrados}`));
+            }
+            console.log(chalk.gray(`Asistencias depuradas: ${afectados.asistenciasDepuradas}`));
+            console.log(chalk.gray(`Pagos depurados: ${afectados.pagosDepurados}`));
+            console.log(chalk.gray(`Movimientos financieros depurados: ${afectados.finanzasDepuradas}`));
+            if (afectados.gruposAbandonados > 0) {
+                console.log(chalk.gray(`Grupos abandonados: ${afectados.gruposAbandonados}`));
+            }
+            if (fotos.length > 0) {
+                console.log(chalk.yellow('\nBorre manualmente los archivos de fotos del cliente:'));
+                fotos.forEach(foto => console.log(chalk.yellow(`   ${foto}`)));
+            }
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error al anonimizar cliente:'));
+            console.log(chalk.red(error.message));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra la línea de tiempo del cliente
+     * @param {Array} eventos - Eventos ordenados del más reciente al más antiguo
+     * @param {number} total - Total de eventos del cliente
+     */
+    mostrarLineaDeTiempo(eventos, total) {
+        const iconos = { interaccion: '📞', prospecto: '🎯', contrato: '📄', pago: '💳', seguimiento: '📈' };
+
+        console.log(chalk.cyan('\n🕒 LÍNEA DE TIEMPO'));
+        console.log(chalk.gray('=================='));
+
+        if (eventos.length === 0) {
+            console.log(chalk.yellow('⚠️ No hay eventos registrados'));
+            return;
+        }
+
+        eventos.forEach(evento => {
+            console.log(chalk.white(`\n${dayjs(evento.fecha).format('DD/MM/YYYY HH:mm')} ${iconos[evento.tipo]} ${evento.titulo}`));
+            if (evento.detalle) {
+                const detalle = evento.detalle.length > 80 ? evento.detalle.substring(0, 80) + '...' : evento.detalle;
+                console.log(chalk.gray(`   ${detalle}`));
+            }
+            if (evento.pendiente) {
+                console.log(chalk.yellow(`   ⏰ ${evento.pendiente}`));
+            }
+        });
+
+        if (total > eventos.length) {
+            console.log(chalk.gray(`\n   ... y ${total - eventos.length} eventos anteriores`));
+        }
+    }
+
+    /**
+     * Menú de interacciones con clientes (notas de contacto y seguimientos pendientes)
+     */
+    async gestionarInteracciones() {
+        console.log(chalk.blue('\n📞 INTERACCIONES Y CONTACTOS'));
+        console.log(chalk.gray('============================\n'));
+
+        try {
+            const { opcion } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'opcion',
+                    message: '¿Qué deseas hacer?',
+                    choices: [
+                        { name: '📝 Registrar interacción', value: 'registrar' },
+                        { name: '📜 Ver interacciones de un cliente', value: 'historial' },
+                        { name: '⏰ Seguimientos pendientes de contacto', value: 'pendientes' },
+                        { name: '⬅️  Volver', value: 'volver' }
+                    ]
+                }
+            ]);
+
+            switch (opcion) {
+                case 'registrar':
+                    await this.registrarInteraccion();
+                    break;
+                case 'historial':
+                    await this.verInteraccionesCliente();
+                    break;
+                case 'pendientes':
+                    await this.verSeguimientosPendientes();
+                    break;
+                case 'volver':
+                    return;
+            }
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error en interacciones:'));
+            console.log(chalk.red(error.message));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Registra una llamada, queja, visita o promesa con un cliente
+     */
+    async registrarInteraccion() {
+        const clienteSeleccionado = await this.buscarClienteInteractivo();
+        if (!clienteSeleccionado) {
+            return;
+        }
+
+        const respuestas = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'tipo',
+                message: 'Tipo de interacción:',
+                choices: Interaccion.TIPOS_VALIDOS.map(tipo => ({ name: Interaccion.ETIQUETAS[tipo], value: tipo }))
+            },
+            {
+                type: 'input',
+                name: 'descripcion',
+                message: 'Descripción:',
+                validate: input => (input && input.trim().length >= 3) || 'La descripción debe tener al menos 3 caracteres'
+            },
+            {
+                type: 'input',
+                name: 'autor',
+                message: 'Registrado por:',
+                validate: input => (input && input.trim().length >= 2) || 'El autor debe tener al menos 2 caracteres'
+            },
+            {
+                type: 'input',
+                name: 'fechaSeguimiento',
+                message: 'Fecha para volver a contactar YYYY-MM-DD (opcional):',
+                default: dayjs().add(7, 'day').format('YYYY-MM-DD'),
+                validate: input => {
+                    if (input.trim() === '') return true;
+                    return (/^\d{4}-\d{2}-\d{2}$/.test(input.trim()) && dayjs(input.trim()).isValid()) || 'Use el formato YYYY-MM-DD';
+                }
+            }
+        ]);
+
+        const fechaSeguimiento = respuestas.fechaSeguimiento.trim()
+            ? new Date(`${respuestas.fechaSeguimiento.trim()}T00:00:00`)
+            : null;
+
+        const resultado = await this.interaccionService.registrarInteraccion(clienteSeleccionado.clienteId, {
+            tipo: respuestas.tipo,
+            descripcion: respuestas.descripcion,
+            autor: respuestas.autor,
+            fechaSeguimiento
+        });
+
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        if (resultado.data.fechaSeguimiento) {
+            console.log(chalk.gray(`Seguimiento programado para el ${resultado.data.fechaSeguimiento}`));
+        }
+    }
+
+    /**
+     * Muestra el historial de interacciones de un cliente
+     */
+    async verInteraccionesCliente() {
+        const clienteSeleccionado = await this.buscarClienteInteractivo();
+        if (!clienteSeleccionado) {
+            return;
+        }
+
+        const resultado = await this.interaccionService.obtenerInteraccionesCliente(clienteSeleccionado.clienteId);
+        console.log(chalk.white(`\nCliente: ${clienteSeleccionado.nombreCompleto}`));
+
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('⚠️ No hay interacciones registradas'));
+            return;
+        }
+
+        resultado.data.forEach((interaccion, index) => {
+            console.log(chalk.white(`\n${index + 1}. ${interaccion.fecha} - ${Interaccion.ETIQUETAS[interaccion.tipo]} (${interaccion.autor})`));
+            console.log(chalk.gray(`   ${interaccion.descripcion}`));
+            if (interaccion.seguimientoPendiente) {
+                const color = interaccion.seguimientoVencido ? chalk.red : chalk.yellow;
+                console.log(color(`   ⏰ Volver a contactar el ${interaccion.fechaSeguimiento}`));
+            } else if (interaccion.fechaCompletado) {
+                console.log(chalk.green(`   ✅ Contactado el ${interaccion.fechaCompletado}${interaccion.resultadoSeguimiento ? `: ${interaccion.resultadoSeguimiento}` : ''}`));
+            }
+        });
+    }
+
+    /**
+     * Lista los clientes a los que hay que volver a contactar y permite marcar el contacto
+     */
+    async verSeguimientosPendientes() {
+        const { diasAnticipacion } = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'diasAnticipacion',
+                message: 'Incluir los que vencen en los próximos días (0 = hoy y atrasados):',
+                default: 0,
+                validate: input => (Number.isInteger(input) && input >= 0) || 'Debe ser un número entero mayor o igual a 0'
+            }
+        ]);
+
+        const resultado = await this.interaccionService.obtenerSeguimientosPendientes(diasAnticipacion);
+
+        console.log(chalk.cyan('\n⏰ SEGUIMIENTOS PENDIENTES DE CONTACTO'));
+        console.log(chalk.gray('======================================'));
+
+        if (resultado.total === 0) {
+            console.log(chalk.green('✅ No hay contactos pendientes'));
+            return;
+        }
+
+        resultado.data.forEach((pendiente, index) => {
+            const color = pendiente.vencido ? chalk.red : chalk.yellow;
+            const atraso = pendiente.diasAtraso > 0 ? ` (${pendiente.diasAtraso} día(s) de atraso)` : '';
+            console.log(color(`\n${index + 1}. ${pendiente.nombreCompleto} - ${pendiente.fechaSeguimiento}${atraso}`));
+            console.log(chalk.gray(`   📞 ${pendiente.telefono}  ✉️  ${pendiente.email}`));
+            console.log(chalk.gray(`   ${Interaccion.ETIQUETAS[pendiente.tipo]} (${pendiente.autor}): ${pendiente.descripcion}`));
+        });
+
+        const { interaccionId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'interaccionId',
+                message: '¿Marcar algún contacto como realizado?',
+                choices: [
+                    ...resultado.data.map(pendiente => ({
+                        name: `${pendiente.nombreCompleto} - ${pendiente.fechaSeguimiento}`,
+                        value: pendiente.interaccionId.toString()
+                    })),
+                    { name: '⬅️  No, volver', value: 'volver' }
+                ]
+            }
+        ]);
+
+        if (interaccionId === 'volver') {
+            return;
+        }
+
+        const { resultadoContacto } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'resultadoContacto',
+                message: 'Resultado del contacto (opcional):'
+            }
+        ]);
+
+        const completado = await this.interaccionService.completarSeguimiento(interaccionId, resultadoContacto);
+        console.log(chalk.green(`\n✅ ${completado.mensaje}`));
+    }
+
+    /**
+     * Detecta clientes duplicados y permite fusionarlos conservando su historial
+     */
+    async gestionarDuplicados() {
+        console.log(chalk.blue('\n🧬 DETECTAR Y FUSIONAR DUPLICADOS'));
+        console.log(chalk.gray('=================================\n'));
+
+        try {
+            console.log(chalk.yellow('\n⏳ Analizando clientes...'));
+
+            const resultado = await this.clienteDuplicadosService.buscarDuplicados();
+
+            if (resultado.total === 0) {
+                console.log(chalk.green(`\n✅ No se encontraron duplicados entre ${resultado.clientesAnalizados} clientes`));
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.yellow(`\n⚠️  ${resultado.total} posible(s) duplicado(s) encontrados\n`));
+
+            const colores = { alta: chalk.red, media: chalk.yellow, baja: chalk.gray };
+            const { indice } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'indice',
+                    message: 'Selecciona la pareja a revisar:',
+                    pageSize: 15,
+                    choices: [
+                        ...resultado.data.map((pareja, index) => ({
+                            name: `${colores[pareja.confianza](`[${pareja.confianza}]`)} ${pareja.clienteA.nombreCompleto} (${pareja.clienteA.email}) ↔ ${pareja.clienteB.nombreCompleto} (${pareja.clienteB.email}) - ${pareja.motivos.join(', ')}`,
+                            value: index
+                        })),
+                        { name: '⬅️  Volver', value: -1 }
+                    ]
+                }
+            ]);
+
+            if (indice === -1) {
+                return;
+            }
+
+            const pareja = resultado.data[indice];
+            [pareja.clienteA, pareja.clienteB].forEach((cliente, index) => {
+                console.log(chalk.cyan(`\n👤 CLIENTE ${index === 0 ? 'A' : 'B'}`));
+                console.log(chalk.gray(`ID: ${cliente.clienteId}`));
+                console.log(chalk.gray(`Nombre: ${chalk.white(cliente.nombreCompleto)}`));
+                console.log(chalk.gray(`Email: ${chalk.white(cliente.email)}`));
+                console.log(chalk.gray(`Teléfono: ${chalk.white(cliente.telefono)}`));
+                console.log(chalk.gray(`Registro: ${chalk.white(cliente.fechaRegistro)}`));
+                console.log(chalk.gray(`Planes: ${chalk.white(cliente.cantidadPlanes)}`));
+            });
+
+            const { conservar } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'conservar',
+                    message: '¿Qué cliente deseas conservar?',
+                    choices: [
+                        { name: `Cliente A - ${pareja.clienteA.nombreCompleto} (${pareja.clienteA.email})`, value: 'A' },
+                        { name: `Cliente B - ${pareja.clienteB.nombreCompleto} (${pareja.clienteB.email})`, value: 'B' },
+                        { name: 'No son la misma persona, cancelar', value: 'cancelar' }
+                    ]
+                }
+            ]);
+
+            if (conservar === 'cancelar') {
+                console.log(chalk.yellow('\n❌ Fusión cancelada'));
+                await this.pausar();
+                return;
+            }
+
+            const conservado = conservar === 'A' ? pareja.clienteA : pareja.clienteB;
+            const duplicado = conservar === 'A' ? pareja.clienteB : pareja.clienteA;
+
+            const { confirmar } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmar',
+                    message: `Se moverá todo el historial de ${duplicado.email} a ${conservado.email} y se eliminará ${duplicado.email}. ¿Continuar?`,
+                    default: false
+                }
+            ]);
+
+            if (!confirmar) {
+                console.log(chalk.yellow('\n❌ Fusión cancelada'));
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.yellow('\n⏳ Fusionando clientes...'));
+
+            const fusion = await this.clienteDuplicadosService.fusionarClientes(conservado.clienteId, duplicado.clienteId);
+
+            console.log(chalk.green(`\n✅ ${fusion.mensaje}`));
+            Object.entries(fusion.data.movidos).forEach(([coleccion, cantidad]) => {
+                console.log(chalk.gray(`${coleccion}: ${chalk.white(cantidad)} documento(s) reasignado(s)`));
+            });
+            console.log(chalk.gray(`Planes unidos: ${chalk.white(fusion.data.planesUnidos)}`));
+            console.log(chalk.gray(`Planes corregidos: ${chalk.white(fusion.data.planesCorregidos)}`));
+            console.log(chalk.gray(`Grupos corregidos: ${chalk.white(fusion.data.gruposCorregidos)}`));
+            fusion.advertencias.forEach(advertencia => console.log(chalk.yellow(`⚠️  ${advertencia}`)));
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error al gestionar duplicados:'));
+            console.log(chalk.red(error.message));
+        }
+
+        await this.pausar();
+    }
+
     /**
      * Muestra estadísticas de clientes
      */
@@ -851,6 +1505,37 @@ class ClienteCLI {
         await this.pausar();
     }
 
+    /**
+     * Muestra el perfil usado para recomendar planes y los mejores planes con sus motivos
+     * @param {Object} resultado - Resultado de obtenerPlanesDisponiblesParaCliente
+     */
+    mostrarRecomendacionesPlanes(resultado) {
+        const { perfil, recomendados } = resultado;
+
+        console.log(chalk.blue('\n🧭 PERFIL DEL CLIENTE'));
+        console.log(chalk.gray(`Nivel: ${perfil.nivel}${perfil.nivelEstimado ? ' (estimado por los planes que completó)' : ''}`));
+        console.log(chalk.gray(`Objetivos: ${perfil.objetivos.length > 0
+            ? perfil.objetivos.map(objetivo => `${objetivo.objetivo} (${objetivo.fuente})`).join(', ')
+            : 'sin datos'}`));
+        if (perfil.tendencia) {
+            console.log(chalk.gray(`Seguimientos: ${perfil.tendencia}`));
+        }
+        console.log(chalk.gray(`Planes completados: ${perfil.planesCompletados}`));
+
+        if (recomendados.length === 0) {
+            console.log(chalk.yellow('\nNo hay datos suficientes para recomendar un plan; se listan todos los disponibles.'));
+            return;
+        }
+
+        console.log(chalk.blue('\n⭐ PLANES RECOMENDADOS'));
+        recomendados.forEach((plan, index) => {
+            console.log(chalk.white(`\n${index + 1}. ${plan.nombre} (${plan.nivel}, ${plan.duracionSemanas} semanas) - ${plan.recomendacion.puntaje} pts`));
+            plan.recomendacion.motivos.forEach(motivo => console.log(chalk.green(`   ✓ ${motivo}`)));
+            plan.recomendacion.advertencias.forEach(advertencia => console.log(chalk.yellow(`   ⚠ ${advertencia}`)));
+        });
+        console.log('');
+    }
+
     /**
      * Asocia un nuevo plan a un cliente
      */
@@ -869,9 +1554,14 @@ class ClienteCLI {
                 return;
             }
 
-            // Seleccionar plan
+            this.mostrarRecomendacionesPlanes(resultado);
+
+            // Seleccionar plan (ordenados por recomendación)
+            const idsRecomendados = resultado.recomendados.map(plan => plan.planId.toString());
             const opcionesPlanes = resultado.data.map((plan, index) => ({
-                name: `${plan.nombre} (${plan.duracionSemanas} semanas, ${plan.nivel})`,
+                name: `${idsRecomendados.includes(plan.planId.toString()) ? '⭐ ' : ''}` +
+                    `${plan.nombre} (${plan.duracionSemanas} semanas, ${plan.nivel}` +
+                    `${plan.cupoMaximo ? `, cupo ${plan.cantidadClientes}/${plan.cupoMaximo}` : ''})`,
                 value: plan.planId
             }));
 
@@ -884,6 +1574,12 @@ class ClienteCLI {
                 }
             ]);
 
+            // Con el plan completo se ofrece la lista de espera en lugar del contrato
+            if (await this.ofrecerListaEspera(seleccionPlan.planId, clienteId)) {
+                await this.pausar();
+                return;
+            }
+
             // Datos del contrato
             const datosContrato = await inquirer.prompt([
                 {
@@ -935,6 +1631,12 @@ class ClienteCLI {
                 console.log(chalk.green('\n✅ ¡Plan asociado exitosamente!'));
                 console.log(chalk.gray(`Contrato ID: ${resultadoAsociacion.contratoId}`));
                 console.log(chalk.gray(resultadoAsociacion.mensaje));
+                (resultadoAsociacion.advertencias || []).forEach(advertencia => {
+                    console.log(chalk.yellow(`⚠️  ${advertencia}`));
+                });
+                if (resultadoAsociacion.creditoReferido) {
+                    console.log(chalk.cyan(`🤝 Crédito por referido otorgado al cliente que lo refirió: $${resultadoAsociacion.creditoReferido.montoCredito}`));
+                }
             }
 
         } catch (error) {
@@ -945,6 +1647,34 @@ class ClienteCLI {
         await this.pausar();
     }
 
+    /**
+     * Si el plan está completo, ofrece inscribir al cliente en la lista de espera
+     * @param {ObjectId} planId - ID del plan
+     * @param {ObjectId} clienteId - ID del cliente
+     * @returns {Promise<boolean>} True si el plan estaba completo y no se debe continuar
+     */
+    async ofrecerListaEspera(planId, clienteId) {
+        const { data: cupo } = await this.listaEsperaService.consultarCupo(planId, clienteId);
+        if (!cupo.completo) {
+            return false;
+        }
+
+        console.log(chalk.yellow(`\n⚠️  El plan está completo: ${cupo.ocupados}/${cupo.cupoMaximo} clientes, ${cupo.reservados} cupo(s) reservado(s) y ${cupo.enEspera} en espera`));
+        const { inscribir } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'inscribir',
+                message: '¿Inscribir al cliente en la lista de espera?',
+                default: true
+            }
+        ]);
+        if (inscribir) {
+            const resultado = await this.listaEsperaService.inscribirEnListaEspera(planId, clienteId);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        }
+        return true;
+    }
+
     /**
      * Desasocia un plan de un cliente
      */
@@ -987,7 +1717,7 @@ class ClienteCLI {
                     {
                         type: 'confirm',
                         name: 'forzar',
-                        message: 'El cliente tiene un contrato activo con este plan. ¿Deseas cancelar el contrato y desasociar el plan?',
+                        message: 'El cliente tiene un contrato vigente o congelado con este plan. ¿Deseas cancelar el contrato y desasociar el plan?',
                         default: false
                     }
                 ]);
@@ -1008,6 +1738,9 @@ class ClienteCLI {
                 if (resultadoDesasociacion.contratoCancelado) {
                     console.log(chalk.yellow('El contrato fue cancelado automáticamente.'));
                 }
+                (resultadoDesasociacion.promovidos || []).forEach(promovido => {
+                    console.log(chalk.cyan(`⏳ Cupo asignado a ${promovido.nombreCliente} (lista de espera); quedó en acciones pendientes para avisarle`));
+                });
             }
 
         } catch (error) {
@@ -1204,6 +1937,10 @@ class ClienteCLI {
             // Mostrar información completa
             this.mostrarInformacionCompleta(clienteCompleto);
 
+            // Línea de tiempo: interacciones, contratos, pagos y seguimientos
+            const lineaDeTiempo = await this.interaccionService.obtenerLineaDeTiempo(cliente.clienteId, { limite: 25 });
+            this.mostrarLineaDeTiempo(lineaDeTiempo.data, lineaDeTiempo.total);
+
         } catch (error) {
             console.log(chalk.red(`❌ Error al obtener cliente completo: ${error.message}`));
         }
@@ -1214,7 +1951,7 @@ class ClienteCLI {
      * @param {Object} clienteCompleto - Información completa del cliente
      */
     mostrarInformacionCompleta(clienteCompleto) {
-        const { cliente, contratos, planesAsignados, seguimientos, planesNutricionales, planNutricionalActivo, estadisticas } = clienteCompleto;
+        const { cliente, perfilSalud, contratos, planesAsignados, seguimientos, planesNutricionales, planNutricionalActivo, estadisticas } = clienteCompleto;
 
         console.log(chalk.cyan('\n👤 INFORMACIÓN DEL CLIENTE'));
         console.log(chalk.gray('=========================='));
@@ -1225,6 +1962,9 @@ class ClienteCLI {
         console.log(chalk.white(`Fecha de registro: ${cliente.fechaRegistro}`));
         console.log(chalk.white(`Estado: ${cliente.activo ? 'Activo' : 'Inactivo'}`));
 
+        // Perfil de salud
+        this.mostrarPerfilSalud(perfilSalud);
+
         // Estadísticas generales
         console.log(chalk.cyan('\n📊 ESTADÍSTICAS'));
         console.log(chalk.gray('================'));
@@ -1310,6 +2050,296 @@ class ClienteCLI {
         console.log(chalk.green('\n✅ Información completa mostrada'));
     }
 
+    /**
+     * Gestiona el perfil de salud y el cuestionario PAR-Q de un cliente
+     */
+    async gestionarPerfilSalud() {
+        console.log(chalk.blue('\n🩺 PERFIL DE SALUD Y PAR-Q'));
+        console.log(chalk.gray('==========================\n'));
+
+        try {
+            const clienteSeleccionado = await this.buscarClienteInteractivo();
+            if (!clienteSeleccionado) {
+                await this.pausar();
+                return;
+            }
+
+            const resultado = await this.clienteService.obtenerPerfilSalud(clienteSeleccionado.clienteId);
+            console.log(chalk.white(`\nCliente: ${clienteSeleccionado.nombreCompleto}`));
+            this.mostrarPerfilSalud(resultado.data);
+
+            const opciones = [
+                { name: '✏️  Editar datos de salud y contacto de emergencia', value: 'editar' },
+                { name: '📝 Registrar cuestionario PAR-Q', value: 'parq' }
+            ];
+            if (resultado.data && resultado.data.riesgoSinResolver) {
+                opciones.push({ name: '✅ Registrar autorización médica (resolver riesgo)', value: 'resolver' });
+            }
+            opciones.push({ name: '⬅️  Volver', value: 'volver' });
+
+            const { opcion } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'opcion',
+                    message: '¿Qué deseas hacer?',
+                    choices: opciones
+                }
+            ]);
+
+            switch (opcion) {
+                case 'editar':
+                    await this.editarPerfilSalud(clienteSeleccionado.clienteId, resultado.data);
+                    break;
+                case 'parq':
+                    await this.registrarCuestionarioParq(clienteSeleccionado.clienteId);
+                    break;
+                case 'resolver':
+                    await this.resolverRiesgoSalud(clienteSeleccionado.clienteId);
+                    break;
+                case 'volver':
+                    return;
+            }
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error en perfil de salud:'));
+            console.log(chalk.red(error.message));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Solicita y guarda los datos del perfil de salud
+     * @param {string} clienteId - ID del cliente
+     * @param {Object|null} perfilActual - Perfil de salud actual (resumen)
+     */
+    async editarPerfilSalud(clienteId, perfilActual) {
+        const actual = perfilActual || {};
+        const contacto = actual.contactoEmergencia || {};
+
+        const respuestas = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'contactoNombre',
+                message: 'Nombre del contacto de emergencia (vacío para omitir):',
+                default: contacto.nombre || ''
+            },
+            {
+                type: 'input',
+                name: 'contactoTelefono',
+                message: 'Teléfono del contacto de emergencia:',
+                default: contacto.telefono || '',
+                when: (r) => r.contactoNombre.trim() !== ''
+            },
+            {
+                type: 'input',
+                name: 'contactoRelacion',
+                message: 'Relación con el cliente (opcional):',
+                default: contacto.relacion || '',
+                when: (r) => r.contactoNombre.trim() !== ''
+            },
+            {
+                type: 'input',
+                name: 'estaturaCm',
+                message: 'Estatura en cm (opcional):',
+                default: actual.estaturaCm ? String(actual.estaturaCm) : '',
+                validate: (input) => {
+                    if (input.trim() === '') return true;
+                    const estatura = parseFloat(input);
+                    return (!isNaN(estatura) && estatura >= 50 && estatura <= 250) || 'La estatura debe estar entre 50 y 250 cm';
+                }
+            },
+            {
+                type: 'input',
+                name: 'fechaNacimiento',
+                message: 'Fecha de nacimiento YYYY-MM-DD (opcional):',
+                default: actual.fechaNacimiento ? actual.fechaNacimiento.split('/').reverse().join('-') : '',
+                validate: (input) => {
+                    if (input.trim() === '') return true;
+                    return /^\d{4}-\d{2}-\d{2}$/.test(input.trim()) || 'Use el formato YYYY-MM-DD';
+                }
+            },
+            {
+                type: 'list',
+                name: 'sexo',
+                message: 'Sexo:',
+                choices: [
+                    ...Cliente.SEXOS_VALIDOS.map(sexo => ({ name: sexo, value: sexo })),
+                    { name: 'No especificar', value: null }
+                ],
+                default: actual.sexo || null
+            },
+            {
+                type: 'input',
+                name: 'lesiones',
+                message: 'Lesiones (separadas por coma):',
+                default: (actual.lesiones || []).join(', ')
+            },
+            {
+                type: 'input',
+                name: 'medicamentos',
+                message: 'Medicamentos (separados por coma):',
+                default: (actual.medicamentos || []).join(', ')
+            }
+        ]);
+
+        const resultado = await this.clienteService.actualizarPerfilSalud(clienteId, {
+            contactoEmergencia: respuestas.contactoNombre.trim() ? {
+                nombre: respuestas.contactoNombre,
+                telefono: respuestas.contactoTelefono,
+                relacion: respuestas.contactoRelacion
+            } : null,
+            estaturaCm: respuestas.estaturaCm.trim() ? parseFloat(respuestas.estaturaCm) : null,
+            fechaNacimiento: respuestas.fechaNacimiento.trim() ? new Date(`${respuestas.fechaNacimiento.trim()}T00:00:00`) : null,
+            sexo: respuestas.sexo,
+            lesiones: respuestas.lesiones.split(','),
+            medicamentos: respuestas.medicamentos.split(',')
+        });
+
+        console.log(chalk.green(`\n✅ ${resultado.message}`));
+    }
+
+    /**
+     * Aplica el cuestionario PAR-Q pregunta por pregunta
+     * @param {string} clienteId - ID del cliente
+     */
+    async registrarCuestionarioParq(clienteId) {
+        console.log(chalk.cyan('\n📝 CUESTIONARIO PAR-Q'));
+        console.log(chalk.gray('Responda con el cliente cada una de las preguntas\n'));
+
+        const respuestas = await inquirer.prompt(Cliente.PREGUNTAS_PARQ.map(pregunta => ({
+            type: 'confirm',
+            name: pregunta.clave,
+            message: pregunta.texto,
+            default: false
+        })));
+
+        const resultado = await this.clienteService.registrarCuestionarioParq(clienteId, respuestas);
+
+        if (resultado.resultado === 'riesgo') {
+            console.log(chalk.red(`\n⚠️  ${resultado.message}`));
+        } else {
+            console.log(chalk.green(`\n✅ ${resultado.message}`));
+        }
+    }
+
+    /**
+     * Registra la autorización médica que resuelve el riesgo PAR-Q
+     * @param {string} clienteId - ID del cliente
+     */
+    async resolverRiesgoSalud(clienteId) {
+        const datos = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'autorizadoPor',
+                message: 'Médico o responsable que autoriza:',
+                validate: (input) => input.trim().length >= 2 || 'Debe indicar quién autoriza'
+            },
+            {
+                type: 'input',
+                name: 'observaciones',
+                message: 'Observaciones (restricciones, recomendaciones):'
+            }
+        ]);
+
+        const resultado = await this.clienteService.resolverRiesgoSalud(clienteId, datos);
+        console.log(chalk.green(`\n✅ ${resultado.message}`));
+    }
+
+    /**
+     * Muestra el perfil de salud de un cliente
+     * @param {Object|null} perfilSalud - Perfil de salud resumido
+     */
+    mostrarPerfilSalud(perfilSalud) {
+        console.log(chalk.cyan('\n🩺 PERFIL DE SALUD'));
+        console.log(chalk.gray('=================='));
+
+        if (!perfilSalud) {
+            console.log(chalk.yellow('⚠️ Perfil de salud no registrado'));
+            return;
+        }
+
+        const contacto = perfilSalud.contactoEmergencia;
+        console.log(chalk.white(`Contacto de emergencia: ${contacto ? `${contacto.nombre} - ${contacto.telefono}${contacto.relacion ? ` (${contacto.relacion})` : ''}` : 'No registrado'}`));
+        console.log(chalk.white(`Estatura: ${perfilSalud.estaturaCm ? `${perfilSalud.estaturaCm} cm` : 'No registrada'}`));
+        console.log(chalk.white(`Fecha de nacimiento: ${perfilSalud.fechaNacimiento ? `${perfilSalud.fechaNacimiento} (${perfilSalud.edad} años)` : 'No registrada'}`));
+        console.log(chalk.white(`Sexo: ${perfilSalud.sexo || 'No especificado'}`));
+        console.log(chalk.white(`Lesiones: ${perfilSalud.lesiones.length > 0 ? perfilSalud.lesiones.join(', ') : 'Ninguna'}`));
+        console.log(chalk.white(`Medicamentos: ${perfilSalud.medicamentos.length > 0 ? perfilSalud.medicamentos.join(', ') : 'Ninguno'}`));
+
+        const parq = perfilSalud.parq;
+        if (!parq) {
+            console.log(chalk.yellow('PAR-Q: No registrado'));
+            return;
+        }
+
+        if (parq.resultado === 'apto') {
+            console.log(chalk.green(`PAR-Q (${parq.fecha}): Apto`));
+        } else if (parq.riesgoResuelto) {
+            console.log(chalk.yellow(`PAR-Q (${parq.fecha}): Riesgo resuelto - autorizado por ${parq.resolucion.autorizadoPor} el ${parq.resolucion.fecha}`));
+            if (parq.resolucion.observaciones) {
+                console.log(chalk.gray(`   Observaciones: ${parq.resolucion.observaciones}`));
+            }
+        } else {
+            console.log(chalk.red(`PAR-Q (${parq.fecha}): RIESGO SIN RESOLVER - requiere autorización médica`));
+        }
+        parq.respuestasAfirmativas.forEach(pregunta => {
+            console.log(chalk.gray(`   • ${pregunta}`));
+        });
+    }
+
+    /**
+     * Busca un cliente por nombre, email o ID y permite seleccionarlo
+     * @returns {Promise<Object|null>} Resumen del cliente seleccionado o null
+     */
+    async buscarClienteInteractivo() {
+        const { termino } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'termino',
+                message: 'Ingresa el nombre, email o ID del cliente:',
+                validate: (input) => {
+                    if (!input || input.trim().length < 2) {
+                        return 'El término de búsqueda debe tener al menos 2 caracteres';
+                    }
+                    return true;
+                }
+            }
+        ]);
+
+        console.log(chalk.yellow('\n⏳ Buscando cliente...'));
+
+        if (ObjectId.isValid(termino.trim())) {
+            const cliente = await this.clienteService.getClienteById(termino.trim());
+            if (cliente) {
+                return cliente;
+            }
+        }
+
+        const resultadoBusqueda = await this.clienteService.buscarClientes(termino);
+        if (!resultadoBusqueda.success || resultadoBusqueda.data.length === 0) {
+            console.log(chalk.red('No se encontró el cliente.'));
+            return null;
+        }
+
+        if (resultadoBusqueda.data.length === 1) {
+            return resultadoBusqueda.data[0];
+        }
+
+        const { clienteId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'clienteId',
+                message: 'Selecciona el cliente:',
+                choices: resultadoBusqueda.data.map(cliente => ({
+                    name: `${cliente.nombreCompleto} (${cliente.email})`,
+                    value: cliente.clienteId
+                }))
+            }
+        ]);
+
+        return resultadoBusqueda.data.find(c => c.clienteId === clienteId);
+    }
+
     /**
      * Pausa la ejecución hasta que el usuario presione Enter
      */
@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const os = require('os');
+const { PapeleraService, VencimientoContratosService, RenovacionContratosService } = require('../services');
 
 /**
  * CLI para gestión de configuración del sistema
@@ -13,6 +14,9 @@ class ConfigCLI {
     constructor(db) {
         this.db = db;
         this.configPath = path.join(process.cwd(), '.env');
+        this.papeleraService = new PapeleraService(db);
+        this.vencimientoService = new VencimientoContratosService(db);
+        this.renovacionService = new RenovacionContratosService(db);
     }
 
     /**
@@ -36,6 +40,8 @@ class ConfigCLI {
                     { name: '📁 Abrir Carpeta de Configuración', value: 'folder' },
                     { name: '🔄 Reiniciar Sistema', value: 'restart' },
                     { name: '📋 Ver Estado del Sistema', value: 'status' },
+                    { name: '🗑️ Papelera', value: 'papelera' },
+                    { name: '⏰ Contratos Vencidos (mantenimiento)', value: 'vencimientos' },
                     { name: '🔙 Volver al Menú Principal', value: 'volver' }
                 ],
                 pageSize: 10
@@ -66,6 +72,12 @@ class ConfigCLI {
             case 'status':
                 await this.verEstadoSistema();
                 break;
+            case 'papelera':
+                await this.gestionarPapelera();
+                break;
+            case 'vencimientos':
+                await this.gestionarVencimientos();
+                break;
             case 'volver':
                 this.limpiarPantalla();
                 console.log(chalk.green('✅ Regresando al menú principal...\n'));
@@ -727,6 +739,388 @@ class ConfigCLI {
         }
     }
 
+    /**
+     * Gestionar papelera (documentos eliminados)
+     */
+    async gestionarPapelera() {
+        this.limpiarPantalla();
+        console.log(chalk.blue('🗑️ PAPELERA'));
+        console.log(chalk.gray('================================\n'));
+        console.log(chalk.gray(`Retención configurada: ${this.papeleraService.diasRetencion} días (PAPELERA_DIAS_RETENCION)\n`));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: chalk.yellow('¿Qué desea hacer?'),
+                choices: [
+                    { name: '📋 Ver elementos eliminados', value: 'list' },
+                    { name: '♻️ Restaurar elemento', value: 'restore' },
+                    { name: '❌ Eliminar definitivamente un elemento', value: 'purge' },
+                    { name: '🧹 Purgar elementos con retención vencida', value: 'purge_expired' },
+                    { name: '🔙 Volver', value: 'volver' }
+                ]
+            }
+        ]);
+
+        if (opcion === 'volver') {
+            return;
+        }
+
+        try {
+            switch (opcion) {
+                case 'list':
+                    await this.listarPapelera();
+                    break;
+                case 'restore':
+                    await this.restaurarDePapelera();
+                    break;
+                case 'purge':
+                    await this.purgarDePapelera();
+                    break;
+                case 'purge_expired':
+                    await this.purgarPapeleraVencida();
+                    break;
+            }
+        } catch (error) {
+            console.log(chalk.red(`❌ ${error.message}`));
+        }
+
+        await this.pausar();
+        await this.gestionarPapelera();
+    }
+
+    /**
+     * Seleccionar el tipo de entidad de la papelera
+     */
+    async seleccionarTipoPapelera() {
+        const { tipo } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'tipo',
+                message: 'Tipo de elemento:',
+                choices: this.papeleraService.obtenerTipos().map(t => ({ name: t.etiqueta, value: t.tipo }))
+            }
+        ]);
+        return tipo;
+    }
+
+    /**
+     * Listar elementos de la papelera
+     */
+    async listarPapelera() {
+        const tipo = await this.seleccionarTipoPapelera();
+        const resultado = await this.papeleraService.listarEliminados(tipo);
+
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('\n📭 No hay elementos en la papelera'));
+            return;
+        }
+
+        console.log(chalk.cyan(`\n🗑️ ${resultado.total} elemento(s) en la papelera\n`));
+        resultado.data.forEach((item, index) => {
+            const estado = item.purgable ? chalk.red('retención vencida') : chalk.gray(`${item.diasEnPapelera} día(s)`);
+            console.log(`${index + 1}. ${chalk.white(item.descripcion)} ${estado}`);
+            console.log(chalk.gray(`   ID: ${item.id}`));
+            console.log(chalk.gray(`   Eliminado: ${item.fechaEliminacion} por ${item.usuario}`));
+            console.log(chalk.gray(`   Motivo: ${item.motivo}`));
+            if (item.origen) {
+                console.log(chalk.gray(`   Eliminado junto con: ${item.origen}`));
+            }
+        });
+    }
+
+    /**
+     * Seleccionar un elemento de la papelera
+     */
+    async seleccionarElementoPapelera(accion) {
+        const tipo = await this.seleccionarTipoPapelera();
+        const resultado = await this.papeleraService.listarEliminados(tipo);
+
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('\n📭 No hay elementos en la papelera'));
+            return null;
+        }
+
+        const { id } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'id',
+                message: `Seleccione el elemento a ${accion}:`,
+                choices: [
+                    ...resultado.data.map(item => ({
+                        name: `${item.descripcion} - ${item.fechaEliminacion} (${item.motivo})`,
+                        value: item.id.toString()
+                    })),
+                    { name: '🔙 Cancelar', value: null }
+                ],
+                pageSize: 15
+            }
+        ]);
+
+        return id ? { tipo, id } : null;
+    }
+
+    /**
+     * Restaurar un elemento de la papelera
+     */
+    async restaurarDePapelera() {
+        const seleccion = await this.seleccionarElementoPapelera('restaurar');
+        if (!seleccion) return;
+
+        const resultado = await this.papeleraService.restaurar(seleccion.tipo, seleccion.id);
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+
+        Object.entries(resultado.data.relacionados).forEach(([coleccion, cantidad]) => {
+            if (cantidad > 0) {
+                console.log(chalk.gray(`   • ${coleccion}: ${cantidad} registro(s) restaurado(s)`));
+            }
+        });
+    }
+
+    /**
+     * Eliminar definitivamente un elemento de la papelera
+     */
+    async purgarDePapelera() {
+        const seleccion = await this.seleccionarElementoPapelera('eliminar definitivamente');
+        if (!seleccion) return;
+
+        const { confirmar } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirmar',
+            message: '⚠️ Esta acción no se puede deshacer. ¿Continuar?',
+            default: false
+        }]);
+
+        if (!confirmar) {
+            console.log(chalk.yellow('Operación cancelada.'));
+            return;
+        }
+
+        const resultado = await this.papeleraService.purgar(seleccion.tipo, seleccion.id);
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+    }
+
+    /**
+     * Purgar elementos con retención vencida
+     */
+    async purgarPapeleraVencida() {
+        const { confirmar } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirmar',
+            message: `⚠️ ¿Eliminar definitivamente los elementos con más de ${this.papeleraService.diasRetencion} días en la papelera?`,
+            default: false
+        }]);
+
+        if (!confirmar) {
+            console.log(chalk.yellow('Operación cancelada.'));
+            return;
+        }
+
+        const resultado = await this.papeleraService.purgarVencidos();
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+
+        Object.entries(resultado.data).forEach(([coleccion, cantidad]) => {
+            if (cantidad > 0) {
+                console.log(chalk.gray(`   • ${coleccion}: ${cantidad}`));
+            }
+        });
+    }
+
+    /**
+     * Submenú del proceso de vencimiento de contratos
+     */
+    async gestionarVencimientos() {
+        this.limpiarPantalla();
+        console.log(chalk.blue('⏰ CONTRATOS VENCIDOS'));
+        console.log(chalk.gray('================================\n'));
+        console.log(chalk.gray('Finaliza los contratos con fecha de fin pasada, desasocia al cliente del plan y pausa su plan nutricional.'));
+        console.log(chalk.gray('Antes renueva los que tienen renovación automática y vencen en los próximos días (con sus cuotas pendientes) y lista los que no se renovaron.\n'));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: chalk.yellow('¿Qué desea hacer?'),
+                choices: [
+                    { name: '▶️ Procesar contratos vencidos ahora', value: 'run' },
+                    { name: '📋 Ver últimas ejecuciones', value: 'history' },
+                    { name: '🔁 Procesar solo renovaciones automáticas', value: 'renew' },
+                    { name: '📋 Ver renovaciones y contratos sin renovar', value: 'renewHistory' },
+                    { name: '🔙 Volver', value: 'volver' }
+                ]
+            }
+        ]);
+
+        if (opcion === 'volver') {
+            return;
+        }
+
+        try {
+            switch (opcion) {
+                case 'run':
+                    await this.procesarVencimientos();
+                    break;
+                case 'history':
+                    await this.verHistorialVencimientos();
+                    break;
+                case 'renew':
+                    this.mostrarResultadoRenovaciones(await this.renovacionService.procesarRenovaciones({ origen: 'manual' }));
+                    break;
+                case 'renewHistory':
+                    await this.verHistorialRenovaciones();
+                    break;
+            }
+        } catch (error) {
+            console.log(chalk.red(`❌ ${error.message}`));
+        }
+
+        await this.pausar();
+        await this.gestionarVencimientos();
+    }
+
+    /**
+     * Procesar contratos vencidos a pedido del usuario
+     */
+    async procesarVencimientos() {
+        const resultado = await this.vencimientoService.procesarVencimientos({ origen: 'manual' });
+        this.mostrarResultadoVencimientos(resultado);
+    }
+
+    /**
+     * Procesar contratos vencidos al iniciar la aplicación
+     * El inicio no se interrumpe si el proceso falla: solo se avisa
+     */
+    async procesarVencimientosAlIniciar() {
+        try {
+            const resultado = await this.vencimientoService.procesarVencimientos({ origen: 'inicio' });
+            if (resultado.total > 0 || resultado.reanudados.length > 0 || resultado.renovaciones.total > 0 || (resultado.data && resultado.data.totalErrores > 0)) {
+                console.log(chalk.cyan('⏰ Mantenimiento de contratos vencidos:'));
+                this.mostrarResultadoVencimientos(resultado);
+                console.log('');
+            }
+        } catch (error) {
+            console.log(chalk.yellow(`⚠️ No se pudieron procesar los contratos vencidos: ${error.message}\n`));
+        }
+    }
+
+    /**
+     * Mostrar el resumen de una ejecución del proceso de vencimiento
+     * @param {Object} resultado - Resultado de procesarVencimientos
+     */
+    mostrarResultadoVencimientos(resultado) {
+        if (resultado.reanudados.length > 0) {
+            console.log(chalk.cyan(`▶️ ${resultado.reanudados.length} contrato(s) congelado(s) reanudado(s) al cumplirse el congelamiento`));
+        }
+        if (resultado.renovaciones.data) {
+            this.mostrarResultadoRenovaciones(resultado.renovaciones);
+        }
+        if (!resultado.data) {
+            console.log(chalk.green(`✅ ${resultado.mensaje}`));
+            return;
+        }
+
+        const color = resultado.success ? chalk.green : chalk.yellow;
+        console.log(color(`${resultado.success ? '✅' : '⚠️'} ${resultado.mensaje}${resultado.data.transaccional ? '' : ' (sin transacción)'}`));
+        resultado.data.cambios.forEach(cambio => {
+            const nutricion = cambio.nutricionPausada.length > 0 ? `, nutrición pausada (${cambio.nutricionPausada.length})` : '';
+            console.log(chalk.gray(`   • ${cambio.cliente} - ${cambio.plan} (venció el ${cambio.fechaFin})${nutricion}`));
+        });
+        resultado.data.errores.forEach(error => {
+            console.log(chalk.red(`   ✖ ${error.mensaje}`));
+        });
+        if (resultado.data.promovidos.length > 0) {
+            console.log(chalk.cyan(`   🔔 ${resultado.data.promovidos.length} cliente(s) promovido(s) de la lista de espera (ver Acciones Pendientes en Planes)`));
+        }
+    }
+
+    /**
+     * Mostrar el resumen de una ejecución de la renovación automática
+     * Los contratos sin renovar se listan con su motivo y un contacto para el seguimiento
+     * @param {Object} resultado - Resultado de procesarRenovaciones
+     */
+    mostrarResultadoRenovaciones(resultado) {
+        if (!resultado.data) {
+            console.log(chalk.green(`✅ ${resultado.mensaje}`));
+            return;
+        }
+
+        const color = resultado.success ? chalk.green : chalk.yellow;
+        console.log(color(`🔁 Renovación automática: ${resultado.mensaje}`));
+        resultado.data.cambios.forEach(cambio => {
+            // Los registros anteriores al cronograma de pagos guardaban un único pagoId
+            const cuotas = cambio.cuotasPendientes ?? (cambio.pagoId ? 1 : 0);
+            const pago = cuotas > 0 ? `${cuotas} cuota(s) pendiente(s)` : chalk.red('sin pago pendiente');
+            console.log(chalk.gray(`   • ${cambio.cliente} - ${cambio.plan}: renovado hasta el ${cambio.fechaFinNueva} por $${cambio.precio} (${pago})`));
+        });
+        this.mostrarContratosSinRenovar(resultado.data.omitidos);
+        resultado.data.errores.forEach(error => {
+            console.log(chalk.red(`   ✖ ${error.mensaje}`));
+        });
+    }
+
+    /**
+     * Mostrar los contratos que la renovación automática no renovó
+     * @param {Array} omitidos - Contratos omitidos con su motivo
+     */
+    mostrarContratosSinRenovar(omitidos) {
+        if (omitidos.length === 0) {
+            return;
+        }
+        console.log(chalk.yellow(`   📞 Sin renovar (para seguimiento):`));
+        omitidos.forEach(omitido => {
+            const contacto = omitido.contacto ? ` - ${omitido.contacto}` : '';
+            console.log(chalk.yellow(`     - ${omitido.cliente}${contacto} | ${omitido.plan} (venció el ${omitido.fechaFin}): ${omitido.motivo}`));
+        });
+    }
+
+    /**
+     * Ver las últimas ejecuciones de la renovación automática
+     */
+    async verHistorialRenovaciones() {
+        const resultado = await this.renovacionService.obtenerHistorialEjecuciones();
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('La renovación automática todavía no procesó ningún contrato.'));
+            return;
+        }
+
+        resultado.data.forEach(ejecucion => {
+            const origen = ejecucion.origen === 'inicio' ? 'al iniciar' : 'manual';
+            const color = ejecucion.totalErrores > 0 ? chalk.yellow : chalk.white;
+            console.log(color(`\n${ejecucion.fechaEjecucion} (${origen}): ${ejecucion.resumen}`));
+            ejecucion.cambios.forEach(cambio => {
+                console.log(chalk.gray(`   • ${cambio.cliente} - ${cambio.plan}: renovado hasta el ${cambio.fechaFinNueva} por $${cambio.precio}`));
+            });
+            this.mostrarContratosSinRenovar(ejecucion.omitidos);
+            ejecucion.errores.forEach(error => {
+                console.log(chalk.red(`   ✖ ${error.mensaje}`));
+            });
+        });
+    }
+
+    /**
+     * Ver las últimas ejecuciones del proceso de vencimiento
+     */
+    async verHistorialVencimientos() {
+        const resultado = await this.vencimientoService.obtenerHistorialEjecuciones();
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('El proceso todavía no finalizó ningún contrato.'));
+            return;
+        }
+
+        resultado.data.forEach(ejecucion => {
+            const origen = ejecucion.origen === 'inicio' ? 'al iniciar' : 'manual';
+            const color = ejecucion.totalErrores > 0 ? chalk.yellow : chalk.white;
+            console.log(color(`\n${ejecucion.fechaEjecucion} (${origen}): ${ejecucion.resumen}`));
+            ejecucion.cambios.forEach(cambio => {
+                console.log(chalk.gray(`   • ${cambio.cliente} - ${cambio.plan} (venció el ${cambio.fechaFin})`));
+            });
+            ejecucion.errores.forEach(error => {
+                console.log(chalk.red(`   ✖ ${error.mensaje}`));
+            });
+        });
+    }
+
     /**
      * Guardar configuración en archivo .env
      */
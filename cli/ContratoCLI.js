@@ -1,8 +1,9 @@
 const inquirer = require('inquirer');
 const chalk = require('chalk');
-const { ContratoService, ClienteService, PlanEntrenamientoService } = require('../services/index');
+const { ContratoService, ClienteService, PlanEntrenamientoService, GrupoService, ListaEsperaService, TarifaService, DocumentoContratoService } = require('../services/index');
 const { ObjectId } = require('mongodb');
 const dayjs = require('dayjs');
+const config = require('../config');
 
 /**
  * CLI para Gestión de Contratos
@@ -13,6 +14,10 @@ class ContratoCLI {
         this.contratoService = new ContratoService(db);
         this.clienteService = new ClienteService(db);
         this.planService = new PlanEntrenamientoService(db);
+        this.grupoService = new GrupoService(db);
+        this.listaEsperaService = new ListaEsperaService(db);
+        this.tarifaService = new TarifaService(db);
+        this.documentoService = new DocumentoContratoService(db);
     }
 
     /**
@@ -34,9 +39,15 @@ class ContratoCLI {
                     { name: '✏️  Actualizar Contrato', value: 'actualizar' },
                     { name: '❌ Cancelar Contrato', value: 'cancelar' },
                     { name: '🔄 Renovar Contrato', value: 'renovar' },
+                    { name: '🔀 Cambiar Plan del Contrato', value: 'cambiarPlan' },
+                    { name: '🧊 Congelar Contrato', value: 'congelar' },
+                    { name: '▶️  Reanudar Contrato Congelado', value: 'descongelar' },
+                    { name: '🔁 Renovación Automática', value: 'renovacionAutomatica' },
+                    { name: '💰 Saldo del Contrato', value: 'saldo' },
                     { name: '📊 Ver Estadísticas', value: 'estadisticas' },
                     { name: '🔙 Volver al Menú Principal', value: 'volver' }
-                ]
+                ],
+                pageSize: 14
             }
         ]);
 
@@ -59,6 +70,21 @@ class ContratoCLI {
             case 'renovar':
                 await this.renovarContrato();
                 break;
+            case 'cambiarPlan':
+                await this.cambiarPlanContrato();
+                break;
+            case 'congelar':
+                await this.congelarContrato();
+                break;
+            case 'descongelar':
+                await this.descongelarContrato();
+                break;
+            case 'renovacionAutomatica':
+                await this.configurarRenovacionAutomatica();
+                break;
+            case 'saldo':
+                await this.verSaldoContrato();
+                break;
             case 'estadisticas':
                 await this.verEstadisticas();
                 break;
@@ -106,6 +132,12 @@ class ContratoCLI {
             console.log(`Estado: ${cliente.activo ? 'Activo' : 'Inactivo'}`);
             console.log(`Planes asignados: ${cliente.cantidadPlanes}`);
 
+            // Condiciones del grupo familiar o corporativo del cliente
+            const { data: grupo } = await this.grupoService.obtenerGrupoDeCliente(cliente.clienteId);
+            if (grupo && grupo.activo) {
+                console.log(chalk.cyan(`Grupo: ${grupo.nombre} (${grupo.tipo}) - descuento ${grupo.descuentoPorcentaje}% - pagador: ${grupo.pagador}`));
+            }
+
             // Buscar plan
             const { busquedaPlan } = await inquirer.prompt([
                 {
@@ -130,6 +162,9 @@ class ContratoCLI {
             console.log(`Nivel: ${plan.nivel}`);
             console.log(`Duración: ${plan.duracionSemanas} semanas`);
             console.log(`Estado: ${plan.estado}`);
+            if (plan.cupoMaximo) {
+                console.log(`Cupo: ${plan.cantidadClientes}/${plan.cupoMaximo} clientes`);
+            }
 
             // Verificar compatibilidad - crear instancia del modelo para usar el método
             const { PlanEntrenamiento } = require('../models/index');
@@ -140,8 +175,13 @@ class ContratoCLI {
                 return;
             }
 
-            // Datos del contrato
-            const datosContrato = await inquirer.prompt([
+            // Con el plan completo se ofrece la lista de espera en lugar del contrato
+            if (await this.ofrecerListaEspera(plan.planId, cliente.clienteId)) {
+                return;
+            }
+
+            // Duración e inicio: determinan la tarifa y el escalón de precio
+            const periodo = await inquirer.prompt([
                 {
                     type: 'input',
                     name: 'duracionMeses',
@@ -152,16 +192,6 @@ class ContratoCLI {
                     },
                     filter: input => parseInt(input)
                 },
-                {
-                    type: 'input',
-                    name: 'precio',
-                    message: 'Precio del contrato:',
-                    validate: input => {
-                        const precio = parseFloat(input);
-                        return precio > 0 ? true : 'El precio debe ser mayor a 0';
-                    },
-                    filter: input => parseFloat(input)
-                },
                 {
                     type: 'input',
                     name: 'fechaInicio',
@@ -171,6 +201,34 @@ class ContratoCLI {
                         const fecha = dayjs(input);
                         return fecha.isValid() ? true : 'Formato de fecha inválido';
                     }
+                }
+            ]);
+
+            // Precio de lista según el catálogo del plan
+            const cotizacion = await this.tarifaService.cotizarPrecio(
+                plan.planId, periodo.duracionMeses, new Date(periodo.fechaInicio)
+            );
+            if (cotizacion) {
+                const escalon = cotizacion.exacto
+                    ? `escalón de ${cotizacion.mesesEscalon} mes(es)`
+                    : `prorrateado desde el escalón de ${cotizacion.mesesEscalon} mes(es), $${cotizacion.precioMensual}/mes`;
+                console.log(chalk.cyan(`\n💲 Precio de lista del catálogo: $${cotizacion.precio} (${escalon})`));
+            } else {
+                console.log(chalk.yellow('\n⚠️ El plan no tiene tarifa vigente en esa fecha: indique el precio manualmente'));
+            }
+
+            // Datos del contrato
+            const datosContrato = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'precio',
+                    message: grupo && grupo.activo ? 'Precio de lista del contrato (antes del descuento de grupo):' : 'Precio del contrato:',
+                    default: cotizacion ? String(cotizacion.precio) : undefined,
+                    validate: input => {
+                        const precio = parseFloat(input);
+                        return precio > 0 ? true : 'El precio debe ser mayor a 0';
+                    },
+                    filter: input => parseFloat(input)
                 },
                 {
                     type: 'input',
@@ -198,30 +256,103 @@ class ContratoCLI {
                         return true;
                     }
                 },
+                {
+                    type: 'input',
+                    name: 'maxDiasCongelamiento',
+                    message: 'Máximo de días de congelamiento del contrato (0 = sin congelamientos):',
+                    default: String(config.contratos.maxDiasCongelamiento),
+                    validate: input => {
+                        const dias = Number(input);
+                        return Number.isInteger(dias) && dias >= 0 && dias <= 365 ? true : 'Ingrese un número entero entre 0 y 365';
+                    },
+                    filter: input => Number(input)
+                },
+                {
+                    type: 'confirm',
+                    name: 'renovacionAutomatica',
+                    message: '¿Renovar automáticamente al vencer (al precio de catálogo, con sus cuotas pendientes)?',
+                    default: false
+                },
+                {
+                    type: 'confirm',
+                    name: 'aplicarDescuentoGrupo',
+                    message: `¿Aplicar el descuento del grupo (${grupo ? grupo.descuentoPorcentaje : 0}%)?`,
+                    default: true,
+                    when: () => Boolean(grupo && grupo.activo && grupo.descuentoPorcentaje > 0)
+                },
+                {
+                    type: 'confirm',
+                    name: 'facturarAPagador',
+                    message: `¿Facturar el contrato al pagador del grupo (${grupo ? grupo.pagador : ''})?`,
+                    default: Boolean(grupo && grupo.facturarAPagador),
+                    when: () => Boolean(grupo && grupo.activo && !grupo.esPagador)
+                },
                 {
                     type: 'confirm',
                     name: 'registrarPago',
                     message: '¿Registrar pago automáticamente?',
                     default: false
+                },
+                {
+                    type: 'list',
+                    name: 'modalidadPago',
+                    message: 'Modalidad de pago (cada cuota queda como pago pendiente):',
+                    choices: [
+                        { name: 'Contado (una cuota al inicio)', value: 'contado' },
+                        { name: `Mensual (${periodo.duracionMeses} cuota(s), una por mes)`, value: 'mensual' },
+                        { name: 'Cuotas personalizadas', value: 'personalizado' }
+                    ],
+                    when: respuestas => !respuestas.registrarPago
                 }
             ]);
 
+            // Cuotas con fecha de vencimiento propia: el monto se indica sobre el precio final del contrato
+            let cuotas;
+            if (datosContrato.modalidadPago === 'personalizado') {
+                const descuento = grupo && grupo.activo && datosContrato.aplicarDescuentoGrupo !== false ? grupo.descuentoPorcentaje : 0;
+                cuotas = await this.pedirCuotasPersonalizadas(
+                    Math.round(datosContrato.precio * (1 - descuento / 100) * 100) / 100,
+                    periodo.fechaInicio,
+                    datosContrato.fechaFin
+                );
+            }
+
             console.log(chalk.yellow('\n⏳ Creando contrato...'));
 
             const resultado = await this.contratoService.crearContrato({
                 clienteId: cliente.clienteId,
                 planId: plan.planId,
-                duracionMeses: datosContrato.duracionMeses,
+                duracionMeses: periodo.duracionMeses,
                 precio: datosContrato.precio,
-                fechaInicio: new Date(datosContrato.fechaInicio),
+                fechaInicio: new Date(periodo.fechaInicio),
                 fechaFin: new Date(datosContrato.fechaFin),
                 condiciones: datosContrato.condiciones,
-                registrarPago: datosContrato.registrarPago
+                maxDiasCongelamiento: datosContrato.maxDiasCongelamiento,
+                renovacionAutomatica: datosContrato.renovacionAutomatica,
+                registrarPago: datosContrato.registrarPago,
+                modalidadPago: datosContrato.modalidadPago,
+                cuotas,
+                aplicarDescuentoGrupo: datosContrato.aplicarDescuentoGrupo,
+                facturarAPagador: datosContrato.facturarAPagador
             });
 
             if (resultado.success) {
-                console.log(chalk.green('✅ Contrato creado exitosamente'));
+                console.log(chalk.green(`✅ ${resultado.mensaje}`));
                 console.log(chalk.gray(`ID del contrato: ${resultado.contratoId}`));
+                if (resultado.precioCatalogo && datosContrato.precio !== resultado.precioCatalogo) {
+                    console.log(chalk.gray(`Precio de catálogo: $${resultado.precioCatalogo} - precio acordado: $${datosContrato.precio}`));
+                }
+                if (resultado.facturacionGrupo) {
+                    console.log(chalk.gray(`Precio de lista: $${resultado.facturacionGrupo.precioLista} - descuento ${resultado.facturacionGrupo.descuentoPorcentaje}% - precio final: $${resultado.precio}`));
+                    if (resultado.facturacionGrupo.pagadorId) {
+                        console.log(chalk.gray(`Facturado al pagador del grupo: ${grupo.pagador}`));
+                    }
+                }
+                if (resultado.creditoReferido) {
+                    console.log(chalk.cyan(`🤝 Crédito por referido otorgado al cliente que lo refirió: $${resultado.creditoReferido.montoCredito}`));
+                }
+                this.mostrarCronogramaPagos(resultado.cronogramaPagos);
+                await this.ofrecerDocumento(resultado.contratoId);
             }
 
         } catch (error) {
@@ -229,6 +360,128 @@ class ContratoCLI {
         }
     }
 
+    /**
+     * Ofrece generar el documento imprimible del contrato
+     * @param {ObjectId} contratoId - ID del contrato
+     */
+    async ofrecerDocumento(contratoId) {
+        const { generar } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'generar',
+                message: '¿Generar documento del contrato?',
+                default: false
+            }
+        ]);
+        if (generar) {
+            await this.generarDocumento(contratoId);
+        }
+    }
+
+    /**
+     * Genera el documento del contrato en los formatos elegidos bajo exports/contratos/
+     * @param {ObjectId} contratoId - ID del contrato
+     */
+    async generarDocumento(contratoId) {
+        try {
+            const { formatos } = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'formatos',
+                    message: 'Formatos del documento:',
+                    choices: [
+                        { name: 'HTML (para imprimir desde el navegador)', value: 'html', checked: true },
+                        { name: 'Texto plano', value: 'txt', checked: true },
+                        { name: 'PDF', value: 'pdf' }
+                    ],
+                    validate: seleccion => seleccion.length > 0 ? true : 'Seleccione al menos un formato'
+                }
+            ]);
+
+            const resultado = await this.documentoService.generarDocumento(contratoId, { formatos });
+
+            console.log(chalk.green(`✅ ${resultado.mensaje}`));
+            Object.values(resultado.data.archivos).forEach(archivo => {
+                console.log(chalk.gray(`   📄 ${archivo}`));
+            });
+            if (resultado.data.marcadoresSinValor.length > 0) {
+                console.log(chalk.yellow(`⚠️ Marcadores de la plantilla sin valor: ${resultado.data.marcadoresSinValor.join(', ')}`));
+            }
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al generar documento: ${error.message}`));
+        }
+    }
+
+    /**
+     * Pide las cuotas de un cronograma personalizado
+     * @param {number} precioFinal - Precio del contrato después del descuento de grupo
+     * @param {string} fechaInicio - Inicio del contrato (YYYY-MM-DD)
+     * @param {string} fechaFin - Fin del contrato (YYYY-MM-DD)
+     * @returns {Promise<Array>} Cuotas con fechaVencimiento y monto (null = parte del resto)
+     */
+    async pedirCuotasPersonalizadas(precioFinal, fechaInicio, fechaFin) {
+        console.log(chalk.cyan(`\n💳 Cuotas por un total de $${precioFinal}. Las cuotas sin monto se reparten lo que falte.`));
+
+        const { cantidad } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'cantidad',
+                message: 'Cantidad de cuotas:',
+                default: '2',
+                validate: input => {
+                    const cantidad = Number(input);
+                    return Number.isInteger(cantidad) && cantidad > 0 && cantidad <= 24 ? true : 'Ingrese un número entero entre 1 y 24';
+                },
+                filter: input => Number(input)
+            }
+        ]);
+
+        const cuotas = [];
+        for (let numero = 1; numero <= cantidad; numero++) {
+            const cuota = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'fechaVencimiento',
+                    message: `Cuota ${numero}/${cantidad} - vencimiento (YYYY-MM-DD):`,
+                    default: dayjs(fechaInicio).add(numero - 1, 'month').format('YYYY-MM-DD'),
+                    validate: input => {
+                        const fecha = dayjs(input);
+                        if (!fecha.isValid()) {
+                            return 'Formato de fecha inválido';
+                        }
+                        return fecha.isBefore(dayjs(fechaInicio), 'day') || fecha.isAfter(dayjs(fechaFin), 'day')
+                            ? 'El vencimiento debe estar dentro del período del contrato'
+                            : true;
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'monto',
+                    message: `Cuota ${numero}/${cantidad} - monto (vacío = parte del resto):`,
+                    validate: input => !input.trim() || parseFloat(input) > 0 ? true : 'El monto debe ser mayor a 0',
+                    filter: input => (input.trim() ? parseFloat(input) : null)
+                }
+            ]);
+            cuotas.push({ fechaVencimiento: new Date(cuota.fechaVencimiento), monto: cuota.monto });
+        }
+
+        return cuotas;
+    }
+
+    /**
+     * Muestra el cronograma de pagos de un contrato
+     * @param {Object|null} cronogramaPagos - Cronograma (formato de getResumen)
+     */
+    mostrarCronogramaPagos(cronogramaPagos) {
+        if (!cronogramaPagos) {
+            return;
+        }
+        console.log(chalk.cyan(`\n💳 Cronograma de pagos (${cronogramaPagos.modalidad}):`));
+        cronogramaPagos.cuotas.forEach(cuota => {
+            console.log(chalk.gray(`   Cuota ${cuota.numero}/${cronogramaPagos.cuotas.length}: $${cuota.monto} - vence ${cuota.fechaVencimiento}`));
+        });
+    }
+
     /**
      * Lista contratos con filtros
      */
@@ -246,6 +499,7 @@ class ContratoCLI {
                         { name: 'Todos los contratos', value: 'todos' },
                         { name: 'Contratos vigentes', value: 'vigentes' },
                         { name: 'Contratos vencidos', value: 'vencidos' },
+                        { name: 'Contratos congelados', value: 'suspendidos' },
                         { name: 'Contratos cancelados', value: 'cancelados' },
                         { name: 'Contratos renovados', value: 'renovados' }
                     ]
@@ -327,12 +581,21 @@ class ContratoCLI {
                 console.log(`Plan: ${contrato.plan?.nombre} (${contrato.plan?.nivel})`);
                 console.log(`Estado: ${contrato.estado}`);
                 console.log(`Precio: $${contrato.precio}`);
+                if (contrato.facturacionGrupo) {
+                    console.log(`Grupo: ${contrato.facturacionGrupo.nombreGrupo} (precio de lista $${contrato.facturacionGrupo.precioLista}, descuento ${contrato.facturacionGrupo.descuentoPorcentaje}%)`);
+                    console.log(`Facturado a: ${contrato.facturacionGrupo.pagadorId ? 'pagador del grupo' : 'el propio cliente'}`);
+                }
                 console.log(`Duración: ${contrato.duracionMeses} meses`);
                 console.log(`Inicio: ${dayjs(contrato.fechaInicio).format('DD/MM/YYYY')}`);
                 console.log(`Fin: ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')}`);
+                console.log(`Renovación automática: ${contrato.renovacionAutomatica ? 'Sí' : 'No'}`);
                 if (contrato.condiciones) {
                     console.log(`Condiciones: ${contrato.condiciones}`);
                 }
+                this.mostrarCongelamientos(contrato);
+                this.mostrarCronogramaPagos(contrato.cronogramaPagos);
+                this.mostrarCambiosPlan(contrato);
+                await this.ofrecerDocumento(contrato.contratoId);
             }
 
         } catch (error) {
@@ -534,6 +797,12 @@ class ContratoCLI {
 
             if (resultadoCancelacion.success) {
                 console.log(chalk.green('✅ Contrato cancelado exitosamente'));
+                if (resultadoCancelacion.cuotasCanceladas.cantidad > 0) {
+                    console.log(chalk.gray(`${resultadoCancelacion.cuotasCanceladas.cantidad} cuota(s) a vencer cancelada(s) por $${resultadoCancelacion.cuotasCanceladas.monto}; las vencidas siguen pendientes de cobro`));
+                }
+                (resultadoCancelacion.promovidos || []).forEach(promovido => {
+                    console.log(chalk.cyan(`⏳ Cupo asignado a ${promovido.nombreCliente} (lista de espera); quedó en acciones pendientes para avisarle`));
+                });
             }
 
         } catch (error) {
@@ -541,6 +810,428 @@ class ContratoCLI {
         }
     }
 
+    /**
+     * Pasa un contrato vigente a otro plan con el ajuste prorrateado por los días restantes
+     */
+    async cambiarPlanContrato() {
+        try {
+            console.log(chalk.blue('\n🔀 CAMBIAR PLAN DEL CONTRATO'));
+            console.log(chalk.gray('============================\n'));
+
+            const resultado = await this.contratoService.listarContratos({ estado: 'vigente' });
+            if (!resultado.success || resultado.data.length === 0) {
+                console.log(chalk.yellow('No hay contratos vigentes.'));
+                return;
+            }
+
+            const { contratoId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'contratoId',
+                    message: 'Selecciona el contrato:',
+                    choices: resultado.data.map((contrato, index) => ({
+                        name: `${index + 1}. ${contrato.cliente?.nombre} ${contrato.cliente?.apellido} - ${contrato.plan?.nombre} - $${contrato.precio} - vence ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')}`,
+                        value: contrato._id
+                    }))
+                }
+            ]);
+            const contrato = resultado.data.find(c => c._id.toString() === contratoId.toString());
+
+            const { busquedaPlan } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'busquedaPlan',
+                    message: 'Ingresa el nombre del plan nuevo:',
+                    validate: input => input.trim() ? true : 'Debe ingresar un término de búsqueda'
+                }
+            ]);
+
+            const planes = (await this.planService.listarPlanes({ nombre: { $regex: busquedaPlan, $options: 'i' } })).data
+                .filter(plan => plan.planId.toString() !== contrato.planId.toString());
+            if (planes.length === 0) {
+                console.log(chalk.red('No se encontró otro plan con ese nombre.'));
+                return;
+            }
+
+            const { planId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'planId',
+                    message: 'Selecciona el plan nuevo:',
+                    choices: planes.map(plan => ({ name: `${plan.nombre} (${plan.nivel}) - ${plan.estado}`, value: plan.planId }))
+                }
+            ]);
+
+            // Precio de lista del plan nuevo por la duración del contrato; se puede ajustar
+            const cotizacion = await this.tarifaService.cotizarPrecio(planId, contrato.duracionMeses, new Date());
+            const { precio } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'precio',
+                    message: `Precio del plan nuevo por ${contrato.duracionMeses} mes(es) (antes del descuento de grupo):`,
+                    default: cotizacion ? String(cotizacion.precio) : undefined,
+                    validate: input => parseFloat(input) > 0 ? true : 'El precio debe ser mayor a 0',
+                    filter: input => parseFloat(input)
+                }
+            ]);
+
+            const { data: prorrateo } = await this.contratoService.cotizarCambioPlan(contratoId, { planId, precio });
+            console.log(chalk.cyan(`\n📐 Prorrateo por ${prorrateo.diasRestantes} día(s) restantes:`));
+            console.log(chalk.gray(`   Crédito del plan actual: $${prorrateo.credito} ($${prorrateo.precioDiarioActual}/día)`));
+            console.log(chalk.gray(`   Cargo de ${prorrateo.planNuevo}: $${prorrateo.cargo} ($${prorrateo.precioDiarioNuevo}/día)`));
+            if (prorrateo.ajuste > 0) {
+                console.log(chalk.yellow(`   A cobrar: $${prorrateo.ajuste} (queda como pago pendiente)`));
+            } else if (prorrateo.ajuste < 0) {
+                console.log(chalk.green(`   A reembolsar: $${Math.abs(prorrateo.ajuste)}`));
+            } else {
+                console.log(chalk.gray('   Sin diferencia a cobrar ni reembolsar'));
+            }
+
+            const { metodoPago, motivo, confirmar } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'metodoPago',
+                    message: prorrateo.ajuste > 0 ? 'Método de pago previsto del ajuste:' : 'Método del reembolso:',
+                    choices: ['efectivo', 'transferencia', 'tarjeta', 'cheque', 'otro'],
+                    default: 'otro',
+                    when: () => prorrateo.ajuste !== 0
+                },
+                {
+                    type: 'input',
+                    name: 'motivo',
+                    message: 'Motivo del cambio (opcional):'
+                },
+                {
+                    type: 'confirm',
+                    name: 'confirmar',
+                    message: `¿Pasar el contrato a ${prorrateo.planNuevo}?`,
+                    default: false
+                }
+            ]);
+
+            if (!confirmar) {
+                console.log(chalk.yellow('Operación cancelada.'));
+                return;
+            }
+
+            console.log(chalk.yellow('\n⏳ Cambiando plan...'));
+
+            const resultadoCambio = await this.contratoService.cambiarPlanContrato(contratoId, {
+                planId, precio, metodoPago, motivo
+            });
+
+            console.log(chalk.green(`✅ ${resultadoCambio.mensaje}`));
+            console.log(chalk.gray(`Nuevo precio total del contrato: $${resultadoCambio.data.precio}`));
+            (resultadoCambio.promovidos || []).forEach(promovido => {
+                console.log(chalk.cyan(`⏳ Cupo de ${resultadoCambio.data.planAnterior} asignado a ${promovido.nombreCliente} (lista de espera); quedó en acciones pendientes para avisarle`));
+            });
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al cambiar plan del contrato: ${error.message}`));
+        }
+    }
+
+    /**
+     * Muestra los cambios de plan de un contrato
+     * @param {Object} contrato - Datos del contrato (obtenerContrato)
+     */
+    mostrarCambiosPlan(contrato) {
+        if (!contrato.cambiosPlan || contrato.cambiosPlan.length === 0) {
+            return;
+        }
+        console.log(chalk.cyan('\n🔀 Cambios de plan:'));
+        contrato.cambiosPlan.forEach(cambio => {
+            const ajuste = cambio.ajuste > 0
+                ? `cargo $${cambio.ajuste}`
+                : cambio.ajuste < 0 ? `reembolso $${Math.abs(cambio.ajuste)}` : 'sin ajuste';
+            console.log(chalk.gray(`   ${cambio.fecha}: ${cambio.diasRestantes} día(s) restantes - ${ajuste}${cambio.motivo ? ` - ${cambio.motivo}` : ''}`));
+        });
+    }
+
+    /**
+     * Muestra el saldo de un contrato: pagado, pendiente y vencido, con el detalle de sus cuotas
+     */
+    async verSaldoContrato() {
+        try {
+            console.log(chalk.blue('\n💰 SALDO DEL CONTRATO'));
+            console.log(chalk.gray('=====================\n'));
+
+            const resultado = await this.contratoService.listarContratos();
+            if (!resultado.success || resultado.data.length === 0) {
+                console.log(chalk.yellow('No hay contratos disponibles.'));
+                return;
+            }
+
+            const { contratoId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'contratoId',
+                    message: 'Selecciona el contrato:',
+                    choices: resultado.data.map((contrato, index) => ({
+                        name: `${index + 1}. ${contrato.cliente?.nombre} ${contrato.cliente?.apellido} - ${contrato.plan?.nombre} - ${contrato.estado}`,
+                        value: contrato._id
+                    }))
+                }
+            ]);
+
+            const { data: saldo } = await this.contratoService.obtenerSaldoContrato(contratoId);
+
+            console.log(chalk.green(`\n📋 Precio del contrato: $${saldo.precio} (${saldo.modalidad || 'sin cronograma'}) - estado: ${saldo.estado}`));
+            console.log(chalk.green(`Pagado: $${saldo.pagado}`));
+            console.log(chalk.yellow(`Pendiente: $${saldo.pendiente}`));
+            console.log((saldo.vencido > 0 ? chalk.red : chalk.gray)(`Vencido: $${saldo.vencido}`));
+            if (saldo.reembolsado > 0) {
+                console.log(chalk.gray(`Reembolsado por cambios de plan: $${saldo.reembolsado}`));
+            }
+            console.log(chalk.bold(`Saldo adeudado: $${saldo.saldo}`));
+
+            if (saldo.cuotas.length === 0) {
+                console.log(chalk.gray('\nEl contrato no tiene pagos vinculados.'));
+                return;
+            }
+
+            const colores = { pagado: chalk.green, pendiente: chalk.yellow, retrasado: chalk.yellow, vencido: chalk.red, cancelado: chalk.gray };
+            console.log(chalk.cyan('\nCuotas:'));
+            saldo.cuotas.forEach(cuota => {
+                const color = colores[cuota.estado] || chalk.white;
+                console.log(color(`   ${cuota.referencia || 'Pago'}: $${cuota.monto} - vence ${dayjs(cuota.fechaVencimiento).format('DD/MM/YYYY')} - ${cuota.estado}`));
+            });
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al obtener saldo del contrato: ${error.message}`));
+        }
+    }
+
+    /**
+     * Activa o desactiva la renovación automática de un contrato vigente o congelado
+     */
+    async configurarRenovacionAutomatica() {
+        try {
+            console.log(chalk.blue('\n🔁 RENOVACIÓN AUTOMÁTICA'));
+            console.log(chalk.gray('========================\n'));
+
+            const vigentes = await this.contratoService.listarContratos({ estado: 'vigente' });
+            const congelados = await this.contratoService.listarContratos({ estado: 'suspendido' });
+            const contratos = [...vigentes.data, ...congelados.data];
+            if (contratos.length === 0) {
+                console.log(chalk.yellow('No hay contratos vigentes ni congelados.'));
+                return;
+            }
+
+            const { contrato } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'contrato',
+                    message: 'Selecciona el contrato:',
+                    choices: contratos.map((contrato, index) => ({
+                        name: `${index + 1}. ${contrato.cliente?.nombre} ${contrato.cliente?.apellido} - ${contrato.plan?.nombre} - fin ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')} - ${contrato.renovacionAutomatica ? '🔁 renovación automática' : 'sin renovación automática'}`,
+                        value: contrato
+                    }))
+                }
+            ]);
+
+            const { activar } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'activar',
+                    message: contrato.renovacionAutomatica
+                        ? '¿Desactivar la renovación automática? (el contrato se finalizará al vencer)'
+                        : '¿Activar la renovación automática? (al vencer se renueva al precio de catálogo y se genera un pago pendiente)',
+                    default: true
+                }
+            ]);
+
+            if (!activar) {
+                console.log(chalk.yellow('Operación cancelada.'));
+                return;
+            }
+
+            const resultado = await this.contratoService.configurarRenovacionAutomatica(contrato._id, !contrato.renovacionAutomatica);
+            console.log(chalk.green(`✅ ${resultado.mensaje}`));
+
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al configurar renovación automática: ${error.message}`));
+        }
+    }
+
+    /**
+     * Congela un contrato vigente (viaje, lesión, etc.) y extiende su fecha de fin
+     */
+    async congelarContrato() {
+        try {
+            console.log(chalk.blue('\n🧊 CONGELAR CONTRATO'));
+            console.log(chalk.gray('===================\n'));
+
+            const resultado = await this.contratoService.listarContratos({ estado: 'vigente' });
+            if (!resultado.success || resultado.data.length === 0) {
+                console.log(chalk.yellow('No hay contratos vigentes para congelar.'));
+                return;
+            }
+
+            const { contratoId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'contratoId',
+                    message: 'Selecciona el contrato a congelar:',
+                    choices: resultado.data.map((contrato, index) => ({
+                        name: `${index + 1}. ${contrato.cliente?.nombre} ${contrato.cliente?.apellido} - ${contrato.plan?.nombre} - fin ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')}`,
+                        value: contrato._id
+                    }))
+                }
+            ]);
+
+            const contrato = (await this.contratoService.obtenerContrato(contratoId)).data;
+            console.log(chalk.gray(`Días de congelamiento disponibles: ${contrato.diasCongelamientoDisponibles} de ${contrato.maxDiasCongelamiento}`));
+            if (contrato.diasCongelamientoDisponibles === 0) {
+                console.log(chalk.yellow('El contrato no tiene días de congelamiento disponibles.'));
+                return;
+            }
+
+            const datos = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'fechaInicio',
+                    message: 'Fecha de inicio del congelamiento (YYYY-MM-DD):',
+                    default: dayjs().format('YYYY-MM-DD'),
+                    validate: input => dayjs(input).isValid() ? true : 'Formato de fecha inválido'
+                },
+                {
+                    type: 'input',
+                    name: 'fechaFin',
+                    message: 'Fecha prevista de reanudación (YYYY-MM-DD):',
+                    validate: (input, answers) => {
+                        const fecha = dayjs(input);
+                        if (!fecha.isValid()) {
+                            return 'Formato de fecha inválido';
+                        }
+                        const dias = fecha.diff(dayjs(answers.fechaInicio), 'day');
+                        if (dias <= 0) {
+                            return 'Debe ser posterior a la fecha de inicio';
+                        }
+                        return dias <= contrato.diasCongelamientoDisponibles
+                            ? true
+                            : `Son ${dias} días y el contrato tiene ${contrato.diasCongelamientoDisponibles} disponibles`;
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'motivo',
+                    message: 'Motivo (viaje, lesión, etc.):',
+                    validate: input => input.trim().length >= 3 ? true : 'El motivo debe tener al menos 3 caracteres'
+                }
+            ]);
+
+            const resultadoCongelamiento = await this.contratoService.congelarContrato(contratoId, {
+                fechaInicio: dayjs(datos.fechaInicio).toDate(),
+                fechaFin: dayjs(datos.fechaFin).toDate(),
+                motivo: datos.motivo
+            });
+
+            console.log(chalk.green(`✅ ${resultadoCongelamiento.mensaje}`));
+            console.log(chalk.gray(`Mientras esté congelado no podrá registrar entradas ni generará alertas de pago. Días disponibles restantes: ${resultadoCongelamiento.data.diasDisponibles}`));
+
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al congelar contrato: ${error.message}`));
+        }
+    }
+
+    /**
+     * Reanuda un contrato congelado; si es antes de lo previsto, se devuelven los días no usados
+     */
+    async descongelarContrato() {
+        try {
+            console.log(chalk.blue('\n▶️  REANUDAR CONTRATO CONGELADO'));
+            console.log(chalk.gray('==============================\n'));
+
+            const resultado = await this.contratoService.listarContratos({ estado: 'suspendido' });
+            if (!resultado.success || resultado.data.length === 0) {
+                console.log(chalk.yellow('No hay contratos congelados.'));
+                return;
+            }
+
+            const { contratoId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'contratoId',
+                    message: 'Selecciona el contrato a reanudar:',
+                    choices: resultado.data.map((contrato, index) => {
+                        const congelamiento = (contrato.congelamientos || []).find(c => !c.fechaReanudacion);
+                        const hasta = congelamiento ? ` - congelado hasta ${dayjs(congelamiento.fechaFin).format('DD/MM/YYYY')}` : '';
+                        return {
+                            name: `${index + 1}. ${contrato.cliente?.nombre} ${contrato.cliente?.apellido} - ${contrato.plan?.nombre}${hasta}`,
+                            value: contrato._id
+                        };
+                    })
+                }
+            ]);
+
+            const { confirmar } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmar',
+                    message: '¿Reanudar el contrato hoy? Los días no usados del congelamiento se descuentan de la fecha de fin',
+                    default: true
+                }
+            ]);
+
+            if (!confirmar) {
+                console.log(chalk.yellow('Operación cancelada.'));
+                return;
+            }
+
+            const resultadoReanudacion = await this.contratoService.descongelarContrato(contratoId);
+            console.log(chalk.green(`✅ ${resultadoReanudacion.mensaje}`));
+            console.log(chalk.gray(`Días de congelamiento disponibles: ${resultadoReanudacion.data.diasDisponibles}`));
+
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al reanudar contrato: ${error.message}`));
+        }
+    }
+
+    /**
+     * Muestra la política y el historial de congelamientos de un contrato
+     * @param {Object} contrato - Contrato obtenido con obtenerContrato
+     */
+    mostrarCongelamientos(contrato) {
+        console.log(chalk.cyan(`\n🧊 Congelamientos (${contrato.diasCongelamientoDisponibles} de ${contrato.maxDiasCongelamiento} días disponibles):`));
+        if (contrato.congelamientos.length === 0) {
+            console.log(chalk.gray('   Sin congelamientos'));
+            return;
+        }
+        contrato.congelamientos.forEach(congelamiento => {
+            const reanudacion = congelamiento.fechaReanudacion
+                ? `reanudado el ${congelamiento.fechaReanudacion}`
+                : chalk.yellow(`en curso hasta el ${congelamiento.fechaFin}`);
+            console.log(`   • ${congelamiento.fechaInicio} - ${reanudacion} (${congelamiento.dias} días): ${congelamiento.motivo}`);
+        });
+    }
+
+    /**
+     * Si el plan está completo, ofrece inscribir al cliente en la lista de espera
+     * @param {ObjectId} planId - ID del plan
+     * @param {ObjectId} clienteId - ID del cliente
+     * @returns {Promise<boolean>} True si el plan estaba completo y no se debe continuar
+     */
+    async ofrecerListaEspera(planId, clienteId) {
+        const { data: cupo } = await this.listaEsperaService.consultarCupo(planId, clienteId);
+        if (!cupo.completo) {
+            return false;
+        }
+
+        console.log(chalk.yellow(`\n⚠️  El plan está completo: ${cupo.ocupados}/${cupo.cupoMaximo} clientes, ${cupo.reservados} cupo(s) reservado(s) y ${cupo.enEspera} en espera`));
+        const { inscribir } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'inscribir',
+                message: '¿Inscribir al cliente en la lista de espera?',
+                default: true
+            }
+        ]);
+        if (inscribir) {
+            const resultado = await this.listaEsperaService.inscribirEnListaEspera(planId, clienteId);
+            console.log(chalk.green(`✅ ${resultado.mensaje}`));
+        }
+        return true;
+    }
+
     /**
      * Renueva un contrato
      */
@@ -602,16 +1293,6 @@ class ContratoCLI {
                     },
                     filter: input => parseInt(input)
                 },
-                {
-                    type: 'input',
-                    name: 'precio',
-                    message: 'Nuevo precio:',
-                    validate: input => {
-                        const precio = parseFloat(input);
-                        return precio > 0 ? true : 'El precio debe ser mayor a 0';
-                    },
-                    filter: input => parseFloat(input)
-                },
                 {
                     type: 'input',
                     name: 'fechaInicio',
@@ -622,6 +1303,23 @@ class ContratoCLI {
                         return fecha.isValid() ? true : 'Formato de fecha inválido';
                     }
                 },
+                {
+                    type: 'input',
+                    name: 'precio',
+                    message: 'Nuevo precio (por defecto, el precio de lista del catálogo):',
+                    // Se propone el precio de la tarifa vigente al inicio de la renovación
+                    default: async respuestas => {
+                        const cotizacion = await this.tarifaService.cotizarPrecio(
+                            contrato.planId, respuestas.duracionMeses, new Date(respuestas.fechaInicio)
+                        );
+                        return cotizacion ? String(cotizacion.precio) : undefined;
+                    },
+                    validate: input => {
+                        const precio = parseFloat(input);
+                        return precio > 0 ? true : 'El precio debe ser mayor a 0';
+                    },
+                    filter: input => parseFloat(input)
+                },
                 {
                     type: 'input',
                     name: 'fechaFin',
@@ -648,9 +1346,27 @@ class ContratoCLI {
                         }
                         return true;
                     }
+                },
+                {
+                    type: 'list',
+                    name: 'modalidadPago',
+                    message: 'Modalidad de pago del nuevo contrato:',
+                    choices: [
+                        { name: 'Contado (una cuota al inicio)', value: 'contado' },
+                        { name: 'Mensual (una cuota por mes)', value: 'mensual' },
+                        { name: 'Cuotas personalizadas', value: 'personalizado' }
+                    ],
+                    default: contrato.cronogramaPagos ? contrato.cronogramaPagos.modalidad : 'contado'
                 }
             ]);
 
+            let cuotas;
+            if (datosRenovacion.modalidadPago === 'personalizado') {
+                cuotas = await this.pedirCuotasPersonalizadas(
+                    datosRenovacion.precio, datosRenovacion.fechaInicio, datosRenovacion.fechaFin
+                );
+            }
+
             console.log(chalk.yellow('\n⏳ Renovando contrato...'));
 
             const resultadoRenovacion = await this.contratoService.renovarContrato(contratoId, {
@@ -658,12 +1374,18 @@ class ContratoCLI {
                 precio: datosRenovacion.precio,
                 fechaInicio: new Date(datosRenovacion.fechaInicio),
                 fechaFin: new Date(datosRenovacion.fechaFin),
-                condiciones: datosRenovacion.condiciones
+                condiciones: datosRenovacion.condiciones,
+                modalidadPago: datosRenovacion.modalidadPago,
+                cuotas
             });
 
             if (resultadoRenovacion.success) {
                 console.log(chalk.green('✅ Contrato renovado exitosamente'));
                 console.log(chalk.gray(`Nuevo contrato ID: ${resultadoRenovacion.contratoId}`));
+                if (resultadoRenovacion.cuotasCanceladas.cantidad > 0) {
+                    console.log(chalk.gray(`${resultadoRenovacion.cuotasCanceladas.cantidad} cuota(s) del contrato anterior reemplazada(s) por el nuevo cronograma ($${resultadoRenovacion.cuotasCanceladas.monto})`));
+                }
+                this.mostrarCronogramaPagos(resultadoRenovacion.cronogramaPagos);
             }
 
         } catch (error) {
@@ -691,6 +1413,7 @@ class ContratoCLI {
                 console.log(`Contratos vencidos: ${stats.vencidos}`);
                 console.log(`Contratos cancelados: ${stats.cancelados}`);
                 console.log(`Contratos renovados: ${stats.renovados}`);
+                console.log(`Contratos congelados: ${stats.suspendidos}`);
                 console.log(`Ingresos totales: $${stats.ingresosTotales.toLocaleString()}`);
             }
 
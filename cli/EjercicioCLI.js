@@ -0,0 +1,423 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const { EjercicioService } = require('../services');
+const { Ejercicio } = require('../models');
+const config = require('../config');
+
+/**
+ * CLI para la Biblioteca de Ejercicios
+ * Permite mantener el catálogo del que se arman las rutinas y consultar qué planes
+ * usan un ejercicio o un equipo
+ */
+class EjercicioCLI {
+    constructor(db) {
+        this.db = db;
+        this.ejercicioService = new EjercicioService(db);
+    }
+
+    /**
+     * Muestra el menú de la biblioteca de ejercicios
+     */
+    async mostrarMenuEjercicios() {
+        console.log(chalk.blue.bold('\n🏋️  BIBLIOTECA DE EJERCICIOS'));
+        console.log(chalk.gray('===========================\n'));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: 'Selecciona una opción:',
+                choices: [
+                    { name: '➕ Registrar Ejercicio', value: 'crear' },
+                    { name: '📋 Listar Ejercicios', value: 'listar' },
+                    { name: '🔍 Buscar Ejercicio', value: 'buscar' },
+                    { name: '📄 Ver Detalle y Planes que lo Usan', value: 'detalle' },
+                    { name: '✏️  Actualizar Ejercicio', value: 'actualizar' },
+                    { name: '🗑️  Eliminar Ejercicio', value: 'eliminar' },
+                    { name: '🔧 Planes Afectados por un Equipo', value: 'equipamiento' },
+                    { name: '🔙 Volver al Menú Principal', value: 'volver' }
+                ]
+            }
+        ]);
+
+        switch (opcion) {
+            case 'crear':
+                await this.crearEjercicio();
+                break;
+            case 'listar':
+                await this.listarEjercicios();
+                break;
+            case 'buscar':
+                await this.buscarEjercicios();
+                break;
+            case 'detalle':
+                await this.verDetalleEjercicio();
+                break;
+            case 'actualizar':
+                await this.actualizarEjercicio();
+                break;
+            case 'eliminar':
+                await this.eliminarEjercicio();
+                break;
+            case 'equipamiento':
+                await this.verPlanesPorEquipamiento();
+                break;
+            case 'volver':
+                return;
+        }
+
+        // Volver al menú de la biblioteca
+        await this.mostrarMenuEjercicios();
+    }
+
+    /**
+     * Registra un ejercicio en la biblioteca
+     */
+    async crearEjercicio() {
+        try {
+            console.log(chalk.blue('\n➕ REGISTRAR EJERCICIO'));
+            console.log(chalk.gray('=====================\n'));
+
+            const datos = await this.solicitarDatosEjercicio();
+            const resultado = await this.ejercicioService.crearEjercicio(datos);
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`ID del ejercicio: ${resultado.ejercicioId}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Lista los ejercicios con filtros opcionales
+     */
+    async listarEjercicios() {
+        try {
+            console.log(chalk.blue('\n📋 EJERCICIOS DE LA BIBLIOTECA'));
+            console.log(chalk.gray('==============================\n'));
+
+            const filtros = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'grupoMuscular',
+                    message: 'Grupo muscular:',
+                    choices: [
+                        { name: 'Todos', value: '' },
+                        ...Ejercicio.GRUPOS_MUSCULARES.map(grupo => ({ name: grupo, value: grupo }))
+                    ]
+                },
+                {
+                    type: 'list',
+                    name: 'dificultad',
+                    message: 'Dificultad:',
+                    choices: [
+                        { name: 'Todas', value: '' },
+                        ...config.validation.planLevels.map(nivel => ({ name: nivel, value: nivel }))
+                    ]
+                }
+            ]);
+
+            const resultado = await this.ejercicioService.listarEjercicios(filtros);
+            this.mostrarListaEjercicios(resultado.data);
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Busca ejercicios por nombre, grupo muscular o equipamiento
+     */
+    async buscarEjercicios() {
+        try {
+            const { termino } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'termino',
+                    message: 'Nombre, grupo muscular o equipo:',
+                    validate: input => input.trim().length >= 2 || 'El término de búsqueda debe tener al menos 2 caracteres'
+                }
+            ]);
+
+            const resultado = await this.ejercicioService.buscarEjercicios(termino);
+            this.mostrarListaEjercicios(resultado.data);
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra el detalle de un ejercicio y los planes que lo usan
+     */
+    async verDetalleEjercicio() {
+        try {
+            const ejercicioId = await this.seleccionarEjercicio();
+            if (!ejercicioId) {
+                await this.pausar();
+                return;
+            }
+
+            const { data: ejercicio } = await this.ejercicioService.obtenerEjercicio(ejercicioId);
+            this.mostrarEjercicio(ejercicio);
+
+            console.log(chalk.cyan(`\n📋 Planes que lo usan (${ejercicio.planes.length}):`));
+            if (ejercicio.planes.length === 0) {
+                console.log(chalk.gray('   Ningún plan lo incluye en su rutina.'));
+            } else {
+                this.mostrarUsosEnPlanes(ejercicio.planes);
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Actualiza los datos de un ejercicio
+     */
+    async actualizarEjercicio() {
+        try {
+            const ejercicioId = await this.seleccionarEjercicio();
+            if (!ejercicioId) {
+                await this.pausar();
+                return;
+            }
+
+            const { data: actual } = await this.ejercicioService.obtenerEjercicio(ejercicioId);
+            const datos = await this.solicitarDatosEjercicio(actual);
+            const resultado = await this.ejercicioService.actualizarEjercicio(ejercicioId, datos);
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Elimina un ejercicio que no use ningún plan
+     */
+    async eliminarEjercicio() {
+        try {
+            const ejercicioId = await this.seleccionarEjercicio();
+            if (!ejercicioId) {
+                await this.pausar();
+                return;
+            }
+
+            const { confirmar } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmar',
+                    message: '¿Eliminar el ejercicio de la biblioteca?',
+                    default: false
+                }
+            ]);
+
+            if (!confirmar) {
+                console.log(chalk.yellow('\nOperación cancelada.'));
+            } else {
+                const resultado = await this.ejercicioService.eliminarEjercicio(ejercicioId);
+                console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra los planes cuyas rutinas usan ejercicios que requieren un equipo
+     */
+    async verPlanesPorEquipamiento() {
+        try {
+            const { data: equipos } = await this.ejercicioService.listarEquipamiento();
+            if (equipos.length === 0) {
+                console.log(chalk.yellow('\nNingún ejercicio de la biblioteca requiere equipamiento.'));
+                await this.pausar();
+                return;
+            }
+
+            const { equipo } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'equipo',
+                    message: 'Equipo fuera de servicio o a revisar:',
+                    choices: equipos
+                }
+            ]);
+
+            const resultado = await this.ejercicioService.obtenerPlanesPorEquipamiento(equipo);
+
+            console.log(chalk.blue(`\n🔧 PLANES AFECTADOS POR: ${equipo.toUpperCase()}`));
+            console.log(chalk.gray('='.repeat(50)));
+            console.log(`Ejercicios que lo requieren: ${resultado.ejercicios.map(ejercicio => ejercicio.nombre).join(', ')}`);
+
+            if (resultado.total === 0) {
+                console.log(chalk.green('\nNingún plan usa esos ejercicios.'));
+            } else {
+                console.log(chalk.yellow(`\n${resultado.total} plan(es) a actualizar:`));
+                this.mostrarUsosEnPlanes(resultado.data);
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Solicita los datos de un ejercicio
+     * @param {Object} actual - Datos actuales (al actualizar)
+     * @returns {Promise<Object>} Datos ingresados
+     */
+    async solicitarDatosEjercicio(actual = null) {
+        const equipamientoActual = actual && actual.equipamiento[0] !== 'peso corporal'
+            ? actual.equipamiento.join(', ')
+            : '';
+
+        const datos = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'nombre',
+                message: 'Nombre del ejercicio:',
+                default: actual ? actual.nombre : undefined,
+                validate: input => input.trim().length >= 2 || 'El nombre debe tener al menos 2 caracteres'
+            },
+            {
+                type: 'checkbox',
+                name: 'gruposMusculares',
+                message: 'Grupos musculares que trabaja:',
+                choices: Ejercicio.GRUPOS_MUSCULARES.map(grupo => ({
+                    name: grupo,
+                    value: grupo,
+                    checked: actual ? actual.gruposMusculares.includes(grupo) : false
+                })),
+                validate: input => input.length > 0 || 'Seleccione al menos un grupo muscular'
+            },
+            {
+                type: 'input',
+                name: 'equipamiento',
+                message: 'Equipamiento separado por comas (vacío = peso corporal):',
+                default: equipamientoActual || undefined,
+                filter: input => input.split(',').map(equipo => equipo.trim()).filter(Boolean)
+            },
+            {
+                type: 'list',
+                name: 'dificultad',
+                message: 'Dificultad:',
+                choices: config.validation.planLevels,
+                default: actual ? actual.dificultad : undefined
+            },
+            {
+                type: 'input',
+                name: 'instrucciones',
+                message: 'Instrucciones de ejecución (opcional):',
+                default: actual && actual.instrucciones ? actual.instrucciones : undefined
+            }
+        ]);
+
+        return datos;
+    }
+
+    /**
+     * Permite seleccionar un ejercicio buscándolo en la biblioteca
+     * @returns {Promise<string|null>} ID del ejercicio seleccionado o null
+     */
+    async seleccionarEjercicio() {
+        const { termino } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'termino',
+                message: 'Nombre, grupo muscular o equipo del ejercicio:',
+                validate: input => input.trim().length >= 2 || 'El término de búsqueda debe tener al menos 2 caracteres'
+            }
+        ]);
+
+        const resultado = await this.ejercicioService.buscarEjercicios(termino);
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('\nNo se encontraron ejercicios.'));
+            return null;
+        }
+
+        const { ejercicioId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'ejercicioId',
+                message: 'Selecciona el ejercicio:',
+                choices: resultado.data.map(ejercicio => ({
+                    name: `${ejercicio.nombre} (${ejercicio.gruposMusculares.join(', ')})`,
+                    value: ejercicio.ejercicioId.toString()
+                }))
+            }
+        ]);
+
+        return ejercicioId;
+    }
+
+    /**
+     * Muestra una lista de ejercicios
+     * @param {Array} ejercicios - Resúmenes de ejercicios
+     */
+    mostrarListaEjercicios(ejercicios) {
+        if (ejercicios.length === 0) {
+            console.log(chalk.yellow('\nNo se encontraron ejercicios.'));
+            return;
+        }
+
+        console.log(chalk.green(`\n${ejercicios.length} ejercicio(s):\n`));
+        ejercicios.forEach((ejercicio, index) => {
+            console.log(`${index + 1}. ${chalk.bold(ejercicio.nombre)} - ${ejercicio.dificultad}`);
+            console.log(chalk.gray(`   Grupos: ${ejercicio.gruposMusculares.join(', ')} | Equipo: ${ejercicio.equipamiento.join(', ')}`));
+        });
+    }
+
+    /**
+     * Muestra la información de un ejercicio
+     * @param {Object} ejercicio - Resumen del ejercicio
+     */
+    mostrarEjercicio(ejercicio) {
+        console.log(chalk.green(`\n🏋️  ${ejercicio.nombre}`));
+        console.log(`Grupos musculares: ${ejercicio.gruposMusculares.join(', ')}`);
+        console.log(`Equipamiento: ${ejercicio.equipamiento.join(', ')}`);
+        console.log(`Dificultad: ${ejercicio.dificultad}`);
+        if (ejercicio.instrucciones) {
+            console.log(`Instrucciones: ${ejercicio.instrucciones}`);
+        }
+    }
+
+    /**
+     * Muestra los planes y en qué semanas y días aparecen los ejercicios
+     * @param {Array} planes - Planes con sus usos
+     */
+    mostrarUsosEnPlanes(planes) {
+        planes.forEach((plan, index) => {
+            console.log(`   ${index + 1}. ${chalk.bold(plan.nombre)} (${plan.estado}, ${plan.cantidadClientes} cliente(s))`);
+            plan.usos.forEach(uso => {
+                console.log(chalk.gray(`      Semana ${uso.semana} - ${uso.dia}: ${uso.ejercicio}`));
+            });
+        });
+    }
+
+    /**
+     * Pausa la ejecución hasta que el usuario presione Enter
+     */
+    async pausar() {
+        console.log(chalk.gray('\n' + '─'.repeat(50)));
+        await inquirer.prompt([{
+            type: 'input',
+            name: 'continuar',
+            message: chalk.cyan('Presiona Enter para continuar...')
+        }]);
+    }
+}
+
+module.exports = EjercicioCLI;
@@ -2,6 +2,7 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const dayjs = require('dayjs');
 const FinanzasService = require('../services/FinanzasService');
+const ReferidoService = require('../services/ReferidoService');
 const { Pago } = require('../models');
 
 /**
@@ -11,6 +12,7 @@ const { Pago } = require('../models');
 class FinanzasCLI {
     constructor(db) {
         this.finanzasService = new FinanzasService(db);
+        this.referidoService = new ReferidoService(db);
     }
 
     /**
@@ -233,8 +235,26 @@ class FinanzasCLI {
                 notas: respuestas.notas
             };
 
+            // Ofrecer el crédito de referidos disponible en ingresos pagados de un cliente
+            if (pagoData.clienteId && pagoData.tipoMovimiento === 'ingreso' && pagoData.estado === 'pagado') {
+                const creditoDisponible = await this.referidoService.obtenerCreditoDisponible(pagoData.clienteId);
+                if (creditoDisponible > 0) {
+                    const { aplicarCredito } = await inquirer.prompt([{
+                        type: 'confirm',
+                        name: 'aplicarCredito',
+                        message: `🤝 El cliente tiene €${creditoDisponible.toFixed(2)} de crédito por referidos. ¿Aplicarlo a este pago?`,
+                        default: true
+                    }]);
+                    pagoData.aplicarCreditoReferidos = aplicarCredito;
+                }
+            }
+
             const pagoId = await this.finanzasService.registrarPago(pagoData);
             console.log(chalk.green(`\n✅ 💳 Pago registrado exitosamente con ID: ${pagoId}`));
+            if (pagoData.aplicarCreditoReferidos) {
+                const pago = await this.finanzasService.obtenerPago(pagoId);
+                console.log(chalk.cyan(`🤝 Crédito de referidos aplicado: €${pago.getTotalDescuentos().toFixed(2)} (cobrado: €${pago.monto.toFixed(2)})`));
+            }
         } catch (error) {
             console.log(chalk.red(`\n❌ Error al registrar pago: ${error.message}`));
             console.log(chalk.yellow('\n💡 Consejos:'));
@@ -675,6 +695,9 @@ class FinanzasCLI {
             console.log(chalk.yellow(`⏳ ⏰ Pagos Pendientes: ${alertas.totalPendientes}`));
             console.log(chalk.red(`⚠️ 🚨 Pagos Retrasados: ${alertas.totalRetrasados}`));
             console.log(chalk.red(`🚨 ⚠️ Pagos Vencidos: ${alertas.totalVencidos}`));
+            if (alertas.omitidosPorCongelamiento > 0) {
+                console.log(chalk.gray(`🧊 ${alertas.omitidosPorCongelamiento} pago(s) sin alerta por contratos congelados`));
+            }
 
             if (alertas.pagosPendientes.length > 0) {
                 console.log(chalk.yellow('\n⏳ ⏰ PAGOS PENDIENTES:'));
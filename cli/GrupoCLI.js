@@ -0,0 +1,549 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const { GrupoService, ClienteService, FinanzasService } = require('../services');
+const { Grupo } = require('../models');
+
+/**
+ * CLI para Grupos y Convenios
+ * Permite gestionar membresías familiares y convenios corporativos con pagador designado
+ */
+class GrupoCLI {
+    constructor(db) {
+        this.db = db;
+        this.grupoService = new GrupoService(db);
+        this.clienteService = new ClienteService(db);
+        this.finanzasService = new FinanzasService(db);
+    }
+
+    /**
+     * Muestra el menú de grupos y convenios
+     */
+    async mostrarMenuGrupos() {
+        console.log(chalk.blue.bold('\n👨‍👩‍👧 GRUPOS Y CONVENIOS'));
+        console.log(chalk.gray('======================\n'));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: 'Selecciona una opción:',
+                choices: [
+                    { name: '➕ Crear Grupo', value: 'crear' },
+                    { name: '📋 Listar Grupos', value: 'listar' },
+                    { name: '🔍 Ver Detalle de Grupo', value: 'detalle' },
+                    { name: '👤 Agregar Miembro', value: 'agregar' },
+                    { name: '🚪 Retirar Miembro', value: 'retirar' },
+                    { name: '💳 Cambiar Pagador', value: 'pagador' },
+                    { name: '✏️  Editar Condiciones', value: 'editar' },
+                    { name: '💰 Balance del Grupo', value: 'balance' },
+                    { name: '🗑️  Eliminar Grupo', value: 'eliminar' },
+                    { name: '🔙 Volver al Menú Principal', value: 'volver' }
+                ]
+            }
+        ]);
+
+        switch (opcion) {
+            case 'crear':
+                await this.crearGrupo();
+                break;
+            case 'listar':
+                await this.listarGrupos();
+                break;
+            case 'detalle':
+                await this.verDetalleGrupo();
+                break;
+            case 'agregar':
+                await this.agregarMiembro();
+                break;
+            case 'retirar':
+                await this.retirarMiembro();
+                break;
+            case 'pagador':
+                await this.cambiarPagador();
+                break;
+            case 'editar':
+                await this.editarCondiciones();
+                break;
+            case 'balance':
+                await this.verBalanceGrupo();
+                break;
+            case 'eliminar':
+                await this.eliminarGrupo();
+                break;
+            case 'volver':
+                return;
+        }
+
+        // Volver al menú de grupos
+        await this.mostrarMenuGrupos();
+    }
+
+    /**
+     * Crea un grupo familiar o corporativo
+     */
+    async crearGrupo() {
+        try {
+            console.log(chalk.blue('\n➕ CREAR GRUPO'));
+            console.log(chalk.gray('==============\n'));
+
+            const datos = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'nombre',
+                    message: 'Nombre del grupo (familia o empresa):',
+                    validate: input => input.trim().length >= 2 || 'El nombre debe tener al menos 2 caracteres'
+                },
+                {
+                    type: 'list',
+                    name: 'tipo',
+                    message: 'Tipo de grupo:',
+                    choices: Grupo.TIPOS_VALIDOS.map(tipo => ({ name: tipo, value: tipo }))
+                },
+                {
+                    type: 'input',
+                    name: 'descuentoPorcentaje',
+                    message: `Descuento para los miembros (0-${Grupo.DESCUENTO_MAXIMO}%):`,
+                    default: '0',
+                    validate: input => {
+                        const descuento = parseFloat(input);
+                        return (!isNaN(descuento) && descuento >= 0 && descuento <= Grupo.DESCUENTO_MAXIMO)
+                            || `El descuento debe estar entre 0 y ${Grupo.DESCUENTO_MAXIMO}`;
+                    },
+                    filter: input => parseFloat(input)
+                },
+                {
+                    type: 'confirm',
+                    name: 'facturarAPagador',
+                    message: '¿Facturar los contratos de los miembros al pagador?',
+                    default: (respuestas) => respuestas.tipo === 'corporativo'
+                },
+                {
+                    type: 'input',
+                    name: 'notas',
+                    message: 'Notas del convenio (opcional):'
+                }
+            ]);
+
+            console.log(chalk.cyan('\nSeleccione el cliente que será el pagador del grupo:'));
+            const pagador = await this.seleccionarCliente();
+            if (!pagador) {
+                await this.pausar();
+                return;
+            }
+
+            const resultado = await this.grupoService.crearGrupo({
+                ...datos,
+                pagadorId: pagador.clienteId
+            });
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`ID del grupo: ${resultado.grupoId}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Lista los grupos registrados
+     */
+    async listarGrupos() {
+        try {
+            console.log(chalk.blue('\n📋 GRUPOS REGISTRADOS'));
+            console.log(chalk.gray('=====================\n'));
+
+            const resultado = await this.grupoService.listarGrupos();
+            if (resultado.total === 0) {
+                console.log(chalk.yellow('No hay grupos registrados.'));
+            } else {
+                resultado.data.forEach((grupo, index) => {
+                    const estado = grupo.activo ? chalk.green('activo') : chalk.red('inactivo');
+                    console.log(`${index + 1}. ${chalk.bold(grupo.nombre)} (${grupo.tipo}) - ${estado}`);
+                    console.log(chalk.gray(`   Pagador: ${grupo.pagador} | Miembros: ${grupo.cantidadMiembros} | Descuento: ${grupo.descuentoPorcentaje}% | Factura al pagador: ${grupo.facturarAPagador ? 'Sí' : 'No'}`));
+                });
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra el detalle de un grupo y sus miembros
+     */
+    async verDetalleGrupo() {
+        try {
+            const grupoId = await this.seleccionarGrupo();
+            if (!grupoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { data: grupo } = await this.grupoService.obtenerGrupo(grupoId);
+            this.mostrarGrupo(grupo);
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Agrega un cliente a un grupo
+     */
+    async agregarMiembro() {
+        try {
+            const grupoId = await this.seleccionarGrupo();
+            if (!grupoId) {
+                await this.pausar();
+                return;
+            }
+
+            const cliente = await this.seleccionarCliente();
+            if (!cliente) {
+                await this.pausar();
+                return;
+            }
+
+            const resultado = await this.grupoService.agregarMiembro(grupoId, cliente.clienteId);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Retira un miembro de un grupo
+     */
+    async retirarMiembro() {
+        try {
+            const grupoId = await this.seleccionarGrupo();
+            if (!grupoId) {
+                await this.pausar();
+                return;
+            }
+
+            const miembroId = await this.seleccionarMiembro(grupoId, 'Selecciona el miembro a retirar:', false);
+            if (!miembroId) {
+                await this.pausar();
+                return;
+            }
+
+            const resultado = await this.grupoService.removerMiembro(grupoId, miembroId);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray('Los contratos ya creados conservan las condiciones del grupo.'));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Designa otro miembro como pagador del grupo
+     */
+    async cambiarPagador() {
+        try {
+            const grupoId = await this.seleccionarGrupo();
+            if (!grupoId) {
+                await this.pausar();
+                return;
+            }
+
+            const miembroId = await this.seleccionarMiembro(grupoId, 'Selecciona el nuevo pagador:', false);
+            if (!miembroId) {
+                await this.pausar();
+                return;
+            }
+
+            const resultado = await this.grupoService.designarPagador(grupoId, miembroId);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Edita nombre, descuento, facturación y estado del grupo
+     */
+    async editarCondiciones() {
+        try {
+            const grupoId = await this.seleccionarGrupo();
+            if (!grupoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { data: grupo } = await this.grupoService.obtenerGrupo(grupoId);
+
+            const datos = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'nombre',
+                    message: 'Nombre del grupo:',
+                    default: grupo.nombre,
+                    validate: input => input.trim().length >= 2 || 'El nombre debe tener al menos 2 caracteres'
+                },
+                {
+                    type: 'input',
+                    name: 'descuentoPorcentaje',
+                    message: `Descuento para los miembros (0-${Grupo.DESCUENTO_MAXIMO}%):`,
+                    default: String(grupo.descuentoPorcentaje),
+                    validate: input => {
+                        const descuento = parseFloat(input);
+                        return (!isNaN(descuento) && descuento >= 0 && descuento <= Grupo.DESCUENTO_MAXIMO)
+                            || `El descuento debe estar entre 0 y ${Grupo.DESCUENTO_MAXIMO}`;
+                    },
+                    filter: input => parseFloat(input)
+                },
+                {
+                    type: 'confirm',
+                    name: 'facturarAPagador',
+                    message: '¿Facturar los contratos de los miembros al pagador?',
+                    default: grupo.facturarAPagador
+                },
+                {
+                    type: 'confirm',
+                    name: 'activo',
+                    message: '¿Grupo activo? (los grupos inactivos no aplican condiciones a nuevos contratos)',
+                    default: grupo.activo
+                },
+                {
+                    type: 'input',
+                    name: 'notas',
+                    message: 'Notas del convenio:',
+                    default: grupo.notas
+                }
+            ]);
+
+            const resultado = await this.grupoService.actualizarGrupo(grupoId, datos);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray('Las nuevas condiciones aplican solo a contratos creados a partir de ahora.'));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra el balance consolidado de un grupo
+     */
+    async verBalanceGrupo() {
+        try {
+            const grupoId = await this.seleccionarGrupo();
+            if (!grupoId) {
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.yellow('\n⏳ Calculando balance del grupo...'));
+            const balance = await this.finanzasService.obtenerBalancePorGrupo(grupoId);
+            this.mostrarBalanceGrupo(balance);
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Elimina un grupo
+     */
+    async eliminarGrupo() {
+        try {
+            const grupoId = await this.seleccionarGrupo();
+            if (!grupoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { confirmar } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmar',
+                    message: '¿Eliminar el grupo? Los contratos existentes conservan sus condiciones',
+                    default: false
+                }
+            ]);
+
+            if (!confirmar) {
+                console.log(chalk.yellow('\nOperación cancelada.'));
+            } else {
+                const resultado = await this.grupoService.eliminarGrupo(grupoId);
+                console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra la información de un grupo y sus miembros
+     * @param {Object} grupo - Grupo con miembros
+     */
+    mostrarGrupo(grupo) {
+        console.log(chalk.green(`\n👨‍👩‍👧 ${grupo.nombre} (${grupo.tipo})`));
+        console.log(`Estado: ${grupo.activo ? 'Activo' : 'Inactivo'}`);
+        console.log(`Descuento: ${grupo.descuentoPorcentaje}%`);
+        console.log(`Factura al pagador: ${grupo.facturarAPagador ? 'Sí' : 'No'}`);
+        console.log(`Creado: ${grupo.fechaCreacion}`);
+        if (grupo.notas) {
+            console.log(`Notas: ${grupo.notas}`);
+        }
+
+        console.log(chalk.cyan(`\nMiembros (${grupo.miembros.length}):`));
+        grupo.miembros.forEach((miembro, index) => {
+            const etiqueta = miembro.esPagador ? chalk.yellow(' [PAGADOR]') : '';
+            const estado = miembro.activo ? '' : chalk.red(' (inactivo)');
+            console.log(`   ${index + 1}. ${miembro.nombreCompleto}${etiqueta}${estado}${miembro.email ? chalk.gray(` - ${miembro.email}`) : ''}`);
+        });
+    }
+
+    /**
+     * Muestra el balance consolidado de un grupo
+     * @param {Object} balance - Resultado de FinanzasService.obtenerBalancePorGrupo
+     */
+    mostrarBalanceGrupo(balance) {
+        console.log(chalk.green(`\n💰 BALANCE DEL GRUPO ${balance.grupo.nombre.toUpperCase()}`));
+        console.log(chalk.gray('='.repeat(50)));
+
+        balance.miembros.forEach(miembro => {
+            const etiqueta = miembro.esPagador ? chalk.yellow(' [PAGADOR]') : '';
+            console.log(chalk.bold(`\n👤 ${miembro.nombreCompleto}${etiqueta}`));
+            console.log(`   Contratos vigentes a su cargo: ${miembro.contratosVigentes} ($${miembro.montoContratosAPagar.toFixed(2)})`);
+            console.log(chalk.green(`   Pagado: $${miembro.pagado.toFixed(2)}`));
+            console.log(chalk.yellow(`   Pendiente: $${miembro.pendiente.toFixed(2)}`));
+            console.log(chalk.red(`   Retrasado: $${miembro.retrasado.toFixed(2)}`));
+        });
+
+        const { totales } = balance;
+        console.log(chalk.cyan('\n📊 TOTALES DEL GRUPO'));
+        console.log(`Contratos vigentes: ${totales.contratosVigentes} ($${totales.montoContratosAPagar.toFixed(2)})`);
+        console.log(chalk.green(`Total pagado: $${totales.pagado.toFixed(2)}`));
+        console.log(chalk.bold(`Saldo por cobrar: $${totales.saldoPorCobrar.toFixed(2)}`));
+        console.log(chalk.gray(`Ahorro por descuentos de grupo: $${totales.ahorroDescuentos.toFixed(2)}`));
+    }
+
+    /**
+     * Permite seleccionar un grupo de la lista
+     * @returns {Promise<string|null>} ID del grupo seleccionado o null
+     */
+    async seleccionarGrupo() {
+        const resultado = await this.grupoService.listarGrupos();
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('\nNo hay grupos registrados.'));
+            return null;
+        }
+
+        const { grupoId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'grupoId',
+                message: 'Selecciona el grupo:',
+                choices: resultado.data.map(grupo => ({
+                    name: `${grupo.nombre} (${grupo.tipo}, ${grupo.cantidadMiembros} miembros)`,
+                    value: grupo.grupoId.toString()
+                }))
+            }
+        ]);
+
+        return grupoId;
+    }
+
+    /**
+     * Permite seleccionar un miembro de un grupo
+     * @param {string} grupoId - ID del grupo
+     * @param {string} mensaje - Mensaje del prompt
+     * @param {boolean} incluirPagador - Si el pagador actual aparece en la lista
+     * @returns {Promise<string|null>} ID del miembro seleccionado o null
+     */
+    async seleccionarMiembro(grupoId, mensaje, incluirPagador = true) {
+        const { data: grupo } = await this.grupoService.obtenerGrupo(grupoId);
+        const miembros = grupo.miembros.filter(miembro => incluirPagador || !miembro.esPagador);
+
+        if (miembros.length === 0) {
+            console.log(chalk.yellow('\nEl grupo no tiene otros miembros además del pagador.'));
+            return null;
+        }
+
+        const { miembroId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'miembroId',
+                message: mensaje,
+                choices: miembros.map(miembro => ({
+                    name: `${miembro.nombreCompleto}${miembro.email ? ` (${miembro.email})` : ''}`,
+                    value: miembro.clienteId.toString()
+                }))
+            }
+        ]);
+
+        return miembroId;
+    }
+
+    /**
+     * Solicita un término de búsqueda y permite elegir el cliente entre las coincidencias
+     * @returns {Promise<Object|null>} Resumen del cliente seleccionado o null
+     */
+    async seleccionarCliente() {
+        const { termino } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'termino',
+                message: 'Nombre, email o teléfono del cliente:',
+                validate: input => input.trim().length >= 2 || 'El término de búsqueda debe tener al menos 2 caracteres'
+            }
+        ]);
+
+        console.log(chalk.yellow('\n⏳ Buscando cliente...'));
+
+        const resultado = await this.clienteService.buscarClientes(termino);
+        if (!resultado.success || resultado.data.length === 0) {
+            console.log(chalk.red('\n❌ No se encontró ningún cliente'));
+            return null;
+        }
+
+        if (resultado.data.length === 1) {
+            const cliente = resultado.data[0];
+            console.log(chalk.green(`\n👤 ${cliente.nombreCompleto} (${cliente.email})`));
+            return cliente;
+        }
+
+        const { clienteId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'clienteId',
+                message: 'Selecciona el cliente:',
+                choices: resultado.data.map(cliente => ({
+                    name: `${cliente.nombreCompleto} (${cliente.email})`,
+                    value: cliente.clienteId.toString()
+                }))
+            }
+        ]);
+
+        return resultado.data.find(cliente => cliente.clienteId.toString() === clienteId);
+    }
+
+    /**
+     * Pausa la ejecución hasta que el usuario presione Enter
+     */
+    async pausar() {
+        console.log(chalk.gray('\n' + '─'.repeat(50)));
+        await inquirer.prompt([{
+            type: 'input',
+            name: 'continuar',
+            message: chalk.cyan('Presiona Enter para continuar...')
+        }]);
+    }
+}
+
+module.exports = GrupoCLI;
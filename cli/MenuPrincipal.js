@@ -8,6 +8,11 @@ const NutricionCLI = require('./NutricionCLI');
 const FinanzasCLI = require('./FinanzasCLI');
 const ReportesCLI = require('./ReportesCLI');
 const ConfigCLI = require('./ConfigCLI');
+const AsistenciaCLI = require('./AsistenciaCLI');
+const GrupoCLI = require('./GrupoCLI');
+const ProspectoCLI = require('./ProspectoCLI');
+const EjercicioCLI = require('./EjercicioCLI');
+const config = require('../config');
 
 /**
  * Menú Principal del Sistema GymMaster CLI
@@ -24,6 +29,10 @@ class MenuPrincipal {
         this.finanzasCLI = new FinanzasCLI(db);
         this.reportesCLI = new ReportesCLI(db);
         this.configCLI = new ConfigCLI(db);
+        this.asistenciaCLI = new AsistenciaCLI(db);
+        this.grupoCLI = new GrupoCLI(db);
+        this.prospectoCLI = new ProspectoCLI(db);
+        this.ejercicioCLI = new EjercicioCLI(db);
     }
 
     /**
@@ -33,6 +42,11 @@ class MenuPrincipal {
         console.log(chalk.blue.bold('\n🏋️  GYMMASTER CLI - Sistema de Gestión de Gimnasio'));
         console.log(chalk.gray('================================================\n'));
 
+        // Mantenimiento: los contratos vencidos se finalizan antes de mostrar el menú
+        if (config.mantenimiento.vencimientoAlIniciar) {
+            await this.configCLI.procesarVencimientosAlIniciar();
+        }
+
         await this.mostrarMenuPrincipal();
     }
 
@@ -50,10 +64,26 @@ class MenuPrincipal {
                         name: '👥 Gestión de Clientes',
                         value: 'clientes'
                     },
+                    {
+                        name: '👨‍👩‍👧 Grupos y Convenios',
+                        value: 'grupos'
+                    },
+                    {
+                        name: '🎯 Prospectos y Pases de Prueba',
+                        value: 'prospectos'
+                    },
                     {
                         name: '📋 Gestión de Planes de Entrenamiento',
                         value: 'planes'
                     },
+                    {
+                        name: '🏋️  Biblioteca de Ejercicios',
+                        value: 'ejercicios'
+                    },
+                    {
+                        name: '🚪 Control de Asistencia',
+                        value: 'asistencia'
+                    },
                     {
                         name: '📊 Seguimiento Físico',
                         value: 'seguimiento'
@@ -94,11 +124,31 @@ class MenuPrincipal {
                 // Volver al menú principal después de gestionar clientes
                 await this.mostrarMenuPrincipal();
                 break;
+            case 'grupos':
+                await this.grupoCLI.mostrarMenuGrupos();
+                // Volver al menú principal después de gestionar grupos
+                await this.mostrarMenuPrincipal();
+                break;
+            case 'prospectos':
+                await this.prospectoCLI.mostrarMenuProspectos();
+                // Volver al menú principal después de gestionar prospectos
+                await this.mostrarMenuPrincipal();
+                break;
             case 'planes':
                 await this.planEntrenamientoCLI.mostrarMenuPlanes();
                 // Volver al menú principal después de gestionar planes
                 await this.mostrarMenuPrincipal();
                 break;
+            case 'ejercicios':
+                await this.ejercicioCLI.mostrarMenuEjercicios();
+                // Volver al menú principal después de gestionar la biblioteca
+                await this.mostrarMenuPrincipal();
+                break;
+            case 'asistencia':
+                await this.asistenciaCLI.mostrarMenuAsistencia();
+                // Volver al menú principal después del control de asistencia
+                await this.mostrarMenuPrincipal();
+                break;
             case 'seguimiento':
                 await this.seguimientoCLI.mostrarMenuSeguimientos();
                 // Volver al menú principal después de gestionar seguimientos
@@ -639,12 +639,21 @@ class NutricionCLI {
             ]);
 
             if (confirmar) {
+                const { motivo } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'motivo',
+                        message: 'Motivo de la eliminación (opcional):'
+                    }
+                ]);
+
                 console.log(chalk.yellow('\n⏳ Eliminando plan nutricional...'));
 
-                const resultado = await this.nutricionService.eliminarPlanNutricional(nutricionId.trim());
+                const resultado = await this.nutricionService.eliminarPlanNutricional(nutricionId.trim(), { motivo });
 
                 if (resultado.success) {
                     console.log(chalk.green('✅ Plan nutricional eliminado exitosamente'));
+                    console.log(chalk.gray('Puede restaurarse desde Configuración > Papelera.'));
                 }
             } else {
                 console.log(chalk.yellow('❌ Operación cancelada'));
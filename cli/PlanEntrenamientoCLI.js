@@ -1,6 +1,6 @@
 const inquirer = require('inquirer');
 const chalk = require('chalk');
-const { PlanEntrenamientoService } = require('../services/index');
+const { PlanEntrenamientoService, EjercicioService, ListaEsperaService, GeneradorPlanesService, TarifaService } = require('../services/index');
 const { ObjectId } = require('mongodb');
 
 /**
@@ -10,6 +10,10 @@ const { ObjectId } = require('mongodb');
 class PlanEntrenamientoCLI {
     constructor(db) {
         this.planService = new PlanEntrenamientoService(db);
+        this.ejercicioService = new EjercicioService(db);
+        this.listaEsperaService = new ListaEsperaService(db);
+        this.generadorService = new GeneradorPlanesService(db);
+        this.tarifaService = new TarifaService(db);
     }
 
     /**
@@ -29,6 +33,10 @@ class PlanEntrenamientoCLI {
                         name: '➕ Crear Nuevo Plan',
                         value: 'crear'
                     },
+                    {
+                        name: '🧬 Generar Plan Periodizado',
+                        value: 'generar'
+                    },
                     {
                         name: '📋 Listar Planes',
                         value: 'listar'
@@ -45,10 +53,26 @@ class PlanEntrenamientoCLI {
                         name: '🗑️  Eliminar Plan',
                         value: 'eliminar'
                     },
+                    {
+                        name: '🗓️  Rutina del Plan (semanas, días y ejercicios)',
+                        value: 'rutina'
+                    },
+                    {
+                        name: '🕘 Versiones del Plan',
+                        value: 'versiones'
+                    },
                     {
                         name: '👥 Gestionar Clientes del Plan',
                         value: 'clientes'
                     },
+                    {
+                        name: '⏳ Lista de Espera y Acciones Pendientes',
+                        value: 'espera'
+                    },
+                    {
+                        name: '💲 Tarifas y Catálogo de Precios',
+                        value: 'tarifas'
+                    },
                     {
                         name: '🔄 Cambiar Estado del Plan',
                         value: 'estado'
@@ -71,6 +95,9 @@ class PlanEntrenamientoCLI {
             case 'crear':
                 await this.crearPlan();
                 break;
+            case 'generar':
+                await this.generarPlanPeriodizado();
+                break;
             case 'listar':
                 await this.listarPlanes();
                 break;
@@ -83,9 +110,21 @@ class PlanEntrenamientoCLI {
             case 'eliminar':
                 await this.eliminarPlan();
                 break;
+            case 'rutina':
+                await this.gestionarRutinaPlan();
+                break;
+            case 'versiones':
+                await this.gestionarVersionesPlan();
+                break;
             case 'clientes':
                 await this.gestionarClientesPlan();
                 break;
+            case 'espera':
+                await this.gestionarListaEspera();
+                break;
+            case 'tarifas':
+                await this.gestionarTarifas();
+                break;
             case 'estado':
                 await this.cambiarEstadoPlan();
                 break;
@@ -155,6 +194,17 @@ class PlanEntrenamientoCLI {
                         return true;
                     }
                 },
+                {
+                    type: 'input',
+                    name: 'cupoMaximo',
+                    message: 'Cupo máximo de clientes (vacío = sin límite):',
+                    validate: (input) => {
+                        if (input.trim() && (!/^\d+$/.test(input.trim()) || parseInt(input) < 1 || parseInt(input) > 1000)) {
+                            return 'El cupo debe ser un número entre 1 y 1000 (vacío = sin límite)';
+                        }
+                        return true;
+                    }
+                },
                 {
                     type: 'list',
                     name: 'estado',
@@ -175,7 +225,8 @@ class PlanEntrenamientoCLI {
                 duracionSemanas: parseInt(datosPlan.duracionSemanas),
                 nivel: datosPlan.nivel,
                 metasFisicas: datosPlan.metasFisicas.trim(),
-                estado: datosPlan.estado
+                estado: datosPlan.estado,
+                cupoMaximo: datosPlan.cupoMaximo.trim() ? parseInt(datosPlan.cupoMaximo) : null
             });
 
             if (resultado.success) {
@@ -185,6 +236,7 @@ class PlanEntrenamientoCLI {
                 console.log(chalk.gray('Duración: ') + chalk.white(`${resultado.data.duracionSemanas} semanas`));
                 console.log(chalk.gray('Nivel: ') + chalk.white(resultado.data.nivel));
                 console.log(chalk.gray('Estado: ') + chalk.white(resultado.data.estado));
+                console.log(chalk.gray('Cupo: ') + chalk.white(resultado.data.cupoMaximo ? `${resultado.data.cupoMaximo} clientes` : 'sin límite'));
             }
 
         } catch (error) {
@@ -195,6 +247,220 @@ class PlanEntrenamientoCLI {
         await this.pausar();
     }
 
+    /**
+     * Genera un plan periodizado desde una plantilla de progresión o a partir de un plan existente
+     */
+    async generarPlanPeriodizado() {
+        console.log(chalk.blue('\n🧬 GENERAR PLAN PERIODIZADO'));
+        console.log(chalk.gray('===========================\n'));
+
+        try {
+            const { origen } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'origen',
+                    message: '¿Desde dónde se genera el plan?',
+                    choices: [
+                        { name: '📚 Plantilla de progresión con ejercicios de la biblioteca', value: 'biblioteca' },
+                        { name: '📋 Rutina de un plan existente con una progresión nueva', value: 'plan' },
+                        { name: '📄 Copia exacta de un plan existente', value: 'clonar' }
+                    ]
+                }
+            ]);
+
+            let plantilla = null;
+            if (origen !== 'biblioteca') {
+                const planId = await this.seleccionarPlan();
+                if (!planId) {
+                    await this.pausar();
+                    return;
+                }
+                plantilla = await this.planService.planRepository.getById(planId);
+            }
+
+            if (origen === 'clonar') {
+                await this.clonarPlan(plantilla);
+                return;
+            }
+
+            const { objetivos, progresiones } = this.generadorService.obtenerOpciones();
+            const parametros = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'objetivo',
+                    message: 'Objetivo:',
+                    choices: objetivos.map(objetivo => ({ name: `${objetivo.name} - ${objetivo.descripcion}`, value: objetivo.value }))
+                },
+                {
+                    type: 'list',
+                    name: 'nivel',
+                    message: 'Nivel del plan:',
+                    choices: [
+                        { name: 'Principiante', value: 'principiante' },
+                        { name: 'Intermedio', value: 'intermedio' },
+                        { name: 'Avanzado', value: 'avanzado' }
+                    ],
+                    default: plantilla ? plantilla.nivel : 'principiante'
+                },
+                {
+                    type: 'input',
+                    name: 'duracionSemanas',
+                    message: 'Duración en semanas:',
+                    default: plantilla ? plantilla.duracionSemanas.toString() : '12',
+                    validate: (input) => {
+                        const duracion = parseInt(input);
+                        if (isNaN(duracion) || duracion < 1 || duracion > 104) {
+                            return 'La duración debe ser un número entre 1 y 104 semanas';
+                        }
+                        return true;
+                    }
+                },
+                {
+                    type: 'list',
+                    name: 'progresion',
+                    message: 'Progresión:',
+                    choices: progresiones.map(progresion => ({ name: `${progresion.name} - ${progresion.descripcion}`, value: progresion.value }))
+                },
+                {
+                    type: 'input',
+                    name: 'descargaCada',
+                    message: 'Semana de descarga cada cuántas semanas (0 = sin descarga):',
+                    default: '4',
+                    validate: (input) => {
+                        const semanas = parseInt(input);
+                        if (isNaN(semanas) || (semanas !== 0 && (semanas < 2 || semanas > 12))) {
+                            return 'Ingresa 0 o un número entre 2 y 12';
+                        }
+                        return true;
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'nombre',
+                    message: 'Nombre del plan (vacío = nombre automático):',
+                    validate: (input) => {
+                        if (input.trim() && input.trim().length < 3) {
+                            return 'El nombre debe tener al menos 3 caracteres';
+                        }
+                        return true;
+                    }
+                }
+            ]);
+
+            const datosGeneracion = {
+                objetivo: parametros.objetivo,
+                nivel: parametros.nivel,
+                duracionSemanas: parseInt(parametros.duracionSemanas),
+                progresion: parametros.progresion,
+                descargaCada: parseInt(parametros.descargaCada),
+                nombre: parametros.nombre.trim() || undefined,
+                planBaseId: plantilla ? plantilla.planId : undefined
+            };
+
+            // Vista previa de la periodización antes de guardar
+            const vistaPrevia = await this.generadorService.previsualizarPlan(datosGeneracion);
+            this.mostrarVistaPreviaPeriodizacion(vistaPrevia);
+
+            const { confirmar } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirmar',
+                    message: '¿Crear el plan?',
+                    default: true
+                }
+            ]);
+            if (!confirmar) {
+                console.log(chalk.yellow('Operación cancelada.'));
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.yellow('\n⏳ Generando plan...'));
+            const resultado = await this.generadorService.generarPlan(datosGeneracion);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray('ID del plan: ') + chalk.cyan(resultado.planId));
+            console.log(chalk.gray('Puedes ajustar los ejercicios desde "Rutina del Plan".'));
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error al generar plan:'));
+            console.log(chalk.red(error.message));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra el plan generado semana por semana antes de guardarlo
+     * @param {Object} vistaPrevia - Resultado de previsualizarPlan
+     */
+    mostrarVistaPreviaPeriodizacion(vistaPrevia) {
+        const { data, resumenSemanas, advertencias } = vistaPrevia;
+        console.log(chalk.blue(`\n📋 VISTA PREVIA: ${data.nombre}`));
+        console.log(chalk.gray(`Nivel: ${data.nivel} | ${data.duracionSemanas} semanas | ${data.semanas[0].dias.length} días por semana`));
+        console.log(chalk.gray(`Metas: ${data.metasFisicas}`));
+
+        console.log(chalk.blue('\nDías de la semana 1:'));
+        data.semanas[0].dias.forEach(dia => {
+            console.log(chalk.white(`  ${dia.nombre}${dia.notas ? chalk.gray(` (${dia.notas})`) : ''}`));
+            dia.ejercicios.forEach(ejercicio => {
+                console.log(chalk.gray(`    • ${ejercicio.nombre}: ${ejercicio.series} x ${ejercicio.repeticiones} @ ${ejercicio.carga}`));
+            });
+        });
+
+        console.log(chalk.blue('\nPeriodización:'));
+        resumenSemanas.forEach(semana => {
+            const intensidad = semana.intensidadMinima === semana.intensidadMaxima
+                ? `${semana.intensidadMaxima}%`
+                : `${semana.intensidadMinima}-${semana.intensidadMaxima}%`;
+            const linea = `  Semana ${semana.numero}: ${intensidad} 1RM, ${semana.seriesTotales} series`;
+            console.log(semana.tipo === 'descarga' ? chalk.cyan(`${linea} (descarga)`) : chalk.gray(linea));
+        });
+
+        advertencias.forEach(advertencia => console.log(chalk.yellow(`\n⚠️  ${advertencia}`)));
+    }
+
+    /**
+     * Crea un plan nuevo copiando la rutina de otro
+     * @param {Object} plantilla - Plan que se copia
+     */
+    async clonarPlan(plantilla) {
+        const datos = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'nombre',
+                message: 'Nombre del nuevo plan:',
+                default: `${plantilla.nombre} (copia)`.slice(0, 100),
+                validate: (input) => {
+                    if (!input || input.trim().length < 3) {
+                        return 'El nombre debe tener al menos 3 caracteres';
+                    }
+                    return true;
+                }
+            },
+            {
+                type: 'input',
+                name: 'duracionSemanas',
+                message: 'Duración en semanas:',
+                default: plantilla.duracionSemanas.toString(),
+                validate: (input) => {
+                    const duracion = parseInt(input);
+                    if (isNaN(duracion) || duracion < 1 || duracion > 104) {
+                        return 'La duración debe ser un número entre 1 y 104 semanas';
+                    }
+                    return true;
+                }
+            }
+        ]);
+
+        console.log(chalk.yellow('\n⏳ Copiando plan...'));
+        const resultado = await this.generadorService.clonarPlan(plantilla.planId, {
+            nombre: datos.nombre.trim(),
+            duracionSemanas: parseInt(datos.duracionSemanas)
+        });
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        console.log(chalk.gray('ID del plan: ') + chalk.cyan(resultado.planId));
+        await this.pausar();
+    }
+
     /**
      * Lista planes con filtros y paginación
      */
@@ -273,7 +539,7 @@ class PlanEntrenamientoCLI {
                         console.log(chalk.gray(`   Duración: ${plan.duracionSemanas} semanas (${plan.duracionMeses} meses)`));
                         console.log(chalk.gray(`   Nivel: ${plan.nivel}`));
                         console.log(chalk.gray(`   Estado: ${estado}`));
-                        console.log(chalk.gray(`   Clientes: ${plan.cantidadClientes}`));
+                        console.log(chalk.gray(`   Clientes: ${plan.cantidadClientes}${plan.cupoMaximo ? ` / cupo ${plan.cupoMaximo}` : ''}`));
                         console.log(chalk.gray(`   Metas: ${plan.metasFisicas}`));
                         console.log(chalk.gray(`   ID: ${plan.planId}\n`));
                     });
@@ -326,7 +592,9 @@ class PlanEntrenamientoCLI {
                         console.log(chalk.gray(`   Duración: ${plan.duracionSemanas} semanas`));
                         console.log(chalk.gray(`   Nivel: ${plan.nivel}`));
                         console.log(chalk.gray(`   Estado: ${estado}`));
-                        console.log(chalk.gray(`   Clientes: ${plan.cantidadClientes}`));
+                        console.log(chalk.gray(`   Clientes: ${plan.cantidadClientes}${plan.cupoMaximo ? ` / cupo ${plan.cupoMaximo}` : ''}`));
+                        console.log(chalk.gray(`   Rutina: ${plan.semanasDefinidas} semana(s), ${plan.totalEjercicios} ejercicio(s)`));
+                        console.log(chalk.gray(`   Versión: ${plan.version}`));
                         console.log(chalk.gray(`   ID: ${plan.planId}\n`));
                     });
                 } else {
@@ -403,6 +671,7 @@ class PlanEntrenamientoCLI {
             console.log(chalk.gray(`Duración: ${planSeleccionado.duracionSemanas} semanas`));
             console.log(chalk.gray(`Nivel: ${planSeleccionado.nivel}`));
             console.log(chalk.gray(`Estado: ${planSeleccionado.estado}`));
+            console.log(chalk.gray(`Cupo: ${planSeleccionado.cupoMaximo ? `${planSeleccionado.cantidadClientes}/${planSeleccionado.cupoMaximo}` : 'sin límite'}`));
             console.log(chalk.gray(`Metas: ${planSeleccionado.metasFisicas}\n`));
 
             // Campos a actualizar
@@ -442,6 +711,18 @@ class PlanEntrenamientoCLI {
                     message: 'Nuevas metas físicas (presiona Enter para mantener actual):',
                     default: planSeleccionado.metasFisicas
                 },
+                {
+                    type: 'input',
+                    name: 'cupoMaximo',
+                    message: 'Nuevo cupo máximo (vacío = sin límite):',
+                    default: planSeleccionado.cupoMaximo ? planSeleccionado.cupoMaximo.toString() : '',
+                    validate: (input) => {
+                        if (input.trim() && (!/^\d+$/.test(input.trim()) || parseInt(input) < 1 || parseInt(input) > 1000)) {
+                            return 'El cupo debe ser un número entre 1 y 1000 (vacío = sin límite)';
+                        }
+                        return true;
+                    }
+                },
                 {
                     type: 'list',
                     name: 'estado',
@@ -469,6 +750,10 @@ class PlanEntrenamientoCLI {
             if (camposActualizar.metasFisicas !== planSeleccionado.metasFisicas) {
                 datosActualizados.metasFisicas = camposActualizar.metasFisicas;
             }
+            const nuevoCupo = camposActualizar.cupoMaximo.trim() ? parseInt(camposActualizar.cupoMaximo) : null;
+            if (nuevoCupo !== planSeleccionado.cupoMaximo) {
+                datosActualizados.cupoMaximo = nuevoCupo;
+            }
             if (camposActualizar.estado !== planSeleccionado.estado) {
                 datosActualizados.estado = camposActualizar.estado;
             }
@@ -479,16 +764,28 @@ class PlanEntrenamientoCLI {
                 return;
             }
 
+            const { notaCambio } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'notaCambio',
+                    message: 'Nota del cambio para el historial de versiones (opcional):'
+                }
+            ]);
+
             console.log(chalk.yellow('\n⏳ Actualizando plan...'));
 
-            const resultado = await this.planService.actualizarPlan(planSeleccionado.planId, datosActualizados);
+            const resultado = await this.planService.actualizarPlan(planSeleccionado.planId, { ...datosActualizados, notaCambio });
 
             if (resultado.success) {
-                console.log(chalk.green('\n✅ ¡Plan actualizado exitosamente!'));
+                console.log(chalk.green(`\n✅ ¡${resultado.mensaje}!`));
                 console.log(chalk.gray('Datos actualizados:'));
                 Object.keys(datosActualizados).forEach(campo => {
                     console.log(chalk.gray(`- ${campo}: ${datosActualizados[campo]}`));
                 });
+                console.log(chalk.gray(`Versión del plan: ${resultado.version}`));
+                (resultado.promovidos || []).forEach(promovido => {
+                    console.log(chalk.cyan(`⏳ Cupo asignado a ${promovido.nombreCliente} (lista de espera); quedó en acciones pendientes para avisarle`));
+                });
             }
 
         } catch (error) {
@@ -592,12 +889,21 @@ class PlanEntrenamientoCLI {
                 forzarEliminacion = forzar.forzar;
             }
 
+            const { motivo } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'motivo',
+                    message: 'Motivo de la eliminación (opcional):'
+                }
+            ]);
+
             console.log(chalk.yellow('\n⏳ Eliminando plan...'));
 
-            const resultado = await this.planService.eliminarPlan(planSeleccionado.planId, forzarEliminacion);
+            const resultado = await this.planService.eliminarPlan(planSeleccionado.planId, forzarEliminacion, { motivo });
 
             if (resultado.success) {
                 console.log(chalk.green('\n✅ ¡Plan eliminado exitosamente!'));
+                console.log(chalk.gray('Puede restaurarse desde Configuración > Papelera.'));
                 if (forzarEliminacion) {
                     console.log(chalk.yellow('Se desasociaron todos los clientes del plan.'));
                 }
@@ -1008,6 +1314,12 @@ class PlanEntrenamientoCLI {
             console.log(chalk.gray(`Nivel: ${clienteSeleccionado.nivel}`));
             console.log(chalk.gray(`Planes actuales: ${clienteSeleccionado.cantidadPlanes}\n`));
 
+            // Con el plan completo solo se puede ofrecer la lista de espera
+            if (await this.ofrecerListaEspera(planId, clienteSeleccionado.clienteId)) {
+                await this.pausar();
+                return;
+            }
+
             // Confirmar asociación
             const confirmacion = await inquirer.prompt([
                 {
@@ -1117,6 +1429,9 @@ class PlanEntrenamientoCLI {
             if (resultado.success) {
                 console.log(chalk.green('\n✅ ¡Cliente desasociado del plan exitosamente!'));
                 console.log(chalk.gray(resultado.mensaje));
+                (resultado.promovidos || []).forEach(promovido => {
+                    console.log(chalk.cyan(`⏳ Cupo asignado a ${promovido.nombreCliente} (lista de espera); quedó en acciones pendientes para avisarle`));
+                });
             }
 
         } catch (error) {
@@ -1127,6 +1442,1059 @@ class PlanEntrenamientoCLI {
         await this.pausar();
     }
 
+    /**
+     * Gestiona la rutina de un plan: semanas, días y ejercicios
+     */
+    async gestionarRutinaPlan() {
+        console.log(chalk.blue('\n🗓️  RUTINA DEL PLAN'));
+        console.log(chalk.gray('==================\n'));
+
+        try {
+            const planId = await this.seleccionarPlan();
+            if (!planId) {
+                await this.pausar();
+                return;
+            }
+
+            await this.mostrarMenuRutina(planId);
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error al gestionar la rutina del plan:'));
+            console.log(chalk.red(error.message));
+            await this.pausar();
+        }
+    }
+
+    /**
+     * Gestiona las versiones de un plan: historial, comparación y migración de clientes
+     */
+    async gestionarVersionesPlan() {
+        console.log(chalk.blue('\n🕘 VERSIONES DEL PLAN'));
+        console.log(chalk.gray('=====================\n'));
+
+        try {
+            const planId = await this.seleccionarPlan();
+            if (!planId) {
+                await this.pausar();
+                return;
+            }
+
+            await this.mostrarMenuVersiones(planId);
+        } catch (error) {
+            console.log(chalk.red('\n❌ Error al gestionar las versiones del plan:'));
+            console.log(chalk.red(error.message));
+            await this.pausar();
+        }
+    }
+
+    /**
+     * Muestra el menú de versiones de un plan
+     * @param {ObjectId} planId - ID del plan
+     */
+    async mostrarMenuVersiones(planId) {
+        const resultado = await this.planService.obtenerVersionesPlan(planId);
+        console.log(chalk.cyan(`\nVersión actual: ${resultado.versionActual} (${resultado.total} versión(es) registrada(s))`));
+        if (resultado.contratosDesactualizados > 0) {
+            console.log(chalk.yellow(`⚠️  ${resultado.contratosDesactualizados} contrato(s) vigente(s) siguen en una versión anterior`));
+        }
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: chalk.yellow('¿Qué deseas hacer con las versiones?'),
+                choices: [
+                    { name: '📜 Ver Historial de Cambios', value: 'historial' },
+                    { name: '🔀 Comparar Dos Versiones', value: 'comparar' },
+                    { name: '⬆️  Migrar Clientes a la Última Versión', value: 'migrar' },
+                    { name: '⬅️  Volver al Menú de Planes', value: 'volver' }
+                ]
+            }
+        ]);
+
+        if (opcion === 'volver') {
+            return;
+        }
+
+        try {
+            switch (opcion) {
+                case 'historial':
+                    this.mostrarHistorialVersiones(resultado.data);
+                    break;
+                case 'comparar':
+                    await this.compararVersiones(planId, resultado.data);
+                    break;
+                case 'migrar':
+                    await this.migrarClientesAUltimaVersion(planId, resultado);
+                    break;
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+        await this.mostrarMenuVersiones(planId);
+    }
+
+    /**
+     * Muestra cada versión con su registro de cambios
+     * @param {Array} versiones - Versiones del plan
+     */
+    mostrarHistorialVersiones(versiones) {
+        if (versiones.length === 0) {
+            console.log(chalk.yellow('\nEl plan todavía no tiene versiones registradas.'));
+            return;
+        }
+
+        versiones.forEach(version => {
+            const actual = version.esActual ? chalk.green(' (actual)') : '';
+            console.log(chalk.cyan(`\nVersión ${version.version}${actual} - creada el ${version.fechaCreacion}`));
+            console.log(chalk.gray(`   Contratos vigentes o congelados: ${version.contratosVigentes}`));
+            version.cambios.forEach(cambio => {
+                console.log(chalk.gray(`   ${cambio.fecha}  ${cambio.descripcion}`));
+            });
+        });
+    }
+
+    /**
+     * Compara dos versiones del plan y muestra las diferencias
+     * @param {ObjectId} planId - ID del plan
+     * @param {Array} versiones - Versiones del plan
+     */
+    async compararVersiones(planId, versiones) {
+        if (versiones.length < 2) {
+            console.log(chalk.yellow('\nEl plan necesita al menos dos versiones para compararlas.'));
+            return;
+        }
+
+        const opciones = versiones.map(version => ({
+            name: `Versión ${version.version}${version.esActual ? ' (actual)' : ''}`,
+            value: version.version
+        }));
+        const { versionA, versionB } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'versionA',
+                message: 'Versión de origen:',
+                choices: opciones,
+                default: opciones.length - 2
+            },
+            {
+                type: 'list',
+                name: 'versionB',
+                message: 'Versión de destino:',
+                choices: opciones,
+                default: opciones.length - 1
+            }
+        ]);
+
+        const { data } = await this.planService.compararVersionesPlan(planId, versionA, versionB);
+        console.log(chalk.blue(`\n🔀 CAMBIOS DE LA VERSIÓN ${versionA} A LA ${versionB}`));
+        console.log(chalk.gray('====================================\n'));
+        if (data.cambios.length === 0) {
+            console.log(chalk.yellow('Las versiones tienen el mismo contenido.'));
+            return;
+        }
+        data.cambios.forEach(cambio => console.log(chalk.white(`• ${cambio}`)));
+    }
+
+    /**
+     * Migra los contratos vigentes o congelados del plan a la última versión, previa confirmación
+     * @param {ObjectId} planId - ID del plan
+     * @param {Object} versiones - Resultado de obtenerVersionesPlan
+     */
+    async migrarClientesAUltimaVersion(planId, versiones) {
+        if (versiones.contratosDesactualizados === 0) {
+            console.log(chalk.green(`\n✅ Todos los contratos vigentes o congelados ya usan la versión ${versiones.versionActual}`));
+            return;
+        }
+
+        const { confirmar } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirmar',
+                message: `¿Migrar ${versiones.contratosDesactualizados} contrato(s) a la versión ${versiones.versionActual}? Sus clientes pasarán a la rutina actual`,
+                default: false
+            }
+        ]);
+        if (!confirmar) {
+            console.log(chalk.yellow('Migración cancelada.'));
+            return;
+        }
+
+        const resultado = await this.planService.migrarClientesAUltimaVersion(planId);
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+    }
+
+    /**
+     * Muestra el menú de edición de la rutina de un plan
+     * @param {ObjectId} planId - ID del plan
+     */
+    async mostrarMenuRutina(planId) {
+        const { data: contenido } = await this.planService.obtenerContenidoPlan(planId);
+        this.mostrarContenidoPlan(contenido);
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: chalk.yellow('¿Qué deseas hacer con la rutina?'),
+                pageSize: 12,
+                choices: [
+                    { name: '🖨️  Ver Rutina Semanal del Socio', value: 'ver' },
+                    { name: '📄 Exportar Rutina Semanal (TXT)', value: 'exportar' },
+                    { name: '➕ Agregar Semana', value: 'agregarSemana' },
+                    { name: '➖ Eliminar Semana', value: 'eliminarSemana' },
+                    { name: '➕ Agregar Día', value: 'agregarDia' },
+                    { name: '➖ Eliminar Día', value: 'eliminarDia' },
+                    { name: '↕️  Reordenar Días', value: 'moverDia' },
+                    { name: '➕ Agregar Ejercicio', value: 'agregarEjercicio' },
+                    { name: '➖ Eliminar Ejercicio', value: 'eliminarEjercicio' },
+                    { name: '↕️  Reordenar Ejercicios', value: 'moverEjercicio' },
+                    { name: '⬅️  Volver al Menú de Planes', value: 'volver' }
+                ]
+            }
+        ]);
+
+        if (opcion === 'volver') {
+            return;
+        }
+
+        try {
+            let resultado = null;
+            switch (opcion) {
+                case 'ver':
+                    await this.verRutinaSemanal(contenido);
+                    break;
+                case 'exportar':
+                    await this.exportarRutinaSemanal(contenido);
+                    break;
+                case 'agregarSemana':
+                    resultado = await this.agregarSemana(contenido);
+                    break;
+                case 'eliminarSemana':
+                    resultado = await this.eliminarSemana(contenido);
+                    break;
+                case 'agregarDia':
+                    resultado = await this.agregarDia(contenido);
+                    break;
+                case 'eliminarDia':
+                    resultado = await this.eliminarDia(contenido);
+                    break;
+                case 'moverDia':
+                    resultado = await this.moverDia(contenido);
+                    break;
+                case 'agregarEjercicio':
+                    resultado = await this.agregarEjercicio(contenido);
+                    break;
+                case 'eliminarEjercicio':
+                    resultado = await this.eliminarEjercicio(contenido);
+                    break;
+                case 'moverEjercicio':
+                    resultado = await this.moverEjercicio(contenido);
+                    break;
+            }
+
+            if (resultado) {
+                console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+        await this.mostrarMenuRutina(planId);
+    }
+
+    /**
+     * Muestra la rutina de una semana tal como la realiza el socio
+     * @param {Object} contenido - Rutina del plan
+     */
+    async verRutinaSemanal(contenido) {
+        const numeroSemana = await this.solicitarSemanaDelPlan(contenido);
+        const { data: rutina } = await this.planService.obtenerRutinaSemanal(contenido.planId, numeroSemana);
+        this.mostrarRutinaSemanal(rutina);
+    }
+
+    /**
+     * Exporta la rutina de una semana a un archivo de texto
+     * @param {Object} contenido - Rutina del plan
+     */
+    async exportarRutinaSemanal(contenido) {
+        const numeroSemana = await this.solicitarSemanaDelPlan(contenido);
+        const resultado = await this.planService.exportarRutinaSemanal(contenido.planId, numeroSemana);
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        console.log(chalk.gray(`Archivo: ${resultado.data.archivo}`));
+    }
+
+    /**
+     * Agrega una semana vacía o copiada de otra
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Resultado del servicio
+     */
+    async agregarSemana(contenido) {
+        let copiarDe = null;
+        if (contenido.semanas.length > 0) {
+            ({ copiarDe } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'copiarDe',
+                    message: '¿Cómo crear la nueva semana?',
+                    choices: [
+                        { name: 'Semana vacía', value: null },
+                        ...contenido.semanas.map(semana => ({
+                            name: `Copiar la semana ${semana.numero} (${semana.dias.length} días)`,
+                            value: semana.numero
+                        }))
+                    ]
+                }
+            ]));
+        }
+        return await this.planService.agregarSemanaPlan(contenido.planId, copiarDe);
+    }
+
+    /**
+     * Elimina una semana de la rutina
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object|null>} Resultado del servicio o null si se canceló
+     */
+    async eliminarSemana(contenido) {
+        const semana = await this.seleccionarSemana(contenido);
+        const { confirmar } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirmar',
+                message: `¿Eliminar la semana ${semana.numero} con sus ${semana.dias.length} días? Las siguientes se renumeran`,
+                default: false
+            }
+        ]);
+        if (!confirmar) {
+            console.log(chalk.yellow('Operación cancelada.'));
+            return null;
+        }
+        return await this.planService.eliminarSemanaPlan(contenido.planId, semana.numero);
+    }
+
+    /**
+     * Agrega un día a una semana
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Resultado del servicio
+     */
+    async agregarDia(contenido) {
+        const semana = await this.seleccionarSemana(contenido);
+        const dia = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'nombre',
+                message: 'Nombre del día (ej: Lunes - Pierna, Día A - Empuje):',
+                validate: input => input.trim().length >= 2 || 'El nombre debe tener al menos 2 caracteres'
+            },
+            {
+                type: 'input',
+                name: 'notas',
+                message: 'Notas del día (calentamiento, cardio; opcional):'
+            }
+        ]);
+        return await this.planService.agregarDiaPlan(contenido.planId, semana.numero, dia);
+    }
+
+    /**
+     * Elimina un día de una semana
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Resultado del servicio
+     */
+    async eliminarDia(contenido) {
+        const semana = await this.seleccionarSemana(contenido);
+        const indiceDia = await this.seleccionarDia(semana);
+        return await this.planService.eliminarDiaPlan(contenido.planId, semana.numero, indiceDia);
+    }
+
+    /**
+     * Cambia el orden de un día dentro de su semana
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Resultado del servicio
+     */
+    async moverDia(contenido) {
+        const semana = await this.seleccionarSemana(contenido);
+        const desde = await this.seleccionarDia(semana, 'Selecciona el día a mover:');
+        const hacia = await this.solicitarPosicion(semana.dias.length);
+        return await this.planService.moverDiaPlan(contenido.planId, semana.numero, desde, hacia);
+    }
+
+    /**
+     * Agrega un ejercicio a un día
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Resultado del servicio
+     */
+    async agregarEjercicio(contenido) {
+        const semana = await this.seleccionarSemana(contenido);
+        const indiceDia = await this.seleccionarDia(semana);
+        const ejercicioCatalogo = await this.seleccionarEjercicioBiblioteca();
+        if (!ejercicioCatalogo) {
+            return null;
+        }
+
+        const ejercicio = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'series',
+                message: 'Series:',
+                default: '3',
+                validate: input => {
+                    const series = parseInt(input);
+                    return (series >= 1 && series <= 20) || 'Las series deben estar entre 1 y 20';
+                },
+                filter: input => parseInt(input)
+            },
+            {
+                type: 'input',
+                name: 'repeticiones',
+                message: 'Repeticiones (ej: 10, 8-12, AMRAP, 30 s):',
+                default: '10',
+                validate: input => (input.trim() && input.trim().length <= 20) || 'Indique las repeticiones (máximo 20 caracteres)'
+            },
+            {
+                type: 'input',
+                name: 'carga',
+                message: 'Carga (ej: 20 kg, 70% 1RM, RPE 8; opcional):'
+            },
+            {
+                type: 'input',
+                name: 'descansoSegundos',
+                message: 'Descanso entre series (segundos):',
+                default: '60',
+                validate: input => {
+                    const descanso = parseInt(input);
+                    return (descanso >= 0 && descanso <= 600) || 'El descanso debe estar entre 0 y 600 segundos';
+                },
+                filter: input => parseInt(input)
+            },
+            {
+                type: 'input',
+                name: 'notas',
+                message: 'Notas de técnica (opcional):'
+            }
+        ]);
+        return await this.planService.agregarEjercicioPlan(contenido.planId, semana.numero, indiceDia, {
+            ...ejercicio,
+            ejercicioId: ejercicioCatalogo.ejercicioId.toString()
+        });
+    }
+
+    /**
+     * Busca un ejercicio en la biblioteca y permite elegirlo entre las coincidencias
+     * @returns {Promise<Object|null>} Resumen del ejercicio seleccionado o null
+     */
+    async seleccionarEjercicioBiblioteca() {
+        const { termino } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'termino',
+                message: 'Buscar ejercicio en la biblioteca (nombre, grupo muscular o equipo):',
+                validate: input => input.trim().length >= 2 || 'El término de búsqueda debe tener al menos 2 caracteres'
+            }
+        ]);
+
+        const resultado = await this.ejercicioService.buscarEjercicios(termino);
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('\nNo hay ejercicios en la biblioteca que coincidan. Regístrelo desde "Biblioteca de Ejercicios".'));
+            return null;
+        }
+
+        const { ejercicioId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'ejercicioId',
+                message: 'Selecciona el ejercicio:',
+                choices: resultado.data.map(ejercicio => ({
+                    name: `${ejercicio.nombre} (${ejercicio.gruposMusculares.join(', ')} | ${ejercicio.dificultad} | ${ejercicio.equipamiento.join(', ')})`,
+                    value: ejercicio.ejercicioId.toString()
+                }))
+            }
+        ]);
+
+        return resultado.data.find(ejercicio => ejercicio.ejercicioId.toString() === ejercicioId);
+    }
+
+    /**
+     * Elimina un ejercicio de un día
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Resultado del servicio
+     */
+    async eliminarEjercicio(contenido) {
+        const semana = await this.seleccionarSemana(contenido);
+        const indiceDia = await this.seleccionarDia(semana);
+        const indiceEjercicio = await this.seleccionarEjercicio(semana.dias[indiceDia]);
+        return await this.planService.eliminarEjercicioPlan(contenido.planId, semana.numero, indiceDia, indiceEjercicio);
+    }
+
+    /**
+     * Cambia el orden de un ejercicio dentro de su día
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Resultado del servicio
+     */
+    async moverEjercicio(contenido) {
+        const semana = await this.seleccionarSemana(contenido);
+        const indiceDia = await this.seleccionarDia(semana);
+        const dia = semana.dias[indiceDia];
+        const desde = await this.seleccionarEjercicio(dia, 'Selecciona el ejercicio a mover:');
+        const hacia = await this.solicitarPosicion(dia.ejercicios.length);
+        return await this.planService.moverEjercicioPlan(contenido.planId, semana.numero, indiceDia, desde, hacia);
+    }
+
+    /**
+     * Gestiona la lista de espera de los planes con cupo y las acciones pendientes
+     */
+    async gestionarListaEspera() {
+        console.log(chalk.blue('\n⏳ LISTA DE ESPERA Y ACCIONES PENDIENTES'));
+        console.log(chalk.gray('========================================\n'));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: chalk.yellow('¿Qué deseas hacer?'),
+                choices: [
+                    { name: '🔔 Acciones Pendientes (clientes promovidos)', value: 'pendientes' },
+                    { name: '📋 Ver Lista de Espera de un Plan', value: 'lista' },
+                    { name: '⬅️  Volver al Menú de Planes', value: 'volver' }
+                ]
+            }
+        ]);
+
+        if (opcion === 'volver') {
+            return;
+        }
+
+        try {
+            switch (opcion) {
+                case 'pendientes':
+                    await this.gestionarAccionesPendientes();
+                    break;
+                case 'lista':
+                    await this.verListaEspera();
+                    break;
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+        await this.gestionarListaEspera();
+    }
+
+    /**
+     * Muestra los clientes promovidos a los que hay que avisar y permite resolver cada aviso
+     */
+    async gestionarAccionesPendientes() {
+        const resultado = await this.listaEsperaService.obtenerAccionesPendientes();
+        if (resultado.total === 0) {
+            console.log(chalk.green('\n✅ No hay acciones pendientes.'));
+            return;
+        }
+
+        console.log(chalk.blue(`\n🔔 ACCIONES PENDIENTES (${resultado.total})`));
+        resultado.data.forEach((accion, index) => {
+            console.log(chalk.white(`\n${index + 1}. ${accion.nombreCliente} → ${accion.nombrePlan}`));
+            console.log(chalk.gray(`   ${accion.accion}`));
+            console.log(chalk.gray(`   Contacto: ${accion.telefono || '-'} | ${accion.email || '-'}`));
+            console.log(chalk.gray(`   Promovido el ${accion.fechaPromocion} (hace ${accion.diasDesdePromocion} día(s)) - ${accion.motivoPromocion}`));
+        });
+        console.log(chalk.gray('\nEl aviso se resuelve solo al asociar al cliente al plan o al crearle el contrato.'));
+
+        const { esperaId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'esperaId',
+                message: '¿Descartar alguna promoción (el cliente no tomó el cupo)?',
+                choices: [
+                    { name: 'No, volver', value: null },
+                    ...resultado.data.map(accion => ({
+                        name: `${accion.nombreCliente} → ${accion.nombrePlan}`,
+                        value: accion.esperaId
+                    }))
+                ]
+            }
+        ]);
+        if (!esperaId) {
+            return;
+        }
+
+        const descarte = await this.listaEsperaService.descartarPromocion(esperaId);
+        console.log(chalk.green(`\n✅ ${descarte.mensaje}`));
+    }
+
+    /**
+     * Muestra la lista de espera de un plan y permite retirar a un cliente
+     */
+    async verListaEspera() {
+        const planId = await this.seleccionarPlan();
+        if (!planId) {
+            return;
+        }
+
+        const resultado = await this.listaEsperaService.obtenerListaEspera(planId);
+        const { cupo } = resultado;
+        console.log(chalk.blue(`\n📋 LISTA DE ESPERA: ${resultado.plan.nombre}`));
+        console.log(chalk.gray(cupo.cupoMaximo
+            ? `Cupo: ${cupo.ocupados}/${cupo.cupoMaximo} ocupados, ${cupo.reservados} reservado(s), ${cupo.disponibles} disponible(s)`
+            : 'El plan no tiene cupo máximo'));
+
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('\nNo hay clientes en la lista de espera.'));
+            return;
+        }
+
+        resultado.data.forEach(turno => {
+            const etiqueta = turno.posicion ? `${turno.posicion}.` : '★';
+            const estado = turno.posicion ? `esperando desde ${turno.fechaSolicitud} (${turno.diasEsperando} día(s))` : `promovido el ${turno.fechaPromocion}, cupo reservado`;
+            console.log(chalk.white(`\n${etiqueta} ${turno.nombreCliente}`));
+            console.log(chalk.gray(`   ${estado}`));
+            if (turno.notas) {
+                console.log(chalk.gray(`   Notas: ${turno.notas}`));
+            }
+        });
+
+        const { esperaId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'esperaId',
+                message: '¿Retirar a algún cliente de la lista?',
+                choices: [
+                    { name: 'No, volver', value: null },
+                    ...resultado.data.map(turno => ({ name: turno.nombreCliente, value: turno.esperaId }))
+                ]
+            }
+        ]);
+        if (!esperaId) {
+            return;
+        }
+
+        const retiro = await this.listaEsperaService.retirarDeListaEspera(esperaId);
+        console.log(chalk.green(`\n✅ ${retiro.mensaje}`));
+        retiro.promovidos.forEach(promovido => {
+            console.log(chalk.cyan(`⏳ Cupo asignado a ${promovido.nombreCliente}; quedó en acciones pendientes para avisarle`));
+        });
+    }
+
+    /**
+     * Si el plan está completo, ofrece inscribir al cliente en la lista de espera
+     * @param {ObjectId} planId - ID del plan
+     * @param {ObjectId} clienteId - ID del cliente
+     * @returns {Promise<boolean>} True si el plan estaba completo (no se debe asociar)
+     */
+    async ofrecerListaEspera(planId, clienteId) {
+        const { data: cupo } = await this.listaEsperaService.consultarCupo(planId, clienteId);
+        if (!cupo.completo) {
+            return false;
+        }
+
+        console.log(chalk.yellow(`\n⚠️  El plan está completo: ${cupo.ocupados}/${cupo.cupoMaximo} clientes, ${cupo.reservados} cupo(s) reservado(s) y ${cupo.enEspera} en espera`));
+        const { inscribir } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'inscribir',
+                message: '¿Inscribir al cliente en la lista de espera?',
+                default: true
+            }
+        ]);
+        if (inscribir) {
+            const resultado = await this.listaEsperaService.inscribirEnListaEspera(planId, clienteId);
+            console.log(chalk.green(`✅ ${resultado.mensaje}`));
+        }
+        return true;
+    }
+
+    /**
+     * Submenú del catálogo de precios: tarifas por duración con fecha de vigencia
+     */
+    async gestionarTarifas() {
+        console.log(chalk.blue('\n💲 TARIFAS Y CATÁLOGO DE PRECIOS'));
+        console.log(chalk.gray('================================\n'));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: chalk.yellow('¿Qué deseas hacer?'),
+                choices: [
+                    { name: '📖 Ver Catálogo de Precios Vigente', value: 'catalogo' },
+                    { name: '📜 Historial de Tarifas de un Plan', value: 'historial' },
+                    { name: '➕ Registrar Nueva Tarifa', value: 'nueva' },
+                    { name: '⬅️  Volver al Menú de Planes', value: 'volver' }
+                ]
+            }
+        ]);
+
+        if (opcion === 'volver') {
+            return;
+        }
+
+        try {
+            switch (opcion) {
+                case 'catalogo':
+                    await this.verCatalogoPrecios();
+                    break;
+                case 'historial':
+                    await this.verHistorialTarifas();
+                    break;
+                case 'nueva':
+                    await this.registrarTarifa();
+                    break;
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+        await this.gestionarTarifas();
+    }
+
+    /**
+     * Muestra los precios vigentes de todos los planes activos
+     */
+    async verCatalogoPrecios() {
+        const resultado = await this.tarifaService.obtenerCatalogoPrecios();
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('No hay planes activos.'));
+            return;
+        }
+
+        console.log(chalk.cyan(`\n📖 Catálogo de precios (${resultado.total} plan(es) activo(s)):`));
+        resultado.data.forEach(item => {
+            console.log(chalk.white(`\n${item.nombrePlan} (${item.nivel})`));
+            if (!item.tarifa) {
+                console.log(chalk.yellow('   Sin tarifa vigente: el precio se indica en cada contrato'));
+                return;
+            }
+            console.log(`   ${this.formatearPrecios(item.tarifa.precios)}`);
+            console.log(chalk.gray(`   Vigente desde ${item.tarifa.vigenteDesde}${item.tarifa.vigenteHasta ? ` hasta ${item.tarifa.vigenteHasta}` : ''}`));
+        });
+
+        if (resultado.sinTarifa > 0) {
+            console.log(chalk.yellow(`\n⚠️  ${resultado.sinTarifa} plan(es) sin tarifa vigente`));
+        }
+    }
+
+    /**
+     * Muestra el historial de tarifas de un plan
+     */
+    async verHistorialTarifas() {
+        const planId = await this.seleccionarPlan();
+        if (!planId) {
+            return;
+        }
+
+        const resultado = await this.tarifaService.obtenerHistorialTarifas(planId);
+        if (resultado.total === 0) {
+            console.log(chalk.yellow(`El plan "${resultado.nombrePlan}" no tiene tarifas registradas.`));
+            return;
+        }
+
+        const colores = { vigente: chalk.green, programada: chalk.cyan, 'histórica': chalk.gray };
+        console.log(chalk.cyan(`\n📜 Tarifas de "${resultado.nombrePlan}" (${resultado.total}):`));
+        resultado.data.forEach(tarifa => {
+            const color = colores[tarifa.estado];
+            console.log(color(`\n[${tarifa.estado.toUpperCase()}] ${tarifa.vigenteDesde} → ${tarifa.vigenteHasta || 'sin fecha de fin'}`));
+            console.log(`   ${this.formatearPrecios(tarifa.precios)}`);
+            if (tarifa.motivo) {
+                console.log(chalk.gray(`   Motivo: ${tarifa.motivo}`));
+            }
+        });
+    }
+
+    /**
+     * Registra una tarifa nueva para un plan; la anterior se cierra al empezar la nueva
+     */
+    async registrarTarifa() {
+        const planId = await this.seleccionarPlan();
+        if (!planId) {
+            return;
+        }
+
+        const vigente = await this.tarifaService.obtenerTarifaVigente(planId);
+        if (vigente.data) {
+            console.log(chalk.gray(`\nTarifa vigente: ${this.formatearPrecios(vigente.data.precios)}`));
+        }
+
+        const validarPrecio = (obligatorio) => (input) => {
+            if (!input.trim() && !obligatorio) {
+                return true;
+            }
+            const precio = parseFloat(input);
+            return precio > 0 ? true : 'El precio debe ser mayor a 0';
+        };
+        const precioAnterior = (meses) => {
+            const escalon = vigente.data ? vigente.data.precios.find(p => p.meses === meses) : null;
+            return escalon ? String(escalon.precio) : undefined;
+        };
+
+        const respuestas = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'precio1',
+                message: 'Precio por 1 mes:',
+                default: precioAnterior(1),
+                validate: validarPrecio(true)
+            },
+            ...[3, 6, 12].map(meses => ({
+                type: 'input',
+                name: `precio${meses}`,
+                message: `Precio por ${meses} meses (vacío = proporcional al mensual):`,
+                default: precioAnterior(meses),
+                validate: validarPrecio(false)
+            })),
+            {
+                type: 'input',
+                name: 'vigenteDesde',
+                message: 'Vigente desde (YYYY-MM-DD):',
+                default: new Date().toISOString().slice(0, 10),
+                validate: input => (!isNaN(new Date(input).getTime()) ? true : 'Formato de fecha inválido')
+            },
+            {
+                type: 'input',
+                name: 'motivo',
+                message: 'Motivo del cambio (opcional):'
+            }
+        ]);
+
+        const precios = [1, 3, 6, 12]
+            .filter(meses => respuestas[`precio${meses}`] && respuestas[`precio${meses}`].trim())
+            .map(meses => ({ meses, precio: parseFloat(respuestas[`precio${meses}`]) }));
+
+        const resultado = await this.tarifaService.registrarTarifa(planId, {
+            precios,
+            vigenteDesde: respuestas.vigenteDesde,
+            motivo: respuestas.motivo
+        });
+
+        console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        console.log(`   ${resultado.data.nombrePlan}: ${this.formatearPrecios(resultado.data.precios)}`);
+        if (resultado.data.programada) {
+            console.log(chalk.cyan(`   Entra en vigencia el ${resultado.data.vigenteDesde}; hasta entonces se cotiza con la tarifa actual`));
+        }
+    }
+
+    /**
+     * Formatea los escalones de precio de una tarifa
+     * @param {Array} precios - Escalones [{ meses, precio }]
+     * @returns {string} Texto con los precios por duración
+     */
+    formatearPrecios(precios) {
+        return precios.map(p => `${p.meses} mes(es): $${p.precio}`).join(' | ');
+    }
+
+    /**
+     * Busca y selecciona un plan por nombre
+     * @returns {Promise<ObjectId|null>} ID del plan o null si no se encontró
+     */
+    async seleccionarPlan() {
+        const { termino } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'termino',
+                message: 'Ingresa el nombre o ID del plan:',
+                validate: (input) => {
+                    if (!input || input.trim().length < 2) {
+                        return 'El término de búsqueda debe tener al menos 2 caracteres';
+                    }
+                    return true;
+                }
+            }
+        ]);
+
+        const resultadoBusqueda = await this.planService.buscarPlanes(termino);
+        if (!resultadoBusqueda.success || resultadoBusqueda.data.length === 0) {
+            console.log(chalk.red('No se encontró el plan.'));
+            return null;
+        }
+        if (resultadoBusqueda.data.length === 1) {
+            return resultadoBusqueda.data[0].planId;
+        }
+
+        const { planId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'planId',
+                message: 'Selecciona el plan:',
+                choices: resultadoBusqueda.data.map(plan => ({
+                    name: `${plan.nombre} (${plan.nivel}, ${plan.estado})`,
+                    value: plan.planId
+                }))
+            }
+        ]);
+        return planId;
+    }
+
+    /**
+     * Permite seleccionar una semana definida de la rutina
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<Object>} Semana seleccionada
+     */
+    async seleccionarSemana(contenido) {
+        if (contenido.semanas.length === 0) {
+            throw new Error('El plan no tiene semanas cargadas. Agregue una semana primero');
+        }
+        if (contenido.semanas.length === 1) {
+            return contenido.semanas[0];
+        }
+
+        const { numero } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'numero',
+                message: 'Selecciona la semana:',
+                choices: contenido.semanas.map(semana => ({
+                    name: `Semana ${semana.numero} (${semana.dias.length} días)`,
+                    value: semana.numero
+                }))
+            }
+        ]);
+        return contenido.semanas[numero - 1];
+    }
+
+    /**
+     * Permite seleccionar un día de una semana
+     * @param {Object} semana - Semana de la rutina
+     * @param {string} mensaje - Mensaje del prompt
+     * @returns {Promise<number>} Posición del día (desde 0)
+     */
+    async seleccionarDia(semana, mensaje = 'Selecciona el día:') {
+        if (semana.dias.length === 0) {
+            throw new Error(`La semana ${semana.numero} no tiene días. Agregue un día primero`);
+        }
+
+        const { indiceDia } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'indiceDia',
+                message: mensaje,
+                choices: semana.dias.map((dia, indice) => ({
+                    name: `${indice + 1}. ${dia.nombre} (${dia.ejercicios.length} ejercicios)`,
+                    value: indice
+                }))
+            }
+        ]);
+        return indiceDia;
+    }
+
+    /**
+     * Permite seleccionar un ejercicio de un día
+     * @param {Object} dia - Día de la rutina
+     * @param {string} mensaje - Mensaje del prompt
+     * @returns {Promise<number>} Posición del ejercicio (desde 0)
+     */
+    async seleccionarEjercicio(dia, mensaje = 'Selecciona el ejercicio:') {
+        if (dia.ejercicios.length === 0) {
+            throw new Error(`El día "${dia.nombre}" no tiene ejercicios`);
+        }
+
+        const { indiceEjercicio } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'indiceEjercicio',
+                message: mensaje,
+                choices: dia.ejercicios.map((ejercicio, indice) => ({
+                    name: `${indice + 1}. ${ejercicio.nombre} (${ejercicio.series} x ${ejercicio.repeticiones})`,
+                    value: indice
+                }))
+            }
+        ]);
+        return indiceEjercicio;
+    }
+
+    /**
+     * Solicita la nueva posición de un día o ejercicio
+     * @param {number} total - Cantidad de elementos
+     * @returns {Promise<number>} Posición (desde 0)
+     */
+    async solicitarPosicion(total) {
+        const { posicion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'posicion',
+                message: 'Nueva posición:',
+                choices: Array.from({ length: total }, (_, indice) => ({ name: `${indice + 1}`, value: indice }))
+            }
+        ]);
+        return posicion;
+    }
+
+    /**
+     * Solicita una semana del plan (1..duración)
+     * @param {Object} contenido - Rutina del plan
+     * @returns {Promise<number>} Número de semana
+     */
+    async solicitarSemanaDelPlan(contenido) {
+        const { numeroSemana } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'numeroSemana',
+                message: `Semana del plan (1-${contenido.duracionSemanas}):`,
+                default: '1',
+                validate: input => {
+                    const semana = parseInt(input);
+                    return (semana >= 1 && semana <= contenido.duracionSemanas) ||
+                        `La semana debe estar entre 1 y ${contenido.duracionSemanas}`;
+                },
+                filter: input => parseInt(input)
+            }
+        ]);
+        return numeroSemana;
+    }
+
+    /**
+     * Muestra un resumen de la rutina cargada en el plan
+     * @param {Object} contenido - Rutina del plan
+     */
+    mostrarContenidoPlan(contenido) {
+        console.log(chalk.blue(`\n📋 ${contenido.nombre} (${contenido.nivel}, ${contenido.duracionSemanas} semanas)`));
+        if (contenido.semanas.length === 0) {
+            console.log(chalk.yellow('   Sin rutina cargada'));
+            return;
+        }
+        contenido.semanas.forEach(semana => {
+            const dias = semana.dias.length > 0
+                ? semana.dias.map(dia => `${dia.nombre} (${dia.ejercicios.length})`).join(', ')
+                : 'sin días';
+            console.log(chalk.gray(`   Semana ${semana.numero}: ${dias}`));
+        });
+        if (contenido.semanas.length < contenido.duracionSemanas) {
+            console.log(chalk.gray(`   Las semanas ${contenido.semanas.length + 1} a ${contenido.duracionSemanas} repiten las semanas definidas en ciclo`));
+        }
+        console.log(chalk.gray(`   Total de ejercicios: ${contenido.totalEjercicios}\n`));
+    }
+
+    /**
+     * Imprime la rutina semanal del socio
+     * @param {Object} rutina - Rutina de la semana
+     */
+    mostrarRutinaSemanal(rutina) {
+        console.log(chalk.blue.bold(`\n🖨️  RUTINA SEMANAL - ${rutina.nombre}`));
+        console.log(chalk.gray(`Semana ${rutina.semana} de ${rutina.duracionSemanas}` +
+            (rutina.semanaBase !== rutina.semana ? ` (se repite la semana ${rutina.semanaBase})` : '')));
+        console.log(chalk.gray('='.repeat(50)));
+
+        if (rutina.dias.length === 0) {
+            console.log(chalk.yellow('\nSemana sin días de entrenamiento cargados'));
+        }
+        rutina.dias.forEach((dia, indiceDia) => {
+            console.log(chalk.cyan.bold(`\nDÍA ${indiceDia + 1}: ${dia.nombre}`));
+            if (dia.notas) {
+                console.log(chalk.gray(`   ${dia.notas}`));
+            }
+            if (dia.ejercicios.length === 0) {
+                console.log(chalk.gray('   Sin ejercicios cargados'));
+            }
+            dia.ejercicios.forEach((ejercicio, indice) => {
+                const carga = ejercicio.carga ? ` | Carga: ${ejercicio.carga}` : '';
+                console.log(`   ${indice + 1}. ${chalk.bold(ejercicio.nombre)} - ${ejercicio.series} x ${ejercicio.repeticiones}${carga} | Descanso: ${ejercicio.descansoSegundos} s`);
+                if (ejercicio.notas) {
+                    console.log(chalk.gray(`      ${ejercicio.notas}`));
+                }
+            });
+        });
+    }
+
     /**
      * Obtiene el color para mostrar el estado
      */
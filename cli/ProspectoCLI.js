@@ -0,0 +1,493 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const { ProspectoService, PlanEntrenamientoService } = require('../services');
+const { Prospecto } = require('../models');
+const config = require('../config');
+
+/**
+ * CLI para Prospectos y Pases de Prueba
+ * Permite registrar interesados, darles seguimiento, otorgar pases de prueba y convertirlos en clientes
+ */
+class ProspectoCLI {
+    constructor(db) {
+        this.db = db;
+        this.prospectoService = new ProspectoService(db);
+        this.planService = new PlanEntrenamientoService(db);
+    }
+
+    /**
+     * Muestra el menú de prospectos
+     */
+    async mostrarMenuProspectos() {
+        console.log(chalk.blue.bold('\n🎯 PROSPECTOS Y PASES DE PRUEBA'));
+        console.log(chalk.gray('===============================\n'));
+
+        const { opcion } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'opcion',
+                message: 'Selecciona una opción:',
+                choices: [
+                    { name: '➕ Registrar Prospecto', value: 'registrar' },
+                    { name: '📋 Listar Prospectos', value: 'listar' },
+                    { name: '🔍 Ver Detalle e Historial', value: 'detalle' },
+                    { name: '📞 Registrar Contacto', value: 'contacto' },
+                    { name: '🎟️  Otorgar Pase de Prueba', value: 'prueba' },
+                    { name: '✅ Convertir en Cliente', value: 'convertir' },
+                    { name: '❌ Marcar como Perdido', value: 'perdido' },
+                    { name: '🔙 Volver al Menú Principal', value: 'volver' }
+                ]
+            }
+        ]);
+
+        switch (opcion) {
+            case 'registrar':
+                await this.registrarProspecto();
+                break;
+            case 'listar':
+                await this.listarProspectos();
+                break;
+            case 'detalle':
+                await this.verDetalleProspecto();
+                break;
+            case 'contacto':
+                await this.registrarContacto();
+                break;
+            case 'prueba':
+                await this.otorgarPasePrueba();
+                break;
+            case 'convertir':
+                await this.convertirEnCliente();
+                break;
+            case 'perdido':
+                await this.marcarPerdido();
+                break;
+            case 'volver':
+                return;
+        }
+
+        // Volver al menú de prospectos
+        await this.mostrarMenuProspectos();
+    }
+
+    /**
+     * Registra un nuevo prospecto
+     */
+    async registrarProspecto() {
+        try {
+            console.log(chalk.blue('\n➕ REGISTRAR PROSPECTO'));
+            console.log(chalk.gray('=====================\n'));
+
+            const datos = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'nombre',
+                    message: 'Nombre:',
+                    validate: input => input.trim().length >= 2 || 'El nombre debe tener al menos 2 caracteres'
+                },
+                {
+                    type: 'input',
+                    name: 'apellido',
+                    message: 'Apellido:',
+                    validate: input => input.trim().length >= 2 || 'El apellido debe tener al menos 2 caracteres'
+                },
+                {
+                    type: 'input',
+                    name: 'email',
+                    message: 'Email (opcional si indica teléfono):'
+                },
+                {
+                    type: 'input',
+                    name: 'telefono',
+                    message: 'Teléfono (opcional si indicó email):',
+                    validate: (input, respuestas) => (input.trim() || respuestas.email.trim())
+                        ? true
+                        : 'Debe indicar al menos un email o un teléfono'
+                },
+                {
+                    type: 'list',
+                    name: 'origen',
+                    message: '¿Cómo llegó al gimnasio?',
+                    choices: Prospecto.ORIGENES_VALIDOS.map(origen => ({ name: origen, value: origen }))
+                },
+                {
+                    type: 'input',
+                    name: 'interes',
+                    message: 'Interés (plan, horario, objetivo; opcional):'
+                }
+            ]);
+
+            const resultado = await this.prospectoService.registrarProspecto(datos);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`ID del prospecto: ${resultado.prospectoId}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Lista los prospectos con filtro opcional por estado y origen
+     */
+    async listarProspectos() {
+        try {
+            console.log(chalk.blue('\n📋 PROSPECTOS'));
+            console.log(chalk.gray('=============\n'));
+
+            const filtros = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'estado',
+                    message: 'Estado:',
+                    choices: [
+                        { name: 'Todos', value: null },
+                        ...Prospecto.ESTADOS_VALIDOS.map(estado => ({ name: estado, value: estado }))
+                    ]
+                },
+                {
+                    type: 'list',
+                    name: 'origen',
+                    message: 'Origen:',
+                    choices: [
+                        { name: 'Todos', value: null },
+                        ...Prospecto.ORIGENES_VALIDOS.map(origen => ({ name: origen, value: origen }))
+                    ]
+                }
+            ]);
+
+            const resultado = await this.prospectoService.listarProspectos(filtros);
+            if (resultado.total === 0) {
+                console.log(chalk.yellow('No hay prospectos con esos filtros.'));
+            } else {
+                resultado.data.forEach((prospecto, index) => {
+                    console.log(`${index + 1}. ${chalk.bold(prospecto.nombreCompleto)} - ${this.formatearEstado(prospecto.estado)} (${prospecto.origen})`);
+                    console.log(chalk.gray(`   ${prospecto.email || 'sin email'} | ${prospecto.telefono || 'sin teléfono'} | Registrado: ${prospecto.fechaRegistro}`));
+                    if (prospecto.pruebaFin) {
+                        const vigencia = prospecto.pruebaVigente ? chalk.green('vigente') : chalk.gray('vencido');
+                        console.log(chalk.gray(`   Pase de prueba: ${prospecto.pruebaInicio} al ${prospecto.pruebaFin} (`) + vigencia + chalk.gray(')'));
+                    }
+                });
+            }
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Muestra el detalle de un prospecto y su historial en el embudo
+     */
+    async verDetalleProspecto() {
+        try {
+            const prospectoId = await this.seleccionarProspecto();
+            if (!prospectoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { data: prospecto } = await this.prospectoService.obtenerProspecto(prospectoId);
+            this.mostrarProspecto(prospecto);
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Registra un contacto con un prospecto abierto o reactiva uno perdido
+     */
+    async registrarContacto() {
+        try {
+            const prospectoId = await this.seleccionarProspecto(['nuevo', 'prueba', 'perdido']);
+            if (!prospectoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { nota } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'nota',
+                    message: 'Resumen del contacto:',
+                    validate: input => input.trim().length >= 3 || 'Describa brevemente el contacto'
+                }
+            ]);
+
+            const resultado = await this.prospectoService.registrarContacto(prospectoId, nota);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Otorga un pase de prueba a un prospecto
+     */
+    async otorgarPasePrueba() {
+        try {
+            const prospectoId = await this.seleccionarProspecto(['nuevo', 'contactado']);
+            if (!prospectoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { dias, fechaInicio } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'dias',
+                    message: 'Días de validez del pase:',
+                    default: String(config.prospectos.diasPrueba),
+                    validate: input => {
+                        const dias = parseInt(input);
+                        return (Number.isInteger(dias) && dias > 0) || 'Debe ser un número entero mayor a 0';
+                    },
+                    filter: input => parseInt(input)
+                },
+                {
+                    type: 'input',
+                    name: 'fechaInicio',
+                    message: 'Primer día del pase (YYYY-MM-DD, vacío = hoy):',
+                    validate: input => !input.trim() || /^\d{4}-\d{2}-\d{2}$/.test(input.trim()) || 'Formato de fecha inválido (YYYY-MM-DD)'
+                }
+            ]);
+
+            const inicio = fechaInicio.trim() ? new Date(`${fechaInicio.trim()}T00:00:00`) : new Date();
+            const resultado = await this.prospectoService.otorgarPasePrueba(prospectoId, dias, inicio);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`Válido del ${resultado.data.pruebaInicio} al ${resultado.data.pruebaFin}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Convierte un prospecto en cliente con un primer contrato opcional
+     */
+    async convertirEnCliente() {
+        try {
+            const prospectoId = await this.seleccionarProspecto(['nuevo', 'contactado', 'prueba']);
+            if (!prospectoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { data: prospecto } = await this.prospectoService.obtenerProspecto(prospectoId);
+            this.mostrarProspecto(prospecto);
+
+            // El cliente requiere email y teléfono; se piden los que el prospecto no tenga
+            const datosCliente = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'email',
+                    message: 'Email del cliente:',
+                    default: prospecto.email || undefined,
+                    validate: input => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.trim()) || 'Email debe tener un formato válido'
+                },
+                {
+                    type: 'input',
+                    name: 'telefono',
+                    message: 'Teléfono del cliente:',
+                    default: prospecto.telefono || undefined,
+                    validate: input => input.trim() ? true : 'El teléfono es obligatorio'
+                },
+                {
+                    type: 'confirm',
+                    name: 'conContrato',
+                    message: '¿Crear también su primer contrato?',
+                    default: true
+                }
+            ]);
+
+            let datosContrato = null;
+            if (datosCliente.conContrato) {
+                datosContrato = await this.solicitarDatosContrato();
+            }
+
+            const resultado = await this.prospectoService.convertirEnCliente(
+                prospectoId,
+                { email: datosCliente.email.trim(), telefono: datosCliente.telefono.trim() },
+                datosContrato
+            );
+
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`ID del cliente: ${resultado.clienteId}`));
+            if (resultado.contrato) {
+                console.log(chalk.green(`📄 ${resultado.contrato.mensaje}`));
+            }
+            resultado.advertencias.forEach(advertencia => {
+                console.log(chalk.yellow(`⚠️  ${advertencia}`));
+            });
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Marca un prospecto como perdido
+     */
+    async marcarPerdido() {
+        try {
+            const prospectoId = await this.seleccionarProspecto(['nuevo', 'contactado', 'prueba']);
+            if (!prospectoId) {
+                await this.pausar();
+                return;
+            }
+
+            const { motivo } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'motivo',
+                    message: 'Motivo (precio, horario, eligió otro gimnasio...):'
+                }
+            ]);
+
+            const resultado = await this.prospectoService.marcarPerdido(prospectoId, motivo);
+            console.log(chalk.green(`\n✅ ${resultado.mensaje}`));
+        } catch (error) {
+            console.log(chalk.red(`\n❌ ${error.message}`));
+        }
+
+        await this.pausar();
+    }
+
+    /**
+     * Solicita el plan, la duración y el precio del primer contrato
+     * @returns {Promise<Object|null>} Datos del contrato o null si no hay planes activos
+     */
+    async solicitarDatosContrato() {
+        const resultadoPlanes = await this.planService.listarPlanes({ estado: 'activo' }, { limite: 100 });
+        if (resultadoPlanes.data.length === 0) {
+            console.log(chalk.yellow('\nNo hay planes activos; el cliente se creará sin contrato.'));
+            return null;
+        }
+
+        return await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'planId',
+                message: 'Plan de entrenamiento:',
+                choices: resultadoPlanes.data.map(plan => ({
+                    name: `${plan.nombre} (${plan.nivel}, ${plan.duracionSemanas} semanas)`,
+                    value: plan.planId.toString()
+                }))
+            },
+            {
+                type: 'input',
+                name: 'duracionMeses',
+                message: 'Duración en meses:',
+                validate: input => parseInt(input) > 0 || 'La duración debe ser mayor a 0',
+                filter: input => parseInt(input)
+            },
+            {
+                type: 'input',
+                name: 'precio',
+                message: 'Precio del contrato:',
+                validate: input => parseFloat(input) > 0 || 'El precio debe ser mayor a 0',
+                filter: input => parseFloat(input)
+            },
+            {
+                type: 'confirm',
+                name: 'registrarPago',
+                message: '¿Registrar el pago del contrato ahora?',
+                default: false
+            }
+        ]);
+    }
+
+    /**
+     * Permite seleccionar un prospecto
+     * @param {Array<string>} [estados] - Estados permitidos (por defecto todos)
+     * @returns {Promise<string|null>} ID del prospecto o null si no hay prospectos
+     */
+    async seleccionarProspecto(estados = null) {
+        const resultado = await this.prospectoService.listarProspectos(estados ? { estado: { $in: estados } } : {});
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('\nNo hay prospectos disponibles para esta acción.'));
+            return null;
+        }
+
+        const { prospectoId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'prospectoId',
+                message: 'Selecciona el prospecto:',
+                choices: resultado.data.map(prospecto => ({
+                    name: `${prospecto.nombreCompleto} - ${prospecto.estado} (${prospecto.origen}, ${prospecto.fechaRegistro})`,
+                    value: prospecto.prospectoId.toString()
+                }))
+            }
+        ]);
+
+        return prospectoId;
+    }
+
+    /**
+     * Imprime los datos de un prospecto y su historial
+     * @param {Object} prospecto - Resumen del prospecto
+     */
+    mostrarProspecto(prospecto) {
+        console.log(chalk.blue(`\n🎯 ${prospecto.nombreCompleto}`));
+        console.log(chalk.gray('='.repeat(40)));
+        console.log(`Estado: ${this.formatearEstado(prospecto.estado)}`);
+        console.log(`Origen: ${prospecto.origen}`);
+        console.log(`Email: ${prospecto.email || 'No registrado'}`);
+        console.log(`Teléfono: ${prospecto.telefono || 'No registrado'}`);
+        if (prospecto.interes) {
+            console.log(`Interés: ${prospecto.interes}`);
+        }
+        console.log(`Registrado: ${prospecto.fechaRegistro}`);
+        if (prospecto.pruebaFin) {
+            console.log(`Pase de prueba: ${prospecto.pruebaInicio} al ${prospecto.pruebaFin} ${prospecto.pruebaVigente ? chalk.green('(vigente)') : chalk.gray('(vencido)')}`);
+        }
+        if (prospecto.clienteId) {
+            console.log(chalk.green(`Cliente: ${prospecto.clienteId} (desde ${prospecto.fechaConversion})`));
+        }
+        if (prospecto.motivoPerdida) {
+            console.log(chalk.red(`Motivo de pérdida: ${prospecto.motivoPerdida}`));
+        }
+
+        console.log(chalk.cyan('\n📜 Historial:'));
+        prospecto.historial.forEach(entrada => {
+            console.log(`   ${entrada.fecha} - ${this.formatearEstado(entrada.estado)}${entrada.nota ? chalk.gray(` - ${entrada.nota}`) : ''}`);
+        });
+    }
+
+    /**
+     * Colorea el estado del prospecto
+     * @param {string} estado - Estado del prospecto
+     * @returns {string} Estado coloreado
+     */
+    formatearEstado(estado) {
+        const colores = {
+            nuevo: chalk.cyan,
+            contactado: chalk.blue,
+            prueba: chalk.yellow,
+            convertido: chalk.green,
+            perdido: chalk.red
+        };
+        return (colores[estado] || chalk.white)(estado);
+    }
+
+    /**
+     * Pausa la ejecución hasta que el usuario presione Enter
+     */
+    async pausar() {
+        console.log(chalk.gray('\n' + '─'.repeat(50)));
+        await inquirer.prompt([{
+            type: 'input',
+            name: 'continuar',
+            message: chalk.cyan('Presiona Enter para continuar...')
+        }]);
+    }
+}
+
+module.exports = ProspectoCLI;
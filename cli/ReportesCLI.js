@@ -1,6 +1,7 @@
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ReportesService = require('../services/ReportesService');
+const RetencionService = require('../services/RetencionService');
 const dayjs = require('dayjs');
 
 /**
@@ -11,6 +12,7 @@ class ReportesCLI {
     constructor(db) {
         this.db = db;
         this.reportesService = new ReportesService(db);
+        this.retencionService = new RetencionService(db);
     }
 
     /**
@@ -43,10 +45,13 @@ class ReportesCLI {
                     { name: '🍎 Reporte de Nutrición', value: 'nutricion' },
                     { name: '📄 Reporte de Contratos', value: 'contratos' },
                     { name: '💰 Reporte Financiero', value: 'financiero' },
+                    { name: '🤝 Reporte de Referidos', value: 'referidos' },
+                    { name: '🚨 Clientes en Riesgo de Abandono', value: 'riesgo' },
+                    { name: '🎯 Embudo de Conversión de Prospectos', value: 'embudo' },
                     { name: '📤 Exportar Datos', value: 'exportar' },
                     { name: '🔙 Volver al Menú Principal', value: 'volver' }
                 ],
-                pageSize: 10 // Asegurar que todas las opciones se muestren
+                pageSize: 13 // Asegurar que todas las opciones se muestren
             }
         ];
 
@@ -74,6 +79,15 @@ class ReportesCLI {
             case 'financiero':
                 await this.mostrarReporteFinanciero();
                 break;
+            case 'referidos':
+                await this.mostrarReporteReferidos();
+                break;
+            case 'riesgo':
+                await this.mostrarClientesEnRiesgo();
+                break;
+            case 'embudo':
+                await this.mostrarEmbudoConversion();
+                break;
             case 'exportar':
                 await this.mostrarMenuExportacion();
                 break;
@@ -433,6 +447,24 @@ class ReportesCLI {
                 });
             }
 
+            // Mostrar ingresos a precio de lista vs precio real
+            const { ingresos } = reporte;
+            if (ingresos.contratosConCatalogo > 0) {
+                const colorDiferencia = ingresos.diferencia < 0 ? chalk.red : chalk.green;
+                console.log(chalk.cyan('\n💲 INGRESOS: PRECIO DE LISTA VS REAL:'));
+                console.log(`   Contratos cotizados con el catálogo: ${chalk.bold(ingresos.contratosConCatalogo)}`);
+                console.log(`   A precio de lista: ${chalk.blue(`€${ingresos.totalCatalogo.toFixed(2)}`)}`);
+                console.log(`   Cobrado realmente: ${chalk.blue(`€${ingresos.totalReal.toFixed(2)}`)}`);
+                console.log(`   Diferencia: ${colorDiferencia(`€${ingresos.diferencia.toFixed(2)} (${ingresos.porcentaje}%)`)}`);
+                Object.entries(ingresos.porPlan).forEach(([plan, datos]) => {
+                    const color = datos.diferencia < 0 ? chalk.red : chalk.green;
+                    console.log(chalk.gray(`   • ${plan}: ${datos.contratos} contrato(s), lista €${datos.totalCatalogo.toFixed(2)}, real €${datos.totalReal.toFixed(2)} `) + color(`(${datos.diferencia.toFixed(2)})`));
+                });
+                if (ingresos.sinCatalogo > 0) {
+                    console.log(chalk.gray(`   ${ingresos.sinCatalogo} contrato(s) sin precio de catálogo no se incluyen en la comparación`));
+                }
+            }
+
             // Mostrar lista de contratos
             if (reporte.contratos.length > 0) {
                 console.log(chalk.cyan('\n📄 LISTA DE CONTRATOS:'));
@@ -543,6 +575,135 @@ class ReportesCLI {
         }
     }
 
+    /**
+     * Muestra el reporte del programa de referidos
+     */
+    async mostrarReporteReferidos() {
+        try {
+            console.log(chalk.blue('\n🤝 REPORTE DE REFERIDOS'));
+            console.log(chalk.gray('======================\n'));
+
+            const reporte = await this.reportesService.obtenerReporteReferidos({ limite: 10 });
+            const { totales } = reporte;
+
+            console.log(chalk.cyan('📊 RESUMEN:'));
+            console.log(`   Crédito por referido: ${chalk.bold('€' + reporte.montoCreditoConfigurado.toLocaleString())}`);
+            console.log(`   Clientes que refieren: ${chalk.bold(totales.clientesQueRefieren)}`);
+            console.log(`   Referidos: ${chalk.bold(totales.referidos)} (acreditados: ${chalk.green(totales.acreditados)}, pendientes de primer contrato: ${chalk.yellow(totales.pendientes)})`);
+
+            console.log(chalk.cyan('\n💰 CRÉDITOS:'));
+            console.log(`   Otorgados: ${chalk.green('€' + totales.creditoOtorgado.toLocaleString())}`);
+            console.log(`   Redimidos: ${chalk.yellow('€' + totales.creditoRedimido.toLocaleString())}`);
+            console.log(`   Disponibles: ${chalk.bold('€' + totales.creditoDisponible.toLocaleString())}`);
+
+            console.log(chalk.cyan('\n🏆 CLIENTES QUE MÁS REFIEREN:'));
+            if (reporte.ranking.length === 0) {
+                console.log(chalk.gray('   Aún no hay referidos registrados'));
+            }
+            reporte.ranking.forEach((item, index) => {
+                console.log(`   ${index + 1}. ${chalk.bold(item.nombreCompleto)} - ${item.totalReferidos} referido(s), ${item.acreditados} acreditado(s)`);
+                console.log(chalk.gray(`      Otorgado: €${item.creditoOtorgado.toLocaleString()} | Redimido: €${item.creditoRedimido.toLocaleString()} | Disponible: €${item.creditoDisponible.toLocaleString()}`));
+            });
+
+            await this.pausar();
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al obtener reporte de referidos: ${error.message}`));
+            await this.pausar();
+        }
+    }
+
+    /**
+     * Muestra los clientes activos ordenados por riesgo de abandono con los motivos del puntaje
+     */
+    async mostrarClientesEnRiesgo() {
+        try {
+            console.log(chalk.blue('\n🚨 CLIENTES EN RIESGO DE ABANDONO'));
+            console.log(chalk.gray('==================================\n'));
+
+            const resultado = await this.retencionService.obtenerClientesEnRiesgo();
+            const { resumen } = resultado;
+
+            console.log(chalk.cyan('📊 RESUMEN:'));
+            console.log(`   Clientes activos evaluados: ${chalk.bold(resumen.clientesEvaluados)}`);
+            console.log(`   Riesgo alto: ${chalk.red(resumen.alto)} | medio: ${chalk.yellow(resumen.medio)} | bajo: ${chalk.gray(resumen.bajo)}`);
+            console.log(chalk.gray(`   Puntaje mínimo mostrado: ${resumen.puntajeMinimo}/100`));
+            if (!resumen.asistenciaEvaluada) {
+                console.log(chalk.gray('   Sin registros de asistencia: la señal de asistencia no se evaluó'));
+            }
+
+            if (resultado.total === 0) {
+                console.log(chalk.green('\n✅ No hay clientes en riesgo por encima del puntaje mínimo'));
+                await this.pausar();
+                return;
+            }
+
+            const colores = { alto: chalk.red, medio: chalk.yellow, bajo: chalk.gray };
+            console.log(chalk.cyan(`\n📞 CLIENTES A CONTACTAR (${resultado.total}):`));
+            resultado.data.forEach((cliente, index) => {
+                const color = colores[cliente.nivel];
+                console.log(`\n   ${index + 1}. ${chalk.bold(cliente.nombreCompleto)} - ${color(`${cliente.puntaje}/100 (${cliente.nivel})`)}`);
+                console.log(chalk.gray(`      📞 ${cliente.telefono} | ✉️  ${cliente.email}`));
+                cliente.motivos.forEach(motivo => {
+                    console.log(`      • ${motivo}`);
+                });
+            });
+
+            await this.pausar();
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al obtener clientes en riesgo: ${error.message}`));
+            await this.pausar();
+        }
+    }
+
+    /**
+     * Muestra el embudo de conversión de prospectos por origen y por mes
+     */
+    async mostrarEmbudoConversion() {
+        try {
+            console.log(chalk.blue('\n🎯 EMBUDO DE CONVERSIÓN DE PROSPECTOS'));
+            console.log(chalk.gray('=====================================\n'));
+
+            const filtros = await this.solicitarFiltrosFecha();
+            const reporte = await this.reportesService.obtenerEmbudoConversion(filtros);
+            const { totales } = reporte;
+            const formatearEtapas = fila =>
+                `${fila.prospectos} prospecto(s) → ${fila.contactados} contactado(s) → ${fila.prueba} en prueba → ` +
+                `${chalk.green(fila.convertidos + ' convertido(s)')} | ${chalk.red(fila.perdidos + ' perdido(s)')} | ` +
+                `conversión ${chalk.bold(fila.tasaConversion + '%')}`;
+
+            console.log(chalk.gray(`Período: ${reporte.periodo.fechaInicio} a ${reporte.periodo.fechaFin}`));
+
+            if (totales.prospectos === 0) {
+                console.log(chalk.yellow('\nNo hay prospectos registrados en el período'));
+                await this.pausar();
+                return;
+            }
+
+            console.log(chalk.cyan('\n📊 TOTALES:'));
+            console.log(`   ${formatearEtapas(totales)}`);
+
+            console.log(chalk.cyan('\n📣 POR ORIGEN:'));
+            reporte.porOrigen.forEach(fila => {
+                console.log(`   ${chalk.bold(fila.origen)}: ${formatearEtapas(fila)}`);
+            });
+
+            console.log(chalk.cyan('\n📅 POR MES DE REGISTRO:'));
+            reporte.porMes.forEach(fila => {
+                console.log(`   ${chalk.bold(fila.mes)}: ${formatearEtapas(fila)}`);
+                reporte.porMesYOrigen
+                    .filter(detalle => detalle.mes === fila.mes)
+                    .forEach(detalle => {
+                        console.log(chalk.gray(`      ${detalle.origen}: ${detalle.prospectos} prospecto(s), ${detalle.convertidos} convertido(s) (${detalle.tasaConversion}%)`));
+                    });
+            });
+
+            await this.pausar();
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al obtener embudo de conversión: ${error.message}`));
+            await this.pausar();
+        }
+    }
+
     /**
      * Muestra menú de exportación
      */
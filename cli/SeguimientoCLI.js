@@ -1,6 +1,6 @@
 const inquirer = require('inquirer');
 const chalk = require('chalk');
-const { SeguimientoService, ClienteService, ContratoService } = require('../services/index');
+const { SeguimientoService, ClienteService, ContratoService, SesionEntrenamientoService, EjercicioService } = require('../services/index');
 const { ObjectId } = require('mongodb');
 const dayjs = require('dayjs');
 
@@ -13,6 +13,8 @@ class SeguimientoCLI {
         this.seguimientoService = new SeguimientoService(db);
         this.clienteService = new ClienteService(db);
         this.contratoService = new ContratoService(db);
+        this.sesionService = new SesionEntrenamientoService(db);
+        this.ejercicioService = new EjercicioService(db);
     }
 
     /**
@@ -33,6 +35,7 @@ class SeguimientoCLI {
                     { name: '🔍 Buscar Seguimiento', value: 'buscar' },
                     { name: '✏️  Actualizar Seguimiento', value: 'actualizar' },
                     { name: '❌ Eliminar Seguimiento', value: 'eliminar' },
+                    { name: '🏋️  Registrar Sesión de Entrenamiento', value: 'sesion' },
                     { name: '📈 Ver Progreso de Cliente', value: 'progreso' },
                     { name: '📊 Ver Estadísticas', value: 'estadisticas' },
                     { name: '🔙 Volver al Menú Principal', value: 'volver' }
@@ -56,6 +59,9 @@ class SeguimientoCLI {
             case 'eliminar':
                 await this.eliminarSeguimiento();
                 break;
+            case 'sesion':
+                await this.registrarSesionEntrenamiento();
+                break;
             case 'progreso':
                 await this.verProgresoCliente();
                 break;
@@ -764,12 +770,21 @@ class SeguimientoCLI {
                 return;
             }
 
+            const { motivo } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'motivo',
+                    message: 'Motivo de la eliminación (opcional):'
+                }
+            ]);
+
             console.log(chalk.yellow('\n⏳ Eliminando seguimiento...'));
 
-            const resultadoEliminacion = await this.seguimientoService.eliminarSeguimiento(seguimientoId);
+            const resultadoEliminacion = await this.seguimientoService.eliminarSeguimiento(seguimientoId, { motivo });
 
             if (resultadoEliminacion.success) {
                 console.log(chalk.green('✅ Seguimiento eliminado exitosamente'));
+                console.log(chalk.gray('Puede restaurarse desde Configuración > Papelera.'));
             }
 
         } catch (error) {
@@ -1086,6 +1101,24 @@ class SeguimientoCLI {
                 }
             }
 
+            const historial = await this.sesionService.obtenerHistorialEjercicios(cliente.clienteId);
+            console.log(chalk.green('\n🏋️  PROGRESO EN EJERCICIOS (1RM estimado):'));
+
+            if (historial.total === 0) {
+                console.log(chalk.yellow('No hay sesiones de entrenamiento registradas.'));
+            } else {
+                historial.data.forEach(ejercicio => {
+                    const variacion = `${ejercicio.variacion > 0 ? '+' : ''}${ejercicio.variacion} kg`;
+                    console.log(chalk.bold(`\n   ${ejercicio.nombre}`));
+                    console.log(`   Mejor: ${ejercicio.mejorUnoRM} kg | Último: ${ejercicio.ultimoUnoRM} kg | Variación: ${variacion} | Sesiones: ${ejercicio.sesiones} | Récords: ${ejercicio.records}`);
+                    // Solo las últimas sesiones para no saturar la pantalla
+                    ejercicio.registros.slice(-5).forEach(registro => {
+                        const record = registro.esRecord ? chalk.yellow(' 🏆 récord') : '';
+                        console.log(chalk.gray(`      ${registro.fecha}: ${registro.series} → ${registro.unoRMEstimado} kg${record}`));
+                    });
+                });
+            }
+
         } catch (error) {
             console.log(chalk.red(`❌ Error al obtener progreso: ${error.message}`));
         }
@@ -1181,6 +1214,236 @@ class SeguimientoCLI {
         }
     }
 
+    /**
+     * Registra una sesión de entrenamiento completada por el cliente
+     */
+    async registrarSesionEntrenamiento() {
+        try {
+            console.log(chalk.blue('\n🏋️  REGISTRAR SESIÓN DE ENTRENAMIENTO'));
+            console.log(chalk.gray('====================================\n'));
+
+            // Buscar cliente
+            const { busqueda } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'busqueda',
+                    message: 'Ingresa el nombre, email o ID del cliente:',
+                    validate: input => (input && input.trim()) ? true : 'Debe ingresar un término de búsqueda'
+                }
+            ]);
+
+            console.log(chalk.yellow('\n⏳ Buscando cliente...'));
+
+            const resultadoBusqueda = await this.clienteService.buscarClientes(busqueda);
+            if (!resultadoBusqueda.success || resultadoBusqueda.data.length === 0) {
+                console.log(chalk.red('No se encontró el cliente.'));
+                return;
+            }
+
+            const cliente = resultadoBusqueda.data[0];
+            const { data: planActivo } = await this.sesionService.obtenerPlanActivo(cliente.clienteId);
+
+            console.log(chalk.green('\n📋 CLIENTE:'));
+            console.log(`Nombre: ${cliente.nombreCompleto}`);
+            console.log(`Plan activo: ${planActivo.nombrePlan} (semana ${planActivo.semanaActual})`);
+
+            const datosSesion = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'fecha',
+                    message: 'Fecha de la sesión (YYYY-MM-DD):',
+                    default: dayjs().format('YYYY-MM-DD'),
+                    validate: input => /^\d{4}-\d{2}-\d{2}$/.test(input) && dayjs(input).isValid() ? true : 'Formato de fecha inválido'
+                },
+                {
+                    type: 'list',
+                    name: 'registradoPor',
+                    message: '¿Quién registra la sesión?',
+                    choices: [
+                        { name: 'Entrenador', value: 'entrenador' },
+                        { name: 'Socio', value: 'socio' }
+                    ]
+                },
+                {
+                    type: 'input',
+                    name: 'semana',
+                    message: 'Semana del plan:',
+                    default: String(planActivo.semanaActual),
+                    validate: input => parseInt(input) >= 1 || 'La semana debe ser un número mayor a 0',
+                    filter: input => parseInt(input)
+                }
+            ]);
+
+            // La rutina de la semana elegida propone los ejercicios del día
+            const { data: planSemana } = await this.sesionService.obtenerPlanActivo(cliente.clienteId, datosSesion.semana);
+            const ejercicios = [];
+            let dia = '';
+
+            if (planSemana.rutina && planSemana.rutina.dias.length > 0) {
+                const { indiceDia } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'indiceDia',
+                        message: 'Día de la rutina:',
+                        choices: [
+                            ...planSemana.rutina.dias.map((diaRutina, index) => ({
+                                name: `${diaRutina.nombre} (${diaRutina.ejercicios.length} ejercicios)`,
+                                value: index
+                            })),
+                            { name: 'Sesión libre (fuera de la rutina)', value: -1 }
+                        ]
+                    }
+                ]);
+
+                if (indiceDia >= 0) {
+                    const diaRutina = planSemana.rutina.dias[indiceDia];
+                    dia = diaRutina.nombre;
+
+                    for (const planificado of diaRutina.ejercicios) {
+                        const { realizado } = await inquirer.prompt([
+                            {
+                                type: 'confirm',
+                                name: 'realizado',
+                                message: `¿Realizó ${planificado.nombre} (${planificado.series}x${planificado.repeticiones}${planificado.carga ? ` @ ${planificado.carga}` : ''})?`,
+                                default: true
+                            }
+                        ]);
+                        if (realizado) {
+                            const repeticiones = parseInt(planificado.repeticiones) || 10;
+                            const peso = parseFloat(planificado.carga) || 0;
+                            ejercicios.push({
+                                ejercicioId: planificado.ejercicioId.toString(),
+                                series: await this.solicitarSeriesRealizadas(
+                                    planificado.nombre,
+                                    Array(planificado.series).fill(`${repeticiones}x${peso}`).join(', ')
+                                )
+                            });
+                        }
+                    }
+                }
+            }
+
+            // Ejercicios adicionales tomados de la biblioteca
+            let agregarOtro = ejercicios.length === 0;
+            if (!agregarOtro) {
+                ({ agregarOtro } = await inquirer.prompt([
+                    { type: 'confirm', name: 'agregarOtro', message: '¿Agregar otro ejercicio de la biblioteca?', default: false }
+                ]));
+            }
+            while (agregarOtro) {
+                const ejercicio = await this.seleccionarEjercicioBiblioteca();
+                if (ejercicio) {
+                    ejercicios.push({
+                        ejercicioId: ejercicio.ejercicioId.toString(),
+                        series: await this.solicitarSeriesRealizadas(ejercicio.nombre)
+                    });
+                }
+                ({ agregarOtro } = await inquirer.prompt([
+                    { type: 'confirm', name: 'agregarOtro', message: '¿Agregar otro ejercicio de la biblioteca?', default: false }
+                ]));
+            }
+
+            if (ejercicios.length === 0) {
+                console.log(chalk.yellow('\nNo se registró ningún ejercicio. Sesión descartada.'));
+                return;
+            }
+
+            const { notas } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'notas',
+                    message: 'Notas de la sesión (opcional):',
+                    validate: input => input.length <= 500 || 'Las notas no pueden exceder 500 caracteres'
+                }
+            ]);
+
+            console.log(chalk.yellow('\n⏳ Registrando sesión...'));
+
+            const resultado = await this.sesionService.registrarSesion({
+                clienteId: cliente.clienteId,
+                fecha: new Date(`${datosSesion.fecha}T00:00:00`),
+                registradoPor: datosSesion.registradoPor,
+                semana: datosSesion.semana,
+                dia,
+                ejercicios,
+                notas
+            });
+
+            console.log(chalk.green(`✅ ${resultado.mensaje}`));
+            console.log(chalk.gray(`Volumen total: ${resultado.data.volumenTotal} kg`));
+            resultado.records.forEach(record => {
+                console.log(chalk.yellow(`🏆 ${record.nombre}: ${record.unoRMEstimado} kg de 1RM estimado (anterior: ${record.marcaAnterior} kg)`));
+            });
+
+        } catch (error) {
+            console.log(chalk.red(`❌ Error al registrar sesión: ${error.message}`));
+        }
+    }
+
+    /**
+     * Solicita las series realizadas de un ejercicio
+     * @param {string} nombre - Nombre del ejercicio
+     * @param {string} sugerencia - Series propuestas por la rutina (ej: "10x60, 10x60")
+     * @returns {Promise<Array>} Series ({ repeticiones, peso })
+     */
+    async solicitarSeriesRealizadas(nombre, sugerencia = undefined) {
+        const formatoSerie = /^(\d+)\s*x\s*(\d+(?:[.,]\d+)?)$/i;
+        const { series } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'series',
+                message: `Series de ${nombre} (repeticiones x kg, separadas por coma; ej: 10x60, 8x65):`,
+                default: sugerencia,
+                validate: input => {
+                    const partes = input.split(',').map(parte => parte.trim()).filter(Boolean);
+                    if (partes.length === 0) return 'Indique al menos una serie';
+                    return partes.every(parte => formatoSerie.test(parte)) || 'Use el formato repeticiones x kg (ej: 10x60; 0 kg si es con peso corporal)';
+                },
+                filter: input => input.trim()
+            }
+        ]);
+
+        return series.split(',').map(parte => parte.trim()).filter(Boolean).map(parte => {
+            const [, repeticiones, peso] = parte.match(formatoSerie);
+            return { repeticiones: parseInt(repeticiones), peso: parseFloat(peso.replace(',', '.')) };
+        });
+    }
+
+    /**
+     * Busca un ejercicio en la biblioteca y permite elegirlo entre las coincidencias
+     * @returns {Promise<Object|null>} Resumen del ejercicio seleccionado o null
+     */
+    async seleccionarEjercicioBiblioteca() {
+        const { termino } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'termino',
+                message: 'Buscar ejercicio en la biblioteca (nombre, grupo muscular o equipo):',
+                validate: input => input.trim().length >= 2 || 'El término de búsqueda debe tener al menos 2 caracteres'
+            }
+        ]);
+
+        const resultado = await this.ejercicioService.buscarEjercicios(termino);
+        if (resultado.total === 0) {
+            console.log(chalk.yellow('No hay ejercicios en la biblioteca que coincidan.'));
+            return null;
+        }
+
+        const { ejercicioId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'ejercicioId',
+                message: 'Selecciona el ejercicio:',
+                choices: resultado.data.map(ejercicio => ({
+                    name: `${ejercicio.nombre} (${ejercicio.gruposMusculares.join(', ')})`,
+                    value: ejercicio.ejercicioId.toString()
+                }))
+            }
+        ]);
+
+        return resultado.data.find(ejercicio => ejercicio.ejercicioId.toString() === ejercicioId);
+    }
+
     /**
      * Obtiene el texto de tendencia
      * @param {string} tendencia - Tendencia del progreso
@@ -115,7 +115,7 @@ class ConnectionManager {
             // ===== ÍNDICES PARA CLIENTES =====
             // PATRÓN: Strategy - Estrategia de índices para clientes
             // BUENA PRÁCTICA: Índices únicos para campos críticos
-            await db.collection('clientes').createIndex({ email: 1 }, { unique: true }); // Índice único para email
+            await this.crearIndiceEmailClientes(db); // Índice único para email (solo clientes fuera de la papelera)
             await db.collection('clientes').createIndex({ telefono: 1 }); // Índice para búsquedas por teléfono
             await db.collection('clientes').createIndex({ fechaRegistro: 1 }); // Índice para ordenamiento por fecha
 
@@ -125,6 +125,8 @@ class ConnectionManager {
             await db.collection('planes').createIndex({ estado: 1 }); // Índice para filtros por estado
             await db.collection('planes').createIndex({ nivel: 1 }); // Índice para filtros por nivel
             await db.collection('planes').createIndex({ fechaCreacion: 1 }); // Índice para ordenamiento por fecha
+            await db.collection('planes').createIndex({ 'semanas.dias.ejercicios.ejercicioId': 1 }); // Índice para planes que usan un ejercicio
+            await db.collection('planes_versiones').createIndex({ planId: 1, version: 1 }, { unique: true }); // Índice único por versión de cada plan
 
             // ===== ÍNDICES PARA CONTRATOS =====
             // PATRÓN: Strategy - Estrategia de índices para contratos
@@ -133,6 +135,8 @@ class ConnectionManager {
             await db.collection('contratos').createIndex({ planId: 1 }); // Índice para búsquedas por plan
             await db.collection('contratos').createIndex({ fechaInicio: 1 }); // Índice para ordenamiento por fecha
             await db.collection('contratos').createIndex({ estado: 1 }); // Índice para filtros por estado
+            await db.collection('contratos').createIndex({ planId: 1, versionPlan: 1 }); // Índice para clientes por versión del plan
+            await db.collection('contratos').createIndex({ estado: 1, fechaFin: 1 }); // Índice para las tareas de vencimiento y renovación
 
             // ===== ÍNDICES PARA SEGUIMIENTOS =====
             // PATRÓN: Strategy - Estrategia de índices para seguimientos
@@ -148,6 +152,68 @@ class ConnectionManager {
             await db.collection('finanzas').createIndex({ tipo: 1 }); // Índice para filtros por tipo
             await db.collection('finanzas').createIndex({ clienteId: 1 }); // Índice para búsquedas por cliente
 
+            // ===== ÍNDICES PARA ASISTENCIAS =====
+            // PATRÓN: Strategy - Estrategia de índices para asistencias
+            // BUENA PRÁCTICA: Índices para historial por cliente y listas diarias
+            await db.collection('asistencias').createIndex({ clienteId: 1, fechaEntrada: -1 }); // Índice para historial por cliente
+            await db.collection('asistencias').createIndex({ fechaEntrada: 1 }); // Índice para asistencias por día
+
+            // ===== ÍNDICES PARA GRUPOS =====
+            // PATRÓN: Strategy - Estrategia de índices para grupos familiares y corporativos
+            // BUENA PRÁCTICA: Índice único por miembro para que un cliente pertenezca a un solo grupo
+            await db.collection('grupos').createIndex({ nombre: 1 }, { unique: true }); // Índice único para nombre
+            await db.collection('grupos').createIndex({ miembros: 1 }, { unique: true }); // Índice para localizar el grupo de un cliente
+
+            // ===== ÍNDICES PARA REFERIDOS =====
+            // PATRÓN: Strategy - Estrategia de índices para el programa de referidos
+            // BUENA PRÁCTICA: Índice único para que un cliente solo pueda ser referido una vez
+            await db.collection('referidos').createIndex({ referidoClienteId: 1 }, { unique: true }); // Índice único por cliente referido
+            await db.collection('referidos').createIndex({ referidorId: 1, estado: 1 }); // Índice para consultar el crédito de quien refiere
+
+            // ===== ÍNDICES PARA INTERACCIONES =====
+            // PATRÓN: Strategy - Estrategia de índices para las notas de contacto con clientes
+            // BUENA PRÁCTICA: Índices para el historial por cliente y la lista de contactos pendientes
+            await db.collection('interacciones').createIndex({ clienteId: 1, fecha: -1 }); // Índice para historial por cliente
+            await db.collection('interacciones').createIndex({ seguimientoCompletado: 1, fechaSeguimiento: 1 }); // Índice para seguimientos pendientes
+
+            // ===== ÍNDICES PARA PROSPECTOS =====
+            // PATRÓN: Strategy - Estrategia de índices para el embudo de prospectos
+            // BUENA PRÁCTICA: Índices para listar por estado y agrupar el embudo por origen y fecha
+            await db.collection('prospectos').createIndex({ estado: 1, fechaRegistro: -1 }); // Índice para listar por estado
+            await db.collection('prospectos').createIndex({ origen: 1, fechaRegistro: 1 }); // Índice para el embudo de conversión
+            await db.collection('prospectos').createIndex({ email: 1 }); // Índice para detectar prospectos repetidos
+            await db.collection('prospectos').createIndex({ clienteId: 1 }); // Índice para el prospecto de origen de un cliente
+
+            // ===== ÍNDICES PARA EJERCICIOS =====
+            // PATRÓN: Strategy - Estrategia de índices para la biblioteca de ejercicios
+            // BUENA PRÁCTICA: Nombre único y filtros por grupo muscular y equipamiento
+            await db.collection('ejercicios').createIndex({ nombre: 1 }, { unique: true }); // Índice único para nombre
+            await db.collection('ejercicios').createIndex({ gruposMusculares: 1 }); // Índice para filtros por grupo muscular
+            await db.collection('ejercicios').createIndex({ equipamiento: 1 }); // Índice para ejercicios afectados por un equipo
+
+            // ===== ÍNDICES PARA SESIONES DE ENTRENAMIENTO =====
+            // PATRÓN: Strategy - Estrategia de índices para las sesiones realizadas
+            // BUENA PRÁCTICA: Índices para el historial del cliente y sus marcas por ejercicio
+            await db.collection('sesiones_entrenamiento').createIndex({ clienteId: 1, fecha: -1 }); // Índice para historial por cliente
+            await db.collection('sesiones_entrenamiento').createIndex({ clienteId: 1, 'ejercicios.ejercicioId': 1 }); // Índice para mejores marcas por ejercicio
+
+            // ===== ÍNDICES PARA LISTA DE ESPERA =====
+            // PATRÓN: Strategy - Estrategia de índices para los turnos de los planes con cupo
+            // BUENA PRÁCTICA: Índices para el orden de llegada por plan y las acciones pendientes
+            await db.collection('lista_espera').createIndex({ planId: 1, estado: 1, fechaSolicitud: 1 }); // Índice para el siguiente en espera
+            await db.collection('lista_espera').createIndex({ planId: 1, clienteId: 1, estado: 1 }); // Índice para el turno abierto del cliente
+            await db.collection('lista_espera').createIndex({ estado: 1, fechaPromocion: 1 }); // Índice para acciones pendientes
+
+            // ===== ÍNDICES PARA TARIFAS DE PLANES =====
+            // PATRÓN: Strategy - Estrategia de índices para el catálogo de precios
+            // BUENA PRÁCTICA: Índice para resolver la tarifa vigente y el historial de un plan
+            await db.collection('tarifas_planes').createIndex({ planId: 1, vigenteDesde: -1 }); // Índice para tarifa vigente e historial
+
+            // ===== ÍNDICES PARA REGISTROS DE MANTENIMIENTO =====
+            // PATRÓN: Strategy - Estrategia de índices para auditar las tareas automáticas
+            // BUENA PRÁCTICA: Índice para consultar las últimas ejecuciones de cada tarea
+            await db.collection('mantenimientos').createIndex({ tarea: 1, fechaEjecucion: -1 }); // Índice para historial por tarea
+
             // ===== CONFIRMACIÓN DE ÉXITO =====
             // PATRÓN: Observer - Notifica el éxito de la operación
             // PRINCIPIO SOLID S: Responsabilidad de confirmar creación de índices
@@ -160,6 +226,28 @@ class ConnectionManager {
         }
     }
 
+    /**
+     * Crea el índice único de email de clientes limitado a los clientes fuera de la papelera
+     * @param {Object} db - Instancia de la base de datos
+     * @private
+     *
+     * NOTA: Un cliente eliminado no bloquea la reutilización de su email. El índice parcial
+     * necesita `eliminado: false` explícito, por eso se completa en los clientes anteriores
+     * a la papelera y se reemplaza el índice único original sobre todos los documentos
+     */
+    async crearIndiceEmailClientes(db) {
+        const clientes = db.collection('clientes');
+        await clientes.updateMany({ eliminado: { $exists: false } }, { $set: { eliminado: false } });
+
+        // La colección puede no existir todavía en una base de datos nueva
+        const indices = await clientes.indexes().catch(() => []);
+        if (indices.some(indice => indice.name === 'email_1' && !indice.partialFilterExpression)) {
+            await clientes.dropIndex('email_1');
+        }
+
+        await clientes.createIndex({ email: 1 }, { unique: true, partialFilterExpression: { eliminado: false } });
+    }
+
     /**
      * Obtiene la instancia de la base de datos
      * @returns {Object} Instancia de la base de datos
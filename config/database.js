@@ -223,12 +223,14 @@ class DatabaseConfig {
                 return false;
             }
             
-            // ===== PRUEBA DE SESIÓN =====
-            // PATRÓN: Strategy - Estrategia de prueba de sesión para MongoDB
+            // ===== VERIFICACIÓN DE TOPOLOGÍA =====
+            // PATRÓN: Strategy - Estrategia según la topología del servidor MongoDB
             // PRINCIPIO SOLID S: Responsabilidad de probar disponibilidad de transacciones
-            const session = this.client.startSession();
-            await session.endSession();
-            return true;
+            // NOTA: Abrir una sesión también funciona en un servidor standalone, donde las
+            // transacciones fallan; solo un miembro de replica set (setName) o un mongos
+            // (msg 'isdbgrid') las admite
+            const hello = await this.client.db('admin').command({ hello: 1 });
+            return Boolean(hello.setName) || hello.msg === 'isdbgrid';
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Wrapping - Envuelve errores con contexto específico
@@ -84,6 +84,75 @@ const config = {
         // PATRÓN: Registry - Registra tipos de transacciones válidos
         // BUENA PRÁCTICA: Tipos de transacciones centralizados y configurables
         transactionTypes: ['ingreso', 'egreso'],
+    },
+
+    // ===== CONFIGURACIÓN DE PAPELERA =====
+    // PATRÓN: Configuration Object - Configuración específica del borrado lógico
+    // PRINCIPIO SOLID S: Responsabilidad de configurar la retención de eliminados
+    papelera: {
+        // PATRÓN: Strategy - Días que un documento eliminado se conserva antes de poder purgarse
+        // BUENA PRÁCTICA: Retención configurable desde variables de entorno
+        diasRetencion: parseInt(process.env.PAPELERA_DIAS_RETENCION, 10) || 30,
+    },
+
+    // ===== CONFIGURACIÓN DE SALUD =====
+    // PATRÓN: Configuration Object - Configuración específica del perfil de salud
+    // PRINCIPIO SOLID S: Responsabilidad de configurar el control de riesgo PAR-Q
+    salud: {
+        // PATRÓN: Strategy - 'bloquear' impide asignar planes con riesgo PAR-Q sin resolver, 'advertir' solo avisa
+        // BUENA PRÁCTICA: Política configurable desde variables de entorno
+        modoRiesgoParq: process.env.MODO_RIESGO_PARQ === 'advertir' ? 'advertir' : 'bloquear',
+    },
+
+    // ===== CONFIGURACIÓN DE REFERIDOS =====
+    // PATRÓN: Configuration Object - Configuración específica del programa de referidos
+    // PRINCIPIO SOLID S: Responsabilidad de configurar el crédito por referido
+    referidos: {
+        // Crédito otorgado al cliente que refiere cuando el primer contrato del referido queda vigente
+        // BUENA PRÁCTICA: Monto configurable desde variables de entorno
+        montoCredito: parseFloat(process.env.REFERIDOS_MONTO_CREDITO) || 20,
+    },
+
+    // ===== CONFIGURACIÓN DE RETENCIÓN =====
+    // PATRÓN: Configuration Object - Umbrales del puntaje de riesgo de abandono
+    // PRINCIPIO SOLID S: Responsabilidad de configurar la detección de clientes en riesgo
+    retencion: {
+        // Días sin seguimiento físico a partir de los cuales se considera una señal de riesgo
+        diasSinSeguimiento: parseInt(process.env.RETENCION_DIAS_SIN_SEGUIMIENTO) || 30,
+        // Días sin asistir al gimnasio a partir de los cuales se considera una señal de riesgo
+        diasSinAsistencia: parseInt(process.env.RETENCION_DIAS_SIN_ASISTENCIA) || 14,
+        // Ventana de días para considerar un contrato próximo a vencer
+        diasVencimiento: parseInt(process.env.RETENCION_DIAS_VENCIMIENTO) || 15,
+        // Puntaje mínimo para aparecer en la lista de clientes en riesgo
+        puntajeMinimo: parseInt(process.env.RETENCION_PUNTAJE_MINIMO) || 25,
+    },
+
+    // ===== CONFIGURACIÓN DE PROSPECTOS =====
+    // PATRÓN: Configuration Object - Configuración del embudo de prospectos
+    // PRINCIPIO SOLID S: Responsabilidad de configurar los pases de prueba
+    prospectos: {
+        // Días de validez por defecto del pase de prueba
+        diasPrueba: parseInt(process.env.PROSPECTOS_DIAS_PRUEBA) || 7,
+    },
+
+    // ===== CONFIGURACIÓN DE CONTRATOS =====
+    // PATRÓN: Configuration Object - Políticas por defecto de los contratos nuevos
+    // PRINCIPIO SOLID S: Responsabilidad de configurar los congelamientos
+    contratos: {
+        // Días que se puede congelar un contrato en total; cada contrato guarda su propio máximo al crearse
+        maxDiasCongelamiento: parseInt(process.env.CONTRATOS_MAX_DIAS_CONGELAMIENTO) || 30,
+        // Días antes de la fecha de fin en que la renovación automática renueva el contrato
+        diasAnticipacionRenovacion: parseInt(process.env.CONTRATOS_DIAS_ANTICIPACION_RENOVACION) || 7,
+        // Carpeta con las plantillas editables del documento del contrato (contrato.html y contrato.txt)
+        directorioPlantillas: process.env.CONTRATOS_DIRECTORIO_PLANTILLAS || 'plantillas/contratos',
+    },
+
+    // ===== CONFIGURACIÓN DE MANTENIMIENTO =====
+    // PATRÓN: Configuration Object - Tareas automáticas del sistema
+    // PRINCIPIO SOLID S: Responsabilidad de configurar cuándo se ejecutan las tareas de mantenimiento
+    mantenimiento: {
+        // Finalizar los contratos vencidos al iniciar la aplicación (MANTENIMIENTO_VENCIMIENTO_AL_INICIAR=false lo desactiva)
+        vencimientoAlIniciar: process.env.MANTENIMIENTO_VENCIMIENTO_AL_INICIAR !== 'false',
     }
 };
 
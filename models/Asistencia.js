@@ -0,0 +1,187 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase Asistencia - Modelo para el control de entradas y salidas de clientes
+ * Registra cada visita al gimnasio asociada al contrato que la habilitó
+ */
+class Asistencia {
+    constructor({
+        asistenciaId = null,
+        clienteId,
+        contratoId,
+        fechaEntrada = null,
+        fechaSalida = null,
+        observaciones = ''
+    }) {
+        this.asistenciaId = asistenciaId || new ObjectId();
+        this.clienteId = clienteId;
+        this.contratoId = contratoId;
+        this.fechaEntrada = fechaEntrada || new Date();
+        this.fechaSalida = fechaSalida || null;
+        this.observaciones = observaciones || '';
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos de la asistencia
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateClienteId();
+        this.validateContratoId();
+        this.validateFechaEntrada();
+        this.validateFechaSalida();
+        this.validateObservaciones();
+    }
+
+    /**
+     * Valida el ID del cliente
+     */
+    validateClienteId() {
+        if (!this.clienteId) {
+            throw new Error('ID del cliente es obligatorio');
+        }
+        if (!ObjectId.isValid(this.clienteId)) {
+            throw new Error('ID del cliente debe ser un ObjectId válido');
+        }
+    }
+
+    /**
+     * Valida el ID del contrato
+     */
+    validateContratoId() {
+        if (!this.contratoId) {
+            throw new Error('ID del contrato es obligatorio');
+        }
+        if (!ObjectId.isValid(this.contratoId)) {
+            throw new Error('ID del contrato debe ser un ObjectId válido');
+        }
+    }
+
+    /**
+     * Valida la fecha de entrada
+     */
+    validateFechaEntrada() {
+        if (!(this.fechaEntrada instanceof Date) || isNaN(this.fechaEntrada.getTime())) {
+            throw new Error('Fecha de entrada debe ser una fecha válida');
+        }
+
+        // Permitir un pequeño margen por diferencias de reloj
+        const limite = new Date(Date.now() + 5 * 60 * 1000);
+        if (this.fechaEntrada > limite) {
+            throw new Error('Fecha de entrada no puede estar en el futuro');
+        }
+    }
+
+    /**
+     * Valida la fecha de salida
+     */
+    validateFechaSalida() {
+        if (this.fechaSalida === null) {
+            return;
+        }
+        if (!(this.fechaSalida instanceof Date) || isNaN(this.fechaSalida.getTime())) {
+            throw new Error('Fecha de salida debe ser una fecha válida');
+        }
+        if (this.fechaSalida < this.fechaEntrada) {
+            throw new Error('Fecha de salida no puede ser anterior a la fecha de entrada');
+        }
+    }
+
+    /**
+     * Valida las observaciones
+     */
+    validateObservaciones() {
+        if (typeof this.observaciones !== 'string') {
+            this.observaciones = '';
+        }
+        if (this.observaciones.length > 500) {
+            throw new Error('Observaciones no pueden exceder 500 caracteres');
+        }
+        this.observaciones = this.observaciones.trim();
+    }
+
+    /**
+     * Verifica si la asistencia sigue abierta (sin salida registrada)
+     * @returns {boolean} True si el cliente aún no ha salido
+     */
+    estaAbierta() {
+        return this.fechaSalida === null;
+    }
+
+    /**
+     * Registra la salida del cliente
+     * @param {Date} fechaSalida - Fecha y hora de salida
+     */
+    registrarSalida(fechaSalida = new Date()) {
+        if (!this.estaAbierta()) {
+            throw new Error('La asistencia ya tiene una salida registrada');
+        }
+        this.fechaSalida = fechaSalida;
+        this.validateFechaSalida();
+    }
+
+    /**
+     * Calcula la duración de la visita en minutos
+     * @returns {number|null} Minutos de permanencia o null si sigue abierta
+     */
+    getDuracionMinutos() {
+        if (this.estaAbierta()) {
+            return null;
+        }
+        return Math.round((this.fechaSalida - this.fechaEntrada) / (1000 * 60));
+    }
+
+    /**
+     * Convierte la asistencia a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.asistenciaId,
+            clienteId: this.clienteId,
+            contratoId: this.contratoId,
+            fechaEntrada: this.fechaEntrada,
+            fechaSalida: this.fechaSalida,
+            observaciones: this.observaciones
+        };
+    }
+
+    /**
+     * Crea una instancia de Asistencia desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {Asistencia} Instancia de Asistencia
+     */
+    static fromMongoObject(mongoDoc) {
+        return new Asistencia({
+            asistenciaId: mongoDoc._id,
+            clienteId: mongoDoc.clienteId,
+            contratoId: mongoDoc.contratoId,
+            fechaEntrada: mongoDoc.fechaEntrada,
+            fechaSalida: mongoDoc.fechaSalida || null,
+            observaciones: mongoDoc.observaciones || ''
+        });
+    }
+
+    /**
+     * Obtiene información resumida de la asistencia
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            asistenciaId: this.asistenciaId,
+            clienteId: this.clienteId,
+            contratoId: this.contratoId,
+            fecha: dayjs(this.fechaEntrada).format('DD/MM/YYYY'),
+            horaEntrada: dayjs(this.fechaEntrada).format('HH:mm'),
+            horaSalida: this.fechaSalida ? dayjs(this.fechaSalida).format('HH:mm') : null,
+            duracionMinutos: this.getDuracionMinutos(),
+            abierta: this.estaAbierta()
+        };
+    }
+}
+
+module.exports = Asistencia;
@@ -1,6 +1,22 @@
 const { ObjectId } = require('mongodb');
 const dayjs = require('dayjs');
 
+/**
+ * Preguntas del cuestionario PAR-Q (Physical Activity Readiness Questionnaire)
+ * Una respuesta afirmativa indica que el cliente requiere autorización médica
+ */
+const PREGUNTAS_PARQ = [
+    { clave: 'afeccionCardiaca', texto: '¿Algún médico le ha dicho que tiene una afección cardíaca y que solo debe hacer actividad física recomendada por un médico?' },
+    { clave: 'dolorPechoActividad', texto: '¿Siente dolor en el pecho cuando realiza actividad física?' },
+    { clave: 'dolorPechoReposo', texto: 'En el último mes, ¿ha tenido dolor en el pecho sin realizar actividad física?' },
+    { clave: 'mareos', texto: '¿Pierde el equilibrio por mareos o ha perdido alguna vez el conocimiento?' },
+    { clave: 'huesosArticulaciones', texto: '¿Tiene algún problema óseo o articular que podría empeorar con la actividad física?' },
+    { clave: 'medicacionCardiaca', texto: '¿Toma medicamentos para la presión arterial o una afección cardíaca?' },
+    { clave: 'otraRazon', texto: '¿Conoce alguna otra razón por la que no debería realizar actividad física?' }
+];
+
+const SEXOS_VALIDOS = ['masculino', 'femenino', 'otro'];
+
 /**
  * Clase Cliente - Modelo para gestión de clientes del gimnasio
  * Implementa validaciones robustas y principios SOLID
@@ -14,7 +30,9 @@ class Cliente {
         telefono, 
         fechaRegistro = null, 
         activo = true, 
-        planes = [] 
+        planes = [],
+        perfilSalud = null,
+        referidoPor = null
     }) {
         this.clienteId = clienteId || new ObjectId();
         this.nombre = nombre;
@@ -24,6 +42,8 @@ class Cliente {
         this.fechaRegistro = fechaRegistro || new Date();
         this.activo = activo;
         this.planes = planes;
+        this.perfilSalud = perfilSalud;
+        this.referidoPor = referidoPor || null;
         
         // Validar datos al crear instancia
         this.validate();
@@ -41,6 +61,8 @@ class Cliente {
         this.validateFechaRegistro();
         this.validateActivo();
         this.validatePlanes();
+        this.validatePerfilSalud();
+        this.validateReferidoPor();
     }
 
     /**
@@ -169,6 +191,238 @@ class Cliente {
         }
     }
 
+    /**
+     * Valida y normaliza el perfil de salud (opcional)
+     * Estructura: contactoEmergencia, estaturaCm, fechaNacimiento, sexo, lesiones, medicamentos, parq
+     */
+    validatePerfilSalud() {
+        if (this.perfilSalud === null || this.perfilSalud === undefined) {
+            this.perfilSalud = null;
+            return;
+        }
+        if (typeof this.perfilSalud !== 'object' || Array.isArray(this.perfilSalud)) {
+            throw new Error('Perfil de salud debe ser un objeto');
+        }
+
+        const {
+            contactoEmergencia = null,
+            estaturaCm = null,
+            fechaNacimiento = null,
+            sexo = null,
+            lesiones = [],
+            medicamentos = [],
+            parq = null
+        } = this.perfilSalud;
+
+        // Contacto de emergencia
+        let contacto = null;
+        if (contactoEmergencia) {
+            if (!contactoEmergencia.nombre || typeof contactoEmergencia.nombre !== 'string' || contactoEmergencia.nombre.trim().length < 2) {
+                throw new Error('Nombre del contacto de emergencia debe tener al menos 2 caracteres');
+            }
+            const telefonoContacto = String(contactoEmergencia.telefono || '').replace(/[\s\-\(\)]/g, '');
+            if (!/^\d{7,15}$/.test(telefonoContacto)) {
+                throw new Error('Teléfono del contacto de emergencia debe tener entre 7 y 15 dígitos');
+            }
+            contacto = {
+                nombre: contactoEmergencia.nombre.trim(),
+                telefono: telefonoContacto,
+                relacion: contactoEmergencia.relacion ? String(contactoEmergencia.relacion).trim() : null
+            };
+        }
+
+        // Estatura
+        if (estaturaCm !== null && (typeof estaturaCm !== 'number' || isNaN(estaturaCm) || estaturaCm < 50 || estaturaCm > 250)) {
+            throw new Error('Estatura debe ser un número entre 50 y 250 cm');
+        }
+
+        // Fecha de nacimiento
+        let nacimiento = null;
+        if (fechaNacimiento !== null) {
+            nacimiento = fechaNacimiento instanceof Date ? fechaNacimiento : new Date(fechaNacimiento);
+            if (isNaN(nacimiento.getTime())) {
+                throw new Error('Fecha de nacimiento no es válida');
+            }
+            if (nacimiento > new Date()) {
+                throw new Error('Fecha de nacimiento no puede ser futura');
+            }
+            if (dayjs().diff(dayjs(nacimiento), 'year') > 120) {
+                throw new Error('Fecha de nacimiento no puede ser anterior a 120 años');
+            }
+        }
+
+        // Sexo
+        if (sexo !== null && !SEXOS_VALIDOS.includes(sexo)) {
+            throw new Error(`Sexo debe ser uno de: ${SEXOS_VALIDOS.join(', ')}`);
+        }
+
+        // Lesiones y medicamentos
+        const limpiarLista = (lista, campo) => {
+            if (!Array.isArray(lista)) {
+                throw new Error(`${campo} debe ser un array`);
+            }
+            return lista.map(item => String(item).trim()).filter(item => item.length > 0);
+        };
+
+        this.perfilSalud = {
+            contactoEmergencia: contacto,
+            estaturaCm,
+            fechaNacimiento: nacimiento,
+            sexo,
+            lesiones: limpiarLista(lesiones, 'Lesiones'),
+            medicamentos: limpiarLista(medicamentos, 'Medicamentos'),
+            parq: parq ? this.validateParq(parq) : null
+        };
+    }
+
+    /**
+     * Valida un cuestionario PAR-Q almacenado
+     * @param {Object} parq - Cuestionario con respuestas, fecha, resultado y resolución
+     * @returns {Object} Cuestionario normalizado
+     */
+    validateParq(parq) {
+        if (!parq.respuestas || typeof parq.respuestas !== 'object') {
+            throw new Error('El cuestionario PAR-Q debe incluir respuestas');
+        }
+        for (const pregunta of PREGUNTAS_PARQ) {
+            if (typeof parq.respuestas[pregunta.clave] !== 'boolean') {
+                throw new Error(`Respuesta PAR-Q faltante o inválida: ${pregunta.clave}`);
+            }
+        }
+
+        const fecha = parq.fecha instanceof Date ? parq.fecha : new Date(parq.fecha);
+        if (isNaN(fecha.getTime())) {
+            throw new Error('Fecha del cuestionario PAR-Q no es válida');
+        }
+
+        return {
+            respuestas: parq.respuestas,
+            fecha,
+            resultado: Cliente.evaluarParq(parq.respuestas),
+            riesgoResuelto: Boolean(parq.riesgoResuelto),
+            resolucion: parq.resolucion || null
+        };
+    }
+
+    /**
+     * Valida el cliente que refirió a este cliente (opcional)
+     */
+    validateReferidoPor() {
+        if (this.referidoPor === null) {
+            return;
+        }
+        if (!ObjectId.isValid(this.referidoPor)) {
+            throw new Error('ID del cliente que refiere debe ser un ObjectId válido');
+        }
+        if (this.referidoPor.toString() === this.clienteId.toString()) {
+            throw new Error('Un cliente no puede referirse a sí mismo');
+        }
+    }
+
+    /**
+     * Evalúa las respuestas del PAR-Q
+     * @param {Object} respuestas - Respuestas por clave de pregunta
+     * @returns {string} 'riesgo' si alguna respuesta es afirmativa, 'apto' en caso contrario
+     */
+    static evaluarParq(respuestas) {
+        return PREGUNTAS_PARQ.some(pregunta => respuestas[pregunta.clave] === true) ? 'riesgo' : 'apto';
+    }
+
+    /**
+     * Registra un nuevo cuestionario PAR-Q (reemplaza el anterior)
+     * @param {Object} respuestas - Respuestas por clave de pregunta
+     */
+    registrarParq(respuestas) {
+        this.perfilSalud = {
+            ...(this.perfilSalud || {}),
+            parq: { respuestas, fecha: new Date(), riesgoResuelto: false, resolucion: null }
+        };
+        this.validatePerfilSalud();
+    }
+
+    /**
+     * Marca como resuelto el riesgo del PAR-Q (por ejemplo, con autorización médica)
+     * @param {Object} resolucion - Datos de la resolución
+     * @param {string} resolucion.autorizadoPor - Médico o responsable que autoriza
+     * @param {string} resolucion.observaciones - Observaciones de la autorización
+     */
+    resolverRiesgoParq({ autorizadoPor, observaciones = '' }) {
+        if (!this.tieneRiesgoSinResolver()) {
+            throw new Error('El cliente no tiene un riesgo PAR-Q pendiente de resolver');
+        }
+        if (!autorizadoPor || typeof autorizadoPor !== 'string' || autorizadoPor.trim().length < 2) {
+            throw new Error('Debe indicar quién autoriza la actividad física');
+        }
+        this.perfilSalud.parq.riesgoResuelto = true;
+        this.perfilSalud.parq.resolucion = {
+            fecha: new Date(),
+            autorizadoPor: autorizadoPor.trim(),
+            observaciones: String(observaciones).trim()
+        };
+    }
+
+    /**
+     * Verifica si el cliente tiene un cuestionario PAR-Q registrado
+     * @returns {boolean} True si existe PAR-Q
+     */
+    tieneParq() {
+        return Boolean(this.perfilSalud && this.perfilSalud.parq);
+    }
+
+    /**
+     * Verifica si el PAR-Q del cliente indica riesgo sin autorización médica
+     * @returns {boolean} True si hay riesgo sin resolver
+     */
+    tieneRiesgoSinResolver() {
+        return this.tieneParq() &&
+            this.perfilSalud.parq.resultado === 'riesgo' &&
+            !this.perfilSalud.parq.riesgoResuelto;
+    }
+
+    /**
+     * Calcula la edad del cliente a partir de la fecha de nacimiento
+     * @returns {number|null} Edad en años o null si no está registrada
+     */
+    getEdad() {
+        if (!this.perfilSalud || !this.perfilSalud.fechaNacimiento) {
+            return null;
+        }
+        return dayjs().diff(dayjs(this.perfilSalud.fechaNacimiento), 'year');
+    }
+
+    /**
+     * Obtiene el perfil de salud formateado para mostrar
+     * @returns {Object|null} Perfil de salud resumido o null si no existe
+     */
+    getResumenSalud() {
+        if (!this.perfilSalud) {
+            return null;
+        }
+        const { contactoEmergencia, estaturaCm, fechaNacimiento, sexo, lesiones, medicamentos, parq } = this.perfilSalud;
+        return {
+            contactoEmergencia,
+            estaturaCm,
+            fechaNacimiento: fechaNacimiento ? dayjs(fechaNacimiento).format('DD/MM/YYYY') : null,
+            edad: this.getEdad(),
+            sexo,
+            lesiones,
+            medicamentos,
+            parq: parq ? {
+                fecha: dayjs(parq.fecha).format('DD/MM/YYYY'),
+                resultado: parq.resultado,
+                riesgoResuelto: parq.riesgoResuelto,
+                respuestasAfirmativas: PREGUNTAS_PARQ
+                    .filter(pregunta => parq.respuestas[pregunta.clave])
+                    .map(pregunta => pregunta.texto),
+                resolucion: parq.resolucion ? {
+                    ...parq.resolucion,
+                    fecha: dayjs(parq.resolucion.fecha).format('DD/MM/YYYY')
+                } : null
+            } : null,
+            riesgoSinResolver: this.tieneRiesgoSinResolver()
+        };
+    }
+
     /**
      * Obtiene el nombre completo del cliente
      * @returns {string} Nombre completo
@@ -224,7 +478,9 @@ class Cliente {
             telefono: this.telefono,
             fechaRegistro: this.fechaRegistro,
             activo: this.activo,
-            planes: this.planes
+            planes: this.planes,
+            perfilSalud: this.perfilSalud,
+            referidoPor: this.referidoPor
         };
     }
 
@@ -242,7 +498,9 @@ class Cliente {
             telefono: mongoDoc.telefono,
             fechaRegistro: mongoDoc.fechaRegistro,
             activo: mongoDoc.activo,
-            planes: mongoDoc.planes || []
+            planes: mongoDoc.planes || [],
+            perfilSalud: mongoDoc.perfilSalud || null,
+            referidoPor: mongoDoc.referidoPor || null
         });
     }
 
@@ -258,9 +516,14 @@ class Cliente {
             telefono: this.telefono,
             activo: this.activo,
             cantidadPlanes: this.planes.length,
-            fechaRegistro: dayjs(this.fechaRegistro).format('DD/MM/YYYY')
+            fechaRegistro: dayjs(this.fechaRegistro).format('DD/MM/YYYY'),
+            riesgoSalud: this.tieneRiesgoSinResolver()
         };
     }
 }
 
+// Preguntas expuestas para que la CLI construya el cuestionario
+Cliente.PREGUNTAS_PARQ = PREGUNTAS_PARQ;
+Cliente.SEXOS_VALIDOS = SEXOS_VALIDOS;
+
 module.exports = Cliente;
@@ -16,6 +16,16 @@ class Contrato {
         fechaInicio = null, 
         fechaFin = null, 
         estado = 'vigente',
+        facturacionGrupo = null,
+        versionPlan = null,
+        precioCatalogo = null,
+        tarifaId = null,
+        congelamientos = [],
+        maxDiasCongelamiento = null,
+        renovacionAutomatica = false,
+        cronogramaPagos = null,
+        cambiosPlan = [],
+        contratoAnteriorId = null,
         skipValidation = false
     }) {
         this.contratoId = contratoId || new ObjectId();
@@ -27,6 +37,16 @@ class Contrato {
         this.fechaInicio = fechaInicio || new Date();
         this.fechaFin = fechaFin;
         this.estado = estado;
+        this.facturacionGrupo = facturacionGrupo || null;
+        this.versionPlan = versionPlan || null;
+        this.precioCatalogo = precioCatalogo ?? null;
+        this.tarifaId = tarifaId || null;
+        this.congelamientos = congelamientos || [];
+        this.maxDiasCongelamiento = maxDiasCongelamiento ?? null;
+        this.renovacionAutomatica = Boolean(renovacionAutomatica);
+        this.cronogramaPagos = cronogramaPagos || null;
+        this.cambiosPlan = cambiosPlan || [];
+        this.contratoAnteriorId = contratoAnteriorId || null;
         
         // Calcular fecha de fin si no se proporciona
         if (!this.fechaFin) {
@@ -51,6 +71,12 @@ class Contrato {
         this.validatePrecio();
         this.validateFechas();
         this.validateEstado();
+        this.validateFacturacionGrupo();
+        this.validateVersionPlan();
+        this.validatePrecioCatalogo();
+        this.validateCongelamiento();
+        this.validateCronogramaPagos();
+        this.validateCambiosPlan();
     }
 
     /**
@@ -143,10 +169,11 @@ class Contrato {
         }
         
         // Verificar que la fecha de inicio no sea futura (más de 1 día)
+        // Una renovación anticipada empieza cuando termina el contrato anterior
         const mañana = new Date();
         mañana.setDate(mañana.getDate() + 1);
         
-        if (this.fechaInicio > mañana) {
+        if (this.fechaInicio > mañana && !this.contratoAnteriorId) {
             throw new Error('Fecha de inicio no puede ser más de 1 día en el futuro');
         }
         
@@ -173,15 +200,254 @@ class Contrato {
             throw new Error('Estado es obligatorio y debe ser string');
         }
         
-        const estadosValidos = ['vigente', 'cancelado', 'finalizado'];
-        if (!estadosValidos.includes(this.estado.toLowerCase())) {
-            throw new Error(`Estado debe ser uno de: ${estadosValidos.join(', ')}`);
+        if (!Contrato.ESTADOS_VALIDOS.includes(this.estado.toLowerCase())) {
+            throw new Error(`Estado debe ser uno de: ${Contrato.ESTADOS_VALIDOS.join(', ')}`);
         }
         
         // Normalizar a minúsculas
         this.estado = this.estado.toLowerCase();
     }
 
+    /**
+     * Valida el detalle de facturación de grupo (opcional)
+     * Registra el grupo, el precio de lista, el descuento aplicado y, si corresponde, el pagador
+     */
+    validateFacturacionGrupo() {
+        if (this.facturacionGrupo === null) {
+            return;
+        }
+        if (typeof this.facturacionGrupo !== 'object') {
+            throw new Error('Facturación de grupo debe ser un objeto');
+        }
+
+        const { grupoId, nombreGrupo, precioLista, descuentoPorcentaje, pagadorId = null } = this.facturacionGrupo;
+        if (!grupoId || !ObjectId.isValid(grupoId)) {
+            throw new Error('Facturación de grupo requiere un ID de grupo válido');
+        }
+        if (typeof precioLista !== 'number' || precioLista < this.precio) {
+            throw new Error('Precio de lista del grupo debe ser un número mayor o igual al precio del contrato');
+        }
+        if (typeof descuentoPorcentaje !== 'number' || descuentoPorcentaje < 0 || descuentoPorcentaje > 100) {
+            throw new Error('Descuento de grupo debe estar entre 0 y 100');
+        }
+        if (pagadorId !== null && !ObjectId.isValid(pagadorId)) {
+            throw new Error('ID del pagador del grupo debe ser un ObjectId válido');
+        }
+
+        this.facturacionGrupo = {
+            grupoId,
+            nombreGrupo: nombreGrupo || '',
+            precioLista: Math.round(precioLista * 100) / 100,
+            descuentoPorcentaje,
+            pagadorId
+        };
+    }
+
+    /**
+     * Valida la versión del plan con la que se vendió el contrato (opcional)
+     */
+    validateVersionPlan() {
+        if (this.versionPlan !== null && (!Number.isInteger(this.versionPlan) || this.versionPlan < 1)) {
+            throw new Error('Versión del plan debe ser un entero mayor a 0');
+        }
+    }
+
+    /**
+     * Valida el precio de catálogo con el que se cotizó el contrato (opcional)
+     * Es el precio de lista de la tarifa vigente al crear el contrato; el precio real puede diferir
+     */
+    validatePrecioCatalogo() {
+        if (this.precioCatalogo === null) {
+            return;
+        }
+        if (typeof this.precioCatalogo !== 'number' || this.precioCatalogo <= 0) {
+            throw new Error('Precio de catálogo debe ser un número mayor a cero');
+        }
+        if (this.tarifaId !== null && !ObjectId.isValid(this.tarifaId)) {
+            throw new Error('ID de la tarifa debe ser un ObjectId válido');
+        }
+        this.precioCatalogo = Math.round(this.precioCatalogo * 100) / 100;
+    }
+
+    /**
+     * Valida la política y el historial de congelamientos
+     * maxDiasCongelamiento es el total de días que se puede congelar durante todo el contrato
+     * (0 = no admite congelamientos; null en contratos anteriores a la política)
+     */
+    validateCongelamiento() {
+        if (!Array.isArray(this.congelamientos)) {
+            throw new Error('Congelamientos debe ser una lista');
+        }
+        if (this.maxDiasCongelamiento === null) {
+            return;
+        }
+        if (!Number.isInteger(this.maxDiasCongelamiento) || this.maxDiasCongelamiento < 0 || this.maxDiasCongelamiento > 365) {
+            throw new Error('Máximo de días de congelamiento debe ser un entero entre 0 y 365');
+        }
+        if (this.getDiasCongelados() > this.maxDiasCongelamiento) {
+            throw new Error(`Los congelamientos superan el máximo de ${this.maxDiasCongelamiento} días del contrato`);
+        }
+    }
+
+    /**
+     * Valida el historial de cambios de plan
+     */
+    validateCambiosPlan() {
+        if (!Array.isArray(this.cambiosPlan)) {
+            throw new Error('Los cambios de plan deben ser una lista');
+        }
+    }
+
+    /**
+     * Valida el cronograma de pagos (opcional)
+     * Las cuotas deben sumar el precio del contrato sin los ajustes por cambio de plan,
+     * que se cobran o reembolsan con su propio pago
+     */
+    validateCronogramaPagos() {
+        if (this.cronogramaPagos === null) {
+            return;
+        }
+        const { modalidad, cuotas } = this.cronogramaPagos;
+        if (!Contrato.MODALIDADES_PAGO.includes(modalidad)) {
+            throw new Error(`Modalidad de pago debe ser una de: ${Contrato.MODALIDADES_PAGO.join(', ')}`);
+        }
+        if (!Array.isArray(cuotas) || cuotas.length === 0) {
+            throw new Error('El cronograma de pagos debe tener al menos una cuota');
+        }
+        if (cuotas.some(cuota => typeof cuota.monto !== 'number' || cuota.monto <= 0 || !(cuota.fechaVencimiento instanceof Date))) {
+            throw new Error('Cada cuota debe tener un monto mayor a cero y una fecha de vencimiento');
+        }
+        const total = Math.round(cuotas.reduce((suma, cuota) => suma + cuota.monto, 0) * 100) / 100;
+        const precioCuotas = Math.round((this.precio - this.getTotalAjustesCambioPlan()) * 100) / 100;
+        if (Math.abs(total - precioCuotas) > 0.01) {
+            throw new Error(`Las cuotas suman ${total} y el precio del contrato es ${precioCuotas}`);
+        }
+    }
+
+    /**
+     * Arma el cronograma de pagos del contrato
+     * - contado: una cuota por el total al inicio
+     * - mensual: una cuota por mes de duración, cada mes desde el inicio
+     * - personalizado: cuotas con fecha de vencimiento y monto opcional; las que no
+     *   indican monto se reparten en partes iguales lo que falta para llegar al precio
+     * @param {string} modalidad - Modalidad de pago
+     * @param {Array} cuotasPersonalizadas - [{ fechaVencimiento, monto? }] (solo modalidad personalizado)
+     * @returns {Object} Cronograma armado ({ modalidad, cuotas })
+     */
+    armarCronogramaPagos(modalidad = 'contado', cuotasPersonalizadas = []) {
+        let cuotas;
+
+        if (modalidad === 'mensual') {
+            cuotas = Contrato.repartirMonto(this.precio, this.duracionMeses).map((monto, index) => ({
+                monto,
+                fechaVencimiento: dayjs(this.fechaInicio).add(index, 'month').toDate()
+            }));
+        } else if (modalidad === 'personalizado') {
+            if (!Array.isArray(cuotasPersonalizadas) || cuotasPersonalizadas.length === 0) {
+                throw new Error('El cronograma personalizado requiere al menos una cuota');
+            }
+            const fechas = cuotasPersonalizadas.map(cuota => dayjs(cuota.fechaVencimiento));
+            if (fechas.some(fecha => !fecha.isValid()
+                || fecha.isBefore(dayjs(this.fechaInicio), 'day')
+                || fecha.isAfter(dayjs(this.fechaFin), 'day'))) {
+                throw new Error('Las fechas de vencimiento de las cuotas deben estar dentro del período del contrato');
+            }
+
+            const fijado = cuotasPersonalizadas.reduce((suma, cuota) => suma + (cuota.monto || 0), 0);
+            const sinMonto = cuotasPersonalizadas.filter(cuota => !cuota.monto).length;
+            const resto = Math.round((this.precio - fijado) * 100) / 100;
+            if (sinMonto > 0 && resto <= 0) {
+                throw new Error('Las cuotas con monto ya cubren el precio: indique el monto de todas o reduzca alguna');
+            }
+            const reparto = sinMonto > 0 ? Contrato.repartirMonto(resto, sinMonto) : [];
+
+            cuotas = cuotasPersonalizadas
+                .map((cuota, index) => ({
+                    monto: cuota.monto ? Math.round(cuota.monto * 100) / 100 : reparto.shift(),
+                    fechaVencimiento: fechas[index].startOf('day').toDate()
+                }))
+                .sort((a, b) => a.fechaVencimiento - b.fechaVencimiento);
+        } else {
+            cuotas = [{ monto: this.precio, fechaVencimiento: this.fechaInicio }];
+        }
+
+        this.cronogramaPagos = {
+            modalidad,
+            cuotas: cuotas.map((cuota, index) => ({ numero: index + 1, ...cuota }))
+        };
+        this.validateCronogramaPagos();
+        return this.cronogramaPagos;
+    }
+
+    /**
+     * Reparte un monto en partes iguales redondeadas a centavos; la última absorbe el redondeo
+     * @param {number} monto - Monto a repartir
+     * @param {number} partes - Cantidad de partes
+     * @returns {number[]} Montos de cada parte
+     */
+    static repartirMonto(monto, partes) {
+        const base = Math.floor((monto / partes) * 100) / 100;
+        const montos = Array.from({ length: partes }, () => base);
+        montos[partes - 1] = Math.round((monto - base * (partes - 1)) * 100) / 100;
+        return montos;
+    }
+
+    /**
+     * Traslada las cuotas del cronograma a otro período (renovación de un cronograma personalizado)
+     * Cada cuota conserva su distancia en días al inicio del contrato y su proporción del precio;
+     * la última queda sin monto para absorber el redondeo
+     * @param {Date} fechaInicio - Inicio del período nuevo
+     * @param {Date} fechaFin - Fin del período nuevo (las cuotas que lo superan vencen ese día)
+     * @param {number} precio - Precio del período nuevo
+     * @returns {Array} Cuotas para armarCronogramaPagos ([{ fechaVencimiento, monto? }])
+     */
+    trasladarCuotas(fechaInicio, fechaFin, precio) {
+        const cuotas = this.cronogramaPagos ? this.cronogramaPagos.cuotas : [];
+        const total = cuotas.reduce((suma, cuota) => suma + cuota.monto, 0);
+
+        return cuotas.map((cuota, index) => {
+            const desplazamiento = dayjs(cuota.fechaVencimiento).diff(dayjs(this.fechaInicio), 'day');
+            const vencimiento = dayjs(fechaInicio).add(desplazamiento, 'day');
+            const trasladada = {
+                fechaVencimiento: (vencimiento.isAfter(dayjs(fechaFin)) ? dayjs(fechaFin) : vencimiento).toDate()
+            };
+            if (index < cuotas.length - 1) {
+                trasladada.monto = Math.round((precio * cuota.monto / total) * 100) / 100;
+            }
+            return trasladada;
+        });
+    }
+
+    /**
+     * Calcula la diferencia entre el precio cobrado y el precio de catálogo
+     * @returns {number|null} Diferencia (negativa si se cobró menos) o null si no hay precio de catálogo
+     */
+    getDiferenciaCatalogo() {
+        if (this.precioCatalogo === null) {
+            return null;
+        }
+        return Math.round((this.precio - this.precioCatalogo) * 100) / 100;
+    }
+
+    /**
+     * Obtiene la versión del plan que sigue el contrato
+     * @returns {number} Versión del plan (los contratos anteriores al versionado siguen la versión 1)
+     */
+    getVersionPlan() {
+        return this.versionPlan || 1;
+    }
+
+    /**
+     * Obtiene el cliente responsable del pago del contrato
+     * @returns {ObjectId} Pagador del grupo si se factura al pagador, o el propio cliente
+     */
+    getResponsablePagoId() {
+        if (this.facturacionGrupo && this.facturacionGrupo.pagadorId) {
+            return this.facturacionGrupo.pagadorId;
+        }
+        return this.clienteId;
+    }
+
     /**
      * Calcula la fecha de fin basada en la duración
      */
@@ -231,6 +497,122 @@ class Contrato {
                this.fechaFin >= new Date();
     }
 
+    /**
+     * Verifica si el contrato está congelado (suspendido)
+     * @returns {boolean} True si está suspendido
+     */
+    estaSuspendido() {
+        return this.estado === 'suspendido';
+    }
+
+    /**
+     * Obtiene el congelamiento en curso
+     * @returns {Object|null} Congelamiento sin fecha de reanudación o null
+     */
+    getCongelamientoActivo() {
+        return this.congelamientos.find(congelamiento => !congelamiento.fechaReanudacion) || null;
+    }
+
+    /**
+     * Calcula los días congelados del contrato
+     * El congelamiento en curso cuenta con los días previstos, que ya se sumaron a la fecha de fin
+     * @returns {number} Días congelados
+     */
+    getDiasCongelados() {
+        return this.congelamientos.reduce((total, congelamiento) => total + (congelamiento.dias || 0), 0);
+    }
+
+    /**
+     * Calcula los días de congelamiento que le quedan al contrato
+     * @returns {number} Días disponibles
+     */
+    getDiasCongelamientoDisponibles() {
+        return Math.max(0, (this.maxDiasCongelamiento || 0) - this.getDiasCongelados());
+    }
+
+    /**
+     * Congela el contrato y extiende la fecha de fin por los días congelados
+     * @param {Object} datos - fechaInicio (por defecto, hoy), fechaFin prevista y motivo
+     * @returns {Object} Congelamiento registrado
+     */
+    congelar({ fechaInicio = new Date(), fechaFin, motivo }) {
+        if (!this.estaVigente()) {
+            throw new Error('Solo se pueden congelar contratos vigentes');
+        }
+        if (!motivo || typeof motivo !== 'string' || motivo.trim().length < 3) {
+            throw new Error('El motivo del congelamiento debe tener al menos 3 caracteres');
+        }
+
+        const inicio = dayjs(fechaInicio).startOf('day');
+        const fin = dayjs(fechaFin).startOf('day');
+        if (!inicio.isValid() || !fin.isValid()) {
+            throw new Error('Las fechas del congelamiento no son válidas');
+        }
+        if (inicio.isAfter(dayjs(), 'day')) {
+            throw new Error('El congelamiento no puede empezar en una fecha futura');
+        }
+        if (inicio.isBefore(dayjs(this.fechaInicio), 'day')) {
+            throw new Error('El congelamiento no puede empezar antes del inicio del contrato');
+        }
+        const ultimo = this.congelamientos[this.congelamientos.length - 1];
+        if (ultimo && inicio.isBefore(dayjs(ultimo.fechaReanudacion), 'day')) {
+            throw new Error(`El congelamiento no puede empezar antes del ${dayjs(ultimo.fechaReanudacion).format('DD/MM/YYYY')} (fin del congelamiento anterior)`);
+        }
+        if (!fin.isAfter(dayjs(), 'day')) {
+            throw new Error('La fecha de fin del congelamiento debe ser posterior a hoy');
+        }
+
+        const dias = fin.diff(inicio, 'day');
+        const disponibles = this.getDiasCongelamientoDisponibles();
+        if (dias > disponibles) {
+            throw new Error(`El congelamiento es de ${dias} días y el contrato solo tiene ${disponibles} disponibles`);
+        }
+
+        const congelamiento = {
+            fechaInicio: inicio.toDate(),
+            fechaFin: fin.toDate(),
+            fechaReanudacion: null,
+            motivo: motivo.trim(),
+            dias
+        };
+        this.congelamientos.push(congelamiento);
+        this.fechaFin = dayjs(this.fechaFin).add(dias, 'day').toDate();
+        this.estado = 'suspendido';
+        return congelamiento;
+    }
+
+    /**
+     * Reanuda un contrato congelado
+     * Si se reanuda antes de lo previsto, la fecha de fin se acorta por los días no usados
+     * @param {Date} fecha - Fecha de reanudación (por defecto, hoy; nunca después del fin previsto)
+     * @returns {Object} Congelamiento cerrado
+     */
+    descongelar(fecha = new Date()) {
+        const congelamiento = this.getCongelamientoActivo();
+        if (!this.estaSuspendido() || !congelamiento) {
+            throw new Error('El contrato no está congelado');
+        }
+
+        const previsto = dayjs(congelamiento.fechaFin);
+        let reanudacion = dayjs(fecha).startOf('day');
+        if (reanudacion.isAfter(dayjs(), 'day')) {
+            throw new Error('La fecha de reanudación no puede ser futura');
+        }
+        if (reanudacion.isAfter(previsto)) {
+            reanudacion = previsto;
+        }
+        if (reanudacion.isBefore(dayjs(congelamiento.fechaInicio))) {
+            reanudacion = dayjs(congelamiento.fechaInicio);
+        }
+
+        const diasUsados = reanudacion.diff(dayjs(congelamiento.fechaInicio), 'day');
+        this.fechaFin = dayjs(this.fechaFin).subtract(congelamiento.dias - diasUsados, 'day').toDate();
+        congelamiento.dias = diasUsados;
+        congelamiento.fechaReanudacion = reanudacion.toDate();
+        this.estado = 'vigente';
+        return congelamiento;
+    }
+
     /**
      * Verifica si el contrato está cancelado
      * @returns {boolean} True si está cancelado
@@ -271,12 +653,127 @@ class Contrato {
     }
 
     /**
-     * Calcula el precio diario
+     * Calcula el precio diario por día de servicio
      * @returns {number} Precio diario
      */
     getPrecioDiario() {
-        const diasTotales = this.calcularDuracionEnDias();
-        return diasTotales > 0 ? this.precio / diasTotales : 0;
+        const diasServicio = this.getDiasServicio();
+        return diasServicio > 0 ? this.precio / diasServicio : 0;
+    }
+
+    /**
+     * Calcula los días de servicio del contrato
+     * Los días congelados extienden la fecha de fin pero no se cobran
+     * @returns {number} Duración en días sin los días congelados
+     */
+    getDiasServicio() {
+        return Math.max(0, this.calcularDuracionEnDias() - this.getDiasCongelados());
+    }
+
+    /**
+     * Calcula los días que le quedan al contrato desde una fecha
+     * @param {Date} fecha - Fecha de referencia (por defecto, hoy)
+     * @returns {number} Días restantes (0 si ya terminó)
+     */
+    getDiasRestantes(fecha = new Date()) {
+        return Math.max(0, dayjs(this.fechaFin).startOf('day').diff(dayjs(fecha).startOf('day'), 'day'));
+    }
+
+    /**
+     * Calcula los días de servicio que le quedan al contrato desde una fecha
+     * Descuenta de los días restantes los días congelados que caen desde esa fecha en adelante
+     * @param {Date} fecha - Fecha de referencia (por defecto, hoy)
+     * @returns {number} Días de servicio restantes
+     */
+    getDiasServicioRestantes(fecha = new Date()) {
+        const referencia = dayjs(fecha).startOf('day');
+        const congeladosPendientes = this.congelamientos.reduce((total, congelamiento) => {
+            const transcurridos = Math.max(0, referencia.diff(dayjs(congelamiento.fechaInicio).startOf('day'), 'day'));
+            return total + Math.max(0, (congelamiento.dias || 0) - transcurridos);
+        }, 0);
+        return Math.max(0, this.getDiasRestantes(fecha) - congeladosPendientes);
+    }
+
+    /**
+     * Suma los ajustes cobrados (positivos) y reembolsados (negativos) por cambios de plan
+     * @returns {number} Total de ajustes
+     */
+    getTotalAjustesCambioPlan() {
+        return Math.round(this.cambiosPlan.reduce((total, cambio) => total + cambio.ajuste, 0) * 100) / 100;
+    }
+
+    /**
+     * Calcula el prorrateo de pasar a otro plan por el resto del contrato
+     * - crédito: lo que queda sin usar del plan actual (precio diario x días de servicio restantes)
+     * - cargo: lo que cuesta el plan nuevo por esos mismos días
+     * Los precios diarios y los días restantes se cuentan sin los días congelados.
+     * Después de un cambio de plan, el precio diario vigente es el del último plan
+     * @param {number} precioPlanNuevo - Precio del plan nuevo por la duración completa del contrato
+     * @param {Date} fecha - Fecha del cambio (por defecto, hoy)
+     * @returns {Object} diasRestantes, precioDiarioActual, precioDiarioNuevo, credito, cargo y ajuste (positivo = a cobrar)
+     */
+    calcularProrrateoCambioPlan(precioPlanNuevo, fecha = new Date()) {
+        const diasServicio = this.getDiasServicio();
+        const ultimoCambio = this.cambiosPlan[this.cambiosPlan.length - 1];
+        const precioDiarioActual = ultimoCambio ? ultimoCambio.precioDiarioNuevo : this.getPrecioDiario();
+        const precioDiarioNuevo = diasServicio > 0 ? precioPlanNuevo / diasServicio : 0;
+        const diasRestantes = this.getDiasServicioRestantes(fecha);
+
+        const credito = Math.round(precioDiarioActual * diasRestantes * 100) / 100;
+        const cargo = Math.round(precioDiarioNuevo * diasRestantes * 100) / 100;
+
+        return {
+            diasRestantes,
+            // Los precios diarios conservan más decimales: el del plan nuevo prorratea el próximo cambio
+            precioDiarioActual: Math.round(precioDiarioActual * 10000) / 10000,
+            precioDiarioNuevo: Math.round(precioDiarioNuevo * 10000) / 10000,
+            credito,
+            cargo,
+            ajuste: Math.round((cargo - credito) * 100) / 100
+        };
+    }
+
+    /**
+     * Pasa el contrato a otro plan por el resto de su duración
+     * El precio del contrato pasa a incluir el ajuste y el cambio queda en el historial
+     * @param {Object} datosCambio - planId y versionPlan del plan nuevo, precioPlanNuevo, fecha y motivo
+     * @returns {Object} Cambio de plan registrado
+     */
+    cambiarPlan({ planId, versionPlan = null, precioPlanNuevo, fecha = new Date(), motivo = '' }) {
+        if (!this.estaVigente()) {
+            throw new Error('Solo se puede cambiar el plan de un contrato vigente');
+        }
+        if (!ObjectId.isValid(planId)) {
+            throw new Error('ID del plan nuevo debe ser un ObjectId válido');
+        }
+        if (planId.toString() === this.planId.toString()) {
+            throw new Error('El contrato ya está en ese plan');
+        }
+        if (typeof precioPlanNuevo !== 'number' || precioPlanNuevo <= 0) {
+            throw new Error('El precio del plan nuevo debe ser mayor a cero');
+        }
+
+        const prorrateo = this.calcularProrrateoCambioPlan(precioPlanNuevo, fecha);
+        if (prorrateo.diasRestantes === 0) {
+            throw new Error('Al contrato no le quedan días para cambiar de plan');
+        }
+
+        const cambio = {
+            fecha,
+            planAnteriorId: this.planId,
+            planNuevoId: new ObjectId(planId),
+            versionPlanAnterior: this.versionPlan,
+            precioPlanNuevo,
+            ...prorrateo,
+            motivo: motivo || '',
+            pagoId: null
+        };
+
+        this.planId = cambio.planNuevoId;
+        this.versionPlan = versionPlan;
+        this.precio = Math.round((this.precio + prorrateo.ajuste) * 100) / 100;
+        this.cambiosPlan.push(cambio);
+        return cambio;
     }
 
     /**
@@ -284,9 +781,8 @@ class Contrato {
      * @param {string} nuevoEstado - Nuevo estado del contrato
      */
     cambiarEstado(nuevoEstado) {
-        const estadosValidos = ['vigente', 'cancelado', 'finalizado'];
-        if (!estadosValidos.includes(nuevoEstado.toLowerCase())) {
-            throw new Error(`Estado debe ser uno de: ${estadosValidos.join(', ')}`);
+        if (!Contrato.ESTADOS_VALIDOS.includes(nuevoEstado.toLowerCase())) {
+            throw new Error(`Estado debe ser uno de: ${Contrato.ESTADOS_VALIDOS.join(', ')}`);
         }
         
         this.estado = nuevoEstado.toLowerCase();
@@ -323,7 +819,17 @@ class Contrato {
             precio: this.precio,
             fechaInicio: this.fechaInicio,
             fechaFin: this.fechaFin,
-            estado: this.estado
+            estado: this.estado,
+            facturacionGrupo: this.facturacionGrupo,
+            versionPlan: this.versionPlan,
+            precioCatalogo: this.precioCatalogo,
+            tarifaId: this.tarifaId,
+            congelamientos: this.congelamientos,
+            maxDiasCongelamiento: this.maxDiasCongelamiento,
+            renovacionAutomatica: this.renovacionAutomatica,
+            cronogramaPagos: this.cronogramaPagos,
+            cambiosPlan: this.cambiosPlan,
+            contratoAnteriorId: this.contratoAnteriorId
         };
     }
 
@@ -343,6 +849,16 @@ class Contrato {
             fechaInicio: mongoDoc.fechaInicio,
             fechaFin: mongoDoc.fechaFin,
             estado: mongoDoc.estado,
+            facturacionGrupo: mongoDoc.facturacionGrupo || null,
+            versionPlan: mongoDoc.versionPlan || null,
+            precioCatalogo: mongoDoc.precioCatalogo ?? null,
+            tarifaId: mongoDoc.tarifaId || null,
+            congelamientos: mongoDoc.congelamientos || [],
+            maxDiasCongelamiento: mongoDoc.maxDiasCongelamiento ?? null,
+            renovacionAutomatica: mongoDoc.renovacionAutomatica || false,
+            cronogramaPagos: mongoDoc.cronogramaPagos || null,
+            cambiosPlan: mongoDoc.cambiosPlan || [],
+            contratoAnteriorId: mongoDoc.contratoAnteriorId || null,
             skipValidation: true
         });
     }
@@ -363,7 +879,35 @@ class Contrato {
             fechaFin: dayjs(this.fechaFin).format('DD/MM/YYYY'),
             estado: this.estado,
             estaVigente: this.estaVigente(),
-            proximoAVencer: this.estaProximoAVencer()
+            proximoAVencer: this.estaProximoAVencer(),
+            facturacionGrupo: this.facturacionGrupo,
+            versionPlan: this.getVersionPlan(),
+            precioCatalogo: this.precioCatalogo,
+            diferenciaCatalogo: this.getDiferenciaCatalogo(),
+            congelamientos: this.congelamientos.map(congelamiento => ({
+                fechaInicio: dayjs(congelamiento.fechaInicio).format('DD/MM/YYYY'),
+                fechaFin: dayjs(congelamiento.fechaFin).format('DD/MM/YYYY'),
+                fechaReanudacion: congelamiento.fechaReanudacion
+                    ? dayjs(congelamiento.fechaReanudacion).format('DD/MM/YYYY')
+                    : null,
+                motivo: congelamiento.motivo,
+                dias: congelamiento.dias
+            })),
+            diasCongelados: this.getDiasCongelados(),
+            diasCongelamientoDisponibles: this.getDiasCongelamientoDisponibles(),
+            renovacionAutomatica: this.renovacionAutomatica,
+            cronogramaPagos: this.cronogramaPagos ? {
+                modalidad: this.cronogramaPagos.modalidad,
+                cuotas: this.cronogramaPagos.cuotas.map(cuota => ({
+                    numero: cuota.numero,
+                    monto: cuota.monto,
+                    fechaVencimiento: dayjs(cuota.fechaVencimiento).format('DD/MM/YYYY')
+                }))
+            } : null,
+            cambiosPlan: this.cambiosPlan.map(cambio => ({
+                ...cambio,
+                fecha: dayjs(cambio.fecha).format('DD/MM/YYYY')
+            }))
         };
     }
 
@@ -407,5 +951,8 @@ class Contrato {
     }
 }
 
+Contrato.ESTADOS_VALIDOS = ['vigente', 'suspendido', 'cancelado', 'finalizado'];
+Contrato.MODALIDADES_PAGO = ['contado', 'mensual', 'personalizado'];
+
 module.exports = Contrato;
 
@@ -0,0 +1,174 @@
+const { ObjectId } = require('mongodb');
+const config = require('../config');
+
+/**
+ * Clase Ejercicio - Modelo para la biblioteca de ejercicios
+ * Catálogo del que se toman los ejercicios de las rutinas de los planes, con los
+ * grupos musculares que trabaja, el equipamiento que requiere y su dificultad
+ */
+class Ejercicio {
+    constructor({
+        ejercicioId = null,
+        nombre,
+        gruposMusculares = [],
+        equipamiento = [],
+        dificultad,
+        instrucciones = '',
+        fechaCreacion = null
+    }) {
+        this.ejercicioId = ejercicioId || new ObjectId();
+        this.nombre = nombre;
+        this.gruposMusculares = gruposMusculares;
+        this.equipamiento = equipamiento;
+        this.dificultad = dificultad;
+        this.instrucciones = instrucciones || '';
+        this.fechaCreacion = fechaCreacion || new Date();
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos del ejercicio
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateNombre();
+        this.validateGruposMusculares();
+        this.validateEquipamiento();
+        this.validateDificultad();
+        this.validateInstrucciones();
+    }
+
+    /**
+     * Valida el nombre del ejercicio
+     */
+    validateNombre() {
+        if (!this.nombre || typeof this.nombre !== 'string' || this.nombre.trim().length < 2) {
+            throw new Error('Nombre del ejercicio es obligatorio y debe tener al menos 2 caracteres');
+        }
+        if (this.nombre.trim().length > 100) {
+            throw new Error('Nombre del ejercicio no puede exceder 100 caracteres');
+        }
+        this.nombre = this.nombre.trim();
+    }
+
+    /**
+     * Valida los grupos musculares (al menos uno del catálogo)
+     */
+    validateGruposMusculares() {
+        if (!Array.isArray(this.gruposMusculares) || this.gruposMusculares.length === 0) {
+            throw new Error('Debe indicar al menos un grupo muscular');
+        }
+        this.gruposMusculares = [...new Set(this.gruposMusculares.map(grupo => String(grupo).toLowerCase().trim()))];
+        const invalidos = this.gruposMusculares.filter(grupo => !Ejercicio.GRUPOS_MUSCULARES.includes(grupo));
+        if (invalidos.length > 0) {
+            throw new Error(`Grupos musculares no válidos: ${invalidos.join(', ')}. Use: ${Ejercicio.GRUPOS_MUSCULARES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida el equipamiento (vacío = peso corporal)
+     */
+    validateEquipamiento() {
+        if (!Array.isArray(this.equipamiento)) {
+            throw new Error('Equipamiento debe ser un array');
+        }
+        // Se normaliza en minúsculas para poder buscar los ejercicios afectados por un equipo
+        this.equipamiento = [...new Set(this.equipamiento
+            .map(equipo => String(equipo).toLowerCase().trim())
+            .filter(Boolean))];
+        if (this.equipamiento.some(equipo => equipo.length > 50)) {
+            throw new Error('Cada equipo no puede exceder 50 caracteres');
+        }
+    }
+
+    /**
+     * Valida la dificultad según los niveles de plan configurados
+     */
+    validateDificultad() {
+        const nivelesValidos = config.validation.planLevels;
+        if (!this.dificultad || typeof this.dificultad !== 'string' ||
+            !nivelesValidos.includes(this.dificultad.toLowerCase())) {
+            throw new Error(`Dificultad debe ser uno de: ${nivelesValidos.join(', ')}`);
+        }
+        this.dificultad = this.dificultad.toLowerCase();
+    }
+
+    /**
+     * Valida las instrucciones de ejecución
+     */
+    validateInstrucciones() {
+        if (typeof this.instrucciones !== 'string') {
+            throw new Error('Instrucciones deben ser texto');
+        }
+        if (this.instrucciones.trim().length > 1000) {
+            throw new Error('Instrucciones no pueden exceder 1000 caracteres');
+        }
+        this.instrucciones = this.instrucciones.trim();
+    }
+
+    /**
+     * Verifica si el ejercicio requiere un equipo
+     * @param {string} equipo - Nombre del equipo
+     * @returns {boolean} True si lo requiere
+     */
+    requiereEquipo(equipo) {
+        return this.equipamiento.includes(String(equipo).toLowerCase().trim());
+    }
+
+    /**
+     * Convierte el ejercicio a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.ejercicioId,
+            nombre: this.nombre,
+            gruposMusculares: this.gruposMusculares,
+            equipamiento: this.equipamiento,
+            dificultad: this.dificultad,
+            instrucciones: this.instrucciones,
+            fechaCreacion: this.fechaCreacion
+        };
+    }
+
+    /**
+     * Crea una instancia de Ejercicio desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {Ejercicio} Instancia de Ejercicio
+     */
+    static fromMongoObject(mongoDoc) {
+        return new Ejercicio({
+            ejercicioId: mongoDoc._id,
+            nombre: mongoDoc.nombre,
+            gruposMusculares: mongoDoc.gruposMusculares || [],
+            equipamiento: mongoDoc.equipamiento || [],
+            dificultad: mongoDoc.dificultad,
+            instrucciones: mongoDoc.instrucciones,
+            fechaCreacion: mongoDoc.fechaCreacion
+        });
+    }
+
+    /**
+     * Obtiene información resumida del ejercicio
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            ejercicioId: this.ejercicioId,
+            nombre: this.nombre,
+            gruposMusculares: this.gruposMusculares,
+            equipamiento: this.equipamiento.length > 0 ? this.equipamiento : ['peso corporal'],
+            dificultad: this.dificultad,
+            instrucciones: this.instrucciones
+        };
+    }
+}
+
+Ejercicio.GRUPOS_MUSCULARES = [
+    'pecho', 'espalda', 'hombros', 'biceps', 'triceps', 'antebrazos',
+    'abdomen', 'cuadriceps', 'isquiotibiales', 'gluteos', 'pantorrillas', 'cuerpo_completo', 'cardio'
+];
+
+module.exports = Ejercicio;
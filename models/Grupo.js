@@ -0,0 +1,263 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase Grupo - Modelo para membresías familiares y convenios corporativos
+ * Agrupa varios clientes bajo un pagador designado con un descuento común
+ */
+class Grupo {
+    constructor({
+        grupoId = null,
+        nombre,
+        tipo,
+        pagadorId,
+        miembros = [],
+        descuentoPorcentaje = 0,
+        facturarAPagador = false,
+        activo = true,
+        notas = '',
+        fechaCreacion = null
+    }) {
+        this.grupoId = grupoId || new ObjectId();
+        this.nombre = nombre;
+        this.tipo = tipo;
+        this.pagadorId = pagadorId;
+        this.miembros = Array.isArray(miembros) ? miembros : [];
+        this.descuentoPorcentaje = descuentoPorcentaje;
+        this.facturarAPagador = facturarAPagador;
+        this.activo = activo;
+        this.notas = notas || '';
+        this.fechaCreacion = fechaCreacion || new Date();
+
+        // El pagador siempre forma parte del grupo
+        if (this.pagadorId && !this.esMiembro(this.pagadorId)) {
+            this.miembros.push(this.pagadorId);
+        }
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos del grupo
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateNombre();
+        this.validateTipo();
+        this.validatePagadorId();
+        this.validateMiembros();
+        this.validateDescuento();
+        this.validateNotas();
+    }
+
+    /**
+     * Valida el nombre del grupo
+     */
+    validateNombre() {
+        if (!this.nombre || typeof this.nombre !== 'string') {
+            throw new Error('Nombre del grupo es obligatorio y debe ser string');
+        }
+        if (this.nombre.trim().length < 2) {
+            throw new Error('Nombre del grupo debe tener al menos 2 caracteres');
+        }
+        if (this.nombre.trim().length > 100) {
+            throw new Error('Nombre del grupo no puede exceder 100 caracteres');
+        }
+        this.nombre = this.nombre.trim();
+    }
+
+    /**
+     * Valida el tipo de grupo
+     */
+    validateTipo() {
+        if (!this.tipo || typeof this.tipo !== 'string') {
+            throw new Error('Tipo de grupo es obligatorio');
+        }
+        if (!Grupo.TIPOS_VALIDOS.includes(this.tipo.toLowerCase())) {
+            throw new Error(`Tipo de grupo debe ser uno de: ${Grupo.TIPOS_VALIDOS.join(', ')}`);
+        }
+        this.tipo = this.tipo.toLowerCase();
+    }
+
+    /**
+     * Valida el ID del pagador
+     */
+    validatePagadorId() {
+        if (!this.pagadorId) {
+            throw new Error('El grupo debe tener un pagador designado');
+        }
+        if (!ObjectId.isValid(this.pagadorId)) {
+            throw new Error('ID del pagador debe ser un ObjectId válido');
+        }
+    }
+
+    /**
+     * Valida la lista de miembros
+     */
+    validateMiembros() {
+        const ids = new Set();
+        this.miembros.forEach(miembroId => {
+            if (!ObjectId.isValid(miembroId)) {
+                throw new Error('Todos los miembros deben ser ObjectIds válidos');
+            }
+            if (ids.has(miembroId.toString())) {
+                throw new Error('Un cliente no puede estar dos veces en el mismo grupo');
+            }
+            ids.add(miembroId.toString());
+        });
+    }
+
+    /**
+     * Valida el porcentaje de descuento del grupo
+     */
+    validateDescuento() {
+        if (typeof this.descuentoPorcentaje !== 'number' || isNaN(this.descuentoPorcentaje)) {
+            throw new Error('Descuento debe ser un número');
+        }
+        if (this.descuentoPorcentaje < 0 || this.descuentoPorcentaje > Grupo.DESCUENTO_MAXIMO) {
+            throw new Error(`Descuento debe estar entre 0 y ${Grupo.DESCUENTO_MAXIMO}%`);
+        }
+        this.descuentoPorcentaje = Math.round(this.descuentoPorcentaje * 100) / 100;
+    }
+
+    /**
+     * Valida las notas del grupo
+     */
+    validateNotas() {
+        if (typeof this.notas !== 'string') {
+            this.notas = '';
+        }
+        if (this.notas.length > 500) {
+            throw new Error('Notas no pueden exceder 500 caracteres');
+        }
+        this.notas = this.notas.trim();
+    }
+
+    /**
+     * Verifica si un cliente pertenece al grupo
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {boolean} True si es miembro
+     */
+    esMiembro(clienteId) {
+        return this.miembros.some(miembroId => miembroId.toString() === clienteId.toString());
+    }
+
+    /**
+     * Verifica si un cliente es el pagador del grupo
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {boolean} True si es el pagador
+     */
+    esPagador(clienteId) {
+        return this.pagadorId.toString() === clienteId.toString();
+    }
+
+    /**
+     * Agrega un cliente al grupo
+     * @param {ObjectId} clienteId - ID del cliente
+     */
+    agregarMiembro(clienteId) {
+        if (this.esMiembro(clienteId)) {
+            throw new Error('El cliente ya pertenece a este grupo');
+        }
+        this.miembros.push(clienteId);
+        this.validateMiembros();
+    }
+
+    /**
+     * Retira un cliente del grupo
+     * @param {string|ObjectId} clienteId - ID del cliente
+     */
+    removerMiembro(clienteId) {
+        if (!this.esMiembro(clienteId)) {
+            throw new Error('El cliente no pertenece a este grupo');
+        }
+        if (this.esPagador(clienteId)) {
+            throw new Error('No se puede retirar al pagador. Designe otro pagador primero');
+        }
+        this.miembros = this.miembros.filter(miembroId => miembroId.toString() !== clienteId.toString());
+    }
+
+    /**
+     * Designa un nuevo pagador entre los miembros del grupo
+     * @param {string|ObjectId} clienteId - ID del nuevo pagador
+     */
+    designarPagador(clienteId) {
+        if (!this.esMiembro(clienteId)) {
+            throw new Error('El pagador debe ser miembro del grupo');
+        }
+        this.pagadorId = this.miembros.find(miembroId => miembroId.toString() === clienteId.toString());
+    }
+
+    /**
+     * Aplica el descuento del grupo a un precio
+     * @param {number} precio - Precio de lista
+     * @returns {number} Precio con descuento redondeado a 2 decimales
+     */
+    aplicarDescuento(precio) {
+        const precioFinal = precio * (1 - this.descuentoPorcentaje / 100);
+        return Math.round(precioFinal * 100) / 100;
+    }
+
+    /**
+     * Convierte el grupo a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.grupoId,
+            nombre: this.nombre,
+            tipo: this.tipo,
+            pagadorId: this.pagadorId,
+            miembros: this.miembros,
+            descuentoPorcentaje: this.descuentoPorcentaje,
+            facturarAPagador: this.facturarAPagador,
+            activo: this.activo,
+            notas: this.notas,
+            fechaCreacion: this.fechaCreacion
+        };
+    }
+
+    /**
+     * Crea una instancia de Grupo desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {Grupo} Instancia de Grupo
+     */
+    static fromMongoObject(mongoDoc) {
+        return new Grupo({
+            grupoId: mongoDoc._id,
+            nombre: mongoDoc.nombre,
+            tipo: mongoDoc.tipo,
+            pagadorId: mongoDoc.pagadorId,
+            miembros: mongoDoc.miembros || [],
+            descuentoPorcentaje: mongoDoc.descuentoPorcentaje || 0,
+            facturarAPagador: mongoDoc.facturarAPagador === true,
+            activo: mongoDoc.activo !== false,
+            notas: mongoDoc.notas || '',
+            fechaCreacion: mongoDoc.fechaCreacion
+        });
+    }
+
+    /**
+     * Obtiene información resumida del grupo
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            grupoId: this.grupoId,
+            nombre: this.nombre,
+            tipo: this.tipo,
+            pagadorId: this.pagadorId,
+            cantidadMiembros: this.miembros.length,
+            descuentoPorcentaje: this.descuentoPorcentaje,
+            facturarAPagador: this.facturarAPagador,
+            activo: this.activo,
+            fechaCreacion: dayjs(this.fechaCreacion).format('DD/MM/YYYY')
+        };
+    }
+}
+
+Grupo.TIPOS_VALIDOS = ['familiar', 'corporativo'];
+Grupo.DESCUENTO_MAXIMO = 50;
+
+module.exports = Grupo;
@@ -0,0 +1,219 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase Interaccion - Modelo para las notas de contacto con clientes (CRM)
+ * Registra llamadas, quejas, visitas y promesas hechas por el personal, con
+ * una fecha opcional en la que hay que volver a contactar al cliente
+ */
+class Interaccion {
+    constructor({
+        interaccionId = null,
+        clienteId,
+        tipo,
+        descripcion,
+        autor,
+        fecha = null,
+        fechaSeguimiento = null,
+        seguimientoCompletado = false,
+        fechaCompletado = null,
+        resultadoSeguimiento = ''
+    }) {
+        this.interaccionId = interaccionId || new ObjectId();
+        this.clienteId = clienteId;
+        this.tipo = tipo;
+        this.descripcion = descripcion;
+        this.autor = autor;
+        this.fecha = fecha || new Date();
+        this.fechaSeguimiento = fechaSeguimiento || null;
+        this.seguimientoCompletado = seguimientoCompletado;
+        this.fechaCompletado = fechaCompletado || null;
+        this.resultadoSeguimiento = resultadoSeguimiento || '';
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos de la interacción
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateClienteId();
+        this.validateTipo();
+        this.validateDescripcion();
+        this.validateAutor();
+        this.validateFechas();
+    }
+
+    /**
+     * Valida el ID del cliente
+     */
+    validateClienteId() {
+        if (!this.clienteId) {
+            throw new Error('ID del cliente es obligatorio');
+        }
+        if (!ObjectId.isValid(this.clienteId)) {
+            throw new Error('ID del cliente debe ser un ObjectId válido');
+        }
+    }
+
+    /**
+     * Valida el tipo de interacción
+     */
+    validateTipo() {
+        if (!Interaccion.TIPOS_VALIDOS.includes(this.tipo)) {
+            throw new Error(`Tipo debe ser uno de: ${Interaccion.TIPOS_VALIDOS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida la descripción de la interacción
+     */
+    validateDescripcion() {
+        if (!this.descripcion || typeof this.descripcion !== 'string') {
+            throw new Error('Descripción es obligatoria y debe ser string');
+        }
+        if (this.descripcion.trim().length < 3) {
+            throw new Error('Descripción debe tener al menos 3 caracteres');
+        }
+        if (this.descripcion.trim().length > 1000) {
+            throw new Error('Descripción no puede exceder 1000 caracteres');
+        }
+        // Actualizar con valor limpio
+        this.descripcion = this.descripcion.trim();
+    }
+
+    /**
+     * Valida el autor de la interacción
+     */
+    validateAutor() {
+        if (!this.autor || typeof this.autor !== 'string' || this.autor.trim().length < 2) {
+            throw new Error('Autor es obligatorio y debe tener al menos 2 caracteres');
+        }
+        if (this.autor.trim().length > 100) {
+            throw new Error('Autor no puede exceder 100 caracteres');
+        }
+        this.autor = this.autor.trim();
+    }
+
+    /**
+     * Valida la fecha de la interacción y la de seguimiento
+     */
+    validateFechas() {
+        if (!(this.fecha instanceof Date) || isNaN(this.fecha.getTime())) {
+            throw new Error('Fecha debe ser una fecha válida');
+        }
+        if (this.fechaSeguimiento === null) {
+            return;
+        }
+        if (!(this.fechaSeguimiento instanceof Date) || isNaN(this.fechaSeguimiento.getTime())) {
+            throw new Error('Fecha de seguimiento debe ser una fecha válida');
+        }
+        if (dayjs(this.fechaSeguimiento).isBefore(dayjs(this.fecha), 'day')) {
+            throw new Error('Fecha de seguimiento no puede ser anterior a la fecha de la interacción');
+        }
+    }
+
+    /**
+     * Verifica si la interacción tiene un seguimiento sin completar
+     * @returns {boolean} True si hay que volver a contactar al cliente
+     */
+    tieneSeguimientoPendiente() {
+        return this.fechaSeguimiento !== null && !this.seguimientoCompletado;
+    }
+
+    /**
+     * Verifica si el seguimiento pendiente ya venció
+     * @param {Date} fechaReferencia - Fecha contra la que se compara
+     * @returns {boolean} True si la fecha de seguimiento es hoy o ya pasó
+     */
+    seguimientoVencido(fechaReferencia = new Date()) {
+        return this.tieneSeguimientoPendiente() &&
+            !dayjs(this.fechaSeguimiento).isAfter(dayjs(fechaReferencia), 'day');
+    }
+
+    /**
+     * Marca el seguimiento como completado
+     * @param {string} resultado - Resultado del contacto
+     */
+    completarSeguimiento(resultado = '') {
+        if (!this.tieneSeguimientoPendiente()) {
+            throw new Error('La interacción no tiene un seguimiento pendiente');
+        }
+        this.seguimientoCompletado = true;
+        this.fechaCompletado = new Date();
+        this.resultadoSeguimiento = typeof resultado === 'string' ? resultado.trim() : '';
+    }
+
+    /**
+     * Convierte la interacción a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.interaccionId,
+            clienteId: this.clienteId,
+            tipo: this.tipo,
+            descripcion: this.descripcion,
+            autor: this.autor,
+            fecha: this.fecha,
+            fechaSeguimiento: this.fechaSeguimiento,
+            seguimientoCompletado: this.seguimientoCompletado,
+            fechaCompletado: this.fechaCompletado,
+            resultadoSeguimiento: this.resultadoSeguimiento
+        };
+    }
+
+    /**
+     * Crea una instancia de Interaccion desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {Interaccion} Instancia de Interaccion
+     */
+    static fromMongoObject(mongoDoc) {
+        return new Interaccion({
+            interaccionId: mongoDoc._id,
+            clienteId: mongoDoc.clienteId,
+            tipo: mongoDoc.tipo,
+            descripcion: mongoDoc.descripcion,
+            autor: mongoDoc.autor,
+            fecha: mongoDoc.fecha,
+            fechaSeguimiento: mongoDoc.fechaSeguimiento || null,
+            seguimientoCompletado: mongoDoc.seguimientoCompletado || false,
+            fechaCompletado: mongoDoc.fechaCompletado || null,
+            resultadoSeguimiento: mongoDoc.resultadoSeguimiento || ''
+        });
+    }
+
+    /**
+     * Obtiene información resumida de la interacción
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            interaccionId: this.interaccionId,
+            clienteId: this.clienteId,
+            tipo: this.tipo,
+            descripcion: this.descripcion,
+            autor: this.autor,
+            fecha: dayjs(this.fecha).format('DD/MM/YYYY HH:mm'),
+            fechaSeguimiento: this.fechaSeguimiento ? dayjs(this.fechaSeguimiento).format('DD/MM/YYYY') : null,
+            seguimientoPendiente: this.tieneSeguimientoPendiente(),
+            seguimientoVencido: this.seguimientoVencido(),
+            fechaCompletado: this.fechaCompletado ? dayjs(this.fechaCompletado).format('DD/MM/YYYY') : null,
+            resultadoSeguimiento: this.resultadoSeguimiento
+        };
+    }
+}
+
+Interaccion.TIPOS_VALIDOS = ['llamada', 'queja', 'visita', 'promesa', 'email', 'otro'];
+Interaccion.ETIQUETAS = {
+    llamada: 'Llamada',
+    queja: 'Queja',
+    visita: 'Visita',
+    promesa: 'Promesa',
+    email: 'Email',
+    otro: 'Nota'
+};
+
+module.exports = Interaccion;
@@ -0,0 +1,164 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase ListaEspera - Modelo para la lista de espera de los planes con cupo
+ * Cada documento es el turno de un cliente para un plan completo. Cuando se
+ * libera un cupo, el primer cliente en espera pasa a "promovido": el cupo queda
+ * reservado para él y el aviso aparece en la lista de acciones pendientes hasta
+ * que se lo inscribe o se descarta la promoción.
+ */
+class ListaEspera {
+    constructor({
+        esperaId = null,
+        planId,
+        clienteId,
+        estado = 'esperando',
+        fechaSolicitud = null,
+        fechaPromocion = null,
+        fechaResolucion = null,
+        motivoPromocion = '',
+        notas = ''
+    }) {
+        this.esperaId = esperaId || new ObjectId();
+        this.planId = planId;
+        this.clienteId = clienteId;
+        this.estado = estado;
+        this.fechaSolicitud = fechaSolicitud || new Date();
+        this.fechaPromocion = fechaPromocion;
+        this.fechaResolucion = fechaResolucion;
+        this.motivoPromocion = motivoPromocion || '';
+        this.notas = notas || '';
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos del turno
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateReferencias();
+        this.validateEstado();
+        this.validateNotas();
+    }
+
+    /**
+     * Valida los IDs de plan y cliente
+     */
+    validateReferencias() {
+        if (!this.planId || !ObjectId.isValid(this.planId)) {
+            throw new Error('ID del plan debe ser un ObjectId válido');
+        }
+        if (!this.clienteId || !ObjectId.isValid(this.clienteId)) {
+            throw new Error('ID del cliente debe ser un ObjectId válido');
+        }
+    }
+
+    /**
+     * Valida el estado del turno
+     */
+    validateEstado() {
+        if (!ListaEspera.ESTADOS_VALIDOS.includes(this.estado)) {
+            throw new Error(`Estado debe ser uno de: ${ListaEspera.ESTADOS_VALIDOS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida las notas del turno
+     */
+    validateNotas() {
+        if (typeof this.notas !== 'string') {
+            throw new Error('Notas deben ser texto');
+        }
+        if (this.notas.trim().length > 300) {
+            throw new Error('Notas no pueden exceder 300 caracteres');
+        }
+        this.notas = this.notas.trim();
+    }
+
+    /**
+     * Verifica si el turno sigue abierto (esperando o promovido)
+     * @returns {boolean} True si sigue abierto
+     */
+    estaAbierta() {
+        return ListaEspera.ESTADOS_ABIERTOS.includes(this.estado);
+    }
+
+    /**
+     * Verifica si el cliente fue promovido y tiene un cupo reservado
+     * @returns {boolean} True si está promovido
+     */
+    estaPromovida() {
+        return this.estado === 'promovido';
+    }
+
+    /**
+     * Calcula los días que el cliente lleva esperando
+     * @returns {number} Días desde la solicitud
+     */
+    getDiasEsperando() {
+        return dayjs().diff(dayjs(this.fechaSolicitud), 'day');
+    }
+
+    /**
+     * Convierte el turno a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.esperaId,
+            planId: new ObjectId(this.planId),
+            clienteId: new ObjectId(this.clienteId),
+            estado: this.estado,
+            fechaSolicitud: this.fechaSolicitud,
+            fechaPromocion: this.fechaPromocion,
+            fechaResolucion: this.fechaResolucion,
+            motivoPromocion: this.motivoPromocion,
+            notas: this.notas
+        };
+    }
+
+    /**
+     * Crea una instancia de ListaEspera desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {ListaEspera} Instancia de ListaEspera
+     */
+    static fromMongoObject(mongoDoc) {
+        return new ListaEspera({
+            esperaId: mongoDoc._id,
+            planId: mongoDoc.planId,
+            clienteId: mongoDoc.clienteId,
+            estado: mongoDoc.estado,
+            fechaSolicitud: mongoDoc.fechaSolicitud,
+            fechaPromocion: mongoDoc.fechaPromocion || null,
+            fechaResolucion: mongoDoc.fechaResolucion || null,
+            motivoPromocion: mongoDoc.motivoPromocion,
+            notas: mongoDoc.notas
+        });
+    }
+
+    /**
+     * Obtiene información resumida del turno
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            esperaId: this.esperaId,
+            planId: this.planId,
+            clienteId: this.clienteId,
+            estado: this.estado,
+            fechaSolicitud: dayjs(this.fechaSolicitud).format('DD/MM/YYYY'),
+            diasEsperando: this.getDiasEsperando(),
+            fechaPromocion: this.fechaPromocion ? dayjs(this.fechaPromocion).format('DD/MM/YYYY') : null,
+            motivoPromocion: this.motivoPromocion,
+            notas: this.notas
+        };
+    }
+}
+
+ListaEspera.ESTADOS_VALIDOS = ['esperando', 'promovido', 'inscrito', 'descartado', 'retirado'];
+ListaEspera.ESTADOS_ABIERTOS = ['esperando', 'promovido'];
+
+module.exports = ListaEspera;
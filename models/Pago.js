@@ -17,7 +17,8 @@ class Pago {
         estado = 'pendiente', 
         referencia = null, 
         notas = null, 
-        tipoMovimiento = 'ingreso'
+        tipoMovimiento = 'ingreso',
+        descuentos = []
     }) {
         this.pagoId = pagoId || new ObjectId();
         this.clienteId = clienteId;
@@ -29,6 +30,7 @@ class Pago {
         this.referencia = referencia;
         this.notas = notas;
         this.tipoMovimiento = tipoMovimiento;
+        this.descuentos = Array.isArray(descuentos) ? descuentos : [];
         
         // Validar datos al crear instancia
         this.validate();
@@ -42,6 +44,7 @@ class Pago {
         this.validateClienteId();
         this.validateContratoId();
         this.validateFechaPago();
+        this.validateDescuentos();
         this.validateMonto();
         this.validateMetodoPago();
         this.validateEstado();
@@ -104,7 +107,8 @@ class Pago {
         if (typeof this.monto !== 'number') {
             throw new Error('Monto debe ser un número');
         }
-        if (this.monto <= 0) {
+        // Un pago cubierto por completo con descuentos puede quedar en 0
+        if (this.monto < 0 || (this.monto === 0 && this.getTotalDescuentos() === 0)) {
             throw new Error('Monto debe ser mayor a 0');
         }
         if (this.monto > 1000000) { // Máximo 1 millón
@@ -115,6 +119,29 @@ class Pago {
         this.monto = Math.round(this.monto * 100) / 100;
     }
 
+    /**
+     * Valida las líneas de descuento aplicadas al pago (por ejemplo, crédito de referidos)
+     * Cada línea: { concepto, monto, referenciaId }
+     */
+    validateDescuentos() {
+        this.descuentos = this.descuentos.map(descuento => {
+            if (!descuento || !descuento.concepto || typeof descuento.concepto !== 'string') {
+                throw new Error('Cada descuento debe indicar su concepto');
+            }
+            if (typeof descuento.monto !== 'number' || descuento.monto <= 0) {
+                throw new Error('Cada descuento debe tener un monto mayor a 0');
+            }
+            return {
+                concepto: descuento.concepto.trim(),
+                monto: Math.round(descuento.monto * 100) / 100,
+                referenciaId: descuento.referenciaId || null
+            };
+        });
+        if (this.descuentos.length > 0 && String(this.tipoMovimiento).toLowerCase() !== 'ingreso') {
+            throw new Error('Solo los ingresos pueden tener descuentos');
+        }
+    }
+
     /**
      * Valida el método de pago
      */
@@ -442,6 +469,23 @@ class Pago {
         return descripcion;
     }
 
+    /**
+     * Obtiene el total de descuentos aplicados al pago
+     * @returns {number} Suma de las líneas de descuento
+     */
+    getTotalDescuentos() {
+        const total = this.descuentos.reduce((suma, descuento) => suma + descuento.monto, 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Obtiene el monto del pago antes de descuentos
+     * @returns {number} Monto bruto (monto cobrado + descuentos)
+     */
+    getMontoBruto() {
+        return Math.round((this.monto + this.getTotalDescuentos()) * 100) / 100;
+    }
+
     /**
      * Convierte el pago a objeto plano para MongoDB
      * @returns {Object} Objeto listo para insertar en MongoDB
@@ -457,7 +501,8 @@ class Pago {
             estado: this.estado,
             referencia: this.referencia,
             notas: this.notas,
-            tipoMovimiento: this.tipoMovimiento
+            tipoMovimiento: this.tipoMovimiento,
+            descuentos: this.descuentos
         };
     }
 
@@ -477,7 +522,8 @@ class Pago {
             estado: mongoDoc.estado,
             referencia: mongoDoc.referencia,
             notas: mongoDoc.notas,
-            tipoMovimiento: mongoDoc.tipoMovimiento
+            tipoMovimiento: mongoDoc.tipoMovimiento,
+            descuentos: mongoDoc.descuentos || []
         });
     }
 
@@ -500,7 +546,9 @@ class Pago {
             tieneCliente: this.tieneCliente(),
             tieneContrato: this.tieneContrato(),
             referencia: this.referencia,
-            notas: this.notas
+            notas: this.notas,
+            descuentos: this.descuentos,
+            montoBruto: this.getMontoBruto()
         };
     }
 
@@ -5,6 +5,15 @@ const config = require('../config');
 /**
  * Clase PlanEntrenamiento - Modelo para planes de entrenamiento
  * Implementa validaciones robustas y principios SOLID
+ *
+ * El contenido del plan se organiza en semanas → días → ejercicios. Si el plan
+ * define menos semanas que su duración, las semanas definidas se repiten en ciclo.
+ *
+ * El plan guarda el número de su versión vigente; el contenido de cada versión se
+ * conserva aparte para que los contratos sigan la versión con la que se vendieron.
+ *
+ * El cupo máximo es opcional (null = sin límite); con el plan completo, los
+ * clientes nuevos esperan su turno en la lista de espera.
  */
 class PlanEntrenamiento {
     constructor({ 
@@ -14,7 +23,10 @@ class PlanEntrenamiento {
         metasFisicas, 
         nivel, 
         clientes = [], 
-        estado = 'activo' 
+        estado = 'activo',
+        semanas = [],
+        version = 1,
+        cupoMaximo = null
     }) {
         this.planId = planId || new ObjectId();
         this.nombre = nombre;
@@ -23,6 +35,9 @@ class PlanEntrenamiento {
         this.nivel = nivel;
         this.clientes = clientes;
         this.estado = estado;
+        this.semanas = semanas || [];
+        this.version = version || 1;
+        this.cupoMaximo = cupoMaximo ?? null;
         
         // Validar datos al crear instancia
         this.validate();
@@ -39,6 +54,9 @@ class PlanEntrenamiento {
         this.validateNivel();
         this.validateEstado();
         this.validateClientes();
+        this.validateSemanas();
+        this.validateVersion();
+        this.validateCupoMaximo();
     }
 
     /**
@@ -143,6 +161,154 @@ class PlanEntrenamiento {
         }
     }
 
+    /**
+     * Valida el número de versión del plan
+     */
+    validateVersion() {
+        if (!Number.isInteger(this.version) || this.version < 1) {
+            throw new Error('Versión del plan debe ser un entero mayor a 0');
+        }
+    }
+
+    /**
+     * Valida el cupo máximo de clientes (opcional)
+     */
+    validateCupoMaximo() {
+        if (this.cupoMaximo === null) {
+            return;
+        }
+        if (!Number.isInteger(this.cupoMaximo) || this.cupoMaximo < 1) {
+            throw new Error('Cupo máximo debe ser un entero mayor a 0');
+        }
+        if (this.cupoMaximo > 1000) {
+            throw new Error('Cupo máximo no puede exceder 1000 clientes');
+        }
+    }
+
+    /**
+     * Valida el contenido del plan (semanas, días y ejercicios)
+     */
+    validateSemanas() {
+        if (!Array.isArray(this.semanas)) {
+            throw new Error('Semanas debe ser un array');
+        }
+        if (this.semanas.length > this.duracionSemanas) {
+            throw new Error(`El plan dura ${this.duracionSemanas} semana(s) y tiene ${this.semanas.length} semanas de contenido`);
+        }
+
+        // Las semanas se numeran según su posición y se normalizan sus días y ejercicios
+        this.semanas = this.semanas.map((semana, indice) => {
+            if (!semana || !Array.isArray(semana.dias)) {
+                throw new Error(`Semana ${indice + 1}: los días deben ser un array`);
+            }
+            if (semana.dias.length > PlanEntrenamiento.MAX_DIAS_POR_SEMANA) {
+                throw new Error(`Semana ${indice + 1}: no puede tener más de ${PlanEntrenamiento.MAX_DIAS_POR_SEMANA} días`);
+            }
+            return {
+                numero: indice + 1,
+                dias: semana.dias.map((dia, indiceDia) => {
+                    try {
+                        return PlanEntrenamiento.normalizarDia(dia);
+                    } catch (error) {
+                        throw new Error(`Semana ${indice + 1}, día ${indiceDia + 1}: ${error.message}`);
+                    }
+                })
+            };
+        });
+    }
+
+    /**
+     * Valida y normaliza un día de entrenamiento
+     * @param {Object} dia - Día con nombre, notas y ejercicios
+     * @returns {Object} Día normalizado
+     */
+    static normalizarDia(dia) {
+        if (!dia || typeof dia.nombre !== 'string' || dia.nombre.trim().length < 2) {
+            throw new Error('Nombre del día es obligatorio y debe tener al menos 2 caracteres');
+        }
+        if (dia.nombre.trim().length > 50) {
+            throw new Error('Nombre del día no puede exceder 50 caracteres');
+        }
+        const ejercicios = dia.ejercicios || [];
+        if (!Array.isArray(ejercicios)) {
+            throw new Error('Los ejercicios deben ser un array');
+        }
+        if (ejercicios.length > PlanEntrenamiento.MAX_EJERCICIOS_POR_DIA) {
+            throw new Error(`No puede tener más de ${PlanEntrenamiento.MAX_EJERCICIOS_POR_DIA} ejercicios`);
+        }
+        const notas = typeof dia.notas === 'string' ? dia.notas.trim() : '';
+        if (notas.length > 200) {
+            throw new Error('Las notas del día no pueden exceder 200 caracteres');
+        }
+
+        return {
+            nombre: dia.nombre.trim(),
+            notas,
+            ejercicios: ejercicios.map((ejercicio, indice) => {
+                try {
+                    return PlanEntrenamiento.normalizarEjercicio(ejercicio);
+                } catch (error) {
+                    throw new Error(`ejercicio ${indice + 1}: ${error.message}`);
+                }
+            })
+        };
+    }
+
+    /**
+     * Valida y normaliza un ejercicio
+     * @param {Object} ejercicio - ejercicioId, nombre, series, repeticiones, carga, descansoSegundos, notas
+     * @returns {Object} Ejercicio normalizado
+     */
+    static normalizarEjercicio(ejercicio) {
+        // Los ejercicios se toman de la biblioteca; el nombre es una copia para mostrar la rutina
+        if (!ejercicio || !ejercicio.ejercicioId || !ObjectId.isValid(ejercicio.ejercicioId)) {
+            throw new Error('El ejercicio debe referenciar un ejercicio de la biblioteca');
+        }
+        if (typeof ejercicio.nombre !== 'string' || ejercicio.nombre.trim().length < 2) {
+            throw new Error('Nombre del ejercicio es obligatorio y debe tener al menos 2 caracteres');
+        }
+        if (ejercicio.nombre.trim().length > 100) {
+            throw new Error('Nombre del ejercicio no puede exceder 100 caracteres');
+        }
+        if (!Number.isInteger(ejercicio.series) || ejercicio.series < 1 || ejercicio.series > 20) {
+            throw new Error('Las series deben ser un entero entre 1 y 20');
+        }
+
+        // Las repeticiones admiten rangos o indicaciones ("8-12", "AMRAP", "30 s")
+        const repeticiones = ejercicio.repeticiones !== undefined && ejercicio.repeticiones !== null
+            ? String(ejercicio.repeticiones).trim()
+            : '';
+        if (!repeticiones || repeticiones.length > 20) {
+            throw new Error('Las repeticiones son obligatorias y no pueden exceder 20 caracteres');
+        }
+
+        // La carga es una indicación para el socio ("20 kg", "70% 1RM", "RPE 8")
+        const carga = ejercicio.carga !== undefined && ejercicio.carga !== null ? String(ejercicio.carga).trim() : '';
+        if (carga.length > 50) {
+            throw new Error('La carga no puede exceder 50 caracteres');
+        }
+
+        const descansoSegundos = ejercicio.descansoSegundos ?? PlanEntrenamiento.DESCANSO_POR_DEFECTO;
+        if (!Number.isInteger(descansoSegundos) || descansoSegundos < 0 || descansoSegundos > 600) {
+            throw new Error('El descanso debe ser un entero entre 0 y 600 segundos');
+        }
+
+        const notas = typeof ejercicio.notas === 'string' ? ejercicio.notas.trim() : '';
+        if (notas.length > 200) {
+            throw new Error('Las notas del ejercicio no pueden exceder 200 caracteres');
+        }
+
+        return {
+            ejercicioId: new ObjectId(ejercicio.ejercicioId),
+            nombre: ejercicio.nombre.trim(),
+            series: ejercicio.series,
+            repeticiones,
+            carga,
+            descansoSegundos,
+            notas
+        };
+    }
+
     /**
      * Verifica si el plan está activo
      * @returns {boolean} True si está activo
@@ -175,6 +341,26 @@ class PlanEntrenamiento {
         return this.clientes.length > 0;
     }
 
+    /**
+     * Verifica si el plan limita la cantidad de clientes
+     * @returns {boolean} True si tiene cupo máximo
+     */
+    tieneCupoLimitado() {
+        return this.cupoMaximo !== null;
+    }
+
+    /**
+     * Calcula los cupos libres del plan
+     * @param {number} reservados - Cupos reservados para clientes promovidos de la lista de espera
+     * @returns {number} Cupos disponibles (Infinity si no hay límite)
+     */
+    getCuposDisponibles(reservados = 0) {
+        if (!this.tieneCupoLimitado()) {
+            return Infinity;
+        }
+        return Math.max(this.cupoMaximo - this.clientes.length - reservados, 0);
+    }
+
     /**
      * Agrega un cliente al plan
      * @param {ObjectId} clienteId - ID del cliente a agregar
@@ -214,6 +400,205 @@ class PlanEntrenamiento {
         this.estado = nuevoEstado.toLowerCase();
     }
 
+    /**
+     * Verifica si el plan tiene rutina cargada
+     * @returns {boolean} True si tiene al menos una semana con días
+     */
+    tieneContenido() {
+        return this.semanas.some(semana => semana.dias.length > 0);
+    }
+
+    /**
+     * Cuenta los ejercicios de todas las semanas definidas
+     * @returns {number} Total de ejercicios
+     */
+    getTotalEjercicios() {
+        return this.semanas.reduce((total, semana) =>
+            total + semana.dias.reduce((totalDia, dia) => totalDia + dia.ejercicios.length, 0), 0);
+    }
+
+    /**
+     * Obtiene los IDs de los ejercicios de la biblioteca que usa la rutina
+     * @returns {Array<string>} IDs sin repetir
+     */
+    getEjerciciosUsados() {
+        const ids = new Set();
+        this.semanas.forEach(semana => semana.dias.forEach(dia => dia.ejercicios.forEach(ejercicio => {
+            ids.add(ejercicio.ejercicioId.toString());
+        })));
+        return [...ids];
+    }
+
+    /**
+     * Obtiene una semana definida del plan
+     * @param {number} numeroSemana - Número de semana (1..semanas definidas)
+     * @returns {Object} Semana encontrada
+     * @private
+     */
+    obtenerSemana(numeroSemana) {
+        const semana = this.semanas[numeroSemana - 1];
+        if (!semana) {
+            throw new Error(`La semana ${numeroSemana} no está definida en el plan`);
+        }
+        return semana;
+    }
+
+    /**
+     * Obtiene un día de una semana definida
+     * @param {number} numeroSemana - Número de semana
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @returns {Object} Día encontrado
+     * @private
+     */
+    obtenerDia(numeroSemana, indiceDia) {
+        const dia = this.obtenerSemana(numeroSemana).dias[indiceDia];
+        if (!dia) {
+            throw new Error(`La semana ${numeroSemana} no tiene el día ${indiceDia + 1}`);
+        }
+        return dia;
+    }
+
+    /**
+     * Agrega una semana al final del contenido, vacía o copiando otra
+     * @param {number|null} copiarDe - Número de semana a copiar
+     * @returns {number} Número de la semana agregada
+     */
+    agregarSemana(copiarDe = null) {
+        if (this.semanas.length >= this.duracionSemanas) {
+            throw new Error(`El plan ya tiene sus ${this.duracionSemanas} semana(s) definidas`);
+        }
+        const dias = copiarDe ? JSON.parse(JSON.stringify(this.obtenerSemana(copiarDe).dias)) : [];
+        this.semanas.push({ numero: this.semanas.length + 1, dias });
+        return this.semanas.length;
+    }
+
+    /**
+     * Elimina una semana y renumera las siguientes
+     * @param {number} numeroSemana - Número de semana
+     */
+    removerSemana(numeroSemana) {
+        this.obtenerSemana(numeroSemana);
+        this.semanas.splice(numeroSemana - 1, 1);
+        this.semanas.forEach((semana, indice) => {
+            semana.numero = indice + 1;
+        });
+    }
+
+    /**
+     * Agrega un día a una semana
+     * @param {number} numeroSemana - Número de semana
+     * @param {Object} dia - Día con nombre y notas opcionales
+     */
+    agregarDia(numeroSemana, dia) {
+        const semana = this.obtenerSemana(numeroSemana);
+        if (semana.dias.length >= PlanEntrenamiento.MAX_DIAS_POR_SEMANA) {
+            throw new Error(`La semana ${numeroSemana} ya tiene ${PlanEntrenamiento.MAX_DIAS_POR_SEMANA} días`);
+        }
+        semana.dias.push(PlanEntrenamiento.normalizarDia({ ...dia, ejercicios: dia.ejercicios || [] }));
+    }
+
+    /**
+     * Elimina un día de una semana
+     * @param {number} numeroSemana - Número de semana
+     * @param {number} indiceDia - Posición del día (desde 0)
+     */
+    removerDia(numeroSemana, indiceDia) {
+        this.obtenerDia(numeroSemana, indiceDia);
+        this.obtenerSemana(numeroSemana).dias.splice(indiceDia, 1);
+    }
+
+    /**
+     * Cambia la posición de un día dentro de su semana
+     * @param {number} numeroSemana - Número de semana
+     * @param {number} desde - Posición actual (desde 0)
+     * @param {number} hacia - Nueva posición (desde 0)
+     */
+    moverDia(numeroSemana, desde, hacia) {
+        const dias = this.obtenerSemana(numeroSemana).dias;
+        PlanEntrenamiento.moverElemento(dias, desde, hacia);
+    }
+
+    /**
+     * Agrega un ejercicio al final de un día
+     * @param {number} numeroSemana - Número de semana
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @param {Object} ejercicio - Datos del ejercicio
+     */
+    agregarEjercicio(numeroSemana, indiceDia, ejercicio) {
+        const dia = this.obtenerDia(numeroSemana, indiceDia);
+        if (dia.ejercicios.length >= PlanEntrenamiento.MAX_EJERCICIOS_POR_DIA) {
+            throw new Error(`El día ya tiene ${PlanEntrenamiento.MAX_EJERCICIOS_POR_DIA} ejercicios`);
+        }
+        dia.ejercicios.push(PlanEntrenamiento.normalizarEjercicio(ejercicio));
+    }
+
+    /**
+     * Elimina un ejercicio de un día
+     * @param {number} numeroSemana - Número de semana
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @param {number} indiceEjercicio - Posición del ejercicio (desde 0)
+     */
+    removerEjercicio(numeroSemana, indiceDia, indiceEjercicio) {
+        const dia = this.obtenerDia(numeroSemana, indiceDia);
+        if (!dia.ejercicios[indiceEjercicio]) {
+            throw new Error(`El día no tiene el ejercicio ${indiceEjercicio + 1}`);
+        }
+        dia.ejercicios.splice(indiceEjercicio, 1);
+    }
+
+    /**
+     * Cambia la posición de un ejercicio dentro de su día
+     * @param {number} numeroSemana - Número de semana
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @param {number} desde - Posición actual (desde 0)
+     * @param {number} hacia - Nueva posición (desde 0)
+     */
+    moverEjercicio(numeroSemana, indiceDia, desde, hacia) {
+        PlanEntrenamiento.moverElemento(this.obtenerDia(numeroSemana, indiceDia).ejercicios, desde, hacia);
+    }
+
+    /**
+     * Mueve un elemento de un array a otra posición
+     * @param {Array} lista - Array a modificar
+     * @param {number} desde - Posición actual
+     * @param {number} hacia - Nueva posición
+     * @private
+     */
+    static moverElemento(lista, desde, hacia) {
+        if (!Number.isInteger(desde) || !Number.isInteger(hacia) ||
+            desde < 0 || hacia < 0 || desde >= lista.length || hacia >= lista.length) {
+            throw new Error('Posición fuera de rango');
+        }
+        const [elemento] = lista.splice(desde, 1);
+        lista.splice(hacia, 0, elemento);
+    }
+
+    /**
+     * Obtiene la rutina de una semana del plan para el socio
+     * @param {number} numeroSemana - Semana del plan (1..duracionSemanas)
+     * @returns {Object} Semana solicitada, semana definida que le corresponde y sus días
+     */
+    getRutinaSemanal(numeroSemana) {
+        if (!Number.isInteger(numeroSemana) || numeroSemana < 1 || numeroSemana > this.duracionSemanas) {
+            throw new Error(`La semana debe estar entre 1 y ${this.duracionSemanas}`);
+        }
+        if (this.semanas.length === 0) {
+            throw new Error('El plan todavía no tiene rutina cargada');
+        }
+
+        // Las semanas definidas se repiten en ciclo hasta completar la duración
+        const semanaBase = ((numeroSemana - 1) % this.semanas.length) + 1;
+        return {
+            planId: this.planId,
+            nombre: this.nombre,
+            nivel: this.nivel,
+            semana: numeroSemana,
+            duracionSemanas: this.duracionSemanas,
+            semanaBase,
+            dias: this.semanas[semanaBase - 1].dias
+        };
+    }
+
     /**
      * Calcula la duración en días
      * @returns {number} Duración en días
@@ -242,7 +627,10 @@ class PlanEntrenamiento {
             metasFisicas: this.metasFisicas,
             nivel: this.nivel,
             clientes: this.clientes,
-            estado: this.estado
+            estado: this.estado,
+            semanas: this.semanas,
+            version: this.version,
+            cupoMaximo: this.cupoMaximo
         };
     }
 
@@ -259,7 +647,10 @@ class PlanEntrenamiento {
             metasFisicas: mongoDoc.metasFisicas,
             nivel: mongoDoc.nivel,
             clientes: mongoDoc.clientes || [],
-            estado: mongoDoc.estado
+            estado: mongoDoc.estado,
+            semanas: mongoDoc.semanas || [],
+            version: mongoDoc.version || 1,
+            cupoMaximo: mongoDoc.cupoMaximo ?? null
         });
     }
 
@@ -276,12 +667,146 @@ class PlanEntrenamiento {
             nivel: this.nivel,
             estado: this.estado,
             cantidadClientes: this.clientes.length,
+            cupoMaximo: this.cupoMaximo,
+            semanasDefinidas: this.semanas.length,
+            totalEjercicios: this.getTotalEjercicios(),
+            version: this.version,
             metasFisicas: this.metasFisicas.length > 50 
                 ? this.metasFisicas.substring(0, 50) + '...' 
                 : this.metasFisicas
         };
     }
 
+    /**
+     * Obtiene el contenido que se versiona (lo que recibe el cliente)
+     * @returns {Object} Copia de nombre, duración, metas, nivel y rutina
+     */
+    getContenidoVersionable() {
+        // Copia profunda que conserva los ObjectId de los ejercicios
+        return {
+            nombre: this.nombre,
+            duracionSemanas: this.duracionSemanas,
+            metasFisicas: this.metasFisicas,
+            nivel: this.nivel,
+            semanas: this.semanas.map(semana => ({
+                ...semana,
+                dias: semana.dias.map(dia => ({
+                    ...dia,
+                    ejercicios: dia.ejercicios.map(ejercicio => ({ ...ejercicio }))
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Crea una copia del plan con el contenido de otra versión
+     * @param {Object} contenido - Contenido guardado de la versión
+     * @param {number} version - Número de la versión
+     * @returns {PlanEntrenamiento} Plan con el contenido de esa versión
+     */
+    conContenidoDeVersion(contenido, version) {
+        return new PlanEntrenamiento({
+            ...contenido,
+            planId: this.planId,
+            clientes: this.clientes,
+            estado: this.estado,
+            version,
+            cupoMaximo: this.cupoMaximo
+        });
+    }
+
+    /**
+     * Compara el contenido de dos versiones y describe los cambios
+     * @param {Object} anterior - Contenido de la versión anterior
+     * @param {Object} nuevo - Contenido de la versión nueva
+     * @returns {Array<string>} Cambios legibles (vacío si son iguales)
+     */
+    static compararContenido(anterior, nuevo) {
+        const cambios = [];
+        const campos = { nombre: 'Nombre', duracionSemanas: 'Duración (semanas)', metasFisicas: 'Metas físicas', nivel: 'Nivel' };
+        Object.entries(campos).forEach(([campo, etiqueta]) => {
+            if (anterior[campo] !== nuevo[campo]) {
+                cambios.push(`${etiqueta}: "${anterior[campo]}" → "${nuevo[campo]}"`);
+            }
+        });
+
+        const semanasAnteriores = anterior.semanas || [];
+        const semanasNuevas = nuevo.semanas || [];
+        const totalSemanas = Math.max(semanasAnteriores.length, semanasNuevas.length);
+        for (let i = 0; i < totalSemanas; i++) {
+            const semanaAnterior = semanasAnteriores[i];
+            const semanaNueva = semanasNuevas[i];
+            if (!semanaAnterior) {
+                cambios.push(`Semana ${i + 1}: agregada (${semanaNueva.dias.length} días)`);
+            } else if (!semanaNueva) {
+                cambios.push(`Semana ${i + 1}: eliminada`);
+            } else {
+                cambios.push(...PlanEntrenamiento.compararDias(i + 1, semanaAnterior.dias, semanaNueva.dias));
+            }
+        }
+        return cambios;
+    }
+
+    /**
+     * Compara los días de una semana en dos versiones
+     * @param {number} numeroSemana - Número de la semana
+     * @param {Array} diasAnteriores - Días de la versión anterior
+     * @param {Array} diasNuevos - Días de la versión nueva
+     * @returns {Array<string>} Cambios de la semana
+     */
+    static compararDias(numeroSemana, diasAnteriores, diasNuevos) {
+        const cambios = [];
+        const describir = ejercicio => `${ejercicio.series}x${ejercicio.repeticiones}` +
+            `${ejercicio.carga ? ` @ ${ejercicio.carga}` : ''}, descanso ${ejercicio.descansoSegundos} s` +
+            `${ejercicio.notas ? `, ${ejercicio.notas}` : ''}`;
+        const totalDias = Math.max(diasAnteriores.length, diasNuevos.length);
+
+        for (let i = 0; i < totalDias; i++) {
+            const diaAnterior = diasAnteriores[i];
+            const diaNuevo = diasNuevos[i];
+            if (!diaAnterior) {
+                cambios.push(`Semana ${numeroSemana}: día "${diaNuevo.nombre}" agregado (${diaNuevo.ejercicios.length} ejercicios)`);
+                continue;
+            }
+            if (!diaNuevo) {
+                cambios.push(`Semana ${numeroSemana}: día "${diaAnterior.nombre}" eliminado`);
+                continue;
+            }
+
+            const prefijo = `Semana ${numeroSemana} - ${diaNuevo.nombre}`;
+            if (diaAnterior.nombre !== diaNuevo.nombre) {
+                cambios.push(`Semana ${numeroSemana}: día "${diaAnterior.nombre}" renombrado a "${diaNuevo.nombre}"`);
+            }
+            if ((diaAnterior.notas || '') !== (diaNuevo.notas || '')) {
+                cambios.push(`${prefijo}: notas del día actualizadas`);
+            }
+
+            // Los ejercicios se emparejan por su ID en la biblioteca
+            const clave = ejercicio => String(ejercicio.ejercicioId);
+            const anteriores = new Map(diaAnterior.ejercicios.map(ejercicio => [clave(ejercicio), ejercicio]));
+            const nuevos = new Map(diaNuevo.ejercicios.map(ejercicio => [clave(ejercicio), ejercicio]));
+
+            diaAnterior.ejercicios.filter(ejercicio => !nuevos.has(clave(ejercicio))).forEach(ejercicio => {
+                cambios.push(`${prefijo}: quitado ${ejercicio.nombre}`);
+            });
+            diaNuevo.ejercicios.forEach(ejercicio => {
+                const previo = anteriores.get(clave(ejercicio));
+                if (!previo) {
+                    cambios.push(`${prefijo}: agregado ${ejercicio.nombre} (${describir(ejercicio)})`);
+                } else if (describir(previo) !== describir(ejercicio)) {
+                    cambios.push(`${prefijo}: ${ejercicio.nombre} ${describir(previo)} → ${describir(ejercicio)}`);
+                }
+            });
+
+            const ordenAnterior = diaAnterior.ejercicios.map(clave).filter(id => nuevos.has(id));
+            const ordenNuevo = diaNuevo.ejercicios.map(clave).filter(id => anteriores.has(id));
+            if (ordenAnterior.join() !== ordenNuevo.join()) {
+                cambios.push(`${prefijo}: orden de los ejercicios modificado`);
+            }
+        }
+        return cambios;
+    }
+
     /**
      * Verifica si el plan es compatible con un nivel específico
      * @param {string} nivelCliente - Nivel del cliente
@@ -305,4 +830,8 @@ class PlanEntrenamiento {
     }
 }
 
+PlanEntrenamiento.MAX_DIAS_POR_SEMANA = 7;
+PlanEntrenamiento.MAX_EJERCICIOS_POR_DIA = 30;
+PlanEntrenamiento.DESCANSO_POR_DEFECTO = 60; // segundos
+
 module.exports = PlanEntrenamiento;
@@ -0,0 +1,309 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase Prospecto - Modelo para personas interesadas que aún no son clientes
+ * Registra de dónde llegó el prospecto, qué le interesa, su avance en el embudo
+ * (nuevo → contactado → prueba → convertido/perdido) y el pase de prueba otorgado.
+ * Al convertirse conserva su historial y queda vinculado al cliente creado.
+ */
+class Prospecto {
+    constructor({
+        prospectoId = null,
+        nombre,
+        apellido,
+        email = '',
+        telefono = '',
+        origen,
+        interes = '',
+        estado = 'nuevo',
+        fechaRegistro = null,
+        pruebaInicio = null,
+        pruebaFin = null,
+        historial = null,
+        clienteId = null,
+        fechaConversion = null,
+        motivoPerdida = ''
+    }) {
+        this.prospectoId = prospectoId || new ObjectId();
+        this.nombre = nombre;
+        this.apellido = apellido;
+        this.email = email || '';
+        this.telefono = telefono || '';
+        this.origen = origen;
+        this.interes = interes || '';
+        this.estado = estado;
+        this.fechaRegistro = fechaRegistro || new Date();
+        this.pruebaInicio = pruebaInicio || null;
+        this.pruebaFin = pruebaFin || null;
+        this.historial = Array.isArray(historial)
+            ? historial
+            : [{ fecha: this.fechaRegistro, estado: this.estado, nota: 'Prospecto registrado' }];
+        this.clienteId = clienteId || null;
+        this.fechaConversion = fechaConversion || null;
+        this.motivoPerdida = motivoPerdida || '';
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos del prospecto
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateNombre();
+        this.validateContacto();
+        this.validateOrigen();
+        this.validateEstado();
+        this.validatePrueba();
+    }
+
+    /**
+     * Valida nombre y apellido
+     */
+    validateNombre() {
+        if (!this.nombre || typeof this.nombre !== 'string' || this.nombre.trim().length < 2) {
+            throw new Error('Nombre es obligatorio y debe tener al menos 2 caracteres');
+        }
+        if (!this.apellido || typeof this.apellido !== 'string' || this.apellido.trim().length < 2) {
+            throw new Error('Apellido es obligatorio y debe tener al menos 2 caracteres');
+        }
+        this.nombre = this.nombre.trim();
+        this.apellido = this.apellido.trim();
+    }
+
+    /**
+     * Valida los datos de contacto (al menos email o teléfono)
+     */
+    validateContacto() {
+        this.email = this.email.toLowerCase().trim();
+        this.telefono = this.telefono.trim();
+
+        if (!this.email && !this.telefono) {
+            throw new Error('Debe indicar al menos un email o un teléfono de contacto');
+        }
+        if (this.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.email)) {
+            throw new Error('Email debe tener un formato válido');
+        }
+        if (this.telefono) {
+            const telefonoLimpio = this.telefono.replace(/[\s\-\(\)]/g, '');
+            if (!/^\d{7,15}$/.test(telefonoLimpio)) {
+                throw new Error('Teléfono debe tener entre 7 y 15 dígitos');
+            }
+        }
+    }
+
+    /**
+     * Valida el origen del prospecto
+     */
+    validateOrigen() {
+        if (!Prospecto.ORIGENES_VALIDOS.includes(this.origen)) {
+            throw new Error(`Origen debe ser uno de: ${Prospecto.ORIGENES_VALIDOS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida el estado del prospecto
+     */
+    validateEstado() {
+        if (!Prospecto.ESTADOS_VALIDOS.includes(this.estado)) {
+            throw new Error(`Estado debe ser uno de: ${Prospecto.ESTADOS_VALIDOS.join(', ')}`);
+        }
+        if (this.estado === 'convertido' && !this.clienteId) {
+            throw new Error('Un prospecto convertido debe estar vinculado a un cliente');
+        }
+    }
+
+    /**
+     * Valida las fechas del pase de prueba
+     */
+    validatePrueba() {
+        if (!this.pruebaInicio && !this.pruebaFin) {
+            return;
+        }
+        if (!(this.pruebaInicio instanceof Date) || !(this.pruebaFin instanceof Date)) {
+            throw new Error('El pase de prueba requiere fecha de inicio y de fin');
+        }
+        if (this.pruebaFin < this.pruebaInicio) {
+            throw new Error('La fecha de fin de la prueba no puede ser anterior a la de inicio');
+        }
+    }
+
+    /**
+     * Obtiene el nombre completo del prospecto
+     * @returns {string} Nombre y apellido
+     */
+    getNombreCompleto() {
+        return `${this.nombre} ${this.apellido}`;
+    }
+
+    /**
+     * Verifica si el prospecto ya terminó su paso por el embudo
+     * @returns {boolean} True si está convertido o perdido
+     */
+    estaCerrado() {
+        return this.estado === 'convertido' || this.estado === 'perdido';
+    }
+
+    /**
+     * Verifica si el pase de prueba está vigente
+     * @param {Date} fecha - Fecha de referencia
+     * @returns {boolean} True si la fecha está dentro del pase
+     */
+    pruebaVigente(fecha = new Date()) {
+        if (!this.pruebaInicio || !this.pruebaFin) {
+            return false;
+        }
+        return !dayjs(fecha).isBefore(dayjs(this.pruebaInicio), 'day') &&
+            !dayjs(fecha).isAfter(dayjs(this.pruebaFin), 'day');
+    }
+
+    /**
+     * Verifica si el prospecto pasó alguna vez por un estado
+     * @param {string} estado - Estado a consultar
+     * @returns {boolean} True si el estado aparece en el historial
+     */
+    alcanzoEstado(estado) {
+        return this.historial.some(entrada => entrada.estado === estado);
+    }
+
+    /**
+     * Cambia el estado del prospecto respetando el orden del embudo
+     * @param {string} nuevoEstado - Estado destino
+     * @param {string} nota - Nota que se guarda en el historial
+     */
+    cambiarEstado(nuevoEstado, nota = '') {
+        const permitidos = Prospecto.TRANSICIONES[this.estado] || [];
+        if (!permitidos.includes(nuevoEstado)) {
+            throw new Error(`No se puede pasar de "${this.estado}" a "${nuevoEstado}"`);
+        }
+        this.estado = nuevoEstado;
+        this.historial.push({ fecha: new Date(), estado: nuevoEstado, nota: nota ? nota.trim() : '' });
+    }
+
+    /**
+     * Otorga un pase de prueba y pasa el prospecto a estado "prueba"
+     * @param {number} dias - Días de validez del pase
+     * @param {Date} fechaInicio - Primer día del pase
+     */
+    otorgarPrueba(dias, fechaInicio = new Date()) {
+        if (!Number.isInteger(dias) || dias < 1) {
+            throw new Error('Los días de prueba deben ser un entero mayor a 0');
+        }
+        const inicio = dayjs(fechaInicio).startOf('day');
+        const fin = inicio.add(dias - 1, 'day').endOf('day');
+        this.cambiarEstado('prueba', `Pase de prueba del ${inicio.format('DD/MM/YYYY')} al ${fin.format('DD/MM/YYYY')}`);
+        this.pruebaInicio = inicio.toDate();
+        this.pruebaFin = fin.toDate();
+    }
+
+    /**
+     * Marca el prospecto como convertido en cliente
+     * @param {ObjectId} clienteId - Cliente creado a partir del prospecto
+     */
+    marcarConvertido(clienteId) {
+        this.cambiarEstado('convertido', 'Convertido en cliente');
+        this.clienteId = clienteId;
+        this.fechaConversion = new Date();
+    }
+
+    /**
+     * Marca el prospecto como perdido
+     * @param {string} motivo - Motivo por el que no se convirtió
+     */
+    marcarPerdido(motivo = '') {
+        this.cambiarEstado('perdido', motivo);
+        this.motivoPerdida = motivo ? motivo.trim() : '';
+    }
+
+    /**
+     * Convierte el prospecto a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.prospectoId,
+            nombre: this.nombre,
+            apellido: this.apellido,
+            email: this.email,
+            telefono: this.telefono,
+            origen: this.origen,
+            interes: this.interes,
+            estado: this.estado,
+            fechaRegistro: this.fechaRegistro,
+            pruebaInicio: this.pruebaInicio,
+            pruebaFin: this.pruebaFin,
+            historial: this.historial,
+            clienteId: this.clienteId,
+            fechaConversion: this.fechaConversion,
+            motivoPerdida: this.motivoPerdida
+        };
+    }
+
+    /**
+     * Crea una instancia de Prospecto desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {Prospecto} Instancia de Prospecto
+     */
+    static fromMongoObject(mongoDoc) {
+        return new Prospecto({
+            prospectoId: mongoDoc._id,
+            nombre: mongoDoc.nombre,
+            apellido: mongoDoc.apellido,
+            email: mongoDoc.email,
+            telefono: mongoDoc.telefono,
+            origen: mongoDoc.origen,
+            interes: mongoDoc.interes,
+            estado: mongoDoc.estado,
+            fechaRegistro: mongoDoc.fechaRegistro,
+            pruebaInicio: mongoDoc.pruebaInicio,
+            pruebaFin: mongoDoc.pruebaFin,
+            historial: mongoDoc.historial || [],
+            clienteId: mongoDoc.clienteId,
+            fechaConversion: mongoDoc.fechaConversion,
+            motivoPerdida: mongoDoc.motivoPerdida
+        });
+    }
+
+    /**
+     * Obtiene información resumida del prospecto
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            prospectoId: this.prospectoId,
+            nombreCompleto: this.getNombreCompleto(),
+            email: this.email,
+            telefono: this.telefono,
+            origen: this.origen,
+            interes: this.interes,
+            estado: this.estado,
+            fechaRegistro: dayjs(this.fechaRegistro).format('DD/MM/YYYY'),
+            pruebaInicio: this.pruebaInicio ? dayjs(this.pruebaInicio).format('DD/MM/YYYY') : null,
+            pruebaFin: this.pruebaFin ? dayjs(this.pruebaFin).format('DD/MM/YYYY') : null,
+            pruebaVigente: this.pruebaVigente(),
+            clienteId: this.clienteId,
+            fechaConversion: this.fechaConversion ? dayjs(this.fechaConversion).format('DD/MM/YYYY') : null,
+            motivoPerdida: this.motivoPerdida,
+            historial: this.historial.map(entrada => ({
+                fecha: dayjs(entrada.fecha).format('DD/MM/YYYY HH:mm'),
+                estado: entrada.estado,
+                nota: entrada.nota
+            }))
+        };
+    }
+}
+
+Prospecto.ESTADOS_VALIDOS = ['nuevo', 'contactado', 'prueba', 'convertido', 'perdido'];
+Prospecto.ORIGENES_VALIDOS = ['web', 'redes_sociales', 'referido', 'visita', 'llamada', 'campana', 'otro'];
+// Estados a los que se puede avanzar desde cada estado; un prospecto perdido puede reactivarse
+Prospecto.TRANSICIONES = {
+    nuevo: ['contactado', 'prueba', 'convertido', 'perdido'],
+    contactado: ['prueba', 'convertido', 'perdido'],
+    prueba: ['contactado', 'convertido', 'perdido'],
+    perdido: ['contactado'],
+    convertido: []
+};
+
+module.exports = Prospecto;
@@ -0,0 +1,207 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase Referido - Modelo para el programa de referidos
+ * Registra qué cliente refirió a quién y el crédito que genera la referencia.
+ * El crédito se otorga cuando el primer contrato del referido queda vigente
+ * y se consume como descuento en los pagos del cliente que refirió.
+ */
+class Referido {
+    constructor({
+        referidoId = null,
+        referidorId,
+        referidoClienteId,
+        fechaRegistro = null,
+        estado = 'pendiente',
+        montoCredito = 0,
+        fechaAcreditacion = null,
+        contratoId = null,
+        redenciones = []
+    }) {
+        this.referidoId = referidoId || new ObjectId();
+        this.referidorId = referidorId;
+        this.referidoClienteId = referidoClienteId;
+        this.fechaRegistro = fechaRegistro || new Date();
+        this.estado = estado;
+        this.montoCredito = montoCredito;
+        this.fechaAcreditacion = fechaAcreditacion;
+        this.contratoId = contratoId;
+        this.redenciones = Array.isArray(redenciones) ? redenciones : [];
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos del referido
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateClientes();
+        this.validateEstado();
+        this.validateCredito();
+    }
+
+    /**
+     * Valida los clientes de la referencia
+     */
+    validateClientes() {
+        if (!this.referidorId || !ObjectId.isValid(this.referidorId)) {
+            throw new Error('ID del cliente que refiere debe ser un ObjectId válido');
+        }
+        if (!this.referidoClienteId || !ObjectId.isValid(this.referidoClienteId)) {
+            throw new Error('ID del cliente referido debe ser un ObjectId válido');
+        }
+        if (this.referidorId.toString() === this.referidoClienteId.toString()) {
+            throw new Error('Un cliente no puede referirse a sí mismo');
+        }
+    }
+
+    /**
+     * Valida el estado de la referencia
+     */
+    validateEstado() {
+        if (!Referido.ESTADOS_VALIDOS.includes(this.estado)) {
+            throw new Error(`Estado debe ser uno de: ${Referido.ESTADOS_VALIDOS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida el crédito otorgado y sus redenciones
+     */
+    validateCredito() {
+        if (typeof this.montoCredito !== 'number' || this.montoCredito < 0) {
+            throw new Error('Monto de crédito debe ser un número positivo');
+        }
+        this.redenciones.forEach(redencion => {
+            if (typeof redencion.monto !== 'number' || redencion.monto <= 0) {
+                throw new Error('Cada redención debe tener un monto mayor a 0');
+            }
+        });
+        if (this.getCreditoRedimido() > this.montoCredito + 0.001) {
+            throw new Error('El crédito redimido no puede superar el crédito otorgado');
+        }
+    }
+
+    /**
+     * Verifica si el crédito de la referencia ya fue otorgado
+     * @returns {boolean} True si está acreditado
+     */
+    estaAcreditado() {
+        return this.estado === 'acreditado';
+    }
+
+    /**
+     * Otorga el crédito de la referencia
+     * @param {number} monto - Monto del crédito
+     * @param {ObjectId} contratoId - Contrato del referido que generó el crédito
+     */
+    acreditar(monto, contratoId) {
+        if (this.estaAcreditado()) {
+            throw new Error('El crédito de esta referencia ya fue otorgado');
+        }
+        if (typeof monto !== 'number' || monto <= 0) {
+            throw new Error('El monto del crédito debe ser mayor a 0');
+        }
+        this.estado = 'acreditado';
+        this.montoCredito = Math.round(monto * 100) / 100;
+        this.fechaAcreditacion = new Date();
+        this.contratoId = contratoId;
+    }
+
+    /**
+     * Obtiene el crédito ya consumido
+     * @returns {number} Total redimido
+     */
+    getCreditoRedimido() {
+        const total = this.redenciones.reduce((suma, redencion) => suma + redencion.monto, 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Obtiene el crédito disponible para consumir
+     * @returns {number} Crédito disponible
+     */
+    getCreditoDisponible() {
+        if (!this.estaAcreditado()) {
+            return 0;
+        }
+        return Math.round((this.montoCredito - this.getCreditoRedimido()) * 100) / 100;
+    }
+
+    /**
+     * Consume crédito disponible para un pago
+     * @param {number} montoMaximo - Monto máximo a consumir
+     * @param {ObjectId} pagoId - Pago en el que se aplica el crédito
+     * @returns {Object|null} Redención registrada o null si no hay crédito
+     */
+    redimir(montoMaximo, pagoId) {
+        const monto = Math.round(Math.min(this.getCreditoDisponible(), montoMaximo) * 100) / 100;
+        if (monto <= 0) {
+            return null;
+        }
+        const redencion = { pagoId, monto, fecha: new Date() };
+        this.redenciones.push(redencion);
+        return redencion;
+    }
+
+    /**
+     * Convierte la referencia a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.referidoId,
+            referidorId: this.referidorId,
+            referidoClienteId: this.referidoClienteId,
+            fechaRegistro: this.fechaRegistro,
+            estado: this.estado,
+            montoCredito: this.montoCredito,
+            fechaAcreditacion: this.fechaAcreditacion,
+            contratoId: this.contratoId,
+            redenciones: this.redenciones
+        };
+    }
+
+    /**
+     * Crea una instancia de Referido desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {Referido} Instancia de Referido
+     */
+    static fromMongoObject(mongoDoc) {
+        return new Referido({
+            referidoId: mongoDoc._id,
+            referidorId: mongoDoc.referidorId,
+            referidoClienteId: mongoDoc.referidoClienteId,
+            fechaRegistro: mongoDoc.fechaRegistro,
+            estado: mongoDoc.estado,
+            montoCredito: mongoDoc.montoCredito || 0,
+            fechaAcreditacion: mongoDoc.fechaAcreditacion || null,
+            contratoId: mongoDoc.contratoId || null,
+            redenciones: mongoDoc.redenciones || []
+        });
+    }
+
+    /**
+     * Obtiene información resumida de la referencia
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            referidoId: this.referidoId,
+            referidorId: this.referidorId,
+            referidoClienteId: this.referidoClienteId,
+            fechaRegistro: dayjs(this.fechaRegistro).format('DD/MM/YYYY'),
+            estado: this.estado,
+            montoCredito: this.montoCredito,
+            creditoRedimido: this.getCreditoRedimido(),
+            creditoDisponible: this.getCreditoDisponible(),
+            fechaAcreditacion: this.fechaAcreditacion ? dayjs(this.fechaAcreditacion).format('DD/MM/YYYY') : null
+        };
+    }
+}
+
+Referido.ESTADOS_VALIDOS = ['pendiente', 'acreditado'];
+
+module.exports = Referido;
@@ -0,0 +1,149 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase RegistroMantenimiento - Modelo para el resumen de una tarea de mantenimiento
+ * Cada ejecución de una tarea automática (por ejemplo, el vencimiento de contratos)
+ * deja un registro con todo lo que modificó, lo que omitió a propósito y los errores
+ * que encontró, para poder auditar los cambios que el sistema hizo sin intervención
+ * del usuario y hacer seguimiento de los casos omitidos.
+ */
+class RegistroMantenimiento {
+    constructor({
+        registroId = null,
+        tarea,
+        origen = 'manual',
+        transaccional = false,
+        fechaEjecucion = null,
+        cambios = [],
+        errores = [],
+        omitidos = [],
+        promovidos = [],
+        resumen = ''
+    }) {
+        this.registroId = registroId || new ObjectId();
+        this.tarea = tarea;
+        this.origen = origen;
+        this.transaccional = Boolean(transaccional);
+        this.fechaEjecucion = fechaEjecucion || new Date();
+        this.cambios = cambios || [];
+        this.errores = errores || [];
+        this.omitidos = omitidos || [];
+        this.promovidos = promovidos || [];
+        this.resumen = resumen || '';
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos del registro
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateTarea();
+        this.validateOrigen();
+        this.validateDetalle();
+    }
+
+    /**
+     * Valida la tarea ejecutada
+     */
+    validateTarea() {
+        if (!RegistroMantenimiento.TAREAS_VALIDAS.includes(this.tarea)) {
+            throw new Error(`Tarea debe ser una de: ${RegistroMantenimiento.TAREAS_VALIDAS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida el origen de la ejecución
+     */
+    validateOrigen() {
+        if (!RegistroMantenimiento.ORIGENES_VALIDOS.includes(this.origen)) {
+            throw new Error(`Origen debe ser uno de: ${RegistroMantenimiento.ORIGENES_VALIDOS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida las listas de cambios, errores, omitidos y promovidos
+     */
+    validateDetalle() {
+        if (![this.cambios, this.errores, this.omitidos, this.promovidos].every(Array.isArray)) {
+            throw new Error('Cambios, errores, omitidos y promovidos deben ser listas');
+        }
+    }
+
+    /**
+     * Verifica si la ejecución tuvo errores
+     * @returns {boolean} True si hubo errores
+     */
+    tieneErrores() {
+        return this.errores.length > 0;
+    }
+
+    /**
+     * Convierte el registro a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.registroId,
+            tarea: this.tarea,
+            origen: this.origen,
+            transaccional: this.transaccional,
+            fechaEjecucion: this.fechaEjecucion,
+            cambios: this.cambios,
+            errores: this.errores,
+            omitidos: this.omitidos,
+            promovidos: this.promovidos,
+            resumen: this.resumen
+        };
+    }
+
+    /**
+     * Crea una instancia de RegistroMantenimiento desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {RegistroMantenimiento} Instancia de RegistroMantenimiento
+     */
+    static fromMongoObject(mongoDoc) {
+        return new RegistroMantenimiento({
+            registroId: mongoDoc._id,
+            tarea: mongoDoc.tarea,
+            origen: mongoDoc.origen,
+            transaccional: mongoDoc.transaccional,
+            fechaEjecucion: mongoDoc.fechaEjecucion,
+            cambios: mongoDoc.cambios,
+            errores: mongoDoc.errores,
+            omitidos: mongoDoc.omitidos || [],
+            promovidos: mongoDoc.promovidos,
+            resumen: mongoDoc.resumen
+        });
+    }
+
+    /**
+     * Obtiene información resumida del registro
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            registroId: this.registroId,
+            tarea: this.tarea,
+            origen: this.origen,
+            transaccional: this.transaccional,
+            fechaEjecucion: dayjs(this.fechaEjecucion).format('DD/MM/YYYY HH:mm'),
+            totalCambios: this.cambios.length,
+            totalErrores: this.errores.length,
+            totalOmitidos: this.omitidos.length,
+            cambios: this.cambios,
+            errores: this.errores,
+            omitidos: this.omitidos,
+            promovidos: this.promovidos,
+            resumen: this.resumen
+        };
+    }
+}
+
+RegistroMantenimiento.TAREAS_VALIDAS = ['vencimiento_contratos', 'renovacion_contratos'];
+RegistroMantenimiento.ORIGENES_VALIDOS = ['inicio', 'manual'];
+
+module.exports = RegistroMantenimiento;
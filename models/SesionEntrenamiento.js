@@ -0,0 +1,274 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase SesionEntrenamiento - Modelo para las sesiones de entrenamiento realizadas
+ * Registra lo que el cliente hizo realmente en una sesión de su plan: ejercicios,
+ * series, repeticiones y peso, con el 1RM estimado de cada ejercicio y la marca de récord personal
+ */
+class SesionEntrenamiento {
+    constructor({
+        sesionId = null,
+        clienteId,
+        contratoId,
+        planId,
+        fecha = null,
+        registradoPor,
+        semana = null,
+        dia = '',
+        ejercicios = [],
+        notas = ''
+    }) {
+        this.sesionId = sesionId || new ObjectId();
+        this.clienteId = clienteId;
+        this.contratoId = contratoId;
+        this.planId = planId;
+        this.fecha = fecha || new Date();
+        this.registradoPor = registradoPor;
+        this.semana = semana;
+        this.dia = dia || '';
+        this.ejercicios = ejercicios;
+        this.notas = notas || '';
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos de la sesión
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validateReferencias();
+        this.validateFecha();
+        this.validateRegistradoPor();
+        this.validateUbicacionEnPlan();
+        this.validateEjercicios();
+        this.validateNotas();
+    }
+
+    /**
+     * Valida los IDs de cliente, contrato y plan
+     */
+    validateReferencias() {
+        const referencias = { cliente: this.clienteId, contrato: this.contratoId, plan: this.planId };
+        Object.entries(referencias).forEach(([nombre, id]) => {
+            if (!id) {
+                throw new Error(`ID del ${nombre} es obligatorio`);
+            }
+            if (!ObjectId.isValid(id)) {
+                throw new Error(`ID del ${nombre} debe ser un ObjectId válido`);
+            }
+        });
+    }
+
+    /**
+     * Valida la fecha de la sesión (no puede ser futura)
+     */
+    validateFecha() {
+        if (!(this.fecha instanceof Date) || isNaN(this.fecha.getTime())) {
+            throw new Error('Fecha de la sesión debe ser una fecha válida');
+        }
+        if (dayjs(this.fecha).isAfter(dayjs(), 'day')) {
+            throw new Error('No se puede registrar una sesión con fecha futura');
+        }
+    }
+
+    /**
+     * Valida quién registra la sesión
+     */
+    validateRegistradoPor() {
+        if (!SesionEntrenamiento.REGISTRADORES_VALIDOS.includes(this.registradoPor)) {
+            throw new Error(`Registrado por debe ser uno de: ${SesionEntrenamiento.REGISTRADORES_VALIDOS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Valida la semana y el día de la rutina a los que corresponde la sesión (opcionales)
+     */
+    validateUbicacionEnPlan() {
+        if (this.semana !== null && (!Number.isInteger(this.semana) || this.semana < 1)) {
+            throw new Error('Semana debe ser un entero mayor a 0');
+        }
+        if (typeof this.dia !== 'string' || this.dia.trim().length > 50) {
+            throw new Error('Día no puede exceder 50 caracteres');
+        }
+        this.dia = this.dia.trim();
+    }
+
+    /**
+     * Valida los ejercicios realizados y calcula el 1RM estimado de cada uno
+     */
+    validateEjercicios() {
+        if (!Array.isArray(this.ejercicios) || this.ejercicios.length === 0) {
+            throw new Error('La sesión debe tener al menos un ejercicio realizado');
+        }
+        if (this.ejercicios.length > SesionEntrenamiento.MAX_EJERCICIOS) {
+            throw new Error(`La sesión no puede tener más de ${SesionEntrenamiento.MAX_EJERCICIOS} ejercicios`);
+        }
+        this.ejercicios = this.ejercicios.map(ejercicio => SesionEntrenamiento.normalizarEjercicio(ejercicio));
+    }
+
+    /**
+     * Valida las notas de la sesión
+     */
+    validateNotas() {
+        if (typeof this.notas !== 'string') {
+            throw new Error('Notas deben ser texto');
+        }
+        if (this.notas.trim().length > 500) {
+            throw new Error('Notas no pueden exceder 500 caracteres');
+        }
+        this.notas = this.notas.trim();
+    }
+
+    /**
+     * Normaliza un ejercicio realizado y calcula su 1RM estimado
+     * @param {Object} ejercicio - { ejercicioId, nombre, series: [{ repeticiones, peso }], esRecord }
+     * @returns {Object} Ejercicio validado
+     */
+    static normalizarEjercicio(ejercicio) {
+        if (!ejercicio || !ObjectId.isValid(ejercicio.ejercicioId)) {
+            throw new Error('Cada ejercicio debe referenciar un ejercicio de la biblioteca');
+        }
+        if (!ejercicio.nombre || typeof ejercicio.nombre !== 'string') {
+            throw new Error('Cada ejercicio debe tener nombre');
+        }
+        if (!Array.isArray(ejercicio.series) || ejercicio.series.length === 0) {
+            throw new Error(`"${ejercicio.nombre}" debe tener al menos una serie`);
+        }
+        if (ejercicio.series.length > 20) {
+            throw new Error(`"${ejercicio.nombre}" no puede tener más de 20 series`);
+        }
+
+        const series = ejercicio.series.map((serie, index) => {
+            const repeticiones = Number(serie.repeticiones);
+            const peso = Number(serie.peso);
+            if (!Number.isInteger(repeticiones) || repeticiones < 1 || repeticiones > 100) {
+                throw new Error(`Serie ${index + 1} de "${ejercicio.nombre}": las repeticiones deben ser un entero entre 1 y 100`);
+            }
+            if (isNaN(peso) || peso < 0 || peso > 1000) {
+                throw new Error(`Serie ${index + 1} de "${ejercicio.nombre}": el peso debe estar entre 0 y 1000 kg`);
+            }
+            return { repeticiones, peso };
+        });
+
+        return {
+            ejercicioId: new ObjectId(ejercicio.ejercicioId),
+            nombre: ejercicio.nombre.trim(),
+            series,
+            unoRMEstimado: Math.max(...series.map(serie => SesionEntrenamiento.calcularUnoRM(serie.peso, serie.repeticiones))),
+            esRecord: ejercicio.esRecord === true
+        };
+    }
+
+    /**
+     * Estima el 1RM de una serie con la fórmula de Epley: peso × (1 + repeticiones / 30)
+     * @param {number} peso - Peso levantado en kg
+     * @param {number} repeticiones - Repeticiones completadas
+     * @returns {number} 1RM estimado en kg con un decimal
+     */
+    static calcularUnoRM(peso, repeticiones) {
+        if (peso <= 0) {
+            return 0;
+        }
+        const unoRM = repeticiones === 1 ? peso : peso * (1 + repeticiones / 30);
+        return Math.round(unoRM * 10) / 10;
+    }
+
+    /**
+     * Marca como récord los ejercicios que superan la mejor marca anterior del cliente
+     * @param {Object} mejoresMarcas - 1RM estimado anterior por ejercicioId
+     * @returns {Array} Récords nuevos ({ ejercicioId, nombre, unoRMEstimado, marcaAnterior })
+     */
+    marcarRecords(mejoresMarcas) {
+        const records = [];
+        this.ejercicios.forEach(ejercicio => {
+            const marcaAnterior = mejoresMarcas[ejercicio.ejercicioId.toString()];
+            // La primera vez que se registra un ejercicio no hay marca que superar
+            ejercicio.esRecord = marcaAnterior !== undefined && ejercicio.unoRMEstimado > marcaAnterior;
+            if (ejercicio.esRecord) {
+                records.push({
+                    ejercicioId: ejercicio.ejercicioId,
+                    nombre: ejercicio.nombre,
+                    unoRMEstimado: ejercicio.unoRMEstimado,
+                    marcaAnterior
+                });
+            }
+        });
+        return records;
+    }
+
+    /**
+     * Calcula el volumen total de la sesión (peso × repeticiones)
+     * @returns {number} Volumen en kg
+     */
+    getVolumenTotal() {
+        return this.ejercicios.reduce((total, ejercicio) =>
+            total + ejercicio.series.reduce((suma, serie) => suma + serie.peso * serie.repeticiones, 0), 0);
+    }
+
+    /**
+     * Convierte la sesión a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.sesionId,
+            clienteId: new ObjectId(this.clienteId),
+            contratoId: new ObjectId(this.contratoId),
+            planId: new ObjectId(this.planId),
+            fecha: this.fecha,
+            registradoPor: this.registradoPor,
+            semana: this.semana,
+            dia: this.dia,
+            ejercicios: this.ejercicios,
+            notas: this.notas
+        };
+    }
+
+    /**
+     * Crea una instancia de SesionEntrenamiento desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {SesionEntrenamiento} Instancia de SesionEntrenamiento
+     */
+    static fromMongoObject(mongoDoc) {
+        return new SesionEntrenamiento({
+            sesionId: mongoDoc._id,
+            clienteId: mongoDoc.clienteId,
+            contratoId: mongoDoc.contratoId,
+            planId: mongoDoc.planId,
+            fecha: mongoDoc.fecha,
+            registradoPor: mongoDoc.registradoPor,
+            semana: mongoDoc.semana ?? null,
+            dia: mongoDoc.dia,
+            ejercicios: mongoDoc.ejercicios || [],
+            notas: mongoDoc.notas
+        });
+    }
+
+    /**
+     * Obtiene información resumida de la sesión
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            sesionId: this.sesionId,
+            clienteId: this.clienteId,
+            planId: this.planId,
+            fecha: dayjs(this.fecha).format('DD/MM/YYYY'),
+            registradoPor: this.registradoPor,
+            semana: this.semana,
+            dia: this.dia,
+            cantidadEjercicios: this.ejercicios.length,
+            volumenTotal: this.getVolumenTotal(),
+            records: this.ejercicios.filter(ejercicio => ejercicio.esRecord).map(ejercicio => ejercicio.nombre),
+            notas: this.notas
+        };
+    }
+}
+
+SesionEntrenamiento.REGISTRADORES_VALIDOS = ['entrenador', 'socio'];
+SesionEntrenamiento.MAX_EJERCICIOS = 30;
+
+module.exports = SesionEntrenamiento;
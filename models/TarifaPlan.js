@@ -0,0 +1,206 @@
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+
+/**
+ * Clase TarifaPlan - Modelo para el catálogo de precios de un plan
+ * Cada documento es una tarifa con precios escalonados por duración (1, 3, 6 y
+ * 12 meses) y un período de vigencia. Al registrar una tarifa nueva se cierra la
+ * anterior, de modo que el historial de precios del plan queda completo.
+ */
+class TarifaPlan {
+    constructor({
+        tarifaId = null,
+        planId,
+        precios = [],
+        vigenteDesde = null,
+        vigenteHasta = null,
+        motivo = '',
+        fechaRegistro = null
+    }) {
+        this.tarifaId = tarifaId || new ObjectId();
+        this.planId = planId;
+        this.precios = precios;
+        this.vigenteDesde = vigenteDesde ? new Date(vigenteDesde) : new Date();
+        this.vigenteHasta = vigenteHasta ? new Date(vigenteHasta) : null;
+        this.motivo = motivo || '';
+        this.fechaRegistro = fechaRegistro || new Date();
+
+        // Validar datos al crear instancia
+        this.validate();
+    }
+
+    /**
+     * Valida todos los campos de la tarifa
+     * @throws {Error} Si algún campo no cumple con las validaciones
+     */
+    validate() {
+        this.validatePlanId();
+        this.validatePrecios();
+        this.validateVigencia();
+        this.validateMotivo();
+    }
+
+    /**
+     * Valida el ID del plan
+     */
+    validatePlanId() {
+        if (!this.planId || !ObjectId.isValid(this.planId)) {
+            throw new Error('ID del plan debe ser un ObjectId válido');
+        }
+    }
+
+    /**
+     * Valida los escalones de precios (deben incluir el mensual)
+     */
+    validatePrecios() {
+        if (!Array.isArray(this.precios) || this.precios.length === 0) {
+            throw new Error('La tarifa debe tener al menos un precio');
+        }
+
+        const mesesVistos = new Set();
+        this.precios = this.precios.map(escalon => {
+            const meses = parseInt(escalon.meses);
+            const precio = parseFloat(escalon.precio);
+
+            if (!TarifaPlan.MESES_ESCALONES.includes(meses)) {
+                throw new Error(`Los escalones de duración deben ser: ${TarifaPlan.MESES_ESCALONES.join(', ')} meses`);
+            }
+            if (mesesVistos.has(meses)) {
+                throw new Error(`El escalón de ${meses} meses está repetido`);
+            }
+            if (isNaN(precio) || precio <= 0) {
+                throw new Error(`El precio del escalón de ${meses} meses debe ser mayor a cero`);
+            }
+            mesesVistos.add(meses);
+            return { meses, precio: Math.round(precio * 100) / 100 };
+        }).sort((a, b) => a.meses - b.meses);
+
+        if (!mesesVistos.has(1)) {
+            throw new Error('La tarifa debe incluir el precio mensual (escalón de 1 mes)');
+        }
+    }
+
+    /**
+     * Valida el período de vigencia
+     */
+    validateVigencia() {
+        if (isNaN(this.vigenteDesde.getTime())) {
+            throw new Error('Fecha de inicio de vigencia no es válida');
+        }
+        if (this.vigenteHasta && this.vigenteHasta <= this.vigenteDesde) {
+            throw new Error('El fin de vigencia debe ser posterior al inicio');
+        }
+    }
+
+    /**
+     * Valida el motivo del cambio de precios
+     */
+    validateMotivo() {
+        if (typeof this.motivo !== 'string') {
+            throw new Error('Motivo debe ser texto');
+        }
+        if (this.motivo.trim().length > 200) {
+            throw new Error('Motivo no puede exceder 200 caracteres');
+        }
+        this.motivo = this.motivo.trim();
+    }
+
+    /**
+     * Verifica si la tarifa está vigente en una fecha
+     * @param {Date} fecha - Fecha a evaluar (por defecto, hoy)
+     * @returns {boolean} True si la fecha cae dentro de la vigencia
+     */
+    estaVigente(fecha = new Date()) {
+        const momento = new Date(fecha);
+        return this.vigenteDesde <= momento && (!this.vigenteHasta || momento < this.vigenteHasta);
+    }
+
+    /**
+     * Obtiene el precio de un escalón exacto
+     * @param {number} meses - Duración del escalón
+     * @returns {number|null} Precio del escalón o null si no existe
+     */
+    getPrecioEscalon(meses) {
+        const escalon = this.precios.find(p => p.meses === parseInt(meses));
+        return escalon ? escalon.precio : null;
+    }
+
+    /**
+     * Calcula el precio de lista para una duración de contrato.
+     * Si la duración coincide con un escalón se usa su precio; si no, se toma el
+     * escalón más largo que no la supere y se prorratea su precio mensual.
+     * @param {number} duracionMeses - Duración del contrato en meses
+     * @returns {Object} Precio, escalón aplicado y precio mensual
+     */
+    calcularPrecio(duracionMeses) {
+        const meses = parseInt(duracionMeses);
+        if (isNaN(meses) || meses < 1) {
+            throw new Error('La duración debe ser de al menos 1 mes');
+        }
+
+        const escalon = this.precios
+            .filter(p => p.meses <= meses)
+            .reduce((mayor, p) => (p.meses > mayor.meses ? p : mayor));
+        const precioMensual = Math.round((escalon.precio / escalon.meses) * 100) / 100;
+        const exacto = escalon.meses === meses;
+
+        return {
+            precio: exacto ? escalon.precio : Math.round(precioMensual * meses * 100) / 100,
+            mesesEscalon: escalon.meses,
+            exacto,
+            precioMensual
+        };
+    }
+
+    /**
+     * Convierte la tarifa a objeto plano para MongoDB
+     * @returns {Object} Objeto listo para insertar en MongoDB
+     */
+    toMongoObject() {
+        return {
+            _id: this.tarifaId,
+            planId: new ObjectId(this.planId),
+            precios: this.precios,
+            vigenteDesde: this.vigenteDesde,
+            vigenteHasta: this.vigenteHasta,
+            motivo: this.motivo,
+            fechaRegistro: this.fechaRegistro
+        };
+    }
+
+    /**
+     * Crea una instancia de TarifaPlan desde un objeto de MongoDB
+     * @param {Object} mongoDoc - Documento de MongoDB
+     * @returns {TarifaPlan} Instancia de TarifaPlan
+     */
+    static fromMongoObject(mongoDoc) {
+        return new TarifaPlan({
+            tarifaId: mongoDoc._id,
+            planId: mongoDoc.planId,
+            precios: mongoDoc.precios,
+            vigenteDesde: mongoDoc.vigenteDesde,
+            vigenteHasta: mongoDoc.vigenteHasta || null,
+            motivo: mongoDoc.motivo,
+            fechaRegistro: mongoDoc.fechaRegistro
+        });
+    }
+
+    /**
+     * Obtiene información resumida de la tarifa
+     * @returns {Object} Información resumida
+     */
+    getResumen() {
+        return {
+            tarifaId: this.tarifaId,
+            planId: this.planId,
+            precios: this.precios,
+            vigenteDesde: dayjs(this.vigenteDesde).format('DD/MM/YYYY'),
+            vigenteHasta: this.vigenteHasta ? dayjs(this.vigenteHasta).format('DD/MM/YYYY') : null,
+            motivo: this.motivo
+        };
+    }
+}
+
+TarifaPlan.MESES_ESCALONES = [1, 3, 6, 12];
+
+module.exports = TarifaPlan;
@@ -10,6 +10,16 @@ const Nutricion = require('./Nutricion');
 const Contrato = require('./Contrato');
 const Finanzas = require('./Finanzas');
 const Pago = require('./Pago');
+const Asistencia = require('./Asistencia');
+const Grupo = require('./Grupo');
+const Referido = require('./Referido');
+const Interaccion = require('./Interaccion');
+const Prospecto = require('./Prospecto');
+const Ejercicio = require('./Ejercicio');
+const SesionEntrenamiento = require('./SesionEntrenamiento');
+const ListaEspera = require('./ListaEspera');
+const TarifaPlan = require('./TarifaPlan');
+const RegistroMantenimiento = require('./RegistroMantenimiento');
 
 module.exports = {
     Cliente,
@@ -18,5 +28,15 @@ module.exports = {
     Nutricion,
     Contrato,
     Finanzas,
-    Pago
+    Pago,
+    Asistencia,
+    Grupo,
+    Referido,
+    Interaccion,
+    Prospecto,
+    Ejercicio,
+    SesionEntrenamiento,
+    ListaEspera,
+    TarifaPlan,
+    RegistroMantenimiento
 };
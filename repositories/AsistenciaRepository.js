@@ -0,0 +1,242 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo Asistencia para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Asistencia) no de implementaciones concretas
+const { Asistencia } = require('../models'); // Modelo de dominio Asistencia
+
+/**
+ * Repositorio para gestión de asistencias (entradas y salidas del gimnasio)
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de asistencias
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de asistencias
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, Asistencia)
+ *
+ * NOTA: Este repositorio NO maneja transacciones ya que cada registro es independiente
+ * BUENA PRÁCTICA: Repositorio centralizado para operaciones de asistencias
+ */
+class AsistenciaRepository {
+    /**
+     * Constructor del repositorio de asistencias
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de asistencias
+        this.collection = db.collection('asistencias');
+        this.db = db;
+    }
+
+    /**
+     * Registra una nueva asistencia (entrada)
+     * @param {Asistencia} asistencia - Instancia de Asistencia a crear
+     * @returns {Promise<ObjectId>} ID de la asistencia creada
+     * @throws {Error} Si la validación falla o el cliente ya tiene una entrada abierta
+     *
+     * PATRÓN: Guard Clause - Evita entradas duplicadas sin salida
+     * PRINCIPIO SOLID S: Responsabilidad Única - Solo se encarga de crear asistencias
+     */
+    async create(asistencia) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(asistencia instanceof Asistencia)) {
+                throw new Error('El parámetro debe ser una instancia de Asistencia');
+            }
+
+            // ===== VERIFICACIÓN DE ENTRADA ABIERTA =====
+            // PATRÓN: Guard Clause - Un cliente no puede entrar dos veces sin registrar salida
+            const abierta = await this.collection.findOne({
+                clienteId: asistencia.clienteId,
+                fechaSalida: null
+            });
+            if (abierta) {
+                throw new Error('El cliente ya tiene una entrada registrada sin salida');
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(asistencia.toMongoObject());
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al registrar asistencia: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene una asistencia por su ID
+     * @param {string|ObjectId} id - ID de la asistencia
+     * @returns {Promise<Asistencia|null>} Asistencia encontrada o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID de la asistencia no es válido');
+            }
+
+            const asistenciaDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return asistenciaDoc ? Asistencia.fromMongoObject(asistenciaDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener asistencia: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene todas las asistencias con filtro opcional
+     * @param {Object} filter - Filtro de búsqueda
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Asistencia[]>} Array de asistencias
+     *
+     * PATRÓN: Builder - Construye consulta paso a paso
+     * PATRÓN: Query Object - Proporciona filtros y opciones de búsqueda
+     */
+    async getAll(filter = {}, options = {}) {
+        try {
+            const { limit = 0, skip = 0, sort = { fechaEntrada: -1 } } = options;
+
+            // ===== CONSTRUCCIÓN DE CONSULTA =====
+            let query = this.collection.find(filter);
+
+            if (sort) {
+                query = query.sort(sort);
+            }
+
+            if (skip > 0) {
+                query = query.skip(skip);
+            }
+
+            if (limit > 0) {
+                query = query.limit(limit);
+            }
+
+            // ===== CONVERSIÓN A MODELOS DE DOMINIO =====
+            const asistenciasDocs = await query.toArray();
+            return asistenciasDocs.map(doc => Asistencia.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener asistencias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el historial de asistencias de un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Asistencia[]>} Asistencias del cliente, más recientes primero
+     */
+    async getByClient(clienteId, options = {}) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            return await this.getAll({ clienteId: new ObjectId(clienteId) }, options);
+        } catch (error) {
+            throw new Error(`Error al obtener asistencias del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la entrada abierta (sin salida) de un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<Asistencia|null>} Asistencia abierta o null
+     */
+    async getOpenByClient(clienteId) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const asistenciaDoc = await this.collection.findOne({
+                clienteId: new ObjectId(clienteId),
+                fechaSalida: null
+            });
+            return asistenciaDoc ? Asistencia.fromMongoObject(asistenciaDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener entrada abierta del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las asistencias registradas en un rango de fechas de entrada
+     * @param {Date} fechaInicio - Fecha inicial (inclusive)
+     * @param {Date} fechaFin - Fecha final (exclusive)
+     * @returns {Promise<Asistencia[]>} Asistencias del rango en orden cronológico
+     */
+    async getByDateRange(fechaInicio, fechaFin) {
+        try {
+            if (!(fechaInicio instanceof Date) || !(fechaFin instanceof Date)) {
+                throw new Error('Las fechas deben ser objetos Date');
+            }
+            if (fechaInicio > fechaFin) {
+                throw new Error('La fecha de inicio no puede ser posterior a la fecha de fin');
+            }
+
+            return await this.getAll(
+                { fechaEntrada: { $gte: fechaInicio, $lt: fechaFin } },
+                { sort: { fechaEntrada: 1 } }
+            );
+        } catch (error) {
+            throw new Error(`Error al obtener asistencias por rango de fechas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la última asistencia de un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<Asistencia|null>} Última asistencia o null
+     */
+    async getLastByClient(clienteId) {
+        try {
+            const asistencias = await this.getByClient(clienteId, { limit: 1 });
+            return asistencias.length > 0 ? asistencias[0] : null;
+        } catch (error) {
+            throw new Error(`Error al obtener última asistencia: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra la salida de una asistencia abierta
+     * @param {string|ObjectId} id - ID de la asistencia
+     * @param {Date} fechaSalida - Fecha y hora de salida
+     * @returns {Promise<boolean>} True si se actualizó correctamente
+     */
+    async registrarSalida(id, fechaSalida = new Date()) {
+        try {
+            const asistencia = await this.getById(id);
+            if (!asistencia) {
+                throw new Error('Asistencia no encontrada');
+            }
+
+            // PATRÓN: Domain Model - La validación de la salida la realiza el modelo
+            asistencia.registrarSalida(fechaSalida);
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id), fechaSalida: null },
+                { $set: { fechaSalida: asistencia.fechaSalida } }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al registrar salida: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cuenta las asistencias que coinciden con el filtro
+     * @param {Object} filter - Filtro de búsqueda
+     * @returns {Promise<number>} Número de asistencias
+     */
+    async countAsistencias(filter = {}) {
+        try {
+            return await this.collection.countDocuments(filter);
+        } catch (error) {
+            throw new Error(`Error al contar asistencias: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = AsistenciaRepository;
@@ -7,6 +7,9 @@ const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones c
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Cliente) no de implementaciones concretas
 const { Cliente } = require('../models'); // Modelo de dominio Cliente
+// Importación de utilidades de borrado lógico (papelera)
+// PATRÓN: Soft Delete - Los clientes eliminados se conservan en la papelera
+const { excluirEliminados, marcarComoEliminado, restaurarEliminados, obtenerEliminados, purgarEliminados } = require('./SoftDelete');
 
 /**
  * Repositorio para gestión de clientes
@@ -85,7 +88,8 @@ class ClienteRepository {
             // PATRÓN: Guard Clause - Validación temprana para evitar duplicados
             // PATRÓN: Validation Pattern - Valida unicidad de email
             // PRINCIPIO SOLID S: Responsabilidad de verificar unicidad
-            const clienteExistente = await this.collection.findOne({ email: clienteDoc.email });
+            // NOTA: Un cliente en la papelera no bloquea la reutilización de su email
+            const clienteExistente = await this.collection.findOne(excluirEliminados({ email: clienteDoc.email }));
             if (clienteExistente) {
                 throw new Error('Ya existe un cliente con este email');
             }
@@ -94,7 +98,8 @@ class ClienteRepository {
             // PATRÓN: Repository - Abstrae la operación de inserción
             // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
             // PRINCIPIO SOLID S: Responsabilidad de insertar en base de datos
-            const result = await this.collection.insertOne(clienteDoc);
+            // `eliminado: false` explícito: el índice único de email solo abarca clientes fuera de la papelera
+            const result = await this.collection.insertOne({ ...clienteDoc, eliminado: false });
             return result.insertedId;
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
@@ -192,7 +197,7 @@ class ClienteRepository {
             // PATRÓN: Repository - Abstrae la operación de búsqueda
             // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
             // PRINCIPIO SOLID S: Responsabilidad de buscar en base de datos
-            const clienteDoc = await this.collection.findOne({ email: email.toLowerCase().trim() });
+            const clienteDoc = await this.collection.findOne(excluirEliminados({ email: email.toLowerCase().trim() }));
             
             // ===== VERIFICACIÓN DE EXISTENCIA =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -214,6 +219,40 @@ class ClienteRepository {
         }
     }
 
+    /**
+     * Obtiene un cliente por su teléfono
+     * @param {string} telefono - Teléfono del cliente (se aceptan espacios, guiones y paréntesis)
+     * @returns {Promise<Cliente|null>} Cliente encontrado o null
+     *
+     * PATRÓN: Guard Clause - Validación temprana del teléfono
+     * PATRÓN: Mapper - Mapea entre formato de base de datos y modelo de dominio
+     * PRINCIPIO SOLID S: Responsabilidad Única - Solo se encarga de buscar por teléfono
+     *
+     * NOTA: El modelo Cliente guarda el teléfono normalizado (solo dígitos)
+     */
+    async getByTelefono(telefono) {
+        try {
+            // ===== VALIDACIÓN DE TELÉFONO =====
+            // PATRÓN: Guard Clause - Validación temprana para evitar errores
+            if (!telefono || typeof telefono !== 'string') {
+                throw new Error('Teléfono debe ser una string válida');
+            }
+
+            // ===== NORMALIZACIÓN =====
+            // PRINCIPIO SOLID S: Misma limpieza que aplica Cliente.validateTelefono
+            const telefonoLimpio = telefono.replace(/[\s\-\(\)]/g, '');
+
+            // ===== BÚSQUEDA EN BASE DE DATOS =====
+            const clienteDoc = await this.collection.findOne(excluirEliminados({ telefono: telefonoLimpio }));
+
+            // ===== CONVERSIÓN A MODELO DE DOMINIO =====
+            return clienteDoc ? Cliente.fromMongoObject(clienteDoc) : null;
+        } catch (error) {
+            // ===== MANEJO DE ERRORES =====
+            throw new Error(`Error al obtener cliente por teléfono: ${error.message}`);
+        }
+    }
+
     /**
      * Cuenta el número de clientes que coinciden con el filtro
      * @param {Object} filter - Filtro de búsqueda
@@ -237,7 +276,7 @@ class ClienteRepository {
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de contar en base de datos
-            return await this.collection.countDocuments(filter);
+            return await this.collection.countDocuments(excluirEliminados(filter));
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Handling - Manejo centralizado de errores
@@ -249,7 +288,7 @@ class ClienteRepository {
     /**
      * Obtiene todos los clientes con filtro opcional
      * @param {Object} filter - Filtro de búsqueda
-     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @param {Object} options - Opciones de consulta (limit, skip, sort, incluirEliminados)
      * @returns {Promise<Cliente[]>} Array de clientes
      * 
      * PATRÓN: Template Method - Define el flujo estándar de obtención de todos los clientes
@@ -271,13 +310,14 @@ class ClienteRepository {
             // ===== DESESTRUCTURACIÓN DE OPCIONES =====
             // PATRÓN: Strategy - Estrategia de opciones de consulta
             // PRINCIPIO SOLID S: Responsabilidad de configurar opciones
-            const { limit = 0, skip = 0, sort = { fechaRegistro: -1 } } = options;
+            const { limit = 0, skip = 0, incluirEliminados = false, sort = { fechaRegistro: -1 } } = options;
             
             // ===== CONSTRUCCIÓN DE CONSULTA =====
             // PATRÓN: Builder - Construye consulta paso a paso
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de construir consulta
-            let query = this.collection.find(filter);
+            // PATRÓN: Soft Delete - Los documentos en la papelera se excluyen por defecto
+            let query = this.collection.find(excluirEliminados(filter, incluirEliminados));
             
             // ===== APLICACIÓN DE ORDENAMIENTO =====
             // PATRÓN: Strategy - Estrategia de ordenamiento
@@ -381,8 +421,10 @@ class ClienteRepository {
     }
 
     /**
-     * Elimina un cliente por su ID
+     * Elimina un cliente por su ID (borrado lógico: se envía a la papelera)
      * @param {string|ObjectId} id - ID del cliente a eliminar
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo, origen })
+     * @param {Object} options - Opciones del driver (session)
      * @returns {Promise<boolean>} True si se eliminó correctamente
      * @throws {Error} Si el ID no es válido o hay dependencias
      * 
@@ -396,10 +438,10 @@ class ClienteRepository {
      * PRINCIPIO SOLID I: Segregación de Interfaces - Método específico para eliminación
      * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (collection)
      * 
-     * NOTA: No hay transacciones ya que es una operación simple de eliminación
+     * NOTA: Acepta la sesión de la transacción de ClienteService.eliminarCliente
      * BUENA PRÁCTICA: Validación de dependencias antes de eliminación
      */
-    async delete(id) {
+    async delete(id, datosEliminacion = {}, options = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -425,19 +467,20 @@ class ClienteRepository {
             const contratosCollection = this.db.collection('contratos');
             const contratosActivos = await contratosCollection.countDocuments({
                 clienteId: new ObjectId(id),
-                estado: 'vigente'
-            });
+                // Un contrato congelado sigue activo: se reanuda y vuelve a vigente
+                estado: { $in: ['vigente', 'suspendido'] }
+            }, options);
 
             if (contratosActivos > 0) {
                 throw new Error('No se puede eliminar un cliente con contratos activos');
             }
 
-            // ===== ELIMINACIÓN EN BASE DE DATOS =====
+            // ===== ENVÍO A LA PAPELERA =====
+            // PATRÓN: Soft Delete - Marca el documento como eliminado con datos de auditoría
             // PATRÓN: Repository - Abstrae la operación de eliminación
             // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
             // PRINCIPIO SOLID S: Responsabilidad de eliminar en base de datos
-            const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
-            return result.deletedCount > 0;
+            return await marcarComoEliminado(this.collection, id, datosEliminacion, options);
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Handling - Manejo centralizado de errores
@@ -446,6 +489,47 @@ class ClienteRepository {
         }
     }
 
+    /**
+     * Restaura clientes de la papelera
+     * @param {Object} filter - Filtro de documentos a restaurar (por ejemplo { _id })
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos restaurados
+     */
+    async restore(filter, options = {}) {
+        try {
+            return await restaurarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al restaurar clientes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene clientes que están en la papelera
+     * @param {Object} filter - Filtro adicional
+     * @returns {Promise<Object[]>} Documentos eliminados con sus datos de auditoría
+     */
+    async getDeleted(filter = {}) {
+        try {
+            return await obtenerEliminados(this.collection, filter);
+        } catch (error) {
+            throw new Error(`Error al obtener clientes eliminados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina definitivamente clientes que ya están en la papelera
+     * @param {Object} filter - Filtro de documentos a purgar
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos purgados
+     */
+    async purge(filter, options = {}) {
+        try {
+            return await purgarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al purgar clientes: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene todos los clientes activos
      * @returns {Promise<Cliente[]>} Array de clientes activos
@@ -636,27 +720,28 @@ class ClienteRepository {
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de contar clientes totales
-            const totalClientes = await this.collection.countDocuments();
+            const totalClientes = await this.collection.countDocuments(excluirEliminados());
             
             // ===== CONTEO DE CLIENTES ACTIVOS =====
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtro de clientes activos
             // PRINCIPIO SOLID S: Responsabilidad de contar clientes activos
-            const clientesActivos = await this.collection.countDocuments({ activo: true });
+            const clientesActivos = await this.collection.countDocuments(excluirEliminados({ activo: true }));
             
             // ===== CONTEO DE CLIENTES CON PLANES =====
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtro de clientes con planes
             // PRINCIPIO SOLID S: Responsabilidad de contar clientes con planes
-            const clientesConPlanes = await this.collection.countDocuments({ 
+            const clientesConPlanes = await this.collection.countDocuments(excluirEliminados({ 
                 planes: { $exists: true, $ne: [] } 
-            });
+            }));
 
             // ===== PIPELINE DE AGREGACIÓN =====
             // PATRÓN: Aggregator - Agrega datos de múltiples fuentes
             // PATRÓN: Query Object - Proporciona pipeline de agregación
             // PRINCIPIO SOLID S: Responsabilidad de crear pipeline de agregación
             const pipeline = [
+                { $match: excluirEliminados() },
                 {
                     $group: {
                         _id: {
@@ -699,6 +784,7 @@ class ClienteRepository {
      * Agrega un plan a un cliente
      * @param {string|ObjectId} clienteId - ID del cliente
      * @param {string|ObjectId} planId - ID del plan
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se agregó correctamente
      * 
      * PATRÓN: Template Method - Define el flujo estándar de agregación de plan
@@ -714,7 +800,7 @@ class ClienteRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de IDs antes de operación
      */
-    async addPlanToClient(clienteId, planId) {
+    async addPlanToClient(clienteId, planId, options = {}) {
         try {
             // ===== VALIDACIÓN DE IDs =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -730,7 +816,8 @@ class ClienteRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(clienteId) },
-                { $addToSet: { planes: new ObjectId(planId) } }
+                { $addToSet: { planes: new ObjectId(planId) } },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
@@ -749,6 +836,7 @@ class ClienteRepository {
      * Remueve un plan de un cliente
      * @param {string|ObjectId} clienteId - ID del cliente
      * @param {string|ObjectId} planId - ID del plan
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se removió correctamente
      * 
      * PATRÓN: Template Method - Define el flujo estándar de remoción de plan
@@ -764,7 +852,7 @@ class ClienteRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de IDs antes de operación
      */
-    async removePlanFromClient(clienteId, planId) {
+    async removePlanFromClient(clienteId, planId, options = {}) {
         try {
             // ===== VALIDACIÓN DE IDs =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -780,7 +868,8 @@ class ClienteRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(clienteId) },
-                { $pull: { planes: new ObjectId(planId) } }
+                { $pull: { planes: new ObjectId(planId) } },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
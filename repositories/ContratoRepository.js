@@ -82,7 +82,8 @@ class ContratoRepository {
             const contratoExistente = await this.collection.findOne({
                 clienteId: contrato.clienteId,
                 planId: contrato.planId,
-                estado: 'vigente'
+                // Un contrato congelado sigue ocupando el lugar del cliente en el plan
+                estado: { $in: ['vigente', 'suspendido'] }
             });
 
             if (contratoExistente) {
@@ -229,18 +230,7 @@ class ContratoRepository {
                 // PATRÓN: Factory - Crea instancia de Contrato sin validaciones
                 // PATRÓN: Data Transfer Object (DTO) - Convierte a modelo de dominio
                 // PRINCIPIO SOLID S: Responsabilidad de crear instancia sin validaciones
-                return new Contrato({
-                    contratoId: doc._id,
-                    clienteId: doc.clienteId,
-                    planId: doc.planId,
-                    condiciones: doc.condiciones,
-                    duracionMeses: doc.duracionMeses,
-                    precio: doc.precio,
-                    fechaInicio: doc.fechaInicio,
-                    fechaFin: doc.fechaFin,
-                    estado: doc.estado,
-                    skipValidation: true
-                });
+                return Contrato.fromMongoObject(doc);
             });
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
@@ -297,18 +287,7 @@ class ContratoRepository {
                 // PATRÓN: Factory - Crea instancia de Contrato sin validaciones
                 // PATRÓN: Data Transfer Object (DTO) - Convierte a modelo de dominio
                 // PRINCIPIO SOLID S: Responsabilidad de crear instancia sin validaciones
-                return new Contrato({
-                    contratoId: doc._id,
-                    clienteId: doc.clienteId,
-                    planId: doc.planId,
-                    condiciones: doc.condiciones,
-                    duracionMeses: doc.duracionMeses,
-                    precio: doc.precio,
-                    fechaInicio: doc.fechaInicio,
-                    fechaFin: doc.fechaFin,
-                    estado: doc.estado,
-                    skipValidation: true
-                });
+                return Contrato.fromMongoObject(doc);
             });
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
@@ -322,6 +301,7 @@ class ContratoRepository {
      * Actualiza un contrato existente
      * @param {string|ObjectId} id - ID del contrato a actualizar
      * @param {Object} updatedData - Datos actualizados
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se actualizó correctamente
      * @throws {Error} Si el ID no es válido o hay error en la actualización
      * 
@@ -338,7 +318,7 @@ class ContratoRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de ID antes de actualización
      */
-    async update(id, updatedData) {
+    async update(id, updatedData, options = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -354,7 +334,8 @@ class ContratoRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(id) },
-                { $set: updatedData }
+                { $set: updatedData },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
@@ -466,6 +447,29 @@ class ContratoRepository {
         }
     }
 
+    /**
+     * Obtiene los contratos vigentes o congelados de un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<Contrato[]>} Contratos que todavía vinculan al cliente con su plan
+     *
+     * NOTA: Un contrato congelado se puede reanudar, por eso cuenta al desasociar o cerrar un plan;
+     * getActiveContractsByClient sigue devolviendo solo los vigentes (asistencia y sesiones)
+     */
+    async getActiveOrFrozenContractsByClient(clienteId) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            return await this.getAll({
+                clienteId: new ObjectId(clienteId),
+                estado: { $in: ['vigente', 'suspendido'] }
+            });
+        } catch (error) {
+            throw new Error(`Error al obtener contratos vigentes o congelados del cliente: ${error.message}`);
+        }
+    }
+
     /**
      * Cancela un contrato y maneja rollback si aplica
      * @param {string|ObjectId} id - ID del contrato a cancelar
@@ -687,6 +691,32 @@ class ContratoRepository {
         }
     }
 
+    /**
+     * Obtiene los contratos que la renovación automática debe revisar
+     * @param {Date} fechaLimite - Fin de la ventana de anticipación
+     * @returns {Promise<Contrato[]>} Contratos vigentes vencidos y, con renovación automática,
+     * los vigentes o congelados que terminan antes de la fecha límite
+     *
+     * NOTA: Los contratos sin renovación automática solo se revisan al vencer, para informarlos una vez;
+     * los congelados se incluyen para informar que no se renuevan mientras no se reanuden
+     */
+    async getContractsToRenew(fechaLimite) {
+        try {
+            return await this.getAll({
+                $or: [
+                    { estado: 'vigente', fechaFin: { $lt: new Date() } },
+                    {
+                        estado: { $in: ['vigente', 'suspendido'] },
+                        renovacionAutomatica: true,
+                        fechaFin: { $lt: fechaLimite }
+                    }
+                ]
+            });
+        } catch (error) {
+            throw new Error(`Error al obtener contratos a renovar: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene contratos por estado
      * @param {string} estado - Estado del contrato
@@ -720,9 +750,8 @@ class ContratoRepository {
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
             // PATRÓN: Validation Pattern - Valida que el estado sea uno de los permitidos
             // PRINCIPIO SOLID S: Responsabilidad de validar estados válidos
-            const estadosValidos = ['vigente', 'cancelado', 'finalizado'];
-            if (!estadosValidos.includes(estado.toLowerCase())) {
-                throw new Error(`Estado debe ser uno de: ${estadosValidos.join(', ')}`);
+            if (!Contrato.ESTADOS_VALIDOS.includes(estado.toLowerCase())) {
+                throw new Error(`Estado debe ser uno de: ${Contrato.ESTADOS_VALIDOS.join(', ')}`);
             }
 
             // ===== DELEGACIÓN A MÉTODO GENERAL =====
@@ -1004,6 +1033,7 @@ class ContratoRepository {
     /**
      * Finaliza un contrato
      * @param {string|ObjectId} id - ID del contrato
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se finalizó correctamente
      * 
      * PATRÓN: Template Method - Define el flujo estándar de finalización
@@ -1016,10 +1046,10 @@ class ContratoRepository {
      * PRINCIPIO SOLID I: Segregación de Interfaces - Método específico para finalización
      * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (collection)
      * 
-     * NOTA: No hay transacciones ya que es una operación simple de actualización
+     * NOTA: Acepta una sesión para participar en la transacción del proceso de vencimientos
      * BUENA PRÁCTICA: Validación de estado antes de finalización
      */
-    async finalizeContract(id) {
+    async finalizeContract(id, options = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -1041,7 +1071,9 @@ class ContratoRepository {
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
             // PATRÓN: Validation Pattern - Valida estado del contrato
             // PRINCIPIO SOLID S: Responsabilidad de verificar estado
-            if (!contrato.estaVigente()) {
+            // NOTA: Se valida el estado y no las fechas, porque los contratos a finalizar
+            // son justamente los que siguen en "vigente" con la fecha de fin ya pasada
+            if (contrato.estado !== 'vigente') {
                 throw new Error('Solo se pueden finalizar contratos vigentes');
             }
 
@@ -1051,7 +1083,8 @@ class ContratoRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar estado
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(id) },
-                { $set: { estado: 'finalizado' } }
+                { $set: { estado: 'finalizado', fechaFinalizacion: new Date() } },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
@@ -1112,6 +1145,58 @@ class ContratoRepository {
         }
     }
 
+    /**
+     * Obtiene los contratos vigentes o congelados de un plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<Contrato[]>} Contratos activos del plan
+     *
+     * NOTA: Un contrato congelado conserva la versión del plan que el cliente pagó
+     */
+    async getActiveContractsByPlan(planId) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            return await this.getAll({
+                planId: new ObjectId(planId),
+                estado: { $in: ['vigente', 'suspendido'] }
+            });
+        } catch (error) {
+            throw new Error(`Error al obtener contratos vigentes del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pasa los contratos vigentes o congelados de un plan a una versión del plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} version - Versión destino
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<number>} Cantidad de contratos actualizados
+     *
+     * NOTA: Los contratos sin versión (anteriores al versionado) siguen la versión 1
+     */
+    async updatePlanVersion(planId, version, options = {}) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const result = await this.collection.updateMany(
+                {
+                    planId: new ObjectId(planId),
+                    estado: { $in: ['vigente', 'suspendido'] },
+                    $or: [{ versionPlan: { $lt: version } }, { versionPlan: null }]
+                },
+                { $set: { versionPlan: version } },
+                options
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            throw new Error(`Error al actualizar versión del plan en contratos: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene contratos con filtros opcionales
      * @param {Object} filtros - Filtros de búsqueda
@@ -0,0 +1,228 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo Ejercicio para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Ejercicio) no de implementaciones concretas
+const { Ejercicio } = require('../models'); // Modelo de dominio Ejercicio
+
+/**
+ * Repositorio para la biblioteca de ejercicios
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de ejercicios
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de ejercicios
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, Ejercicio)
+ *
+ * NOTA: Las operaciones de escritura aceptan una sesión opcional para participar en transacciones del servicio
+ */
+class EjercicioRepository {
+    /**
+     * Constructor del repositorio de ejercicios
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de ejercicios
+        this.collection = db.collection('ejercicios');
+        this.db = db;
+    }
+
+    /**
+     * Crea un nuevo ejercicio en el catálogo
+     * @param {Ejercicio} ejercicio - Instancia de Ejercicio a crear
+     * @returns {Promise<ObjectId>} ID del ejercicio creado
+     * @throws {Error} Si ya existe un ejercicio con el mismo nombre
+     *
+     * PATRÓN: Guard Clause - Verifica unicidad de nombre
+     */
+    async create(ejercicio) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(ejercicio instanceof Ejercicio)) {
+                throw new Error('El parámetro debe ser una instancia de Ejercicio');
+            }
+
+            // ===== VERIFICACIÓN DE UNICIDAD DE NOMBRE =====
+            const existente = await this.getByNombre(ejercicio.nombre);
+            if (existente) {
+                throw new Error(`Ya existe un ejercicio con el nombre "${existente.nombre}"`);
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(ejercicio.toMongoObject());
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al crear ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un ejercicio por su ID
+     * @param {string|ObjectId} id - ID del ejercicio
+     * @returns {Promise<Ejercicio|null>} Ejercicio encontrado o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del ejercicio no es válido');
+            }
+
+            const ejercicioDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return ejercicioDoc ? Ejercicio.fromMongoObject(ejercicioDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un ejercicio por su nombre (sin distinguir mayúsculas)
+     * @param {string} nombre - Nombre del ejercicio
+     * @returns {Promise<Ejercicio|null>} Ejercicio encontrado o null
+     */
+    async getByNombre(nombre) {
+        try {
+            const nombreEscapado = nombre.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const ejercicioDoc = await this.collection.findOne({
+                nombre: { $regex: `^${nombreEscapado}$`, $options: 'i' }
+            });
+            return ejercicioDoc ? Ejercicio.fromMongoObject(ejercicioDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener ejercicio por nombre: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene todos los ejercicios con filtro opcional
+     * @param {Object} filter - Filtro de búsqueda
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Ejercicio[]>} Array de ejercicios
+     *
+     * PATRÓN: Builder - Construye consulta paso a paso
+     */
+    async getAll(filter = {}, options = {}) {
+        try {
+            const { limit = 0, skip = 0, sort = { nombre: 1 } } = options;
+
+            // ===== CONSTRUCCIÓN DE CONSULTA =====
+            let query = this.collection.find(filter);
+
+            if (sort) {
+                query = query.sort(sort);
+            }
+
+            if (skip > 0) {
+                query = query.skip(skip);
+            }
+
+            if (limit > 0) {
+                query = query.limit(limit);
+            }
+
+            // ===== CONVERSIÓN A MODELOS DE DOMINIO =====
+            const ejerciciosDocs = await query.toArray();
+            return ejerciciosDocs.map(doc => Ejercicio.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener ejercicios: ${error.message}`);
+        }
+    }
+
+    /**
+     * Busca ejercicios por nombre, grupo muscular o equipamiento
+     * @param {string} termino - Texto a buscar
+     * @returns {Promise<Ejercicio[]>} Ejercicios que coinciden
+     */
+    async search(termino) {
+        try {
+            const terminoEscapado = termino.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const regex = { $regex: terminoEscapado, $options: 'i' };
+            return await this.getAll({
+                $or: [
+                    { nombre: regex },
+                    { gruposMusculares: regex },
+                    { equipamiento: regex }
+                ]
+            });
+        } catch (error) {
+            throw new Error(`Error al buscar ejercicios: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el equipamiento registrado en el catálogo
+     * @returns {Promise<string[]>} Equipos ordenados alfabéticamente
+     */
+    async getEquipamiento() {
+        try {
+            const equipos = await this.collection.distinct('equipamiento');
+            return equipos.sort((a, b) => a.localeCompare(b));
+        } catch (error) {
+            throw new Error(`Error al obtener equipamiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza un ejercicio existente
+     * @param {string|ObjectId} id - ID del ejercicio
+     * @param {Object} updatedData - Campos a actualizar
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si se actualizó correctamente
+     */
+    async update(id, updatedData, options = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del ejercicio no es válido');
+            }
+
+            // El ID no puede modificarse
+            const { _id, ejercicioId, ...datos } = updatedData;
+
+            if (datos.nombre) {
+                const existente = await this.getByNombre(datos.nombre);
+                if (existente && !existente.ejercicioId.equals(new ObjectId(id))) {
+                    throw new Error(`Ya existe otro ejercicio con el nombre "${existente.nombre}"`);
+                }
+            }
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id) },
+                { $set: datos },
+                options
+            );
+
+            if (result.matchedCount === 0) {
+                throw new Error('Ejercicio no encontrado');
+            }
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al actualizar ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina un ejercicio del catálogo
+     * @param {string|ObjectId} id - ID del ejercicio
+     * @returns {Promise<boolean>} True si se eliminó correctamente
+     *
+     * NOTA: El servicio verifica antes que ningún plan use el ejercicio
+     */
+    async delete(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del ejercicio no es válido');
+            }
+
+            const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
+            return result.deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al eliminar ejercicio: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = EjercicioRepository;
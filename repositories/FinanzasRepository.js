@@ -15,10 +15,11 @@ class FinanzasRepository {
     /**
      * Crea un nuevo movimiento financiero
      * @param {Finanzas} movimiento - Instancia de Finanzas a crear
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<ObjectId>} ID del movimiento financiero creado
      * @throws {Error} Si la validación falla o hay error en la inserción
      */
-    async create(movimiento) {
+    async create(movimiento, options = {}) {
         try {
             // Validar que sea una instancia de Finanzas
             if (!(movimiento instanceof Finanzas)) {
@@ -29,7 +30,7 @@ class FinanzasRepository {
             const movimientoDoc = movimiento.toMongoObject();
             
             // Insertar en la base de datos
-            const result = await this.collection.insertOne(movimientoDoc);
+            const result = await this.collection.insertOne(movimientoDoc, options);
             return result.insertedId;
         } catch (error) {
             throw new Error(`Error al crear movimiento financiero: ${error.message}`);
@@ -0,0 +1,221 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo Grupo para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Grupo) no de implementaciones concretas
+const { Grupo } = require('../models'); // Modelo de dominio Grupo
+
+/**
+ * Repositorio para gestión de grupos (membresías familiares y convenios corporativos)
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de grupos
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de grupos
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, Grupo)
+ *
+ * NOTA: Las operaciones aceptan una sesión opcional para participar en transacciones del servicio
+ */
+class GrupoRepository {
+    /**
+     * Constructor del repositorio de grupos
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de grupos
+        this.collection = db.collection('grupos');
+        this.db = db;
+    }
+
+    /**
+     * Crea un nuevo grupo
+     * @param {Grupo} grupo - Instancia de Grupo a crear
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId>} ID del grupo creado
+     * @throws {Error} Si el nombre ya existe o algún miembro pertenece a otro grupo
+     *
+     * PATRÓN: Guard Clause - Verifica unicidad de nombre y de pertenencia
+     */
+    async create(grupo, options = {}) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(grupo instanceof Grupo)) {
+                throw new Error('El parámetro debe ser una instancia de Grupo');
+            }
+
+            // ===== VERIFICACIÓN DE UNICIDAD DE NOMBRE =====
+            const existente = await this.getByNombre(grupo.nombre);
+            if (existente) {
+                throw new Error(`Ya existe un grupo con el nombre "${grupo.nombre}"`);
+            }
+
+            // ===== VERIFICACIÓN DE PERTENENCIA ÚNICA =====
+            // PATRÓN: Guard Clause - Un cliente solo puede pertenecer a un grupo
+            const conflicto = await this.collection.findOne(
+                { miembros: { $in: grupo.miembros } },
+                options
+            );
+            if (conflicto) {
+                throw new Error(`Uno de los clientes ya pertenece al grupo "${conflicto.nombre}"`);
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(grupo.toMongoObject(), options);
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al crear grupo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un grupo por su ID
+     * @param {string|ObjectId} id - ID del grupo
+     * @returns {Promise<Grupo|null>} Grupo encontrado o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del grupo no es válido');
+            }
+
+            const grupoDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return grupoDoc ? Grupo.fromMongoObject(grupoDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener grupo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un grupo por su nombre (sin distinguir mayúsculas)
+     * @param {string} nombre - Nombre del grupo
+     * @returns {Promise<Grupo|null>} Grupo encontrado o null
+     */
+    async getByNombre(nombre) {
+        try {
+            const nombreEscapado = nombre.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const grupoDoc = await this.collection.findOne({
+                nombre: { $regex: `^${nombreEscapado}$`, $options: 'i' }
+            });
+            return grupoDoc ? Grupo.fromMongoObject(grupoDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener grupo por nombre: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene todos los grupos con filtro opcional
+     * @param {Object} filter - Filtro de búsqueda
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Grupo[]>} Array de grupos
+     *
+     * PATRÓN: Builder - Construye consulta paso a paso
+     */
+    async getAll(filter = {}, options = {}) {
+        try {
+            const { limit = 0, skip = 0, sort = { nombre: 1 } } = options;
+
+            // ===== CONSTRUCCIÓN DE CONSULTA =====
+            let query = this.collection.find(filter);
+
+            if (sort) {
+                query = query.sort(sort);
+            }
+
+            if (skip > 0) {
+                query = query.skip(skip);
+            }
+
+            if (limit > 0) {
+                query = query.limit(limit);
+            }
+
+            // ===== CONVERSIÓN A MODELOS DE DOMINIO =====
+            const gruposDocs = await query.toArray();
+            return gruposDocs.map(doc => Grupo.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener grupos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el grupo al que pertenece un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<Grupo|null>} Grupo del cliente o null
+     */
+    async getByMiembro(clienteId, options = {}) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const grupoDoc = await this.collection.findOne(
+                { miembros: new ObjectId(clienteId) },
+                options
+            );
+            return grupoDoc ? Grupo.fromMongoObject(grupoDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener grupo del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza un grupo existente
+     * @param {string|ObjectId} id - ID del grupo
+     * @param {Object} updatedData - Campos a actualizar
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si se actualizó correctamente
+     */
+    async update(id, updatedData, options = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del grupo no es válido');
+            }
+
+            // El ID no puede modificarse
+            const { _id, grupoId, ...datos } = updatedData;
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id) },
+                { $set: datos },
+                options
+            );
+
+            if (result.matchedCount === 0) {
+                throw new Error('Grupo no encontrado');
+            }
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al actualizar grupo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina un grupo
+     * @param {string|ObjectId} id - ID del grupo
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si se eliminó correctamente
+     *
+     * NOTA: Los contratos conservan el detalle de facturación de grupo con el que se crearon
+     */
+    async delete(id, options = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del grupo no es válido');
+            }
+
+            const result = await this.collection.deleteOne({ _id: new ObjectId(id) }, options);
+            return result.deletedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al eliminar grupo: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = GrupoRepository;
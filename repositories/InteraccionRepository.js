@@ -0,0 +1,172 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo Interaccion para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Interaccion) no de implementaciones concretas
+const { Interaccion } = require('../models'); // Modelo de dominio Interaccion
+
+/**
+ * Repositorio para gestión de interacciones con clientes (notas de CRM)
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de interacciones
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de interacciones
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, Interaccion)
+ */
+class InteraccionRepository {
+    /**
+     * Constructor del repositorio de interacciones
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de interacciones
+        this.collection = db.collection('interacciones');
+        this.db = db;
+    }
+
+    /**
+     * Registra una nueva interacción
+     * @param {Interaccion} interaccion - Instancia de Interaccion a crear
+     * @returns {Promise<ObjectId>} ID de la interacción creada
+     */
+    async create(interaccion) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(interaccion instanceof Interaccion)) {
+                throw new Error('El parámetro debe ser una instancia de Interaccion');
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(interaccion.toMongoObject());
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al crear interacción: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene una interacción por su ID
+     * @param {string|ObjectId} id - ID de la interacción
+     * @returns {Promise<Interaccion|null>} Interacción encontrada o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID de la interacción no es válido');
+            }
+
+            const interaccionDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return interaccionDoc ? Interaccion.fromMongoObject(interaccionDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener interacción: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene todas las interacciones con filtro opcional
+     * @param {Object} filter - Filtro de búsqueda
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Interaccion[]>} Array de interacciones
+     */
+    async getAll(filter = {}, options = {}) {
+        try {
+            const { limit = 0, skip = 0, sort = { fecha: -1 } } = options;
+
+            // ===== CONSTRUCCIÓN DE CONSULTA =====
+            let query = this.collection.find(filter);
+
+            if (sort) {
+                query = query.sort(sort);
+            }
+
+            if (skip > 0) {
+                query = query.skip(skip);
+            }
+
+            if (limit > 0) {
+                query = query.limit(limit);
+            }
+
+            // ===== CONVERSIÓN A MODELOS DE DOMINIO =====
+            const interaccionesDocs = await query.toArray();
+            return interaccionesDocs.map(doc => Interaccion.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener interacciones: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el historial de interacciones de un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Interaccion[]>} Interacciones del cliente, más recientes primero
+     */
+    async getByClient(clienteId, options = {}) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            return await this.getAll({ clienteId: new ObjectId(clienteId) }, options);
+        } catch (error) {
+            throw new Error(`Error al obtener interacciones del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las interacciones con seguimiento pendiente hasta una fecha
+     * @param {Date} fechaLimite - Incluye los seguimientos programados hasta esta fecha
+     * @returns {Promise<Interaccion[]>} Interacciones ordenadas por fecha de seguimiento
+     */
+    async getSeguimientosPendientes(fechaLimite) {
+        try {
+            return await this.getAll(
+                {
+                    fechaSeguimiento: { $ne: null, $lte: fechaLimite },
+                    seguimientoCompletado: { $ne: true }
+                },
+                { sort: { fechaSeguimiento: 1 } }
+            );
+        } catch (error) {
+            throw new Error(`Error al obtener seguimientos pendientes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza una interacción existente
+     * @param {string|ObjectId} id - ID de la interacción
+     * @param {Object} updatedData - Campos a actualizar
+     * @returns {Promise<boolean>} True si se actualizó correctamente
+     */
+    async update(id, updatedData) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID de la interacción no es válido');
+            }
+
+            // El ID y el cliente no pueden modificarse
+            const { _id, interaccionId, clienteId, ...datos } = updatedData;
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id) },
+                { $set: datos }
+            );
+
+            if (result.matchedCount === 0) {
+                throw new Error('Interacción no encontrada');
+            }
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al actualizar interacción: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = InteraccionRepository;
@@ -0,0 +1,233 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo ListaEspera para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ListaEspera) no de implementaciones concretas
+const { ListaEspera } = require('../models'); // Modelo de dominio ListaEspera
+
+/**
+ * Repositorio para la lista de espera de los planes con cupo
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de la lista de espera
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de la lista de espera
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, ListaEspera)
+ *
+ * NOTA: Las operaciones de escritura aceptan una sesión opcional para participar en transacciones del servicio
+ */
+class ListaEsperaRepository {
+    /**
+     * Constructor del repositorio de la lista de espera
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de la lista de espera
+        this.collection = db.collection('lista_espera');
+        this.db = db;
+    }
+
+    /**
+     * Registra un turno en la lista de espera
+     * @param {ListaEspera} espera - Instancia de ListaEspera a crear
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId>} ID del turno creado
+     */
+    async create(espera, options = {}) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(espera instanceof ListaEspera)) {
+                throw new Error('El parámetro debe ser una instancia de ListaEspera');
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(espera.toMongoObject(), options);
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al registrar turno en lista de espera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un turno por su ID
+     * @param {string|ObjectId} id - ID del turno
+     * @returns {Promise<ListaEspera|null>} Turno encontrado o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del turno no es válido');
+            }
+
+            const esperaDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return esperaDoc ? ListaEspera.fromMongoObject(esperaDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener turno de lista de espera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el turno abierto (esperando o promovido) de un cliente en un plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<ListaEspera|null>} Turno abierto o null
+     */
+    async getOpenEntry(planId, clienteId) {
+        try {
+            if (!ObjectId.isValid(planId) || !ObjectId.isValid(clienteId)) {
+                throw new Error('IDs de plan y cliente deben ser ObjectIds válidos');
+            }
+
+            const esperaDoc = await this.collection.findOne({
+                planId: new ObjectId(planId),
+                clienteId: new ObjectId(clienteId),
+                estado: { $in: ListaEspera.ESTADOS_ABIERTOS }
+            });
+            return esperaDoc ? ListaEspera.fromMongoObject(esperaDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener turno del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene los turnos de un plan en orden de llegada
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {Array<string>} estados - Estados a incluir (por defecto, los abiertos)
+     * @returns {Promise<ListaEspera[]>} Turnos del plan
+     */
+    async getByPlan(planId, estados = ListaEspera.ESTADOS_ABIERTOS) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const esperaDocs = await this.collection
+                .find({ planId: new ObjectId(planId), estado: { $in: estados } })
+                .sort({ fechaSolicitud: 1 })
+                .toArray();
+            return esperaDocs.map(doc => ListaEspera.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener lista de espera del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el siguiente cliente en espera de un plan (el más antiguo)
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<ListaEspera|null>} Turno siguiente o null si no hay nadie esperando
+     */
+    async getNextWaiting(planId) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const esperaDoc = await this.collection.findOne(
+                { planId: new ObjectId(planId), estado: 'esperando' },
+                { sort: { fechaSolicitud: 1 } }
+            );
+            return esperaDoc ? ListaEspera.fromMongoObject(esperaDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener siguiente cliente en espera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cuenta los cupos reservados de un plan (clientes promovidos sin resolver)
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string|ObjectId|null} excluirClienteId - Cliente cuya reserva no se cuenta
+     * @returns {Promise<number>} Cantidad de cupos reservados
+     */
+    async countPromoted(planId, excluirClienteId = null) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const filtro = { planId: new ObjectId(planId), estado: 'promovido' };
+            if (excluirClienteId) {
+                filtro.clienteId = { $ne: new ObjectId(excluirClienteId) };
+            }
+            return await this.collection.countDocuments(filtro);
+        } catch (error) {
+            throw new Error(`Error al contar cupos reservados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene los clientes promovidos pendientes de aviso, del más antiguo al más reciente
+     * @returns {Promise<ListaEspera[]>} Turnos promovidos
+     */
+    async getPromoted() {
+        try {
+            const esperaDocs = await this.collection
+                .find({ estado: 'promovido' })
+                .sort({ fechaPromocion: 1 })
+                .toArray();
+            return esperaDocs.map(doc => ListaEspera.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener clientes promovidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza un turno
+     * @param {string|ObjectId} id - ID del turno
+     * @param {Object} updatedData - Campos a actualizar
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si se actualizó
+     */
+    async update(id, updatedData, options = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del turno no es válido');
+            }
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id) },
+                { $set: updatedData },
+                options
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al actualizar turno de lista de espera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cierra el turno abierto de un cliente en un plan (por ejemplo, al inscribirlo)
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {string} estado - Estado final del turno
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si el cliente tenía un turno abierto
+     */
+    async closeOpenEntry(planId, clienteId, estado, options = {}) {
+        try {
+            if (!ObjectId.isValid(planId) || !ObjectId.isValid(clienteId)) {
+                throw new Error('IDs de plan y cliente deben ser ObjectIds válidos');
+            }
+
+            const result = await this.collection.updateOne(
+                {
+                    planId: new ObjectId(planId),
+                    clienteId: new ObjectId(clienteId),
+                    estado: { $in: ListaEspera.ESTADOS_ABIERTOS }
+                },
+                { $set: { estado, fechaResolucion: new Date() } },
+                options
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al cerrar turno de lista de espera: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = ListaEsperaRepository;
@@ -0,0 +1,101 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo RegistroMantenimiento para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (RegistroMantenimiento) no de implementaciones concretas
+const { RegistroMantenimiento } = require('../models'); // Modelo de dominio RegistroMantenimiento
+
+/**
+ * Repositorio para los registros de las tareas de mantenimiento
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de los registros de mantenimiento
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de los registros
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, RegistroMantenimiento)
+ *
+ * NOTA: Las operaciones de escritura aceptan una sesión opcional para participar en transacciones del servicio
+ */
+class MantenimientoRepository {
+    /**
+     * Constructor del repositorio de mantenimiento
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de mantenimientos
+        this.collection = db.collection('mantenimientos');
+        this.db = db;
+    }
+
+    /**
+     * Registra la ejecución de una tarea
+     * @param {RegistroMantenimiento} registro - Instancia de RegistroMantenimiento a crear
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId>} ID del registro creado
+     */
+    async create(registro, options = {}) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(registro instanceof RegistroMantenimiento)) {
+                throw new Error('El parámetro debe ser una instancia de RegistroMantenimiento');
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(registro.toMongoObject(), options);
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al guardar registro de mantenimiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza un registro
+     * @param {string|ObjectId} id - ID del registro
+     * @param {Object} updatedData - Campos a actualizar
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si se actualizó
+     */
+    async update(id, updatedData, options = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del registro no es válido');
+            }
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id) },
+                { $set: updatedData },
+                options
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al actualizar registro de mantenimiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las ejecuciones más recientes de una tarea
+     * @param {string} tarea - Tarea de mantenimiento
+     * @param {number} limite - Cantidad máxima de registros
+     * @returns {Promise<RegistroMantenimiento[]>} Registros de la más reciente a la más antigua
+     */
+    async getRecientes(tarea, limite = 10) {
+        try {
+            const registroDocs = await this.collection
+                .find({ tarea })
+                .sort({ fechaEjecucion: -1 })
+                .limit(limite)
+                .toArray();
+            return registroDocs.map(doc => RegistroMantenimiento.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener registros de mantenimiento: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = MantenimientoRepository;
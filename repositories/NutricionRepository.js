@@ -7,6 +7,9 @@ const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones c
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Nutricion) no de implementaciones concretas
 const { Nutricion } = require('../models'); // Modelo de dominio Nutricion
+// Importación de utilidades de borrado lógico (papelera)
+// PATRÓN: Soft Delete - Los planes nutricionales eliminados se conservan en la papelera
+const { excluirEliminados, marcarComoEliminado, restaurarEliminados, obtenerEliminados, purgarEliminados } = require('./SoftDelete');
 
 /**
  * Repositorio Nutrición - Maneja operaciones CRUD para planes nutricionales
@@ -191,6 +194,7 @@ class NutricionRepository {
      * Actualiza un plan nutricional
      * @param {string} id - ID del plan
      * @param {Object} datos - Datos a actualizar
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se actualizó
      * 
      * PATRÓN: Template Method - Define el flujo estándar de actualización
@@ -206,7 +210,7 @@ class NutricionRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de datos antes de actualización
      */
-    async update(id, datos) {
+    async update(id, datos, options = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -231,7 +235,8 @@ class NutricionRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(id) },
-                { $set: updateData }
+                { $set: updateData },
+                options
             );
             
             // ===== RETORNO DE RESULTADO =====
@@ -247,7 +252,7 @@ class NutricionRepository {
     }
 
     /**
-     * Elimina un plan nutricional
+     * Elimina un plan nutricional (borrado lógico: se envía a la papelera)
      * @param {string} id - ID del plan
      * @returns {Promise<boolean>} True si se eliminó
      * 
@@ -261,10 +266,10 @@ class NutricionRepository {
      * PRINCIPIO SOLID I: Segregación de Interfaces - Método específico para eliminación
      * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (collection)
      * 
-     * NOTA: No hay transacciones ya que es una operación simple de eliminación
+     * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de ID antes de eliminación
      */
-    async delete(id) {
+    async delete(id, datosEliminacion = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -274,16 +279,12 @@ class NutricionRepository {
                 throw new Error('ID del plan nutricional no es válido');
             }
             
-            // ===== ELIMINACIÓN EN BASE DE DATOS =====
+            // ===== ENVÍO A LA PAPELERA =====
+            // PATRÓN: Soft Delete - Marca el documento como eliminado con datos de auditoría
             // PATRÓN: Repository - Abstrae la operación de eliminación
             // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
             // PRINCIPIO SOLID S: Responsabilidad de eliminar en base de datos
-            const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
-            
-            // ===== RETORNO DE RESULTADO =====
-            // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
-            // PRINCIPIO SOLID S: Responsabilidad de retornar resultado
-            return result.deletedCount > 0;
+            return await marcarComoEliminado(this.collection, id, datosEliminacion);
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Handling - Manejo centralizado de errores
@@ -292,6 +293,47 @@ class NutricionRepository {
         }
     }
 
+    /**
+     * Restaura planes nutricionales de la papelera
+     * @param {Object} filter - Filtro de documentos a restaurar (por ejemplo { _id })
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos restaurados
+     */
+    async restore(filter, options = {}) {
+        try {
+            return await restaurarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al restaurar planes nutricionales: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene planes nutricionales que están en la papelera
+     * @param {Object} filter - Filtro adicional
+     * @returns {Promise<Object[]>} Documentos eliminados con sus datos de auditoría
+     */
+    async getDeleted(filter = {}) {
+        try {
+            return await obtenerEliminados(this.collection, filter);
+        } catch (error) {
+            throw new Error(`Error al obtener planes nutricionales eliminados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina definitivamente planes nutricionales que ya están en la papelera
+     * @param {Object} filter - Filtro de documentos a purgar
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos purgados
+     */
+    async purge(filter, options = {}) {
+        try {
+            return await purgarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al purgar planes nutricionales: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene planes nutricionales por cliente
      * @param {string} clienteId - ID del cliente
@@ -326,7 +368,7 @@ class NutricionRepository {
             // PATRÓN: Query Object - Proporciona filtro de cliente
             // PATRÓN: Strategy - Estrategia de ordenamiento
             // PRINCIPIO SOLID S: Responsabilidad de buscar en base de datos
-            const cursor = this.collection.find({ clienteId: new ObjectId(clienteId) })
+            const cursor = this.collection.find(excluirEliminados({ clienteId: new ObjectId(clienteId) }))
                 .sort({ fechaCreacion: -1 });
             
             // ===== OBTENCIÓN DE RESULTADOS =====
@@ -350,6 +392,7 @@ class NutricionRepository {
     /**
      * Obtiene planes nutricionales por contrato
      * @param {string} contratoId - ID del contrato
+     * @param {Object} options - Opciones del driver (session)
      * @returns {Promise<Array>} Lista de planes del contrato
      * 
      * PATRÓN: Template Method - Define el flujo estándar de obtención por contrato
@@ -363,10 +406,10 @@ class NutricionRepository {
      * PRINCIPIO SOLID I: Segregación de Interfaces - Método específico para obtener por contrato
      * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Nutricion)
      * 
-     * NOTA: No hay transacciones ya que es una operación simple de lectura
+     * NOTA: Acepta la sesión para leer dentro de la transacción del llamador
      * BUENA PRÁCTICA: Validación de ID antes de operación
      */
-    async getByContract(contratoId) {
+    async getByContract(contratoId, options = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -381,7 +424,7 @@ class NutricionRepository {
             // PATRÓN: Query Object - Proporciona filtro de contrato
             // PATRÓN: Strategy - Estrategia de ordenamiento
             // PRINCIPIO SOLID S: Responsabilidad de buscar en base de datos
-            const cursor = this.collection.find({ contratoId: new ObjectId(contratoId) })
+            const cursor = this.collection.find(excluirEliminados({ contratoId: new ObjectId(contratoId) }), options)
                 .sort({ fechaCreacion: -1 });
             
             // ===== OBTENCIÓN DE RESULTADOS =====
@@ -437,7 +480,7 @@ class NutricionRepository {
             // PATRÓN: Query Object - Proporciona filtro de estado
             // PATRÓN: Strategy - Estrategia de ordenamiento
             // PRINCIPIO SOLID S: Responsabilidad de buscar en base de datos
-            const cursor = this.collection.find({ estado: estado })
+            const cursor = this.collection.find(excluirEliminados({ estado: estado }))
                 .sort({ fechaCreacion: -1 });
             
             // ===== OBTENCIÓN DE RESULTADOS =====
@@ -501,7 +544,7 @@ class NutricionRepository {
             // PATRÓN: Query Object - Proporciona filtro de tipo
             // PATRÓN: Strategy - Estrategia de ordenamiento
             // PRINCIPIO SOLID S: Responsabilidad de buscar en base de datos
-            const cursor = this.collection.find({ tipoPlan: tipoPlan })
+            const cursor = this.collection.find(excluirEliminados({ tipoPlan: tipoPlan }))
                 .sort({ fechaCreacion: -1 });
             
             // ===== OBTENCIÓN DE RESULTADOS =====
@@ -555,10 +598,10 @@ class NutricionRepository {
             // PATRÓN: Repository - Abstrae la operación de búsqueda
             // PATRÓN: Query Object - Proporciona filtro de cliente y estado
             // PRINCIPIO SOLID S: Responsabilidad de buscar en base de datos
-            const mongoObj = await this.collection.findOne({
+            const mongoObj = await this.collection.findOne(excluirEliminados({
                 clienteId: new ObjectId(clienteId),
                 estado: 'activo'
-            });
+            }));
             
             // ===== CONVERSIÓN A MODELO DE DOMINIO =====
             // PATRÓN: Mapper - Mapea entre formato de base de datos y modelo de dominio
@@ -607,7 +650,7 @@ class NutricionRepository {
             // PATRÓN: Strategy - Estrategia de búsqueda por ID
             // PRINCIPIO SOLID S: Responsabilidad de buscar por ID
             if (ObjectId.isValid(termino)) {
-                const mongoObj = await this.collection.findOne({ _id: new ObjectId(termino) });
+                const mongoObj = await this.collection.findOne(excluirEliminados({ _id: new ObjectId(termino) }));
                 if (mongoObj) {
                     return [Nutricion.fromMongoObject(mongoObj)];
                 }
@@ -629,7 +672,7 @@ class NutricionRepository {
             // PATRÓN: Repository - Abstrae la operación de búsqueda
             // PATRÓN: Strategy - Estrategia de ordenamiento
             // PRINCIPIO SOLID S: Responsabilidad de ejecutar consulta
-            const cursor = this.collection.find(query).sort({ fechaCreacion: -1 });
+            const cursor = this.collection.find(excluirEliminados(query)).sort({ fechaCreacion: -1 });
             
             // ===== OBTENCIÓN DE RESULTADOS =====
             // PATRÓN: Repository - Abstrae la operación de consulta
@@ -672,11 +715,11 @@ class NutricionRepository {
             // PATRÓN: Aggregator - Agrega datos de diferentes fuentes
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de obtener estadísticas
-            const total = await this.collection.countDocuments();
-            const activos = await this.collection.countDocuments({ estado: 'activo' });
-            const pausados = await this.collection.countDocuments({ estado: 'pausado' });
-            const finalizados = await this.collection.countDocuments({ estado: 'finalizado' });
-            const cancelados = await this.collection.countDocuments({ estado: 'cancelado' });
+            const total = await this.collection.countDocuments(excluirEliminados());
+            const activos = await this.collection.countDocuments(excluirEliminados({ estado: 'activo' }));
+            const pausados = await this.collection.countDocuments(excluirEliminados({ estado: 'pausado' }));
+            const finalizados = await this.collection.countDocuments(excluirEliminados({ estado: 'finalizado' }));
+            const cancelados = await this.collection.countDocuments(excluirEliminados({ estado: 'cancelado' }));
             
             // ===== CONSTRUCCIÓN DE RESULTADO =====
             // PATRÓN: Data Transfer Object (DTO) - Proporciona resultado estructurado
@@ -772,6 +815,12 @@ class NutricionRepository {
             }
         }
         
+        // ===== EXCLUSIÓN DE PAPELERA =====
+        // PATRÓN: Soft Delete - Los planes en la papelera solo se incluyen si se solicita
+        if (!filtros.incluirEliminados) {
+            query.eliminado = { $ne: true };
+        }
+        
         // ===== RETORNO DE CONSULTA =====
         // PATRÓN: Data Transfer Object (DTO) - Retorna consulta estructurada
         // PRINCIPIO SOLID S: Responsabilidad de retornar consulta
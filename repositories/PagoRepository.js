@@ -7,6 +7,9 @@ const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones c
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Pago) no de implementaciones concretas
 const { Pago } = require('../models'); // Modelo de dominio Pago
+// Importación de utilidades de borrado lógico (papelera)
+// PATRÓN: Soft Delete - Los pagos eliminados se conservan en la papelera
+const { excluirEliminados, marcarComoEliminado, restaurarEliminados, obtenerEliminados, purgarEliminados } = require('./SoftDelete');
 
 /**
  * Repositorio para gestión de pagos
@@ -49,6 +52,7 @@ class PagoRepository {
     /**
      * Crea un nuevo pago
      * @param {Pago} pago - Instancia de Pago a crear
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<ObjectId>} ID del pago creado
      * @throws {Error} Si la validación falla o hay error en la inserción
      * 
@@ -65,7 +69,7 @@ class PagoRepository {
      * NOTA: No hay transacciones ya que es una operación simple de inserción
      * BUENA PRÁCTICA: Validación de datos antes de inserción
      */
-    async create(pago) {
+    async create(pago, options = {}) {
         try {
             // ===== VALIDACIÓN DE INSTANCIA =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -85,7 +89,7 @@ class PagoRepository {
             // PATRÓN: Repository - Abstrae la operación de inserción
             // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
             // PRINCIPIO SOLID S: Responsabilidad de insertar en base de datos
-            const result = await this.collection.insertOne(pagoDoc);
+            const result = await this.collection.insertOne(pagoDoc, options);
             
             // ===== RETORNO DE ID =====
             // PATRÓN: Data Transfer Object (DTO) - Retorna ID del pago creado
@@ -157,7 +161,7 @@ class PagoRepository {
     /**
      * Obtiene todos los pagos con filtro opcional
      * @param {Object} filter - Filtro de búsqueda
-     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @param {Object} options - Opciones de consulta (limit, skip, sort, incluirEliminados)
      * @returns {Promise<Pago[]>} Array de pagos
      * 
      * PATRÓN: Template Method - Define el flujo estándar de obtención de todos los pagos
@@ -179,13 +183,14 @@ class PagoRepository {
             // ===== DESTRUCTURACIÓN DE OPCIONES =====
             // PATRÓN: Configuration Object - Proporciona configuración estructurada
             // PRINCIPIO SOLID S: Responsabilidad de configurar opciones
-            const { limit = 0, skip = 0, sort = { fechaPago: -1 } } = options;
+            const { limit = 0, skip = 0, incluirEliminados = false, sort = { fechaPago: -1 } } = options;
             
             // ===== CONSTRUCCIÓN DE CONSULTA =====
             // PATRÓN: Builder - Construye consulta paso a paso
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de construir consulta
-            let query = this.collection.find(filter);
+            // PATRÓN: Soft Delete - Los documentos en la papelera se excluyen por defecto
+            let query = this.collection.find(excluirEliminados(filter, incluirEliminados));
             
             // ===== APLICACIÓN DE ORDENAMIENTO =====
             // PATRÓN: Builder - Agrega ordenamiento a la consulta
@@ -228,6 +233,7 @@ class PagoRepository {
      * Actualiza un pago existente
      * @param {string|ObjectId} id - ID del pago a actualizar
      * @param {Object} updatedData - Datos actualizados
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se actualizó correctamente
      * @throws {Error} Si el ID no es válido o hay error en la actualización
      * 
@@ -244,7 +250,7 @@ class PagoRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de ID antes de actualización
      */
-    async update(id, updatedData) {
+    async update(id, updatedData, options = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -260,7 +266,8 @@ class PagoRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(id) },
-                { $set: updatedData }
+                { $set: updatedData },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
@@ -276,8 +283,9 @@ class PagoRepository {
     }
 
     /**
-     * Elimina un pago por su ID
+     * Elimina un pago por su ID (borrado lógico: se envía a la papelera)
      * @param {string|ObjectId} id - ID del pago a eliminar
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo, origen })
      * @returns {Promise<boolean>} True si se eliminó correctamente
      * @throws {Error} Si el ID no es válido
      * 
@@ -291,10 +299,10 @@ class PagoRepository {
      * PRINCIPIO SOLID I: Segregación de Interfaces - Método específico para eliminación
      * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (collection)
      * 
-     * NOTA: No hay transacciones ya que es una operación simple de eliminación
+     * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de ID antes de eliminación
      */
-    async delete(id) {
+    async delete(id, datosEliminacion = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -304,16 +312,12 @@ class PagoRepository {
                 throw new Error('ID del pago no es válido');
             }
 
-            // ===== ELIMINACIÓN EN BASE DE DATOS =====
+            // ===== ENVÍO A LA PAPELERA =====
+            // PATRÓN: Soft Delete - Marca el documento como eliminado con datos de auditoría
             // PATRÓN: Repository - Abstrae la operación de eliminación
             // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
             // PRINCIPIO SOLID S: Responsabilidad de eliminar en base de datos
-            const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
-            
-            // ===== RETORNO DE RESULTADO =====
-            // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
-            // PRINCIPIO SOLID S: Responsabilidad de retornar resultado
-            return result.deletedCount > 0;
+            return await marcarComoEliminado(this.collection, id, datosEliminacion);
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Handling - Manejo centralizado de errores
@@ -322,6 +326,47 @@ class PagoRepository {
         }
     }
 
+    /**
+     * Restaura pagos de la papelera
+     * @param {Object} filter - Filtro de documentos a restaurar (por ejemplo { _id })
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos restaurados
+     */
+    async restore(filter, options = {}) {
+        try {
+            return await restaurarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al restaurar pagos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene pagos que están en la papelera
+     * @param {Object} filter - Filtro adicional
+     * @returns {Promise<Object[]>} Documentos eliminados con sus datos de auditoría
+     */
+    async getDeleted(filter = {}) {
+        try {
+            return await obtenerEliminados(this.collection, filter);
+        } catch (error) {
+            throw new Error(`Error al obtener pagos eliminados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina definitivamente pagos que ya están en la papelera
+     * @param {Object} filter - Filtro de documentos a purgar
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos purgados
+     */
+    async purge(filter, options = {}) {
+        try {
+            return await purgarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al purgar pagos: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene pagos por cliente
      * @param {string|ObjectId} clienteId - ID del cliente
@@ -692,7 +737,7 @@ class PagoRepository {
             // PATRÓN: Strategy - Estrategia de agregación
             // PRINCIPIO SOLID S: Responsabilidad de construir pipeline
             const pipeline = [
-                { $match: filter },
+                { $match: excluirEliminados(filter) },
                 {
                     $group: {
                         _id: null,
@@ -931,7 +976,7 @@ class PagoRepository {
             // PATRÓN: Strategy - Estrategia de agregación
             // PRINCIPIO SOLID S: Responsabilidad de construir pipeline
             const pipeline = [
-                { $match: filter },
+                { $match: excluirEliminados(filter) },
                 {
                     $group: {
                         _id: null,
@@ -1294,6 +1339,7 @@ class PagoRepository {
             // PATRÓN: Strategy - Estrategia de agregación
             // PRINCIPIO SOLID S: Responsabilidad de construir pipeline
             const pipeline = [
+                { $match: excluirEliminados() },
                 {
                     $group: {
                         _id: null,
@@ -1499,6 +1545,7 @@ class PagoRepository {
      * Marca un pago como cancelado
      * @param {string|ObjectId} id - ID del pago
      * @param {string} motivo - Motivo de la cancelación
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se actualizó correctamente
      * 
      * PATRÓN: Template Method - Define el flujo estándar de marcado como cancelado
@@ -1516,7 +1563,7 @@ class PagoRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de motivo antes de operación
      */
-    async marcarComoCancelado(id, motivo) {
+    async marcarComoCancelado(id, motivo, options = {}) {
         try {
             // ===== VALIDACIÓN DE MOTIVO =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -1539,7 +1586,7 @@ class PagoRepository {
             // PATRÓN: Facade - Delega a método update para reutilización
             // PATRÓN: Template Method - Reutiliza flujo estándar
             // PRINCIPIO SOLID S: Responsabilidad de delegar a método update
-            return await this.update(id, updateData);
+            return await this.update(id, updateData, options);
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Handling - Manejo centralizado de errores
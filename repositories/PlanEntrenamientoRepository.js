@@ -7,6 +7,9 @@ const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones c
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (PlanEntrenamiento) no de implementaciones concretas
 const { PlanEntrenamiento } = require('../models'); // Modelo de dominio PlanEntrenamiento
+// Importación de utilidades de borrado lógico (papelera)
+// PATRÓN: Soft Delete - Los planes eliminados se conservan en la papelera
+const { excluirEliminados, marcarComoEliminado, restaurarEliminados, obtenerEliminados, purgarEliminados } = require('./SoftDelete');
 
 /**
  * Repositorio para gestión de planes de entrenamiento
@@ -41,6 +44,8 @@ class PlanEntrenamientoRepository {
         // PATRÓN: Repository - Abstrae el acceso a la colección de planes
         // PRINCIPIO SOLID S: Responsabilidad de acceder a la colección de planes
         this.collection = db.collection('planes');
+        // Contenido de cada versión del plan, para los contratos que siguen una versión anterior
+        this.versionesCollection = db.collection('planes_versiones');
         // PATRÓN: Dependency Injection - Inyecta dependencia de base de datos
         // PRINCIPIO SOLID S: Responsabilidad de mantener referencia a la base de datos
         this.db = db;
@@ -87,7 +92,9 @@ class PlanEntrenamientoRepository {
             // PRINCIPIO SOLID S: Responsabilidad de verificar unicidad
             const planExistente = await this.collection.findOne({ nombre: planDoc.nombre });
             if (planExistente) {
-                throw new Error('Ya existe un plan con este nombre');
+                throw new Error(planExistente.eliminado
+                    ? 'Ya existe un plan con este nombre en la papelera. Restáurelo desde Configuración > Papelera'
+                    : 'Ya existe un plan con este nombre');
             }
 
             // ===== INSERCIÓN EN BASE DE DATOS =====
@@ -162,7 +169,7 @@ class PlanEntrenamientoRepository {
     /**
      * Obtiene todos los planes con filtro opcional
      * @param {Object} filter - Filtro de búsqueda
-     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @param {Object} options - Opciones de consulta (limit, skip, sort, incluirEliminados)
      * @returns {Promise<PlanEntrenamiento[]>} Array de planes
      * 
      * PATRÓN: Template Method - Define el flujo estándar de obtención de todos los planes
@@ -184,13 +191,14 @@ class PlanEntrenamientoRepository {
             // ===== DESESTRUCTURACIÓN DE OPCIONES =====
             // PATRÓN: Strategy - Estrategia de opciones de consulta
             // PRINCIPIO SOLID S: Responsabilidad de configurar opciones
-            const { limit = 0, skip = 0, sort = { fechaCreacion: -1 } } = options;
+            const { limit = 0, skip = 0, incluirEliminados = false, sort = { fechaCreacion: -1 } } = options;
             
             // ===== CONSTRUCCIÓN DE CONSULTA =====
             // PATRÓN: Builder - Construye consulta paso a paso
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de construir consulta
-            let query = this.collection.find(filter);
+            // PATRÓN: Soft Delete - Los documentos en la papelera se excluyen por defecto
+            let query = this.collection.find(excluirEliminados(filter, incluirEliminados));
             
             // ===== APLICACIÓN DE ORDENAMIENTO =====
             // PATRÓN: Strategy - Estrategia de ordenamiento
@@ -248,7 +256,7 @@ class PlanEntrenamientoRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de datos antes de actualización
      */
-    async update(id, updatedData) {
+    async update(id, updatedData, options = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -278,7 +286,8 @@ class PlanEntrenamientoRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(id) },
-                { $set: updatedData }
+                { $set: updatedData },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
@@ -294,8 +303,9 @@ class PlanEntrenamientoRepository {
     }
 
     /**
-     * Elimina un plan por su ID
+     * Elimina un plan por su ID (borrado lógico: se envía a la papelera)
      * @param {string|ObjectId} id - ID del plan a eliminar
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo, origen })
      * @returns {Promise<boolean>} True si se eliminó correctamente
      * @throws {Error} Si el ID no es válido o hay dependencias
      * 
@@ -309,10 +319,10 @@ class PlanEntrenamientoRepository {
      * PRINCIPIO SOLID I: Segregación de Interfaces - Método específico para eliminación
      * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (collection)
      * 
-     * NOTA: No hay transacciones ya que es una operación simple de eliminación
+     * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de dependencias antes de eliminación
      */
-    async delete(id) {
+    async delete(id, datosEliminacion = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -345,12 +355,12 @@ class PlanEntrenamientoRepository {
                 throw new Error('No se puede eliminar un plan con contratos activos');
             }
 
-            // ===== ELIMINACIÓN EN BASE DE DATOS =====
+            // ===== ENVÍO A LA PAPELERA =====
+            // PATRÓN: Soft Delete - Marca el documento como eliminado con datos de auditoría
             // PATRÓN: Repository - Abstrae la operación de eliminación
             // PATRÓN: Data Transfer Object (DTO) - Retorna resultado estructurado
             // PRINCIPIO SOLID S: Responsabilidad de eliminar en base de datos
-            const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
-            return result.deletedCount > 0;
+            return await marcarComoEliminado(this.collection, id, datosEliminacion);
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Handling - Manejo centralizado de errores
@@ -359,6 +369,47 @@ class PlanEntrenamientoRepository {
         }
     }
 
+    /**
+     * Restaura planes de la papelera
+     * @param {Object} filter - Filtro de documentos a restaurar (por ejemplo { _id })
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos restaurados
+     */
+    async restore(filter, options = {}) {
+        try {
+            return await restaurarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al restaurar planes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene planes que están en la papelera
+     * @param {Object} filter - Filtro adicional
+     * @returns {Promise<Object[]>} Documentos eliminados con sus datos de auditoría
+     */
+    async getDeleted(filter = {}) {
+        try {
+            return await obtenerEliminados(this.collection, filter);
+        } catch (error) {
+            throw new Error(`Error al obtener planes eliminados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina definitivamente planes que ya están en la papelera
+     * @param {Object} filter - Filtro de documentos a purgar
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos purgados
+     */
+    async purge(filter, options = {}) {
+        try {
+            return await purgarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al purgar planes: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene planes por nivel
      * @param {string} nivel - Nivel del plan (principiante, intermedio, avanzado)
@@ -607,6 +658,7 @@ class PlanEntrenamientoRepository {
             // PATRÓN: Query Object - Proporciona pipeline de agregación
             // PRINCIPIO SOLID S: Responsabilidad de construir pipeline
             const pipeline = [
+                { $match: excluirEliminados() },
                 {
                     $addFields: {
                         clientCount: { $size: { $ifNull: ["$clientes", []] } }
@@ -657,31 +709,32 @@ class PlanEntrenamientoRepository {
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de contar planes totales
-            const totalPlanes = await this.collection.countDocuments();
+            const totalPlanes = await this.collection.countDocuments(excluirEliminados());
             
             // ===== CONTEO DE PLANES ACTIVOS =====
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtro de planes activos
             // PRINCIPIO SOLID S: Responsabilidad de contar planes activos
-            const planesActivos = await this.collection.countDocuments({ estado: 'activo' });
+            const planesActivos = await this.collection.countDocuments(excluirEliminados({ estado: 'activo' }));
             
             // ===== CONTEO DE PLANES CANCELADOS =====
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtro de planes cancelados
             // PRINCIPIO SOLID S: Responsabilidad de contar planes cancelados
-            const planesCancelados = await this.collection.countDocuments({ estado: 'cancelado' });
+            const planesCancelados = await this.collection.countDocuments(excluirEliminados({ estado: 'cancelado' }));
             
             // ===== CONTEO DE PLANES FINALIZADOS =====
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtro de planes finalizados
             // PRINCIPIO SOLID S: Responsabilidad de contar planes finalizados
-            const planesFinalizados = await this.collection.countDocuments({ estado: 'finalizado' });
+            const planesFinalizados = await this.collection.countDocuments(excluirEliminados({ estado: 'finalizado' }));
 
             // ===== DISTRIBUCIÓN POR NIVEL =====
             // PATRÓN: Aggregator - Agrega datos de múltiples fuentes
             // PATRÓN: Query Object - Proporciona pipeline de agregación
             // PRINCIPIO SOLID S: Responsabilidad de crear distribución por nivel
             const distribucionNivel = await this.collection.aggregate([
+                { $match: excluirEliminados() },
                 { $group: { _id: "$nivel", count: { $sum: 1 } } },
                 { $sort: { count: -1 } }
             ]).toArray();
@@ -691,6 +744,7 @@ class PlanEntrenamientoRepository {
             // PATRÓN: Query Object - Proporciona pipeline de agregación
             // PRINCIPIO SOLID S: Responsabilidad de crear distribución por duración
             const distribucionDuracion = await this.collection.aggregate([
+                { $match: excluirEliminados() },
                 {
                     $bucket: {
                         groupBy: "$duracionSemanas",
@@ -725,6 +779,7 @@ class PlanEntrenamientoRepository {
      * Agrega un cliente a un plan
      * @param {string|ObjectId} planId - ID del plan
      * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se agregó correctamente
      * 
      * PATRÓN: Template Method - Define el flujo estándar de agregación de cliente
@@ -740,7 +795,7 @@ class PlanEntrenamientoRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de IDs antes de operación
      */
-    async addClientToPlan(planId, clienteId) {
+    async addClientToPlan(planId, clienteId, options = {}) {
         try {
             // ===== VALIDACIÓN DE IDs =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -756,7 +811,8 @@ class PlanEntrenamientoRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(planId) },
-                { $addToSet: { clientes: new ObjectId(clienteId) } }
+                { $addToSet: { clientes: new ObjectId(clienteId) } },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
@@ -775,6 +831,7 @@ class PlanEntrenamientoRepository {
      * Remueve un cliente de un plan
      * @param {string|ObjectId} planId - ID del plan
      * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Object} options - Opciones de MongoDB (session)
      * @returns {Promise<boolean>} True si se removió correctamente
      * 
      * PATRÓN: Template Method - Define el flujo estándar de remoción de cliente
@@ -790,7 +847,7 @@ class PlanEntrenamientoRepository {
      * NOTA: No hay transacciones ya que es una operación simple de actualización
      * BUENA PRÁCTICA: Validación de IDs antes de operación
      */
-    async removeClientFromPlan(planId, clienteId) {
+    async removeClientFromPlan(planId, clienteId, options = {}) {
         try {
             // ===== VALIDACIÓN DE IDs =====
             // PATRÓN: Guard Clause - Validación temprana para evitar errores
@@ -806,7 +863,8 @@ class PlanEntrenamientoRepository {
             // PRINCIPIO SOLID S: Responsabilidad de actualizar en base de datos
             const result = await this.collection.updateOne(
                 { _id: new ObjectId(planId) },
-                { $pull: { clientes: new ObjectId(clienteId) } }
+                { $pull: { clientes: new ObjectId(clienteId) } },
+                options
             );
 
             // ===== RETORNO DE RESULTADO =====
@@ -928,6 +986,130 @@ class PlanEntrenamientoRepository {
         }
     }
 
+    /**
+     * Obtiene los planes cuya rutina usa alguno de los ejercicios indicados
+     * @param {string|ObjectId|Array} ejercicioIds - ID o IDs de ejercicios del catálogo
+     * @param {Object} options - Opciones de consulta (incluirEliminados)
+     * @returns {Promise<PlanEntrenamiento[]>} Planes que usan los ejercicios
+     * 
+     * PATRÓN: Query Object - Consulta sobre el contenido anidado semanas → días → ejercicios
+     * NOTA: No hay transacciones ya que es una operación simple de lectura
+     */
+    async getPlansByExercise(ejercicioIds, options = {}) {
+        try {
+            const ids = (Array.isArray(ejercicioIds) ? ejercicioIds : [ejercicioIds]).map(id => {
+                if (!ObjectId.isValid(id)) {
+                    throw new Error('ID del ejercicio no es válido');
+                }
+                return new ObjectId(id);
+            });
+
+            return await this.getAll(
+                { 'semanas.dias.ejercicios.ejercicioId': { $in: ids } },
+                { sort: { nombre: 1 }, incluirEliminados: options.incluirEliminados === true }
+            );
+        } catch (error) {
+            throw new Error(`Error al obtener planes por ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza el nombre de un ejercicio del catálogo en todas las rutinas que lo usan
+     * @param {string|ObjectId} ejercicioId - ID del ejercicio
+     * @param {string} nombre - Nuevo nombre del ejercicio
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<number>} Cantidad de planes actualizados
+     * 
+     * PATRÓN: Denormalization - Cada ejercicio de la rutina guarda una copia del nombre para mostrarla
+     */
+    async renameExerciseInPlans(ejercicioId, nombre, options = {}) {
+        try {
+            if (!ObjectId.isValid(ejercicioId)) {
+                throw new Error('ID del ejercicio no es válido');
+            }
+
+            const id = new ObjectId(ejercicioId);
+            const result = await this.collection.updateMany(
+                { 'semanas.dias.ejercicios.ejercicioId': id },
+                { $set: { 'semanas.$[].dias.$[].ejercicios.$[ejercicio].nombre': nombre } },
+                { ...options, arrayFilters: [{ 'ejercicio.ejercicioId': id }] }
+            );
+            return result.modifiedCount;
+        } catch (error) {
+            throw new Error(`Error al renombrar ejercicio en planes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guarda el contenido de una versión del plan y agrega sus cambios al registro
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} version - Número de versión
+     * @param {Object} contenido - Contenido versionado (PlanEntrenamiento.getContenidoVersionable)
+     * @param {Array<string>} cambios - Descripción de los cambios
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<void>}
+     *
+     * PATRÓN: Upsert - Crea la versión o actualiza la que todavía no usa ningún contrato
+     */
+    async saveVersion(planId, version, contenido, cambios, options = {}) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const ahora = new Date();
+            await this.versionesCollection.updateOne(
+                { planId: new ObjectId(planId), version },
+                {
+                    $set: { contenido, fechaActualizacion: ahora },
+                    $setOnInsert: { fechaCreacion: ahora },
+                    $push: { cambios: { $each: cambios.map(descripcion => ({ fecha: ahora, descripcion })) } }
+                },
+                { ...options, upsert: true }
+            );
+        } catch (error) {
+            throw new Error(`Error al guardar versión del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las versiones guardadas de un plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<Array>} Versiones ordenadas de la más antigua a la más reciente
+     */
+    async getVersions(planId) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            return await this.versionesCollection
+                .find({ planId: new ObjectId(planId) })
+                .sort({ version: 1 })
+                .toArray();
+        } catch (error) {
+            throw new Error(`Error al obtener versiones del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene una versión de un plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} version - Número de versión
+     * @returns {Promise<Object|null>} Versión encontrada o null
+     */
+    async getVersion(planId, version) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            return await this.versionesCollection.findOne({ planId: new ObjectId(planId), version });
+        } catch (error) {
+            throw new Error(`Error al obtener versión del plan: ${error.message}`);
+        }
+    }
+
     /**
      * Cuenta el número de planes que coinciden con el filtro
      * @param {Object} filter - Filtro de búsqueda
@@ -951,7 +1133,7 @@ class PlanEntrenamientoRepository {
             // PATRÓN: Repository - Abstrae la operación de conteo
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de ejecutar conteo
-            return await this.collection.countDocuments(filter);
+            return await this.collection.countDocuments(excluirEliminados(filter));
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Handling - Manejo centralizado de errores
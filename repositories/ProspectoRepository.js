@@ -0,0 +1,184 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo Prospecto para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Prospecto) no de implementaciones concretas
+const { Prospecto } = require('../models'); // Modelo de dominio Prospecto
+
+/**
+ * Repositorio para gestión de prospectos
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de prospectos
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de prospectos
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, Prospecto)
+ */
+class ProspectoRepository {
+    /**
+     * Constructor del repositorio de prospectos
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de prospectos
+        this.collection = db.collection('prospectos');
+        this.db = db;
+    }
+
+    /**
+     * Registra un nuevo prospecto
+     * @param {Prospecto} prospecto - Instancia de Prospecto a crear
+     * @returns {Promise<ObjectId>} ID del prospecto creado
+     * @throws {Error} Si ya existe un prospecto abierto con el mismo email
+     *
+     * PATRÓN: Guard Clause - Evita duplicar prospectos que siguen en el embudo
+     */
+    async create(prospecto) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(prospecto instanceof Prospecto)) {
+                throw new Error('El parámetro debe ser una instancia de Prospecto');
+            }
+
+            // ===== VERIFICACIÓN DE DUPLICADOS =====
+            if (prospecto.email) {
+                const abierto = await this.collection.findOne({
+                    email: prospecto.email,
+                    estado: { $nin: ['convertido', 'perdido'] }
+                });
+                if (abierto) {
+                    throw new Error('Ya existe un prospecto en seguimiento con este email');
+                }
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(prospecto.toMongoObject());
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al crear prospecto: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un prospecto por su ID
+     * @param {string|ObjectId} id - ID del prospecto
+     * @returns {Promise<Prospecto|null>} Prospecto encontrado o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del prospecto no es válido');
+            }
+
+            const prospectoDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return prospectoDoc ? Prospecto.fromMongoObject(prospectoDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener prospecto: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el prospecto del que proviene un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<Prospecto|null>} Prospecto convertido o null
+     */
+    async getByCliente(clienteId) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const prospectoDoc = await this.collection.findOne({ clienteId: new ObjectId(clienteId) });
+            return prospectoDoc ? Prospecto.fromMongoObject(prospectoDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener prospecto del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene todos los prospectos con filtro opcional
+     * @param {Object} filter - Filtro de búsqueda
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Prospecto[]>} Array de prospectos
+     */
+    async getAll(filter = {}, options = {}) {
+        try {
+            const { limit = 0, skip = 0, sort = { fechaRegistro: -1 } } = options;
+
+            // ===== CONSTRUCCIÓN DE CONSULTA =====
+            let query = this.collection.find(filter);
+
+            if (sort) {
+                query = query.sort(sort);
+            }
+
+            if (skip > 0) {
+                query = query.skip(skip);
+            }
+
+            if (limit > 0) {
+                query = query.limit(limit);
+            }
+
+            // ===== CONVERSIÓN A MODELOS DE DOMINIO =====
+            const prospectosDocs = await query.toArray();
+            return prospectosDocs.map(doc => Prospecto.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener prospectos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene los prospectos registrados en un rango de fechas
+     * @param {Date} fechaInicio - Fecha de inicio (inclusive)
+     * @param {Date} fechaFin - Fecha de fin (inclusive)
+     * @returns {Promise<Prospecto[]>} Prospectos ordenados por fecha de registro
+     */
+    async getByDateRange(fechaInicio, fechaFin) {
+        try {
+            return await this.getAll(
+                { fechaRegistro: { $gte: fechaInicio, $lte: fechaFin } },
+                { sort: { fechaRegistro: 1 } }
+            );
+        } catch (error) {
+            throw new Error(`Error al obtener prospectos por fecha: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza un prospecto existente
+     * @param {string|ObjectId} id - ID del prospecto
+     * @param {Object} updatedData - Campos a actualizar
+     * @returns {Promise<boolean>} True si se actualizó correctamente
+     */
+    async update(id, updatedData) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del prospecto no es válido');
+            }
+
+            // El ID no puede modificarse
+            const { _id, prospectoId, ...datos } = updatedData;
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id) },
+                { $set: datos }
+            );
+
+            if (result.matchedCount === 0) {
+                throw new Error('Prospecto no encontrado');
+            }
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al actualizar prospecto: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = ProspectoRepository;
@@ -0,0 +1,257 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo Referido para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Referido) no de implementaciones concretas
+const { Referido } = require('../models'); // Modelo de dominio Referido
+
+/**
+ * Repositorio para gestión de referidos
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de referidos
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de referidos
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, Referido)
+ *
+ * NOTA: Las operaciones aceptan una sesión opcional para participar en transacciones del servicio
+ */
+class ReferidoRepository {
+    /**
+     * Constructor del repositorio de referidos
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de referidos
+        this.collection = db.collection('referidos');
+        this.db = db;
+    }
+
+    /**
+     * Registra una nueva referencia
+     * @param {Referido} referido - Instancia de Referido a crear
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId>} ID de la referencia creada
+     * @throws {Error} Si el cliente referido ya fue registrado por otro cliente
+     *
+     * PATRÓN: Guard Clause - Un cliente solo puede ser referido una vez
+     */
+    async create(referido, options = {}) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(referido instanceof Referido)) {
+                throw new Error('El parámetro debe ser una instancia de Referido');
+            }
+
+            // ===== VERIFICACIÓN DE UNICIDAD =====
+            const existente = await this.getByReferido(referido.referidoClienteId, options);
+            if (existente) {
+                throw new Error('El cliente ya fue registrado como referido');
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(referido.toMongoObject(), options);
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al crear referido: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene una referencia por su ID
+     * @param {string|ObjectId} id - ID de la referencia
+     * @returns {Promise<Referido|null>} Referencia encontrada o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del referido no es válido');
+            }
+
+            const referidoDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return referidoDoc ? Referido.fromMongoObject(referidoDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener referido: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la referencia de un cliente referido
+     * @param {string|ObjectId} clienteId - ID del cliente referido
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<Referido|null>} Referencia del cliente o null
+     */
+    async getByReferido(clienteId, options = {}) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const referidoDoc = await this.collection.findOne(
+                { referidoClienteId: new ObjectId(clienteId) },
+                options
+            );
+            return referidoDoc ? Referido.fromMongoObject(referidoDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener referencia del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las referencias hechas por un cliente
+     * @param {string|ObjectId} referidorId - ID del cliente que refiere
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<Referido[]>} Referencias ordenadas de la más antigua a la más reciente
+     */
+    async getByReferidor(referidorId, options = {}) {
+        try {
+            if (!ObjectId.isValid(referidorId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const referidosDocs = await this.collection
+                .find({ referidorId: new ObjectId(referidorId) }, options)
+                .sort({ fechaRegistro: 1 })
+                .toArray();
+            return referidosDocs.map(doc => Referido.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener referencias del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las referencias acreditadas de un cliente que aún tienen crédito disponible
+     * @param {string|ObjectId} referidorId - ID del cliente que refiere
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<Referido[]>} Referencias en orden de acreditación (FIFO)
+     */
+    async getConCreditoDisponible(referidorId, options = {}) {
+        try {
+            if (!ObjectId.isValid(referidorId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const referidosDocs = await this.collection
+                .find({ referidorId: new ObjectId(referidorId), estado: 'acreditado' }, options)
+                .sort({ fechaAcreditacion: 1 })
+                .toArray();
+            return referidosDocs
+                .map(doc => Referido.fromMongoObject(doc))
+                .filter(referido => referido.getCreditoDisponible() > 0);
+        } catch (error) {
+            throw new Error(`Error al obtener crédito de referidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene todas las referencias con filtro opcional
+     * @param {Object} filter - Filtro de búsqueda
+     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @returns {Promise<Referido[]>} Array de referencias
+     */
+    async getAll(filter = {}, options = {}) {
+        try {
+            const { limit = 0, skip = 0, sort = { fechaRegistro: -1 } } = options;
+
+            // ===== CONSTRUCCIÓN DE CONSULTA =====
+            let query = this.collection.find(filter);
+
+            if (sort) {
+                query = query.sort(sort);
+            }
+
+            if (skip > 0) {
+                query = query.skip(skip);
+            }
+
+            if (limit > 0) {
+                query = query.limit(limit);
+            }
+
+            // ===== CONVERSIÓN A MODELOS DE DOMINIO =====
+            const referidosDocs = await query.toArray();
+            return referidosDocs.map(doc => Referido.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener referidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene estadísticas agrupadas por cliente que refiere
+     * @param {number} limite - Cantidad máxima de clientes a retornar (0 = todos)
+     * @returns {Promise<Array>} Estadísticas ordenadas por cantidad de referidos
+     *
+     * PATRÓN: Aggregation Pipeline - Calcula totales en la base de datos
+     */
+    async getEstadisticasPorReferidor(limite = 0) {
+        try {
+            const pipeline = [
+                {
+                    $group: {
+                        _id: '$referidorId',
+                        totalReferidos: { $sum: 1 },
+                        acreditados: { $sum: { $cond: [{ $eq: ['$estado', 'acreditado'] }, 1, 0] } },
+                        creditoOtorgado: { $sum: '$montoCredito' },
+                        creditoRedimido: { $sum: { $sum: '$redenciones.monto' } }
+                    }
+                },
+                { $sort: { totalReferidos: -1, creditoOtorgado: -1 } }
+            ];
+
+            if (limite > 0) {
+                pipeline.push({ $limit: limite });
+            }
+
+            const estadisticas = await this.collection.aggregate(pipeline).toArray();
+            return estadisticas.map(item => ({
+                referidorId: item._id,
+                totalReferidos: item.totalReferidos,
+                acreditados: item.acreditados,
+                pendientes: item.totalReferidos - item.acreditados,
+                creditoOtorgado: Math.round(item.creditoOtorgado * 100) / 100,
+                creditoRedimido: Math.round(item.creditoRedimido * 100) / 100
+            }));
+        } catch (error) {
+            throw new Error(`Error al obtener estadísticas de referidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza una referencia existente
+     * @param {string|ObjectId} id - ID de la referencia
+     * @param {Object} updatedData - Campos a actualizar
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si se actualizó correctamente
+     */
+    async update(id, updatedData, options = {}) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID del referido no es válido');
+            }
+
+            // El ID no puede modificarse
+            const { _id, referidoId, ...datos } = updatedData;
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(id) },
+                { $set: datos },
+                options
+            );
+
+            if (result.matchedCount === 0) {
+                throw new Error('Referido no encontrado');
+            }
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al actualizar referido: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = ReferidoRepository;
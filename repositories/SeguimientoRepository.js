@@ -7,6 +7,9 @@ const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones c
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (Seguimiento) no de implementaciones concretas
 const { Seguimiento } = require('../models'); // Modelo de dominio Seguimiento
+// Importación de utilidades de borrado lógico (papelera)
+// PATRÓN: Soft Delete - Los seguimientos eliminados se conservan en la papelera
+const { excluirEliminados, marcarComoEliminado, restaurarEliminados, obtenerEliminados, purgarEliminados } = require('./SoftDelete');
 
 
 /**
@@ -80,13 +83,14 @@ class SeguimientoRepository {
             // PATRÓN: Guard Clause - Validación temprana para evitar duplicados
             // PATRÓN: Validation Pattern - Valida unicidad de seguimiento por cliente y fecha
             // PRINCIPIO SOLID S: Responsabilidad de verificar unicidad
-            const seguimientoExistente = await this.collection.findOne({
+            // NOTA: Los seguimientos en la papelera no bloquean un nuevo registro en la misma fecha
+            const seguimientoExistente = await this.collection.findOne(excluirEliminados({
                 clienteId: seguimiento.clienteId,
                 fecha: {
                     $gte: new Date(seguimiento.fecha.getFullYear(), seguimiento.fecha.getMonth(), seguimiento.fecha.getDate()),
                     $lt: new Date(seguimiento.fecha.getFullYear(), seguimiento.fecha.getMonth(), seguimiento.fecha.getDate() + 1)
                 }
-            });
+            }));
 
             // ===== VALIDACIÓN DE DUPLICADO =====
             // PATRÓN: Guard Clause - Validación temprana para evitar duplicados
@@ -174,7 +178,7 @@ class SeguimientoRepository {
     /**
      * Obtiene todos los seguimientos con filtro opcional
      * @param {Object} filter - Filtro de búsqueda
-     * @param {Object} options - Opciones de consulta (limit, skip, sort)
+     * @param {Object} options - Opciones de consulta (limit, skip, sort, incluirEliminados)
      * @returns {Promise<Seguimiento[]>} Array de seguimientos
      * 
      * PATRÓN: Template Method - Define el flujo estándar de obtención de todos los seguimientos
@@ -196,13 +200,14 @@ class SeguimientoRepository {
             // ===== DESESTRUCTURACIÓN DE OPCIONES =====
             // PATRÓN: Strategy - Estrategia de opciones de consulta
             // PRINCIPIO SOLID S: Responsabilidad de configurar opciones
-            const { limit = 0, skip = 0, sort = { fecha: -1 } } = options;
+            const { limit = 0, skip = 0, incluirEliminados = false, sort = { fecha: -1 } } = options;
             
             // ===== CONSTRUCCIÓN DE CONSULTA =====
             // PATRÓN: Builder - Construye consulta paso a paso
             // PATRÓN: Query Object - Proporciona filtros de búsqueda
             // PRINCIPIO SOLID S: Responsabilidad de construir consulta
-            let query = this.collection.find(filter);
+            // PATRÓN: Soft Delete - Los documentos en la papelera se excluyen por defecto
+            let query = this.collection.find(excluirEliminados(filter, incluirEliminados));
             
             // ===== APLICACIÓN DE ORDENAMIENTO =====
             // PATRÓN: Strategy - Estrategia de ordenamiento
@@ -252,9 +257,9 @@ class SeguimientoRepository {
                 throw new Error('ID del cliente no es válido');
             }
 
-            const seguimientosDocs = await this.collection.find({ 
+            const seguimientosDocs = await this.collection.find(excluirEliminados({ 
                 clienteId: new ObjectId(clienteId) 
-            }).sort({ fecha: -1 }).toArray();
+            })).sort({ fecha: -1 }).toArray();
 
             return seguimientosDocs.map(doc => Seguimiento.fromMongoObject(doc));
         } catch (error) {
@@ -287,24 +292,65 @@ class SeguimientoRepository {
     }
 
     /**
-     * Elimina un seguimiento por su ID
+     * Elimina un seguimiento por su ID (borrado lógico: se envía a la papelera)
      * @param {string|ObjectId} id - ID del seguimiento a eliminar
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo, origen })
      * @returns {Promise<boolean>} True si se eliminó correctamente
      * @throws {Error} Si el ID no es válido
      */
-    async delete(id) {
+    async delete(id, datosEliminacion = {}) {
         try {
             if (!ObjectId.isValid(id)) {
                 throw new Error('ID del seguimiento no es válido');
             }
 
-            const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
-            return result.deletedCount > 0;
+            return await marcarComoEliminado(this.collection, id, datosEliminacion);
         } catch (error) {
             throw new Error(`Error al eliminar seguimiento: ${error.message}`);
         }
     }
 
+    /**
+     * Restaura seguimientos de la papelera
+     * @param {Object} filter - Filtro de documentos a restaurar (por ejemplo { _id })
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos restaurados
+     */
+    async restore(filter, options = {}) {
+        try {
+            return await restaurarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al restaurar seguimientos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene seguimientos que están en la papelera
+     * @param {Object} filter - Filtro adicional
+     * @returns {Promise<Object[]>} Documentos eliminados con sus datos de auditoría
+     */
+    async getDeleted(filter = {}) {
+        try {
+            return await obtenerEliminados(this.collection, filter);
+        } catch (error) {
+            throw new Error(`Error al obtener seguimientos eliminados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina definitivamente seguimientos que ya están en la papelera
+     * @param {Object} filter - Filtro de documentos a purgar
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<number>} Cantidad de documentos purgados
+     */
+    async purge(filter, options = {}) {
+        try {
+            return await purgarEliminados(this.collection, filter, options);
+        } catch (error) {
+            throw new Error(`Error al purgar seguimientos: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene seguimientos por cliente
      * @param {string|ObjectId} clienteId - ID del cliente
@@ -498,12 +544,13 @@ class SeguimientoRepository {
     }
 
     /**
-     * Elimina un seguimiento con rollback si afecta el plan
+     * Elimina un seguimiento con rollback si afecta el plan (borrado lógico: se envía a la papelera)
      * @param {string|ObjectId} id - ID del seguimiento a eliminar
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo, origen })
      * @returns {Promise<boolean>} True si se eliminó correctamente
      * @throws {Error} Si hay error en el rollback
      */
-    async deleteFollowUpWithRollback(id) {
+    async deleteFollowUpWithRollback(id, datosEliminacion = {}) {
         try {
             if (!ObjectId.isValid(id)) {
                 throw new Error('ID del seguimiento no es válido');
@@ -520,21 +567,18 @@ class SeguimientoRepository {
             
             try {
                 await session.withTransaction(async () => {
-                    // Eliminar el seguimiento
-                    const result = await this.collection.deleteOne(
-                        { _id: new ObjectId(id) },
-                        { session }
-                    );
+                    // Enviar el seguimiento a la papelera
+                    const eliminado = await marcarComoEliminado(this.collection, id, datosEliminacion, { session });
 
-                    if (result.deletedCount === 0) {
+                    if (!eliminado) {
                         throw new Error('No se pudo eliminar el seguimiento');
                     }
 
                     // Verificar si el cliente tiene otros seguimientos
-                    const otrosSeguimientos = await this.collection.countDocuments({
+                    const otrosSeguimientos = await this.collection.countDocuments(excluirEliminados({
                         clienteId: seguimiento.clienteId,
                         _id: { $ne: new ObjectId(id) }
-                    }, { session });
+                    }), { session });
 
                     // Si no hay otros seguimientos, podríamos considerar actualizar el estado del plan
                     if (otrosSeguimientos === 0) {
@@ -702,7 +746,7 @@ class SeguimientoRepository {
                 // ===== FILTRO POR CLIENTE =====
                 // PATRÓN: Query Object - Filtra documentos por cliente
                 // PRINCIPIO SOLID S: Responsabilidad de filtrar por cliente
-                { $match: { clienteId: new ObjectId(clienteId) } },
+                { $match: excluirEliminados({ clienteId: new ObjectId(clienteId) }) },
                 
                 // ===== AGRUPACIÓN Y CÁLCULOS =====
                 // PATRÓN: Aggregator - Agrupa y calcula estadísticas
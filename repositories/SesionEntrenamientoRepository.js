@@ -0,0 +1,180 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo SesionEntrenamiento para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (SesionEntrenamiento) no de implementaciones concretas
+const { SesionEntrenamiento } = require('../models'); // Modelo de dominio SesionEntrenamiento
+
+/**
+ * Repositorio para las sesiones de entrenamiento realizadas por los clientes
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de sesiones de entrenamiento
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de sesiones
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, SesionEntrenamiento)
+ */
+class SesionEntrenamientoRepository {
+    /**
+     * Constructor del repositorio de sesiones de entrenamiento
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de sesiones
+        this.collection = db.collection('sesiones_entrenamiento');
+        this.db = db;
+    }
+
+    /**
+     * Registra una sesión de entrenamiento
+     * @param {SesionEntrenamiento} sesion - Instancia de SesionEntrenamiento a crear
+     * @returns {Promise<ObjectId>} ID de la sesión creada
+     */
+    async create(sesion) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(sesion instanceof SesionEntrenamiento)) {
+                throw new Error('El parámetro debe ser una instancia de SesionEntrenamiento');
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(sesion.toMongoObject());
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al registrar sesión de entrenamiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene una sesión por su ID
+     * @param {string|ObjectId} id - ID de la sesión
+     * @returns {Promise<SesionEntrenamiento|null>} Sesión encontrada o null
+     */
+    async getById(id) {
+        try {
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID de la sesión no es válido');
+            }
+
+            const sesionDoc = await this.collection.findOne({ _id: new ObjectId(id) });
+            return sesionDoc ? SesionEntrenamiento.fromMongoObject(sesionDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener sesión de entrenamiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las sesiones de un cliente, de la más reciente a la más antigua
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Object} options - Opciones de consulta (limit)
+     * @returns {Promise<SesionEntrenamiento[]>} Sesiones del cliente
+     */
+    async getByClient(clienteId, options = {}) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const { limit = 0 } = options;
+            let query = this.collection
+                .find({ clienteId: new ObjectId(clienteId) })
+                .sort({ fecha: -1 });
+
+            if (limit > 0) {
+                query = query.limit(limit);
+            }
+
+            const sesionesDocs = await query.toArray();
+            return sesionesDocs.map(doc => SesionEntrenamiento.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener sesiones del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el mejor 1RM estimado del cliente en cada ejercicio hasta una fecha
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Array<string|ObjectId>} ejercicioIds - Ejercicios a consultar
+     * @param {Date} hastaFecha - Solo se consideran sesiones hasta esta fecha (inclusive)
+     * @returns {Promise<Object>} Mejor marca por ejercicioId ({ [ejercicioId]: unoRMEstimado })
+     *
+     * PATRÓN: Aggregation Pipeline - Calcula la mejor marca en el servidor
+     */
+    async getBestMarks(clienteId, ejercicioIds, hastaFecha = new Date()) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const ids = ejercicioIds.map(id => new ObjectId(id));
+            const pipeline = [
+                { $match: { clienteId: new ObjectId(clienteId), fecha: { $lte: hastaFecha } } },
+                { $unwind: '$ejercicios' },
+                { $match: { 'ejercicios.ejercicioId': { $in: ids } } },
+                {
+                    $group: {
+                        _id: '$ejercicios.ejercicioId',
+                        mejorUnoRM: { $max: '$ejercicios.unoRMEstimado' }
+                    }
+                }
+            ];
+
+            const result = await this.collection.aggregate(pipeline).toArray();
+            return result.reduce((marcas, marca) => {
+                marcas[marca._id.toString()] = marca.mejorUnoRM;
+                return marcas;
+            }, {});
+        } catch (error) {
+            throw new Error(`Error al obtener mejores marcas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el historial por ejercicio de un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<Array>} Un elemento por ejercicio con sus registros en orden cronológico
+     *
+     * PATRÓN: Aggregation Pipeline - Agrupa los ejercicios de todas las sesiones del cliente
+     */
+    async getExerciseHistory(clienteId) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const pipeline = [
+                { $match: { clienteId: new ObjectId(clienteId) } },
+                { $sort: { fecha: 1 } },
+                { $unwind: '$ejercicios' },
+                {
+                    $group: {
+                        _id: '$ejercicios.ejercicioId',
+                        nombre: { $last: '$ejercicios.nombre' },
+                        mejorUnoRM: { $max: '$ejercicios.unoRMEstimado' },
+                        registros: {
+                            $push: {
+                                fecha: '$fecha',
+                                series: '$ejercicios.series',
+                                unoRMEstimado: '$ejercicios.unoRMEstimado',
+                                esRecord: '$ejercicios.esRecord'
+                            }
+                        }
+                    }
+                },
+                { $sort: { nombre: 1 } }
+            ];
+
+            return await this.collection.aggregate(pipeline).toArray();
+        } catch (error) {
+            throw new Error(`Error al obtener historial por ejercicio: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = SesionEntrenamientoRepository;
@@ -0,0 +1,136 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través de parámetros
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+
+/**
+ * Utilidades de borrado lógico (papelera) compartidas por los repositorios
+ * Un documento eliminado conserva sus datos y se marca con `eliminado: true`
+ * y un subdocumento `eliminacion` con quién, cuándo y por qué se eliminó
+ *
+ * PATRÓN: Module Pattern - Agrupa funciones reutilizables por varios repositorios
+ * PATRÓN: Soft Delete - Marca documentos como eliminados en lugar de borrarlos
+ * PRINCIPIO SOLID S: Responsabilidad Única - Solo gestiona el ciclo de vida de la papelera
+ *
+ * NOTA: Los documentos anteriores a esta funcionalidad no tienen el campo `eliminado`,
+ * por eso el filtro usa `$ne: true` en lugar de `eliminado: false`
+ */
+
+// Filtro que excluye documentos en la papelera
+const FILTRO_NO_ELIMINADOS = Object.freeze({ eliminado: { $ne: true } });
+
+/**
+ * Agrega al filtro la condición de excluir documentos eliminados
+ * @param {Object} filter - Filtro original
+ * @param {boolean} incluirEliminados - Si es true devuelve el filtro sin cambios
+ * @returns {Object} Filtro resultante
+ */
+function excluirEliminados(filter = {}, incluirEliminados = false) {
+    if (incluirEliminados || Object.prototype.hasOwnProperty.call(filter, 'eliminado')) {
+        return filter;
+    }
+    return { ...filter, ...FILTRO_NO_ELIMINADOS };
+}
+
+/**
+ * Construye el subdocumento de auditoría de la eliminación
+ * @param {Object} datosEliminacion - Datos de la eliminación
+ * @param {string} datosEliminacion.usuario - Quién elimina
+ * @param {string} datosEliminacion.motivo - Por qué se elimina
+ * @param {Object} datosEliminacion.origen - Entidad que provocó la eliminación en cascada ({ tipo, id })
+ * @returns {Object} Subdocumento `eliminacion`
+ */
+function construirEliminacion(datosEliminacion = {}) {
+    const { usuario, motivo, origen } = datosEliminacion;
+    return {
+        fecha: new Date(),
+        usuario: usuario || process.env.USER || process.env.USERNAME || 'sistema',
+        motivo: motivo || 'Sin motivo especificado',
+        origen: origen ? { tipo: origen.tipo, id: new ObjectId(origen.id) } : null
+    };
+}
+
+/**
+ * Marca un documento como eliminado
+ * @param {Collection} collection - Colección de MongoDB
+ * @param {string|ObjectId} id - ID del documento
+ * @param {Object} datosEliminacion - Quién, por qué y origen de la eliminación
+ * @param {Object} options - Opciones del driver (session)
+ * @returns {Promise<boolean>} True si se marcó el documento
+ */
+async function marcarComoEliminado(collection, id, datosEliminacion = {}, options = {}) {
+    const result = await collection.updateOne(
+        { _id: new ObjectId(id), ...FILTRO_NO_ELIMINADOS },
+        { $set: { eliminado: true, eliminacion: construirEliminacion(datosEliminacion) } },
+        options
+    );
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Marca como eliminados todos los documentos que cumplan el filtro
+ * @param {Collection} collection - Colección de MongoDB
+ * @param {Object} filter - Filtro de documentos a eliminar
+ * @param {Object} datosEliminacion - Quién, por qué y origen de la eliminación
+ * @param {Object} options - Opciones del driver (session)
+ * @returns {Promise<number>} Cantidad de documentos marcados
+ */
+async function marcarVariosComoEliminados(collection, filter, datosEliminacion = {}, options = {}) {
+    const result = await collection.updateMany(
+        { ...filter, ...FILTRO_NO_ELIMINADOS },
+        { $set: { eliminado: true, eliminacion: construirEliminacion(datosEliminacion) } },
+        options
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Restaura documentos de la papelera
+ * @param {Collection} collection - Colección de MongoDB
+ * @param {Object} filter - Filtro de documentos a restaurar
+ * @param {Object} options - Opciones del driver (session)
+ * @returns {Promise<number>} Cantidad de documentos restaurados
+ */
+async function restaurarEliminados(collection, filter, options = {}) {
+    const result = await collection.updateMany(
+        { ...filter, eliminado: true },
+        { $set: { eliminado: false }, $unset: { eliminacion: '' } },
+        options
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Obtiene documentos de la papelera
+ * @param {Collection} collection - Colección de MongoDB
+ * @param {Object} filter - Filtro adicional
+ * @returns {Promise<Object[]>} Documentos eliminados, más recientes primero
+ */
+async function obtenerEliminados(collection, filter = {}) {
+    return await collection
+        .find({ ...filter, eliminado: true })
+        .sort({ 'eliminacion.fecha': -1 })
+        .toArray();
+}
+
+/**
+ * Elimina definitivamente documentos que ya están en la papelera
+ * @param {Collection} collection - Colección de MongoDB
+ * @param {Object} filter - Filtro de documentos a purgar
+ * @param {Object} options - Opciones del driver (session)
+ * @returns {Promise<number>} Cantidad de documentos purgados
+ */
+async function purgarEliminados(collection, filter, options = {}) {
+    const result = await collection.deleteMany({ ...filter, eliminado: true }, options);
+    return result.deletedCount;
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+module.exports = {
+    FILTRO_NO_ELIMINADOS,
+    excluirEliminados,
+    marcarComoEliminado,
+    marcarVariosComoEliminados,
+    restaurarEliminados,
+    obtenerEliminados,
+    purgarEliminados
+};
@@ -0,0 +1,151 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de ObjectId de MongoDB para manejo de IDs
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ObjectId) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Driver de MongoDB para operaciones con ObjectId
+// Importación del modelo TarifaPlan para validaciones y transformaciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (TarifaPlan) no de implementaciones concretas
+const { TarifaPlan } = require('../models'); // Modelo de dominio TarifaPlan
+
+/**
+ * Repositorio para el catálogo de precios de los planes
+ * Implementa el patrón Repository para abstraer el acceso a datos
+ *
+ * PATRÓN: Repository - Abstrae el acceso a datos de las tarifas
+ * PATRÓN: Data Access Object (DAO) - Proporciona interfaz para operaciones de datos
+ * PATRÓN: Mapper - Convierte documentos de MongoDB en modelos de dominio
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la gestión de datos de las tarifas
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (db, TarifaPlan)
+ *
+ * NOTA: Las tarifas no se borran; al registrar una nueva se cierra la vigencia de la anterior
+ */
+class TarifaPlanRepository {
+    /**
+     * Constructor del repositorio de tarifas
+     * @param {Object} db - Instancia de base de datos MongoDB
+     */
+    constructor(db) {
+        // PATRÓN: Repository - Abstrae el acceso a la colección de tarifas
+        this.collection = db.collection('tarifas_planes');
+        this.db = db;
+    }
+
+    /**
+     * Registra una tarifa
+     * @param {TarifaPlan} tarifa - Instancia de TarifaPlan a crear
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId>} ID de la tarifa creada
+     */
+    async create(tarifa, options = {}) {
+        try {
+            // ===== VALIDACIÓN DE INSTANCIA =====
+            if (!(tarifa instanceof TarifaPlan)) {
+                throw new Error('El parámetro debe ser una instancia de TarifaPlan');
+            }
+
+            // ===== INSERCIÓN EN BASE DE DATOS =====
+            const result = await this.collection.insertOne(tarifa.toMongoObject(), options);
+            return result.insertedId;
+        } catch (error) {
+            throw new Error(`Error al registrar tarifa: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la tarifa de un plan vigente en una fecha
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {Date} fecha - Fecha de referencia (por defecto, hoy)
+     * @returns {Promise<TarifaPlan|null>} Tarifa vigente o null si el plan no tiene precio en esa fecha
+     */
+    async getVigente(planId, fecha = new Date()) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const momento = new Date(fecha);
+            const tarifaDoc = await this.collection.findOne(
+                {
+                    planId: new ObjectId(planId),
+                    vigenteDesde: { $lte: momento },
+                    $or: [{ vigenteHasta: null }, { vigenteHasta: { $gt: momento } }]
+                },
+                { sort: { vigenteDesde: -1 } }
+            );
+            return tarifaDoc ? TarifaPlan.fromMongoObject(tarifaDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener tarifa vigente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la última tarifa registrada de un plan (puede estar programada a futuro)
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<TarifaPlan|null>} Última tarifa o null
+     */
+    async getUltima(planId) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const tarifaDoc = await this.collection.findOne(
+                { planId: new ObjectId(planId) },
+                { sort: { vigenteDesde: -1 } }
+            );
+            return tarifaDoc ? TarifaPlan.fromMongoObject(tarifaDoc) : null;
+        } catch (error) {
+            throw new Error(`Error al obtener última tarifa: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el historial de tarifas de un plan, de la más reciente a la más antigua
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<TarifaPlan[]>} Tarifas del plan
+     */
+    async getHistorial(planId) {
+        try {
+            if (!ObjectId.isValid(planId)) {
+                throw new Error('ID del plan no es válido');
+            }
+
+            const tarifaDocs = await this.collection
+                .find({ planId: new ObjectId(planId) })
+                .sort({ vigenteDesde: -1 })
+                .toArray();
+            return tarifaDocs.map(doc => TarifaPlan.fromMongoObject(doc));
+        } catch (error) {
+            throw new Error(`Error al obtener historial de tarifas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cierra la vigencia de una tarifa
+     * @param {string|ObjectId} tarifaId - ID de la tarifa
+     * @param {Date} vigenteHasta - Fecha de fin de vigencia
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si se actualizó
+     */
+    async cerrarVigencia(tarifaId, vigenteHasta, options = {}) {
+        try {
+            if (!ObjectId.isValid(tarifaId)) {
+                throw new Error('ID de la tarifa no es válido');
+            }
+
+            const result = await this.collection.updateOne(
+                { _id: new ObjectId(tarifaId) },
+                { $set: { vigenteHasta: new Date(vigenteHasta) } },
+                options
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            throw new Error(`Error al cerrar vigencia de tarifa: ${error.message}`);
+        }
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = TarifaPlanRepository;
@@ -27,6 +27,46 @@ const FinanzasRepository = require('./FinanzasRepository'); // Repositorio para
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (PagoRepository) no de implementaciones concretas
 const PagoRepository = require('./PagoRepository'); // Repositorio para gestión de pagos
+// Importación de repositorio de asistencias
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (AsistenciaRepository) no de implementaciones concretas
+const AsistenciaRepository = require('./AsistenciaRepository'); // Repositorio para gestión de asistencias
+// Importación de repositorio de grupos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (GrupoRepository) no de implementaciones concretas
+const GrupoRepository = require('./GrupoRepository'); // Repositorio para gestión de grupos familiares y corporativos
+// Importación de repositorio de referidos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ReferidoRepository) no de implementaciones concretas
+const ReferidoRepository = require('./ReferidoRepository'); // Repositorio para gestión del programa de referidos
+// Importación de repositorio de interacciones
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (InteraccionRepository) no de implementaciones concretas
+const InteraccionRepository = require('./InteraccionRepository'); // Repositorio para gestión de interacciones con clientes
+// Importación de repositorio de prospectos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ProspectoRepository) no de implementaciones concretas
+const ProspectoRepository = require('./ProspectoRepository'); // Repositorio para gestión de prospectos
+// Importación de repositorio de ejercicios
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (EjercicioRepository) no de implementaciones concretas
+const EjercicioRepository = require('./EjercicioRepository'); // Repositorio para la biblioteca de ejercicios
+// Importación de repositorio de sesiones de entrenamiento
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (SesionEntrenamientoRepository) no de implementaciones concretas
+const SesionEntrenamientoRepository = require('./SesionEntrenamientoRepository'); // Repositorio para sesiones de entrenamiento realizadas
+// Importación de repositorio de la lista de espera
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (ListaEsperaRepository) no de implementaciones concretas
+const ListaEsperaRepository = require('./ListaEsperaRepository'); // Repositorio para la lista de espera de planes con cupo
+// Importación de repositorio de tarifas de los planes
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (TarifaPlanRepository) no de implementaciones concretas
+const TarifaPlanRepository = require('./TarifaPlanRepository'); // Repositorio para el catálogo de precios de los planes
+// Importación de repositorio de registros de mantenimiento
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (MantenimientoRepository) no de implementaciones concretas
+const MantenimientoRepository = require('./MantenimientoRepository'); // Repositorio para los resúmenes de tareas automáticas
 
 /**
  * Índice de repositorios - Exporta todas las clases de repositorios
@@ -55,5 +95,15 @@ module.exports = {
     NutricionRepository, // Repositorio para gestión de nutrición
     ContratoRepository, // Repositorio para gestión de contratos
     FinanzasRepository, // Repositorio para gestión de finanzas
-    PagoRepository // Repositorio para gestión de pagos
+    PagoRepository, // Repositorio para gestión de pagos
+    AsistenciaRepository, // Repositorio para gestión de asistencias
+    GrupoRepository, // Repositorio para gestión de grupos familiares y corporativos
+    ReferidoRepository, // Repositorio para gestión del programa de referidos
+    InteraccionRepository, // Repositorio para gestión de interacciones con clientes (CRM)
+    ProspectoRepository, // Repositorio para gestión de prospectos y pases de prueba
+    EjercicioRepository, // Repositorio para la biblioteca de ejercicios
+    SesionEntrenamientoRepository, // Repositorio para sesiones de entrenamiento realizadas
+    ListaEsperaRepository, // Repositorio para la lista de espera de planes con cupo
+    TarifaPlanRepository, // Repositorio para el catálogo de precios de los planes
+    MantenimientoRepository // Repositorio para los resúmenes de tareas automáticas
 };
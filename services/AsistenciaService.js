@@ -0,0 +1,273 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y modelos necesarios para el control de asistencia
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para validación de IDs de MongoDB
+const { AsistenciaRepository, ClienteRepository, ContratoRepository } = require('../repositories');
+const { Asistencia } = require('../models'); // Modelo de dominio Asistencia
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Control de Asistencia
+ * Gestiona el registro de entradas y salidas de los clientes al gimnasio
+ * Solo permite la entrada a clientes activos con un contrato vigente
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio de asistencias
+ * PATRÓN: Facade - Simplifica la búsqueda de clientes y la validación de contratos
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente del control de asistencia
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: No usa transacciones ya que cada entrada/salida afecta a un único documento
+ */
+class AsistenciaService {
+    /**
+     * Constructor del servicio de asistencias
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de asistencias, clientes y contratos
+        this.asistenciaRepository = new AsistenciaRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        this.contratoRepository = new ContratoRepository(db);
+    }
+
+    /**
+     * Localiza clientes por ID, email, teléfono o término de búsqueda
+     * @param {string} identificador - ID, email, teléfono o nombre del cliente
+     * @returns {Promise<Object>} Clientes candidatos
+     *
+     * PATRÓN: Strategy - Elige la búsqueda según el formato del identificador
+     */
+    async buscarCliente(identificador) {
+        try {
+            if (!identificador || typeof identificador !== 'string' || !identificador.trim()) {
+                throw new Error('Debe indicar el ID, email o teléfono del cliente');
+            }
+
+            const termino = identificador.trim();
+            let clientes = [];
+
+            // ===== BÚSQUEDA SEGÚN TIPO DE IDENTIFICADOR =====
+            if (ObjectId.isValid(termino) && termino.length === 24) {
+                const cliente = await this.clienteRepository.getById(termino);
+                clientes = cliente ? [cliente] : [];
+            } else if (termino.includes('@')) {
+                const cliente = await this.clienteRepository.getByEmail(termino);
+                clientes = cliente ? [cliente] : [];
+            } else if (/^[\d\s\-\(\)\+]+$/.test(termino)) {
+                const cliente = await this.clienteRepository.getByTelefono(termino.replace(/^\+/, ''));
+                clientes = cliente ? [cliente] : [];
+            }
+
+            // PATRÓN: Fallback - Si no hubo coincidencia exacta, búsqueda por texto
+            if (clientes.length === 0) {
+                clientes = await this.clienteRepository.searchClients(termino);
+            }
+
+            return {
+                success: true,
+                data: clientes.map(cliente => cliente.getResumen()),
+                total: clientes.length
+            };
+        } catch (error) {
+            throw new Error(`Error al buscar cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra la entrada de un cliente al gimnasio
+     * @param {string} clienteId - ID del cliente
+     * @param {string} observaciones - Observaciones opcionales
+     * @returns {Promise<Object>} Resultado con la asistencia registrada
+     *
+     * PATRÓN: Guard Clause - Verifica cliente activo y contrato vigente antes de registrar
+     * PATRÓN: Factory - Crea la instancia de Asistencia
+     * BUENA PRÁCTICA: La entrada queda asociada al contrato que la habilitó
+     */
+    async registrarEntrada(clienteId, observaciones = '') {
+        try {
+            // ===== VALIDACIÓN DEL CLIENTE =====
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const cliente = await this.clienteRepository.getById(clienteId);
+            if (!cliente) {
+                throw new Error('Cliente no encontrado');
+            }
+            if (!cliente.activo) {
+                throw new Error('El cliente está inactivo');
+            }
+
+            // ===== VALIDACIÓN DE CONTRATO VIGENTE =====
+            // PATRÓN: Guard Clause - Solo se permite la entrada con un contrato vigente dentro de fechas
+            const contrato = await this.obtenerContratoHabilitante(clienteId);
+            if (!contrato) {
+                // Un contrato congelado no habilita la entrada hasta que se reanude
+                const congelado = (await this.contratoRepository.getByClient(clienteId)).find(c => c.estaSuspendido());
+                if (congelado) {
+                    const congelamiento = congelado.getCongelamientoActivo();
+                    throw new Error(`${cliente.getNombreCompleto()} tiene el contrato congelado${congelamiento ? ` hasta el ${dayjs(congelamiento.fechaFin).format('DD/MM/YYYY')}` : ''}. Entrada denegada`);
+                }
+                throw new Error(`${cliente.getNombreCompleto()} no tiene un contrato vigente. Entrada denegada`);
+            }
+
+            // ===== CREACIÓN Y PERSISTENCIA =====
+            const asistencia = new Asistencia({
+                clienteId: new ObjectId(clienteId),
+                contratoId: contrato.contratoId,
+                observaciones
+            });
+            const asistenciaId = await this.asistenciaRepository.create(asistencia);
+
+            return {
+                success: true,
+                asistenciaId,
+                data: {
+                    ...asistencia.getResumen(),
+                    cliente: cliente.getNombreCompleto(),
+                    contratoFin: dayjs(contrato.fechaFin).format('DD/MM/YYYY'),
+                    diasRestantesContrato: dayjs(contrato.fechaFin).diff(dayjs(), 'day')
+                },
+                mensaje: `Entrada registrada para ${cliente.getNombreCompleto()}`
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar entrada: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra la salida de un cliente que tiene una entrada abierta
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Object>} Resultado con la asistencia cerrada
+     */
+    async registrarSalida(clienteId) {
+        try {
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const abierta = await this.asistenciaRepository.getOpenByClient(clienteId);
+            if (!abierta) {
+                throw new Error('El cliente no tiene una entrada abierta');
+            }
+
+            const fechaSalida = new Date();
+            await this.asistenciaRepository.registrarSalida(abierta.asistenciaId, fechaSalida);
+            abierta.registrarSalida(fechaSalida);
+
+            return {
+                success: true,
+                data: abierta.getResumen(),
+                mensaje: `Salida registrada. Permanencia: ${abierta.getDuracionMinutos()} minutos`
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar salida: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el historial de asistencias de un cliente
+     * @param {string} clienteId - ID del cliente
+     * @param {Object} opciones - Opciones (limite)
+     * @returns {Promise<Object>} Historial y estadísticas básicas
+     */
+    async obtenerHistorialCliente(clienteId, opciones = {}) {
+        try {
+            const { limite = 50 } = opciones;
+
+            const cliente = await this.clienteRepository.getById(clienteId);
+            if (!cliente) {
+                throw new Error('Cliente no encontrado');
+            }
+
+            const [asistencias, total] = await Promise.all([
+                this.asistenciaRepository.getByClient(clienteId, { limit: limite }),
+                this.asistenciaRepository.countAsistencias({ clienteId: new ObjectId(clienteId) })
+            ]);
+
+            // ===== ESTADÍSTICAS DEL HISTORIAL =====
+            const hace30Dias = dayjs().subtract(30, 'day').toDate();
+            const cerradas = asistencias.filter(asistencia => !asistencia.estaAbierta());
+            const duracionPromedio = cerradas.length > 0
+                ? Math.round(cerradas.reduce((acc, a) => acc + a.getDuracionMinutos(), 0) / cerradas.length)
+                : 0;
+
+            return {
+                success: true,
+                cliente: cliente.getResumen(),
+                data: asistencias.map(asistencia => asistencia.getResumen()),
+                total,
+                estadisticas: {
+                    ultimos30Dias: asistencias.filter(a => a.fechaEntrada >= hace30Dias).length,
+                    duracionPromedioMinutos: duracionPromedio,
+                    ultimaVisita: asistencias.length > 0 ? asistencias[0].fechaEntrada : null
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener historial de asistencias: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la lista de asistencias de un día
+     * @param {Date|string} fecha - Día a consultar (por defecto hoy)
+     * @returns {Promise<Object>} Asistencias del día con nombre del cliente
+     */
+    async obtenerAsistenciasDelDia(fecha = new Date()) {
+        try {
+            const dia = dayjs(fecha);
+            if (!dia.isValid()) {
+                throw new Error('Fecha no válida');
+            }
+
+            const asistencias = await this.asistenciaRepository.getByDateRange(
+                dia.startOf('day').toDate(),
+                dia.add(1, 'day').startOf('day').toDate()
+            );
+
+            // ===== ENRIQUECIMIENTO CON DATOS DEL CLIENTE =====
+            const detalle = await Promise.all(asistencias.map(async (asistencia) => {
+                const cliente = await this.clienteRepository.getById(asistencia.clienteId);
+                return {
+                    ...asistencia.getResumen(),
+                    cliente: cliente ? cliente.getNombreCompleto() : 'Cliente no encontrado',
+                    email: cliente ? cliente.email : null
+                };
+            }));
+
+            return {
+                success: true,
+                fecha: dia.format('DD/MM/YYYY'),
+                data: detalle,
+                total: detalle.length,
+                enGimnasio: detalle.filter(a => a.abierta).length,
+                clientesUnicos: new Set(detalle.map(a => a.clienteId.toString())).size
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener asistencias del día: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el contrato vigente (dentro de fechas) que habilita la entrada del cliente
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Contrato|null>} Contrato vigente o null
+     * @private
+     */
+    async obtenerContratoHabilitante(clienteId) {
+        const contratos = await this.contratoRepository.getActiveContractsByClient(clienteId);
+        // Un contrato renovado por anticipado sigue habilitando la entrada hasta su fecha de fin
+        const renovados = await this.contratoRepository.getAll({ clienteId: new ObjectId(clienteId), estado: 'renovado' });
+        const hoy = new Date();
+        const vigentes = contratos
+            .filter(contrato => contrato.estaVigente())
+            .concat(renovados.filter(contrato => contrato.fechaInicio <= hoy && contrato.fechaFin >= hoy))
+            .sort((a, b) => new Date(b.fechaFin) - new Date(a.fechaFin));
+        return vigentes.length > 0 ? vigentes[0] : null;
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+module.exports = AsistenciaService;
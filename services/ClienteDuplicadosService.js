@@ -0,0 +1,414 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y utilidades
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const { ClienteRepository } = require('../repositories'); // Repositorio para operaciones de clientes
+
+/**
+ * Servicio de Detección y Fusión de Clientes Duplicados
+ * Detecta clientes repetidos (teléfono, nombre similar, variantes de email) y
+ * consolida su historial en un único cliente en lugar de eliminarlo
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio de duplicados
+ * PATRÓN: Strategy - Diferentes criterios de coincidencia entre clientes
+ * PATRÓN: Transaction - La fusión se ejecuta en una transacción
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de duplicados y fusiones
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: Este servicio SÍ maneja transacciones en la fusión de clientes
+ */
+class ClienteDuplicadosService {
+    /**
+     * Constructor del servicio de duplicados
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de clientes
+        this.clienteRepository = new ClienteRepository(db);
+    }
+
+    /**
+     * Busca posibles clientes duplicados comparando todos los clientes entre sí
+     * @param {Object} opciones - Opciones de detección
+     * @param {number} opciones.distanciaMaximaNombre - Diferencia máxima de caracteres entre nombres
+     * @returns {Promise<Object>} Parejas de posibles duplicados con los motivos
+     *
+     * PATRÓN: Strategy - Teléfono normalizado, nombre similar y variantes de email
+     * NOTA: No hay transacciones ya que solo realiza consultas de lectura
+     */
+    async buscarDuplicados(opciones = {}) {
+        try {
+            const { distanciaMaximaNombre = 2 } = opciones;
+
+            // Los clientes anonimizados comparten nombre y teléfono de relleno: no son duplicados entre sí
+            const clientes = await this.clienteRepository.getAll({ anonimizacion: { $exists: false } }, { sort: { fechaRegistro: 1 } });
+
+            // ===== PRECÁLCULO DE CLAVES NORMALIZADAS =====
+            const claves = clientes.map(cliente => ({
+                cliente,
+                telefono: this.normalizarTelefono(cliente.telefono),
+                nombre: this.normalizarTexto(`${cliente.nombre} ${cliente.apellido}`),
+                email: this.normalizarEmail(cliente.email)
+            }));
+
+            // ===== COMPARACIÓN POR PAREJAS =====
+            const parejas = [];
+            for (let i = 0; i < claves.length; i++) {
+                for (let j = i + 1; j < claves.length; j++) {
+                    const a = claves[i];
+                    const b = claves[j];
+                    const motivos = [];
+
+                    if (a.telefono && a.telefono === b.telefono) {
+                        motivos.push('Mismo teléfono');
+                    }
+                    if (a.email === b.email) {
+                        motivos.push('Variante del mismo email');
+                    }
+                    const distancia = this.distanciaLevenshtein(a.nombre, b.nombre);
+                    if (distancia === 0) {
+                        motivos.push('Mismo nombre y apellido');
+                    } else if (distancia <= distanciaMaximaNombre && a.nombre.length > 5) {
+                        motivos.push(`Nombre similar (${distancia} carácter(es) de diferencia)`);
+                    }
+
+                    if (motivos.length > 0) {
+                        // Un nombre similar por sí solo puede ser otra persona
+                        const soloNombreSimilar = motivos.length === 1 && motivos[0].startsWith('Nombre similar');
+                        parejas.push({
+                            clienteA: a.cliente.getResumen(),
+                            clienteB: b.cliente.getResumen(),
+                            motivos,
+                            confianza: motivos.length >= 2 ? 'alta' : (soloNombreSimilar ? 'baja' : 'media')
+                        });
+                    }
+                }
+            }
+
+            const orden = { alta: 0, media: 1, baja: 2 };
+            parejas.sort((x, y) => orden[x.confianza] - orden[y.confianza]);
+
+            return {
+                success: true,
+                data: parejas,
+                total: parejas.length,
+                clientesAnalizados: clientes.length
+            };
+        } catch (error) {
+            throw new Error(`Error al buscar clientes duplicados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fusiona un cliente duplicado en el cliente que se conserva
+     * @param {string|ObjectId} clienteConservadoId - Cliente que se mantiene
+     * @param {string|ObjectId} clienteDuplicadoId - Cliente que se absorbe y se elimina
+     * @returns {Promise<Object>} Resumen de los documentos movidos
+     *
+     * PATRÓN: Transaction - Todas las operaciones en una transacción
+     * PATRÓN: Unit of Work - Reasigna todas las referencias como una unidad
+     * BUENA PRÁCTICA: Conserva una traza del cliente absorbido en el cliente que queda
+     *
+     * TRANSACCIONES: Este método implementa transacciones explícitas para garantizar consistencia
+     * OPERACIONES EN TRANSACCIÓN: Reasignación de contratos, seguimientos, nutrición, pagos,
+     * finanzas, asistencias, interacciones, prospectos y referidos; unión de planes; corrección de planes.clientes,
+     * de miembros y pagador de grupos y del pagador facturado en contratos; eliminación del duplicado
+     */
+    async fusionarClientes(clienteConservadoId, clienteDuplicadoId) {
+        try {
+            // ===== VALIDACIONES =====
+            if (!ObjectId.isValid(clienteConservadoId) || !ObjectId.isValid(clienteDuplicadoId)) {
+                throw new Error('IDs de cliente no válidos');
+            }
+            if (clienteConservadoId.toString() === clienteDuplicadoId.toString()) {
+                throw new Error('No se puede fusionar un cliente consigo mismo');
+            }
+
+            const conservado = await this.clienteRepository.getById(clienteConservadoId);
+            const duplicado = await this.clienteRepository.getById(clienteDuplicadoId);
+            if (!conservado) {
+                throw new Error('Cliente a conservar no encontrado');
+            }
+            if (!duplicado) {
+                throw new Error('Cliente duplicado no encontrado');
+            }
+            // Un cliente anonimizado ya no tiene datos para identificarlo con otro
+            const anonimizados = await this.db.collection('clientes').countDocuments({
+                _id: { $in: [new ObjectId(clienteConservadoId), new ObjectId(clienteDuplicadoId)] },
+                anonimizacion: { $exists: true }
+            });
+            if (anonimizados > 0) {
+                throw new Error('No se pueden fusionar clientes anonimizados');
+            }
+
+            const conservadoId = new ObjectId(clienteConservadoId);
+            const duplicadoId = new ObjectId(clienteDuplicadoId);
+
+            // Un cliente pertenece a un solo grupo (índice único por miembro): si cada uno está
+            // en un grupo distinto, el conservado no puede heredar el grupo del duplicado
+            const grupos = await this.db.collection('grupos')
+                .find({ miembros: { $in: [conservadoId, duplicadoId] } })
+                .toArray();
+            if (grupos.length > 1) {
+                throw new Error(`Los clientes pertenecen a grupos distintos (${grupos.map(grupo => grupo.nombre).join(' y ')}): retire a uno de su grupo antes de fusionarlos`);
+            }
+
+            // Algunas colecciones pueden guardar el ID como string
+            const filtroDuplicado = { clienteId: { $in: [duplicadoId, duplicadoId.toString()] } };
+
+            // ===== INICIO DE TRANSACCIÓN =====
+            // PATRÓN: Transaction - Manejo de transacciones para operaciones críticas
+            const session = this.db.client.startSession();
+
+            try {
+                let resultado;
+
+                await session.withTransaction(async () => {
+                    const movidos = {};
+
+                    // ===== OPERACIÓN 1: REASIGNAR DOCUMENTOS RELACIONADOS =====
+                    for (const coleccion of ['contratos', 'seguimientos', 'nutricion', 'pagos', 'finanzas', 'asistencias', 'interacciones', 'prospectos', 'sesiones_entrenamiento', 'lista_espera']) {
+                        const res = await this.db.collection(coleccion).updateMany(
+                            filtroDuplicado,
+                            { $set: { clienteId: conservadoId } },
+                            { session }
+                        );
+                        movidos[coleccion] = res.modifiedCount;
+                    }
+
+                    // ===== OPERACIÓN 1B: REASIGNAR REFERIDOS =====
+                    movidos.referidos = await this.reasignarReferidos(conservadoId, duplicadoId, session);
+
+                    // ===== OPERACIÓN 2: UNIR ARRAYS DE PLANES =====
+                    const planesDuplicado = (duplicado.planes || []).map(planId => new ObjectId(planId));
+                    await this.db.collection('clientes').updateOne(
+                        { _id: conservadoId },
+                        {
+                            $addToSet: { planes: { $each: planesDuplicado } },
+                            $push: {
+                                clientesFusionados: {
+                                    clienteId: duplicadoId,
+                                    nombre: duplicado.getNombreCompleto(),
+                                    email: duplicado.email,
+                                    telefono: duplicado.telefono,
+                                    fechaRegistro: duplicado.fechaRegistro,
+                                    fechaFusion: new Date()
+                                }
+                            }
+                        },
+                        { session }
+                    );
+
+                    // ===== OPERACIÓN 3: CORREGIR REFERENCIAS EN planes.clientes =====
+                    // $addToSet y $pull sobre el mismo campo requieren dos actualizaciones
+                    const planesAfectados = await this.db.collection('planes').updateMany(
+                        { clientes: duplicadoId },
+                        { $addToSet: { clientes: conservadoId } },
+                        { session }
+                    );
+                    await this.db.collection('planes').updateMany(
+                        { clientes: duplicadoId },
+                        { $pull: { clientes: duplicadoId } },
+                        { session }
+                    );
+
+                    // ===== OPERACIÓN 3B: CORREGIR REFERENCIAS EN GRUPOS =====
+                    // El duplicado se elimina: un pagador o miembro que apunte a él dejaría al grupo sin titular
+                    const gruposAfectados = await this.db.collection('grupos').updateMany(
+                        { miembros: duplicadoId },
+                        { $addToSet: { miembros: conservadoId } },
+                        { session }
+                    );
+                    await this.db.collection('grupos').updateMany(
+                        { miembros: duplicadoId },
+                        { $pull: { miembros: duplicadoId } },
+                        { session }
+                    );
+                    // El pagador siempre es miembro: su grupo ya quedó contado en gruposAfectados
+                    await this.db.collection('grupos').updateMany(
+                        { pagadorId: duplicadoId },
+                        { $set: { pagadorId: conservadoId } },
+                        { session }
+                    );
+                    await this.db.collection('contratos').updateMany(
+                        { 'facturacionGrupo.pagadorId': duplicadoId },
+                        { $set: { 'facturacionGrupo.pagadorId': conservadoId } },
+                        { session }
+                    );
+
+                    // ===== OPERACIÓN 4: ELIMINAR CLIENTE DUPLICADO =====
+                    await this.db.collection('clientes').deleteOne({ _id: duplicadoId }, { session });
+
+                    resultado = {
+                        success: true,
+                        clienteId: conservadoId,
+                        data: {
+                            movidos,
+                            planesUnidos: planesDuplicado.length,
+                            planesCorregidos: planesAfectados.modifiedCount,
+                            gruposCorregidos: gruposAfectados.modifiedCount
+                        },
+                        mensaje: `${duplicado.getNombreCompleto()} fusionado en ${conservado.getNombreCompleto()}`
+                    };
+                });
+
+                // ===== ADVERTENCIA DE CONTRATOS VIGENTES REPETIDOS =====
+                resultado.advertencias = await this.detectarContratosVigentesRepetidos(conservadoId);
+
+                return resultado;
+            } finally {
+                // ===== FIN DE TRANSACCIÓN =====
+                await session.endSession();
+            }
+        } catch (error) {
+            throw new Error(`Error al fusionar clientes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reasigna las referencias del programa de referidos al cliente conservado
+     * @param {ObjectId} conservadoId - Cliente que se mantiene
+     * @param {ObjectId} duplicadoId - Cliente que se absorbe
+     * @param {ClientSession} session - Sesión de la transacción de fusión
+     * @returns {Promise<number>} Cantidad de referencias reasignadas
+     * @private
+     *
+     * NOTA: Se descartan las referencias que quedarían entre el mismo cliente y, si ambos
+     * clientes fueron referidos, se conserva la referencia del cliente que se mantiene
+     */
+    async reasignarReferidos(conservadoId, duplicadoId, session) {
+        const referidos = this.db.collection('referidos');
+
+        // Referencias entre los dos clientes fusionados dejarían al cliente referido por sí mismo
+        await referidos.deleteMany({
+            $or: [
+                { referidorId: duplicadoId, referidoClienteId: conservadoId },
+                { referidorId: conservadoId, referidoClienteId: duplicadoId }
+            ]
+        }, { session });
+        await this.db.collection('clientes').updateOne(
+            { _id: conservadoId, referidoPor: duplicadoId },
+            { $set: { referidoPor: null } },
+            { session }
+        );
+
+        // El índice único por cliente referido admite una sola referencia para el conservado
+        const referenciaConservado = await referidos.findOne({ referidoClienteId: conservadoId }, { session });
+        if (referenciaConservado) {
+            await referidos.deleteMany({ referidoClienteId: duplicadoId }, { session });
+        } else {
+            const referenciaDuplicado = await referidos.findOneAndUpdate(
+                { referidoClienteId: duplicadoId },
+                { $set: { referidoClienteId: conservadoId } },
+                { session }
+            );
+            if (referenciaDuplicado) {
+                await this.db.collection('clientes').updateOne(
+                    { _id: conservadoId },
+                    { $set: { referidoPor: referenciaDuplicado.referidorId } },
+                    { session }
+                );
+            }
+        }
+
+        const comoReferidor = await referidos.updateMany(
+            { referidorId: duplicadoId },
+            { $set: { referidorId: conservadoId } },
+            { session }
+        );
+        await this.db.collection('clientes').updateMany(
+            { referidoPor: duplicadoId },
+            { $set: { referidoPor: conservadoId } },
+            { session }
+        );
+
+        return comoReferidor.modifiedCount;
+    }
+
+    /**
+     * Detecta planes con más de un contrato vigente tras una fusión
+     * @param {ObjectId} clienteId - ID del cliente resultante
+     * @returns {Promise<string[]>} Advertencias para revisión manual
+     * @private
+     */
+    async detectarContratosVigentesRepetidos(clienteId) {
+        const repetidos = await this.db.collection('contratos').aggregate([
+            { $match: { clienteId, estado: 'vigente' } },
+            { $group: { _id: '$planId', total: { $sum: 1 } } },
+            { $match: { total: { $gt: 1 } } }
+        ]).toArray();
+
+        return repetidos.map(r => `El plan ${r._id} tiene ${r.total} contratos vigentes; revise y cancele los sobrantes`);
+    }
+
+    /**
+     * Normaliza un teléfono a sus últimos 10 dígitos (ignora prefijos de país)
+     * @param {string} telefono - Teléfono original
+     * @returns {string} Teléfono normalizado
+     * @private
+     */
+    normalizarTelefono(telefono) {
+        const digitos = String(telefono || '').replace(/\D/g, '');
+        return digitos.length > 10 ? digitos.slice(-10) : digitos;
+    }
+
+    /**
+     * Normaliza un texto: minúsculas, sin acentos y espacios simples
+     * @param {string} texto - Texto original
+     * @returns {string} Texto normalizado
+     * @private
+     */
+    normalizarTexto(texto) {
+        return String(texto || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Normaliza un email para detectar variantes (mayúsculas, +etiquetas, puntos en Gmail)
+     * @param {string} email - Email original
+     * @returns {string} Email canónico
+     * @private
+     */
+    normalizarEmail(email) {
+        const [local = '', dominio = ''] = String(email || '').toLowerCase().trim().split('@');
+        let usuario = local.split('+')[0];
+        const dominioCanonico = dominio === 'googlemail.com' ? 'gmail.com' : dominio;
+        if (dominioCanonico === 'gmail.com') {
+            usuario = usuario.replace(/\./g, '');
+        }
+        return `${usuario}@${dominioCanonico}`;
+    }
+
+    /**
+     * Calcula la distancia de edición entre dos textos
+     * @param {string} a - Primer texto
+     * @param {string} b - Segundo texto
+     * @returns {number} Número mínimo de ediciones
+     * @private
+     */
+    distanciaLevenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let anterior = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const actual = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+                actual[j] = Math.min(actual[j - 1] + 1, anterior[j] + 1, anterior[j - 1] + costo);
+            }
+            anterior = actual;
+        }
+        return anterior[b.length];
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+module.exports = ClienteDuplicadosService;
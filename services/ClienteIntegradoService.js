@@ -90,6 +90,9 @@ class ClienteIntegradoService {
                 // Información básica del cliente usando método del modelo
                 // PATRÓN: Encapsulation - Usa métodos del modelo para obtener resumen
                 cliente: cliente.getResumen(),
+
+                // Perfil de salud y resultado del PAR-Q (null si no está registrado)
+                perfilSalud: cliente.getResumenSalud(),
                 
                 // Transformación de contratos a formato de respuesta
                 // PATRÓN: Mapper - Transforma entidades de dominio a DTOs
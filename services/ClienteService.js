@@ -5,6 +5,7 @@
 const { Cliente } = require('../models'); // Modelo de dominio para entidad Cliente
 const { ClienteRepository } = require('../repositories'); // Repositorio para operaciones CRUD de clientes
 const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas (cuotas a vencer)
 
 /**
  * Servicio de Clientes - Lógica de negocio para gestión de clientes
@@ -70,16 +71,36 @@ class ClienteService {
                 throw new Error('Ya existe un cliente registrado con este email');
             }
 
+            // ===== VALIDACIÓN DEL CLIENTE QUE REFIERE =====
+            // PATRÓN: Guard Clause - El referido se registra solo si quien refiere es válido
+            const { referidoPor, ...datosNuevoCliente } = dataCliente;
+            if (referidoPor) {
+                if (!ObjectId.isValid(referidoPor)) {
+                    throw new Error('ID del cliente que refiere no es válido');
+                }
+                const [referidor] = await this.clienteRepository.getAll({ _id: new ObjectId(referidoPor) }, { limit: 1 });
+                if (!referidor || !referidor.activo) {
+                    throw new Error('El cliente que refiere no existe o está inactivo');
+                }
+            }
+
             // ===== CREACIÓN DE ENTIDAD DE DOMINIO =====
             // PATRÓN: Factory - Creación de instancia de Cliente
             // PATRÓN: Domain Model - Uso de entidad de dominio con validaciones
             // PRINCIPIO SOLID S: Delegación de responsabilidad de validación al modelo
-            const cliente = new Cliente(dataCliente);
+            const cliente = new Cliente(datosNuevoCliente);
             
             // ===== PERSISTENCIA =====
             // PATRÓN: Repository - Abstrae la operación de inserción
             // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
             const clienteId = await this.clienteRepository.create(cliente);
+
+            // ===== REGISTRO DE REFERIDO =====
+            // PATRÓN: Service Layer - El programa de referidos registra la referencia
+            if (referidoPor) {
+                const ReferidoService = require('./ReferidoService');
+                await new ReferidoService(this.db).registrarReferido(referidoPor, clienteId);
+            }
             
             // ===== OBTENCIÓN DE DATOS COMPLETOS =====
             // BUENA PRÁCTICA: Obtener datos completos después de inserción
@@ -276,6 +297,7 @@ class ClienteService {
      * Elimina un cliente con validaciones de seguridad
      * @param {string} id - ID del cliente a eliminar
      * @param {boolean} forzarEliminacion - Si debe forzar la eliminación
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo })
      * @returns {Promise<Object>} Resultado de la eliminación
      * @throws {Error} Si hay dependencias activas
      * 
@@ -286,10 +308,10 @@ class ClienteService {
      * PRINCIPIO SOLID S: Responsabilidad Única - Solo se encarga de eliminar clientes
      * PRINCIPIO SOLID O: Abierto/Cerrado - Extensible para nuevas validaciones
      * 
-     * NOTA: No hay transacciones explícitas aquí, cada operación es independiente
-     * POSIBLE MEJORA: Implementar transacciones para garantizar consistencia
+     * TRANSACCIONES: El cliente y sus seguimientos y planes nutricionales se envían a la
+     * papelera en una sola transacción; si algo falla no queda ningún registro huérfano
      */
-    async eliminarCliente(id, forzarEliminacion = false) {
+    async eliminarCliente(id, forzarEliminacion = false, datosEliminacion = {}) {
         try {
             // ===== VALIDACIÓN DE ID =====
             // PATRÓN: Guard Clause - Validación temprana de ID
@@ -313,14 +335,32 @@ class ClienteService {
             // PRINCIPIO SOLID S: Separación de responsabilidades - validación delegada
             await this.validarEliminacionCliente(cliente, forzarEliminacion);
 
-            // ===== ELIMINACIÓN EN BASE DE DATOS =====
-            // PATRÓN: Repository - Abstrae la operación de eliminación
-            // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
-            const eliminado = await this.clienteRepository.delete(id);
-            
-            // PATRÓN: Guard Clause - Validación de resultado de eliminación
-            if (!eliminado) {
-                throw new Error('No se pudo eliminar el cliente');
+            // ===== INICIO DE TRANSACCIÓN =====
+            // PATRÓN: Transaction - El cliente y sus relacionados se envían a la papelera como una unidad
+            const PapeleraService = require('./PapeleraService');
+            const papeleraService = new PapeleraService(this.db);
+            const session = this.db.client.startSession();
+            let relacionados;
+
+            try {
+                await session.withTransaction(async () => {
+                    // ===== ELIMINACIÓN EN BASE DE DATOS =====
+                    // PATRÓN: Repository - Abstrae la operación de eliminación
+                    // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
+                    const eliminado = await this.clienteRepository.delete(id, datosEliminacion, { session });
+
+                    // PATRÓN: Guard Clause - Validación de resultado de eliminación
+                    if (!eliminado) {
+                        throw new Error('No se pudo eliminar el cliente');
+                    }
+
+                    // ===== ENVÍO DE REGISTROS RELACIONADOS A LA PAPELERA =====
+                    // PATRÓN: Soft Delete - Se restauran junto con el cliente desde la papelera
+                    relacionados = await papeleraService.eliminarRelacionados('cliente', id, datosEliminacion, { session });
+                });
+            } finally {
+                // ===== FIN DE TRANSACCIÓN =====
+                await session.endSession();
             }
 
             // ===== CONSTRUCCIÓN DE RESPUESTA =====
@@ -328,8 +368,9 @@ class ClienteService {
             // PATRÓN: Builder - Construcción paso a paso del objeto de respuesta
             return {
                 success: true, // Indicador de éxito de la operación
-                message: 'Cliente eliminado exitosamente', // Mensaje descriptivo
-                clienteEliminado: cliente.getResumen() // Datos del cliente eliminado
+                message: 'Cliente enviado a la papelera exitosamente', // Mensaje descriptivo
+                clienteEliminado: cliente.getResumen(), // Datos del cliente eliminado
+                relacionados // Registros enviados a la papelera junto con el cliente
             };
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
@@ -377,6 +418,11 @@ class ClienteService {
                 throw new Error('El cliente ya tiene este plan asignado');
             }
 
+            // Verificar que el plan tenga cupo (con el plan completo se ofrece la lista de espera)
+            const ListaEsperaService = require('./ListaEsperaService');
+            const listaEsperaService = new ListaEsperaService(this.db);
+            await listaEsperaService.asegurarCupo(plan, clienteId);
+
             // Asociar el plan al cliente
             const asociado = await this.clienteRepository.addPlanToClient(clienteId, planId);
             
@@ -386,6 +432,7 @@ class ClienteService {
 
             // También agregar el cliente al plan
             await planRepository.addClientToPlan(planId, clienteId);
+            await listaEsperaService.registrarInscripcion(planId, clienteId);
 
             return {
                 success: true,
@@ -435,9 +482,16 @@ class ClienteService {
             const planRepository = new PlanEntrenamientoRepository(this.db);
             await planRepository.removeClientFromPlan(planId, clienteId);
 
+            // El cupo liberado pasa al siguiente cliente en espera
+            const ListaEsperaService = require('./ListaEsperaService');
+            const promovidos = await new ListaEsperaService(this.db).liberarCupo(
+                planId, `Cupo liberado por la baja de ${cliente.getNombreCompleto()}`
+            );
+
             return {
                 success: true,
                 message: 'Plan desasociado del cliente exitosamente',
+                promovidos,
                 clienteId: clienteId,
                 planId: planId
             };
@@ -570,6 +624,382 @@ class ClienteService {
         }
     }
 
+    /**
+     * Obtiene el perfil de salud de un cliente
+     * @param {string} id - ID del cliente
+     * @returns {Promise<Object>} Perfil de salud resumido (null si no tiene)
+     */
+    async obtenerPerfilSalud(id) {
+        try {
+            const cliente = await this.obtenerClienteParaPerfil(id);
+
+            return {
+                success: true,
+                data: cliente.getResumenSalud(),
+                cliente: cliente.getResumen()
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener perfil de salud: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza los datos del perfil de salud conservando el PAR-Q registrado
+     * @param {string} id - ID del cliente
+     * @param {Object} datosPerfil - contactoEmergencia, estaturaCm, fechaNacimiento, sexo, lesiones, medicamentos
+     * @returns {Promise<Object>} Perfil de salud actualizado
+     *
+     * PATRÓN: Domain Model - El modelo Cliente valida y normaliza el perfil
+     */
+    async actualizarPerfilSalud(id, datosPerfil) {
+        try {
+            const cliente = await this.obtenerClienteParaPerfil(id);
+
+            // El PAR-Q solo se modifica con registrarCuestionarioParq
+            const datos = { ...(datosPerfil || {}) };
+            delete datos.parq;
+            cliente.perfilSalud = {
+                ...(cliente.perfilSalud || {}),
+                ...datos
+            };
+            cliente.validatePerfilSalud();
+
+            await this.clienteRepository.update(id, { perfilSalud: cliente.perfilSalud });
+
+            return {
+                success: true,
+                data: cliente.getResumenSalud(),
+                message: 'Perfil de salud actualizado exitosamente'
+            };
+        } catch (error) {
+            throw new Error(`Error al actualizar perfil de salud: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra el cuestionario PAR-Q del cliente y guarda su resultado
+     * @param {string} id - ID del cliente
+     * @param {Object} respuestas - Respuestas booleanas por clave de pregunta (Cliente.PREGUNTAS_PARQ)
+     * @returns {Promise<Object>} Resultado del cuestionario ('apto' o 'riesgo')
+     */
+    async registrarCuestionarioParq(id, respuestas) {
+        try {
+            const cliente = await this.obtenerClienteParaPerfil(id);
+            cliente.registrarParq(respuestas);
+
+            await this.clienteRepository.update(id, { perfilSalud: cliente.perfilSalud });
+
+            const resultado = cliente.perfilSalud.parq.resultado;
+            return {
+                success: true,
+                data: cliente.getResumenSalud(),
+                resultado,
+                message: resultado === 'riesgo'
+                    ? 'PAR-Q registrado: el cliente requiere autorización médica antes de iniciar un plan'
+                    : 'PAR-Q registrado: el cliente está apto para la actividad física'
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar cuestionario PAR-Q: ${error.message}`);
+        }
+    }
+
+    /**
+     * Marca como resuelto el riesgo PAR-Q de un cliente (autorización médica)
+     * @param {string} id - ID del cliente
+     * @param {Object} resolucion - { autorizadoPor, observaciones }
+     * @returns {Promise<Object>} Perfil de salud actualizado
+     */
+    async resolverRiesgoSalud(id, resolucion) {
+        try {
+            const cliente = await this.obtenerClienteParaPerfil(id);
+            cliente.resolverRiesgoParq(resolucion || {});
+
+            await this.clienteRepository.update(id, { perfilSalud: cliente.perfilSalud });
+
+            return {
+                success: true,
+                data: cliente.getResumenSalud(),
+                message: 'Riesgo de salud marcado como resuelto'
+            };
+        } catch (error) {
+            throw new Error(`Error al resolver riesgo de salud: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la instancia de Cliente para operaciones del perfil de salud
+     * @param {string} id - ID del cliente
+     * @returns {Promise<Cliente>} Cliente encontrado
+     * @private
+     */
+    async obtenerClienteParaPerfil(id) {
+        if (!ObjectId.isValid(id)) {
+            throw new Error('ID del cliente no es válido');
+        }
+        const cliente = await this.clienteRepository.getById(id);
+        if (!cliente) {
+            throw new Error('Cliente no encontrado');
+        }
+        return cliente;
+    }
+
+    /**
+     * Lee un archivo CSV o JSON con clientes a importar
+     * @param {string} rutaArchivo - Ruta del archivo (.csv o .json)
+     * @returns {Array<Object>} Registros con los campos del cliente
+     * @throws {Error} Si el archivo no existe o su formato no es soportado
+     *
+     * PATRÓN: Strategy - Estrategia de lectura según la extensión del archivo
+     * PATRÓN: Mapper - Normaliza las cabeceras del archivo a los campos del modelo
+     */
+    leerArchivoImportacion(rutaArchivo) {
+        const fs = require('fs');
+        const path = require('path');
+
+        try {
+            // ===== VALIDACIÓN DEL ARCHIVO =====
+            if (!rutaArchivo || !fs.existsSync(rutaArchivo)) {
+                throw new Error('El archivo no existe');
+            }
+
+            const extension = path.extname(rutaArchivo).toLowerCase();
+            // Eliminar BOM que añaden algunas hojas de cálculo
+            const contenido = fs.readFileSync(rutaArchivo, 'utf8').replace(/^\uFEFF/, '');
+
+            // ===== LECTURA SEGÚN FORMATO =====
+            let registros;
+            if (extension === '.json') {
+                const datos = JSON.parse(contenido);
+                registros = Array.isArray(datos) ? datos : datos.clientes;
+                if (!Array.isArray(registros)) {
+                    throw new Error('El JSON debe ser un array de clientes o un objeto con la propiedad "clientes"');
+                }
+            } else if (extension === '.csv') {
+                registros = this.parsearCSV(contenido);
+            } else {
+                throw new Error('Formato no soportado. Use archivos .csv o .json');
+            }
+
+            // ===== NORMALIZACIÓN DE CAMPOS =====
+            return registros.map(registro => this.normalizarRegistroImportacion(registro));
+        } catch (error) {
+            throw new Error(`Error al leer archivo de importación: ${error.message}`);
+        }
+    }
+
+    /**
+     * Importa clientes de forma masiva con reporte por fila
+     * @param {Array<Object>} registros - Registros leídos del archivo
+     * @param {Object} opciones - Opciones de importación
+     * @param {boolean} opciones.simulacion - Si es true solo valida, no escribe nada (dry-run)
+     * @returns {Promise<Object>} Reporte por fila y resumen de la importación
+     *
+     * PATRÓN: Template Method - Valida todas las filas antes de escribir
+     * PATRÓN: Data Transfer Object (DTO) - Retorna reporte estructurado por fila
+     * BUENA PRÁCTICA: Aplica las mismas reglas que crearCliente (servicio + modelo)
+     *
+     * NOTA: Sin transacciones; en modo inserción solo se escriben las filas válidas
+     * y cada fila se inserta de forma independiente para no perder las demás
+     */
+    async importarClientes(registros, opciones = {}) {
+        try {
+            const { simulacion = true } = opciones;
+
+            if (!Array.isArray(registros) || registros.length === 0) {
+                throw new Error('No hay registros para importar');
+            }
+
+            // ===== VALIDACIÓN DE TODAS LAS FILAS =====
+            // PATRÓN: Guard Clause - Ninguna fila se escribe antes de validar el archivo completo
+            const emailsEnArchivo = new Map();
+            const reporte = [];
+
+            for (let i = 0; i < registros.length; i++) {
+                const fila = i + 1;
+                const datos = { ...registros[i] };
+                const entrada = {
+                    fila,
+                    nombre: datos.nombre ? `${datos.nombre} ${datos.apellido || ''}`.trim() : '',
+                    email: datos.email || '',
+                    estado: 'aceptado',
+                    motivo: null
+                };
+
+                try {
+                    // Mismas reglas que crearCliente: servicio y modelo de dominio
+                    await this.validarDatosCliente(datos);
+                    const cliente = new Cliente(datos);
+                    entrada.email = cliente.email;
+
+                    if (emailsEnArchivo.has(cliente.email)) {
+                        entrada.estado = 'duplicado';
+                        entrada.motivo = `Email duplicado en el archivo (fila ${emailsEnArchivo.get(cliente.email)})`;
+                    } else {
+                        emailsEnArchivo.set(cliente.email, fila);
+                        const existente = await this.clienteRepository.getByEmail(cliente.email);
+                        if (existente) {
+                            entrada.estado = 'duplicado';
+                            entrada.motivo = 'Email ya registrado en el sistema';
+                        } else {
+                            entrada.datos = datos;
+                        }
+                    }
+                } catch (error) {
+                    entrada.estado = 'invalido';
+                    entrada.motivo = error.message;
+                }
+
+                reporte.push(entrada);
+            }
+
+            // ===== INSERCIÓN DE FILAS VÁLIDAS =====
+            // PATRÓN: Strategy - Dry-run vs inserción de solo filas válidas
+            if (!simulacion) {
+                for (const entrada of reporte.filter(e => e.estado === 'aceptado')) {
+                    try {
+                        const resultado = await this.crearCliente(entrada.datos);
+                        entrada.estado = 'insertado';
+                        entrada.clienteId = resultado.clienteId;
+                    } catch (error) {
+                        entrada.estado = 'error';
+                        entrada.motivo = error.message;
+                    }
+                }
+            }
+
+            // ===== CONSTRUCCIÓN DEL RESUMEN =====
+            const contar = estado => reporte.filter(e => e.estado === estado).length;
+            reporte.forEach(entrada => delete entrada.datos);
+
+            return {
+                success: true,
+                simulacion,
+                data: reporte,
+                resumen: {
+                    total: reporte.length,
+                    aceptados: contar('aceptado'),
+                    insertados: contar('insertado'),
+                    duplicados: contar('duplicado'),
+                    invalidos: contar('invalido'),
+                    errores: contar('error')
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al importar clientes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convierte el contenido de un CSV en objetos usando la primera fila como cabecera
+     * Admite separador coma o punto y coma y campos entre comillas (que pueden contener saltos de línea)
+     * @param {string} contenido - Contenido del archivo CSV
+     * @returns {Array<Object>} Registros del CSV
+     * @private
+     */
+    parsearCSV(contenido) {
+        const primeraLinea = contenido.split(/\r?\n/, 1)[0];
+        const separador = primeraLinea.split(';').length > primeraLinea.split(',').length ? ';' : ',';
+
+        // ===== LECTURA CARÁCTER POR CARÁCTER =====
+        // El estado de las comillas se conserva entre líneas: un salto de línea dentro
+        // de un campo entre comillas es parte del valor y no corta la fila
+        const filas = [];
+        let fila = [];
+        let actual = '';
+        let entreComillas = false;
+
+        const cerrarFila = () => {
+            fila.push(actual.trim());
+            if (fila.some(valor => valor.length > 0)) {
+                filas.push(fila);
+            }
+            fila = [];
+            actual = '';
+        };
+
+        for (let i = 0; i < contenido.length; i++) {
+            const caracter = contenido[i];
+            if (caracter === '"') {
+                if (entreComillas && contenido[i + 1] === '"') {
+                    actual += '"';
+                    i++;
+                } else {
+                    entreComillas = !entreComillas;
+                }
+            } else if (entreComillas) {
+                actual += caracter;
+            } else if (caracter === separador) {
+                fila.push(actual.trim());
+                actual = '';
+            } else if (caracter === '\n' || caracter === '\r') {
+                if (caracter === '\r' && contenido[i + 1] === '\n') {
+                    i++;
+                }
+                cerrarFila();
+            } else {
+                actual += caracter;
+            }
+        }
+        if (entreComillas) {
+            throw new Error('El CSV tiene un campo entre comillas sin cerrar');
+        }
+        cerrarFila();
+
+        if (filas.length < 2) {
+            throw new Error('El CSV debe tener una fila de cabecera y al menos una fila de datos');
+        }
+
+        const cabeceras = filas[0];
+        return filas.slice(1).map(valores => {
+            const registro = {};
+            cabeceras.forEach((cabecera, index) => {
+                registro[cabecera] = valores[index] !== undefined ? valores[index] : '';
+            });
+            return registro;
+        });
+    }
+
+    /**
+     * Normaliza un registro importado a los campos que espera el modelo Cliente
+     * @param {Object} registro - Registro con cabeceras libres (Nombre, Teléfono, etc.)
+     * @returns {Object} Datos del cliente
+     * @private
+     */
+    normalizarRegistroImportacion(registro) {
+        const normalizarClave = clave => String(clave)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z]/g, '');
+
+        const alias = {
+            nombre: 'nombre', nombres: 'nombre',
+            apellido: 'apellido', apellidos: 'apellido',
+            email: 'email', correo: 'email', correoelectronico: 'email',
+            telefono: 'telefono', celular: 'telefono', movil: 'telefono',
+            activo: 'activo'
+        };
+
+        const datos = {};
+        for (const [clave, valor] of Object.entries(registro || {})) {
+            const campo = alias[normalizarClave(clave)];
+            if (campo) {
+                datos[campo] = typeof valor === 'string' ? valor.trim() : valor;
+            }
+        }
+
+        if (datos.telefono !== undefined && datos.telefono !== null) {
+            datos.telefono = String(datos.telefono);
+        }
+        if (typeof datos.activo === 'string') {
+            datos.activo = !['false', 'no', '0', 'inactivo'].includes(datos.activo.toLowerCase());
+        } else if (datos.activo === undefined) {
+            delete datos.activo;
+        }
+
+        return datos;
+    }
+
     /**
      * Valida los datos del cliente antes de crear
      * @param {Object} dataCliente - Datos del cliente
@@ -688,7 +1118,11 @@ class ClienteService {
         // PRINCIPIO SOLID D: Depende de abstracción ContratoRepository
         const { ContratoRepository } = require('../repositories');
         const contratoRepository = new ContratoRepository(this.db);
-        const contratosActivos = await contratoRepository.getActiveContractsByClient(cliente.clienteId);
+        // Los contratos congelados también cuentan: la eliminación del repositorio los rechaza
+        const contratosActivos = await contratoRepository.getAll({
+            clienteId: cliente.clienteId,
+            estado: { $in: ['vigente', 'suspendido'] }
+        });
         
         if (contratosActivos.length > 0) {
             if (!forzarEliminacion) {
@@ -699,36 +1133,21 @@ class ClienteService {
             // PATRÓN: Rollback - Cancelación de contratos antes de eliminar cliente
             // PATRÓN: Parallel Processing - Optimización con Promise.all
             // BUENA PRÁCTICA: Cancelar todos los contratos antes de eliminar cliente
-            const cancelaciones = contratosActivos.map(contrato => 
-                contratoRepository.cancelContract(contrato.contratoId.toString())
-            );
+            // Las cuotas a vencer de cada contrato se cancelan con él; las vencidas siguen siendo deuda
+            const FinanzasService = require('./FinanzasService');
+            const finanzasService = new FinanzasService(this.db);
+            const cancelaciones = contratosActivos.map(async contrato => {
+                await contratoRepository.cancelContract(contrato.contratoId.toString());
+                await finanzasService.cancelarCuotasPendientes(
+                    contrato.contratoId,
+                    'Contrato cancelado: eliminación del cliente',
+                    { desde: dayjs().startOf('day').toDate() }
+                );
+            });
             await Promise.all(cancelaciones);
 
-            // ===== ROLLBACK DE SEGUIMIENTOS =====
-            // PATRÓN: Rollback - Eliminación de seguimientos con rollback
-            // PATRÓN: Circuit Breaker - Manejo de errores en rollback
-            // PATRÓN: Repository - Acceso a datos a través de abstracción
-            const { SeguimientoRepository } = require('../repositories');
-            const seguimientoRepository = new SeguimientoRepository(this.db);
-            
-            try {
-                // PATRÓN: Rollback - Eliminación con registro de rollback
-                const rollbackSeguimientos = await seguimientoRepository.deleteFollowUpsByClientWithRollback(
-                    cliente.clienteId, 
-                    `Eliminación de cliente: ${cliente.nombreCompleto}`
-                );
-                
-                // PATRÓN: Guard Clause - Validación de resultado de rollback
-                if (rollbackSeguimientos.success && rollbackSeguimientos.eliminados > 0) {
-                    console.log(`✅ Rollback completado: ${rollbackSeguimientos.eliminados} seguimientos eliminados del cliente`);
-                }
-            } catch (rollbackError) {
-                // ===== MANEJO DE ERRORES EN ROLLBACK =====
-                // PATRÓN: Circuit Breaker - Continúa ejecución aunque falle rollback
-                // PATRÓN: Error Logging - Registro de errores para debugging
-                // BUENA PRÁCTICA: No fallar la eliminación por errores en rollback
-                console.log(`⚠️ Error en rollback de seguimientos: ${rollbackError.message}`);
-            }
+            // NOTA: Los seguimientos no se borran aquí; eliminarCliente los envía a la papelera
+            // junto con el cliente para poder restaurarlos
         }
     }
 }
@@ -8,6 +8,14 @@ const ContratoRepository = require('../repositories/ContratoRepository'); // Rep
 const ClienteRepository = require('../repositories/ClienteRepository'); // Repositorio para operaciones de clientes
 const PlanEntrenamientoRepository = require('../repositories/PlanEntrenamientoRepository'); // Repositorio para operaciones de planes
 const FinanzasRepository = require('../repositories/FinanzasRepository'); // Repositorio para operaciones financieras
+const GrupoRepository = require('../repositories/GrupoRepository'); // Repositorio para grupos familiares y corporativos
+const PagoRepository = require('../repositories/PagoRepository'); // Repositorio para las cuotas del contrato
+const ReferidoService = require('./ReferidoService'); // Servicio del programa de referidos (crédito por primer contrato)
+const ListaEsperaService = require('./ListaEsperaService'); // Cupo de los planes y lista de espera
+const TarifaService = require('./TarifaService'); // Catálogo de precios de los planes
+const FinanzasService = require('./FinanzasService'); // Cuotas del cronograma de pagos
+const config = require('../config'); // Configuración central (máximo de días de congelamiento)
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
 
 /**
  * Servicio para gestión de contratos
@@ -43,11 +51,28 @@ class ContratoService {
         // PATRÓN: Repository - Abstrae el acceso a datos financieros
         // PRINCIPIO SOLID D: Depende de abstracción FinanzasRepository
         this.finanzasRepository = new FinanzasRepository(db);
+        // PATRÓN: Repository - Abstrae el acceso a datos de grupos
+        // PRINCIPIO SOLID D: Depende de abstracción GrupoRepository
+        this.grupoRepository = new GrupoRepository(db);
+        // PATRÓN: Repository - Abstrae el acceso a los pagos (cuotas) del contrato
+        this.pagoRepository = new PagoRepository(db);
+        // PATRÓN: Service Layer - Otorga el crédito de referidos al crear el primer contrato
+        this.referidoService = new ReferidoService(db);
+        // PATRÓN: Service Layer - Verifica el cupo y promueve la lista de espera al liberarse un lugar
+        this.listaEsperaService = new ListaEsperaService(db);
+        // PATRÓN: Service Layer - Propone el precio de lista según la tarifa vigente del plan
+        this.tarifaService = new TarifaService(db);
+        // PATRÓN: Service Layer - Materializa y ajusta las cuotas del cronograma de pagos
+        this.finanzasService = new FinanzasService(db);
     }
 
     /**
      * Crea un nuevo contrato con validaciones de negocio
      * @param {Object} datosContrato - Datos del contrato a crear
+     * @param {boolean} [datosContrato.aplicarDescuentoGrupo=true] - Aplica el descuento del grupo del cliente sobre el precio
+     * @param {boolean} [datosContrato.facturarAPagador] - Factura al pagador del grupo (por defecto, según el grupo)
+     * @param {string} [datosContrato.modalidadPago='contado'] - contado, mensual o personalizado (con registrarPago es siempre contado)
+     * @param {Array} [datosContrato.cuotas] - Cuotas del cronograma personalizado ({ fechaVencimiento, monto? })
      * @returns {Promise<Object>} Resultado de la operación
      * 
      * PATRÓN: Template Method - Define el flujo estándar de creación de contratos
@@ -60,7 +85,7 @@ class ContratoService {
      * TRANSACCIONES: Este método implementa transacciones explícitas para garantizar consistencia
      * INICIO TRANSACCIÓN: Línea 74 - session.startSession()
      * FIN TRANSACCIÓN: Línea 108 - session.endSession()
-     * OPERACIONES EN TRANSACCIÓN: Creación de contrato, asociaciones y registro financiero
+     * OPERACIONES EN TRANSACCIÓN: Creación de contrato, asociaciones, registro financiero y cuotas del cronograma
      */
     async crearContrato(datosContrato) {
         try {
@@ -90,20 +115,32 @@ class ContratoService {
                 datosContrato.planId
             );
             // PATRÓN: Guard Clause - Validación de unicidad
-            const contratoVigente = contratosExistentes.find(c => c.estado === 'vigente');
+            const contratoVigente = contratosExistentes.find(c => c.estado === 'vigente' || c.estaSuspendido());
             if (contratoVigente) {
-                throw new Error('Ya existe un contrato vigente para este cliente y plan');
+                throw new Error(contratoVigente.estaSuspendido()
+                    ? 'El cliente tiene un contrato congelado para este plan: reanúdelo en lugar de crear uno nuevo'
+                    : 'Ya existe un contrato vigente para este cliente y plan');
             }
 
+            // ===== VALIDACIÓN DE CUPO =====
+            // PATRÓN: Guard Clause - Con el plan completo se ofrece la lista de espera
+            await this.listaEsperaService.asegurarCupo(plan, datosContrato.clienteId);
+
             // ===== VALIDACIONES DE NEGOCIO =====
             // PATRÓN: Template Method - Delegación de validaciones específicas
             // PRINCIPIO SOLID S: Separación de responsabilidades - validación delegada
             this.validarFechasContrato(datosContrato.fechaInicio, datosContrato.fechaFin);
 
-            // PATRÓN: Guard Clause - Validación de precio
-            if (!datosContrato.precio || datosContrato.precio <= 0) {
-                throw new Error('El precio debe ser mayor a cero');
-            }
+            // ===== PRECIO DE CATÁLOGO =====
+            // PATRÓN: Strategy - Sin precio explícito se cobra el precio de lista de la tarifa vigente
+            const precios = await this.resolverPrecio(plan, datosContrato);
+
+            // ===== CONDICIONES DE GRUPO =====
+            // PATRÓN: Strategy - Descuento y facturación según el grupo del cliente
+            const facturacionGrupo = await this.calcularFacturacionGrupo(cliente, { ...datosContrato, precio: precios.precio });
+            const precioFinal = facturacionGrupo
+                ? Math.round(precios.precio * (1 - facturacionGrupo.descuentoPorcentaje / 100) * 100) / 100
+                : precios.precio;
 
             // ===== CREACIÓN DE ENTIDAD DE DOMINIO =====
             // PATRÓN: Factory - Creación de instancia de Contrato
@@ -114,11 +151,25 @@ class ContratoService {
                 planId: datosContrato.planId,
                 condiciones: datosContrato.condiciones || '',
                 duracionMeses: datosContrato.duracionMeses,
-                precio: datosContrato.precio,
+                precio: precioFinal,
                 fechaInicio: datosContrato.fechaInicio,
-                fechaFin: datosContrato.fechaFin
+                fechaFin: datosContrato.fechaFin,
+                facturacionGrupo,
+                // El contrato sigue la versión del plan con la que se vende
+                versionPlan: plan.version,
+                precioCatalogo: precios.precioCatalogo,
+                tarifaId: precios.tarifaId,
+                maxDiasCongelamiento: datosContrato.maxDiasCongelamiento ?? config.contratos.maxDiasCongelamiento,
+                renovacionAutomatica: datosContrato.renovacionAutomatica === true
             });
 
+            // ===== CRONOGRAMA DE PAGOS =====
+            // PATRÓN: Domain Model - El contrato reparte su precio en cuotas; si se cobra al firmar, es una sola cuota
+            contrato.armarCronogramaPagos(
+                datosContrato.registrarPago ? 'contado' : (datosContrato.modalidadPago || 'contado'),
+                datosContrato.cuotas
+            );
+
             // ===== INICIO DE TRANSACCIÓN =====
             // PATRÓN: Transaction - Manejo de transacciones para operaciones críticas
             // BUENA PRÁCTICA: Transacciones para garantizar consistencia atómica
@@ -149,25 +200,54 @@ class ContratoService {
                     // ===== OPERACIÓN 4: REGISTRO FINANCIERO OPCIONAL =====
                     // PATRÓN: Strategy - Diferentes estrategias según registrarPago
                     // PATRÓN: Factory - Creación de instancia de Finanzas
+                    // BUENA PRÁCTICA: El movimiento se imputa al responsable del pago (pagador del grupo o cliente)
                     if (datosContrato.registrarPago) {
                         const { Finanzas } = require('../models');
+                        const facturadoAPagador = contrato.getResponsablePagoId().toString() !== contrato.clienteId.toString();
                         const movimientoFinanciero = new Finanzas({
                             tipo: 'ingreso',
-                            descripcion: `Pago contrato - ${plan.nombre}`,
-                            monto: datosContrato.precio,
+                            descripcion: facturadoAPagador
+                                ? `Pago contrato - ${plan.nombre} (${facturacionGrupo.nombreGrupo}: ${cliente.getNombreCompleto()})`
+                                : `Pago contrato - ${plan.nombre}`,
+                            monto: contrato.precio,
                             fecha: new Date(),
-                            clienteId: datosContrato.clienteId,
+                            clienteId: contrato.getResponsablePagoId(),
                             categoria: 'contrato'
                         });
                         await this.finanzasRepository.create(movimientoFinanciero);
                     }
 
+                    // ===== OPERACIÓN 4B: CUOTAS DEL CRONOGRAMA =====
+                    // Cada cuota queda como pago vinculado al contrato: pendiente, o pagada si se cobró al firmar
+                    await this.finanzasService.registrarCuotasContrato(
+                        contrato, { pagado: datosContrato.registrarPago === true }, { session }
+                    );
+
+                    // ===== OPERACIÓN 5: CRÉDITO POR REFERIDO =====
+                    // PATRÓN: Service Layer - Si es el primer contrato vigente de un referido, acredita a quien lo refirió
+                    const creditoReferido = await this.referidoService.acreditarPorPrimerContrato(
+                        datosContrato.clienteId, contratoId, { session }
+                    );
+
+                    // ===== OPERACIÓN 6: CERRAR TURNO DE LISTA DE ESPERA =====
+                    // BUENA PRÁCTICA: Si el cliente tenía el cupo reservado, la reserva se consume aquí
+                    await this.listaEsperaService.registrarInscripcion(
+                        datosContrato.planId, datosContrato.clienteId, { session }
+                    );
+
                     // ===== CONSTRUCCIÓN DE RESPUESTA =====
                     // PATRÓN: Data Transfer Object (DTO) - Objeto estructurado para transferencia
                     resultado = {
                         success: true,
                         contratoId: contratoId,
-                        mensaje: 'Contrato creado exitosamente'
+                        precio: contrato.precio,
+                        precioCatalogo: contrato.precioCatalogo,
+                        facturacionGrupo: contrato.facturacionGrupo,
+                        cronogramaPagos: contrato.getResumen().cronogramaPagos,
+                        creditoReferido,
+                        mensaje: facturacionGrupo
+                            ? `Contrato creado exitosamente con condiciones del grupo "${facturacionGrupo.nombreGrupo}"`
+                            : 'Contrato creado exitosamente'
                     };
                 });
 
@@ -186,6 +266,70 @@ class ContratoService {
         }
     }
 
+    /**
+     * Determina el precio de un contrato nuevo y su precio de catálogo
+     * @param {PlanEntrenamiento} plan - Plan del contrato
+     * @param {Object} datosContrato - Datos del contrato (precio opcional, duracionMeses, fechaInicio)
+     * @returns {Promise<Object>} precio a cobrar, precioCatalogo y tarifaId (null si el plan no tiene tarifa)
+     * @private
+     *
+     * PATRÓN: Strategy - El precio explícito tiene prioridad; si falta, se usa el precio de lista
+     */
+    async resolverPrecio(plan, datosContrato) {
+        const cotizacion = await this.tarifaService.cotizarPrecio(
+            plan.planId,
+            datosContrato.duracionMeses,
+            datosContrato.fechaInicio || new Date()
+        );
+        const precio = datosContrato.precio ? parseFloat(datosContrato.precio) : (cotizacion ? cotizacion.precio : null);
+
+        // PATRÓN: Guard Clause - Validación de precio
+        if (!precio || precio <= 0) {
+            throw new Error(cotizacion || datosContrato.precio
+                ? 'El precio debe ser mayor a cero'
+                : 'El plan no tiene tarifa vigente: indique el precio del contrato');
+        }
+
+        return {
+            precio,
+            precioCatalogo: cotizacion ? cotizacion.precio : null,
+            tarifaId: cotizacion ? cotizacion.tarifaId : null
+        };
+    }
+
+    /**
+     * Calcula las condiciones de grupo aplicables a un nuevo contrato
+     * @param {Cliente} cliente - Cliente del contrato
+     * @param {Object} datosContrato - Datos del contrato (precio, aplicarDescuentoGrupo, facturarAPagador)
+     * @returns {Promise<Object|null>} Detalle de facturación de grupo o null si no aplica
+     * @private
+     *
+     * PATRÓN: Strategy - Las condiciones dependen del grupo activo del cliente
+     */
+    async calcularFacturacionGrupo(cliente, datosContrato) {
+        const grupo = await this.grupoRepository.getByMiembro(cliente.clienteId);
+        if (!grupo || !grupo.activo) {
+            return null;
+        }
+
+        const aplicarDescuento = datosContrato.aplicarDescuentoGrupo !== false;
+        const facturarAPagador = datosContrato.facturarAPagador !== undefined
+            ? datosContrato.facturarAPagador === true
+            : grupo.facturarAPagador;
+
+        if (!aplicarDescuento && !facturarAPagador) {
+            return null;
+        }
+
+        return {
+            grupoId: grupo.grupoId,
+            nombreGrupo: grupo.nombre,
+            precioLista: datosContrato.precio,
+            descuentoPorcentaje: aplicarDescuento ? grupo.descuentoPorcentaje : 0,
+            pagadorId: facturarAPagador ? grupo.pagadorId : null
+        };
+    }
+
     /**
      * Lista contratos con filtros opcionales
      * @param {Object} filtros - Filtros de búsqueda
@@ -243,6 +387,7 @@ class ContratoService {
             // Obtener información del cliente y plan
             const cliente = await this.clienteRepository.getById(contrato.clienteId);
             const plan = await this.planRepository.getById(contrato.planId);
+            this.aplicarPoliticaCongelamiento(contrato);
 
             return {
                 success: true,
@@ -257,6 +402,13 @@ class ContratoService {
                     fechaInicio: contrato.fechaInicio,
                     fechaFin: contrato.fechaFin,
                     estado: contrato.estado,
+                    facturacionGrupo: contrato.facturacionGrupo,
+                    congelamientos: contrato.getResumen().congelamientos,
+                    maxDiasCongelamiento: contrato.maxDiasCongelamiento,
+                    diasCongelamientoDisponibles: contrato.getDiasCongelamientoDisponibles(),
+                    renovacionAutomatica: contrato.renovacionAutomatica,
+                    cronogramaPagos: contrato.getResumen().cronogramaPagos,
+                    cambiosPlan: contrato.getResumen().cambiosPlan,
                     cliente: cliente ? {
                         nombre: cliente.nombre,
                         apellido: cliente.apellido,
@@ -276,6 +428,70 @@ class ContratoService {
         }
     }
 
+    /**
+     * Obtiene el saldo de un contrato a partir de los pagos vinculados (cuotas)
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @returns {Promise<Object>} Totales pagado, pendiente y vencido, y el detalle de las cuotas
+     *
+     * NOTA: Una cuota pendiente o retrasada con fecha de vencimiento anterior a hoy cuenta como vencida;
+     * las canceladas se listan pero no suman
+     */
+    async obtenerSaldoContrato(contratoId) {
+        try {
+            const contrato = await this.contratoRepository.getById(contratoId);
+            if (!contrato) {
+                throw new Error('Contrato no encontrado');
+            }
+
+            const hoy = dayjs().startOf('day');
+            const pagosContrato = await this.pagoRepository.getPagosByContract(contratoId);
+            const pagos = pagosContrato
+                .filter(pago => pago.tipoMovimiento === 'ingreso')
+                .sort((a, b) => a.fechaPago - b.fechaPago);
+            // Los reembolsos (egresos) vienen de cambios a un plan más barato
+            const reembolsado = Math.round(pagosContrato
+                .filter(pago => pago.tipoMovimiento === 'egreso' && pago.estado !== 'cancelado')
+                .reduce((total, pago) => total + pago.monto, 0) * 100) / 100;
+
+            const cuotas = pagos.map(pago => {
+                const adeudada = pago.estado === 'pendiente' || pago.estado === 'retrasado';
+                return {
+                    pagoId: pago.pagoId,
+                    referencia: pago.referencia,
+                    monto: pago.monto,
+                    fechaVencimiento: pago.fechaPago,
+                    estado: adeudada && dayjs(pago.fechaPago).isBefore(hoy) ? 'vencido' : pago.estado
+                };
+            });
+            const sumar = (...estados) => Math.round(cuotas
+                .filter(cuota => estados.includes(cuota.estado))
+                .reduce((total, cuota) => total + cuota.monto, 0) * 100) / 100;
+
+            const pagado = sumar('pagado');
+            const pendiente = sumar('pendiente', 'retrasado');
+            const vencido = sumar('vencido');
+
+            return {
+                success: true,
+                data: {
+                    contratoId: contrato.contratoId,
+                    estado: contrato.estado,
+                    precio: contrato.precio,
+                    modalidad: contrato.cronogramaPagos ? contrato.cronogramaPagos.modalidad : null,
+                    pagado,
+                    pendiente,
+                    vencido,
+                    reembolsado,
+                    saldo: Math.round((pendiente + vencido) * 100) / 100,
+                    cuotas
+                },
+                total: cuotas.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener saldo del contrato: ${error.message}`);
+        }
+    }
+
     /**
      * Actualiza un contrato existente
      * @param {string|ObjectId} contratoId - ID del contrato
@@ -336,7 +552,7 @@ class ContratoService {
      * TRANSACCIONES: Este método implementa transacciones explícitas con rollback
      * INICIO TRANSACCIÓN: Línea 275 - session.startSession()
      * FIN TRANSACCIÓN: Línea 319 - session.endSession()
-     * OPERACIONES EN TRANSACCIÓN: Cancelación, desasociaciones y rollback de seguimientos
+     * OPERACIONES EN TRANSACCIÓN: Cancelación, desasociaciones, cancelación de cuotas a vencer y rollback de seguimientos
      */
     async cancelarContrato(contratoId, motivo = '') {
         try {
@@ -367,6 +583,7 @@ class ContratoService {
             
             try {
                 let resultado;
+                let cuotasCanceladas;
                 
                 // ===== EJECUCIÓN DE TRANSACCIÓN =====
                 // PATRÓN: Transaction - Todas las operaciones en una transacción
@@ -390,6 +607,15 @@ class ContratoService {
                     // BUENA PRÁCTICA: Mantener consistencia bidireccional
                     await this.planRepository.removeClientFromPlan(contrato.planId, contrato.clienteId);
 
+                    // ===== OPERACIÓN 3B: CUOTAS A VENCER =====
+                    // Las cuotas ya vencidas siguen siendo deuda por el período usado; las futuras se cancelan
+                    cuotasCanceladas = await this.finanzasService.cancelarCuotasPendientes(
+                        contratoId,
+                        `Contrato cancelado${motivo ? `: ${motivo}` : ''}`,
+                        { desde: dayjs().startOf('day').toDate() },
+                        { session }
+                    );
+
                     // ===== OPERACIÓN 4: ROLLBACK DE SEGUIMIENTOS =====
                     // PATRÓN: Rollback - Eliminación de seguimientos con rollback
                     // PATRÓN: Circuit Breaker - Manejo de errores en rollback
@@ -420,10 +646,17 @@ class ContratoService {
                     // PATRÓN: Data Transfer Object (DTO) - Objeto estructurado para transferencia
                     resultado = {
                         success: true,
+                        cuotasCanceladas,
                         mensaje: 'Contrato cancelado exitosamente con rollback de seguimientos'
                     };
                 });
 
+                // ===== PROMOCIÓN DE LISTA DE ESPERA =====
+                // PATRÓN: Circuit Breaker - El cupo liberado pasa al siguiente en espera sin afectar la cancelación
+                resultado.promovidos = await this.listaEsperaService.liberarCupo(
+                    contrato.planId, 'Cupo liberado por la cancelación de un contrato'
+                );
+
                 return resultado;
             } finally {
                 // ===== FIN DE TRANSACCIÓN =====
@@ -455,7 +688,7 @@ class ContratoService {
      * TRANSACCIONES: Este método implementa transacciones explícitas para garantizar consistencia
      * INICIO TRANSACCIÓN: Línea 353 - session.startSession()
      * FIN TRANSACCIÓN: Línea 388 - session.endSession()
-     * OPERACIONES EN TRANSACCIÓN: Actualización de contrato anterior y creación de nuevo contrato
+     * OPERACIONES EN TRANSACCIÓN: Actualización de contrato anterior, creación de nuevo contrato y ajuste de cuotas
      */
     async renovarContrato(contratoId, datosRenovacion) {
         try {
@@ -480,10 +713,9 @@ class ContratoService {
             // PRINCIPIO SOLID S: Separación de responsabilidades - validación delegada
             this.validarFechasContrato(datosRenovacion.fechaInicio, datosRenovacion.fechaFin);
 
-            // PATRÓN: Guard Clause - Validación de precio
-            if (!datosRenovacion.precio || datosRenovacion.precio <= 0) {
-                throw new Error('El precio debe ser mayor a cero');
-            }
+            // La renovación es una venta nueva: toma la versión vigente del plan y su tarifa
+            const plan = await this.planRepository.getById(contrato.planId);
+            const precios = await this.resolverPrecio(plan || { planId: contrato.planId }, datosRenovacion);
 
             // ===== INICIO DE TRANSACCIÓN =====
             // PATRÓN: Transaction - Manejo de transacciones para operaciones críticas
@@ -514,21 +746,52 @@ class ContratoService {
                         planId: contrato.planId,
                         condiciones: datosRenovacion.condiciones || contrato.condiciones,
                         duracionMeses: datosRenovacion.duracionMeses,
-                        precio: datosRenovacion.precio,
+                        precio: precios.precio,
                         fechaInicio: datosRenovacion.fechaInicio,
                         fechaFin: datosRenovacion.fechaFin,
-                        contratoAnterior: contratoId
+                        contratoAnteriorId: contrato.contratoId,
+                        versionPlan: plan ? plan.version : contrato.versionPlan,
+                        precioCatalogo: precios.precioCatalogo,
+                        tarifaId: precios.tarifaId,
+                        maxDiasCongelamiento: datosRenovacion.maxDiasCongelamiento ?? config.contratos.maxDiasCongelamiento,
+                        // La renovación conserva la preferencia del cliente salvo que se indique otra
+                        renovacionAutomatica: datosRenovacion.renovacionAutomatica ?? contrato.renovacionAutomatica
                     });
+                    // El contrato nuevo mantiene la modalidad de pago del anterior salvo que se indique otra;
+                    // un cronograma personalizado sin cuotas nuevas se traslada al nuevo período
+                    const modalidadPago = datosRenovacion.modalidadPago ?? contrato.cronogramaPagos?.modalidad ?? 'contado';
+                    const cuotas = modalidadPago === 'personalizado' && !datosRenovacion.cuotas?.length
+                        && contrato.cronogramaPagos?.modalidad === 'personalizado'
+                        ? contrato.trasladarCuotas(nuevoContrato.fechaInicio, nuevoContrato.fechaFin, nuevoContrato.precio)
+                        : datosRenovacion.cuotas;
+                    nuevoContrato.armarCronogramaPagos(modalidadPago, cuotas);
 
                     // PATRÓN: Repository - Abstrae la operación de inserción
                     // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
                     const nuevoContratoId = await this.contratoRepository.create(nuevoContrato);
 
+                    // ===== OPERACIÓN 3: AJUSTAR CUOTAS =====
+                    // Las cuotas del contrato anterior que vencen durante el nuevo período quedan reemplazadas
+                    // por el cronograma del contrato nuevo; las anteriores siguen pendientes
+                    const cuotasCanceladas = await this.finanzasService.cancelarCuotasPendientes(
+                        contratoId,
+                        'Cuota reemplazada por la renovación del contrato',
+                        { desde: nuevoContrato.fechaInicio },
+                        { session }
+                    );
+                    await this.finanzasService.registrarCuotasContrato(nuevoContrato, {}, { session });
+
                     // ===== CONSTRUCCIÓN DE RESPUESTA =====
                     // PATRÓN: Data Transfer Object (DTO) - Objeto estructurado para transferencia
                     resultado = {
                         success: true,
                         contratoId: nuevoContratoId,
+                        precio: nuevoContrato.precio,
+                        precioCatalogo: nuevoContrato.precioCatalogo,
+                        fechaInicio: nuevoContrato.fechaInicio,
+                        fechaFin: nuevoContrato.fechaFin,
+                        cronogramaPagos: nuevoContrato.getResumen().cronogramaPagos,
+                        cuotasCanceladas,
                         mensaje: 'Contrato renovado exitosamente'
                     };
                 });
@@ -548,6 +811,320 @@ class ContratoService {
         }
     }
 
+    /**
+     * Calcula el ajuste de pasar un contrato vigente a otro plan, sin aplicarlo
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {Object} datosCambio - planId del plan nuevo y precio opcional (por defecto, su tarifa vigente)
+     * @returns {Promise<Object>} Resultado con el prorrateo (crédito, cargo y ajuste)
+     */
+    async cotizarCambioPlan(contratoId, datosCambio) {
+        try {
+            const { contrato, planNuevo, precioPlanNuevo } = await this.prepararCambioPlan(contratoId, datosCambio);
+
+            return {
+                success: true,
+                data: {
+                    planNuevo: planNuevo.nombre,
+                    precioPlanNuevo,
+                    ...contrato.calcularProrrateoCambioPlan(precioPlanNuevo)
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al cotizar cambio de plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pasa un contrato vigente a otro plan por el resto de su duración
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {Object} datosCambio - planId, precio opcional del plan nuevo, metodoPago del ajuste y motivo
+     * @returns {Promise<Object>} Resultado con el cambio registrado y el pago de ajuste
+     *
+     * PATRÓN: Domain Model - El contrato prorratea con su precio diario y guarda el historial del cambio
+     * PATRÓN: Transaction - Contrato, pago de ajuste y vínculos cliente-plan se confirman juntos
+     *
+     * NOTA: El contrato conserva su ID, cuotas, seguimientos y plan nutricional; solo cambia de plan
+     */
+    async cambiarPlanContrato(contratoId, datosCambio) {
+        try {
+            const { contrato, plan, planNuevo, precioPlanNuevo } = await this.prepararCambioPlan(contratoId, datosCambio);
+            const planAnteriorId = contrato.planId;
+
+            // ===== VALIDACIÓN DE CUPO =====
+            // PATRÓN: Guard Clause - Con el plan nuevo completo se ofrece la lista de espera
+            await this.listaEsperaService.asegurarCupo(planNuevo, contrato.clienteId);
+
+            const cambio = contrato.cambiarPlan({
+                planId: planNuevo.planId,
+                versionPlan: planNuevo.version,
+                precioPlanNuevo,
+                motivo: datosCambio.motivo
+            });
+
+            const session = this.db.client.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    // ===== OPERACIÓN 1: PAGO DE AJUSTE =====
+                    cambio.pagoId = await this.finanzasService.registrarAjusteCambioPlan(contrato, cambio, {
+                        metodoPago: datosCambio.metodoPago,
+                        notas: `${plan ? plan.nombre : 'Plan anterior'} → ${planNuevo.nombre} (${cambio.diasRestantes} días restantes)`
+                    }, { session });
+
+                    // ===== OPERACIÓN 2: ACTUALIZAR CONTRATO =====
+                    await this.contratoRepository.update(contrato.contratoId, {
+                        planId: contrato.planId,
+                        versionPlan: contrato.versionPlan,
+                        precio: contrato.precio,
+                        cambiosPlan: contrato.cambiosPlan
+                    }, { session });
+
+                    // ===== OPERACIÓN 3: MOVER LOS VÍNCULOS CLIENTE-PLAN =====
+                    // BUENA PRÁCTICA: Mantener consistencia bidireccional en ambos planes
+                    await this.planRepository.removeClientFromPlan(planAnteriorId, contrato.clienteId, { session });
+                    await this.clienteRepository.removePlanFromClient(contrato.clienteId, planAnteriorId, { session });
+                    await this.clienteRepository.addPlanToClient(contrato.clienteId, planNuevo.planId, { session });
+                    await this.planRepository.addClientToPlan(planNuevo.planId, contrato.clienteId, { session });
+
+                    // ===== OPERACIÓN 4: CERRAR TURNO DE LISTA DE ESPERA =====
+                    await this.listaEsperaService.registrarInscripcion(planNuevo.planId, contrato.clienteId, { session });
+                });
+            } finally {
+                await session.endSession();
+            }
+
+            // ===== PROMOCIÓN DE LISTA DE ESPERA =====
+            // PATRÓN: Circuit Breaker - El cupo liberado en el plan anterior pasa al siguiente en espera
+            const promovidos = await this.listaEsperaService.liberarCupo(
+                planAnteriorId, 'Cupo liberado por un cambio de plan'
+            );
+
+            const tipoAjuste = cambio.ajuste > 0
+                ? `cargo de $${cambio.ajuste} pendiente de cobro`
+                : cambio.ajuste < 0 ? `reembolso de $${Math.abs(cambio.ajuste)}` : 'sin ajuste';
+
+            return {
+                success: true,
+                data: {
+                    ...cambio,
+                    planAnterior: plan ? plan.nombre : 'Plan no encontrado',
+                    planNuevo: planNuevo.nombre,
+                    precio: contrato.precio
+                },
+                promovidos,
+                mensaje: `Contrato pasado a ${planNuevo.nombre} (${tipoAjuste})`
+            };
+        } catch (error) {
+            throw new Error(`Error al cambiar plan del contrato: ${error.message}`);
+        }
+    }
+
+    /**
+     * Valida un cambio de plan y determina el precio del plan nuevo para la duración del contrato
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {Object} datosCambio - planId del plan nuevo y precio opcional
+     * @returns {Promise<Object>} contrato, plan actual, planNuevo y precioPlanNuevo (con el descuento de grupo del contrato)
+     * @private
+     */
+    async prepararCambioPlan(contratoId, datosCambio) {
+        const contrato = await this.contratoRepository.getById(contratoId);
+        if (!contrato) {
+            throw new Error('Contrato no encontrado');
+        }
+        if (!contrato.estaVigente()) {
+            throw new Error('Solo se puede cambiar el plan de un contrato vigente');
+        }
+
+        const planNuevo = await this.planRepository.getById(datosCambio.planId);
+        if (!planNuevo) {
+            throw new Error('Plan no encontrado');
+        }
+        if (!planNuevo.estaActivo()) {
+            throw new Error('Solo se puede pasar a un plan activo');
+        }
+        if (planNuevo.planId.toString() === contrato.planId.toString()) {
+            throw new Error('El contrato ya está en ese plan');
+        }
+
+        // PATRÓN: Guard Clause - Un cliente no puede tener dos contratos activos del mismo plan
+        const contratosPlanNuevo = await this.contratoRepository.getContractsByClientAndPlan(contrato.clienteId, planNuevo.planId);
+        if (contratosPlanNuevo.some(c => c.estado === 'vigente' || c.estaSuspendido())) {
+            throw new Error('El cliente ya tiene un contrato vigente o congelado para ese plan');
+        }
+
+        // El plan nuevo se cotiza por la duración completa del contrato con la tarifa vigente hoy
+        const precios = await this.resolverPrecio(planNuevo, {
+            precio: datosCambio.precio,
+            duracionMeses: contrato.duracionMeses,
+            fechaInicio: new Date()
+        });
+        const descuento = contrato.facturacionGrupo ? contrato.facturacionGrupo.descuentoPorcentaje : 0;
+
+        return {
+            contrato,
+            plan: await this.planRepository.getById(contrato.planId),
+            planNuevo,
+            precioPlanNuevo: Math.round(precios.precio * (1 - descuento / 100) * 100) / 100
+        };
+    }
+
+    /**
+     * Activa o desactiva la renovación automática de un contrato
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {boolean} activa - True para renovar el contrato automáticamente al vencer
+     * @returns {Promise<Object>} Resultado de la operación
+     */
+    async configurarRenovacionAutomatica(contratoId, activa) {
+        try {
+            const contrato = await this.contratoRepository.getById(contratoId);
+            if (!contrato) {
+                throw new Error('Contrato no encontrado');
+            }
+            if (contrato.estado !== 'vigente' && !contrato.estaSuspendido()) {
+                throw new Error('Solo se puede configurar la renovación de contratos vigentes o congelados');
+            }
+
+            await this.contratoRepository.update(contratoId, { renovacionAutomatica: activa === true });
+
+            return {
+                success: true,
+                mensaje: activa
+                    ? `Renovación automática activada: el contrato se renovará al vencer el ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')}`
+                    : 'Renovación automática desactivada'
+            };
+        } catch (error) {
+            throw new Error(`Error al configurar renovación automática: ${error.message}`);
+        }
+    }
+
+    /**
+     * Congela un contrato vigente
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {Object} datosCongelamiento - fechaInicio (por defecto, hoy), fechaFin prevista y motivo
+     * @returns {Promise<Object>} Resultado con el congelamiento y la nueva fecha de fin
+     *
+     * PATRÓN: Domain Model - El contrato valida la política de días y extiende su fecha de fin
+     */
+    async congelarContrato(contratoId, datosCongelamiento) {
+        try {
+            const contrato = await this.contratoRepository.getById(contratoId);
+            if (!contrato) {
+                throw new Error('Contrato no encontrado');
+            }
+
+            this.aplicarPoliticaCongelamiento(contrato);
+            const fechaFinAnterior = contrato.fechaFin;
+            const congelamiento = contrato.congelar(datosCongelamiento);
+            await this.guardarCongelamientos(contrato);
+
+            return {
+                success: true,
+                data: {
+                    congelamiento,
+                    fechaFinAnterior,
+                    fechaFin: contrato.fechaFin,
+                    diasDisponibles: contrato.getDiasCongelamientoDisponibles()
+                },
+                mensaje: `Contrato congelado hasta el ${dayjs(congelamiento.fechaFin).format('DD/MM/YYYY')}; nueva fecha de fin: ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')}`
+            };
+        } catch (error) {
+            throw new Error(`Error al congelar contrato: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reanuda un contrato congelado
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {Date} fecha - Fecha de reanudación (por defecto, hoy)
+     * @returns {Promise<Object>} Resultado con el congelamiento cerrado y la fecha de fin ajustada
+     *
+     * BUENA PRÁCTICA: Los días no usados vuelven a quedar disponibles para otro congelamiento
+     */
+    async descongelarContrato(contratoId, fecha = new Date()) {
+        try {
+            const contrato = await this.contratoRepository.getById(contratoId);
+            if (!contrato) {
+                throw new Error('Contrato no encontrado');
+            }
+
+            const congelamiento = contrato.descongelar(fecha);
+            await this.guardarCongelamientos(contrato);
+
+            return {
+                success: true,
+                data: {
+                    congelamiento,
+                    fechaFin: contrato.fechaFin,
+                    diasDisponibles: contrato.getDiasCongelamientoDisponibles()
+                },
+                mensaje: `Contrato reanudado tras ${congelamiento.dias} día(s) congelado; fecha de fin: ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')}`
+            };
+        } catch (error) {
+            throw new Error(`Error al reanudar contrato: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reanuda los contratos cuyo congelamiento ya llegó a la fecha de fin prevista
+     * @returns {Promise<Array>} Contratos reanudados (contratoId, clienteId y nueva fecha de fin)
+     *
+     * NOTA: Lo ejecuta la tarea de vencimiento de contratos antes de buscar vencidos
+     * PATRÓN: Circuit Breaker - Un contrato que no se puede reanudar no detiene al resto
+     */
+    async reanudarCongelamientosCumplidos() {
+        try {
+            const suspendidos = await this.contratoRepository.getContractsByState('suspendido');
+            const reanudados = [];
+
+            for (const contrato of suspendidos) {
+                const congelamiento = contrato.getCongelamientoActivo();
+                if (!congelamiento || dayjs(congelamiento.fechaFin).isAfter(dayjs(), 'day')) {
+                    continue;
+                }
+                try {
+                    contrato.descongelar(congelamiento.fechaFin);
+                    await this.guardarCongelamientos(contrato);
+                    reanudados.push({
+                        contratoId: contrato.contratoId,
+                        clienteId: contrato.clienteId,
+                        fechaFin: contrato.fechaFin
+                    });
+                } catch (error) {
+                    console.log(`⚠️ No se pudo reanudar el contrato ${contrato.contratoId}: ${error.message}`);
+                }
+            }
+
+            return reanudados;
+        } catch (error) {
+            throw new Error(`Error al reanudar congelamientos cumplidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Asigna el máximo de días de congelamiento configurado a los contratos anteriores a la política
+     * @param {Contrato} contrato - Contrato a completar
+     * @private
+     */
+    aplicarPoliticaCongelamiento(contrato) {
+        if (contrato.maxDiasCongelamiento === null) {
+            contrato.maxDiasCongelamiento = config.contratos.maxDiasCongelamiento;
+        }
+    }
+
+    /**
+     * Guarda el estado, la fecha de fin y los congelamientos de un contrato
+     * @param {Contrato} contrato - Contrato modificado por congelar() o descongelar()
+     * @returns {Promise<boolean>} True si se actualizó
+     * @private
+     */
+    async guardarCongelamientos(contrato) {
+        return this.contratoRepository.update(contrato.contratoId, {
+            estado: contrato.estado,
+            fechaFin: contrato.fechaFin,
+            congelamientos: contrato.congelamientos,
+            maxDiasCongelamiento: contrato.maxDiasCongelamiento
+        });
+    }
+
     /**
      * Obtiene estadísticas de contratos
      * @returns {Promise<Object>} Estadísticas de contratos
@@ -559,6 +1136,7 @@ class ContratoService {
             const contratosVencidos = await this.contratoRepository.countContracts({ estado: 'vencido' });
             const contratosCancelados = await this.contratoRepository.countContracts({ estado: 'cancelado' });
             const contratosRenovados = await this.contratoRepository.countContracts({ estado: 'renovado' });
+            const contratosSuspendidos = await this.contratoRepository.countContracts({ estado: 'suspendido' });
 
             // Calcular ingresos totales
             const contratosVigentesData = await this.contratoRepository.getContracts({ estado: 'vigente' });
@@ -572,6 +1150,7 @@ class ContratoService {
                     vencidos: contratosVencidos,
                     cancelados: contratosCancelados,
                     renovados: contratosRenovados,
+                    suspendidos: contratosSuspendidos,
                     ingresosTotales: ingresosTotales
                 }
             };
@@ -0,0 +1,285 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y utilidades para generar el documento imprimible de un contrato
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const fs = require('fs'); // Lectura de plantillas y escritura de documentos
+const path = require('path'); // Construcción de rutas
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+const { ContratoRepository, ClienteRepository, PlanEntrenamientoRepository } = require('../repositories');
+const config = require('../config'); // Nombre del gimnasio y carpeta de plantillas
+
+// Formatos que se pueden generar; el PDF se arma a partir del texto plano
+const FORMATOS_DOCUMENTO = ['html', 'txt', 'pdf'];
+
+// Marcadores de las plantillas: {{nombre}}
+const PATRON_MARCADOR = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Servicio de Documentos de Contrato
+ * Genera el contrato imprimible (HTML y texto plano, y opcionalmente PDF) con los datos del
+ * cliente, el plan, las condiciones, los precios, las fechas y los bloques de firma. El texto
+ * legal vive en plantillas editables con marcadores, de modo que se puede cambiar sin tocar código.
+ *
+ * PATRÓN: Service Layer - Reúne los datos del contrato y los vuelca en las plantillas
+ * PATRÓN: Template Method - La plantilla define la redacción; el servicio solo completa los marcadores
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de generar documentos de contratos
+ *
+ * NOTA: Este servicio NO maneja transacciones ya que solo lee datos y escribe archivos
+ */
+class DocumentoContratoService {
+    /**
+     * Constructor del servicio de documentos de contrato
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de contratos, clientes y planes
+        this.contratoRepository = new ContratoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        this.directorioPlantillas = path.resolve(process.cwd(), config.contratos.directorioPlantillas);
+        this.directorioExportacion = path.join(process.cwd(), 'exports', 'contratos');
+    }
+
+    /**
+     * Genera el documento de un contrato en los formatos pedidos bajo exports/contratos/
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {Object} opciones - Opciones de generación
+     * @param {string[]} [opciones.formatos=['html', 'txt']] - Formatos a generar: html, txt y/o pdf
+     * @returns {Promise<Object>} Rutas de los archivos generados y marcadores sin valor
+     *
+     * NOTA: Un marcador que no corresponde a ningún dato se deja tal cual en el documento
+     * y se informa, para detectar errores de tipeo al editar las plantillas
+     */
+    async generarDocumento(contratoId, opciones = {}) {
+        try {
+            const { formatos = ['html', 'txt'] } = opciones;
+            if (!Array.isArray(formatos) || formatos.length === 0 || formatos.some(formato => !FORMATOS_DOCUMENTO.includes(formato))) {
+                throw new Error(`Formatos debe ser una lista con: ${FORMATOS_DOCUMENTO.join(', ')}`);
+            }
+
+            const contrato = await this.contratoRepository.getById(contratoId);
+            if (!contrato) {
+                throw new Error('Contrato no encontrado');
+            }
+            const valores = await this.reunirDatos(contrato);
+
+            // ===== RENDERIZADO DE PLANTILLAS =====
+            const sinValor = new Set();
+            const contenidos = {};
+            if (formatos.includes('html')) {
+                contenidos.html = this.renderizar(this.cargarPlantilla('html'), valores, sinValor, escaparHtml);
+            }
+            if (formatos.includes('txt') || formatos.includes('pdf')) {
+                contenidos.txt = this.renderizar(this.cargarPlantilla('txt'), valores, sinValor);
+            }
+
+            // ===== ESCRITURA DE ARCHIVOS =====
+            if (!fs.existsSync(this.directorioExportacion)) {
+                fs.mkdirSync(this.directorioExportacion, { recursive: true });
+            }
+            const nombreBase = `contrato_${contrato.contratoId}_${dayjs().format('YYYY-MM-DD_HH-mm-ss')}`;
+            const archivos = {};
+
+            for (const formato of formatos) {
+                const rutaArchivo = path.join(this.directorioExportacion, `${nombreBase}.${formato}`);
+                if (formato === 'pdf') {
+                    fs.writeFileSync(rutaArchivo, crearPdf(contenidos.txt, `Contrato ${valores.numeroContrato}`));
+                } else {
+                    fs.writeFileSync(rutaArchivo, contenidos[formato], 'utf8');
+                }
+                archivos[formato] = rutaArchivo;
+            }
+
+            return {
+                success: true,
+                data: {
+                    archivos,
+                    marcadoresSinValor: [...sinValor]
+                },
+                mensaje: `Documento del contrato de ${valores.clienteNombre} generado (${formatos.join(', ')})`
+            };
+        } catch (error) {
+            throw new Error(`Error al generar documento del contrato: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reúne los valores de los marcadores de la plantilla
+     * @param {Contrato} contrato - Contrato a documentar
+     * @returns {Promise<Object>} Valores en texto por nombre de marcador
+     * @private
+     */
+    async reunirDatos(contrato) {
+        const cliente = await this.clienteRepository.getById(contrato.clienteId);
+        const plan = await this.planRepository.getById(contrato.planId);
+        const grupo = contrato.facturacionGrupo;
+        const pagador = grupo && grupo.pagadorId ? await this.clienteRepository.getById(grupo.pagadorId) : null;
+        const formatearFecha = fecha => dayjs(fecha).format('DD/MM/YYYY');
+        const formatearMonto = monto => `$${monto.toFixed(2)}`;
+
+        const cronograma = contrato.cronogramaPagos;
+        const cuotas = cronograma
+            ? cronograma.cuotas.map(cuota => `Cuota ${cuota.numero}/${cronograma.cuotas.length}: ${formatearMonto(cuota.monto)} - vence el ${formatearFecha(cuota.fechaVencimiento)}`).join('\n')
+            : 'Según lo acordado con el Gimnasio';
+
+        return {
+            gimnasio: config.app.name,
+            numeroContrato: contrato.contratoId.toString(),
+            fechaEmision: formatearFecha(new Date()),
+            estado: contrato.estado,
+            clienteNombre: cliente ? cliente.getNombreCompleto() : 'Cliente no encontrado',
+            clienteEmail: cliente ? cliente.email : '',
+            clienteTelefono: cliente && cliente.telefono ? cliente.telefono : 'No registrado',
+            planNombre: plan ? plan.nombre : 'Plan no encontrado',
+            planNivel: plan ? plan.nivel : '',
+            planDuracionSemanas: plan ? String(plan.duracionSemanas) : '',
+            planMetas: plan ? plan.metasFisicas : '',
+            duracionMeses: String(contrato.duracionMeses),
+            fechaInicio: formatearFecha(contrato.fechaInicio),
+            fechaFin: formatearFecha(contrato.fechaFin),
+            precioLista: formatearMonto(grupo ? grupo.precioLista : contrato.precio),
+            descuento: grupo && grupo.descuentoPorcentaje > 0
+                ? `${grupo.descuentoPorcentaje}% (${grupo.nombreGrupo})`
+                : 'Sin descuento',
+            precio: formatearMonto(contrato.precio),
+            responsablePago: pagador
+                ? `${pagador.getNombreCompleto()} (pagador del grupo ${grupo.nombreGrupo})`
+                : 'El Cliente',
+            modalidadPago: cronograma ? cronograma.modalidad : 'No definida',
+            cuotas,
+            condiciones: contrato.condiciones || 'Sin condiciones especiales',
+            maxDiasCongelamiento: String(contrato.maxDiasCongelamiento ?? config.contratos.maxDiasCongelamiento),
+            renovacionAutomatica: contrato.renovacionAutomatica ? 'Sí, al precio de catálogo vigente' : 'No'
+        };
+    }
+
+    /**
+     * Lee la plantilla editable de un formato
+     * @param {string} extension - html o txt
+     * @returns {string} Contenido de la plantilla
+     * @private
+     */
+    cargarPlantilla(extension) {
+        const rutaPlantilla = path.join(this.directorioPlantillas, `contrato.${extension}`);
+        if (!fs.existsSync(rutaPlantilla)) {
+            throw new Error(`No se encontró la plantilla ${rutaPlantilla}`);
+        }
+        return fs.readFileSync(rutaPlantilla, 'utf8');
+    }
+
+    /**
+     * Reemplaza los marcadores de una plantilla por sus valores
+     * @param {string} plantilla - Contenido de la plantilla
+     * @param {Object} valores - Valores por nombre de marcador
+     * @param {Set} sinValor - Acumula los marcadores desconocidos
+     * @param {Function} [transformar] - Adapta cada valor al formato (por ejemplo, escapar HTML)
+     * @returns {string} Documento completo
+     * @private
+     */
+    renderizar(plantilla, valores, sinValor, transformar = valor => valor) {
+        return plantilla.replace(PATRON_MARCADOR, (marcador, nombre) => {
+            if (!Object.prototype.hasOwnProperty.call(valores, nombre)) {
+                sinValor.add(nombre);
+                return marcador;
+            }
+            return transformar(valores[nombre]);
+        });
+    }
+}
+
+/**
+ * Escapa un valor para insertarlo en HTML; los saltos de línea pasan a <br>
+ * @param {string} valor - Texto a insertar
+ * @returns {string} Texto seguro para HTML
+ */
+function escaparHtml(valor) {
+    return String(valor)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/\n/g, '<br>');
+}
+
+/**
+ * Genera un PDF de texto en memoria (A4, Courier 10 pt) sin dependencias externas
+ * @param {string} texto - Texto plano del documento
+ * @param {string} titulo - Título de las propiedades del PDF
+ * @returns {Buffer} Contenido del PDF
+ *
+ * NOTA: Usa la codificación WinAnsi de las fuentes estándar; los caracteres que no
+ * la admiten (emojis, por ejemplo) se reemplazan por "?"
+ */
+function crearPdf(texto, titulo) {
+    const ancho = 595;
+    const alto = 842;
+    const margen = 50;
+    const interlineado = 13;
+    const caracteresPorLinea = 82;
+    const lineasPorPagina = Math.floor((alto - margen * 2) / interlineado);
+
+    // Las líneas largas se cortan en el último espacio que entra en el ancho de la página
+    const lineas = [];
+    texto.replace(/\r/g, '').split('\n').forEach(linea => {
+        let resto = linea;
+        while (resto.length > caracteresPorLinea) {
+            const corte = resto.lastIndexOf(' ', caracteresPorLinea);
+            const posicion = corte > 0 ? corte : caracteresPorLinea;
+            lineas.push(resto.slice(0, posicion));
+            resto = resto.slice(posicion).trimStart();
+        }
+        lineas.push(resto);
+    });
+
+    const codificar = linea => linea
+        .replace(/\t/g, '    ')
+        .replace(/[^\x20-\xFF€]/g, '?')
+        .replace(/€/g, '\x80')
+        .replace(/([\\()])/g, '\\$1');
+
+    const paginas = [];
+    for (let i = 0; i < lineas.length; i += lineasPorPagina) {
+        paginas.push(lineas.slice(i, i + lineasPorPagina));
+    }
+
+    // Objetos: 1 catálogo, 2 páginas, 3 fuente, 4 información; luego página y contenido de cada hoja
+    const objetos = [];
+    const idsPaginas = paginas.map((_, indice) => 5 + indice * 2);
+    objetos.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objetos.push(`<< /Type /Pages /Kids [${idsPaginas.map(id => `${id} 0 R`).join(' ')}] /Count ${paginas.length} >>`);
+    objetos.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+    objetos.push(`<< /Title (${codificar(titulo)}) /Producer (${codificar(config.app.name)}) >>`);
+
+    paginas.forEach((lineasPagina, indice) => {
+        const flujo = [
+            'BT',
+            '/F1 10 Tf',
+            `${interlineado} TL`,
+            `${margen} ${alto - margen} Td`,
+            ...lineasPagina.map(linea => `(${codificar(linea)}) '`),
+            'ET'
+        ].join('\n');
+        objetos.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${ancho} ${alto}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${idsPaginas[indice] + 1} 0 R >>`);
+        objetos.push(`<< /Length ${Buffer.byteLength(flujo, 'latin1')} >>\nstream\n${flujo}\nendstream`);
+    });
+
+    // Cada carácter ocupa un byte en latin1, así que las posiciones del índice son longitudes de texto
+    let pdf = '%PDF-1.4\n';
+    const posiciones = objetos.map((objeto, indice) => {
+        const posicion = pdf.length;
+        pdf += `${indice + 1} 0 obj\n${objeto}\nendobj\n`;
+        return posicion;
+    });
+    const inicioIndice = pdf.length;
+    pdf += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+    pdf += posiciones.map(posicion => `${String(posicion).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${inicioIndice}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+DocumentoContratoService.FORMATOS_DOCUMENTO = FORMATOS_DOCUMENTO;
+
+module.exports = DocumentoContratoService;
@@ -0,0 +1,322 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y modelos para la biblioteca de ejercicios
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const { EjercicioRepository, PlanEntrenamientoRepository } = require('../repositories');
+const { Ejercicio } = require('../models'); // Modelo de dominio Ejercicio
+
+/**
+ * Servicio de la Biblioteca de Ejercicios
+ * Gestiona el catálogo del que se arman las rutinas de los planes y permite saber
+ * qué planes usan un ejercicio o un equipo (por ejemplo, cuando una máquina se rompe)
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio del catálogo de ejercicios
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la biblioteca de ejercicios
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ */
+class EjercicioService {
+    /**
+     * Constructor del servicio de ejercicios
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de ejercicios y planes
+        this.ejercicioRepository = new EjercicioRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+    }
+
+    /**
+     * Registra un ejercicio en la biblioteca
+     * @param {Object} datos - nombre, gruposMusculares, equipamiento, dificultad, instrucciones
+     * @returns {Promise<Object>} Resultado con el ejercicio creado
+     */
+    async crearEjercicio(datos) {
+        try {
+            const ejercicio = new Ejercicio({
+                nombre: datos.nombre,
+                gruposMusculares: datos.gruposMusculares,
+                equipamiento: datos.equipamiento || [],
+                dificultad: datos.dificultad,
+                instrucciones: datos.instrucciones
+            });
+
+            const ejercicioId = await this.ejercicioRepository.create(ejercicio);
+
+            return {
+                success: true,
+                ejercicioId,
+                data: ejercicio.getResumen(),
+                mensaje: `Ejercicio "${ejercicio.nombre}" agregado a la biblioteca`
+            };
+        } catch (error) {
+            throw new Error(`Error al crear ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lista los ejercicios de la biblioteca
+     * @param {Object} filtros - Filtros opcionales (grupoMuscular, dificultad, equipamiento)
+     * @returns {Promise<Object>} Ejercicios ordenados por nombre
+     */
+    async listarEjercicios(filtros = {}) {
+        try {
+            const filtro = {};
+            if (filtros.grupoMuscular) {
+                filtro.gruposMusculares = filtros.grupoMuscular;
+            }
+            if (filtros.dificultad) {
+                filtro.dificultad = filtros.dificultad;
+            }
+            if (filtros.equipamiento) {
+                filtro.equipamiento = filtros.equipamiento.toLowerCase().trim();
+            }
+
+            const ejercicios = await this.ejercicioRepository.getAll(filtro);
+            return {
+                success: true,
+                data: ejercicios.map(ejercicio => ejercicio.getResumen()),
+                total: ejercicios.length
+            };
+        } catch (error) {
+            throw new Error(`Error al listar ejercicios: ${error.message}`);
+        }
+    }
+
+    /**
+     * Busca ejercicios por nombre, grupo muscular o equipamiento
+     * @param {string} termino - Texto a buscar
+     * @returns {Promise<Object>} Ejercicios que coinciden
+     */
+    async buscarEjercicios(termino) {
+        try {
+            if (!termino || termino.trim().length < 2) {
+                throw new Error('El término de búsqueda debe tener al menos 2 caracteres');
+            }
+
+            const ejercicios = await this.ejercicioRepository.search(termino);
+            return {
+                success: true,
+                data: ejercicios.map(ejercicio => ejercicio.getResumen()),
+                total: ejercicios.length
+            };
+        } catch (error) {
+            throw new Error(`Error al buscar ejercicios: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un ejercicio con los planes que lo usan
+     * @param {string} ejercicioId - ID del ejercicio
+     * @returns {Promise<Object>} Resumen del ejercicio y planes que lo usan
+     */
+    async obtenerEjercicio(ejercicioId) {
+        try {
+            const ejercicio = await this.obtenerEjercicioExistente(ejercicioId);
+            const { data: planes } = await this.obtenerPlanesConEjercicio(ejercicioId);
+
+            return {
+                success: true,
+                data: {
+                    ...ejercicio.getResumen(),
+                    planes
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza un ejercicio de la biblioteca
+     * @param {string} ejercicioId - ID del ejercicio
+     * @param {Object} datos - Campos a actualizar
+     * @returns {Promise<Object>} Resultado con el ejercicio y los planes renombrados
+     *
+     * TRANSACCIONES: Si cambia el nombre, se actualiza también la copia guardada en las rutinas
+     * OPERACIONES EN TRANSACCIÓN: Actualización del ejercicio, renombrado en los planes que lo usan
+     */
+    async actualizarEjercicio(ejercicioId, datos) {
+        try {
+            const actual = await this.obtenerEjercicioExistente(ejercicioId);
+
+            // PATRÓN: Domain Model - Se valida el ejercicio completo con los cambios aplicados
+            const actualizado = new Ejercicio({
+                ...actual,
+                ...datos,
+                ejercicioId: actual.ejercicioId,
+                fechaCreacion: actual.fechaCreacion
+            });
+            const { _id, ...camposActualizados } = actualizado.toMongoObject();
+            const cambiaNombre = actualizado.nombre !== actual.nombre;
+
+            const session = this.db.client.startSession();
+            try {
+                let resultado;
+
+                await session.withTransaction(async () => {
+                    // ===== OPERACIÓN 1: ACTUALIZAR EL EJERCICIO =====
+                    await this.ejercicioRepository.update(ejercicioId, camposActualizados, { session });
+
+                    // ===== OPERACIÓN 2: RENOMBRAR EN LAS RUTINAS =====
+                    const planesActualizados = cambiaNombre
+                        ? await this.planRepository.renameExerciseInPlans(ejercicioId, actualizado.nombre, { session })
+                        : 0;
+
+                    resultado = {
+                        success: true,
+                        data: actualizado.getResumen(),
+                        planesActualizados,
+                        mensaje: cambiaNombre && planesActualizados > 0
+                            ? `Ejercicio actualizado; nombre corregido en ${planesActualizados} plan(es)`
+                            : 'Ejercicio actualizado'
+                    };
+                });
+
+                return resultado;
+            } finally {
+                await session.endSession();
+            }
+        } catch (error) {
+            throw new Error(`Error al actualizar ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina un ejercicio de la biblioteca
+     * @param {string} ejercicioId - ID del ejercicio
+     * @returns {Promise<Object>} Resultado de la operación
+     *
+     * PATRÓN: Guard Clause - No se elimina un ejercicio que usa alguna rutina (incluidos planes en la papelera)
+     */
+    async eliminarEjercicio(ejercicioId) {
+        try {
+            const ejercicio = await this.obtenerEjercicioExistente(ejercicioId);
+            const planes = await this.planRepository.getPlansByExercise(ejercicioId, { incluirEliminados: true });
+            if (planes.length > 0) {
+                throw new Error(`"${ejercicio.nombre}" se usa en ${planes.length} plan(es): ${planes.map(plan => plan.nombre).join(', ')}. Quítelo de esas rutinas primero`);
+            }
+
+            await this.ejercicioRepository.delete(ejercicioId);
+            return {
+                success: true,
+                mensaje: `Ejercicio "${ejercicio.nombre}" eliminado de la biblioteca`
+            };
+        } catch (error) {
+            throw new Error(`Error al eliminar ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene los planes cuya rutina usa un ejercicio y en qué semanas y días
+     * @param {string} ejercicioId - ID del ejercicio
+     * @returns {Promise<Object>} Planes con los lugares donde aparece el ejercicio
+     */
+    async obtenerPlanesConEjercicio(ejercicioId) {
+        try {
+            if (!ObjectId.isValid(ejercicioId)) {
+                throw new Error('ID del ejercicio no es válido');
+            }
+
+            const planes = await this.planRepository.getPlansByExercise(ejercicioId);
+            const data = planes.map(plan => this.construirUsoEnPlan(plan, [ejercicioId.toString()]));
+
+            return {
+                success: true,
+                data,
+                total: data.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener planes con el ejercicio: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene los planes afectados por un equipo (por ejemplo, una máquina fuera de servicio)
+     * @param {string} equipo - Nombre del equipo
+     * @returns {Promise<Object>} Ejercicios que requieren el equipo y planes que los usan
+     */
+    async obtenerPlanesPorEquipamiento(equipo) {
+        try {
+            const { data: ejercicios } = await this.listarEjercicios({ equipamiento: equipo });
+            if (ejercicios.length === 0) {
+                return { success: true, ejercicios: [], data: [], total: 0 };
+            }
+
+            const ids = ejercicios.map(ejercicio => ejercicio.ejercicioId.toString());
+            const planes = await this.planRepository.getPlansByExercise(ids);
+            const data = planes.map(plan => this.construirUsoEnPlan(plan, ids));
+
+            return {
+                success: true,
+                ejercicios,
+                data,
+                total: data.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener planes por equipamiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el equipamiento registrado en la biblioteca
+     * @returns {Promise<Object>} Lista de equipos
+     */
+    async listarEquipamiento() {
+        try {
+            const equipos = await this.ejercicioRepository.getEquipamiento();
+            return {
+                success: true,
+                data: equipos,
+                total: equipos.length
+            };
+        } catch (error) {
+            throw new Error(`Error al listar equipamiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un ejercicio existente
+     * @param {string} ejercicioId - ID del ejercicio
+     * @returns {Promise<Ejercicio>} Ejercicio encontrado
+     * @private
+     */
+    async obtenerEjercicioExistente(ejercicioId) {
+        const ejercicio = await this.ejercicioRepository.getById(ejercicioId);
+        if (!ejercicio) {
+            throw new Error('Ejercicio no encontrado');
+        }
+        return ejercicio;
+    }
+
+    /**
+     * Indica en qué semanas y días de un plan aparecen los ejercicios
+     * @param {PlanEntrenamiento} plan - Plan de entrenamiento
+     * @param {Array<string>} ids - IDs de los ejercicios buscados
+     * @returns {Object} Resumen del plan con sus usos
+     * @private
+     */
+    construirUsoEnPlan(plan, ids) {
+        const usos = [];
+        plan.semanas.forEach(semana => {
+            semana.dias.forEach(dia => {
+                dia.ejercicios
+                    .filter(ejercicio => ids.includes(ejercicio.ejercicioId.toString()))
+                    .forEach(ejercicio => {
+                        usos.push({ semana: semana.numero, dia: dia.nombre, ejercicio: ejercicio.nombre });
+                    });
+            });
+        });
+
+        return {
+            planId: plan.planId,
+            nombre: plan.nombre,
+            estado: plan.estado,
+            cantidadClientes: plan.clientes.length,
+            usos
+        };
+    }
+}
+
+module.exports = EjercicioService;
@@ -8,6 +8,9 @@ const PagoRepository = require('../repositories/PagoRepository'); // Repositorio
 const FinanzasRepository = require('../repositories/FinanzasRepository'); // Repositorio para operaciones financieras
 const ClienteRepository = require('../repositories/ClienteRepository'); // Repositorio para operaciones de clientes
 const ContratoRepository = require('../repositories/ContratoRepository'); // Repositorio para operaciones de contratos
+const GrupoRepository = require('../repositories/GrupoRepository'); // Repositorio para grupos familiares y corporativos
+const ReferidoService = require('./ReferidoService'); // Servicio del programa de referidos (crédito aplicable a pagos)
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas (vencimiento de cuotas)
 
 /**
  * Servicio de gestión financiera
@@ -41,6 +44,11 @@ class FinanzasService {
         // PATRÓN: Repository - Abstrae el acceso a datos de contratos
         // PRINCIPIO SOLID D: Depende de abstracción ContratoRepository
         this.contratoRepository = new ContratoRepository(db);
+        // PATRÓN: Repository - Abstrae el acceso a datos de grupos
+        // PRINCIPIO SOLID D: Depende de abstracción GrupoRepository
+        this.grupoRepository = new GrupoRepository(db);
+        // PATRÓN: Service Layer - Consulta y consume el crédito de referidos del cliente
+        this.referidoService = new ReferidoService(db);
         // Almacena la conexión a la base de datos para uso interno
         this.db = db;
     }
@@ -48,6 +56,7 @@ class FinanzasService {
     /**
      * Registra un nuevo pago
      * @param {Object} pagoData - Datos del pago
+     * @param {boolean} [pagoData.aplicarCreditoReferidos=false] - Consume el crédito de referidos del cliente como descuento
      * @returns {Promise<ObjectId>} ID del pago creado
      * @throws {Error} Si hay error en la validación o creación
      * 
@@ -57,8 +66,8 @@ class FinanzasService {
      * PRINCIPIO SOLID S: Responsabilidad Única - Solo se encarga de registrar pagos
      * PRINCIPIO SOLID O: Abierto/Cerrado - Extensible para nuevas validaciones
      * 
-     * NOTA: No hay transacciones explícitas aquí, cada operación es independiente
-     * POSIBLE MEJORA: Implementar transacciones para garantizar consistencia
+     * NOTA: Sin crédito de referidos cada operación es independiente; al aplicar crédito,
+     * el pago, la redención y el movimiento financiero se guardan en una transacción
      */
     async registrarPago(pagoData) {
         try {
@@ -94,38 +103,61 @@ class FinanzasService {
                 }
             }
 
+            // ===== CRÉDITO DE REFERIDOS =====
+            // PATRÓN: Strategy - El crédito disponible se descuenta del monto como línea de descuento
+            const { aplicarCreditoReferidos, ...datosPago } = pagoData;
+            let creditoAplicado = 0;
+            if (aplicarCreditoReferidos) {
+                // PATRÓN: Guard Clause - Solo ingresos pagados de un cliente pueden consumir crédito
+                if (!datosPago.clienteId || (datosPago.tipoMovimiento || 'ingreso') !== 'ingreso' || datosPago.estado !== 'pagado') {
+                    throw new Error('El crédito de referidos solo se aplica a ingresos pagados de un cliente');
+                }
+                const creditoDisponible = await this.referidoService.obtenerCreditoDisponible(datosPago.clienteId);
+                creditoAplicado = Math.round(Math.min(creditoDisponible, datosPago.monto) * 100) / 100;
+                if (creditoAplicado > 0) {
+                    datosPago.descuentos = [
+                        ...(datosPago.descuentos || []),
+                        { concepto: 'credito_referidos', monto: creditoAplicado }
+                    ];
+                    datosPago.monto = Math.round((datosPago.monto - creditoAplicado) * 100) / 100;
+                }
+            }
+
             // ===== CREACIÓN DE ENTIDAD DE DOMINIO =====
             // PATRÓN: Factory - Creación de instancia de Pago
             // PATRÓN: Domain Model - Uso de entidad de dominio con validaciones
             // PRINCIPIO SOLID S: Delegación de responsabilidad de validación al modelo
-            const pago = new Pago(pagoData);
+            const pago = new Pago(datosPago);
 
-            // ===== PERSISTENCIA DEL PAGO =====
-            // PATRÓN: Repository - Abstrae la operación de inserción
-            // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
-            const pagoId = await this.pagoRepository.create(pago);
+            // PATRÓN: Guard Clause - Sin crédito se conserva el flujo sin transacción
+            if (creditoAplicado === 0) {
+                return await this.guardarPago(pago);
+            }
 
-            // ===== CREACIÓN DE MOVIMIENTO FINANCIERO OPCIONAL =====
-            // PATRÓN: Strategy - Diferentes estrategias según tipo de pago
-            // PATRÓN: Factory - Creación de instancia de Finanzas
-            // BUENA PRÁCTICA: Solo crear movimiento financiero para ingresos
-            if (pago.esIngreso()) {
-                const { Finanzas } = require('../models');
-                const movimiento = new Finanzas({
-                    tipo: 'ingreso',
-                    descripcion: `Pago de ${pago.monto} - ${pago.metodoPago}`,
-                    monto: pago.monto,
-                    fecha: pago.fechaPago,
-                    clienteId: pago.clienteId,
-                    categoria: 'pago_cliente'
+            // ===== INICIO DE TRANSACCIÓN =====
+            // PATRÓN: Transaction - El pago y el consumo de crédito se confirman juntos
+            const session = this.db.client.startSession();
+
+            try {
+                let pagoId;
+
+                await session.withTransaction(async () => {
+                    pagoId = await this.guardarPago(pago, { session });
+
+                    const redimido = await this.referidoService.redimirCredito(
+                        pago.clienteId, creditoAplicado, pago.pagoId, { session }
+                    );
+                    // PATRÓN: Guard Clause - El crédito pudo consumirse en otro pago simultáneo
+                    if (redimido < creditoAplicado) {
+                        throw new Error('El crédito de referidos disponible cambió; intente nuevamente');
+                    }
                 });
 
-                // PATRÓN: Repository - Abstrae la operación de inserción
-                // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
-                await this.finanzasRepository.create(movimiento);
+                return pagoId;
+            } finally {
+                // ===== FIN DE TRANSACCIÓN =====
+                await session.endSession();
             }
-
-            return pagoId;
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Wrapping - Envuelve errores con contexto específico
@@ -134,6 +166,45 @@ class FinanzasService {
         }
     }
 
+    /**
+     * Persiste un pago y su movimiento financiero
+     * @param {Pago} pago - Pago validado
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId>} ID del pago creado
+     * @private
+     */
+    async guardarPago(pago, options = {}) {
+        // ===== PERSISTENCIA DEL PAGO =====
+        // PATRÓN: Repository - Abstrae la operación de inserción
+        // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
+        const pagoId = await this.pagoRepository.create(pago, options);
+
+        // ===== CREACIÓN DE MOVIMIENTO FINANCIERO OPCIONAL =====
+        // PATRÓN: Strategy - Diferentes estrategias según tipo de pago
+        // PATRÓN: Factory - Creación de instancia de Finanzas
+        // BUENA PRÁCTICA: Solo crear movimiento financiero para ingresos con monto cobrado
+        if (pago.esIngreso() && pago.monto > 0) {
+            const { Finanzas } = require('../models');
+            const totalDescuentos = pago.getTotalDescuentos();
+            const movimiento = new Finanzas({
+                tipo: 'ingreso',
+                descripcion: totalDescuentos > 0
+                    ? `Pago de ${pago.monto} - ${pago.metodoPago} (descuento ${totalDescuentos})`
+                    : `Pago de ${pago.monto} - ${pago.metodoPago}`,
+                monto: pago.monto,
+                fecha: pago.fechaPago,
+                clienteId: pago.clienteId,
+                categoria: 'pago_cliente'
+            });
+
+            // PATRÓN: Repository - Abstrae la operación de inserción
+            // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
+            await this.finanzasRepository.create(movimiento, options);
+        }
+
+        return pagoId;
+    }
+
     /**
      * Obtiene un pago por su ID
      * @param {string|ObjectId} pagoId - ID del pago
@@ -175,6 +246,99 @@ class FinanzasService {
         }
     }
 
+    /**
+     * Obtiene el balance consolidado de un grupo familiar o corporativo
+     * Reúne los pagos de cada miembro y los contratos vigentes que le corresponde pagar,
+     * imputando al pagador los contratos que se facturaron a su nombre
+     * @param {string|ObjectId} grupoId - ID del grupo
+     * @returns {Promise<Object>} Balance por miembro y totales del grupo
+     *
+     * PATRÓN: Facade - Reutiliza obtenerPagosPorCliente para cada miembro
+     * PATRÓN: Aggregator - Consolida importes de varios clientes
+     */
+    async obtenerBalancePorGrupo(grupoId) {
+        try {
+            if (!ObjectId.isValid(grupoId)) {
+                throw new Error('ID del grupo no es válido');
+            }
+            const grupo = await this.grupoRepository.getById(grupoId);
+            if (!grupo) {
+                throw new Error('Grupo no encontrado');
+            }
+
+            // ===== BALANCE POR MIEMBRO =====
+            const balances = new Map();
+            for (const miembroId of grupo.miembros) {
+                const cliente = await this.clienteRepository.getById(miembroId);
+                const pagos = await this.obtenerPagosPorCliente(miembroId, { tipoMovimiento: 'ingreso' });
+                const sumar = (estado) => pagos
+                    .filter(pago => pago.estado === estado)
+                    .reduce((total, pago) => total + pago.monto, 0);
+
+                balances.set(miembroId.toString(), {
+                    clienteId: miembroId,
+                    nombreCompleto: cliente ? cliente.getNombreCompleto() : 'Cliente no encontrado',
+                    esPagador: grupo.esPagador(miembroId),
+                    pagado: sumar('pagado'),
+                    pendiente: sumar('pendiente'),
+                    retrasado: sumar('retrasado'),
+                    contratosVigentes: 0,
+                    montoContratosAPagar: 0
+                });
+            }
+
+            // ===== CONTRATOS VIGENTES IMPUTADOS AL RESPONSABLE =====
+            // PATRÓN: Strategy - Un contrato facturado al pagador se suma al pagador, no al miembro
+            let ahorroDescuentos = 0;
+            for (const miembroId of grupo.miembros) {
+                const contratos = await this.contratoRepository.getByClient(miembroId);
+                contratos.filter(contrato => contrato.estado === 'vigente').forEach(contrato => {
+                    const responsable = balances.get(contrato.getResponsablePagoId().toString())
+                        || balances.get(miembroId.toString());
+                    responsable.contratosVigentes += 1;
+                    responsable.montoContratosAPagar += contrato.precio;
+
+                    if (contrato.facturacionGrupo) {
+                        ahorroDescuentos += contrato.facturacionGrupo.precioLista - contrato.precio;
+                    }
+                });
+            }
+
+            // ===== TOTALES DEL GRUPO =====
+            const miembros = Array.from(balances.values());
+            const redondear = (valor) => Math.round(valor * 100) / 100;
+            const totales = miembros.reduce((acumulado, miembro) => ({
+                pagado: acumulado.pagado + miembro.pagado,
+                pendiente: acumulado.pendiente + miembro.pendiente,
+                retrasado: acumulado.retrasado + miembro.retrasado,
+                contratosVigentes: acumulado.contratosVigentes + miembro.contratosVigentes,
+                montoContratosAPagar: acumulado.montoContratosAPagar + miembro.montoContratosAPagar
+            }), { pagado: 0, pendiente: 0, retrasado: 0, contratosVigentes: 0, montoContratosAPagar: 0 });
+
+            return {
+                grupo: grupo.getResumen(),
+                miembros: miembros.map(miembro => ({
+                    ...miembro,
+                    pagado: redondear(miembro.pagado),
+                    pendiente: redondear(miembro.pendiente),
+                    retrasado: redondear(miembro.retrasado),
+                    montoContratosAPagar: redondear(miembro.montoContratosAPagar)
+                })),
+                totales: {
+                    pagado: redondear(totales.pagado),
+                    pendiente: redondear(totales.pendiente),
+                    retrasado: redondear(totales.retrasado),
+                    saldoPorCobrar: redondear(totales.pendiente + totales.retrasado),
+                    contratosVigentes: totales.contratosVigentes,
+                    montoContratosAPagar: redondear(totales.montoContratosAPagar),
+                    ahorroDescuentos: redondear(ahorroDescuentos)
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener balance del grupo: ${error.message}`);
+        }
+    }
+
     /**
      * Obtiene pagos por contrato
      * @param {string|ObjectId} contratoId - ID del contrato
@@ -292,6 +456,17 @@ class FinanzasService {
                     await this.finanzasRepository.update(movimiento.movimientoId, {
                         descripcion: `Pago confirmado de ${pago.monto} - ${pago.metodoPago}${referencia ? ` (Ref: ${referencia})` : ''}`
                     });
+                } else if (pago.monto > 0) {
+                    // Las cuotas de contrato no registran el ingreso al crearse: se registra al cobrarlas
+                    const { Finanzas } = require('../models');
+                    await this.finanzasRepository.create(new Finanzas({
+                        tipo: 'ingreso',
+                        descripcion: `Pago confirmado de ${pago.monto} - ${pago.metodoPago}${pago.referencia ? ` (${pago.referencia})` : ''}${referencia ? ` (Ref: ${referencia})` : ''}`,
+                        monto: pago.monto,
+                        fecha: new Date(),
+                        clienteId: pago.clienteId,
+                        categoria: 'pago_cliente'
+                    }));
                 }
             }
 
@@ -412,13 +587,27 @@ class FinanzasService {
 
     /**
      * Obtiene alertas de pagos pendientes y retrasados
+     * Los pagos de contratos congelados no generan alertas mientras dura el congelamiento
      * @returns {Promise<Object>} Alertas de pagos
      */
     async obtenerAlertasPagos() {
         try {
-            const pagosPendientes = await this.pagoRepository.getPagosPendientes({ limit: 10 });
-            const pagosRetrasados = await this.pagoRepository.getPagosRetrasados({ limit: 10 });
-            const pagosVencidos = await this.pagoRepository.getPagosVencidos(new Date(), { limit: 10 });
+            // ===== CONTRATOS CONGELADOS =====
+            // Un pago sin contrato se omite si el cliente tiene algún contrato congelado
+            const congelados = await this.contratoRepository.getContractsByState('suspendido');
+            const contratosCongelados = new Set(congelados.map(contrato => contrato.contratoId.toString()));
+            const clientesCongelados = new Set(congelados.map(contrato => contrato.clienteId.toString()));
+            const alertable = pago => pago.contratoId
+                ? !contratosCongelados.has(pago.contratoId.toString())
+                : !(pago.clienteId && clientesCongelados.has(pago.clienteId.toString()));
+
+            const pendientes = await this.pagoRepository.getPagosPendientes();
+            const retrasados = await this.pagoRepository.getPagosRetrasados();
+            const vencidos = await this.pagoRepository.getPagosVencidos(new Date());
+
+            const pagosPendientes = pendientes.filter(alertable).slice(0, 10);
+            const pagosRetrasados = retrasados.filter(alertable).slice(0, 10);
+            const pagosVencidos = vencidos.filter(alertable).slice(0, 10);
 
             return {
                 pagosPendientes: pagosPendientes,
@@ -426,7 +615,11 @@ class FinanzasService {
                 pagosVencidos: pagosVencidos,
                 totalPendientes: pagosPendientes.length,
                 totalRetrasados: pagosRetrasados.length,
-                totalVencidos: pagosVencidos.length
+                totalVencidos: pagosVencidos.length,
+                // Un mismo pago puede figurar como pendiente y vencido: se cuenta una vez
+                omitidosPorCongelamiento: new Set([...pendientes, ...retrasados, ...vencidos]
+                    .filter(pago => !alertable(pago))
+                    .map(pago => pago.pagoId.toString())).size
             };
         } catch (error) {
             throw new Error(`Error al obtener alertas de pagos: ${error.message}`);
@@ -616,10 +809,122 @@ class FinanzasService {
         }
     }
 
+    /**
+     * Materializa el cronograma de pagos de un contrato como pagos vinculados al contrato
+     * @param {Contrato} contrato - Contrato con cronogramaPagos armado
+     * @param {Object} opciones - pagado: la única cuota ya se cobró (el movimiento financiero lo registra el contrato)
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId[]>} IDs de los pagos creados, en orden de cuota
+     *
+     * NOTA: La fecha del pago es el vencimiento de la cuota; el movimiento financiero
+     * se registra al marcar la cuota como pagada
+     */
+    async registrarCuotasContrato(contrato, { pagado = false } = {}, options = {}) {
+        try {
+            const { cuotas } = contrato.cronogramaPagos;
+            const pagoIds = [];
+
+            for (const cuota of cuotas) {
+                const pago = new Pago({
+                    clienteId: contrato.getResponsablePagoId(),
+                    contratoId: contrato.contratoId,
+                    fechaPago: cuota.fechaVencimiento,
+                    monto: cuota.monto,
+                    metodoPago: 'otro',
+                    estado: pagado ? 'pagado' : 'pendiente',
+                    referencia: `Cuota ${cuota.numero}/${cuotas.length}`,
+                    tipoMovimiento: 'ingreso'
+                });
+                pagoIds.push(await this.pagoRepository.create(pago, options));
+            }
+
+            return pagoIds;
+        } catch (error) {
+            throw new Error(`Error al registrar cuotas del contrato: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra el pago que ajusta un cambio de plan a mitad de contrato
+     * @param {Contrato} contrato - Contrato que cambió de plan
+     * @param {Object} cambio - Cambio de plan registrado por el contrato (ajuste positivo = a cobrar)
+     * @param {Object} datosPago - metodoPago y notas del pago
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<ObjectId|null>} ID del pago creado o null si el ajuste es cero
+     *
+     * PATRÓN: Strategy - Un cargo queda como ingreso pendiente (se cobra como una cuota);
+     * un crédito se reembolsa en el momento como egreso y sale de caja
+     */
+    async registrarAjusteCambioPlan(contrato, cambio, { metodoPago = 'otro', notas = null } = {}, options = {}) {
+        try {
+            if (cambio.ajuste === 0) {
+                return null;
+            }
+
+            const esCargo = cambio.ajuste > 0;
+            const monto = Math.abs(cambio.ajuste);
+            const pago = new Pago({
+                clienteId: contrato.getResponsablePagoId(),
+                contratoId: contrato.contratoId,
+                monto,
+                metodoPago,
+                estado: esCargo ? 'pendiente' : 'pagado',
+                referencia: esCargo ? 'Ajuste por cambio de plan' : 'Reembolso por cambio de plan',
+                notas,
+                tipoMovimiento: esCargo ? 'ingreso' : 'egreso'
+            });
+            const pagoId = await this.pagoRepository.create(pago, options);
+
+            if (!esCargo) {
+                const { Finanzas } = require('../models');
+                await this.finanzasRepository.create(new Finanzas({
+                    tipo: 'egreso',
+                    descripcion: `Reembolso por cambio de plan de ${monto} - ${metodoPago} (${cambio.diasRestantes} días restantes)`,
+                    monto,
+                    fecha: new Date(),
+                    clienteId: pago.clienteId,
+                    categoria: 'reembolso'
+                }), options);
+            }
+
+            return pagoId;
+        } catch (error) {
+            throw new Error(`Error al registrar ajuste por cambio de plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cancela las cuotas no cobradas de un contrato
+     * @param {string|ObjectId} contratoId - ID del contrato
+     * @param {string} motivo - Motivo de la cancelación (queda en las notas del pago)
+     * @param {Object} opciones - desde: solo las cuotas que vencen en esa fecha o después
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<Object>} cantidad y monto de las cuotas canceladas
+     */
+    async cancelarCuotasPendientes(contratoId, motivo, { desde = null } = {}, options = {}) {
+        try {
+            const pendientes = (await this.pagoRepository.getPagosByContract(contratoId, {
+                estado: { $in: ['pendiente', 'retrasado'] }
+            })).filter(pago => !desde || !dayjs(pago.fechaPago).isBefore(dayjs(desde), 'day'));
+
+            for (const pago of pendientes) {
+                await this.pagoRepository.marcarComoCancelado(pago.pagoId, motivo, options);
+            }
+
+            return {
+                cantidad: pendientes.length,
+                monto: Math.round(pendientes.reduce((total, pago) => total + pago.monto, 0) * 100) / 100
+            };
+        } catch (error) {
+            throw new Error(`Error al cancelar cuotas pendientes: ${error.message}`);
+        }
+    }
+
     /**
      * Elimina un pago (solo si no está asociado a contratos vigentes)
      * @param {string|ObjectId} pagoId - ID del pago a eliminar
-     * @returns {Promise<boolean>} True si se eliminó correctamente
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo })
+     * @returns {Promise<boolean>} True si se envió a la papelera
      * 
      * PATRÓN: Template Method - Define el flujo estándar de eliminación de pagos
      * PATRÓN: Guard Clause - Validaciones tempranas
@@ -630,7 +935,7 @@ class FinanzasService {
      * NOTA: No hay transacciones explícitas aquí, cada operación es independiente
      * POSIBLE MEJORA: Implementar transacciones para garantizar consistencia
      */
-    async eliminarPago(pagoId) {
+    async eliminarPago(pagoId, datosEliminacion = {}) {
         try {
             // ===== VALIDACIÓN DE EXISTENCIA =====
             // PATRÓN: Repository - Consulta de existencia a través de abstracción
@@ -664,7 +969,7 @@ class FinanzasService {
             // ===== ELIMINACIÓN DEL PAGO =====
             // PATRÓN: Repository - Abstrae la operación de eliminación
             // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
-            return await this.pagoRepository.delete(pagoId);
+            return await this.pagoRepository.delete(pagoId, datosEliminacion);
         } catch (error) {
             // ===== MANEJO DE ERRORES =====
             // PATRÓN: Error Wrapping - Envuelve errores con contexto específico
@@ -0,0 +1,526 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, servicios y configuración para generar planes periodizados
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const { EjercicioRepository, PlanEntrenamientoRepository } = require('../repositories');
+const PlanEntrenamientoService = require('./PlanEntrenamientoService'); // Los planes generados se guardan con crearPlan
+const config = require('../config'); // Niveles de plan válidos
+
+/**
+ * Servicio Generador de Planes Periodizados
+ * Arma un plan de varias semanas a partir de un objetivo (fuerza, hipertrofia,
+ * resistencia), un nivel y un esquema de progresión (lineal u ondulante), con una
+ * semana de descarga cada N semanas si se pide. Los ejercicios salen de la
+ * biblioteca; también se puede tomar la rutina de un plan existente como plantilla.
+ *
+ * PATRÓN: Service Layer - Orquesta la generación y delega el guardado en PlanEntrenamientoService
+ * PATRÓN: Registry - Registra los objetivos, las progresiones y las estructuras semanales por nivel
+ * PATRÓN: Strategy - Cada progresión calcula la dosis (series, repeticiones, carga) de cada día
+ * PRINCIPIO SOLID O: Abierto/Cerrado - Se agregan progresiones u objetivos sin tocar la generación
+ *
+ * NOTA: El plan se guarda con todas sus semanas explícitas; la generación no modifica planes existentes
+ */
+class GeneradorPlanesService {
+    /**
+     * Constructor del servicio generador de planes
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de ejercicios y planes
+        this.ejercicioRepository = new EjercicioRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        this.planService = new PlanEntrenamientoService(db);
+
+        // ===== REGISTRO DE OBJETIVOS =====
+        // Dosis de partida de cada objetivo; la intensidad es un % de 1RM y sube hasta intensidadMaxima
+        this.objetivos = {
+            fuerza: {
+                nombre: 'Fuerza',
+                metasFisicas: 'Aumentar la fuerza máxima en los ejercicios básicos con cargas progresivas',
+                series: 5,
+                repeticiones: 5,
+                repeticionesMinimas: 3,
+                intensidad: 75,
+                incremento: 2.5,
+                intensidadMaxima: 92.5,
+                descansoSegundos: 180
+            },
+            hipertrofia: {
+                nombre: 'Hipertrofia',
+                metasFisicas: 'Ganar masa muscular aumentando el volumen y la carga de forma gradual',
+                series: 4,
+                repeticiones: 10,
+                repeticionesMinimas: 6,
+                intensidad: 67.5,
+                incremento: 2,
+                intensidadMaxima: 82.5,
+                descansoSegundos: 90
+            },
+            resistencia: {
+                nombre: 'Resistencia',
+                metasFisicas: 'Mejorar la resistencia muscular con series largas y descansos cortos',
+                series: 3,
+                repeticiones: 15,
+                repeticionesMinimas: 10,
+                intensidad: 55,
+                incremento: 2,
+                intensidadMaxima: 70,
+                descansoSegundos: 45
+            }
+        };
+
+        // ===== REGISTRO DE PROGRESIONES =====
+        // PATRÓN: Strategy - calcularDosis(base, semana, indiceDia) devuelve la dosis del día
+        this.progresiones = {
+            lineal: {
+                nombre: 'Lineal',
+                descripcion: 'La carga sube cada semana y las repeticiones bajan poco a poco',
+                calcularDosis: (base, semana) => ({
+                    intensidad: base.intensidad + base.incremento * semana.paso,
+                    repeticiones: base.repeticiones - Math.floor(semana.paso / 2),
+                    nota: ''
+                })
+            },
+            ondulante: {
+                nombre: 'Ondulante',
+                descripcion: 'Cada día alterna un estímulo pesado, moderado o ligero y la carga sube más despacio',
+                calcularDosis: (base, semana, indiceDia) => {
+                    const onda = GeneradorPlanesService.ONDAS[indiceDia % GeneradorPlanesService.ONDAS.length];
+                    const rango = base.repeticiones - base.repeticionesMinimas;
+                    return {
+                        intensidad: base.intensidad + onda.ajusteIntensidad + (base.incremento / 2) * semana.paso,
+                        repeticiones: base.repeticiones + Math.round(rango * onda.factorRepeticiones),
+                        nota: `Día ${onda.nombre}`
+                    };
+                }
+            }
+        };
+
+        // ===== ESTRUCTURAS SEMANALES POR NIVEL =====
+        // Cada día lista los grupos musculares de sus ejercicios, en orden
+        this.estructuras = {
+            principiante: [
+                { nombre: 'Día A - Cuerpo completo', grupos: ['cuadriceps', 'pecho', 'espalda', 'hombros', 'abdomen'] },
+                { nombre: 'Día B - Cuerpo completo', grupos: ['isquiotibiales', 'espalda', 'pecho', 'triceps', 'abdomen'] },
+                { nombre: 'Día C - Cuerpo completo', grupos: ['gluteos', 'pecho', 'espalda', 'biceps', 'pantorrillas'] }
+            ],
+            intermedio: [
+                { nombre: 'Torso A', grupos: ['pecho', 'espalda', 'hombros', 'biceps', 'triceps'] },
+                { nombre: 'Pierna A', grupos: ['cuadriceps', 'isquiotibiales', 'gluteos', 'pantorrillas', 'abdomen'] },
+                { nombre: 'Torso B', grupos: ['espalda', 'pecho', 'hombros', 'triceps', 'biceps'] },
+                { nombre: 'Pierna B', grupos: ['isquiotibiales', 'cuadriceps', 'gluteos', 'abdomen'] }
+            ],
+            avanzado: [
+                { nombre: 'Empuje', grupos: ['pecho', 'pecho', 'hombros', 'hombros', 'triceps'] },
+                { nombre: 'Tirón', grupos: ['espalda', 'espalda', 'biceps', 'antebrazos', 'abdomen'] },
+                { nombre: 'Pierna', grupos: ['cuadriceps', 'isquiotibiales', 'gluteos', 'pantorrillas'] },
+                { nombre: 'Torso', grupos: ['pecho', 'espalda', 'hombros', 'biceps', 'triceps'] },
+                { nombre: 'Pierna y core', grupos: ['isquiotibiales', 'cuadriceps', 'gluteos', 'abdomen'] }
+            ]
+        };
+    }
+
+    /**
+     * Obtiene los objetivos y progresiones disponibles (para armar menús)
+     * @returns {Object} Objetivos y progresiones con value, name y descripción
+     */
+    obtenerOpciones() {
+        return {
+            objetivos: Object.keys(this.objetivos).map(key => ({
+                value: key,
+                name: this.objetivos[key].nombre,
+                descripcion: this.objetivos[key].metasFisicas
+            })),
+            progresiones: Object.keys(this.progresiones).map(key => ({
+                value: key,
+                name: this.progresiones[key].nombre,
+                descripcion: this.progresiones[key].descripcion
+            }))
+        };
+    }
+
+    /**
+     * Arma un plan periodizado sin guardarlo, para revisarlo antes de crearlo
+     * @param {Object} parametros - objetivo, nivel, duracionSemanas, progresion, descargaCada,
+     *   y opcionalmente nombre, metasFisicas, cupoMaximo y planBaseId (plan usado como plantilla)
+     * @returns {Promise<Object>} Datos del plan, resumen por semana y advertencias
+     */
+    async previsualizarPlan(parametros) {
+        try {
+            const datos = await this.construirPlan(parametros);
+            return {
+                success: true,
+                data: datos.datosPlan,
+                resumenSemanas: datos.resumenSemanas,
+                advertencias: datos.advertencias
+            };
+        } catch (error) {
+            throw new Error(`Error al generar plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Genera un plan periodizado y lo guarda como plan nuevo
+     * @param {Object} parametros - Los mismos parámetros que previsualizarPlan
+     * @returns {Promise<Object>} Resultado de crearPlan con el resumen por semana y las advertencias
+     */
+    async generarPlan(parametros) {
+        try {
+            const datos = await this.construirPlan(parametros);
+            const resultado = await this.planService.crearPlan(datos.datosPlan);
+            return {
+                ...resultado,
+                mensaje: `Plan "${resultado.data.nombre}" generado con ${datos.datosPlan.semanas.length} semana(s)`,
+                resumenSemanas: datos.resumenSemanas,
+                advertencias: datos.advertencias
+            };
+        } catch (error) {
+            throw new Error(`Error al generar plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Crea un plan nuevo copiando la rutina de otro tal cual (sin aplicar progresión)
+     * @param {string|ObjectId} planId - Plan que se usa como plantilla
+     * @param {Object} datos - nombre y opcionalmente duracionSemanas, nivel, metasFisicas y cupoMaximo
+     * @returns {Promise<Object>} Resultado de crearPlan
+     */
+    async clonarPlan(planId, datos = {}) {
+        try {
+            const plantilla = await this.obtenerPlanPlantilla(planId);
+            const duracionSemanas = datos.duracionSemanas || plantilla.duracionSemanas;
+
+            // Si la copia es más corta se recortan las semanas sobrantes; si es más larga, se repiten en ciclo
+            const resultado = await this.planService.crearPlan({
+                nombre: datos.nombre,
+                duracionSemanas,
+                nivel: datos.nivel || plantilla.nivel,
+                metasFisicas: datos.metasFisicas || plantilla.metasFisicas,
+                cupoMaximo: datos.cupoMaximo !== undefined ? datos.cupoMaximo : plantilla.cupoMaximo,
+                semanas: plantilla.semanas.slice(0, duracionSemanas)
+            });
+            return {
+                ...resultado,
+                mensaje: `Plan "${resultado.data.nombre}" creado a partir de "${plantilla.nombre}"`
+            };
+        } catch (error) {
+            throw new Error(`Error al clonar plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Arma los datos del plan y el resumen de cada semana
+     * @param {Object} parametros - Parámetros de generación
+     * @returns {Promise<Object>} datosPlan (listo para crearPlan), resumenSemanas y advertencias
+     * @private
+     */
+    async construirPlan(parametros) {
+        const { objetivo, progresion, nivel, duracionSemanas, descargaCada } = this.validarParametros(parametros);
+        const advertencias = [];
+
+        // La plantilla es la primera semana de un plan existente o la estructura del nivel con ejercicios de la biblioteca
+        let plantilla = null;
+        let diasBase;
+        if (parametros.planBaseId) {
+            plantilla = await this.obtenerPlanPlantilla(parametros.planBaseId);
+            diasBase = await this.diasDesdePlan(plantilla);
+        } else {
+            diasBase = await this.diasDesdeBiblioteca(nivel, advertencias);
+        }
+
+        const base = this.calcularBase(this.objetivos[objetivo], nivel);
+        const semanas = [];
+        const resumenSemanas = [];
+        for (let numero = 1; numero <= duracionSemanas; numero++) {
+            const semana = this.calcularSemana(numero, descargaCada);
+            const dosis = diasBase.map((dia, indiceDia) => this.dosificarDia(dia, indiceDia, base, semana, this.progresiones[progresion]));
+            semanas.push({ dias: dosis.map(({ dia }) => dia) });
+            resumenSemanas.push(this.resumirSemana(semana, dosis));
+        }
+
+        const nombrePorDefecto = `${this.objetivos[objetivo].nombre} ${nivel} - ${this.progresiones[progresion].nombre} ${duracionSemanas} sem`;
+        return {
+            datosPlan: {
+                nombre: parametros.nombre || nombrePorDefecto,
+                duracionSemanas,
+                nivel,
+                metasFisicas: parametros.metasFisicas || this.objetivos[objetivo].metasFisicas,
+                cupoMaximo: parametros.cupoMaximo ?? (plantilla ? plantilla.cupoMaximo : null),
+                semanas
+            },
+            resumenSemanas,
+            advertencias
+        };
+    }
+
+    /**
+     * Valida y normaliza los parámetros de generación
+     * @param {Object} parametros - Parámetros recibidos
+     * @returns {Object} Parámetros normalizados
+     * @private
+     */
+    validarParametros(parametros) {
+        const objetivo = parametros.objetivo;
+        if (!this.objetivos[objetivo]) {
+            throw new Error(`Objetivo debe ser uno de: ${Object.keys(this.objetivos).join(', ')}`);
+        }
+        const progresion = parametros.progresion;
+        if (!this.progresiones[progresion]) {
+            throw new Error(`Progresión debe ser una de: ${Object.keys(this.progresiones).join(', ')}`);
+        }
+
+        const nivel = (parametros.nivel || '').toLowerCase();
+        if (!config.validation.planLevels.includes(nivel)) {
+            throw new Error(`Nivel debe ser uno de: ${config.validation.planLevels.join(', ')}`);
+        }
+
+        const duracionSemanas = parametros.duracionSemanas;
+        if (!Number.isInteger(duracionSemanas) || duracionSemanas < 1 || duracionSemanas > 104) {
+            throw new Error('Duración debe estar entre 1 y 104 semanas');
+        }
+
+        // 0 = sin semanas de descarga
+        const descargaCada = parametros.descargaCada || 0;
+        if (!Number.isInteger(descargaCada) || (descargaCada !== 0 && (descargaCada < 2 || descargaCada > 12))) {
+            throw new Error('La descarga debe programarse cada 2 a 12 semanas (0 = sin descarga)');
+        }
+
+        return { objetivo, progresion, nivel, duracionSemanas, descargaCada };
+    }
+
+    /**
+     * Ajusta la dosis del objetivo al nivel (los principiantes hacen una serie menos y los avanzados una más)
+     * @param {Object} objetivo - Objetivo registrado
+     * @param {string} nivel - Nivel del plan
+     * @returns {Object} Dosis base
+     * @private
+     */
+    calcularBase(objetivo, nivel) {
+        const ajusteSeries = { principiante: -1, intermedio: 0, avanzado: 1 }[nivel];
+        return {
+            ...objetivo,
+            series: Math.max(objetivo.series + ajusteSeries, 2)
+        };
+    }
+
+    /**
+     * Ubica una semana dentro de la periodización
+     * Con descarga cada N semanas, el plan se divide en bloques de N semanas cuya última
+     * es de descarga; cada bloque empieza un paso por encima del anterior
+     * @param {number} numero - Número de semana (desde 1)
+     * @param {number} descargaCada - Frecuencia de la descarga (0 = sin descarga)
+     * @returns {Object} { numero, descarga, paso }
+     * @private
+     */
+    calcularSemana(numero, descargaCada) {
+        if (!descargaCada) {
+            return { numero, descarga: false, paso: numero - 1 };
+        }
+        const bloque = Math.floor((numero - 1) / descargaCada);
+        const semanaEnBloque = (numero - 1) % descargaCada;
+        return {
+            numero,
+            descarga: semanaEnBloque === descargaCada - 1,
+            paso: semanaEnBloque + bloque
+        };
+    }
+
+    /**
+     * Calcula series, repeticiones y carga de los ejercicios de un día
+     * @param {Object} dia - Día base con sus ejercicios
+     * @param {number} indiceDia - Posición del día en la semana
+     * @param {Object} base - Dosis base del objetivo
+     * @param {Object} semana - Semana calculada con calcularSemana
+     * @param {Object} progresion - Progresión registrada
+     * @returns {Object} { dia, intensidad } - Día con los ejercicios dosificados y su intensidad
+     * @private
+     */
+    dosificarDia(dia, indiceDia, base, semana, progresion) {
+        let series = base.series;
+        let { intensidad, repeticiones, nota } = progresion.calcularDosis(base, semana, indiceDia);
+
+        // La descarga baja el volumen y la intensidad sin cambiar los ejercicios
+        if (semana.descarga) {
+            series = Math.max(Math.round(base.series * 0.6), 1);
+            intensidad = base.intensidad - 10;
+            repeticiones = base.repeticiones;
+            nota = 'Semana de descarga: menos series y menos carga';
+        }
+
+        intensidad = Math.min(Math.round(intensidad * 2) / 2, base.intensidadMaxima);
+        repeticiones = Math.max(repeticiones, base.repeticionesMinimas);
+
+        return {
+            dia: {
+                nombre: dia.nombre,
+                notas: [dia.notas, nota].filter(Boolean).join(' - ').slice(0, 200),
+                ejercicios: dia.ejercicios.map(ejercicio => ({
+                    ejercicioId: ejercicio.ejercicioId,
+                    nombre: ejercicio.nombre,
+                    series,
+                    repeticiones: String(repeticiones),
+                    carga: this.formatearCarga(intensidad, ejercicio.pesoCorporal),
+                    descansoSegundos: base.descansoSegundos,
+                    notas: ejercicio.notas || ''
+                }))
+            },
+            intensidad
+        };
+    }
+
+    /**
+     * Expresa la carga como % de 1RM, o como RPE en los ejercicios con peso corporal
+     * @param {number} intensidad - Intensidad en % de 1RM
+     * @param {boolean} pesoCorporal - Si el ejercicio se hace sin carga externa
+     * @returns {string} Indicación de carga
+     * @private
+     */
+    formatearCarga(intensidad, pesoCorporal) {
+        if (pesoCorporal) {
+            return `RPE ${Math.min(Math.max(Math.round(intensidad / 10), 5), 10)}`;
+        }
+        return `${intensidad}% 1RM`;
+    }
+
+    /**
+     * Resume una semana generada para mostrarla antes de guardar
+     * @param {Object} semana - Semana calculada con calcularSemana
+     * @param {Array} dosis - Días dosificados con su intensidad
+     * @returns {Object} Resumen de la semana
+     * @private
+     */
+    resumirSemana(semana, dosis) {
+        const intensidades = dosis.map(({ intensidad }) => intensidad);
+        return {
+            numero: semana.numero,
+            tipo: semana.descarga ? 'descarga' : 'carga',
+            intensidadMinima: intensidades.length > 0 ? Math.min(...intensidades) : null,
+            intensidadMaxima: intensidades.length > 0 ? Math.max(...intensidades) : null,
+            seriesTotales: dosis.reduce((total, { dia }) => total + dia.ejercicios.reduce((suma, ejercicio) => suma + ejercicio.series, 0), 0)
+        };
+    }
+
+    /**
+     * Arma los días base con la estructura del nivel y ejercicios de la biblioteca
+     * Cada grupo muscular rota por sus ejercicios para no repetir el mismo en toda la semana
+     * @param {string} nivel - Nivel del plan (solo se usan ejercicios de esa dificultad o menor)
+     * @param {Array<string>} advertencias - Se agregan los grupos sin ejercicios en la biblioteca
+     * @returns {Promise<Array>} Días base
+     * @private
+     */
+    async diasDesdeBiblioteca(nivel, advertencias) {
+        const niveles = config.validation.planLevels;
+        const dificultades = niveles.slice(0, niveles.indexOf(nivel) + 1);
+        const ejercicios = await this.ejercicioRepository.getAll({ dificultad: { $in: dificultades } });
+
+        const porGrupo = {};
+        ejercicios.forEach(ejercicio => {
+            ejercicio.gruposMusculares.forEach(grupo => {
+                (porGrupo[grupo] = porGrupo[grupo] || []).push(ejercicio);
+            });
+        });
+
+        const usosPorGrupo = {};
+        const gruposFaltantes = new Set();
+        const dias = this.estructuras[nivel].map(estructura => {
+            const ejerciciosDia = [];
+            estructura.grupos.forEach(grupo => {
+                const candidatos = (porGrupo[grupo] || []).filter(candidato =>
+                    !ejerciciosDia.some(elegido => elegido.ejercicioId.toString() === candidato.ejercicioId.toString())
+                );
+                if (candidatos.length === 0) {
+                    gruposFaltantes.add(grupo);
+                    return;
+                }
+                const uso = usosPorGrupo[grupo] || 0;
+                usosPorGrupo[grupo] = uso + 1;
+                const ejercicio = candidatos[uso % candidatos.length];
+                ejerciciosDia.push({
+                    ejercicioId: ejercicio.ejercicioId,
+                    nombre: ejercicio.nombre,
+                    pesoCorporal: this.esPesoCorporal(ejercicio)
+                });
+            });
+            return { nombre: estructura.nombre, notas: '', ejercicios: ejerciciosDia };
+        });
+
+        if (gruposFaltantes.size > 0) {
+            advertencias.push(`La biblioteca no tiene ejercicios de nivel ${nivel} o menor para: ${[...gruposFaltantes].join(', ')}`);
+        }
+        if (dias.every(dia => dia.ejercicios.length === 0)) {
+            throw new Error('La biblioteca de ejercicios no tiene ejercicios para este nivel');
+        }
+        return dias.filter(dia => dia.ejercicios.length > 0);
+    }
+
+    /**
+     * Toma la primera semana de un plan como días base, conservando sus ejercicios y notas
+     * @param {PlanEntrenamiento} plan - Plan usado como plantilla
+     * @returns {Promise<Array>} Días base
+     * @private
+     */
+    async diasDesdePlan(plan) {
+        const dias = plan.semanas[0].dias.filter(dia => dia.ejercicios.length > 0);
+        if (dias.length === 0) {
+            throw new Error(`La primera semana de "${plan.nombre}" no tiene ejercicios`);
+        }
+
+        const ids = dias.flatMap(dia => dia.ejercicios.map(ejercicio => new ObjectId(ejercicio.ejercicioId)));
+        const ejercicios = await this.ejercicioRepository.getAll({ _id: { $in: ids } });
+        const pesoCorporal = new Map(ejercicios.map(ejercicio => [ejercicio.ejercicioId.toString(), this.esPesoCorporal(ejercicio)]));
+
+        return dias.map(dia => ({
+            nombre: dia.nombre,
+            notas: dia.notas,
+            ejercicios: dia.ejercicios.map(ejercicio => ({
+                ejercicioId: ejercicio.ejercicioId,
+                nombre: ejercicio.nombre,
+                notas: ejercicio.notas,
+                pesoCorporal: pesoCorporal.get(ejercicio.ejercicioId.toString()) || false
+            }))
+        }));
+    }
+
+    /**
+     * Verifica si un ejercicio se hace solo con el peso corporal
+     * @param {Ejercicio} ejercicio - Ejercicio de la biblioteca
+     * @returns {boolean} True si no requiere equipamiento
+     * @private
+     */
+    esPesoCorporal(ejercicio) {
+        return ejercicio.equipamiento.length === 0 ||
+            ejercicio.equipamiento.every(equipo => equipo === 'peso corporal');
+    }
+
+    /**
+     * Obtiene un plan con rutina para usarlo como plantilla
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<PlanEntrenamiento>} Plan encontrado
+     * @private
+     */
+    async obtenerPlanPlantilla(planId) {
+        if (!ObjectId.isValid(planId)) {
+            throw new Error('ID del plan no es válido');
+        }
+        const plan = await this.planRepository.getById(planId);
+        if (!plan) {
+            throw new Error('Plan plantilla no encontrado');
+        }
+        if (plan.semanas.length === 0) {
+            throw new Error(`El plan "${plan.nombre}" no tiene rutina para usar como plantilla`);
+        }
+        return plan;
+    }
+}
+
+GeneradorPlanesService.ONDAS = [
+    { nombre: 'pesado', ajusteIntensidad: 7.5, factorRepeticiones: -1 },
+    { nombre: 'moderado', ajusteIntensidad: 0, factorRepeticiones: 0 },
+    { nombre: 'ligero', ajusteIntensidad: -10, factorRepeticiones: 1 }
+];
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = GeneradorPlanesService;
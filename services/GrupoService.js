@@ -0,0 +1,330 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y modelos necesarios para grupos familiares y corporativos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para validación de IDs de MongoDB
+const { GrupoRepository, ClienteRepository } = require('../repositories');
+const { Grupo } = require('../models'); // Modelo de dominio Grupo
+
+/**
+ * Servicio de Grupos
+ * Gestiona membresías familiares y convenios corporativos: miembros, pagador designado
+ * y condiciones comerciales (descuento y facturación al pagador) que aplican los contratos
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio de grupos
+ * PATRÓN: Facade - Simplifica la gestión de miembros y pagador
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de los grupos
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: Las condiciones del grupo se aplican al crear contratos (ContratoService.crearContrato)
+ */
+class GrupoService {
+    /**
+     * Constructor del servicio de grupos
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de grupos y clientes
+        this.grupoRepository = new GrupoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+    }
+
+    /**
+     * Crea un grupo con su pagador como primer miembro
+     * @param {Object} datosGrupo - nombre, tipo, pagadorId, descuentoPorcentaje, facturarAPagador, notas
+     * @returns {Promise<Object>} Resultado con el grupo creado
+     *
+     * PATRÓN: Factory - Crea la instancia de Grupo
+     * PATRÓN: Guard Clause - El pagador debe ser un cliente existente y activo
+     */
+    async crearGrupo(datosGrupo) {
+        try {
+            const pagador = await this.obtenerClienteValido(datosGrupo.pagadorId);
+
+            const grupo = new Grupo({
+                nombre: datosGrupo.nombre,
+                tipo: datosGrupo.tipo,
+                pagadorId: pagador.clienteId,
+                descuentoPorcentaje: datosGrupo.descuentoPorcentaje || 0,
+                facturarAPagador: datosGrupo.facturarAPagador === true,
+                notas: datosGrupo.notas || ''
+            });
+
+            const grupoId = await this.grupoRepository.create(grupo);
+
+            return {
+                success: true,
+                grupoId,
+                data: grupo.getResumen(),
+                mensaje: `Grupo "${grupo.nombre}" creado con ${pagador.getNombreCompleto()} como pagador`
+            };
+        } catch (error) {
+            throw new Error(`Error al crear grupo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lista los grupos registrados
+     * @param {Object} filtros - Filtros opcionales (tipo, activo)
+     * @returns {Promise<Object>} Lista de grupos con el nombre del pagador
+     */
+    async listarGrupos(filtros = {}) {
+        try {
+            const grupos = await this.grupoRepository.getAll(filtros);
+
+            const data = await Promise.all(grupos.map(async (grupo) => {
+                const pagador = await this.clienteRepository.getById(grupo.pagadorId);
+                return {
+                    ...grupo.getResumen(),
+                    pagador: pagador ? pagador.getNombreCompleto() : 'Cliente no encontrado'
+                };
+            }));
+
+            return {
+                success: true,
+                data,
+                total: data.length
+            };
+        } catch (error) {
+            throw new Error(`Error al listar grupos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un grupo con el detalle de sus miembros
+     * @param {string} grupoId - ID del grupo
+     * @returns {Promise<Object>} Grupo y miembros
+     */
+    async obtenerGrupo(grupoId) {
+        try {
+            const grupo = await this.obtenerGrupoExistente(grupoId);
+
+            const miembros = await Promise.all(grupo.miembros.map(async (miembroId) => {
+                const cliente = await this.clienteRepository.getById(miembroId);
+                return {
+                    clienteId: miembroId,
+                    nombreCompleto: cliente ? cliente.getNombreCompleto() : 'Cliente no encontrado',
+                    email: cliente ? cliente.email : null,
+                    activo: cliente ? cliente.activo : false,
+                    esPagador: grupo.esPagador(miembroId)
+                };
+            }));
+
+            return {
+                success: true,
+                data: {
+                    ...grupo.getResumen(),
+                    notas: grupo.notas,
+                    miembros
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener grupo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el grupo al que pertenece un cliente
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Object>} Grupo del cliente (data null si no pertenece a ninguno)
+     */
+    async obtenerGrupoDeCliente(clienteId) {
+        try {
+            const grupo = await this.grupoRepository.getByMiembro(clienteId);
+            if (!grupo) {
+                return { success: true, data: null };
+            }
+
+            const pagador = await this.clienteRepository.getById(grupo.pagadorId);
+            return {
+                success: true,
+                data: {
+                    ...grupo.getResumen(),
+                    pagador: pagador ? pagador.getNombreCompleto() : 'Cliente no encontrado',
+                    esPagador: grupo.esPagador(clienteId)
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener grupo del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Agrega un cliente a un grupo
+     * @param {string} grupoId - ID del grupo
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Object>} Resultado de la operación
+     *
+     * PATRÓN: Guard Clause - Un cliente solo puede pertenecer a un grupo
+     */
+    async agregarMiembro(grupoId, clienteId) {
+        try {
+            const grupo = await this.obtenerGrupoExistente(grupoId);
+            const cliente = await this.obtenerClienteValido(clienteId);
+
+            const grupoActual = await this.grupoRepository.getByMiembro(cliente.clienteId);
+            if (grupoActual) {
+                throw new Error(`${cliente.getNombreCompleto()} ya pertenece al grupo "${grupoActual.nombre}"`);
+            }
+
+            grupo.agregarMiembro(cliente.clienteId);
+            await this.grupoRepository.update(grupoId, { miembros: grupo.miembros });
+
+            return {
+                success: true,
+                mensaje: `${cliente.getNombreCompleto()} agregado al grupo "${grupo.nombre}"`
+            };
+        } catch (error) {
+            throw new Error(`Error al agregar miembro: ${error.message}`);
+        }
+    }
+
+    /**
+     * Retira un cliente de un grupo
+     * @param {string} grupoId - ID del grupo
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Object>} Resultado de la operación
+     *
+     * NOTA: Los contratos ya creados conservan las condiciones de grupo con que se firmaron
+     */
+    async removerMiembro(grupoId, clienteId) {
+        try {
+            const grupo = await this.obtenerGrupoExistente(grupoId);
+
+            // PATRÓN: Domain Model - El modelo impide retirar al pagador
+            grupo.removerMiembro(clienteId);
+            await this.grupoRepository.update(grupoId, { miembros: grupo.miembros });
+
+            return {
+                success: true,
+                mensaje: `Miembro retirado del grupo "${grupo.nombre}"`
+            };
+        } catch (error) {
+            throw new Error(`Error al retirar miembro: ${error.message}`);
+        }
+    }
+
+    /**
+     * Designa un nuevo pagador entre los miembros del grupo
+     * @param {string} grupoId - ID del grupo
+     * @param {string} clienteId - ID del nuevo pagador
+     * @returns {Promise<Object>} Resultado de la operación
+     */
+    async designarPagador(grupoId, clienteId) {
+        try {
+            const grupo = await this.obtenerGrupoExistente(grupoId);
+            const cliente = await this.obtenerClienteValido(clienteId);
+
+            grupo.designarPagador(cliente.clienteId);
+            await this.grupoRepository.update(grupoId, { pagadorId: grupo.pagadorId });
+
+            return {
+                success: true,
+                mensaje: `${cliente.getNombreCompleto()} es ahora el pagador del grupo "${grupo.nombre}"`
+            };
+        } catch (error) {
+            throw new Error(`Error al designar pagador: ${error.message}`);
+        }
+    }
+
+    /**
+     * Actualiza las condiciones del grupo
+     * @param {string} grupoId - ID del grupo
+     * @param {Object} datos - nombre, descuentoPorcentaje, facturarAPagador, activo, notas
+     * @returns {Promise<Object>} Grupo actualizado
+     */
+    async actualizarGrupo(grupoId, datos) {
+        try {
+            const grupo = await this.obtenerGrupoExistente(grupoId);
+
+            // PATRÓN: Domain Model - Se revalida el grupo con los nuevos datos
+            const camposEditables = ['nombre', 'descuentoPorcentaje', 'facturarAPagador', 'activo', 'notas'];
+            camposEditables.forEach(campo => {
+                if (datos[campo] !== undefined) {
+                    grupo[campo] = datos[campo];
+                }
+            });
+            grupo.validate();
+
+            if (datos.nombre !== undefined) {
+                const existente = await this.grupoRepository.getByNombre(grupo.nombre);
+                if (existente && existente.grupoId.toString() !== grupo.grupoId.toString()) {
+                    throw new Error(`Ya existe un grupo con el nombre "${grupo.nombre}"`);
+                }
+            }
+
+            const { _id, miembros, pagadorId, fechaCreacion, tipo, ...actualizacion } = grupo.toMongoObject();
+            await this.grupoRepository.update(grupoId, actualizacion);
+
+            return {
+                success: true,
+                data: grupo.getResumen(),
+                mensaje: 'Grupo actualizado exitosamente'
+            };
+        } catch (error) {
+            throw new Error(`Error al actualizar grupo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina un grupo
+     * @param {string} grupoId - ID del grupo
+     * @returns {Promise<Object>} Resultado de la operación
+     *
+     * NOTA: Los contratos existentes conservan su detalle de facturación de grupo
+     */
+    async eliminarGrupo(grupoId) {
+        try {
+            const grupo = await this.obtenerGrupoExistente(grupoId);
+            await this.grupoRepository.delete(grupoId);
+
+            return {
+                success: true,
+                mensaje: `Grupo "${grupo.nombre}" eliminado`
+            };
+        } catch (error) {
+            throw new Error(`Error al eliminar grupo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un grupo existente o lanza error
+     * @param {string} grupoId - ID del grupo
+     * @returns {Promise<Grupo>} Grupo encontrado
+     * @private
+     */
+    async obtenerGrupoExistente(grupoId) {
+        if (!ObjectId.isValid(grupoId)) {
+            throw new Error('ID del grupo no es válido');
+        }
+        const grupo = await this.grupoRepository.getById(grupoId);
+        if (!grupo) {
+            throw new Error('Grupo no encontrado');
+        }
+        return grupo;
+    }
+
+    /**
+     * Obtiene un cliente existente, activo y no eliminado
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Cliente>} Cliente encontrado
+     * @private
+     */
+    async obtenerClienteValido(clienteId) {
+        if (!clienteId || !ObjectId.isValid(clienteId)) {
+            throw new Error('ID del cliente no es válido');
+        }
+        // PATRÓN: Soft Delete - getAll excluye los clientes que están en la papelera
+        const [cliente] = await this.clienteRepository.getAll({ _id: new ObjectId(clienteId) }, { limit: 1 });
+        if (!cliente) {
+            throw new Error('Cliente no encontrado');
+        }
+        if (!cliente.activo) {
+            throw new Error(`${cliente.getNombreCompleto()} está inactivo`);
+        }
+        return cliente;
+    }
+}
+
+module.exports = GrupoService;
@@ -0,0 +1,341 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, modelos y utilidades para las notas de contacto con clientes
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para validación de IDs de MongoDB
+const {
+    InteraccionRepository,
+    ClienteRepository,
+    ContratoRepository,
+    PagoRepository,
+    SeguimientoRepository,
+    PlanEntrenamientoRepository,
+    ProspectoRepository
+} = require('../repositories');
+const { Interaccion } = require('../models'); // Modelo de dominio Interaccion
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Interacciones (CRM)
+ * Registra las llamadas, quejas, visitas y promesas del personal con cada cliente,
+ * arma la línea de tiempo del cliente junto con contratos, pagos y seguimientos físicos
+ * y lista los clientes que hay que volver a contactar
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio de las interacciones
+ * PATRÓN: Aggregator - La línea de tiempo combina eventos de varias colecciones
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de las interacciones
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: No hay transacciones ya que cada operación escribe un solo documento
+ */
+class InteraccionService {
+    /**
+     * Constructor del servicio de interacciones
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de cada colección de la línea de tiempo
+        this.interaccionRepository = new InteraccionRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        this.contratoRepository = new ContratoRepository(db);
+        this.pagoRepository = new PagoRepository(db);
+        this.seguimientoRepository = new SeguimientoRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        this.prospectoRepository = new ProspectoRepository(db);
+    }
+
+    /**
+     * Registra una interacción con un cliente
+     * @param {string} clienteId - ID del cliente
+     * @param {Object} datos - Datos de la interacción
+     * @param {string} datos.tipo - llamada, queja, visita, promesa, email u otro
+     * @param {string} datos.descripcion - Detalle de la interacción
+     * @param {string} datos.autor - Persona del personal que la registra
+     * @param {Date} [datos.fechaSeguimiento] - Fecha para volver a contactar al cliente
+     * @returns {Promise<Object>} Resultado con la interacción creada
+     */
+    async registrarInteraccion(clienteId, datos) {
+        try {
+            const cliente = await this.obtenerCliente(clienteId);
+
+            const interaccion = new Interaccion({
+                clienteId: cliente.clienteId,
+                tipo: datos.tipo,
+                descripcion: datos.descripcion,
+                autor: datos.autor,
+                fechaSeguimiento: datos.fechaSeguimiento || null
+            });
+
+            const interaccionId = await this.interaccionRepository.create(interaccion);
+
+            return {
+                success: true,
+                interaccionId,
+                data: interaccion.getResumen(),
+                mensaje: `Interacción registrada para ${cliente.getNombreCompleto()}`
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar interacción: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las interacciones de un cliente
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Object>} Interacciones del cliente, más recientes primero
+     */
+    async obtenerInteraccionesCliente(clienteId) {
+        try {
+            const interacciones = await this.interaccionRepository.getByClient(clienteId);
+            return {
+                success: true,
+                data: interacciones.map(interaccion => interaccion.getResumen()),
+                total: interacciones.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener interacciones del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Arma la línea de tiempo del cliente en orden cronológico (más reciente primero)
+     * @param {string} clienteId - ID del cliente
+     * @param {Object} opciones - Opciones de la línea de tiempo
+     * @param {number} [opciones.limite=0] - Cantidad máxima de eventos (0 = todos)
+     * @returns {Promise<Object>} Eventos con fecha, tipo, título y detalle
+     *
+     * PATRÓN: Aggregator - Combina interacciones, historial de prospecto, contratos, pagos y seguimientos
+     */
+    async obtenerLineaDeTiempo(clienteId, opciones = {}) {
+        try {
+            const { limite = 0 } = opciones;
+            if (!ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+
+            const eventos = [];
+
+            // ===== INTERACCIONES =====
+            const interacciones = await this.interaccionRepository.getByClient(clienteId);
+            interacciones.forEach(interaccion => {
+                eventos.push({
+                    fecha: interaccion.fecha,
+                    tipo: 'interaccion',
+                    titulo: `${Interaccion.ETIQUETAS[interaccion.tipo]} (${interaccion.autor})`,
+                    detalle: interaccion.descripcion,
+                    pendiente: interaccion.tieneSeguimientoPendiente()
+                        ? `Volver a contactar el ${dayjs(interaccion.fechaSeguimiento).format('DD/MM/YYYY')}`
+                        : null
+                });
+                if (interaccion.seguimientoCompletado && interaccion.fechaCompletado) {
+                    eventos.push({
+                        fecha: interaccion.fechaCompletado,
+                        tipo: 'interaccion',
+                        titulo: 'Seguimiento de contacto completado',
+                        detalle: interaccion.resultadoSeguimiento || interaccion.descripcion,
+                        pendiente: null
+                    });
+                }
+            });
+
+            // ===== HISTORIAL COMO PROSPECTO =====
+            // BUENA PRÁCTICA: Si el cliente llegó como prospecto se conserva su paso por el embudo
+            const prospecto = await this.prospectoRepository.getByCliente(clienteId);
+            if (prospecto) {
+                prospecto.historial.forEach((entrada, index) => {
+                    eventos.push({
+                        fecha: entrada.fecha,
+                        tipo: 'prospecto',
+                        titulo: `Prospecto: ${entrada.estado}`,
+                        detalle: index === 0
+                            ? [`Origen: ${prospecto.origen}`, prospecto.interes].filter(Boolean).join(' - ')
+                            : entrada.nota,
+                        pendiente: null
+                    });
+                });
+            }
+
+            // ===== CONTRATOS =====
+            const contratos = await this.contratoRepository.getByClient(clienteId);
+            const nombresPlanes = new Map();
+            for (const contrato of contratos) {
+                const nombrePlan = await this.obtenerNombrePlan(contrato.planId, nombresPlanes);
+                eventos.push({
+                    fecha: contrato.fechaInicio,
+                    tipo: 'contrato',
+                    titulo: `Contrato iniciado: ${nombrePlan}`,
+                    detalle: `${contrato.duracionMeses} mes(es) por $${contrato.precio}, hasta ${dayjs(contrato.fechaFin).format('DD/MM/YYYY')}`,
+                    pendiente: null
+                });
+                if (contrato.estado !== 'vigente' && dayjs(contrato.fechaFin).isBefore(dayjs())) {
+                    eventos.push({
+                        fecha: contrato.fechaFin,
+                        tipo: 'contrato',
+                        titulo: `Contrato ${contrato.estado}: ${nombrePlan}`,
+                        detalle: `Fin del contrato de ${contrato.duracionMeses} mes(es)`,
+                        pendiente: null
+                    });
+                }
+            }
+
+            // ===== PAGOS =====
+            const pagos = await this.pagoRepository.getPagosByClient(clienteId);
+            pagos.forEach(pago => {
+                eventos.push({
+                    fecha: pago.fechaPago,
+                    tipo: 'pago',
+                    titulo: `Pago ${pago.estado}: $${pago.monto}`,
+                    detalle: [pago.metodoPago, pago.notas].filter(Boolean).join(' - '),
+                    pendiente: null
+                });
+            });
+
+            // ===== SEGUIMIENTOS FÍSICOS =====
+            const seguimientos = await this.seguimientoRepository.getByClient(clienteId);
+            seguimientos.forEach(seguimiento => {
+                const medidas = [
+                    seguimiento.peso ? `${seguimiento.peso} kg` : null,
+                    seguimiento.grasaCorporal ? `${seguimiento.grasaCorporal}% grasa` : null
+                ].filter(Boolean).join(', ');
+                eventos.push({
+                    fecha: seguimiento.fecha,
+                    tipo: 'seguimiento',
+                    titulo: 'Seguimiento físico',
+                    detalle: medidas || seguimiento.comentarios || 'Sin medidas registradas',
+                    pendiente: null
+                });
+            });
+
+            // ===== ORDEN CRONOLÓGICO =====
+            let lineaDeTiempo = eventos.sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+            if (limite > 0) {
+                lineaDeTiempo = lineaDeTiempo.slice(0, limite);
+            }
+
+            return {
+                success: true,
+                data: lineaDeTiempo,
+                total: eventos.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener línea de tiempo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lista los seguimientos de contacto pendientes
+     * @param {number} diasAnticipacion - Incluye los que vencen en los próximos N días (0 = hoy y atrasados)
+     * @returns {Promise<Object>} Seguimientos ordenados por fecha con los datos de contacto del cliente
+     */
+    async obtenerSeguimientosPendientes(diasAnticipacion = 0) {
+        try {
+            const fechaLimite = dayjs().add(diasAnticipacion, 'day').endOf('day').toDate();
+            const interacciones = await this.interaccionRepository.getSeguimientosPendientes(fechaLimite);
+
+            const clientes = new Map();
+            const pendientes = [];
+            for (const interaccion of interacciones) {
+                const clave = interaccion.clienteId.toString();
+                if (!clientes.has(clave)) {
+                    // PATRÓN: Soft Delete - Los clientes en la papelera no se listan
+                    const [cliente] = await this.clienteRepository.getAll({ _id: new ObjectId(clave) }, { limit: 1 });
+                    clientes.set(clave, cliente || null);
+                }
+                const cliente = clientes.get(clave);
+                if (!cliente) {
+                    continue;
+                }
+
+                pendientes.push({
+                    interaccionId: interaccion.interaccionId,
+                    clienteId: cliente.clienteId,
+                    nombreCompleto: cliente.getNombreCompleto(),
+                    telefono: cliente.telefono,
+                    email: cliente.email,
+                    tipo: interaccion.tipo,
+                    descripcion: interaccion.descripcion,
+                    autor: interaccion.autor,
+                    fechaSeguimiento: dayjs(interaccion.fechaSeguimiento).format('DD/MM/YYYY'),
+                    diasAtraso: Math.max(0, dayjs().startOf('day').diff(dayjs(interaccion.fechaSeguimiento).startOf('day'), 'day')),
+                    vencido: interaccion.seguimientoVencido()
+                });
+            }
+
+            return {
+                success: true,
+                data: pendientes,
+                total: pendientes.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener seguimientos pendientes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Marca como completado el seguimiento de una interacción
+     * @param {string} interaccionId - ID de la interacción
+     * @param {string} resultado - Resultado del contacto
+     * @returns {Promise<Object>} Resultado de la operación
+     */
+    async completarSeguimiento(interaccionId, resultado = '') {
+        try {
+            const interaccion = await this.interaccionRepository.getById(interaccionId);
+            if (!interaccion) {
+                throw new Error('Interacción no encontrada');
+            }
+
+            // PATRÓN: Domain Model - La validación del cambio la realiza el modelo
+            interaccion.completarSeguimiento(resultado);
+            await this.interaccionRepository.update(interaccionId, {
+                seguimientoCompletado: interaccion.seguimientoCompletado,
+                fechaCompletado: interaccion.fechaCompletado,
+                resultadoSeguimiento: interaccion.resultadoSeguimiento
+            });
+
+            return {
+                success: true,
+                data: interaccion.getResumen(),
+                mensaje: 'Seguimiento marcado como completado'
+            };
+        } catch (error) {
+            throw new Error(`Error al completar seguimiento: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un cliente existente y no eliminado
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Cliente>} Cliente encontrado
+     * @private
+     */
+    async obtenerCliente(clienteId) {
+        if (!clienteId || !ObjectId.isValid(clienteId)) {
+            throw new Error('ID del cliente no es válido');
+        }
+        // PATRÓN: Soft Delete - getAll excluye los clientes que están en la papelera
+        const [cliente] = await this.clienteRepository.getAll({ _id: new ObjectId(clienteId) }, { limit: 1 });
+        if (!cliente) {
+            throw new Error('Cliente no encontrado');
+        }
+        return cliente;
+    }
+
+    /**
+     * Obtiene el nombre de un plan usando una caché
+     * @param {ObjectId} planId - ID del plan
+     * @param {Map} nombresPlanes - Caché de nombres de planes
+     * @returns {Promise<string>} Nombre del plan
+     * @private
+     */
+    async obtenerNombrePlan(planId, nombresPlanes) {
+        const clave = planId.toString();
+        if (!nombresPlanes.has(clave)) {
+            const plan = await this.planRepository.getById(planId);
+            nombresPlanes.set(clave, plan ? plan.nombre : 'plan eliminado');
+        }
+        return nombresPlanes.get(clave);
+    }
+}
+
+module.exports = InteraccionService;
@@ -0,0 +1,366 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y modelos para el cupo de los planes y su lista de espera
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const { ListaEsperaRepository, PlanEntrenamientoRepository, ClienteRepository } = require('../repositories');
+const { ListaEspera } = require('../models'); // Modelo de dominio ListaEspera
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Lista de Espera
+ * Controla el cupo máximo de los planes, anota en la lista de espera a los clientes
+ * que no entran y, cuando se libera un cupo, promueve al siguiente. Los promovidos
+ * tienen el cupo reservado y forman la lista de acciones pendientes (avisar al cliente)
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio del cupo y la lista de espera
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente del cupo de los planes
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: Los servicios que asocian o desasocian clientes usan este servicio para
+ * verificar el cupo y para promover al siguiente cuando se libera uno
+ */
+class ListaEsperaService {
+    /**
+     * Constructor del servicio de lista de espera
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de la lista de espera, planes y clientes
+        this.listaEsperaRepository = new ListaEsperaRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+    }
+
+    /**
+     * Consulta el cupo de un plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string|ObjectId|null} clienteId - Cliente que se quiere asociar (su propia reserva no se descuenta)
+     * @returns {Promise<Object>} cupoMaximo, ocupados, reservados, disponibles, enEspera y si está completo
+     */
+    async consultarCupo(planId, clienteId = null) {
+        try {
+            const plan = await this.obtenerPlan(planId);
+            return {
+                success: true,
+                data: await this.calcularCupo(plan, clienteId)
+            };
+        } catch (error) {
+            throw new Error(`Error al consultar cupo del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Verifica que el plan tenga un cupo libre para el cliente
+     * @param {PlanEntrenamiento} plan - Plan al que se quiere asociar
+     * @param {string|ObjectId} clienteId - Cliente a asociar
+     * @throws {Error} Si el plan está completo
+     *
+     * PATRÓN: Guard Clause - Se usa antes de asociar un cliente a un plan
+     */
+    async asegurarCupo(plan, clienteId) {
+        if (!plan.tieneCupoLimitado()) {
+            return;
+        }
+        const cupo = await this.calcularCupo(plan, clienteId);
+        if (cupo.completo) {
+            throw new Error(`El plan "${plan.nombre}" está completo (cupo de ${plan.cupoMaximo}). Puede inscribir al cliente en la lista de espera`);
+        }
+    }
+
+    /**
+     * Anota a un cliente en la lista de espera de un plan completo
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {string} notas - Notas opcionales (horario preferido, etc.)
+     * @returns {Promise<Object>} Resultado con el turno y la posición en la lista
+     */
+    async inscribirEnListaEspera(planId, clienteId, notas = '') {
+        try {
+            const plan = await this.obtenerPlan(planId);
+            if (!plan.estaActivo()) {
+                throw new Error('Solo se puede esperar cupo en planes activos');
+            }
+
+            const cliente = await this.clienteRepository.getById(clienteId);
+            if (!cliente) {
+                throw new Error('Cliente no encontrado');
+            }
+
+            // PATRÓN: Guard Clause - Solo se espera cuando no hay cupo y el cliente no está ya en el plan o en la lista
+            if (plan.clientes.some(id => id.toString() === clienteId.toString())) {
+                throw new Error('El cliente ya está asociado a este plan');
+            }
+            if (await this.listaEsperaRepository.getOpenEntry(planId, clienteId)) {
+                throw new Error('El cliente ya está en la lista de espera de este plan');
+            }
+            const cupo = await this.calcularCupo(plan, clienteId);
+            if (!cupo.completo) {
+                throw new Error(`El plan tiene ${cupo.disponibles} cupo(s) disponible(s); asocie al cliente directamente`);
+            }
+
+            const espera = new ListaEspera({
+                planId: plan.planId,
+                clienteId: cliente.clienteId,
+                notas
+            });
+            const esperaId = await this.listaEsperaRepository.create(espera);
+            const posicion = cupo.enEspera + 1;
+
+            return {
+                success: true,
+                esperaId,
+                posicion,
+                data: espera.getResumen(),
+                mensaje: `${cliente.getNombreCompleto()} quedó en la posición ${posicion} de la lista de espera de "${plan.nombre}"`
+            };
+        } catch (error) {
+            throw new Error(`Error al inscribir en lista de espera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la lista de espera de un plan en orden de llegada
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<Object>} Turnos abiertos con los datos del cliente y el cupo del plan
+     */
+    async obtenerListaEspera(planId) {
+        try {
+            const plan = await this.obtenerPlan(planId);
+            const turnos = await this.listaEsperaRepository.getByPlan(planId);
+
+            const data = [];
+            let posicion = 0;
+            for (const turno of turnos) {
+                const cliente = await this.clienteRepository.getById(turno.clienteId);
+                data.push({
+                    ...turno.getResumen(),
+                    // Los promovidos ya tienen el cupo reservado y no ocupan posición
+                    posicion: turno.estaPromovida() ? null : ++posicion,
+                    nombreCliente: cliente ? cliente.getNombreCompleto() : 'Cliente no disponible'
+                });
+            }
+
+            return {
+                success: true,
+                plan: { planId: plan.planId, nombre: plan.nombre },
+                cupo: await this.calcularCupo(plan),
+                data,
+                total: data.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener lista de espera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las acciones pendientes: clientes promovidos a los que hay que avisar
+     * @returns {Promise<Object>} Promovidos con los datos de contacto del cliente y el plan
+     */
+    async obtenerAccionesPendientes() {
+        try {
+            const promovidos = await this.listaEsperaRepository.getPromoted();
+
+            const data = [];
+            for (const turno of promovidos) {
+                const cliente = await this.clienteRepository.getById(turno.clienteId);
+                const plan = await this.planRepository.getById(turno.planId);
+                data.push({
+                    esperaId: turno.esperaId,
+                    clienteId: turno.clienteId,
+                    planId: turno.planId,
+                    nombreCliente: cliente ? cliente.getNombreCompleto() : 'Cliente no disponible',
+                    telefono: cliente ? cliente.telefono : '',
+                    email: cliente ? cliente.email : '',
+                    nombrePlan: plan ? plan.nombre : 'Plan no disponible',
+                    fechaPromocion: dayjs(turno.fechaPromocion).format('DD/MM/YYYY'),
+                    diasDesdePromocion: dayjs().diff(dayjs(turno.fechaPromocion), 'day'),
+                    motivoPromocion: turno.motivoPromocion,
+                    accion: `Avisar que hay cupo en "${plan ? plan.nombre : 'el plan'}" y asociarlo`
+                });
+            }
+
+            return {
+                success: true,
+                data,
+                total: data.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener acciones pendientes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Descarta la promoción de un cliente (no tomó el cupo) y promueve al siguiente
+     * @param {string|ObjectId} esperaId - ID del turno promovido
+     * @returns {Promise<Object>} Resultado con los clientes promovidos en su lugar
+     */
+    async descartarPromocion(esperaId) {
+        try {
+            const turno = await this.obtenerTurno(esperaId);
+            if (!turno.estaPromovida()) {
+                throw new Error('El turno no está promovido');
+            }
+
+            await this.listaEsperaRepository.update(esperaId, { estado: 'descartado', fechaResolucion: new Date() });
+            const promovidos = await this.promoverSiguientes(turno.planId, 'Cupo liberado por una promoción descartada');
+
+            return {
+                success: true,
+                promovidos,
+                mensaje: promovidos.length > 0
+                    ? `Promoción descartada; se promovió a ${promovidos.map(promovido => promovido.nombreCliente).join(', ')}`
+                    : 'Promoción descartada; no hay más clientes en espera'
+            };
+        } catch (error) {
+            throw new Error(`Error al descartar promoción: ${error.message}`);
+        }
+    }
+
+    /**
+     * Retira a un cliente de la lista de espera
+     * @param {string|ObjectId} esperaId - ID del turno
+     * @returns {Promise<Object>} Resultado de la operación
+     */
+    async retirarDeListaEspera(esperaId) {
+        try {
+            const turno = await this.obtenerTurno(esperaId);
+            if (!turno.estaAbierta()) {
+                throw new Error('El turno ya está cerrado');
+            }
+
+            await this.listaEsperaRepository.update(esperaId, { estado: 'retirado', fechaResolucion: new Date() });
+            // Si tenía el cupo reservado, pasa al siguiente
+            const promovidos = turno.estaPromovida()
+                ? await this.promoverSiguientes(turno.planId, 'Cupo liberado por un cliente retirado de la lista')
+                : [];
+
+            return {
+                success: true,
+                promovidos,
+                mensaje: 'Cliente retirado de la lista de espera'
+            };
+        } catch (error) {
+            throw new Error(`Error al retirar de lista de espera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cierra el turno del cliente al asociarlo al plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<boolean>} True si el cliente venía de la lista de espera
+     */
+    async registrarInscripcion(planId, clienteId, options = {}) {
+        return await this.listaEsperaRepository.closeOpenEntry(planId, clienteId, 'inscrito', options);
+    }
+
+    /**
+     * Promueve a los siguientes clientes en espera mientras haya cupos libres
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string} motivo - Por qué se liberó el cupo
+     * @returns {Promise<Array>} Clientes promovidos ({ esperaId, clienteId, nombreCliente })
+     */
+    async promoverSiguientes(planId, motivo) {
+        const plan = await this.planRepository.getById(planId);
+        if (!plan || !plan.estaActivo()) {
+            return [];
+        }
+
+        const promovidos = [];
+        let { disponibles } = await this.calcularCupo(plan);
+        while (disponibles > 0) {
+            const siguiente = await this.listaEsperaRepository.getNextWaiting(planId);
+            if (!siguiente) {
+                break;
+            }
+            await this.listaEsperaRepository.update(siguiente.esperaId, {
+                estado: 'promovido',
+                fechaPromocion: new Date(),
+                motivoPromocion: motivo
+            });
+            const cliente = await this.clienteRepository.getById(siguiente.clienteId);
+            promovidos.push({
+                esperaId: siguiente.esperaId,
+                clienteId: siguiente.clienteId,
+                nombreCliente: cliente ? cliente.getNombreCompleto() : 'Cliente no disponible'
+            });
+            disponibles--;
+        }
+        return promovidos;
+    }
+
+    /**
+     * Promueve al siguiente en espera después de liberar un cupo, sin hacer fallar la operación principal
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {string} motivo - Por qué se liberó el cupo
+     * @returns {Promise<Array>} Clientes promovidos (vacío si falló)
+     *
+     * PATRÓN: Circuit Breaker - La baja ya se confirmó; un error aquí solo se registra
+     */
+    async liberarCupo(planId, motivo) {
+        try {
+            return await this.promoverSiguientes(planId, motivo);
+        } catch (error) {
+            console.log(`⚠️ Error al promover la lista de espera: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Calcula el cupo de un plan
+     * @param {PlanEntrenamiento} plan - Plan de entrenamiento
+     * @param {string|ObjectId|null} clienteId - Cliente cuya reserva no se descuenta
+     * @returns {Promise<Object>} Detalle del cupo
+     * @private
+     */
+    async calcularCupo(plan, clienteId = null) {
+        const reservados = await this.listaEsperaRepository.countPromoted(plan.planId, clienteId);
+        const turnos = await this.listaEsperaRepository.getByPlan(plan.planId, ['esperando']);
+        const disponibles = plan.getCuposDisponibles(reservados);
+
+        return {
+            cupoMaximo: plan.cupoMaximo,
+            ocupados: plan.clientes.length,
+            reservados,
+            disponibles: Number.isFinite(disponibles) ? disponibles : null,
+            enEspera: turnos.length,
+            completo: disponibles === 0
+        };
+    }
+
+    /**
+     * Obtiene un plan existente
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<PlanEntrenamiento>} Plan encontrado
+     * @private
+     */
+    async obtenerPlan(planId) {
+        if (!ObjectId.isValid(planId)) {
+            throw new Error('ID del plan no es válido');
+        }
+        const plan = await this.planRepository.getById(planId);
+        if (!plan) {
+            throw new Error('Plan no encontrado');
+        }
+        return plan;
+    }
+
+    /**
+     * Obtiene un turno existente
+     * @param {string|ObjectId} esperaId - ID del turno
+     * @returns {Promise<ListaEspera>} Turno encontrado
+     * @private
+     */
+    async obtenerTurno(esperaId) {
+        const turno = await this.listaEsperaRepository.getById(esperaId);
+        if (!turno) {
+            throw new Error('Turno de lista de espera no encontrado');
+        }
+        return turno;
+    }
+}
+
+module.exports = ListaEsperaService;
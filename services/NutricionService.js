@@ -277,9 +277,10 @@ class NutricionService {
     /**
      * Elimina un plan nutricional
      * @param {string} nutricionId - ID del plan
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo })
      * @returns {Promise<Object>} Resultado de la operación
      */
-    async eliminarPlanNutricional(nutricionId) {
+    async eliminarPlanNutricional(nutricionId, datosEliminacion = {}) {
         try {
             const nutricion = await this.nutricionRepository.getById(nutricionId);
             if (!nutricion) {
@@ -291,12 +292,12 @@ class NutricionService {
                 throw new Error('No se puede eliminar un plan nutricional activo. Primero debe pausarlo o finalizarlo');
             }
 
-            const resultado = await this.nutricionRepository.delete(nutricionId);
+            const resultado = await this.nutricionRepository.delete(nutricionId, datosEliminacion);
             
             if (resultado) {
                 return {
                     success: true,
-                    mensaje: 'Plan nutricional eliminado exitosamente'
+                    mensaje: 'Plan nutricional enviado a la papelera exitosamente'
                 };
             } else {
                 throw new Error('No se pudo eliminar el plan nutricional');
@@ -0,0 +1,355 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, utilidades y configuración
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const dayjs = require('dayjs'); // Librería para manejo de fechas
+const config = require('../config'); // Configuración central (retención de la papelera)
+const {
+    ClienteRepository,
+    PlanEntrenamientoRepository,
+    SeguimientoRepository,
+    NutricionRepository,
+    PagoRepository
+} = require('../repositories');
+const { marcarVariosComoEliminados, excluirEliminados } = require('../repositories/SoftDelete');
+
+/**
+ * Registro de entidades que admiten borrado lógico
+ * `relacionados` indica las colecciones que se envían a la papelera junto con la entidad
+ * y que se restauran o purgan con ella
+ *
+ * PATRÓN: Registry - Centraliza la información de cada tipo de entidad
+ * NOTA: Los pagos de un cliente NO se envían a la papelera con él para no alterar la contabilidad
+ */
+const ENTIDADES = {
+    cliente: {
+        etiqueta: 'Clientes',
+        coleccion: 'clientes',
+        Repositorio: ClienteRepository,
+        relacionados: [
+            { coleccion: 'seguimientos', campo: 'clienteId' },
+            { coleccion: 'nutricion', campo: 'clienteId' }
+        ],
+        describir: doc => `${doc.nombre} ${doc.apellido} (${doc.email})`
+    },
+    plan: {
+        etiqueta: 'Planes de entrenamiento',
+        coleccion: 'planes',
+        Repositorio: PlanEntrenamientoRepository,
+        relacionados: [],
+        describir: doc => `${doc.nombre} - ${doc.nivel}`
+    },
+    seguimiento: {
+        etiqueta: 'Seguimientos',
+        coleccion: 'seguimientos',
+        Repositorio: SeguimientoRepository,
+        relacionados: [],
+        describir: doc => `${dayjs(doc.fecha).format('DD/MM/YYYY')} - Cliente ${doc.clienteId}`
+    },
+    nutricion: {
+        etiqueta: 'Planes nutricionales',
+        coleccion: 'nutricion',
+        Repositorio: NutricionRepository,
+        relacionados: [],
+        describir: doc => `${doc.tipoPlan} (${doc.estado}) - Cliente ${doc.clienteId}`
+    },
+    pago: {
+        etiqueta: 'Pagos',
+        coleccion: 'pagos',
+        Repositorio: PagoRepository,
+        relacionados: [],
+        describir: doc => `${doc.tipoMovimiento} $${Number(doc.monto || 0).toLocaleString()} - ${doc.concepto || 'Sin concepto'}`
+    }
+};
+
+/**
+ * Servicio de Papelera
+ * Lista, restaura y purga documentos eliminados lógicamente por los repositorios
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio de la papelera
+ * PATRÓN: Registry - Usa ENTIDADES para tratar todos los tipos de forma uniforme
+ * PATRÓN: Transaction - Restauración y purga en cascada dentro de una transacción
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente del ciclo de vida de la papelera
+ *
+ * NOTA: Este servicio SÍ maneja transacciones al restaurar o purgar en cascada
+ */
+class PapeleraService {
+    /**
+     * Constructor del servicio de papelera
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        this.diasRetencion = config.papelera.diasRetencion;
+        // PATRÓN: Repository - Un repositorio por tipo de entidad registrada
+        this.repositorios = {};
+        for (const [tipo, entidad] of Object.entries(ENTIDADES)) {
+            this.repositorios[tipo] = new entidad.Repositorio(db);
+        }
+    }
+
+    /**
+     * Obtiene los tipos de entidad disponibles en la papelera
+     * @returns {Array<{tipo: string, etiqueta: string}>} Tipos registrados
+     */
+    obtenerTipos() {
+        return Object.entries(ENTIDADES).map(([tipo, entidad]) => ({ tipo, etiqueta: entidad.etiqueta }));
+    }
+
+    /**
+     * Lista los documentos en la papelera de un tipo de entidad
+     * @param {string} tipo - Tipo de entidad (cliente, plan, seguimiento, nutricion, pago)
+     * @returns {Promise<Object>} Documentos eliminados con datos de auditoría y retención
+     */
+    async listarEliminados(tipo) {
+        try {
+            const entidad = this.obtenerEntidad(tipo);
+            const documentos = await this.repositorios[tipo].getDeleted();
+
+            const data = documentos.map(doc => {
+                const eliminacion = doc.eliminacion || {};
+                const diasEnPapelera = dayjs().diff(dayjs(eliminacion.fecha), 'day');
+                return {
+                    id: doc._id,
+                    descripcion: entidad.describir(doc),
+                    fechaEliminacion: eliminacion.fecha ? dayjs(eliminacion.fecha).format('DD/MM/YYYY HH:mm') : 'Desconocida',
+                    usuario: eliminacion.usuario || 'Desconocido',
+                    motivo: eliminacion.motivo || 'Sin motivo especificado',
+                    origen: eliminacion.origen ? `${eliminacion.origen.tipo} ${eliminacion.origen.id}` : null,
+                    diasEnPapelera,
+                    purgable: diasEnPapelera >= this.diasRetencion
+                };
+            });
+
+            return {
+                success: true,
+                data,
+                total: data.length,
+                diasRetencion: this.diasRetencion
+            };
+        } catch (error) {
+            throw new Error(`Error al listar papelera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Envía a la papelera los registros relacionados con una entidad eliminada
+     * @param {string} tipo - Tipo de la entidad eliminada
+     * @param {string|ObjectId} id - ID de la entidad eliminada
+     * @param {Object} datosEliminacion - Quién y por qué elimina
+     * @param {Object} options - Opciones del driver (session)
+     * @returns {Promise<Object>} Cantidad de documentos enviados por colección
+     *
+     * BUENA PRÁCTICA: Cada documento guarda el origen para poder restaurarlo con la entidad
+     */
+    async eliminarRelacionados(tipo, id, datosEliminacion = {}, options = {}) {
+        try {
+            const entidad = this.obtenerEntidad(tipo);
+            const resultado = {};
+
+            for (const relacionado of entidad.relacionados) {
+                resultado[relacionado.coleccion] = await marcarVariosComoEliminados(
+                    this.db.collection(relacionado.coleccion),
+                    { [relacionado.campo]: new ObjectId(id) },
+                    { ...datosEliminacion, origen: { tipo, id } },
+                    options
+                );
+            }
+
+            return resultado;
+        } catch (error) {
+            throw new Error(`Error al eliminar registros relacionados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restaura un documento de la papelera junto con los registros eliminados en cascada
+     * @param {string} tipo - Tipo de entidad
+     * @param {string|ObjectId} id - ID del documento
+     * @returns {Promise<Object>} Resultado de la restauración
+     *
+     * PATRÓN: Transaction - La entidad y sus relacionados se restauran como una unidad
+     */
+    async restaurar(tipo, id) {
+        try {
+            const entidad = this.obtenerEntidad(tipo);
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID no válido');
+            }
+
+            const documento = await this.db.collection(entidad.coleccion).findOne({ _id: new ObjectId(id), eliminado: true });
+            if (!documento) {
+                throw new Error('El documento no está en la papelera');
+            }
+
+            // ===== VALIDACIÓN DE ORIGEN =====
+            // Un registro eliminado en cascada no puede volver sin su entidad de origen
+            const origen = documento.eliminacion && documento.eliminacion.origen;
+            if (origen && ENTIDADES[origen.tipo]) {
+                const padre = await this.db.collection(ENTIDADES[origen.tipo].coleccion).findOne({ _id: origen.id });
+                if (padre && padre.eliminado) {
+                    throw new Error(`Primero debe restaurar el ${origen.tipo} de origen (${origen.id})`);
+                }
+            }
+
+            // ===== VALIDACIÓN DE EMAIL =====
+            // El email de un cliente en la papelera puede haberse reutilizado en un cliente nuevo
+            if (tipo === 'cliente') {
+                const conMismoEmail = await this.db.collection('clientes').findOne(excluirEliminados({ email: documento.email }));
+                if (conMismoEmail) {
+                    throw new Error(`El email ${documento.email} ya pertenece a otro cliente`);
+                }
+            }
+
+            // ===== INICIO DE TRANSACCIÓN =====
+            const session = this.db.client.startSession();
+
+            try {
+                let resultado;
+
+                await session.withTransaction(async () => {
+                    const objectId = new ObjectId(id);
+                    await this.repositorios[tipo].restore({ _id: objectId }, { session });
+
+                    const relacionados = {};
+                    for (const relacionado of entidad.relacionados) {
+                        const res = await this.db.collection(relacionado.coleccion).updateMany(
+                            { eliminado: true, 'eliminacion.origen.id': objectId },
+                            { $set: { eliminado: false }, $unset: { eliminacion: '' } },
+                            { session }
+                        );
+                        relacionados[relacionado.coleccion] = res.modifiedCount;
+                    }
+
+                    resultado = {
+                        success: true,
+                        data: { relacionados },
+                        mensaje: `${entidad.describir(documento)} restaurado exitosamente`
+                    };
+                });
+
+                return resultado;
+            } finally {
+                // ===== FIN DE TRANSACCIÓN =====
+                await session.endSession();
+            }
+        } catch (error) {
+            throw new Error(`Error al restaurar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina definitivamente un documento de la papelera y sus relacionados en cascada
+     * @param {string} tipo - Tipo de entidad
+     * @param {string|ObjectId} id - ID del documento
+     * @returns {Promise<Object>} Resultado de la purga
+     *
+     * PATRÓN: Transaction - La entidad y sus relacionados se purgan como una unidad
+     */
+    async purgar(tipo, id) {
+        try {
+            this.obtenerEntidad(tipo);
+            if (!ObjectId.isValid(id)) {
+                throw new Error('ID no válido');
+            }
+
+            const resultado = await this.purgarPorFiltro(tipo, { _id: new ObjectId(id) });
+            if (resultado[tipo] === 0) {
+                throw new Error('El documento no está en la papelera');
+            }
+
+            return {
+                success: true,
+                data: resultado,
+                mensaje: 'Documento eliminado definitivamente'
+            };
+        } catch (error) {
+            throw new Error(`Error al purgar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Purga todos los documentos que superaron el periodo de retención
+     * @param {number} diasRetencion - Días de retención (por defecto el configurado)
+     * @returns {Promise<Object>} Cantidad de documentos purgados por tipo
+     */
+    async purgarVencidos(diasRetencion = this.diasRetencion) {
+        try {
+            const fechaLimite = dayjs().subtract(diasRetencion, 'day').toDate();
+            const data = {};
+            let total = 0;
+
+            for (const tipo of Object.keys(ENTIDADES)) {
+                const resultado = await this.purgarPorFiltro(tipo, { 'eliminacion.fecha': { $lt: fechaLimite } });
+                for (const [clave, cantidad] of Object.entries(resultado)) {
+                    data[clave] = (data[clave] || 0) + cantidad;
+                    total += cantidad;
+                }
+            }
+
+            return {
+                success: true,
+                data,
+                total,
+                mensaje: `${total} documento(s) con más de ${diasRetencion} días en la papelera eliminados definitivamente`
+            };
+        } catch (error) {
+            throw new Error(`Error al purgar papelera: ${error.message}`);
+        }
+    }
+
+    /**
+     * Purga documentos de un tipo y los relacionados eliminados en cascada con ellos
+     * @param {string} tipo - Tipo de entidad
+     * @param {Object} filter - Filtro de documentos a purgar
+     * @returns {Promise<Object>} Cantidad purgada por tipo y colección relacionada
+     * @private
+     */
+    async purgarPorFiltro(tipo, filter) {
+        const entidad = ENTIDADES[tipo];
+        const ids = (await this.repositorios[tipo].getDeleted(filter)).map(doc => doc._id);
+        if (ids.length === 0) {
+            return { [tipo]: 0 };
+        }
+
+        const session = this.db.client.startSession();
+
+        try {
+            let resultado;
+
+            await session.withTransaction(async () => {
+                resultado = { [tipo]: await this.repositorios[tipo].purge({ _id: { $in: ids } }, { session }) };
+
+                for (const relacionado of entidad.relacionados) {
+                    const res = await this.db.collection(relacionado.coleccion).deleteMany(
+                        { eliminado: true, 'eliminacion.origen.id': { $in: ids } },
+                        { session }
+                    );
+                    resultado[relacionado.coleccion] = res.deletedCount;
+                }
+            });
+
+            return resultado;
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    /**
+     * Obtiene la definición de un tipo de entidad
+     * @param {string} tipo - Tipo de entidad
+     * @returns {Object} Definición registrada
+     * @private
+     */
+    obtenerEntidad(tipo) {
+        const entidad = ENTIDADES[tipo];
+        if (!entidad) {
+            throw new Error(`Tipo de entidad no soportado: ${tipo}`);
+        }
+        return entidad;
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+module.exports = PapeleraService;
@@ -3,11 +3,21 @@
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
 const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas (cuotas a vencer)
 const { PlanEntrenamiento } = require('../models'); // Modelo de dominio para entidad PlanEntrenamiento
 const { Contrato } = require('../models'); // Modelo de dominio para entidad Contrato
 const PlanEntrenamientoRepository = require('../repositories/PlanEntrenamientoRepository'); // Repositorio para operaciones CRUD de planes de entrenamiento
 const ContratoRepository = require('../repositories/ContratoRepository'); // Repositorio para operaciones CRUD de contratos
 const ClienteRepository = require('../repositories/ClienteRepository'); // Repositorio para operaciones CRUD de clientes
+const config = require('../config'); // Configuración central (política de riesgo PAR-Q)
+const ReferidoService = require('./ReferidoService'); // Servicio del programa de referidos (crédito por primer contrato)
+const ListaEsperaService = require('./ListaEsperaService'); // Cupo de los planes y lista de espera
+const TarifaService = require('./TarifaService'); // Catálogo de precios de los planes
+const FinanzasService = require('./FinanzasService'); // Cuotas del cronograma de pagos del contrato
+const SeguimientoRepository = require('../repositories/SeguimientoRepository'); // Seguimientos físicos (tendencia para recomendar planes)
+const NutricionRepository = require('../repositories/NutricionRepository'); // Planes nutricionales (objetivos del cliente)
+const ProspectoRepository = require('../repositories/ProspectoRepository'); // Interés declarado antes de ser cliente
+const ProgresoService = require('./ProgresoService'); // Análisis de peso y grasa corporal entre seguimientos
 
 /**
  * Servicio para gestión de planes de clientes
@@ -40,13 +50,26 @@ class PlanClienteService {
         // PATRÓN: Repository - Abstrae el acceso a datos de clientes
         // PRINCIPIO SOLID D: Depende de abstracción ClienteRepository
         this.clienteRepository = new ClienteRepository(db);
+        // PATRÓN: Service Layer - Otorga el crédito de referidos al crear el primer contrato
+        this.referidoService = new ReferidoService(db);
+        // PATRÓN: Service Layer - Verifica el cupo y promueve la lista de espera al liberarse un lugar
+        this.listaEsperaService = new ListaEsperaService(db);
+        // PATRÓN: Service Layer - Precio de lista del plan para el contrato automático
+        this.tarifaService = new TarifaService(db);
+        // PATRÓN: Service Layer - Materializa y cancela las cuotas del cronograma de pagos
+        this.finanzasService = new FinanzasService(db);
+        // PATRÓN: Repository - Datos del cliente que se usan para recomendar planes
+        this.seguimientoRepository = new SeguimientoRepository(db);
+        this.nutricionRepository = new NutricionRepository(db);
+        this.prospectoRepository = new ProspectoRepository(db);
+        this.progresoService = new ProgresoService();
     }
 
     /**
      * Asocia un plan a un cliente y genera contrato automáticamente
      * @param {string|ObjectId} clienteId - ID del cliente
      * @param {string|ObjectId} planId - ID del plan
-     * @param {Object} datosContrato - Datos del contrato (precio, duración, condiciones)
+     * @param {Object} datosContrato - Datos del contrato (precio, duración, condiciones, modalidadPago y cuotas)
      * @returns {Promise<Object>} Resultado de la operación
      * 
      * PATRÓN: Template Method - Define el flujo estándar de asociación de planes
@@ -60,7 +83,7 @@ class PlanClienteService {
      * TRANSACCIONES: Este método implementa transacciones explícitas
      * INICIO TRANSACCIÓN: Línea 65 - session.startSession()
      * FIN TRANSACCIÓN: Línea 99 - session.endSession()
-     * OPERACIONES EN TRANSACCIÓN: Creación de contrato, asociaciones bidireccionales
+     * OPERACIONES EN TRANSACCIÓN: Creación de contrato, cuotas del cronograma, asociaciones bidireccionales
      */
     async asociarPlanACliente(clienteId, planId, datosContrato) {
         try {
@@ -103,15 +126,37 @@ class PlanClienteService {
                 throw new Error(`El plan no es compatible con el nivel del cliente (${cliente.nivel})`);
             }
 
+            // ===== VALIDACIÓN DE PERFIL DE SALUD (PAR-Q) =====
+            // PATRÓN: Strategy - Bloquea o advierte según config.salud.modoRiesgoParq
+            // PRINCIPIO SOLID S: Responsabilidad de validación de reglas de negocio
+            const advertencias = [];
+            if (cliente.tieneRiesgoSinResolver()) {
+                if (config.salud.modoRiesgoParq === 'bloquear') {
+                    throw new Error('El cliente tiene un riesgo de salud (PAR-Q) sin resolver. Registre la autorización médica en su perfil de salud');
+                }
+                advertencias.push('El cliente tiene un riesgo de salud (PAR-Q) sin resolver');
+            } else if (!cliente.tieneParq()) {
+                advertencias.push('El cliente no tiene cuestionario PAR-Q registrado');
+            }
+
             // ===== VALIDACIÓN DE UNICIDAD =====
             // PATRÓN: Guard Clause - Validación de unicidad de contrato activo
             // PRINCIPIO SOLID S: Responsabilidad de validación de reglas de negocio
             const contratosExistentes = await this.contratoRepository.getContractsByClientAndPlan(clienteId, planId);
-            const contratoActivo = contratosExistentes.find(c => c.estado === 'vigente');
+            const contratoActivo = contratosExistentes.find(c => c.estado === 'vigente' || c.estaSuspendido());
             if (contratoActivo) {
                 throw new Error('Ya existe un contrato activo para este cliente y plan');
             }
 
+            // ===== VALIDACIÓN DE CUPO =====
+            // PATRÓN: Guard Clause - Con el plan completo se ofrece la lista de espera
+            await this.listaEsperaService.asegurarCupo(plan, clienteId);
+
+            // ===== PRECIO DE CATÁLOGO =====
+            // PATRÓN: Strategy - Sin precio explícito el contrato automático toma el precio de lista
+            const duracionMeses = datosContrato.duracionMeses || 1;
+            const cotizacion = await this.tarifaService.cotizarPrecio(planId, duracionMeses);
+
             // ===== INICIO DE TRANSACCIÓN =====
             // PATRÓN: Transaction - Manejo de transacciones para operaciones críticas
             // BUENA PRÁCTICA: Transacciones para garantizar consistencia atómica
@@ -132,15 +177,24 @@ class PlanClienteService {
                         clienteId: new ObjectId(clienteId),
                         planId: new ObjectId(planId),
                         condiciones: datosContrato.condiciones || `Contrato automático para ${plan.nombre}`,
-                        duracionMeses: datosContrato.duracionMeses || 1,
-                        precio: datosContrato.precio || 0,
-                        fechaInicio: new Date()
+                        duracionMeses,
+                        precio: datosContrato.precio || (cotizacion ? cotizacion.precio : 0),
+                        fechaInicio: new Date(),
+                        versionPlan: plan.version,
+                        precioCatalogo: cotizacion ? cotizacion.precio : null,
+                        tarifaId: cotizacion ? cotizacion.tarifaId : null
                     });
+                    // PATRÓN: Domain Model - El contrato reparte su precio en cuotas, igual que en ContratoService.crearContrato
+                    contrato.armarCronogramaPagos(datosContrato.modalidadPago || 'contado', datosContrato.cuotas);
 
                     // PATRÓN: Repository - Abstrae la operación de inserción
                     // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
                     const contratoId = await this.contratoRepository.create(contrato);
 
+                    // ===== OPERACIÓN 1B: CUOTAS DEL CRONOGRAMA =====
+                    // Cada cuota queda como pago pendiente vinculado al contrato
+                    await this.finanzasService.registrarCuotasContrato(contrato, {}, { session });
+
                     // ===== OPERACIÓN 2: ASOCIAR PLAN AL CLIENTE =====
                     // PATRÓN: Repository - Abstrae la operación de asociación
                     // BUENA PRÁCTICA: Mantener consistencia bidireccional
@@ -151,12 +205,25 @@ class PlanClienteService {
                     // BUENA PRÁCTICA: Mantener consistencia bidireccional
                     await this.planRepository.addClientToPlan(planId, clienteId);
 
+                    // ===== OPERACIÓN 4: CRÉDITO POR REFERIDO =====
+                    // PATRÓN: Service Layer - Si es el primer contrato vigente de un referido, acredita a quien lo refirió
+                    const creditoReferido = await this.referidoService.acreditarPorPrimerContrato(
+                        clienteId, contratoId, { session }
+                    );
+
+                    // ===== OPERACIÓN 5: CERRAR TURNO DE LISTA DE ESPERA =====
+                    // BUENA PRÁCTICA: Si el cliente tenía el cupo reservado, la reserva se consume aquí
+                    const desdeListaEspera = await this.listaEsperaService.registrarInscripcion(planId, clienteId, { session });
+
                     // ===== CONSTRUCCIÓN DE RESPUESTA =====
                     // PATRÓN: Data Transfer Object (DTO) - Objeto estructurado para transferencia
                     resultado = {
                         success: true, // Indicador de éxito de la operación
                         contratoId, // ID del contrato creado
-                        mensaje: 'Plan asociado exitosamente al cliente' // Mensaje descriptivo
+                        desdeListaEspera, // Indicador de si el cliente venía de la lista de espera
+                        mensaje: 'Plan asociado exitosamente al cliente', // Mensaje descriptivo
+                        advertencias, // Avisos del perfil de salud
+                        creditoReferido // Crédito otorgado a quien refirió al cliente (o null)
                     };
                 });
 
@@ -234,13 +301,14 @@ class PlanClienteService {
             // ===== VALIDACIÓN DE CONTRATOS ACTIVOS =====
             // PATRÓN: Repository - Consulta de contratos activos
             // PRINCIPIO SOLID D: Depende de abstracción ContratoRepository
-            const contratosActivos = await this.contratoRepository.getActiveContractsByClient(clienteId);
+            // Un contrato congelado también se cancela: se podría reanudar sin el plan
+            const contratosActivos = await this.contratoRepository.getActiveOrFrozenContractsByClient(clienteId);
             const contratoDelPlan = contratosActivos.find(c => c.planId.toString() === planId.toString());
 
             // PATRÓN: Guard Clause - Validación de contrato activo
             // PRINCIPIO SOLID S: Responsabilidad de validación de reglas de negocio
             if (contratoDelPlan && !forzar) {
-                throw new Error('El cliente tiene un contrato activo con este plan. Use la opción de forzar para cancelar el contrato.');
+                throw new Error('El cliente tiene un contrato vigente o congelado con este plan. Use la opción de forzar para cancelar el contrato.');
             }
 
             // ===== INICIO DE TRANSACCIÓN =====
@@ -261,6 +329,13 @@ class PlanClienteService {
                     // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
                     if (contratoDelPlan) {
                         await this.contratoRepository.cancelContract(contratoDelPlan.contratoId);
+                        // Las cuotas ya vencidas siguen siendo deuda por el período usado; las futuras se cancelan
+                        await this.finanzasService.cancelarCuotasPendientes(
+                            contratoDelPlan.contratoId,
+                            `Contrato cancelado: desasociación del plan ${plan.nombre}`,
+                            { desde: dayjs().startOf('day').toDate() },
+                            { session }
+                        );
                     }
 
                     // ===== OPERACIÓN 2: DESASOCIAR PLAN DEL CLIENTE =====
@@ -307,6 +382,12 @@ class PlanClienteService {
                     };
                 });
 
+                // ===== PROMOCIÓN DE LISTA DE ESPERA =====
+                // PATRÓN: Circuit Breaker - El cupo liberado pasa al siguiente en espera sin afectar la baja
+                resultado.promovidos = await this.listaEsperaService.liberarCupo(
+                    planId, `Cupo liberado por la baja de ${cliente.getNombreCompleto()}`
+                );
+
                 return resultado;
             } finally {
                 // ===== FIN DE TRANSACCIÓN =====
@@ -342,8 +423,8 @@ class PlanClienteService {
             // Obtener planes del cliente
             const planes = await this.clienteRepository.getClientPlans(clienteId);
 
-            // Obtener contratos activos del cliente
-            const contratosActivos = await this.contratoRepository.getActiveContractsByClient(clienteId);
+            // Obtener contratos activos del cliente (los congelados siguen vinculando al cliente con el plan)
+            const contratosActivos = await this.contratoRepository.getActiveOrFrozenContractsByClient(clienteId);
 
             // Combinar información
             const planesConContratos = planes.map(plan => {
@@ -374,12 +455,18 @@ class PlanClienteService {
     }
 
     /**
-     * Obtiene planes disponibles para un cliente (compatibles con su nivel)
+     * Obtiene planes disponibles para un cliente (compatibles con su nivel), ordenados por recomendación
+     * El puntaje combina el nivel, los objetivos del cliente (plan nutricional e interés declarado
+     * como prospecto), la tendencia de sus últimos seguimientos, los contratos que completó y la
+     * popularidad del plan; cada plan trae los motivos que explican su puntaje
      * @param {string|ObjectId} clienteId - ID del cliente
-     * @returns {Promise<Object>} Planes disponibles
+     * @param {Object} opciones - limiteRecomendaciones (por defecto 3)
+     * @returns {Promise<Object>} Planes disponibles, los recomendados y el perfil usado para puntuar
      */
-    async obtenerPlanesDisponiblesParaCliente(clienteId) {
+    async obtenerPlanesDisponiblesParaCliente(clienteId, opciones = {}) {
         try {
+            const { limiteRecomendaciones = 3 } = opciones;
+
             if (!ObjectId.isValid(clienteId)) {
                 throw new Error('ID del cliente no es válido');
             }
@@ -404,10 +491,39 @@ class PlanClienteService {
                 return esCompatible && noEstaAsignado;
             });
 
+            // ===== RECOMENDACIÓN =====
+            // PATRÓN: Strategy - Cada señal del perfil suma o resta puntos con su motivo
+            const perfil = await this.construirPerfilRecomendacion(cliente);
+            const populares = await this.planRepository.getMostPopularPlans(5);
+            const planesPuntuados = [];
+            for (const plan of planesDisponibles) {
+                const { data: cupo } = await this.listaEsperaService.consultarCupo(plan.planId, clienteId);
+                planesPuntuados.push({
+                    ...plan.getResumen(),
+                    recomendacion: this.puntuarPlan(plan, perfil, populares, cupo)
+                });
+            }
+            planesPuntuados.sort((a, b) =>
+                b.recomendacion.puntaje - a.recomendacion.puntaje || a.nombre.localeCompare(b.nombre)
+            );
+
             return {
                 success: true,
-                data: planesDisponibles.map(plan => plan.getResumen()),
-                total: planesDisponibles.length
+                data: planesPuntuados,
+                total: planesPuntuados.length,
+                recomendados: planesPuntuados
+                    .filter(plan => plan.recomendacion.puntaje > 0)
+                    .slice(0, limiteRecomendaciones),
+                perfil: {
+                    nivel: perfil.nivel,
+                    nivelEstimado: perfil.nivelEstimado,
+                    objetivos: [...perfil.objetivos.entries()].map(([clave, fuente]) => ({
+                        objetivo: PlanClienteService.OBJETIVOS_RECOMENDACION[clave].nombre,
+                        fuente
+                    })),
+                    tendencia: perfil.tendencia ? perfil.tendencia.motivo : null,
+                    planesCompletados: perfil.completados.length
+                }
             };
 
         } catch (error) {
@@ -415,6 +531,208 @@ class PlanClienteService {
         }
     }
 
+    /**
+     * Reúne los datos del cliente que se usan para recomendar planes
+     * @param {Cliente} cliente - Cliente
+     * @returns {Promise<Object>} nivel, nivelEstimado, objetivos (clave → fuente), tendencia y planes completados
+     * @private
+     */
+    async construirPerfilRecomendacion(cliente) {
+        const clienteId = cliente.clienteId;
+        const objetivos = new Map();
+        const agregarObjetivo = (clave, fuente) => {
+            if (!objetivos.has(clave)) {
+                objetivos.set(clave, fuente);
+            }
+        };
+
+        // Objetivos: planes nutricionales y el interés que declaró como prospecto
+        const nutriciones = await this.nutricionRepository.getByClient(clienteId);
+        nutriciones.forEach(nutricion => {
+            Object.entries(PlanClienteService.OBJETIVOS_RECOMENDACION).forEach(([clave, objetivo]) => {
+                if (objetivo.tiposNutricion.includes(nutricion.tipoPlan)) {
+                    agregarObjetivo(clave, `plan nutricional de ${nutricion.getTipoPlanDescripcion().toLowerCase()}`);
+                }
+            });
+        });
+        const prospecto = await this.prospectoRepository.getByCliente(clienteId);
+        if (prospecto && prospecto.interes) {
+            this.detectarObjetivos(prospecto.interes).forEach(clave => {
+                agregarObjetivo(clave, `interés declarado como prospecto ("${prospecto.interes}")`);
+            });
+        }
+
+        // Contratos completados: del más reciente al más antiguo
+        const contratos = await this.contratoRepository.getByClient(clienteId);
+        const completados = [];
+        for (const contrato of contratos.filter(c => c.estado === 'finalizado').sort((a, b) => b.fechaFin - a.fechaFin)) {
+            const plan = await this.planRepository.getById(contrato.planId);
+            if (plan) {
+                completados.push({
+                    planId: plan.planId.toString(),
+                    nombre: plan.nombre,
+                    nivel: plan.nivel,
+                    objetivos: this.detectarObjetivos(`${plan.nombre} ${plan.metasFisicas}`)
+                });
+            }
+        }
+
+        // Sin nivel registrado, el nivel es el más alto de los planes que completó
+        const niveles = config.validation.planLevels;
+        const nivelCompletado = completados.reduce(
+            (maximo, completado) => Math.max(maximo, niveles.indexOf(completado.nivel)), -1
+        );
+        const nivelEstimado = !cliente.nivel && nivelCompletado >= 0;
+        const nivel = cliente.nivel || (nivelEstimado ? niveles[nivelCompletado] : 'principiante');
+
+        return {
+            nivel,
+            nivelEstimado,
+            objetivos,
+            tendencia: await this.analizarTendencia(clienteId, objetivos),
+            completados
+        };
+    }
+
+    /**
+     * Deduce qué conviene priorizar a partir de los dos últimos seguimientos del cliente
+     * @param {ObjectId} clienteId - ID del cliente
+     * @param {Map} objetivos - Objetivos ya detectados
+     * @returns {Promise<Object|null>} { objetivo, motivo } o null si no hay tendencia que corregir
+     * @private
+     */
+    async analizarTendencia(clienteId, objetivos) {
+        const [actual, anterior] = await this.seguimientoRepository.getAll(
+            { clienteId: new ObjectId(clienteId) },
+            { limit: 2, sort: { fecha: -1 } }
+        );
+        if (!actual || !anterior) {
+            return null;
+        }
+
+        // PATRÓN: Delegation - ProgresoService compara el peso y la grasa corporal
+        const { peso, grasaCorporal } = this.progresoService.analizarProgreso(actual, anterior);
+        if (grasaCorporal && grasaCorporal.estado === 'empeora') {
+            return {
+                objetivo: 'perdida_peso',
+                motivo: `la grasa corporal subió ${grasaCorporal.diferencia.toFixed(1)} puntos en el último seguimiento`
+            };
+        }
+        if (objetivos.has('ganancia_masa')) {
+            if (peso && peso.estado !== 'empeora') {
+                return {
+                    objetivo: 'ganancia_masa',
+                    motivo: `busca ganar masa y el peso no sube (${peso.diferencia.toFixed(1)} kg en el último seguimiento)`
+                };
+            }
+            return null;
+        }
+        if (peso && peso.estado === 'empeora' && peso.significativo) {
+            return {
+                objetivo: 'perdida_peso',
+                motivo: `el peso subió ${peso.diferencia.toFixed(1)} kg en el último seguimiento`
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Calcula el puntaje de un plan para el perfil del cliente
+     * @param {PlanEntrenamiento} plan - Plan a puntuar
+     * @param {Object} perfil - Perfil de construirPerfilRecomendacion
+     * @param {Array<PlanEntrenamiento>} populares - Planes más populares, en orden
+     * @param {Object} cupo - Cupo del plan (ListaEsperaService.consultarCupo)
+     * @returns {Object} { puntaje, motivos, advertencias }
+     * @private
+     */
+    puntuarPlan(plan, perfil, populares, cupo) {
+        const OBJETIVOS = PlanClienteService.OBJETIVOS_RECOMENDACION;
+        const niveles = config.validation.planLevels;
+        const objetivosPlan = this.detectarObjetivos(`${plan.nombre} ${plan.metasFisicas}`);
+        const planId = plan.planId.toString();
+        let puntaje = 0;
+        const motivos = [];
+        const advertencias = [];
+
+        // Nivel: lo ideal es el del cliente; uno por encima es un reto alcanzable
+        const distanciaNivel = niveles.indexOf(plan.nivel) - niveles.indexOf(perfil.nivel);
+        const origenNivel = perfil.nivelEstimado ? 'según los planes que completó' : 'registrado';
+        if (distanciaNivel === 0) {
+            puntaje += 25;
+            motivos.push(`Nivel ${plan.nivel}, el del cliente (${origenNivel})`);
+        } else if (distanciaNivel === 1) {
+            puntaje += 10;
+            motivos.push(`Un nivel por encima del cliente (${perfil.nivel}): un reto alcanzable`);
+        } else if (distanciaNivel > 1) {
+            advertencias.push(`Dos niveles por encima del cliente (${perfil.nivel})`);
+        } else {
+            puntaje -= 10;
+            advertencias.push(`Por debajo del nivel del cliente (${perfil.nivel}, ${origenNivel})`);
+        }
+
+        // Objetivos del cliente que el plan trabaja
+        objetivosPlan.filter(clave => perfil.objetivos.has(clave)).forEach((clave, indice) => {
+            puntaje += indice === 0 ? 30 : 10;
+            motivos.push(`Trabaja ${OBJETIVOS[clave].nombre}, objetivo del cliente según su ${perfil.objetivos.get(clave)}`);
+        });
+
+        // Tendencia de los seguimientos
+        if (perfil.tendencia && objetivosPlan.includes(perfil.tendencia.objetivo)) {
+            puntaje += 15;
+            motivos.push(`Apunta a ${OBJETIVOS[perfil.tendencia.objetivo].nombre}: ${perfil.tendencia.motivo}`);
+        }
+
+        // Contratos completados: no repetir y continuar la progresión
+        if (perfil.completados.some(completado => completado.planId === planId)) {
+            puntaje -= 20;
+            advertencias.push('El cliente ya completó este plan');
+        } else if (perfil.completados.length > 0) {
+            const siguienteNivel = perfil.completados.find(completado =>
+                niveles.indexOf(plan.nivel) === niveles.indexOf(completado.nivel) + 1
+            );
+            if (siguienteNivel) {
+                puntaje += 15;
+                motivos.push(`Siguiente nivel después de completar "${siguienteNivel.nombre}" (${siguienteNivel.nivel})`);
+            }
+            const mismaLinea = perfil.completados.find(completado =>
+                completado.objetivos.some(clave => objetivosPlan.includes(clave))
+            );
+            if (mismaLinea) {
+                puntaje += 10;
+                motivos.push(`Continúa la línea de "${mismaLinea.nombre}", que el cliente completó`);
+            }
+        }
+
+        // Popularidad en el gimnasio
+        const posicion = populares.findIndex(popular => popular.planId.toString() === planId);
+        if (posicion >= 0 && plan.clientes.length > 0) {
+            puntaje += 10 - 2 * posicion;
+            motivos.push(`Entre los más populares del gimnasio (#${posicion + 1}, ${plan.clientes.length} cliente(s))`);
+        }
+
+        // Cupo: con el plan completo el cliente iría a la lista de espera
+        if (cupo.completo) {
+            puntaje -= 15;
+            advertencias.push('Sin cupo: el cliente iría a la lista de espera');
+        }
+
+        return { puntaje, motivos, advertencias };
+    }
+
+    /**
+     * Detecta objetivos de entrenamiento en un texto libre (metas de un plan, interés de un prospecto)
+     * @param {string} texto - Texto a analizar
+     * @returns {Array<string>} Claves de OBJETIVOS_RECOMENDACION encontradas
+     * @private
+     */
+    detectarObjetivos(texto) {
+        // Se comparan sin tildes ni mayúsculas
+        const normalizado = (texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return Object.entries(PlanClienteService.OBJETIVOS_RECOMENDACION)
+            .filter(([, objetivo]) => objetivo.palabras.some(palabra => normalizado.includes(palabra)))
+            .map(([clave]) => clave);
+    }
+
     /**
      * Renueva un contrato existente
      * @param {string|ObjectId} contratoId - ID del contrato
@@ -502,6 +820,36 @@ class PlanClienteService {
     }
 }
 
+// Objetivos que se reconocen para recomendar planes: palabras clave (sin tildes) en las metas
+// de los planes y el interés de los prospectos, y tipos de plan nutricional que los indican
+PlanClienteService.OBJETIVOS_RECOMENDACION = {
+    perdida_peso: {
+        nombre: 'pérdida de peso',
+        palabras: ['perder peso', 'perdida de peso', 'bajar de peso', 'adelgaz', 'quemar grasa', 'definicion', 'tonificar'],
+        tiposNutricion: ['perdida_peso']
+    },
+    ganancia_masa: {
+        nombre: 'ganancia de masa muscular',
+        palabras: ['masa muscular', 'hipertrofia', 'ganar masa', 'ganar musculo', 'volumen muscular'],
+        tiposNutricion: ['ganancia_masa']
+    },
+    fuerza: {
+        nombre: 'fuerza',
+        palabras: ['fuerza', 'potencia', 'powerlifting'],
+        tiposNutricion: []
+    },
+    resistencia: {
+        nombre: 'resistencia',
+        palabras: ['resistencia', 'cardio', 'aerobic', 'maraton', 'running'],
+        tiposNutricion: ['deportivo']
+    },
+    salud: {
+        nombre: 'salud general',
+        palabras: ['salud', 'movilidad', 'bienestar', 'mantenimiento', 'rehabilit'],
+        tiposNutricion: ['mantenimiento', 'medico']
+    }
+};
+
 // ===== EXPORTACIÓN DEL MÓDULO =====
 // PATRÓN: Module Pattern - Exporta la clase como módulo
 // PRINCIPIO SOLID S: Responsabilidad de proporcionar la interfaz pública del servicio
@@ -3,10 +3,16 @@
 // PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
 // PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
 const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const fs = require('fs'); // Escritura de la rutina semanal exportada
+const path = require('path'); // Construcción de rutas
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
 const { PlanEntrenamiento } = require('../models'); // Modelo de dominio para entidad PlanEntrenamiento
 const PlanEntrenamientoRepository = require('../repositories/PlanEntrenamientoRepository'); // Repositorio para operaciones CRUD de planes de entrenamiento
 const ClienteRepository = require('../repositories/ClienteRepository'); // Repositorio para operaciones CRUD de clientes
 const ContratoRepository = require('../repositories/ContratoRepository'); // Repositorio para operaciones CRUD de contratos
+const EjercicioRepository = require('../repositories/EjercicioRepository'); // Biblioteca de ejercicios de las rutinas
+const ListaEsperaService = require('./ListaEsperaService'); // Cupo de los planes y lista de espera
+const FinanzasService = require('./FinanzasService'); // Cancelación de las cuotas de los contratos cancelados
 
 /**
  * Servicio para gestión de planes de entrenamiento
@@ -39,6 +45,14 @@ class PlanEntrenamientoService {
         // PATRÓN: Repository - Abstrae el acceso a datos de contratos
         // PRINCIPIO SOLID D: Depende de abstracción ContratoRepository
         this.contratoRepository = new ContratoRepository(db);
+        // PATRÓN: Repository - Abstrae el acceso a la biblioteca de ejercicios
+        this.ejercicioRepository = new EjercicioRepository(db);
+        // PATRÓN: Service Layer - Verifica el cupo y promueve la lista de espera al liberarse un lugar
+        this.listaEsperaService = new ListaEsperaService(db);
+        // PATRÓN: Service Layer - Cancela las cuotas a vencer de los contratos que se cancelan
+        this.finanzasService = new FinanzasService(db);
+        // Carpeta donde se guardan las rutinas exportadas para imprimir
+        this.directorioExportacion = path.join(process.cwd(), 'exports');
     }
 
     /**
@@ -73,13 +87,17 @@ class PlanEntrenamientoService {
                 metasFisicas: dataPlan.metasFisicas, // Metas físicas del plan
                 nivel: dataPlan.nivel, // Nivel del plan (principiante, intermedio, avanzado)
                 clientes: dataPlan.clientes || [], // Lista de clientes (inicialmente vacía)
-                estado: dataPlan.estado || 'activo' // Estado del plan (por defecto activo)
+                estado: dataPlan.estado || 'activo', // Estado del plan (por defecto activo)
+                semanas: dataPlan.semanas || [], // Rutina: semanas → días → ejercicios (opcional)
+                cupoMaximo: dataPlan.cupoMaximo ?? null // Cupo de clientes (null = sin límite)
             });
 
             // ===== PERSISTENCIA =====
             // PATRÓN: Repository - Abstrae la operación de inserción
             // PRINCIPIO SOLID D: Depende de abstracción, no de implementación concreta
             const planId = await this.planRepository.create(plan);
+            // La versión 1 queda registrada como punto de partida del historial de cambios
+            await this.planRepository.saveVersion(planId, plan.version, plan.getContenidoVersionable(), ['Versión inicial']);
 
             // ===== CONSTRUCCIÓN DE RESPUESTA =====
             // PATRÓN: Data Transfer Object (DTO) - Objeto estructurado para transferencia
@@ -146,11 +164,17 @@ class PlanEntrenamientoService {
     /**
      * Actualiza un plan existente
      * @param {string|ObjectId} planId - ID del plan a actualizar
-     * @param {Object} datosActualizados - Datos a actualizar
+     * @param {Object} datosActualizados - Datos a actualizar (notaCambio opcional para el registro de cambios)
      * @returns {Promise<Object>} Resultado de la operación
+     *
+     * NOTA: Si cambia el contenido y hay contratos vigentes o congelados con la versión actual, se crea una versión nueva;
+     * esos clientes conservan la que compraron hasta que se los migre
      */
-    async actualizarPlan(planId, datosActualizados) {
+    async actualizarPlan(planId, datosRecibidos) {
         try {
+            const { notaCambio = '', ...datosActualizados } = datosRecibidos;
+
+
             // Verificar que el plan existe
             const planExistente = await this.planRepository.getById(planId);
             if (!planExistente) {
@@ -163,23 +187,52 @@ class PlanEntrenamientoService {
                 this.validarDatosPlan(datosActualizados, true);
             }
 
+            // Una duración menor no puede dejar semanas de rutina fuera del plan
+            if (datosActualizados.duracionSemanas !== undefined &&
+                planExistente.semanas.length > datosActualizados.duracionSemanas) {
+                throw new Error(`El plan tiene ${planExistente.semanas.length} semanas de rutina; elimine semanas antes de reducir la duración`);
+            }
+
+            // El cupo no puede quedar por debajo de los clientes que ya tiene el plan
+            if (datosActualizados.cupoMaximo !== undefined) {
+                // PATRÓN: Domain Model - El modelo valida el formato del cupo
+                new PlanEntrenamiento({ ...planExistente, cupoMaximo: datosActualizados.cupoMaximo });
+                if (datosActualizados.cupoMaximo !== null && datosActualizados.cupoMaximo < planExistente.clientes.length) {
+                    throw new Error(`El plan tiene ${planExistente.clientes.length} clientes; el cupo no puede ser menor`);
+                }
+            }
+
             // Si se está cambiando el estado a cancelado/finalizado, verificar clientes
             if (datosActualizados.estado && 
                 (datosActualizados.estado === 'cancelado' || datosActualizados.estado === 'finalizado')) {
                 await this.manejarCambioEstadoPlan(planId, datosActualizados.estado);
             }
 
-            // Actualizar en la base de datos
-            const actualizado = await this.planRepository.update(planId, datosActualizados);
+            // Actualizar en la base de datos, versionando el contenido si cambió
+            const contenidoAnterior = planExistente.getContenidoVersionable();
+            const contenidoNuevo = { ...contenidoAnterior };
+            Object.keys(contenidoAnterior)
+                .filter(campo => datosActualizados[campo] !== undefined)
+                .forEach(campo => { contenidoNuevo[campo] = datosActualizados[campo]; });
 
-            if (actualizado) {
-                return {
-                    success: true,
-                    mensaje: 'Plan actualizado exitosamente'
-                };
-            } else {
-                throw new Error('No se pudo actualizar el plan');
-            }
+            const versionado = await this.guardarConVersion(
+                planExistente, contenidoAnterior, contenidoNuevo, datosActualizados, notaCambio
+            );
+
+            // Si se amplió o quitó el cupo, los nuevos lugares pasan a la lista de espera
+            const promovidos = datosActualizados.cupoMaximo !== undefined
+                ? await this.listaEsperaService.liberarCupo(planId, 'Cupo del plan ampliado')
+                : [];
+
+            return {
+                success: true,
+                version: versionado.version,
+                cambios: versionado.cambios,
+                promovidos,
+                mensaje: versionado.nuevaVersion
+                    ? `Plan actualizado; se creó la versión ${versionado.version}`
+                    : 'Plan actualizado exitosamente'
+            };
 
         } catch (error) {
             throw new Error(`Error al actualizar plan: ${error.message}`);
@@ -190,9 +243,10 @@ class PlanEntrenamientoService {
      * Elimina un plan
      * @param {string|ObjectId} planId - ID del plan a eliminar
      * @param {boolean} forzar - Si debe forzar la eliminación
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo })
      * @returns {Promise<Object>} Resultado de la operación
      */
-    async eliminarPlan(planId, forzar = false) {
+    async eliminarPlan(planId, forzar = false, datosEliminacion = {}) {
         try {
             // Verificar que el plan existe
             const plan = await this.planRepository.getById(planId);
@@ -211,12 +265,12 @@ class PlanEntrenamientoService {
             }
 
             // Eliminar el plan
-            const eliminado = await this.planRepository.delete(planId);
+            const eliminado = await this.planRepository.delete(planId, datosEliminacion);
 
             if (eliminado) {
                 return {
                     success: true,
-                    mensaje: 'Plan eliminado exitosamente'
+                    mensaje: 'Plan enviado a la papelera exitosamente'
                 };
             } else {
                 throw new Error('No se pudo eliminar el plan');
@@ -262,6 +316,9 @@ class PlanEntrenamientoService {
                 throw new Error('El cliente ya está asociado a este plan');
             }
 
+            // Verificar que el plan tenga cupo (con el plan completo se ofrece la lista de espera)
+            await this.listaEsperaService.asegurarCupo(plan, clienteId);
+
             // Iniciar transacción para operaciones críticas
             const session = this.db.client.startSession();
             
@@ -275,8 +332,12 @@ class PlanEntrenamientoService {
                     // Asociar plan al cliente
                     await this.clienteRepository.addPlanToClient(clienteId, planId);
 
+                    // Si venía de la lista de espera, su turno queda cerrado
+                    const desdeListaEspera = await this.listaEsperaService.registrarInscripcion(planId, clienteId, { session });
+
                     resultado = {
                         success: true,
+                        desdeListaEspera,
                         mensaje: 'Cliente asociado al plan exitosamente'
                     };
                 });
@@ -295,9 +356,10 @@ class PlanEntrenamientoService {
      * Desasocia un cliente de un plan
      * @param {string|ObjectId} planId - ID del plan
      * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {boolean} promoverEspera - Si el cupo liberado pasa al siguiente de la lista de espera
      * @returns {Promise<Object>} Resultado de la operación
      */
-    async desasociarClienteDePlan(planId, clienteId) {
+    async desasociarClienteDePlan(planId, clienteId, promoverEspera = true) {
         try {
             // Verificar que el plan existe
             const plan = await this.planRepository.getById(planId);
@@ -318,11 +380,12 @@ class PlanEntrenamientoService {
             }
 
             // Verificar si tiene contratos activos
-            const contratosActivos = await this.contratoRepository.getActiveContractsByClient(clienteId);
+            // Un contrato congelado también bloquea la desasociación: se podría reanudar sin el plan
+            const contratosActivos = await this.contratoRepository.getActiveOrFrozenContractsByClient(clienteId);
             const contratoDelPlan = contratosActivos.find(c => c.planId.toString() === planId.toString());
 
             if (contratoDelPlan) {
-                throw new Error('El cliente tiene un contrato activo con este plan. Debe cancelar el contrato primero.');
+                throw new Error('El cliente tiene un contrato vigente o congelado con este plan. Debe cancelar el contrato primero.');
             }
 
             // Iniciar transacción para operaciones críticas
@@ -344,6 +407,11 @@ class PlanEntrenamientoService {
                     };
                 });
 
+                // El cupo liberado pasa al siguiente cliente en espera
+                resultado.promovidos = promoverEspera
+                    ? await this.listaEsperaService.liberarCupo(planId, `Cupo liberado por la baja de ${cliente.getNombreCompleto()}`)
+                    : [];
+
                 return resultado;
             } finally {
                 await session.endSession();
@@ -481,6 +549,453 @@ class PlanEntrenamientoService {
         }
     }
 
+    /**
+     * Obtiene la rutina completa del plan (semanas, días y ejercicios)
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<Object>} Datos del plan con sus semanas
+     */
+    async obtenerContenidoPlan(planId) {
+        try {
+            const plan = await this.obtenerPlanExistente(planId);
+            return {
+                success: true,
+                data: this.construirContenido(plan)
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener rutina del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Agrega una semana a la rutina, vacía o copiando otra semana
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number|null} copiarDe - Semana a copiar
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     */
+    async agregarSemanaPlan(planId, copiarDe = null) {
+        return await this.modificarContenido(planId, plan => {
+            const numero = plan.agregarSemana(copiarDe);
+            return copiarDe ? `Semana ${numero} agregada como copia de la semana ${copiarDe}` : `Semana ${numero} agregada`;
+        });
+    }
+
+    /**
+     * Elimina una semana de la rutina
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana a eliminar
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     */
+    async eliminarSemanaPlan(planId, numeroSemana) {
+        return await this.modificarContenido(planId, plan => {
+            plan.removerSemana(numeroSemana);
+            return `Semana ${numeroSemana} eliminada`;
+        });
+    }
+
+    /**
+     * Agrega un día a una semana de la rutina
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan
+     * @param {Object} dia - nombre y notas del día
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     */
+    async agregarDiaPlan(planId, numeroSemana, dia) {
+        return await this.modificarContenido(planId, plan => {
+            plan.agregarDia(numeroSemana, dia);
+            return `Día "${dia.nombre.trim()}" agregado a la semana ${numeroSemana}`;
+        });
+    }
+
+    /**
+     * Elimina un día de una semana de la rutina
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     */
+    async eliminarDiaPlan(planId, numeroSemana, indiceDia) {
+        return await this.modificarContenido(planId, plan => {
+            plan.removerDia(numeroSemana, indiceDia);
+            return `Día ${indiceDia + 1} eliminado de la semana ${numeroSemana}`;
+        });
+    }
+
+    /**
+     * Cambia el orden de un día dentro de su semana
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan
+     * @param {number} desde - Posición actual (desde 0)
+     * @param {number} hacia - Nueva posición (desde 0)
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     */
+    async moverDiaPlan(planId, numeroSemana, desde, hacia) {
+        return await this.modificarContenido(planId, plan => {
+            plan.moverDia(numeroSemana, desde, hacia);
+            return `Día movido a la posición ${hacia + 1} de la semana ${numeroSemana}`;
+        });
+    }
+
+    /**
+     * Agrega un ejercicio a un día de la rutina
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @param {Object} ejercicio - ejercicioId de la biblioteca, series, repeticiones, carga, descansoSegundos, notas
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     *
+     * PATRÓN: Guard Clause - Solo se agregan ejercicios que existen en la biblioteca
+     */
+    async agregarEjercicioPlan(planId, numeroSemana, indiceDia, ejercicio) {
+        const ejercicioCatalogo = ejercicio.ejercicioId && ObjectId.isValid(ejercicio.ejercicioId)
+            ? await this.ejercicioRepository.getById(ejercicio.ejercicioId)
+            : null;
+        if (!ejercicioCatalogo) {
+            throw new Error('Error al modificar rutina del plan: El ejercicio no existe en la biblioteca');
+        }
+
+        return await this.modificarContenido(planId, plan => {
+            plan.agregarEjercicio(numeroSemana, indiceDia, {
+                ...ejercicio,
+                ejercicioId: ejercicioCatalogo.ejercicioId,
+                nombre: ejercicioCatalogo.nombre
+            });
+            return `Ejercicio "${ejercicioCatalogo.nombre}" agregado`;
+        });
+    }
+
+    /**
+     * Elimina un ejercicio de un día de la rutina
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @param {number} indiceEjercicio - Posición del ejercicio (desde 0)
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     */
+    async eliminarEjercicioPlan(planId, numeroSemana, indiceDia, indiceEjercicio) {
+        return await this.modificarContenido(planId, plan => {
+            plan.removerEjercicio(numeroSemana, indiceDia, indiceEjercicio);
+            return `Ejercicio ${indiceEjercicio + 1} eliminado`;
+        });
+    }
+
+    /**
+     * Cambia el orden de un ejercicio dentro de su día
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan
+     * @param {number} indiceDia - Posición del día (desde 0)
+     * @param {number} desde - Posición actual (desde 0)
+     * @param {number} hacia - Nueva posición (desde 0)
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     */
+    async moverEjercicioPlan(planId, numeroSemana, indiceDia, desde, hacia) {
+        return await this.modificarContenido(planId, plan => {
+            plan.moverEjercicio(numeroSemana, indiceDia, desde, hacia);
+            return `Ejercicio movido a la posición ${hacia + 1}`;
+        });
+    }
+
+    /**
+     * Obtiene la rutina de una semana del plan tal como la realiza el socio
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan (1..duracionSemanas)
+     * @returns {Promise<Object>} Rutina de la semana
+     */
+    async obtenerRutinaSemanal(planId, numeroSemana) {
+        try {
+            const plan = await this.obtenerPlanExistente(planId);
+            return {
+                success: true,
+                data: plan.getRutinaSemanal(numeroSemana)
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener rutina semanal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Exporta la rutina de una semana a un archivo de texto para imprimir
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} numeroSemana - Semana del plan (1..duracionSemanas)
+     * @returns {Promise<Object>} Resultado con la ruta del archivo generado
+     */
+    async exportarRutinaSemanal(planId, numeroSemana) {
+        try {
+            const plan = await this.obtenerPlanExistente(planId);
+            const rutina = plan.getRutinaSemanal(numeroSemana);
+
+            if (!fs.existsSync(this.directorioExportacion)) {
+                fs.mkdirSync(this.directorioExportacion, { recursive: true });
+            }
+            const timestamp = dayjs().format('YYYY-MM-DD_HH-mm-ss');
+            const rutaArchivo = path.join(
+                this.directorioExportacion,
+                `rutina_${plan.planId}_semana_${numeroSemana}_${timestamp}.txt`
+            );
+            fs.writeFileSync(rutaArchivo, this.formatearRutinaTexto(rutina), 'utf8');
+
+            return {
+                success: true,
+                data: { archivo: rutaArchivo },
+                mensaje: `Rutina de la semana ${numeroSemana} exportada`
+            };
+        } catch (error) {
+            throw new Error(`Error al exportar rutina semanal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lista las versiones del plan con su registro de cambios
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<Object>} Versiones con la cantidad de contratos vigentes o congelados en cada una
+     */
+    async obtenerVersionesPlan(planId) {
+        try {
+            const plan = await this.obtenerPlanExistente(planId);
+            const versiones = await this.planRepository.getVersions(planId);
+            const contratos = await this.contratoRepository.getActiveContractsByPlan(planId);
+
+            const data = versiones.map(version => ({
+                version: version.version,
+                fechaCreacion: dayjs(version.fechaCreacion).format('DD/MM/YYYY'),
+                fechaActualizacion: dayjs(version.fechaActualizacion).format('DD/MM/YYYY'),
+                esActual: version.version === plan.version,
+                contratosVigentes: contratos.filter(contrato => contrato.getVersionPlan() === version.version).length,
+                cambios: version.cambios.map(cambio => ({
+                    fecha: dayjs(cambio.fecha).format('DD/MM/YYYY'),
+                    descripcion: cambio.descripcion
+                }))
+            }));
+
+            return {
+                success: true,
+                versionActual: plan.version,
+                contratosDesactualizados: contratos.filter(contrato => contrato.getVersionPlan() < plan.version).length,
+                data,
+                total: data.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener versiones del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compara dos versiones del plan
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} versionA - Versión de origen
+     * @param {number} versionB - Versión de destino
+     * @returns {Promise<Object>} Cambios de la versión A a la versión B
+     */
+    async compararVersionesPlan(planId, versionA, versionB) {
+        try {
+            const plan = await this.obtenerPlanExistente(planId);
+            const obtenerContenido = async numero => {
+                const version = await this.planRepository.getVersion(planId, numero);
+                if (version) {
+                    return version.contenido;
+                }
+                // La versión actual de un plan anterior al versionado solo existe en el propio plan
+                if (numero === plan.version) {
+                    return plan.getContenidoVersionable();
+                }
+                throw new Error(`La versión ${numero} no existe`);
+            };
+
+            const cambios = PlanEntrenamiento.compararContenido(
+                await obtenerContenido(versionA),
+                await obtenerContenido(versionB)
+            );
+
+            return {
+                success: true,
+                data: { versionA, versionB, cambios },
+                total: cambios.length
+            };
+        } catch (error) {
+            throw new Error(`Error al comparar versiones del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pasa los contratos vigentes o congelados del plan a su última versión
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<Object>} Cantidad de contratos migrados
+     */
+    async migrarClientesAUltimaVersion(planId) {
+        try {
+            const plan = await this.obtenerPlanExistente(planId);
+            const migrados = await this.contratoRepository.updatePlanVersion(planId, plan.version);
+
+            return {
+                success: true,
+                version: plan.version,
+                migrados,
+                mensaje: migrados > 0
+                    ? `${migrados} contrato(s) migrado(s) a la versión ${plan.version}`
+                    : `Todos los contratos vigentes o congelados ya usan la versión ${plan.version}`
+            };
+        } catch (error) {
+            throw new Error(`Error al migrar clientes de versión: ${error.message}`);
+        }
+    }
+
+    /**
+     * Aplica un cambio a la rutina del plan y lo persiste
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {Function} cambio - Recibe el PlanEntrenamiento, lo modifica y retorna el mensaje
+     * @returns {Promise<Object>} Resultado con la rutina actualizada
+     * @private
+     *
+     * PATRÓN: Template Method - Carga, modifica con las reglas del modelo, valida y guarda
+     */
+    async modificarContenido(planId, cambio) {
+        try {
+            const plan = await this.obtenerPlanExistente(planId);
+            const contenidoAnterior = plan.getContenidoVersionable();
+            const mensaje = cambio(plan);
+            // Revalida toda la rutina antes de guardarla
+            plan.validateSemanas();
+            const versionado = await this.guardarConVersion(
+                plan, contenidoAnterior, plan.getContenidoVersionable(), { semanas: plan.semanas }
+            );
+            plan.version = versionado.version;
+
+            return {
+                success: true,
+                data: this.construirContenido(plan),
+                mensaje: versionado.nuevaVersion ? `${mensaje} (versión ${versionado.version} creada)` : mensaje
+            };
+        } catch (error) {
+            throw new Error(`Error al modificar rutina del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guarda un cambio del plan registrándolo en su historial de versiones
+     * @param {PlanEntrenamiento} plan - Plan antes del cambio
+     * @param {Object} contenidoAnterior - Contenido versionable antes del cambio
+     * @param {Object} contenidoNuevo - Contenido versionable después del cambio
+     * @param {Object} camposActualizados - Campos a guardar en el plan
+     * @param {string} nota - Nota opcional del cambio
+     * @returns {Promise<Object>} { version, nuevaVersion, cambios }
+     * @private
+     *
+     * REGLA DE NEGOCIO: Se crea una versión nueva solo si algún contrato vigente usa la versión actual;
+     * si nadie la compró todavía, el cambio se registra en la misma versión
+     * TRANSACCIONES: La versión y el plan se guardan juntos
+     */
+    async guardarConVersion(plan, contenidoAnterior, contenidoNuevo, camposActualizados, nota = '') {
+        const cambios = PlanEntrenamiento.compararContenido(contenidoAnterior, contenidoNuevo);
+
+        // Sin cambios de contenido (por ejemplo, solo el estado) no hay nada que versionar
+        if (cambios.length === 0) {
+            const actualizado = await this.planRepository.update(plan.planId, camposActualizados);
+            if (!actualizado) {
+                throw new Error('No se pudo actualizar el plan');
+            }
+            return { version: plan.version, nuevaVersion: false, cambios };
+        }
+        if (nota && nota.trim()) {
+            cambios.unshift(`Nota: ${nota.trim()}`);
+        }
+
+        const contratos = await this.contratoRepository.getActiveContractsByPlan(plan.planId);
+        const nuevaVersion = contratos.some(contrato => contrato.getVersionPlan() === plan.version);
+        const version = nuevaVersion ? plan.version + 1 : plan.version;
+
+        // Planes creados antes del versionado: se guarda primero la versión que tienen los contratos
+        const versionActualGuardada = await this.planRepository.getVersion(plan.planId, plan.version);
+
+        const session = this.db.client.startSession();
+        try {
+            await session.withTransaction(async () => {
+                if (!versionActualGuardada) {
+                    await this.planRepository.saveVersion(
+                        plan.planId, plan.version, contenidoAnterior, ['Versión registrada antes del versionado'], { session }
+                    );
+                }
+                await this.planRepository.saveVersion(plan.planId, version, contenidoNuevo, cambios, { session });
+                await this.planRepository.update(plan.planId, { ...camposActualizados, version }, { session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        return { version, nuevaVersion, cambios };
+    }
+
+    /**
+     * Obtiene un plan existente
+     * @param {string|ObjectId} planId - ID del plan
+     * @returns {Promise<PlanEntrenamiento>} Plan encontrado
+     * @private
+     */
+    async obtenerPlanExistente(planId) {
+        const plan = await this.planRepository.getById(planId);
+        if (!plan) {
+            throw new Error('Plan no encontrado');
+        }
+        return plan;
+    }
+
+    /**
+     * Arma la vista de la rutina completa del plan
+     * @param {PlanEntrenamiento} plan - Plan de entrenamiento
+     * @returns {Object} Datos del plan y sus semanas
+     * @private
+     */
+    construirContenido(plan) {
+        return {
+            planId: plan.planId,
+            nombre: plan.nombre,
+            nivel: plan.nivel,
+            duracionSemanas: plan.duracionSemanas,
+            totalEjercicios: plan.getTotalEjercicios(),
+            semanas: plan.semanas
+        };
+    }
+
+    /**
+     * Da formato de texto plano a la rutina de una semana
+     * @param {Object} rutina - Resultado de PlanEntrenamiento.getRutinaSemanal
+     * @returns {string} Rutina lista para imprimir
+     * @private
+     */
+    formatearRutinaTexto(rutina) {
+        const lineas = [
+            `RUTINA SEMANAL - ${rutina.nombre} (${rutina.nivel})`,
+            `Semana ${rutina.semana} de ${rutina.duracionSemanas}` +
+                (rutina.semanaBase !== rutina.semana ? ` (se repite la semana ${rutina.semanaBase})` : ''),
+            '='.repeat(60)
+        ];
+
+        if (rutina.dias.length === 0) {
+            lineas.push('', 'Semana sin días de entrenamiento cargados');
+        }
+        rutina.dias.forEach((dia, indiceDia) => {
+            lineas.push('', `DÍA ${indiceDia + 1}: ${dia.nombre}`);
+            if (dia.notas) {
+                lineas.push(`  ${dia.notas}`);
+            }
+            if (dia.ejercicios.length === 0) {
+                lineas.push('  Sin ejercicios cargados');
+            }
+            dia.ejercicios.forEach((ejercicio, indice) => {
+                const detalle = [`${ejercicio.series} x ${ejercicio.repeticiones}`];
+                if (ejercicio.carga) {
+                    detalle.push(`Carga: ${ejercicio.carga}`);
+                }
+                detalle.push(`Descanso: ${ejercicio.descansoSegundos} s`);
+                lineas.push(`  ${indice + 1}. ${ejercicio.nombre} - ${detalle.join(' | ')}`);
+                if (ejercicio.notas) {
+                    lineas.push(`     ${ejercicio.notas}`);
+                }
+            });
+        });
+
+        lineas.push('', `Generado el ${dayjs().format('DD/MM/YYYY HH:mm')}`);
+        return lineas.join('\n') + '\n';
+    }
+
     /**
      * Valida los datos de un plan
      * @param {Object} dataPlan - Datos del plan
@@ -552,16 +1067,19 @@ class PlanEntrenamientoService {
         const plan = await this.planRepository.getById(planId);
         
         if (plan.tieneClientes()) {
-            // Si tiene clientes, cancelar sus contratos y hacer rollback de seguimientos
-            const clientes = await this.planRepository.getAll({ _id: new ObjectId(planId) });
-            
-            for (const cliente of clientes) {
-                const contratosActivos = await this.contratoRepository.getActiveContractsByClient(cliente.clienteId);
+            // Si tiene clientes, cancelar sus contratos (también los congelados) y hacer rollback de seguimientos
+            for (const clienteId of plan.clientes) {
+                const contratosActivos = await this.contratoRepository.getActiveOrFrozenContractsByClient(clienteId);
                 const contratoDelPlan = contratosActivos.find(c => c.planId.toString() === planId.toString());
                 
                 if (contratoDelPlan) {
-                    // Cancelar el contrato
+                    // Cancelar el contrato y sus cuotas a vencer (las vencidas siguen siendo deuda)
                     await this.contratoRepository.cancelContract(contratoDelPlan.contratoId);
+                    await this.finanzasService.cancelarCuotasPendientes(
+                        contratoDelPlan.contratoId,
+                        `Contrato cancelado: plan ${plan.nombre} ${nuevoEstado}`,
+                        { desde: dayjs().startOf('day').toDate() }
+                    );
                     
                     // ROLLBACK: Eliminar seguimientos del cliente
                     const { SeguimientoRepository } = require('../repositories');
@@ -569,16 +1087,16 @@ class PlanEntrenamientoService {
                     
                     try {
                         const rollbackSeguimientos = await seguimientoRepository.deleteFollowUpsByClientWithRollback(
-                            cliente.clienteId, 
+                            clienteId, 
                             `Cancelación de plan: ${plan.nombre}`
                         );
                         
                         if (rollbackSeguimientos.success && rollbackSeguimientos.eliminados > 0) {
-                            console.log(`✅ Rollback completado para cliente ${cliente.clienteId}: ${rollbackSeguimientos.eliminados} seguimientos eliminados`);
+                            console.log(`✅ Rollback completado para cliente ${clienteId}: ${rollbackSeguimientos.eliminados} seguimientos eliminados`);
                         }
                     } catch (rollbackError) {
                         // Si falla el rollback de seguimientos, registrar pero continuar
-                        console.log(`⚠️ Error en rollback de seguimientos para cliente ${cliente.clienteId}: ${rollbackError.message}`);
+                        console.log(`⚠️ Error en rollback de seguimientos para cliente ${clienteId}: ${rollbackError.message}`);
                     }
                 }
             }
@@ -593,8 +1111,9 @@ class PlanEntrenamientoService {
         const plan = await this.planRepository.getById(planId);
         
         if (plan.tieneClientes()) {
+            // El plan se elimina: los cupos liberados no se ofrecen a la lista de espera
             for (const clienteId of plan.clientes) {
-                await this.desasociarClienteDePlan(planId, clienteId);
+                await this.desasociarClienteDePlan(planId, clienteId, false);
             }
         }
     }
@@ -634,6 +1153,9 @@ class PlanEntrenamientoService {
                 throw new Error('El cliente ya está asociado a este plan');
             }
 
+            // Verificar que el plan tenga cupo (con el plan completo se ofrece la lista de espera)
+            await this.listaEsperaService.asegurarCupo(plan, clienteId);
+
             // Iniciar transacción para operaciones críticas
             const session = this.db.client.startSession();
             
@@ -647,8 +1169,12 @@ class PlanEntrenamientoService {
                     // Asociar plan al cliente
                     await this.clienteRepository.addPlanToClient(clienteId, planId);
 
+                    // Si venía de la lista de espera, su turno queda cerrado
+                    const desdeListaEspera = await this.listaEsperaService.registrarInscripcion(planId, clienteId, { session });
+
                     resultado = {
                         success: true,
+                        desdeListaEspera,
                         mensaje: 'Cliente asociado al plan exitosamente'
                     };
                 });
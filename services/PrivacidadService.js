@@ -0,0 +1,480 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, servicios y utilidades para la exportación y anonimización de datos personales
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const fs = require('fs'); // Escritura de archivos de exportación
+const path = require('path'); // Construcción de rutas
+const zlib = require('zlib'); // Compresión de las entradas del archivo ZIP
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+const { GrupoRepository } = require('../repositories'); // Repositorio de grupos (pagadores)
+const ClienteIntegradoService = require('./ClienteIntegradoService'); // Vista integrada del cliente
+const ListaEsperaService = require('./ListaEsperaService'); // Promoción de la lista de espera al liberar cupos
+
+// Colecciones que guardan documentos propios del cliente en el campo clienteId
+const COLECCIONES_CLIENTE = ['contratos', 'pagos', 'finanzas', 'seguimientos', 'nutricion', 'asistencias', 'interacciones', 'prospectos', 'sesiones_entrenamiento', 'lista_espera'];
+
+// Texto que reemplaza los datos personales en los registros que se conservan
+const TEXTO_ANONIMO = 'Cliente anonimizado';
+
+/**
+ * Servicio de Privacidad
+ * Atiende el derecho de acceso (exportación de todos los datos de un cliente en JSON o ZIP)
+ * y el derecho de supresión mediante anonimización: elimina los datos personales y de salud
+ * pero conserva contratos, pagos y movimientos financieros para que los totales contables no cambien
+ *
+ * PATRÓN: Service Layer - Orquesta la lectura y depuración de todas las colecciones del cliente
+ * PATRÓN: Transaction - La anonimización se ejecuta en una transacción
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de los datos personales
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: Este servicio SÍ maneja transacciones en la anonimización de clientes
+ */
+class PrivacidadService {
+    /**
+     * Constructor del servicio de privacidad
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de grupos
+        this.grupoRepository = new GrupoRepository(db);
+        this.listaEsperaService = new ListaEsperaService(db);
+        // PATRÓN: Service Layer - Reutiliza la vista integrada del cliente
+        this.clienteIntegradoService = new ClienteIntegradoService(db);
+        this.directorioExportacion = path.join(process.cwd(), 'exports');
+    }
+
+    /**
+     * Reúne todos los datos de un cliente y los guarda en un archivo bajo exports/
+     * @param {string} clienteId - ID del cliente
+     * @param {Object} opciones - Opciones de exportación
+     * @param {string} [opciones.formato='json'] - 'json' (un archivo) o 'zip' (un JSON por colección)
+     * @returns {Promise<Object>} Ruta del archivo generado y cantidad de documentos por colección
+     *
+     * PATRÓN: Aggregator - Combina el resumen integrado con los documentos completos de cada colección
+     * NOTA: Incluye los documentos que están en la papelera; también son datos del cliente
+     */
+    async exportarDatosCliente(clienteId, opciones = {}) {
+        try {
+            const { formato = 'json' } = opciones;
+            if (!['json', 'zip'].includes(formato)) {
+                throw new Error('Formato debe ser json o zip');
+            }
+
+            const datos = await this.recopilarDatosCliente(clienteId);
+
+            // ===== ESCRITURA DEL ARCHIVO =====
+            if (!fs.existsSync(this.directorioExportacion)) {
+                fs.mkdirSync(this.directorioExportacion, { recursive: true });
+            }
+            const nombreBase = `datos_cliente_${clienteId}_${dayjs().format('YYYY-MM-DD_HH-mm-ss')}`;
+            let rutaArchivo;
+
+            if (formato === 'zip') {
+                const entradas = [{ nombre: 'resumen.json', contenido: this.serializar(datos.resumen) }];
+                entradas.push({ nombre: 'cliente.json', contenido: this.serializar(datos.cliente) });
+                Object.entries(datos.colecciones).forEach(([coleccion, documentos]) => {
+                    entradas.push({ nombre: `${coleccion}.json`, contenido: this.serializar(documentos) });
+                });
+                entradas.push({ nombre: 'fotos.json', contenido: this.serializar(datos.fotos) });
+
+                rutaArchivo = path.join(this.directorioExportacion, `${nombreBase}.zip`);
+                fs.writeFileSync(rutaArchivo, crearZip(entradas));
+            } else {
+                rutaArchivo = path.join(this.directorioExportacion, `${nombreBase}.json`);
+                fs.writeFileSync(rutaArchivo, this.serializar(datos), 'utf8');
+            }
+
+            const documentos = {};
+            Object.entries(datos.colecciones).forEach(([coleccion, lista]) => {
+                documentos[coleccion] = lista.length;
+            });
+
+            return {
+                success: true,
+                data: {
+                    archivo: rutaArchivo,
+                    formato,
+                    documentos,
+                    fotos: datos.fotos.length
+                },
+                mensaje: `Datos de ${datos.resumen.cliente.nombreCompleto} exportados a ${path.basename(rutaArchivo)}`
+            };
+        } catch (error) {
+            throw new Error(`Error al exportar datos del cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Elimina los datos personales de un cliente conservando sus registros financieros
+     * @param {string} clienteId - ID del cliente
+     * @param {Object} datosAnonimizacion - Datos de auditoría
+     * @param {string} [datosAnonimizacion.motivo] - Motivo de la anonimización
+     * @returns {Promise<Object>} Resultado con los documentos afectados y las fotos a borrar
+     *
+     * PATRÓN: Unit of Work - Depura todas las colecciones como una unidad
+     * PATRÓN: Guard Clause - No se anonimizan clientes con contratos vigentes o congelados ni pagadores de grupos
+     *
+     * TRANSACCIONES: Este método implementa transacciones explícitas para garantizar consistencia
+     * OPERACIONES EN TRANSACCIÓN: Reemplazo de datos del cliente, eliminación de seguimientos,
+     * planes nutricionales e interacciones, depuración del prospecto de origen, limpieza de observaciones de asistencias, depuración de descripciones
+     * en pagos y finanzas, salida de los grupos
+     */
+    async anonimizarCliente(clienteId, datosAnonimizacion = {}) {
+        try {
+            // ===== VALIDACIONES =====
+            if (!clienteId || !ObjectId.isValid(clienteId)) {
+                throw new Error('ID del cliente no es válido');
+            }
+            const id = new ObjectId(clienteId);
+            const clienteDoc = await this.db.collection('clientes').findOne({ _id: id });
+            if (!clienteDoc) {
+                throw new Error('Cliente no encontrado');
+            }
+            if (clienteDoc.anonimizacion) {
+                throw new Error('El cliente ya fue anonimizado');
+            }
+
+            const filtroCliente = { clienteId: { $in: [id, id.toString()] } };
+            // Un contrato congelado sigue activo: se reanuda y vuelve a vigente
+            const vigentes = await this.db.collection('contratos').countDocuments({ ...filtroCliente, estado: { $in: ['vigente', 'suspendido'] } });
+            if (vigentes > 0) {
+                throw new Error(`El cliente tiene ${vigentes} contrato(s) vigente(s) o congelado(s); cancélelos o espere a que finalicen`);
+            }
+            const gruposPagador = await this.grupoRepository.getAll({ pagadorId: id });
+            if (gruposPagador.length > 0) {
+                throw new Error(`El cliente es pagador del grupo "${gruposPagador[0].nombre}"; asigne otro pagador antes de anonimizar`);
+            }
+
+            // Fotos de seguimiento: se eliminan los registros y se informan las rutas para borrar los archivos
+            const seguimientos = await this.db.collection('seguimientos').find(filtroCliente).toArray();
+            const fotos = seguimientos.flatMap(seguimiento => seguimiento.fotos || []);
+
+            const nombreCompleto = `${clienteDoc.nombre} ${clienteDoc.apellido}`;
+            const patronDatosPersonales = this.crearPatronDatosPersonales(clienteDoc);
+
+            // ===== INICIO DE TRANSACCIÓN =====
+            // PATRÓN: Transaction - Manejo de transacciones para operaciones críticas
+            // Planes en los que el cliente tenía un cupo reservado de la lista de espera
+            const planesConReserva = await this.db.collection('lista_espera').distinct('planId', { ...filtroCliente, estado: 'promovido' });
+
+            const session = this.db.client.startSession();
+
+            try {
+                let resultado;
+
+                await session.withTransaction(async () => {
+                    const afectados = {};
+
+                    // ===== OPERACIÓN 1: REEMPLAZAR DATOS DEL CLIENTE =====
+                    // El email sigue siendo único porque incluye el ID del cliente
+                    await this.db.collection('clientes').updateOne(
+                        { _id: id },
+                        {
+                            $set: {
+                                nombre: 'Cliente',
+                                apellido: `Anónimo ${id.toString().slice(-6)}`,
+                                email: `anonimo.${id.toString()}@anonimizado.local`,
+                                telefono: '0000000000',
+                                activo: false,
+                                perfilSalud: null,
+                                clientesFusionados: (clienteDoc.clientesFusionados || []).map(fusion => ({
+                                    clienteId: fusion.clienteId,
+                                    fechaFusion: fusion.fechaFusion
+                                })),
+                                anonimizacion: {
+                                    fecha: new Date(),
+                                    motivo: datosAnonimizacion.motivo || null
+                                }
+                            }
+                        },
+                        { session }
+                    );
+
+                    // ===== OPERACIÓN 2: ELIMINAR DATOS FÍSICOS Y DE SALUD =====
+                    const seguimientosEliminados = await this.db.collection('seguimientos').deleteMany(filtroCliente, { session });
+                    afectados.seguimientosEliminados = seguimientosEliminados.deletedCount;
+                    const nutricionEliminada = await this.db.collection('nutricion').deleteMany(filtroCliente, { session });
+                    afectados.planesNutricionalesEliminados = nutricionEliminada.deletedCount;
+                    // Las notas de contacto describen al cliente en texto libre
+                    const interaccionesEliminadas = await this.db.collection('interacciones').deleteMany(filtroCliente, { session });
+                    afectados.interaccionesEliminadas = interaccionesEliminadas.deletedCount;
+                    // El prospecto del que provino se conserva para el embudo, sin datos de contacto ni notas
+                    const prospectos = await this.db.collection('prospectos').updateMany(
+                        filtroCliente,
+                        {
+                            $set: {
+                                nombre: 'Cliente',
+                                apellido: `Anónimo ${id.toString().slice(-6)}`,
+                                email: '',
+                                telefono: '',
+                                interes: '',
+                                motivoPerdida: '',
+                                'historial.$[].nota': ''
+                            }
+                        },
+                        { session }
+                    );
+                    afectados.prospectosDepurados = prospectos.modifiedCount;
+                    // Las sesiones de entrenamiento se conservan sin las notas en texto libre
+                    const sesiones = await this.db.collection('sesiones_entrenamiento').updateMany(
+                        { ...filtroCliente, notas: { $nin: ['', null] } },
+                        { $set: { notas: '' } },
+                        { session }
+                    );
+                    afectados.sesionesDepuradas = sesiones.modifiedCount;
+                    // El cliente deja las listas de espera y sus turnos se conservan sin notas
+                    const turnos = await this.db.collection('lista_espera').updateMany(
+                        { ...filtroCliente, estado: { $in: ['esperando', 'promovido'] } },
+                        { $set: { estado: 'retirado', fechaResolucion: new Date() } },
+                        { session }
+                    );
+                    await this.db.collection('lista_espera').updateMany(
+                        { ...filtroCliente, notas: { $nin: ['', null] } },
+                        { $set: { notas: '' } },
+                        { session }
+                    );
+                    afectados.turnosEsperaCerrados = turnos.modifiedCount;
+
+                    // ===== OPERACIÓN 3: LIMPIAR OBSERVACIONES DE ASISTENCIA =====
+                    const asistencias = await this.db.collection('asistencias').updateMany(
+                        { ...filtroCliente, observaciones: { $nin: ['', null] } },
+                        { $set: { observaciones: '' } },
+                        { session }
+                    );
+                    afectados.asistenciasDepuradas = asistencias.modifiedCount;
+
+                    // ===== OPERACIÓN 4: DEPURAR TEXTOS DE REGISTROS FINANCIEROS =====
+                    // Montos, fechas y vínculos se conservan; solo se reemplazan nombre, email y teléfono
+                    afectados.pagosDepurados = await this.depurarTextos('pagos', ['notas', 'referencia'], patronDatosPersonales, session);
+                    afectados.finanzasDepuradas = await this.depurarTextos('finanzas', ['descripcion'], patronDatosPersonales, session);
+
+                    // ===== OPERACIÓN 5: SALIR DE LOS GRUPOS =====
+                    const grupos = await this.db.collection('grupos').updateMany(
+                        { miembros: id },
+                        { $pull: { miembros: id } },
+                        { session }
+                    );
+                    afectados.gruposAbandonados = grupos.modifiedCount;
+
+                    resultado = {
+                        success: true,
+                        clienteId: id,
+                        data: {
+                            afectados,
+                            fotos
+                        },
+                        mensaje: `${nombreCompleto} anonimizado; se conservaron sus contratos y pagos`
+                    };
+                });
+
+                // Los cupos que tenía reservados pasan al siguiente en espera
+                for (const planId of planesConReserva) {
+                    await this.listaEsperaService.liberarCupo(planId, 'Cupo liberado por un cliente anonimizado');
+                }
+
+                return resultado;
+            } finally {
+                // ===== FIN DE TRANSACCIÓN =====
+                await session.endSession();
+            }
+        } catch (error) {
+            throw new Error(`Error al anonimizar cliente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lee todos los documentos del cliente
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Object>} Resumen integrado, documento del cliente, colecciones y rutas de fotos
+     * @private
+     */
+    async recopilarDatosCliente(clienteId) {
+        if (!clienteId || !ObjectId.isValid(clienteId)) {
+            throw new Error('ID del cliente no es válido');
+        }
+        const id = new ObjectId(clienteId);
+
+        const cliente = await this.db.collection('clientes').findOne({ _id: id });
+        if (!cliente) {
+            throw new Error('Cliente no encontrado');
+        }
+
+        const resumen = await this.clienteIntegradoService.obtenerClienteCompleto(clienteId);
+
+        // Algunas colecciones pueden guardar el ID como string
+        const filtroCliente = { clienteId: { $in: [id, id.toString()] } };
+        const colecciones = {};
+        for (const coleccion of COLECCIONES_CLIENTE) {
+            colecciones[coleccion] = await this.db.collection(coleccion).find(filtroCliente).toArray();
+        }
+        colecciones.referidos = await this.db.collection('referidos')
+            .find({ $or: [{ referidorId: id }, { referidoClienteId: id }] })
+            .toArray();
+        colecciones.grupos = await this.db.collection('grupos').find({ miembros: id }).toArray();
+
+        const fotos = colecciones.seguimientos.flatMap(seguimiento =>
+            (seguimiento.fotos || []).map(foto => ({
+                seguimientoId: seguimiento._id,
+                fecha: seguimiento.fecha,
+                ruta: foto
+            }))
+        );
+
+        return {
+            fechaExportacion: new Date(),
+            resumen,
+            cliente,
+            colecciones,
+            fotos
+        };
+    }
+
+    /**
+     * Reemplaza los datos personales del cliente en campos de texto de una colección
+     * @param {string} coleccion - Nombre de la colección
+     * @param {string[]} campos - Campos de texto a depurar
+     * @param {RegExp} patron - Patrón con nombre, email y teléfono del cliente
+     * @param {ClientSession} session - Sesión de la transacción
+     * @returns {Promise<number>} Cantidad de documentos modificados
+     * @private
+     *
+     * NOTA: Se revisan todos los documentos y no solo los del cliente, porque los pagos
+     * de grupo quedan a nombre del pagador pero mencionan al miembro en la descripción
+     */
+    async depurarTextos(coleccion, campos, patron, session) {
+        const filtro = { $or: campos.map(campo => ({ [campo]: { $regex: patron } })) };
+        const documentos = await this.db.collection(coleccion).find(filtro, { session }).toArray();
+
+        for (const documento of documentos) {
+            const cambios = {};
+            campos.forEach(campo => {
+                if (typeof documento[campo] === 'string') {
+                    cambios[campo] = documento[campo].replace(new RegExp(patron.source, 'gi'), TEXTO_ANONIMO);
+                }
+            });
+            await this.db.collection(coleccion).updateOne({ _id: documento._id }, { $set: cambios }, { session });
+        }
+        return documentos.length;
+    }
+
+    /**
+     * Construye el patrón que reconoce el nombre, el email y el teléfono del cliente
+     * @param {Object} clienteDoc - Documento del cliente
+     * @returns {RegExp} Patrón insensible a mayúsculas
+     * @private
+     */
+    crearPatronDatosPersonales(clienteDoc) {
+        const escapar = texto => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const valores = [
+            `${clienteDoc.nombre} ${clienteDoc.apellido}`,
+            clienteDoc.email,
+            clienteDoc.telefono
+        ].filter(valor => typeof valor === 'string' && valor.trim().length > 0);
+        return new RegExp(valores.map(valor => escapar(valor.trim())).join('|'), 'i');
+    }
+
+    /**
+     * Convierte datos a JSON legible (ObjectId y fechas se serializan como texto)
+     * @param {*} datos - Datos a serializar
+     * @returns {string} JSON con sangría
+     * @private
+     */
+    serializar(datos) {
+        return JSON.stringify(datos, null, 2);
+    }
+}
+
+// ===== ARCHIVO ZIP =====
+// Escritor mínimo de ZIP (deflate + directorio central) para no agregar dependencias
+
+const TABLA_CRC32 = (() => {
+    const tabla = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        tabla[n] = c >>> 0;
+    }
+    return tabla;
+})();
+
+/**
+ * Calcula el CRC-32 de un buffer
+ * @param {Buffer} buffer - Contenido
+ * @returns {number} CRC-32 sin signo
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = TABLA_CRC32[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Genera un archivo ZIP en memoria
+ * @param {Array<{nombre: string, contenido: string}>} entradas - Archivos a incluir
+ * @returns {Buffer} Contenido del ZIP
+ */
+function crearZip(entradas) {
+    const ahora = new Date();
+    const horaDos = (ahora.getHours() << 11) | (ahora.getMinutes() << 5) | Math.floor(ahora.getSeconds() / 2);
+    const fechaDos = ((ahora.getFullYear() - 1980) << 9) | ((ahora.getMonth() + 1) << 5) | ahora.getDate();
+
+    const locales = [];
+    const centrales = [];
+    let desplazamiento = 0;
+
+    entradas.forEach(entrada => {
+        const nombre = Buffer.from(entrada.nombre, 'utf8');
+        const datos = Buffer.from(entrada.contenido, 'utf8');
+        const comprimido = zlib.deflateRawSync(datos);
+        const crc = crc32(datos);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // Versión necesaria
+        local.writeUInt16LE(0x0800, 6); // Nombres en UTF-8
+        local.writeUInt16LE(8, 8); // Deflate
+        local.writeUInt16LE(horaDos, 10);
+        local.writeUInt16LE(fechaDos, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(comprimido.length, 18);
+        local.writeUInt32LE(datos.length, 22);
+        local.writeUInt16LE(nombre.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // Versión que lo creó
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(horaDos, 12);
+        central.writeUInt16LE(fechaDos, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(comprimido.length, 20);
+        central.writeUInt32LE(datos.length, 24);
+        central.writeUInt16LE(nombre.length, 28);
+        central.writeUInt32LE(desplazamiento, 42);
+
+        locales.push(local, nombre, comprimido);
+        centrales.push(central, nombre);
+        desplazamiento += local.length + nombre.length + comprimido.length;
+    });
+
+    const directorio = Buffer.concat(centrales);
+    const fin = Buffer.alloc(22);
+    fin.writeUInt32LE(0x06054b50, 0);
+    fin.writeUInt16LE(entradas.length, 8);
+    fin.writeUInt16LE(entradas.length, 10);
+    fin.writeUInt32LE(directorio.length, 12);
+    fin.writeUInt32LE(desplazamiento, 16);
+
+    return Buffer.concat([...locales, directorio, fin]);
+}
+
+module.exports = PrivacidadService;
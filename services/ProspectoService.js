@@ -0,0 +1,290 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, servicios y configuración para el embudo de prospectos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ProspectoRepository, ClienteRepository } = require('../repositories');
+const { Prospecto } = require('../models'); // Modelo de dominio Prospecto
+const ClienteService = require('./ClienteService'); // Alta del cliente al convertir
+const ContratoService = require('./ContratoService'); // Primer contrato opcional al convertir
+const config = require('../config'); // Configuración central (días del pase de prueba)
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Prospectos
+ * Gestiona a las personas interesadas antes de que sean clientes: su avance por el embudo
+ * (nuevo, contactado, prueba, convertido, perdido), los pases de prueba y la conversión
+ * en cliente con un primer contrato opcional
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio del embudo de ventas
+ * PATRÓN: State - Las transiciones permitidas las define el modelo Prospecto
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de los prospectos
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios y servicios)
+ *
+ * NOTA: La conversión reutiliza ClienteService.crearCliente y ContratoService.crearContrato,
+ * que aplican sus propias validaciones y transacciones
+ */
+class ProspectoService {
+    /**
+     * Constructor del servicio de prospectos
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de prospectos y clientes
+        this.prospectoRepository = new ProspectoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        // PATRÓN: Service Layer - Reutiliza el alta de clientes y contratos
+        this.clienteService = new ClienteService(db);
+        this.contratoService = new ContratoService(db);
+    }
+
+    /**
+     * Registra un nuevo prospecto
+     * @param {Object} datos - nombre, apellido, email, telefono, origen, interes
+     * @returns {Promise<Object>} Resultado con el prospecto creado
+     *
+     * PATRÓN: Guard Clause - No se registra como prospecto a quien ya es cliente
+     */
+    async registrarProspecto(datos) {
+        try {
+            const prospecto = new Prospecto({
+                nombre: datos.nombre,
+                apellido: datos.apellido,
+                email: datos.email,
+                telefono: datos.telefono,
+                origen: datos.origen,
+                interes: datos.interes
+            });
+
+            if (prospecto.email) {
+                const cliente = await this.clienteRepository.getByEmail(prospecto.email);
+                if (cliente) {
+                    throw new Error(`${cliente.getNombreCompleto()} ya es cliente con el email ${prospecto.email}`);
+                }
+            }
+
+            const prospectoId = await this.prospectoRepository.create(prospecto);
+
+            return {
+                success: true,
+                prospectoId,
+                data: prospecto.getResumen(),
+                mensaje: `Prospecto ${prospecto.getNombreCompleto()} registrado`
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar prospecto: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lista los prospectos
+     * @param {Object} filtros - Filtros opcionales (estado, origen)
+     * @returns {Promise<Object>} Prospectos más recientes primero
+     */
+    async listarProspectos(filtros = {}) {
+        try {
+            const filtro = {};
+            if (filtros.estado) {
+                filtro.estado = filtros.estado;
+            }
+            if (filtros.origen) {
+                filtro.origen = filtros.origen;
+            }
+
+            const prospectos = await this.prospectoRepository.getAll(filtro);
+            return {
+                success: true,
+                data: prospectos.map(prospecto => prospecto.getResumen()),
+                total: prospectos.length
+            };
+        } catch (error) {
+            throw new Error(`Error al listar prospectos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un prospecto con su historial
+     * @param {string} prospectoId - ID del prospecto
+     * @returns {Promise<Object>} Resumen del prospecto
+     */
+    async obtenerProspecto(prospectoId) {
+        try {
+            const prospecto = await this.obtenerProspectoExistente(prospectoId);
+            return {
+                success: true,
+                data: prospecto.getResumen()
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener prospecto: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra un contacto con el prospecto o lo reactiva si estaba perdido
+     * @param {string} prospectoId - ID del prospecto
+     * @param {string} nota - Resumen del contacto
+     * @returns {Promise<Object>} Resultado con el prospecto actualizado
+     */
+    async registrarContacto(prospectoId, nota = '') {
+        try {
+            const prospecto = await this.obtenerProspectoExistente(prospectoId);
+            prospecto.cambiarEstado('contactado', nota);
+            await this.guardarEstado(prospecto);
+
+            return {
+                success: true,
+                data: prospecto.getResumen(),
+                mensaje: `${prospecto.getNombreCompleto()} marcado como contactado`
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar contacto: ${error.message}`);
+        }
+    }
+
+    /**
+     * Otorga un pase de prueba al prospecto
+     * @param {string} prospectoId - ID del prospecto
+     * @param {number} [dias] - Días de validez (por defecto PROSPECTOS_DIAS_PRUEBA)
+     * @param {Date} [fechaInicio] - Primer día del pase (por defecto hoy)
+     * @returns {Promise<Object>} Resultado con las fechas del pase
+     */
+    async otorgarPasePrueba(prospectoId, dias = config.prospectos.diasPrueba, fechaInicio = new Date()) {
+        try {
+            const prospecto = await this.obtenerProspectoExistente(prospectoId);
+            prospecto.otorgarPrueba(dias, fechaInicio);
+            await this.guardarEstado(prospecto);
+
+            return {
+                success: true,
+                data: prospecto.getResumen(),
+                mensaje: `Pase de prueba de ${dias} día(s) otorgado a ${prospecto.getNombreCompleto()}`
+            };
+        } catch (error) {
+            throw new Error(`Error al otorgar pase de prueba: ${error.message}`);
+        }
+    }
+
+    /**
+     * Marca el prospecto como perdido
+     * @param {string} prospectoId - ID del prospecto
+     * @param {string} motivo - Motivo por el que no se convirtió
+     * @returns {Promise<Object>} Resultado con el prospecto actualizado
+     */
+    async marcarPerdido(prospectoId, motivo = '') {
+        try {
+            const prospecto = await this.obtenerProspectoExistente(prospectoId);
+            prospecto.marcarPerdido(motivo);
+            await this.guardarEstado(prospecto);
+
+            return {
+                success: true,
+                data: prospecto.getResumen(),
+                mensaje: `${prospecto.getNombreCompleto()} marcado como perdido`
+            };
+        } catch (error) {
+            throw new Error(`Error al marcar prospecto como perdido: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convierte el prospecto en cliente y, opcionalmente, crea su primer contrato
+     * @param {string} prospectoId - ID del prospecto
+     * @param {Object} datosCliente - Datos que faltan o corrigen al prospecto (email, telefono, referidoPor)
+     * @param {Object|null} datosContrato - planId, duracionMeses, precio, condiciones, registrarPago
+     * @returns {Promise<Object>} Resultado con el cliente, el contrato (si se creó) y advertencias
+     *
+     * PATRÓN: Facade - Encadena el alta del cliente, el vínculo del prospecto y el contrato
+     * NOTA: Si el contrato falla el cliente ya quedó creado y vinculado; se informa como advertencia
+     */
+    async convertirEnCliente(prospectoId, datosCliente = {}, datosContrato = null) {
+        try {
+            const prospecto = await this.obtenerProspectoExistente(prospectoId);
+            const permitidos = Prospecto.TRANSICIONES[prospecto.estado] || [];
+            if (!permitidos.includes('convertido')) {
+                throw new Error(`Un prospecto en estado "${prospecto.estado}" no puede convertirse`);
+            }
+
+            // ===== ALTA DEL CLIENTE =====
+            // PATRÓN: Service Layer - ClienteService valida email único, formato y referidos
+            const resultadoCliente = await this.clienteService.crearCliente({
+                nombre: prospecto.nombre,
+                apellido: prospecto.apellido,
+                email: datosCliente.email || prospecto.email,
+                telefono: datosCliente.telefono || prospecto.telefono,
+                ...(datosCliente.referidoPor ? { referidoPor: datosCliente.referidoPor } : {})
+            });
+            const clienteId = resultadoCliente.clienteId;
+
+            // ===== VÍNCULO DEL PROSPECTO =====
+            // BUENA PRÁCTICA: El prospecto se conserva con su historial y apunta al cliente creado
+            prospecto.marcarConvertido(clienteId);
+            await this.guardarEstado(prospecto);
+
+            // ===== PRIMER CONTRATO OPCIONAL =====
+            let contrato = null;
+            const advertencias = [];
+            if (datosContrato) {
+                try {
+                    const fechaInicio = new Date();
+                    contrato = await this.contratoService.crearContrato({
+                        clienteId,
+                        planId: datosContrato.planId,
+                        condiciones: datosContrato.condiciones || `Contrato inicial (prospecto desde ${prospecto.origen})`,
+                        duracionMeses: datosContrato.duracionMeses,
+                        precio: datosContrato.precio,
+                        fechaInicio,
+                        fechaFin: dayjs(fechaInicio).add(datosContrato.duracionMeses, 'month').toDate(),
+                        registrarPago: datosContrato.registrarPago === true
+                    });
+                } catch (error) {
+                    advertencias.push(`El cliente fue creado pero el contrato no: ${error.message}`);
+                }
+            }
+
+            return {
+                success: true,
+                clienteId,
+                contrato,
+                advertencias,
+                data: prospecto.getResumen(),
+                mensaje: `${prospecto.getNombreCompleto()} convertido en cliente`
+            };
+        } catch (error) {
+            throw new Error(`Error al convertir prospecto: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un prospecto existente
+     * @param {string} prospectoId - ID del prospecto
+     * @returns {Promise<Prospecto>} Prospecto encontrado
+     * @private
+     */
+    async obtenerProspectoExistente(prospectoId) {
+        const prospecto = await this.prospectoRepository.getById(prospectoId);
+        if (!prospecto) {
+            throw new Error('Prospecto no encontrado');
+        }
+        return prospecto;
+    }
+
+    /**
+     * Persiste el estado, el historial y los datos de prueba/conversión del prospecto
+     * @param {Prospecto} prospecto - Prospecto modificado
+     * @returns {Promise<boolean>} True si se actualizó
+     * @private
+     */
+    async guardarEstado(prospecto) {
+        return await this.prospectoRepository.update(prospecto.prospectoId, {
+            estado: prospecto.estado,
+            historial: prospecto.historial,
+            pruebaInicio: prospecto.pruebaInicio,
+            pruebaFin: prospecto.pruebaFin,
+            clienteId: prospecto.clienteId,
+            fechaConversion: prospecto.fechaConversion,
+            motivoPerdida: prospecto.motivoPerdida
+        });
+    }
+}
+
+module.exports = ProspectoService;
@@ -0,0 +1,178 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, modelos y configuración para el programa de referidos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para validación de IDs de MongoDB
+const { ReferidoRepository, ClienteRepository, ContratoRepository } = require('../repositories');
+const { Referido } = require('../models'); // Modelo de dominio Referido
+const config = require('../config'); // Configuración central (monto del crédito por referido)
+
+/**
+ * Servicio de Referidos
+ * Registra qué cliente refirió a quién, otorga el crédito configurado cuando el primer
+ * contrato del referido queda vigente y consume ese crédito en los pagos de quien refirió
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio del programa de referidos
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de referencias y créditos
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: acreditarPorPrimerContrato y redimirCredito aceptan una sesión para participar
+ * en las transacciones de ContratoService, PlanClienteService y FinanzasService
+ */
+class ReferidoService {
+    /**
+     * Constructor del servicio de referidos
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de referidos, clientes y contratos
+        this.referidoRepository = new ReferidoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        this.contratoRepository = new ContratoRepository(db);
+    }
+
+    /**
+     * Registra que un cliente fue referido por otro
+     * @param {string} referidorId - ID del cliente que refiere
+     * @param {string} referidoClienteId - ID del cliente referido
+     * @returns {Promise<Object>} Resultado con la referencia creada
+     *
+     * PATRÓN: Guard Clause - Solo se puede referir a clientes nuevos (sin contratos)
+     */
+    async registrarReferido(referidorId, referidoClienteId) {
+        try {
+            const referidor = await this.obtenerClienteValido(referidorId);
+            const referido = await this.obtenerClienteValido(referidoClienteId);
+
+            if (referidor.clienteId.toString() === referido.clienteId.toString()) {
+                throw new Error('Un cliente no puede referirse a sí mismo');
+            }
+            if (referido.referidoPor) {
+                throw new Error(`${referido.getNombreCompleto()} ya tiene un cliente que lo refirió`);
+            }
+            // PATRÓN: Guard Clause - Evita referencias cruzadas entre los mismos clientes
+            if (referidor.referidoPor && referidor.referidoPor.toString() === referido.clienteId.toString()) {
+                throw new Error(`${referido.getNombreCompleto()} refirió a ${referidor.getNombreCompleto()}; la referencia no puede ser mutua`);
+            }
+
+            const contratos = await this.contratoRepository.getByClient(referido.clienteId);
+            if (contratos.length > 0) {
+                throw new Error(`${referido.getNombreCompleto()} ya tiene contratos y no puede registrarse como referido`);
+            }
+
+            const referencia = new Referido({
+                referidorId: referidor.clienteId,
+                referidoClienteId: referido.clienteId
+            });
+
+            const referidoId = await this.referidoRepository.create(referencia);
+            await this.clienteRepository.update(referido.clienteId, { referidoPor: referidor.clienteId });
+
+            return {
+                success: true,
+                referidoId,
+                data: referencia.getResumen(),
+                mensaje: `${referido.getNombreCompleto()} registrado como referido de ${referidor.getNombreCompleto()}`
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar referido: ${error.message}`);
+        }
+    }
+
+    /**
+     * Otorga el crédito al cliente que refirió cuando el referido obtiene su primer contrato vigente
+     * @param {string|ObjectId} clienteId - ID del cliente referido
+     * @param {string|ObjectId} contratoId - ID del contrato vigente recién creado
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<Object|null>} Crédito otorgado o null si no corresponde
+     *
+     * NOTA: Es idempotente; una referencia ya acreditada no vuelve a generar crédito
+     */
+    async acreditarPorPrimerContrato(clienteId, contratoId, options = {}) {
+        const referencia = await this.referidoRepository.getByReferido(clienteId, options);
+        if (!referencia || referencia.estaAcreditado()) {
+            return null;
+        }
+
+        referencia.acreditar(config.referidos.montoCredito, new ObjectId(contratoId));
+        await this.referidoRepository.update(referencia.referidoId, {
+            estado: referencia.estado,
+            montoCredito: referencia.montoCredito,
+            fechaAcreditacion: referencia.fechaAcreditacion,
+            contratoId: referencia.contratoId
+        }, options);
+
+        return {
+            referidorId: referencia.referidorId,
+            montoCredito: referencia.montoCredito
+        };
+    }
+
+    /**
+     * Obtiene el crédito disponible de un cliente por sus referidos
+     * @param {string|ObjectId} clienteId - ID del cliente que refirió
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<number>} Crédito disponible
+     */
+    async obtenerCreditoDisponible(clienteId, options = {}) {
+        const referencias = await this.referidoRepository.getConCreditoDisponible(clienteId, options);
+        const total = referencias.reduce((suma, referencia) => suma + referencia.getCreditoDisponible(), 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Consume crédito de referidos para un pago, empezando por el más antiguo
+     * @param {string|ObjectId} clienteId - ID del cliente que refirió
+     * @param {number} montoMaximo - Monto máximo a consumir
+     * @param {ObjectId} pagoId - Pago en el que se aplica el crédito
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<number>} Monto efectivamente consumido
+     *
+     * PATRÓN: FIFO - Se consume primero el crédito acreditado hace más tiempo
+     */
+    async redimirCredito(clienteId, montoMaximo, pagoId, options = {}) {
+        const referencias = await this.referidoRepository.getConCreditoDisponible(clienteId, options);
+        let restante = montoMaximo;
+
+        for (const referencia of referencias) {
+            if (restante <= 0) {
+                break;
+            }
+            const redencion = referencia.redimir(restante, pagoId);
+            if (redencion) {
+                await this.referidoRepository.update(
+                    referencia.referidoId,
+                    { redenciones: referencia.redenciones },
+                    options
+                );
+                restante = Math.round((restante - redencion.monto) * 100) / 100;
+            }
+        }
+
+        return Math.round((montoMaximo - restante) * 100) / 100;
+    }
+
+    /**
+     * Obtiene un cliente existente, activo y no eliminado
+     * @param {string} clienteId - ID del cliente
+     * @returns {Promise<Cliente>} Cliente encontrado
+     * @private
+     */
+    async obtenerClienteValido(clienteId) {
+        if (!clienteId || !ObjectId.isValid(clienteId)) {
+            throw new Error('ID del cliente no es válido');
+        }
+        // PATRÓN: Soft Delete - getAll excluye los clientes que están en la papelera
+        const [cliente] = await this.clienteRepository.getAll({ _id: new ObjectId(clienteId) }, { limit: 1 });
+        if (!cliente) {
+            throw new Error('Cliente no encontrado');
+        }
+        if (!cliente.activo) {
+            throw new Error(`${cliente.getNombreCompleto()} está inactivo`);
+        }
+        return cliente;
+    }
+}
+
+module.exports = ReferidoService;
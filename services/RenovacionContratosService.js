@@ -0,0 +1,255 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, servicios y modelos para la renovación automática de contratos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const {
+    ContratoRepository,
+    ClienteRepository,
+    PlanEntrenamientoRepository,
+    PagoRepository,
+    MantenimientoRepository
+} = require('../repositories');
+const { RegistroMantenimiento } = require('../models'); // Modelo del resumen de la ejecución
+const ContratoService = require('./ContratoService'); // Lógica de renovación (precio de catálogo, contrato nuevo y cuotas)
+const config = require('../config'); // Días de anticipación de la renovación
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Renovación Automática de Contratos
+ * Tarea de mantenimiento que renueva, unos días antes de su fecha de fin, los contratos con
+ * renovación automática: crea el contrato nuevo al precio de catálogo vigente con la
+ * misma modalidad de pago, que empieza cuando termina el anterior y deja sus cuotas como
+ * pagos pendientes. Los contratos vencidos sin renovación automática y los de clientes
+ * con pagos vencidos no se renuevan y quedan listados en el resumen para que el
+ * personal los contacte.
+ *
+ * PATRÓN: Service Layer - Orquesta la renovación de contratos vencidos
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de la renovación automática
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios y servicios)
+ *
+ * NOTA: Se ejecuta al comienzo de la tarea de vencimiento, antes de que los contratos
+ * vencidos se finalicen
+ */
+class RenovacionContratosService {
+    /**
+     * Constructor del servicio de renovación automática
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de contratos, clientes, planes, pagos y registros
+        this.contratoRepository = new ContratoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        this.pagoRepository = new PagoRepository(db);
+        this.mantenimientoRepository = new MantenimientoRepository(db);
+        // PATRÓN: Service Layer - Se reutiliza la renovación manual (incluye las cuotas del contrato nuevo)
+        this.contratoService = new ContratoService(db);
+        // Ventana de anticipación: se renueva antes de vencer para no dejar al cliente sin cobertura
+        this.diasAnticipacion = config.contratos.diasAnticipacionRenovacion;
+    }
+
+    /**
+     * Renueva los contratos con renovación automática que vencen dentro de la ventana de anticipación
+     * (o que ya vencieron) e informa los vencidos que no se renuevan
+     * @param {Object} opciones - origen de la ejecución ('inicio' o 'manual')
+     * @returns {Promise<Object>} Resultado con el registro de la ejecución (data null si no había contratos por revisar)
+     *
+     * OPERACIONES POR CONTRATO: Renovación y cuotas pendientes (transacción propia de ContratoService)
+     */
+    async procesarRenovaciones({ origen = 'manual' } = {}) {
+        try {
+            const fechaLimite = dayjs().add(this.diasAnticipacion, 'day').toDate();
+            const vencidos = await this.contratoRepository.getContractsToRenew(fechaLimite);
+            if (vencidos.length === 0) {
+                return {
+                    success: true,
+                    data: null,
+                    total: 0,
+                    mensaje: 'No hay contratos para renovar'
+                };
+            }
+
+            const cambios = [];
+            const omitidos = [];
+            const errores = [];
+
+            for (const contrato of vencidos) {
+                const item = await this.describirContrato(contrato);
+
+                // ===== CONTRATOS QUE NO SE RENUEVAN =====
+                // PATRÓN: Guard Clause - Sin renovación automática o con deuda, el caso queda para seguimiento
+                const motivo = await this.obtenerMotivoOmision(contrato);
+                if (motivo) {
+                    omitidos.push({ ...item, motivo });
+                    continue;
+                }
+
+                // PATRÓN: Circuit Breaker - Un contrato que falla se registra y no detiene al resto
+                try {
+                    cambios.push(await this.renovarContrato(contrato, item));
+                } catch (error) {
+                    errores.push({ referenciaId: contrato.contratoId, mensaje: `${item.cliente} - ${item.plan}: ${error.message}` });
+                }
+            }
+
+            const registro = this.crearRegistro(origen, cambios, omitidos, errores);
+            await this.mantenimientoRepository.create(registro);
+
+            return {
+                success: !registro.tieneErrores(),
+                data: registro.getResumen(),
+                total: registro.cambios.length,
+                mensaje: registro.resumen
+            };
+        } catch (error) {
+            throw new Error(`Error al procesar renovaciones automáticas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las últimas ejecuciones de la renovación automática
+     * @param {number} limite - Cantidad máxima de ejecuciones
+     * @returns {Promise<Object>} Resultado con los resúmenes de las ejecuciones
+     */
+    async obtenerHistorialEjecuciones(limite = 10) {
+        try {
+            const registros = await this.mantenimientoRepository.getRecientes('renovacion_contratos', limite);
+            return {
+                success: true,
+                data: registros.map(registro => registro.getResumen()),
+                total: registros.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener historial de renovaciones: ${error.message}`);
+        }
+    }
+
+    /**
+     * Renueva un contrato por la misma duración; el contrato nuevo genera sus cuotas pendientes
+     * @param {Contrato} contrato - Contrato por vencer o vencido
+     * @param {Object} item - Nombres de cliente y plan del contrato
+     * @returns {Promise<Object>} Detalle de la renovación
+     * @private
+     */
+    async renovarContrato(contrato, item) {
+        const { fechaInicio, fechaFin } = RenovacionContratosService.calcularPeriodoRenovacion(contrato);
+        const renovacion = await this.contratoService.renovarContrato(contrato.contratoId, {
+            duracionMeses: contrato.duracionMeses,
+            fechaInicio,
+            fechaFin,
+            condiciones: contrato.condiciones,
+            renovacionAutomatica: true
+        });
+
+        return {
+            ...item,
+            contratoNuevoId: renovacion.contratoId,
+            precio: renovacion.precio,
+            precioCatalogo: renovacion.precioCatalogo,
+            fechaFinNueva: dayjs(renovacion.fechaFin).format('DD/MM/YYYY'),
+            modalidadPago: renovacion.cronogramaPagos.modalidad,
+            cuotasPendientes: renovacion.cronogramaPagos.cuotas.length
+        };
+    }
+
+    /**
+     * Calcula el período del contrato renovado
+     * El contrato nuevo empieza donde termina el anterior, sin días sin cobertura; si la
+     * tarea no se ejecutó durante más de un período completo, empieza hoy
+     * @param {Contrato} contrato - Contrato a renovar
+     * @param {Date} hoy - Fecha de referencia (por defecto, hoy)
+     * @returns {Object} fechaInicio y fechaFin del contrato nuevo
+     */
+    static calcularPeriodoRenovacion(contrato, hoy = new Date()) {
+        let inicio = dayjs(contrato.fechaFin);
+        if (!inicio.add(contrato.duracionMeses, 'month').isAfter(hoy)) {
+            inicio = dayjs(hoy).startOf('day');
+        }
+        return {
+            fechaInicio: inicio.toDate(),
+            fechaFin: inicio.add(contrato.duracionMeses, 'month').toDate()
+        };
+    }
+
+    /**
+     * Determina por qué un contrato no se renueva automáticamente
+     * @param {Contrato} contrato - Contrato por vencer o vencido
+     * @returns {Promise<string|null>} Motivo de la omisión o null si se puede renovar
+     * @private
+     *
+     * BUENA PRÁCTICA: Un cobro pendiente de días anteriores (como una cuota de la renovación previa) cuenta como deuda;
+     * en los contratos facturados al pagador del grupo, la deuda que cuenta es la del pagador
+     */
+    async obtenerMotivoOmision(contrato) {
+        if (!contrato.renovacionAutomatica) {
+            return 'Sin renovación automática';
+        }
+        if (contrato.estaSuspendido()) {
+            return 'Contrato congelado: se renueva después de reanudarlo';
+        }
+
+        const pagosVencidos = await this.pagoRepository.getPagosByClient(contrato.getResponsablePagoId(), {
+            tipoMovimiento: 'ingreso',
+            estado: { $in: ['pendiente', 'retrasado'] },
+            fechaPago: { $lt: dayjs().startOf('day').toDate() }
+        });
+        if (pagosVencidos.length > 0) {
+            const deuda = pagosVencidos.reduce((total, pago) => total + pago.monto, 0);
+            return `${pagosVencidos.length} pago(s) vencido(s) por $${Math.round(deuda * 100) / 100}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Arma la descripción del contrato con nombres de cliente y plan
+     * @param {Contrato} contrato - Contrato por vencer o vencido
+     * @returns {Promise<Object>} Datos del contrato para el resumen
+     * @private
+     */
+    async describirContrato(contrato) {
+        const cliente = await this.clienteRepository.getById(contrato.clienteId);
+        const plan = await this.planRepository.getById(contrato.planId);
+        return {
+            referenciaId: contrato.contratoId,
+            clienteId: contrato.clienteId,
+            cliente: cliente ? cliente.getNombreCompleto() : 'Cliente no encontrado',
+            contacto: cliente ? (cliente.telefono || cliente.email) : null,
+            plan: plan ? plan.nombre : 'Plan no encontrado',
+            fechaFin: dayjs(contrato.fechaFin).format('DD/MM/YYYY')
+        };
+    }
+
+    /**
+     * Arma el registro de la ejecución con su resumen en texto
+     * @param {string} origen - Origen de la ejecución
+     * @param {Array} cambios - Contratos renovados
+     * @param {Array} omitidos - Contratos no renovados con su motivo
+     * @param {Array} errores - Contratos que no se pudieron renovar
+     * @returns {RegistroMantenimiento} Registro listo para guardar
+     * @private
+     */
+    crearRegistro(origen, cambios, omitidos, errores) {
+        const partes = [`${cambios.length} contrato(s) renovado(s)`];
+        if (omitidos.length > 0) {
+            partes.push(`${omitidos.length} sin renovar para seguimiento`);
+        }
+        if (errores.length > 0) {
+            partes.push(`${errores.length} con error`);
+        }
+
+        return new RegistroMantenimiento({
+            tarea: 'renovacion_contratos',
+            origen,
+            // Cada renovación se confirma en su propia transacción
+            transaccional: false,
+            cambios,
+            omitidos,
+            errores,
+            resumen: partes.join(', ')
+        });
+    }
+}
+
+module.exports = RenovacionContratosService;
@@ -9,6 +9,9 @@ const { NutricionRepository } = require('../repositories'); // Repositorio para
 const { ContratoRepository } = require('../repositories'); // Repositorio para operaciones CRUD de contratos
 const { FinanzasRepository } = require('../repositories'); // Repositorio para operaciones CRUD de finanzas
 const { PagoRepository } = require('../repositories'); // Repositorio para operaciones CRUD de pagos
+const { ReferidoRepository } = require('../repositories'); // Repositorio para el programa de referidos
+const { ProspectoRepository } = require('../repositories'); // Repositorio para el embudo de prospectos
+const config = require('../config'); // Configuración central (monto del crédito por referido)
 const dayjs = require('dayjs'); // Utilidad para manejo de fechas y tiempo
 
 /**
@@ -61,6 +64,12 @@ class ReportesService {
         // PATRÓN: Repository - Abstrae el acceso a datos de pagos
         // PRINCIPIO SOLID D: Depende de abstracción PagoRepository
         this.pagoRepository = new PagoRepository(db);
+        // PATRÓN: Repository - Abstrae el acceso a datos de referidos
+        // PRINCIPIO SOLID D: Depende de abstracción ReferidoRepository
+        this.referidoRepository = new ReferidoRepository(db);
+        // PATRÓN: Repository - Abstrae el acceso a datos de prospectos
+        // PRINCIPIO SOLID D: Depende de abstracción ProspectoRepository
+        this.prospectoRepository = new ProspectoRepository(db);
     }
 
     /**
@@ -513,10 +522,41 @@ class ReportesService {
                     duracionDias,
                     diasRestantes,
                     precio: contrato.precio,
+                    precioCatalogo: contrato.precioCatalogo ?? null,
                     motivoCancelacion: contrato.motivoCancelacion
                 };
             }));
 
+            // Ingresos a precio de lista vs precio real (solo contratos cotizados con el catálogo)
+            const redondear = valor => Math.round(valor * 100) / 100;
+            const conCatalogo = contratosDetallados.filter(contrato => contrato.precioCatalogo !== null);
+            const porPlan = {};
+            conCatalogo.forEach(contrato => {
+                if (!porPlan[contrato.plan]) {
+                    porPlan[contrato.plan] = { contratos: 0, totalCatalogo: 0, totalReal: 0 };
+                }
+                porPlan[contrato.plan].contratos++;
+                porPlan[contrato.plan].totalCatalogo += contrato.precioCatalogo;
+                porPlan[contrato.plan].totalReal += contrato.precio;
+            });
+            Object.values(porPlan).forEach(plan => {
+                plan.totalCatalogo = redondear(plan.totalCatalogo);
+                plan.totalReal = redondear(plan.totalReal);
+                plan.diferencia = redondear(plan.totalReal - plan.totalCatalogo);
+            });
+
+            const totalCatalogo = redondear(conCatalogo.reduce((acc, contrato) => acc + contrato.precioCatalogo, 0));
+            const totalReal = redondear(conCatalogo.reduce((acc, contrato) => acc + contrato.precio, 0));
+            const ingresos = {
+                contratosConCatalogo: conCatalogo.length,
+                sinCatalogo: contratosDetallados.length - conCatalogo.length,
+                totalCatalogo,
+                totalReal,
+                diferencia: redondear(totalReal - totalCatalogo),
+                porcentaje: totalCatalogo > 0 ? redondear(((totalReal - totalCatalogo) / totalCatalogo) * 100) : 0,
+                porPlan
+            };
+
             // Estadísticas por estado
             const estadisticasPorEstado = {};
             contratos.forEach(contrato => {
@@ -540,6 +580,7 @@ class ReportesService {
                 total: contratos.length,
                 estadisticasPorEstado,
                 duracionPromedio: Math.round(duracionPromedio),
+                ingresos,
                 contratos: contratosDetallados
             };
         } catch (error) {
@@ -718,6 +759,131 @@ class ReportesService {
         }
     }
 
+    /**
+     * Reporte del programa de referidos
+     * @param {Object} filtros - Filtros opcionales (limite del ranking)
+     * @returns {Promise<Object>} Ranking de clientes que más refieren y crédito otorgado/redimido
+     *
+     * PATRÓN: Aggregator - Combina estadísticas por cliente con los totales del programa
+     * NOTA: No hay transacciones ya que solo realiza consultas de lectura
+     */
+    async obtenerReporteReferidos(filtros = {}) {
+        try {
+            const limite = filtros.limite || 10;
+            const estadisticas = await this.referidoRepository.getEstadisticasPorReferidor();
+
+            const totales = estadisticas.reduce((acc, item) => {
+                acc.referidos += item.totalReferidos;
+                acc.acreditados += item.acreditados;
+                acc.pendientes += item.pendientes;
+                acc.creditoOtorgado += item.creditoOtorgado;
+                acc.creditoRedimido += item.creditoRedimido;
+                return acc;
+            }, { referidos: 0, acreditados: 0, pendientes: 0, creditoOtorgado: 0, creditoRedimido: 0 });
+
+            const ranking = await Promise.all(estadisticas.slice(0, limite).map(async (item) => {
+                const cliente = await this.clienteRepository.getById(item.referidorId);
+                return {
+                    ...item,
+                    nombreCompleto: cliente ? cliente.getNombreCompleto() : 'Cliente no encontrado',
+                    creditoDisponible: Math.round((item.creditoOtorgado - item.creditoRedimido) * 100) / 100
+                };
+            }));
+
+            return {
+                montoCreditoConfigurado: config.referidos.montoCredito,
+                totales: {
+                    clientesQueRefieren: estadisticas.length,
+                    referidos: totales.referidos,
+                    acreditados: totales.acreditados,
+                    pendientes: totales.pendientes,
+                    creditoOtorgado: Math.round(totales.creditoOtorgado * 100) / 100,
+                    creditoRedimido: Math.round(totales.creditoRedimido * 100) / 100,
+                    creditoDisponible: Math.round((totales.creditoOtorgado - totales.creditoRedimido) * 100) / 100
+                },
+                ranking
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener reporte de referidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Embudo de conversión de prospectos por origen y por mes de registro
+     * @param {Object} filtros - Filtros opcionales
+     * @param {Date|string} [filtros.fechaInicio] - Inicio del período (por defecto hace 6 meses)
+     * @param {Date|string} [filtros.fechaFin] - Fin del período (por defecto hoy)
+     * @returns {Promise<Object>} Totales, etapas por origen, por mes y por mes y origen
+     *
+     * PATRÓN: Aggregator - Cada prospecto cuenta en todas las etapas que alcanzó según su historial
+     * NOTA: No hay transacciones ya que solo realiza consultas de lectura
+     */
+    async obtenerEmbudoConversion(filtros = {}) {
+        try {
+            const fechaInicio = filtros.fechaInicio
+                ? dayjs(filtros.fechaInicio).startOf('day').toDate()
+                : dayjs().subtract(6, 'month').startOf('month').toDate();
+            const fechaFin = filtros.fechaFin
+                ? dayjs(filtros.fechaFin).endOf('day').toDate()
+                : dayjs().endOf('day').toDate();
+            const prospectos = await this.prospectoRepository.getByDateRange(fechaInicio, fechaFin);
+
+            const crearEtapas = () => ({ prospectos: 0, contactados: 0, prueba: 0, convertidos: 0, perdidos: 0 });
+            const totales = crearEtapas();
+            const porOrigen = new Map();
+            const porMes = new Map();
+            const porMesYOrigen = new Map();
+
+            const acumular = (mapa, clave, etapas, extra) => {
+                if (!mapa.has(clave)) {
+                    mapa.set(clave, { ...extra, ...crearEtapas() });
+                }
+                const fila = mapa.get(clave);
+                Object.keys(etapas).forEach(etapa => {
+                    fila[etapa] += etapas[etapa];
+                });
+            };
+
+            prospectos.forEach(prospecto => {
+                const convertido = prospecto.estado === 'convertido';
+                const etapas = {
+                    prospectos: 1,
+                    contactados: (convertido || prospecto.alcanzoEstado('contactado') || prospecto.alcanzoEstado('prueba')) ? 1 : 0,
+                    prueba: prospecto.alcanzoEstado('prueba') ? 1 : 0,
+                    convertidos: convertido ? 1 : 0,
+                    perdidos: prospecto.estado === 'perdido' ? 1 : 0
+                };
+                const mes = dayjs(prospecto.fechaRegistro).format('YYYY-MM');
+
+                Object.keys(etapas).forEach(etapa => {
+                    totales[etapa] += etapas[etapa];
+                });
+                acumular(porOrigen, prospecto.origen, etapas, { origen: prospecto.origen });
+                acumular(porMes, mes, etapas, { mes });
+                acumular(porMesYOrigen, `${mes}|${prospecto.origen}`, etapas, { mes, origen: prospecto.origen });
+            });
+
+            const conTasa = fila => ({
+                ...fila,
+                tasaConversion: fila.prospectos > 0 ? Math.round((fila.convertidos / fila.prospectos) * 1000) / 10 : 0
+            });
+
+            return {
+                periodo: {
+                    fechaInicio: dayjs(fechaInicio).format('DD/MM/YYYY'),
+                    fechaFin: dayjs(fechaFin).format('DD/MM/YYYY')
+                },
+                totales: conTasa(totales),
+                porOrigen: [...porOrigen.values()].map(conTasa).sort((a, b) => b.prospectos - a.prospectos),
+                porMes: [...porMes.values()].map(conTasa).sort((a, b) => a.mes.localeCompare(b.mes)),
+                porMesYOrigen: [...porMesYOrigen.values()].map(conTasa)
+                    .sort((a, b) => a.mes.localeCompare(b.mes) || b.prospectos - a.prospectos)
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener embudo de conversión: ${error.message}`);
+        }
+    }
+
     /**
      * Calcula la evolución de una métrica específica
      * @param {Array} seguimientos - Array de seguimientos ordenados por fecha
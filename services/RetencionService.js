@@ -0,0 +1,287 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios, servicios y configuración para la detección de clientes en riesgo
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const {
+    ClienteRepository,
+    SeguimientoRepository,
+    ContratoRepository,
+    AsistenciaRepository,
+    PlanEntrenamientoRepository
+} = require('../repositories');
+const FinanzasService = require('./FinanzasService'); // Servicio financiero (pagos retrasados)
+const config = require('../config'); // Configuración central (umbrales de retención)
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+// Peso máximo de cada señal en el puntaje (suman 100)
+const PESOS = {
+    pagos: 35,
+    vencimiento: 25,
+    seguimiento: 20,
+    asistencia: 20
+};
+
+/**
+ * Servicio de Retención
+ * Calcula un puntaje de riesgo de abandono (0-100) para cada cliente activo a partir de
+ * señales que ya existen en la base de datos: pagos retrasados, contratos próximos a vencer
+ * sin renovación, días sin seguimiento físico y, si el gimnasio la registra, la asistencia
+ *
+ * PATRÓN: Service Layer - Orquesta la consulta de señales y el cálculo del puntaje
+ * PATRÓN: Strategy - Cada señal aporta su propio puntaje y motivo
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente del riesgo de abandono
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: No hay transacciones ya que solo realiza consultas de lectura
+ */
+class RetencionService {
+    /**
+     * Constructor del servicio de retención
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a las señales de cada cliente
+        this.clienteRepository = new ClienteRepository(db);
+        this.seguimientoRepository = new SeguimientoRepository(db);
+        this.contratoRepository = new ContratoRepository(db);
+        this.asistenciaRepository = new AsistenciaRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        // PATRÓN: Service Layer - Reutiliza la consulta de pagos retrasados
+        this.finanzasService = new FinanzasService(db);
+    }
+
+    /**
+     * Obtiene los clientes activos ordenados por riesgo de abandono
+     * @param {Object} opciones - Opciones de la evaluación
+     * @param {number} [opciones.puntajeMinimo] - Puntaje mínimo para incluir al cliente
+     * @param {number} [opciones.limite=0] - Cantidad máxima de clientes (0 = todos)
+     * @returns {Promise<Object>} Lista de clientes en riesgo con puntaje, nivel y motivos
+     *
+     * PATRÓN: Aggregator - Combina señales de pagos, contratos, seguimientos y asistencias
+     */
+    async obtenerClientesEnRiesgo(opciones = {}) {
+        try {
+            const puntajeMinimo = opciones.puntajeMinimo !== undefined
+                ? opciones.puntajeMinimo
+                : config.retencion.puntajeMinimo;
+            const limite = opciones.limite || 0;
+
+            // ===== SEÑALES GLOBALES =====
+            // PATRÓN: Batch Query - Una sola consulta por señal y agrupación por cliente
+            const clientes = await this.clienteRepository.getActiveClients();
+            const pagosRetrasados = await this.finanzasService.obtenerPagosRetrasados();
+            const contratosPorVencer = await this.contratoRepository.getContractsNearExpiration(config.retencion.diasVencimiento);
+            const contratosVigentes = await this.contratoRepository.getAll({ estado: 'vigente' });
+            // La asistencia solo se evalúa si el gimnasio la registra
+            const usaAsistencia = (await this.asistenciaRepository.countAsistencias()) > 0;
+
+            const retrasadosPorCliente = this.agruparPorCliente(pagosRetrasados);
+            const porVencerPorCliente = this.agruparPorCliente(contratosPorVencer);
+            const vigentesPorCliente = this.agruparPorCliente(contratosVigentes);
+            const nombresPlanes = new Map();
+
+            // ===== PUNTAJE POR CLIENTE =====
+            const evaluados = [];
+            for (const cliente of clientes) {
+                const clienteId = cliente.clienteId.toString();
+                const senales = [];
+
+                senales.push(this.evaluarPagos(retrasadosPorCliente.get(clienteId) || []));
+                senales.push(await this.evaluarVencimiento(
+                    porVencerPorCliente.get(clienteId) || [],
+                    vigentesPorCliente.get(clienteId) || [],
+                    nombresPlanes
+                ));
+                senales.push(this.evaluarSeguimiento(
+                    await this.seguimientoRepository.getLastFollowUpByClient(cliente.clienteId)
+                ));
+                if (usaAsistencia) {
+                    senales.push(this.evaluarAsistencia(
+                        await this.asistenciaRepository.getLastByClient(cliente.clienteId)
+                    ));
+                }
+
+                const activas = senales.filter(senal => senal !== null);
+                const puntaje = Math.min(100, activas.reduce((suma, senal) => suma + senal.puntaje, 0));
+
+                evaluados.push({
+                    clienteId: cliente.clienteId,
+                    nombreCompleto: cliente.getNombreCompleto(),
+                    email: cliente.email,
+                    telefono: cliente.telefono,
+                    puntaje,
+                    nivel: this.obtenerNivel(puntaje),
+                    motivos: activas
+                        .sort((a, b) => b.puntaje - a.puntaje)
+                        .map(senal => senal.motivo)
+                });
+            }
+
+            // ===== RANKING =====
+            let enRiesgo = evaluados
+                .filter(item => item.puntaje > 0 && item.puntaje >= puntajeMinimo)
+                .sort((a, b) => b.puntaje - a.puntaje);
+            if (limite > 0) {
+                enRiesgo = enRiesgo.slice(0, limite);
+            }
+
+            return {
+                success: true,
+                data: enRiesgo,
+                total: enRiesgo.length,
+                resumen: {
+                    clientesEvaluados: evaluados.length,
+                    alto: evaluados.filter(item => item.nivel === 'alto').length,
+                    medio: evaluados.filter(item => item.nivel === 'medio').length,
+                    bajo: evaluados.filter(item => item.nivel === 'bajo' && item.puntaje > 0).length,
+                    puntajeMinimo,
+                    asistenciaEvaluada: usaAsistencia,
+                    fechaEvaluacion: new Date()
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al calcular clientes en riesgo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Evalúa los pagos retrasados del cliente
+     * @param {Pago[]} pagos - Pagos retrasados del cliente
+     * @returns {Object|null} Puntaje y motivo, o null si no aplica
+     * @private
+     */
+    evaluarPagos(pagos) {
+        if (pagos.length === 0) {
+            return null;
+        }
+        const total = pagos.reduce((suma, pago) => suma + pago.monto, 0);
+        return {
+            puntaje: pagos.length >= 2 ? PESOS.pagos : Math.round(PESOS.pagos * 0.7),
+            motivo: `${pagos.length} pago(s) retrasado(s) por €${total.toFixed(2)}`
+        };
+    }
+
+    /**
+     * Evalúa si el cliente tiene un contrato por vencer sin otro vigente que lo reemplace
+     * @param {Contrato[]} porVencer - Contratos del cliente próximos a vencer
+     * @param {Contrato[]} vigentes - Contratos vigentes del cliente
+     * @param {Map} nombresPlanes - Caché de nombres de planes
+     * @returns {Promise<Object|null>} Puntaje y motivo, o null si no aplica
+     * @private
+     */
+    async evaluarVencimiento(porVencer, vigentes, nombresPlanes) {
+        if (porVencer.length === 0) {
+            return null;
+        }
+
+        // Un contrato vigente que termina después de la ventana indica que el cliente ya renovó
+        const limiteVentana = dayjs().add(config.retencion.diasVencimiento, 'day');
+        const renovado = vigentes.some(contrato => dayjs(contrato.fechaFin).isAfter(limiteVentana));
+        if (renovado) {
+            return null;
+        }
+
+        const proximo = porVencer.reduce((a, b) => (a.fechaFin <= b.fechaFin ? a : b));
+        const dias = Math.max(0, Math.ceil(dayjs(proximo.fechaFin).diff(dayjs(), 'day', true)));
+
+        const planId = proximo.planId.toString();
+        if (!nombresPlanes.has(planId)) {
+            const plan = await this.planRepository.getById(proximo.planId);
+            nombresPlanes.set(planId, plan ? plan.nombre : 'plan eliminado');
+        }
+
+        return {
+            puntaje: dias <= 7 ? PESOS.vencimiento : Math.round(PESOS.vencimiento * 0.6),
+            motivo: `Contrato de "${nombresPlanes.get(planId)}" vence en ${dias} día(s) sin renovación`
+        };
+    }
+
+    /**
+     * Evalúa los días transcurridos desde el último seguimiento físico
+     * @param {Seguimiento|null} ultimoSeguimiento - Último seguimiento del cliente
+     * @returns {Object|null} Puntaje y motivo, o null si no aplica
+     * @private
+     */
+    evaluarSeguimiento(ultimoSeguimiento) {
+        const umbral = config.retencion.diasSinSeguimiento;
+        if (!ultimoSeguimiento) {
+            return {
+                puntaje: Math.round(PESOS.seguimiento * 0.75),
+                motivo: 'Sin seguimientos físicos registrados'
+            };
+        }
+
+        const dias = dayjs().diff(dayjs(ultimoSeguimiento.fecha), 'day');
+        if (dias < umbral) {
+            return null;
+        }
+        return {
+            puntaje: dias >= umbral * 2 ? PESOS.seguimiento : Math.round(PESOS.seguimiento * 0.6),
+            motivo: `${dias} días sin seguimiento físico`
+        };
+    }
+
+    /**
+     * Evalúa los días transcurridos desde la última asistencia
+     * @param {Asistencia|null} ultimaAsistencia - Última asistencia del cliente
+     * @returns {Object|null} Puntaje y motivo, o null si no aplica
+     * @private
+     */
+    evaluarAsistencia(ultimaAsistencia) {
+        const umbral = config.retencion.diasSinAsistencia;
+        if (!ultimaAsistencia) {
+            return {
+                puntaje: Math.round(PESOS.asistencia * 0.5),
+                motivo: 'Nunca ha registrado asistencia'
+            };
+        }
+
+        const dias = dayjs().diff(dayjs(ultimaAsistencia.fechaEntrada), 'day');
+        if (dias < umbral) {
+            return null;
+        }
+        return {
+            puntaje: dias >= umbral * 2 ? PESOS.asistencia : Math.round(PESOS.asistencia * 0.6),
+            motivo: `${dias} días sin asistir al gimnasio`
+        };
+    }
+
+    /**
+     * Clasifica el puntaje en un nivel de riesgo
+     * @param {number} puntaje - Puntaje de 0 a 100
+     * @returns {string} 'alto', 'medio' o 'bajo'
+     * @private
+     */
+    obtenerNivel(puntaje) {
+        if (puntaje >= 60) {
+            return 'alto';
+        }
+        if (puntaje >= 35) {
+            return 'medio';
+        }
+        return 'bajo';
+    }
+
+    /**
+     * Agrupa documentos por su clienteId
+     * @param {Array} documentos - Pagos o contratos con clienteId
+     * @returns {Map<string, Array>} Documentos agrupados por cliente
+     * @private
+     */
+    agruparPorCliente(documentos) {
+        const grupos = new Map();
+        documentos
+            .filter(documento => documento.clienteId)
+            .forEach(documento => {
+                const clave = documento.clienteId.toString();
+                if (!grupos.has(clave)) {
+                    grupos.set(clave, []);
+                }
+                grupos.get(clave).push(documento);
+            });
+        return grupos;
+    }
+}
+
+module.exports = RetencionService;
@@ -415,6 +415,7 @@ class SeguimientoService {
     /**
      * Elimina un seguimiento
      * @param {string|ObjectId} seguimientoId - ID del seguimiento
+     * @param {Object} datosEliminacion - Quién y por qué elimina ({ usuario, motivo })
      * @returns {Promise<Object>} Resultado de la operación
      * 
      * PATRÓN: Template Method - Define el flujo estándar de eliminación de seguimientos
@@ -431,7 +432,7 @@ class SeguimientoService {
      * TRANSACCIONES: SÍ implementa transacciones MongoDB para operaciones críticas
      * BUENA PRÁCTICA: Método principal que orquesta la eliminación de seguimientos
      */
-    async eliminarSeguimiento(seguimientoId) {
+    async eliminarSeguimiento(seguimientoId, datosEliminacion = {}) {
         try {
             // ===== VALIDACIÓN DE EXISTENCIA =====
             // PATRÓN: Guard Clause - Validación temprana de existencia del seguimiento
@@ -460,7 +461,7 @@ class SeguimientoService {
                         // ===== OPERACIÓN 1: ELIMINAR SEGUIMIENTO CON ROLLBACK =====
                         // PATRÓN: Rollback - Implementa rollback para operaciones de eliminación
                         // BUENA PRÁCTICA: Eliminar seguimiento con capacidad de rollback
-                        const eliminado = await this.seguimientoRepository.deleteFollowUpWithRollback(seguimientoId);
+                        const eliminado = await this.seguimientoRepository.deleteFollowUpWithRollback(seguimientoId, datosEliminacion);
 
                         if (!eliminado) {
                             throw new Error('No se pudo eliminar el seguimiento');
@@ -494,7 +495,7 @@ class SeguimientoService {
                 // ===== OPERACIÓN 1: ELIMINAR SEGUIMIENTO =====
                 // PATRÓN: Repository - Abstrae la operación de eliminación
                 // BUENA PRÁCTICA: Eliminar seguimiento sin transacción
-                const eliminado = await this.seguimientoRepository.delete(seguimientoId);
+                const eliminado = await this.seguimientoRepository.delete(seguimientoId, datosEliminacion);
 
                 if (!eliminado) {
                     throw new Error('No se pudo eliminar el seguimiento');
@@ -0,0 +1,226 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y modelos para el registro de sesiones de entrenamiento
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const {
+    SesionEntrenamientoRepository,
+    ClienteRepository,
+    ContratoRepository,
+    PlanEntrenamientoRepository,
+    EjercicioRepository
+} = require('../repositories');
+const { SesionEntrenamiento } = require('../models'); // Modelo de dominio SesionEntrenamiento
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Sesiones de Entrenamiento
+ * Registra las sesiones que el cliente completa de su plan activo, estima el 1RM de cada
+ * ejercicio, detecta récords personales y arma el historial por ejercicio
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio del registro de sesiones
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de las sesiones realizadas
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: Una sesión es un solo documento, por lo que su registro no necesita transacción
+ */
+class SesionEntrenamientoService {
+    /**
+     * Constructor del servicio de sesiones de entrenamiento
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de sesiones, clientes, contratos, planes y ejercicios
+        this.sesionRepository = new SesionEntrenamientoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        this.contratoRepository = new ContratoRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        this.ejercicioRepository = new EjercicioRepository(db);
+    }
+
+    /**
+     * Obtiene el plan activo del cliente y la rutina de una semana
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {number|null} numeroSemana - Semana de la rutina (por defecto, la que corresponde hoy)
+     * @returns {Promise<Object>} Contrato vigente, plan, semana en curso y rutina de la semana pedida
+     */
+    async obtenerPlanActivo(clienteId, numeroSemana = null) {
+        try {
+            const contrato = await this.obtenerContratoVigente(clienteId);
+            let plan = await this.planRepository.getById(contrato.planId);
+            if (!plan) {
+                throw new Error('El plan del contrato vigente no existe');
+            }
+
+            // El cliente sigue la versión del plan con la que se vendió su contrato
+            if (contrato.getVersionPlan() !== plan.version) {
+                const version = await this.planRepository.getVersion(plan.planId, contrato.getVersionPlan());
+                if (version) {
+                    plan = plan.conContenidoDeVersion(version.contenido, version.version);
+                }
+            }
+
+            // La semana se cuenta desde el inicio del contrato y se limita a la duración del plan
+            const semanasTranscurridas = Math.floor(dayjs().diff(dayjs(contrato.fechaInicio), 'day') / 7) + 1;
+            const semanaActual = Math.min(Math.max(semanasTranscurridas, 1), plan.duracionSemanas);
+            const semana = numeroSemana ?? semanaActual;
+
+            return {
+                success: true,
+                data: {
+                    contratoId: contrato.contratoId,
+                    planId: plan.planId,
+                    nombrePlan: plan.nombre,
+                    versionPlan: plan.version,
+                    semanaActual,
+                    rutina: plan.tieneContenido() ? plan.getRutinaSemanal(semana) : null
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener plan activo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registra una sesión completada por el cliente
+     * @param {Object} datos - clienteId, fecha, registradoPor, semana, dia, notas y
+     *                         ejercicios ([{ ejercicioId, series: [{ repeticiones, peso }] }])
+     * @returns {Promise<Object>} Resultado con la sesión y los récords personales nuevos
+     */
+    async registrarSesion(datos) {
+        try {
+            const cliente = await this.clienteRepository.getById(datos.clienteId);
+            if (!cliente) {
+                throw new Error('Cliente no encontrado');
+            }
+
+            const contrato = await this.obtenerContratoVigente(datos.clienteId);
+
+            // PATRÓN: Guard Clause - Cada ejercicio debe existir en la biblioteca
+            const ejercicios = [];
+            for (const ejercicio of datos.ejercicios || []) {
+                const catalogo = ObjectId.isValid(ejercicio.ejercicioId)
+                    ? await this.ejercicioRepository.getById(ejercicio.ejercicioId)
+                    : null;
+                if (!catalogo) {
+                    throw new Error('Uno de los ejercicios no existe en la biblioteca');
+                }
+                ejercicios.push({
+                    ejercicioId: catalogo.ejercicioId,
+                    nombre: catalogo.nombre,
+                    series: ejercicio.series
+                });
+            }
+
+            const sesion = new SesionEntrenamiento({
+                clienteId: cliente.clienteId,
+                contratoId: contrato.contratoId,
+                planId: contrato.planId,
+                fecha: datos.fecha,
+                registradoPor: datos.registradoPor,
+                semana: datos.semana ?? null,
+                dia: datos.dia,
+                ejercicios,
+                notas: datos.notas
+            });
+
+            // ===== DETECCIÓN DE RÉCORDS PERSONALES =====
+            // Se compara contra las sesiones hasta la fecha registrada para admitir sesiones atrasadas
+            const mejoresMarcas = await this.sesionRepository.getBestMarks(
+                cliente.clienteId,
+                sesion.ejercicios.map(ejercicio => ejercicio.ejercicioId),
+                dayjs(sesion.fecha).endOf('day').toDate()
+            );
+            const records = sesion.marcarRecords(mejoresMarcas);
+
+            const sesionId = await this.sesionRepository.create(sesion);
+
+            return {
+                success: true,
+                sesionId,
+                data: sesion.getResumen(),
+                records,
+                mensaje: records.length > 0
+                    ? `Sesión registrada con ${records.length} récord(s) personal(es)`
+                    : 'Sesión registrada exitosamente'
+            };
+        } catch (error) {
+            throw new Error(`Error al registrar sesión: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lista las últimas sesiones de un cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @param {number} limite - Cantidad máxima de sesiones
+     * @returns {Promise<Object>} Sesiones del cliente
+     */
+    async listarSesionesCliente(clienteId, limite = 10) {
+        try {
+            const sesiones = await this.sesionRepository.getByClient(clienteId, { limit: limite });
+            return {
+                success: true,
+                data: sesiones.map(sesion => sesion.getResumen()),
+                total: sesiones.length
+            };
+        } catch (error) {
+            throw new Error(`Error al listar sesiones: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el historial de cada ejercicio que realizó el cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<Object>} Por ejercicio: mejor 1RM, último 1RM, variación y registros
+     */
+    async obtenerHistorialEjercicios(clienteId) {
+        try {
+            const historial = await this.sesionRepository.getExerciseHistory(clienteId);
+
+            const data = historial.map(ejercicio => {
+                const primero = ejercicio.registros[0];
+                const ultimo = ejercicio.registros[ejercicio.registros.length - 1];
+                return {
+                    ejercicioId: ejercicio._id,
+                    nombre: ejercicio.nombre,
+                    sesiones: ejercicio.registros.length,
+                    mejorUnoRM: ejercicio.mejorUnoRM,
+                    ultimoUnoRM: ultimo.unoRMEstimado,
+                    variacion: Math.round((ultimo.unoRMEstimado - primero.unoRMEstimado) * 10) / 10,
+                    records: ejercicio.registros.filter(registro => registro.esRecord).length,
+                    registros: ejercicio.registros.map(registro => ({
+                        fecha: dayjs(registro.fecha).format('DD/MM/YYYY'),
+                        series: registro.series.map(serie => `${serie.repeticiones}x${serie.peso}kg`).join(', '),
+                        unoRMEstimado: registro.unoRMEstimado,
+                        esRecord: registro.esRecord
+                    }))
+                };
+            });
+
+            return {
+                success: true,
+                data,
+                total: data.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener historial de ejercicios: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el contrato vigente del cliente
+     * @param {string|ObjectId} clienteId - ID del cliente
+     * @returns {Promise<Contrato>} Contrato vigente más reciente
+     * @private
+     */
+    async obtenerContratoVigente(clienteId) {
+        const contratos = await this.contratoRepository.getActiveContractsByClient(clienteId);
+        if (contratos.length === 0) {
+            throw new Error('El cliente no tiene un contrato vigente');
+        }
+        return contratos.sort((a, b) => new Date(b.fechaInicio) - new Date(a.fechaInicio))[0];
+    }
+}
+
+module.exports = SesionEntrenamientoService;
@@ -0,0 +1,220 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y modelos para el catálogo de precios de los planes
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const { ObjectId } = require('mongodb'); // Utilidad para manejo de IDs de MongoDB
+const { TarifaPlanRepository, PlanEntrenamientoRepository } = require('../repositories');
+const { TarifaPlan } = require('../models'); // Modelo de dominio TarifaPlan
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Tarifas
+ * Administra el catálogo de precios de cada plan: precios escalonados por duración
+ * (1, 3, 6 y 12 meses) con fecha de entrada en vigencia. Cada cambio de precios
+ * registra una tarifa nueva y cierra la anterior, conservando el historial.
+ *
+ * PATRÓN: Service Layer - Orquesta la lógica de negocio del catálogo de precios
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente de las tarifas
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * NOTA: ContratoService usa cotizarPrecio() para proponer el precio de lista al crear
+ * o renovar un contrato y guardarlo junto al precio realmente cobrado
+ */
+class TarifaService {
+    /**
+     * Constructor del servicio de tarifas
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de tarifas y planes
+        this.tarifaRepository = new TarifaPlanRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+    }
+
+    /**
+     * Registra una tarifa nueva para un plan
+     * @param {string} planId - ID del plan
+     * @param {Object} datosTarifa - precios [{ meses, precio }], vigenteDesde y motivo
+     * @returns {Promise<Object>} Resultado con la tarifa registrada
+     *
+     * TRANSACCIONES: La tarifa anterior se cierra el día en que empieza la nueva
+     * OPERACIONES EN TRANSACCIÓN: Cierre de la tarifa anterior, registro de la nueva
+     */
+    async registrarTarifa(planId, datosTarifa) {
+        try {
+            const plan = await this.obtenerPlan(planId);
+
+            // PATRÓN: Domain Model - El modelo valida escalones, precios y vigencia
+            const tarifa = new TarifaPlan({
+                planId: plan.planId,
+                precios: datosTarifa.precios,
+                vigenteDesde: datosTarifa.vigenteDesde
+                    ? dayjs(datosTarifa.vigenteDesde).startOf('day').toDate()
+                    : new Date(),
+                motivo: datosTarifa.motivo
+            });
+
+            // PATRÓN: Guard Clause - El historial es lineal: no se registran tarifas retroactivas
+            const anterior = await this.tarifaRepository.getUltima(plan.planId);
+            if (anterior && tarifa.vigenteDesde <= anterior.vigenteDesde) {
+                throw new Error(`La nueva tarifa debe empezar después del ${dayjs(anterior.vigenteDesde).format('DD/MM/YYYY')} (inicio de la tarifa actual)`);
+            }
+
+            const session = this.db.client.startSession();
+            try {
+                let resultado;
+
+                await session.withTransaction(async () => {
+                    // ===== OPERACIÓN 1: CERRAR LA TARIFA ANTERIOR =====
+                    if (anterior) {
+                        await this.tarifaRepository.cerrarVigencia(anterior.tarifaId, tarifa.vigenteDesde, { session });
+                    }
+
+                    // ===== OPERACIÓN 2: REGISTRAR LA TARIFA NUEVA =====
+                    await this.tarifaRepository.create(tarifa, { session });
+
+                    resultado = {
+                        success: true,
+                        data: {
+                            ...tarifa.getResumen(),
+                            nombrePlan: plan.nombre,
+                            programada: tarifa.vigenteDesde > new Date()
+                        },
+                        mensaje: anterior
+                            ? `Tarifa registrada; la anterior queda vigente hasta el ${dayjs(tarifa.vigenteDesde).format('DD/MM/YYYY')}`
+                            : 'Tarifa registrada'
+                    };
+                });
+
+                return resultado;
+            } finally {
+                await session.endSession();
+            }
+        } catch (error) {
+            throw new Error(`Error al registrar tarifa: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene la tarifa vigente de un plan
+     * @param {string} planId - ID del plan
+     * @param {Date} fecha - Fecha de referencia (por defecto, hoy)
+     * @returns {Promise<Object>} Resultado con la tarifa vigente (data null si el plan no tiene precio)
+     */
+    async obtenerTarifaVigente(planId, fecha = new Date()) {
+        try {
+            const plan = await this.obtenerPlan(planId);
+            const tarifa = await this.tarifaRepository.getVigente(plan.planId, fecha);
+
+            return {
+                success: true,
+                data: tarifa ? { ...tarifa.getResumen(), nombrePlan: plan.nombre } : null,
+                mensaje: tarifa ? undefined : `El plan "${plan.nombre}" no tiene tarifa vigente`
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener tarifa vigente: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el historial de precios de un plan
+     * @param {string} planId - ID del plan
+     * @returns {Promise<Object>} Resultado con las tarifas marcadas como vigente, programada o histórica
+     */
+    async obtenerHistorialTarifas(planId) {
+        try {
+            const plan = await this.obtenerPlan(planId);
+            const tarifas = await this.tarifaRepository.getHistorial(plan.planId);
+            const ahora = new Date();
+
+            return {
+                success: true,
+                data: tarifas.map(tarifa => ({
+                    ...tarifa.getResumen(),
+                    estado: tarifa.estaVigente(ahora)
+                        ? 'vigente'
+                        : (tarifa.vigenteDesde > ahora ? 'programada' : 'histórica')
+                })),
+                total: tarifas.length,
+                nombrePlan: plan.nombre
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener historial de tarifas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene el catálogo de precios vigente de los planes activos
+     * @returns {Promise<Object>} Resultado con cada plan activo y su tarifa (null si no tiene)
+     */
+    async obtenerCatalogoPrecios() {
+        try {
+            const planes = await this.planRepository.getActivePlans();
+            const catalogo = [];
+
+            for (const plan of planes) {
+                const tarifa = await this.tarifaRepository.getVigente(plan.planId);
+                catalogo.push({
+                    planId: plan.planId,
+                    nombrePlan: plan.nombre,
+                    nivel: plan.nivel,
+                    tarifa: tarifa ? tarifa.getResumen() : null
+                });
+            }
+
+            return {
+                success: true,
+                data: catalogo,
+                total: catalogo.length,
+                sinTarifa: catalogo.filter(item => !item.tarifa).length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener catálogo de precios: ${error.message}`);
+        }
+    }
+
+    /**
+     * Calcula el precio de lista de un plan para una duración
+     * @param {string|ObjectId} planId - ID del plan
+     * @param {number} duracionMeses - Duración del contrato en meses
+     * @param {Date} fecha - Fecha en que se toma la tarifa (inicio del contrato)
+     * @returns {Promise<Object|null>} precio, tarifaId, mesesEscalon, exacto y precioMensual; null si no hay tarifa vigente
+     */
+    async cotizarPrecio(planId, duracionMeses, fecha = new Date()) {
+        try {
+            const tarifa = await this.tarifaRepository.getVigente(planId, fecha);
+            if (!tarifa) {
+                return null;
+            }
+
+            return {
+                ...tarifa.calcularPrecio(duracionMeses),
+                tarifaId: tarifa.tarifaId
+            };
+        } catch (error) {
+            throw new Error(`Error al cotizar precio del plan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene un plan existente
+     * @param {string} planId - ID del plan
+     * @returns {Promise<PlanEntrenamiento>} Plan encontrado
+     * @private
+     */
+    async obtenerPlan(planId) {
+        if (!ObjectId.isValid(planId)) {
+            throw new Error('ID del plan no es válido');
+        }
+        const plan = await this.planRepository.getById(planId);
+        if (!plan) {
+            throw new Error('Plan no encontrado');
+        }
+        return plan;
+    }
+}
+
+// ===== EXPORTACIÓN DEL MÓDULO =====
+// PATRÓN: Module Pattern - Exporta la clase como módulo
+module.exports = TarifaService;
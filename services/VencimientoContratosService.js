@@ -0,0 +1,274 @@
+// ===== IMPORTS Y DEPENDENCIAS =====
+// Importación de repositorios y modelos para el proceso de vencimiento de contratos
+// PATRÓN: Dependency Injection - Se inyectan las dependencias a través del constructor
+// PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios) no de implementaciones concretas
+const {
+    ContratoRepository,
+    ClienteRepository,
+    PlanEntrenamientoRepository,
+    NutricionRepository,
+    MantenimientoRepository
+} = require('../repositories');
+const { RegistroMantenimiento } = require('../models'); // Modelo del resumen de la ejecución
+const DatabaseConfig = require('../config/database'); // Verificación de disponibilidad de transacciones
+const ListaEsperaService = require('./ListaEsperaService'); // Promoción de la lista de espera al liberarse cupos
+const ContratoService = require('./ContratoService'); // Reanudación de contratos congelados
+const RenovacionContratosService = require('./RenovacionContratosService'); // Renovación automática antes de finalizar
+const dayjs = require('dayjs'); // Utilidad para manejo de fechas
+
+/**
+ * Servicio de Vencimiento de Contratos
+ * Tarea de mantenimiento que finaliza los contratos que siguen "vigente" con la fecha
+ * de fin ya pasada: desasocia al cliente del plan, pausa el plan nutricional vinculado
+ * al contrato y guarda un resumen de todo lo que modificó. Antes reanuda los contratos
+ * congelados cuyo congelamiento ya terminó y renueva los que tienen renovación
+ * automática. Se ejecuta al iniciar la aplicación y a pedido desde Configuración.
+ *
+ * PATRÓN: Service Layer - Orquesta la finalización de contratos vencidos
+ * PRINCIPIO SOLID S: Responsabilidad Única - Se encarga únicamente del vencimiento de contratos
+ * PRINCIPIO SOLID D: Inversión de Dependencias - Depende de abstracciones (repositorios)
+ *
+ * TRANSACCIONES: Si la base de datos las admite, todos los cambios y el resumen se
+ * confirman juntos; si no, cada contrato se procesa por separado y los fallos quedan
+ * registrados en el resumen sin detener al resto
+ */
+class VencimientoContratosService {
+    /**
+     * Constructor del servicio de vencimiento de contratos
+     * @param {Object} db - Instancia de la base de datos (MongoDB)
+     */
+    constructor(db) {
+        this.db = db;
+        // PATRÓN: Repository - Abstrae el acceso a datos de contratos, clientes, planes, nutrición y registros
+        this.contratoRepository = new ContratoRepository(db);
+        this.clienteRepository = new ClienteRepository(db);
+        this.planRepository = new PlanEntrenamientoRepository(db);
+        this.nutricionRepository = new NutricionRepository(db);
+        this.mantenimientoRepository = new MantenimientoRepository(db);
+        // PATRÓN: Service Layer - Los cupos liberados promueven al siguiente en espera
+        this.listaEsperaService = new ListaEsperaService(db);
+        // PATRÓN: Service Layer - Reanuda los congelamientos cumplidos con las reglas del contrato
+        this.contratoService = new ContratoService(db);
+        // PATRÓN: Service Layer - Los contratos con renovación automática se renuevan en lugar de finalizarse
+        this.renovacionService = new RenovacionContratosService(db);
+    }
+
+    /**
+     * Finaliza todos los contratos vencidos
+     * @param {Object} opciones - origen de la ejecución ('inicio' o 'manual')
+     * @returns {Promise<Object>} Resultado con el registro de la ejecución (data null si no había vencidos)
+     * y los contratos congelados que se reanudaron, más el resultado de la renovación automática
+     *
+     * OPERACIONES POR CONTRATO: Finalización, desasociación cliente-plan, pausa del plan nutricional
+     */
+    async procesarVencimientos({ origen = 'manual' } = {}) {
+        try {
+            // Un congelamiento cumplido devuelve el contrato a "vigente" con su fecha de fin ya extendida
+            const reanudados = await this.contratoService.reanudarCongelamientosCumplidos();
+            // Los renovados dejan de estar "vigente" y no se finalizan; los omitidos sí
+            const renovaciones = await this.renovacionService.procesarRenovaciones({ origen });
+
+            const vencidos = await this.contratoRepository.getExpiredContracts();
+            if (vencidos.length === 0) {
+                return {
+                    success: true,
+                    data: null,
+                    total: 0,
+                    reanudados,
+                    renovaciones,
+                    mensaje: 'No hay contratos vencidos'
+                };
+            }
+
+            // Nombres para que el resumen se entienda sin consultar otras colecciones
+            const contratos = await Promise.all(vencidos.map(async contrato => {
+                const cliente = await this.clienteRepository.getById(contrato.clienteId);
+                const plan = await this.planRepository.getById(contrato.planId);
+                return {
+                    contrato,
+                    cliente: cliente ? cliente.getNombreCompleto() : 'Cliente no encontrado',
+                    plan: plan ? plan.nombre : 'Plan no encontrado'
+                };
+            }));
+
+            // PATRÓN: Strategy - Con replica set o mongos todo se confirma junto; si no, contrato por contrato
+            const database = new DatabaseConfig();
+            database.client = this.db.client;
+            const transaccional = await database.areTransactionsAvailable();
+            const registro = transaccional
+                ? await this.procesarEnTransaccion(contratos, origen)
+                : await this.procesarPorSeparado(contratos, origen);
+
+            // ===== PROMOCIÓN DE LISTA DE ESPERA =====
+            // PATRÓN: Circuit Breaker - Los vencimientos ya se confirmaron; liberarCupo no hace fallar el proceso
+            const planesLiberados = [...new Set(
+                registro.cambios.filter(cambio => cambio.clienteDesasociado).map(cambio => cambio.planId.toString())
+            )];
+            for (const planId of planesLiberados) {
+                const promovidos = await this.listaEsperaService.liberarCupo(
+                    planId, 'Cupo liberado por el vencimiento de un contrato'
+                );
+                registro.promovidos.push(...promovidos);
+            }
+            if (registro.promovidos.length > 0) {
+                await this.mantenimientoRepository.update(registro.registroId, { promovidos: registro.promovidos });
+            }
+
+            return {
+                success: !registro.tieneErrores(),
+                data: registro.getResumen(),
+                total: registro.cambios.length,
+                reanudados,
+                renovaciones,
+                mensaje: registro.resumen
+            };
+        } catch (error) {
+            throw new Error(`Error al procesar contratos vencidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Obtiene las últimas ejecuciones del proceso de vencimiento
+     * @param {number} limite - Cantidad máxima de ejecuciones
+     * @returns {Promise<Object>} Resultado con los resúmenes de las ejecuciones
+     */
+    async obtenerHistorialEjecuciones(limite = 10) {
+        try {
+            const registros = await this.mantenimientoRepository.getRecientes('vencimiento_contratos', limite);
+            return {
+                success: true,
+                data: registros.map(registro => registro.getResumen()),
+                total: registros.length
+            };
+        } catch (error) {
+            throw new Error(`Error al obtener historial de vencimientos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Procesa todos los contratos y guarda el resumen en una única transacción
+     * @param {Array} contratos - Contratos vencidos con nombres de cliente y plan
+     * @param {string} origen - Origen de la ejecución
+     * @returns {Promise<RegistroMantenimiento>} Registro guardado
+     * @private
+     *
+     * TRANSACCIONES: Si falla un contrato no se aplica ningún cambio
+     */
+    async procesarEnTransaccion(contratos, origen) {
+        const session = this.db.client.startSession();
+        try {
+            let registro;
+
+            await session.withTransaction(async () => {
+                // withTransaction puede reintentar: el registro se arma desde cero en cada intento
+                const cambios = [];
+                for (const item of contratos) {
+                    cambios.push(await this.finalizarContrato(item, { session }));
+                }
+
+                registro = this.crearRegistro(origen, true, cambios, []);
+                await this.mantenimientoRepository.create(registro, { session });
+            });
+
+            return registro;
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    /**
+     * Procesa cada contrato por separado (sin soporte de transacciones)
+     * @param {Array} contratos - Contratos vencidos con nombres de cliente y plan
+     * @param {string} origen - Origen de la ejecución
+     * @returns {Promise<RegistroMantenimiento>} Registro guardado
+     * @private
+     *
+     * PATRÓN: Circuit Breaker - Un contrato que falla se registra y no detiene al resto
+     */
+    async procesarPorSeparado(contratos, origen) {
+        const cambios = [];
+        const errores = [];
+
+        for (const item of contratos) {
+            try {
+                cambios.push(await this.finalizarContrato(item));
+            } catch (error) {
+                errores.push({ referenciaId: item.contrato.contratoId, mensaje: `${item.cliente} - ${item.plan}: ${error.message}` });
+            }
+        }
+
+        const registro = this.crearRegistro(origen, false, cambios, errores);
+        await this.mantenimientoRepository.create(registro);
+        return registro;
+    }
+
+    /**
+     * Finaliza un contrato vencido y aplica sus efectos
+     * @param {Object} item - Contrato con nombres de cliente y plan
+     * @param {Object} options - Opciones de MongoDB (session)
+     * @returns {Promise<Object>} Detalle de los cambios aplicados
+     * @private
+     */
+    async finalizarContrato({ contrato, cliente, plan }, options = {}) {
+        // ===== OPERACIÓN 1: FINALIZAR EL CONTRATO =====
+        await this.contratoRepository.finalizeContract(contrato.contratoId, options);
+
+        // ===== OPERACIÓN 2: DESASOCIAR CLIENTE Y PLAN =====
+        // BUENA PRÁCTICA: Mantener consistencia bidireccional, como al cancelar un contrato
+        const clienteDesasociado = await this.planRepository.removeClientFromPlan(contrato.planId, contrato.clienteId, options);
+        await this.clienteRepository.removePlanFromClient(contrato.clienteId, contrato.planId, options);
+
+        // ===== OPERACIÓN 3: PAUSAR EL PLAN NUTRICIONAL DEL CONTRATO =====
+        const planesNutricion = await this.nutricionRepository.getByContract(contrato.contratoId, options);
+        const nutricionPausada = [];
+        for (const nutricion of planesNutricion.filter(n => n.estaActivo())) {
+            await this.nutricionRepository.update(nutricion.nutricionId, { estado: 'pausado' }, options);
+            nutricionPausada.push(nutricion.nutricionId);
+        }
+
+        return {
+            contratoId: contrato.contratoId,
+            clienteId: contrato.clienteId,
+            planId: contrato.planId,
+            cliente,
+            plan,
+            fechaFin: contrato.fechaFin,
+            clienteDesasociado,
+            nutricionPausada
+        };
+    }
+
+    /**
+     * Arma el registro de la ejecución con su resumen en texto
+     * @param {string} origen - Origen de la ejecución
+     * @param {boolean} transaccional - Si los cambios se aplicaron en una transacción
+     * @param {Array} cambios - Contratos finalizados
+     * @param {Array} errores - Contratos que no se pudieron finalizar
+     * @returns {RegistroMantenimiento} Registro listo para guardar
+     * @private
+     */
+    crearRegistro(origen, transaccional, cambios, errores) {
+        const nutricion = cambios.reduce((total, cambio) => total + cambio.nutricionPausada.length, 0);
+        const partes = [`${cambios.length} contrato(s) finalizado(s)`];
+        if (nutricion > 0) {
+            partes.push(`${nutricion} plan(es) nutricional(es) pausado(s)`);
+        }
+        if (errores.length > 0) {
+            partes.push(`${errores.length} con error`);
+        }
+
+        return new RegistroMantenimiento({
+            tarea: 'vencimiento_contratos',
+            origen,
+            transaccional,
+            cambios: cambios.map(cambio => ({
+                ...cambio,
+                fechaFin: dayjs(cambio.fechaFin).format('DD/MM/YYYY')
+            })),
+            errores,
+            resumen: partes.join(', ')
+        });
+    }
+}
+
+module.exports = VencimientoContratosService;
@@ -62,6 +62,74 @@ const FinanzasService = require('./FinanzasService');
 // PATRÓN: Service Layer - Capa de servicio para lógica de negocio de reportes
 const ReportesService = require('./ReportesService');
 
+// Servicio para control de asistencia
+// PATRÓN: Service Layer - Capa de servicio para lógica de negocio de entradas y salidas
+const AsistenciaService = require('./AsistenciaService');
+
+// Servicio de detección y fusión de clientes duplicados
+// PATRÓN: Service Layer - Capa de servicio para consolidación de clientes
+const ClienteDuplicadosService = require('./ClienteDuplicadosService');
+
+// Servicio de papelera (borrado lógico)
+// PATRÓN: Service Layer - Capa de servicio para restauración y purga de eliminados
+const PapeleraService = require('./PapeleraService');
+
+// Servicio de grupos familiares y corporativos
+// PATRÓN: Service Layer - Capa de servicio para miembros, pagador y condiciones de grupo
+const GrupoService = require('./GrupoService');
+
+// Servicio del programa de referidos
+// PATRÓN: Service Layer - Capa de servicio para referencias y créditos por referido
+const ReferidoService = require('./ReferidoService');
+
+// Servicio de retención de clientes
+// PATRÓN: Service Layer - Capa de servicio para el puntaje de riesgo de abandono
+const RetencionService = require('./RetencionService');
+
+// Servicio de privacidad de datos personales
+// PATRÓN: Service Layer - Capa de servicio para la exportación y anonimización de clientes
+const PrivacidadService = require('./PrivacidadService');
+
+// Servicio de interacciones con clientes
+// PATRÓN: Service Layer - Capa de servicio para notas de contacto y línea de tiempo del cliente
+const InteraccionService = require('./InteraccionService');
+
+// Servicio de prospectos
+// PATRÓN: Service Layer - Capa de servicio para el embudo de prospectos y pases de prueba
+const ProspectoService = require('./ProspectoService');
+
+// Servicio de la biblioteca de ejercicios
+// PATRÓN: Service Layer - Capa de servicio para el catálogo de ejercicios y su uso en los planes
+const EjercicioService = require('./EjercicioService');
+
+// Servicio de sesiones de entrenamiento
+// PATRÓN: Service Layer - Capa de servicio para el registro de sesiones y récords personales
+const SesionEntrenamientoService = require('./SesionEntrenamientoService');
+
+// Servicio de lista de espera
+// PATRÓN: Service Layer - Capa de servicio para el cupo de los planes, la lista de espera y las promociones
+const ListaEsperaService = require('./ListaEsperaService');
+
+// Servicio generador de planes periodizados
+// PATRÓN: Service Layer - Capa de servicio para generar planes de varias semanas desde plantillas de progresión
+const GeneradorPlanesService = require('./GeneradorPlanesService');
+
+// Servicio de tarifas de los planes
+// PATRÓN: Service Layer - Capa de servicio para el catálogo de precios por duración y su historial
+const TarifaService = require('./TarifaService');
+
+// Servicio de vencimiento de contratos
+// PATRÓN: Service Layer - Tarea de mantenimiento que finaliza los contratos vencidos y guarda un resumen
+const VencimientoContratosService = require('./VencimientoContratosService');
+
+// Servicio de renovación automática de contratos
+// PATRÓN: Service Layer - Renueva los contratos vencidos con renovación automática y genera su pago pendiente
+const RenovacionContratosService = require('./RenovacionContratosService');
+
+// Servicio de documentos de contrato
+// PATRÓN: Service Layer - Genera el contrato imprimible (HTML, texto y PDF) desde plantillas editables
+const DocumentoContratoService = require('./DocumentoContratoService');
+
 // ===== EXPORTACIÓN DE SERVICIOS =====
 // PATRÓN: Module Pattern - Exporta un objeto con todos los servicios
 // PATRÓN: Registry - Registra todos los servicios disponibles
@@ -92,5 +160,39 @@ module.exports = {
     // Servicio financiero
     FinanzasService,
     // Servicio de reportes
-    ReportesService
+    ReportesService,
+    // Servicio de asistencias
+    AsistenciaService,
+    // Servicio de duplicados de clientes
+    ClienteDuplicadosService,
+    // Servicio de papelera
+    PapeleraService,
+    // Servicio de grupos
+    GrupoService,
+    // Servicio de referidos
+    ReferidoService,
+    // Servicio de retención
+    RetencionService,
+    // Servicio de privacidad
+    PrivacidadService,
+    // Servicio de interacciones (CRM)
+    InteraccionService,
+    // Servicio de prospectos
+    ProspectoService,
+    // Servicio de la biblioteca de ejercicios
+    EjercicioService,
+    // Servicio de sesiones de entrenamiento
+    SesionEntrenamientoService,
+    // Servicio de lista de espera
+    ListaEsperaService,
+    // Servicio generador de planes periodizados
+    GeneradorPlanesService,
+    // Servicio de tarifas de los planes
+    TarifaService,
+    // Servicio de vencimiento de contratos
+    VencimientoContratosService,
+    // Servicio de renovación automática de contratos
+    RenovacionContratosService,
+    // Servicio de documentos de contrato
+    DocumentoContratoService
 };
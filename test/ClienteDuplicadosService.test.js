@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const ClienteDuplicadosService = require('../services/ClienteDuplicadosService');
+
+const incluye = (lista, id) => lista.some(elemento => elemento.equals(id));
+
+/**
+ * Colección de grupos en memoria: admite los filtros y actualizaciones que usa la fusión
+ */
+const crearGrupos = (documentos) => {
+    const coincide = (grupo, filtro) => {
+        if (filtro.miembros && filtro.miembros.$in) {
+            return filtro.miembros.$in.some(id => incluye(grupo.miembros, id));
+        }
+        if (filtro.miembros) {
+            return incluye(grupo.miembros, filtro.miembros);
+        }
+        return grupo.pagadorId.equals(filtro.pagadorId);
+    };
+    return {
+        documentos,
+        find: filtro => ({ toArray: async () => documentos.filter(grupo => coincide(grupo, filtro)) }),
+        updateMany: async (filtro, { $addToSet, $pull, $set }) => {
+            const afectados = documentos.filter(grupo => coincide(grupo, filtro));
+            for (const grupo of afectados) {
+                if ($addToSet && !incluye(grupo.miembros, $addToSet.miembros)) {
+                    grupo.miembros.push($addToSet.miembros);
+                }
+                if ($pull) {
+                    grupo.miembros = grupo.miembros.filter(id => !id.equals($pull.miembros));
+                }
+                if ($set) {
+                    grupo.pagadorId = $set.pagadorId;
+                }
+            }
+            return { modifiedCount: afectados.length };
+        }
+    };
+};
+
+/**
+ * Crea el servicio sobre una base de datos en memoria con los grupos indicados
+ */
+const crearServicio = (conservado, duplicado, grupos) => {
+    const coleccionGrupos = crearGrupos(grupos);
+    const otra = {
+        countDocuments: async () => 0,
+        updateMany: async () => ({ modifiedCount: 0 }),
+        updateOne: async () => ({ modifiedCount: 0 }),
+        deleteMany: async () => ({ deletedCount: 0 }),
+        deleteOne: async () => ({ deletedCount: 1 }),
+        findOne: async () => null,
+        findOneAndUpdate: async () => null,
+        aggregate: () => ({ toArray: async () => [] })
+    };
+    const db = {
+        collection: nombre => (nombre === 'grupos' ? coleccionGrupos : otra),
+        client: {
+            startSession: () => ({
+                withTransaction: operacion => operacion(),
+                endSession: async () => {}
+            })
+        }
+    };
+    const servicio = new ClienteDuplicadosService(db);
+    const clientes = [conservado, duplicado];
+    servicio.clienteRepository = { getById: async id => clientes.find(cliente => cliente.clienteId.equals(id)) };
+    return { servicio, grupos: coleccionGrupos.documentos };
+};
+
+const crearCliente = (nombre) => ({
+    clienteId: new ObjectId(),
+    planes: [],
+    email: `${nombre.toLowerCase()}@mail.com`,
+    getNombreCompleto: () => nombre
+});
+
+test('fusionarClientes pasa al conservado la membresía y el pago del grupo del duplicado', async () => {
+    const conservado = crearCliente('Ana');
+    const duplicado = crearCliente('Anita');
+    const miembro = new ObjectId();
+    const grupo = { nombre: 'Familia Pérez', pagadorId: duplicado.clienteId, miembros: [duplicado.clienteId, miembro] };
+    const { servicio, grupos } = crearServicio(conservado, duplicado, [grupo]);
+
+    const resultado = await servicio.fusionarClientes(conservado.clienteId, duplicado.clienteId);
+
+    assert.equal(resultado.data.gruposCorregidos, 1);
+    assert.ok(grupos[0].pagadorId.equals(conservado.clienteId));
+    assert.ok(incluye(grupos[0].miembros, conservado.clienteId));
+    assert.ok(!incluye(grupos[0].miembros, duplicado.clienteId));
+    assert.ok(incluye(grupos[0].miembros, miembro));
+});
+
+test('fusionarClientes admite clientes del mismo grupo', async () => {
+    const conservado = crearCliente('Ana');
+    const duplicado = crearCliente('Anita');
+    const grupo = { nombre: 'Familia Pérez', pagadorId: conservado.clienteId, miembros: [conservado.clienteId, duplicado.clienteId] };
+    const { servicio, grupos } = crearServicio(conservado, duplicado, [grupo]);
+
+    await servicio.fusionarClientes(conservado.clienteId, duplicado.clienteId);
+
+    assert.equal(grupos[0].miembros.length, 1);
+    assert.ok(grupos[0].miembros[0].equals(conservado.clienteId));
+});
+
+test('fusionarClientes rechaza clientes de grupos distintos sin modificar los grupos', async () => {
+    const conservado = crearCliente('Ana');
+    const duplicado = crearCliente('Anita');
+    const { servicio, grupos } = crearServicio(conservado, duplicado, [
+        { nombre: 'Familia Pérez', pagadorId: conservado.clienteId, miembros: [conservado.clienteId] },
+        { nombre: 'Empresa Sur', pagadorId: duplicado.clienteId, miembros: [duplicado.clienteId] }
+    ]);
+
+    await assert.rejects(
+        () => servicio.fusionarClientes(conservado.clienteId, duplicado.clienteId),
+        /pertenecen a grupos distintos \(Familia Pérez y Empresa Sur\)/
+    );
+    assert.ok(grupos[1].miembros[0].equals(duplicado.clienteId));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClienteService = require('../services/ClienteService');
+
+// Base de datos mínima: parsearCSV no accede a las colecciones
+const db = { collection: () => ({}) };
+const servicio = new ClienteService(db);
+
+test('parsearCSV usa la primera fila como cabecera', () => {
+    const registros = servicio.parsearCSV('nombre,apellido,email\nAna,Pérez,ana@mail.com\nLuis,Gómez,luis@mail.com\n');
+
+    assert.deepEqual(registros, [
+        { nombre: 'Ana', apellido: 'Pérez', email: 'ana@mail.com' },
+        { nombre: 'Luis', apellido: 'Gómez', email: 'luis@mail.com' }
+    ]);
+});
+
+test('parsearCSV detecta el separador punto y coma y los finales de línea CRLF', () => {
+    const registros = servicio.parsearCSV('nombre;email\r\nAna;ana@mail.com\r\n\r\nLuis;luis@mail.com');
+
+    assert.equal(registros.length, 2);
+    assert.equal(registros[1].email, 'luis@mail.com');
+});
+
+test('parsearCSV conserva separadores y comillas escapadas dentro de un campo', () => {
+    const [registro] = servicio.parsearCSV('nombre,notas\n"Pérez, Ana","Dice ""hola"""');
+
+    assert.equal(registro.nombre, 'Pérez, Ana');
+    assert.equal(registro.notas, 'Dice "hola"');
+});
+
+test('parsearCSV admite saltos de línea dentro de un campo entre comillas', () => {
+    const registros = servicio.parsearCSV(
+        'nombre,direccion,email\n"Ana","Calle 1\nPiso 2",ana@mail.com\nLuis,Calle 3,luis@mail.com'
+    );
+
+    assert.equal(registros.length, 2);
+    assert.equal(registros[0].direccion, 'Calle 1\nPiso 2');
+    assert.equal(registros[0].email, 'ana@mail.com');
+    assert.equal(registros[1].nombre, 'Luis');
+});
+
+test('parsearCSV rechaza archivos sin filas de datos o con comillas sin cerrar', () => {
+    assert.throws(() => servicio.parsearCSV('nombre,email\n'), /al menos una fila de datos/);
+    assert.throws(() => servicio.parsearCSV('nombre,email\n"Ana,ana@mail.com'), /sin cerrar/);
+});
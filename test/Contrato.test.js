@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+const { Contrato } = require('../models');
+
+const hoy = () => dayjs().startOf('day');
+
+/**
+ * Crea un contrato vigente que empezó hace `diasTranscurridos` días
+ */
+const crearContrato = ({ diasTranscurridos = 10, duracionMeses = 3, ...datos } = {}) => {
+    const fechaInicio = hoy().subtract(diasTranscurridos, 'day');
+    return new Contrato({
+        clienteId: new ObjectId(),
+        planId: new ObjectId(),
+        condiciones: 'Condiciones de prueba del contrato',
+        duracionMeses,
+        precio: 300,
+        fechaInicio: fechaInicio.toDate(),
+        fechaFin: fechaInicio.add(duracionMeses, 'month').toDate(),
+        maxDiasCongelamiento: 30,
+        ...datos
+    });
+};
+
+test('congelar suspende el contrato y extiende la fecha de fin por los días congelados', () => {
+    const contrato = crearContrato();
+    const fechaFinOriginal = dayjs(contrato.fechaFin);
+
+    const congelamiento = contrato.congelar({ fechaFin: hoy().add(10, 'day').toDate(), motivo: 'Viaje' });
+
+    assert.equal(congelamiento.dias, 10);
+    assert.equal(contrato.estado, 'suspendido');
+    assert.equal(dayjs(contrato.fechaFin).diff(fechaFinOriginal, 'day'), 10);
+    assert.equal(contrato.getDiasCongelados(), 10);
+    assert.equal(contrato.getDiasCongelamientoDisponibles(), 20);
+    assert.equal(contrato.getCongelamientoActivo(), congelamiento);
+});
+
+test('congelar respeta el máximo de días del contrato y exige un contrato vigente', () => {
+    assert.throws(
+        () => crearContrato().congelar({ fechaFin: hoy().add(31, 'day').toDate(), motivo: 'Lesión' }),
+        /solo tiene 30 disponibles/
+    );
+    assert.throws(
+        () => crearContrato({ maxDiasCongelamiento: null }).congelar({ fechaFin: hoy().add(1, 'day').toDate(), motivo: 'Lesión' }),
+        /solo tiene 0 disponibles/
+    );
+    assert.throws(
+        () => crearContrato({ estado: 'cancelado' }).congelar({ fechaFin: hoy().add(5, 'day').toDate(), motivo: 'Lesión' }),
+        /Solo se pueden congelar contratos vigentes/
+    );
+    assert.throws(
+        () => crearContrato().congelar({ fechaInicio: hoy().add(1, 'day').toDate(), fechaFin: hoy().add(5, 'day').toDate(), motivo: 'Lesión' }),
+        /fecha futura/
+    );
+});
+
+test('descongelar antes de lo previsto devuelve los días no usados', () => {
+    const contrato = crearContrato();
+    const fechaFinOriginal = dayjs(contrato.fechaFin);
+    contrato.congelar({
+        fechaInicio: hoy().subtract(4, 'day').toDate(),
+        fechaFin: hoy().add(6, 'day').toDate(),
+        motivo: 'Viaje'
+    });
+
+    const congelamiento = contrato.descongelar();
+
+    assert.equal(contrato.estado, 'vigente');
+    assert.equal(congelamiento.dias, 4);
+    assert.ok(dayjs(congelamiento.fechaReanudacion).isSame(hoy()));
+    assert.equal(dayjs(contrato.fechaFin).diff(fechaFinOriginal, 'day'), 4);
+    assert.equal(contrato.getDiasCongelamientoDisponibles(), 26);
+    assert.equal(contrato.getCongelamientoActivo(), null);
+});
+
+test('descongelar rechaza contratos no congelados y fechas futuras', () => {
+    const contrato = crearContrato();
+    assert.throws(() => contrato.descongelar(), /no está congelado/);
+
+    contrato.congelar({ fechaFin: hoy().add(5, 'day').toDate(), motivo: 'Viaje' });
+    assert.throws(() => contrato.descongelar(hoy().add(1, 'day').toDate()), /no puede ser futura/);
+});
+
+test('solo una renovación puede empezar más de un día en el futuro', () => {
+    const inicio = hoy().add(5, 'day');
+    const datos = {
+        clienteId: new ObjectId(),
+        planId: new ObjectId(),
+        condiciones: 'Condiciones de prueba del contrato',
+        duracionMeses: 1,
+        precio: 100,
+        fechaInicio: inicio.toDate(),
+        fechaFin: inicio.add(1, 'month').toDate()
+    };
+
+    assert.throws(() => new Contrato(datos), /más de 1 día en el futuro/);
+    const renovacion = new Contrato({ ...datos, contratoAnteriorId: new ObjectId() });
+    assert.equal(renovacion.toMongoObject().contratoAnteriorId, renovacion.contratoAnteriorId);
+});
+
+test('repartirMonto reparte en centavos y la última parte absorbe el redondeo', () => {
+    assert.deepEqual(Contrato.repartirMonto(100, 3), [33.33, 33.33, 33.34]);
+    assert.deepEqual(Contrato.repartirMonto(300, 3), [100, 100, 100]);
+    assert.deepEqual(Contrato.repartirMonto(50, 1), [50]);
+});
+
+test('armarCronogramaPagos al contado cobra el total al inicio', () => {
+    const contrato = crearContrato();
+
+    const cronograma = contrato.armarCronogramaPagos();
+
+    assert.equal(cronograma.modalidad, 'contado');
+    assert.deepEqual(cronograma.cuotas, [{ numero: 1, monto: 300, fechaVencimiento: contrato.fechaInicio }]);
+});
+
+test('armarCronogramaPagos mensual arma una cuota por mes desde el inicio', () => {
+    const contrato = crearContrato({ precio: 100 });
+
+    const { cuotas } = contrato.armarCronogramaPagos('mensual');
+
+    assert.deepEqual(cuotas.map(cuota => cuota.monto), [33.33, 33.33, 33.34]);
+    assert.deepEqual(cuotas.map(cuota => cuota.numero), [1, 2, 3]);
+    cuotas.forEach((cuota, index) => {
+        assert.ok(dayjs(cuota.fechaVencimiento).isSame(dayjs(contrato.fechaInicio).add(index, 'month')));
+    });
+});
+
+test('armarCronogramaPagos personalizado reparte el resto entre las cuotas sin monto', () => {
+    const contrato = crearContrato();
+    const inicio = dayjs(contrato.fechaInicio);
+
+    const { cuotas } = contrato.armarCronogramaPagos('personalizado', [
+        { fechaVencimiento: inicio.add(60, 'day').toDate() },
+        { fechaVencimiento: inicio.toDate(), monto: 100 },
+        { fechaVencimiento: inicio.add(30, 'day').toDate() }
+    ]);
+
+    assert.deepEqual(cuotas.map(cuota => cuota.monto), [100, 100, 100]);
+    assert.deepEqual(cuotas.map(cuota => cuota.numero), [1, 2, 3]);
+    assert.ok(dayjs(cuotas[0].fechaVencimiento).isSame(inicio));
+    assert.ok(dayjs(cuotas[2].fechaVencimiento).isSame(inicio.add(60, 'day')));
+});
+
+test('armarCronogramaPagos personalizado valida fechas y montos', () => {
+    const contrato = crearContrato();
+    const inicio = dayjs(contrato.fechaInicio);
+
+    assert.throws(() => contrato.armarCronogramaPagos('personalizado', []), /al menos una cuota/);
+    assert.throws(
+        () => contrato.armarCronogramaPagos('personalizado', [{ fechaVencimiento: inicio.subtract(1, 'day').toDate() }]),
+        /dentro del período del contrato/
+    );
+    assert.throws(
+        () => contrato.armarCronogramaPagos('personalizado', [
+            { fechaVencimiento: inicio.toDate(), monto: 300 },
+            { fechaVencimiento: inicio.add(30, 'day').toDate() }
+        ]),
+        /ya cubren el precio/
+    );
+    assert.throws(
+        () => contrato.armarCronogramaPagos('personalizado', [{ fechaVencimiento: inicio.toDate(), monto: 200 }]),
+        /Las cuotas suman 200/
+    );
+    assert.throws(() => contrato.armarCronogramaPagos('semanal'), /Modalidad de pago debe ser una de/);
+});
+
+test('calcularProrrateoCambioPlan usa el precio diario y los días restantes de un contrato sin congelar', () => {
+    const contrato = crearContrato({
+        diasTranscurridos: 20,
+        fechaFin: hoy().add(10, 'day').toDate()
+    });
+
+    const prorrateo = contrato.calcularProrrateoCambioPlan(600);
+
+    assert.equal(prorrateo.diasRestantes, 10);
+    assert.equal(prorrateo.precioDiarioActual, 10);
+    assert.equal(prorrateo.precioDiarioNuevo, 20);
+    assert.equal(prorrateo.credito, 100);
+    assert.equal(prorrateo.cargo, 200);
+    assert.equal(prorrateo.ajuste, 100);
+});
+
+test('calcularProrrateoCambioPlan no cobra ni acredita los días congelados', () => {
+    // 300 por 30 días de servicio, congelado 10 días y cambiado de plan el día 20
+    const inicio = hoy().subtract(20, 'day');
+    const contrato = crearContrato({
+        diasTranscurridos: 20,
+        fechaFin: inicio.add(40, 'day').toDate(),
+        congelamientos: [{
+            fechaInicio: inicio.add(5, 'day').toDate(),
+            fechaFin: inicio.add(15, 'day').toDate(),
+            fechaReanudacion: inicio.add(15, 'day').toDate(),
+            motivo: 'Viaje',
+            dias: 10
+        }]
+    });
+
+    const prorrateo = contrato.calcularProrrateoCambioPlan(600);
+
+    assert.equal(contrato.getDiasServicio(), 30);
+    assert.equal(prorrateo.diasRestantes, 20);
+    assert.equal(prorrateo.credito, 200);
+    assert.equal(prorrateo.cargo, 400);
+    assert.equal(prorrateo.ajuste, 200);
+});
+
+test('calcularProrrateoCambioPlan descuenta los días de un congelamiento en curso', () => {
+    const contrato = crearContrato({ diasTranscurridos: 10, fechaFin: hoy().add(20, 'day').toDate() });
+    contrato.congelar({ fechaFin: hoy().add(5, 'day').toDate(), motivo: 'Viaje' });
+
+    const prorrateo = contrato.calcularProrrateoCambioPlan(600);
+
+    assert.equal(contrato.getDiasServicio(), 30);
+    assert.equal(prorrateo.diasRestantes, 20);
+    assert.equal(prorrateo.credito, 200);
+    assert.equal(prorrateo.cargo, 400);
+});
+
+test('cambiarPlan suma el ajuste al precio y el próximo cambio prorratea con el precio del plan nuevo', () => {
+    const contrato = crearContrato({ diasTranscurridos: 20, fechaFin: hoy().add(10, 'day').toDate() });
+
+    const cambio = contrato.cambiarPlan({ planId: new ObjectId(), precioPlanNuevo: 600, motivo: 'Upgrade' });
+
+    assert.equal(cambio.ajuste, 100);
+    assert.equal(contrato.precio, 400);
+    assert.equal(contrato.getTotalAjustesCambioPlan(), 100);
+    assert.equal(contrato.calcularProrrateoCambioPlan(300).precioDiarioActual, 20);
+    assert.throws(
+        () => contrato.cambiarPlan({ planId: contrato.planId, precioPlanNuevo: 300 }),
+        /ya está en ese plan/
+    );
+});
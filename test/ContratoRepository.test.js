@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const ContratoRepository = require('../repositories/ContratoRepository');
+
+/**
+ * Crea un repositorio sobre una colección que registra los filtros de búsqueda
+ */
+const crearRepositorio = () => {
+    const filtros = [];
+    const cursor = { sort: () => cursor, toArray: async () => [] };
+    const db = {
+        collection: () => ({
+            find: filtro => {
+                filtros.push(filtro);
+                return cursor;
+            }
+        })
+    };
+    return { repositorio: new ContratoRepository(db), filtros };
+};
+
+test('getActiveContractsByClient solo busca contratos vigentes', async () => {
+    const { repositorio, filtros } = crearRepositorio();
+    const clienteId = new ObjectId();
+
+    await repositorio.getActiveContractsByClient(clienteId);
+
+    assert.deepEqual(filtros, [{ clienteId, estado: 'vigente' }]);
+});
+
+test('getActiveOrFrozenContractsByClient incluye los contratos congelados', async () => {
+    const { repositorio, filtros } = crearRepositorio();
+    const clienteId = new ObjectId();
+
+    await repositorio.getActiveOrFrozenContractsByClient(clienteId);
+
+    assert.deepEqual(filtros, [{ clienteId, estado: { $in: ['vigente', 'suspendido'] } }]);
+    await assert.rejects(() => repositorio.getActiveOrFrozenContractsByClient('no-es-un-id'), /no es válido/);
+});
+
+test('getContractsToRenew incluye los congelados con renovación automática dentro de la ventana', async () => {
+    const { repositorio, filtros } = crearRepositorio();
+    const fechaLimite = new Date();
+
+    await repositorio.getContractsToRenew(fechaLimite);
+
+    const [{ $or: [vencidos, porRenovar] }] = filtros;
+    assert.equal(vencidos.estado, 'vigente');
+    assert.deepEqual(porRenovar, {
+        estado: { $in: ['vigente', 'suspendido'] },
+        renovacionAutomatica: true,
+        fechaFin: { $lt: fechaLimite }
+    });
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+const { Contrato } = require('../models');
+const ContratoService = require('../services/ContratoService');
+
+// Base de datos mínima: las transacciones ejecutan la operación directamente
+const db = {
+    collection: () => ({}),
+    client: {
+        startSession: () => ({
+            withTransaction: operacion => operacion(),
+            endSession: async () => {}
+        })
+    }
+};
+
+/**
+ * Crea un servicio con el contrato indicado y repositorios en memoria
+ * Devuelve el servicio y los contratos creados
+ */
+const crearServicio = (contrato, precio) => {
+    const servicio = new ContratoService(db);
+    const creados = [];
+    servicio.contratoRepository = {
+        getById: async () => contrato,
+        update: async () => true,
+        create: async nuevo => {
+            creados.push(nuevo);
+            return new ObjectId();
+        }
+    };
+    servicio.planRepository = { getById: async () => null };
+    servicio.tarifaService = { cotizarPrecio: async () => ({ precio, tarifaId: new ObjectId() }) };
+    servicio.finanzasService = {
+        cancelarCuotasPendientes: async () => 0,
+        registrarCuotasContrato: async () => []
+    };
+    return { servicio, creados };
+};
+
+/**
+ * Crea un contrato de 3 meses que empezó hace 80 días con el cronograma indicado
+ */
+const crearContrato = (modalidad, cuotas = []) => {
+    const inicio = dayjs().startOf('day').subtract(80, 'day');
+    const contrato = new Contrato({
+        contratoId: new ObjectId(),
+        clienteId: new ObjectId(),
+        planId: new ObjectId(),
+        condiciones: 'Condiciones de prueba del contrato',
+        duracionMeses: 3,
+        precio: 300,
+        fechaInicio: inicio.toDate(),
+        fechaFin: inicio.add(3, 'month').toDate()
+    });
+    contrato.armarCronogramaPagos(modalidad, cuotas.map(cuota => ({
+        ...cuota,
+        fechaVencimiento: inicio.add(cuota.dias, 'day').toDate()
+    })));
+    return contrato;
+};
+
+const renovar = (servicio, contrato, datos = {}) => {
+    const inicio = dayjs(contrato.fechaFin);
+    return servicio.renovarContrato(contrato.contratoId, {
+        duracionMeses: 3,
+        fechaInicio: inicio.toDate(),
+        fechaFin: inicio.add(3, 'month').toDate(),
+        ...datos
+    });
+};
+
+test('renovarContrato traslada un cronograma personalizado al nuevo período y al nuevo precio', async () => {
+    const contrato = crearContrato('personalizado', [
+        { dias: 0, monto: 150 },
+        { dias: 30, monto: 90 },
+        { dias: 60 }
+    ]);
+    const { servicio, creados } = crearServicio(contrato, 400);
+
+    const renovacion = await renovar(servicio, contrato);
+
+    const [nuevo] = creados;
+    const inicio = dayjs(nuevo.fechaInicio);
+    assert.equal(renovacion.precio, 400);
+    assert.equal(nuevo.cronogramaPagos.modalidad, 'personalizado');
+    assert.deepEqual(nuevo.cronogramaPagos.cuotas.map(cuota => cuota.monto), [200, 120, 80]);
+    assert.deepEqual(
+        nuevo.cronogramaPagos.cuotas.map(cuota => dayjs(cuota.fechaVencimiento).diff(inicio, 'day')),
+        [0, 30, 60]
+    );
+    assert.ok(nuevo.contratoAnteriorId.equals(contrato.contratoId));
+});
+
+test('renovarContrato vence en el fin del período las cuotas trasladadas que lo superan', async () => {
+    const contrato = crearContrato('personalizado', [{ dias: 0 }, { dias: 85 }]);
+    const { servicio, creados } = crearServicio(contrato, 300);
+
+    await renovar(servicio, contrato, {
+        duracionMeses: 1,
+        fechaFin: dayjs(contrato.fechaFin).add(1, 'month').toDate()
+    });
+
+    const [nuevo] = creados;
+    assert.deepEqual(nuevo.cronogramaPagos.cuotas.map(cuota => cuota.monto), [150, 150]);
+    assert.ok(dayjs(nuevo.cronogramaPagos.cuotas[1].fechaVencimiento).isSame(nuevo.fechaFin, 'day'));
+});
+
+test('renovarContrato usa las cuotas indicadas y mantiene las demás modalidades', async () => {
+    const personalizado = crearContrato('personalizado', [{ dias: 0 }, { dias: 30 }]);
+    const inicio = dayjs(personalizado.fechaFin);
+    const conCuotas = crearServicio(personalizado, 300);
+
+    await renovar(conCuotas.servicio, personalizado, {
+        cuotas: [{ fechaVencimiento: inicio.toDate(), monto: 100 }, { fechaVencimiento: inicio.add(10, 'day').toDate() }]
+    });
+    assert.deepEqual(conCuotas.creados[0].cronogramaPagos.cuotas.map(cuota => cuota.monto), [100, 200]);
+
+    const mensual = crearContrato('mensual');
+    const renovacionMensual = crearServicio(mensual, 300);
+    await renovar(renovacionMensual.servicio, mensual);
+    assert.equal(renovacionMensual.creados[0].cronogramaPagos.modalidad, 'mensual');
+    assert.equal(renovacionMensual.creados[0].cronogramaPagos.cuotas.length, 3);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+const { Contrato } = require('../models');
+const DocumentoContratoService = require('../services/DocumentoContratoService');
+
+const inicio = dayjs().startOf('day');
+const contrato = new Contrato({
+    clienteId: new ObjectId(),
+    planId: new ObjectId(),
+    condiciones: 'Incluye evaluación (inicial) y acceso a sala\\musculación',
+    duracionMeses: 1,
+    precio: 100,
+    fechaInicio: inicio.toDate(),
+    fechaFin: inicio.add(1, 'month').toDate()
+});
+const cliente = {
+    email: 'ana@mail.com',
+    telefono: '1122334455',
+    getNombreCompleto: () => 'Ana O\'Brien <Pérez> & "Hijos"'
+};
+const plan = { nombre: 'Fuerza & <Potencia> \'Pro\'', nivel: 'intermedio', duracionSemanas: 4, metasFisicas: 'Ganar fuerza' };
+
+/**
+ * Genera el documento del contrato en una carpeta temporal y devuelve el contenido de cada archivo
+ */
+const generar = async (formatos) => {
+    const servicio = new DocumentoContratoService({ collection: () => ({}) });
+    servicio.contratoRepository = { getById: async () => contrato };
+    servicio.clienteRepository = { getById: async () => cliente };
+    servicio.planRepository = { getById: async () => plan };
+    servicio.directorioPlantillas = path.join(__dirname, '..', 'plantillas', 'contratos');
+    servicio.directorioExportacion = fs.mkdtempSync(path.join(os.tmpdir(), 'contratos-'));
+
+    try {
+        const resultado = await servicio.generarDocumento(contrato.contratoId, { formatos });
+        const contenidos = {};
+        for (const [formato, ruta] of Object.entries(resultado.data.archivos)) {
+            contenidos[formato] = fs.readFileSync(ruta);
+        }
+        return { resultado, contenidos };
+    } finally {
+        fs.rmSync(servicio.directorioExportacion, { recursive: true, force: true });
+    }
+};
+
+test('el documento HTML escapa comillas, < y & en los nombres del cliente y del plan', async () => {
+    const { resultado, contenidos } = await generar(['html']);
+    const html = contenidos.html.toString('utf8');
+
+    assert.deepEqual(resultado.data.marcadoresSinValor, []);
+    assert.ok(html.includes('Ana O&#39;Brien &lt;Pérez&gt; &amp; &quot;Hijos&quot;'));
+    assert.ok(html.includes('Fuerza &amp; &lt;Potencia&gt; &#39;Pro&#39;'));
+    assert.ok(!html.includes('<Pérez>'));
+    assert.ok(!html.includes('O\'Brien'));
+});
+
+test('el documento de texto conserva los nombres sin escapar', async () => {
+    const { contenidos } = await generar(['txt']);
+    const texto = contenidos.txt.toString('utf8');
+
+    assert.ok(texto.includes('Ana O\'Brien <Pérez> & "Hijos"'));
+    assert.ok(texto.includes('Plan: Fuerza & <Potencia> \'Pro\' (nivel intermedio)'));
+});
+
+test('el PDF incluye el texto en WinAnsi con paréntesis y barras escapados', async () => {
+    const { contenidos } = await generar(['pdf']);
+    const pdf = contenidos.pdf.toString('latin1');
+
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+    assert.ok(pdf.includes('Ana O\'Brien <Pérez> & "Hijos"'));
+    assert.ok(pdf.includes('Plan: Fuerza & <Potencia> \'Pro\' \\(nivel intermedio\\)'));
+    assert.ok(pdf.includes('evaluación \\(inicial\\) y acceso a sala\\\\musculación'));
+    assert.ok(pdf.includes(`/Title (Contrato ${contrato.contratoId})`));
+});
+
+test('el índice del PDF apunta al inicio de cada objeto', async () => {
+    const { contenidos } = await generar(['pdf']);
+    const pdf = contenidos.pdf.toString('latin1');
+
+    const inicioIndice = Number(pdf.match(/startxref\n(\d+)\n/)[1]);
+    assert.ok(pdf.startsWith('xref\n', inicioIndice));
+    const posiciones = [...pdf.slice(inicioIndice).matchAll(/^(\d{10}) 00000 n $/gm)].map(coincidencia => Number(coincidencia[1]));
+    assert.ok(posiciones.length >= 6);
+    posiciones.forEach((posicion, indice) => {
+        assert.ok(pdf.startsWith(`${indice + 1} 0 obj\n`, posicion));
+    });
+    assert.match(pdf, new RegExp(`/Size ${posiciones.length + 1} `));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { Grupo, Contrato } = require('../models');
+
+const crearGrupo = (datos = {}) => new Grupo({
+    nombre: 'Familia Pérez',
+    tipo: 'familiar',
+    pagadorId: new ObjectId(),
+    descuentoPorcentaje: 15,
+    ...datos
+});
+
+test('el pagador siempre forma parte de los miembros del grupo', () => {
+    const grupo = crearGrupo();
+
+    assert.equal(grupo.miembros.length, 1);
+    assert.ok(grupo.esMiembro(grupo.pagadorId));
+    assert.ok(grupo.esPagador(grupo.pagadorId.toString()));
+});
+
+test('aplicarDescuento redondea el precio con descuento a 2 decimales', () => {
+    const grupo = crearGrupo({ descuentoPorcentaje: 15 });
+
+    assert.equal(grupo.aplicarDescuento(100), 85);
+    assert.equal(grupo.aplicarDescuento(33.33), 28.33);
+    assert.equal(crearGrupo({ descuentoPorcentaje: 0 }).aplicarDescuento(59.99), 59.99);
+});
+
+test('no se puede retirar al pagador ni designar pagador a quien no es miembro', () => {
+    const grupo = crearGrupo();
+    const externo = new ObjectId();
+
+    assert.throws(() => grupo.removerMiembro(grupo.pagadorId), /Designe otro pagador/);
+    assert.throws(() => grupo.designarPagador(externo), /debe ser miembro/);
+
+    grupo.agregarMiembro(externo);
+    grupo.designarPagador(externo.toString());
+    assert.ok(grupo.esPagador(externo));
+});
+
+test('el contrato facturado al pagador del grupo lo toma como responsable del pago', () => {
+    const grupo = crearGrupo({ descuentoPorcentaje: 20 });
+    const clienteId = new ObjectId();
+    const contrato = new Contrato({
+        clienteId,
+        planId: new ObjectId(),
+        condiciones: 'Condiciones de prueba del contrato',
+        duracionMeses: 1,
+        precio: grupo.aplicarDescuento(100),
+        facturacionGrupo: {
+            grupoId: grupo.grupoId,
+            nombreGrupo: grupo.nombre,
+            precioLista: 100,
+            descuentoPorcentaje: grupo.descuentoPorcentaje,
+            pagadorId: grupo.pagadorId
+        }
+    });
+
+    assert.equal(contrato.precio, 80);
+    assert.equal(contrato.getResponsablePagoId(), grupo.pagadorId);
+    assert.throws(() => new Contrato({
+        clienteId,
+        planId: new ObjectId(),
+        condiciones: 'Condiciones de prueba del contrato',
+        duracionMeses: 1,
+        precio: 120,
+        facturacionGrupo: { grupoId: grupo.grupoId, precioLista: 100, descuentoPorcentaje: 20 }
+    }), /mayor o igual al precio del contrato/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { Pago } = require('../models');
+
+const crearPago = (datos = {}) => new Pago({
+    clienteId: new ObjectId(),
+    monto: 80,
+    metodoPago: 'efectivo',
+    ...datos
+});
+
+test('los descuentos se suman al monto cobrado para obtener el monto bruto', () => {
+    const pago = crearPago({
+        monto: 80.004,
+        descuentos: [
+            { concepto: 'Crédito por referido', monto: 15.004 },
+            { concepto: ' Promoción ', monto: 5 }
+        ]
+    });
+
+    assert.equal(pago.monto, 80);
+    assert.equal(pago.getTotalDescuentos(), 20);
+    assert.equal(pago.getMontoBruto(), 100);
+    assert.equal(pago.descuentos[1].concepto, 'Promoción');
+    assert.equal(pago.descuentos[0].referenciaId, null);
+});
+
+test('un pago cubierto por completo con descuentos puede quedar en 0', () => {
+    const pago = crearPago({ monto: 0, descuentos: [{ concepto: 'Crédito por referido', monto: 50 }] });
+
+    assert.equal(pago.monto, 0);
+    assert.equal(pago.getMontoBruto(), 50);
+    assert.throws(() => crearPago({ monto: 0 }), /mayor a 0/);
+});
+
+test('los descuentos deben tener concepto, monto positivo y aplicarse solo a ingresos', () => {
+    assert.throws(() => crearPago({ descuentos: [{ monto: 10 }] }), /concepto/);
+    assert.throws(() => crearPago({ descuentos: [{ concepto: 'Crédito', monto: 0 }] }), /mayor a 0/);
+    assert.throws(
+        () => crearPago({ tipoMovimiento: 'egreso', descuentos: [{ concepto: 'Crédito', monto: 10 }] }),
+        /Solo los ingresos/
+    );
+});
+
+test('un pago sin descuentos tiene monto bruto igual al cobrado', () => {
+    const pago = crearPago({ monto: 45.5 });
+
+    assert.equal(pago.getTotalDescuentos(), 0);
+    assert.equal(pago.getMontoBruto(), 45.5);
+});
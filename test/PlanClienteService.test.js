@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const PlanClienteService = require('../services/PlanClienteService');
+
+// Base de datos mínima: sin seguimientos y las transacciones ejecutan la operación directamente
+const db = {
+    collection: () => ({ find: () => ({ sort: () => ({ toArray: async () => [] }), toArray: async () => [] }) }),
+    client: {
+        startSession: () => ({
+            withTransaction: operacion => operacion(),
+            endSession: async () => {}
+        })
+    }
+};
+
+const cliente = {
+    clienteId: new ObjectId(),
+    nivel: 'principiante',
+    tieneRiesgoSinResolver: () => false,
+    tieneParq: () => true,
+    getNombreCompleto: () => 'Ana Pérez'
+};
+const plan = {
+    planId: new ObjectId(),
+    nombre: 'Fuerza',
+    version: 1,
+    estaActivo: () => true,
+    esCompatibleConNivel: () => true
+};
+
+/**
+ * Crea un servicio con repositorios en memoria que registran las operaciones
+ * @param {Array} contratos - Contratos activos del cliente
+ */
+const crearServicio = (contratos = []) => {
+    const servicio = new PlanClienteService(db);
+    const registro = { creados: [], cancelados: [], cuotasRegistradas: [], cuotasCanceladas: [] };
+    servicio.clienteRepository = {
+        getById: async () => cliente,
+        clientHasPlan: async () => true,
+        addPlanToClient: async () => true,
+        removePlanFromClient: async () => true
+    };
+    servicio.planRepository = {
+        getById: async () => plan,
+        addClientToPlan: async () => true,
+        removeClientFromPlan: async () => true
+    };
+    servicio.contratoRepository = {
+        getContractsByClientAndPlan: async () => [],
+        getActiveContractsByClient: async () => contratos.filter(contrato => contrato.estado === 'vigente'),
+        getActiveOrFrozenContractsByClient: async () => contratos.filter(contrato => ['vigente', 'suspendido'].includes(contrato.estado)),
+        create: async contrato => {
+            registro.creados.push(contrato);
+            return contrato.contratoId;
+        },
+        cancelContract: async contratoId => registro.cancelados.push(contratoId)
+    };
+    servicio.tarifaService = { cotizarPrecio: async () => ({ precio: 300, tarifaId: new ObjectId() }) };
+    servicio.listaEsperaService = {
+        asegurarCupo: async () => {},
+        registrarInscripcion: async () => false,
+        liberarCupo: async () => []
+    };
+    servicio.referidoService = { acreditarPorPrimerContrato: async () => null };
+    servicio.finanzasService = {
+        registrarCuotasContrato: async contrato => registro.cuotasRegistradas.push(...contrato.cronogramaPagos.cuotas),
+        cancelarCuotasPendientes: async (contratoId, motivo, { desde }) => {
+            registro.cuotasCanceladas.push({ contratoId, motivo, desde });
+            return { cantidad: 1, monto: 100 };
+        }
+    };
+    return { servicio, registro };
+};
+
+test('asociarPlanACliente arma el cronograma del contrato automático y registra sus cuotas', async () => {
+    const { servicio, registro } = crearServicio();
+
+    await servicio.asociarPlanACliente(cliente.clienteId, plan.planId, { duracionMeses: 3, modalidadPago: 'mensual' });
+
+    const [contrato] = registro.creados;
+    assert.equal(contrato.cronogramaPagos.modalidad, 'mensual');
+    assert.deepEqual(registro.cuotasRegistradas.map(cuota => cuota.monto), [100, 100, 100]);
+});
+
+test('asociarPlanACliente cobra al contado si no se indica la modalidad', async () => {
+    const { servicio, registro } = crearServicio();
+
+    await servicio.asociarPlanACliente(cliente.clienteId, plan.planId, {});
+
+    assert.equal(registro.creados[0].cronogramaPagos.modalidad, 'contado');
+    assert.deepEqual(registro.cuotasRegistradas.map(cuota => cuota.monto), [300]);
+});
+
+test('desasociarPlanDeCliente cancela el contrato del plan y sus cuotas a vencer', async () => {
+    const contrato = { contratoId: new ObjectId(), planId: plan.planId, estado: 'vigente' };
+    const { servicio, registro } = crearServicio([contrato]);
+
+    const resultado = await servicio.desasociarPlanDeCliente(cliente.clienteId, plan.planId, true);
+
+    assert.equal(resultado.contratoCancelado, true);
+    assert.deepEqual(registro.cancelados, [contrato.contratoId]);
+    assert.equal(registro.cuotasCanceladas.length, 1);
+    assert.equal(registro.cuotasCanceladas[0].contratoId, contrato.contratoId);
+    assert.match(registro.cuotasCanceladas[0].motivo, /desasociación del plan Fuerza/);
+});
+
+test('desasociarPlanDeCliente también cancela un contrato congelado del plan', async () => {
+    const contrato = { contratoId: new ObjectId(), planId: plan.planId, estado: 'suspendido' };
+    const { servicio, registro } = crearServicio([contrato]);
+
+    await assert.rejects(
+        () => servicio.desasociarPlanDeCliente(cliente.clienteId, plan.planId),
+        /contrato vigente o congelado con este plan/
+    );
+    const resultado = await servicio.desasociarPlanDeCliente(cliente.clienteId, plan.planId, true);
+
+    assert.equal(resultado.contratoCancelado, true);
+    assert.deepEqual(registro.cancelados, [contrato.contratoId]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { PlanEntrenamiento } = require('../models');
+
+const sentadilla = { ejercicioId: new ObjectId(), nombre: 'Sentadilla', series: 4, repeticiones: 8, carga: '60 kg', descansoSegundos: 90, notas: '' };
+const remo = { ejercicioId: new ObjectId(), nombre: 'Remo', series: 3, repeticiones: 10, carga: '', descansoSegundos: 60, notas: '' };
+const plancha = { ejercicioId: new ObjectId(), nombre: 'Plancha', series: 3, repeticiones: 30, carga: '', descansoSegundos: 45, notas: '' };
+
+const contenido = (semanas, datos = {}) => ({
+    nombre: 'Fuerza Base',
+    duracionSemanas: 8,
+    metasFisicas: 'Ganar fuerza',
+    nivel: 'intermedio',
+    semanas,
+    ...datos
+});
+const semana = (...dias) => ({ dias });
+const dia = (nombre, ejercicios, notas = '') => ({ nombre, ejercicios, notas });
+
+test('compararContenido no informa cambios entre versiones iguales', () => {
+    const version = () => contenido([semana(dia('Día A', [{ ...sentadilla }, { ...remo }]))]);
+
+    assert.deepEqual(PlanEntrenamiento.compararContenido(version(), version()), []);
+});
+
+test('compararContenido describe los cambios de los datos generales', () => {
+    const cambios = PlanEntrenamiento.compararContenido(
+        contenido([]),
+        contenido([], { nivel: 'avanzado', duracionSemanas: 12 })
+    );
+
+    assert.deepEqual(cambios, [
+        'Duración (semanas): "8" → "12"',
+        'Nivel: "intermedio" → "avanzado"'
+    ]);
+});
+
+test('compararContenido detecta semanas y días agregados o eliminados', () => {
+    const anterior = contenido([semana(dia('Día A', [sentadilla]), dia('Día B', [remo]))]);
+    const nuevo = contenido([semana(dia('Día A', [sentadilla])), semana(dia('Día A', [sentadilla]))]);
+
+    assert.deepEqual(PlanEntrenamiento.compararContenido(anterior, nuevo), [
+        'Semana 1: día "Día B" eliminado',
+        'Semana 2: agregada (1 días)'
+    ]);
+    assert.deepEqual(PlanEntrenamiento.compararContenido(nuevo, anterior).slice(-1), ['Semana 2: eliminada']);
+});
+
+test('compararContenido empareja los ejercicios por su ID en la biblioteca', () => {
+    const anterior = contenido([semana(dia('Día A', [sentadilla, remo]))]);
+    const nuevo = contenido([semana(dia('Día A', [{ ...sentadilla, series: 5, carga: '65 kg' }, plancha]))]);
+
+    assert.deepEqual(PlanEntrenamiento.compararContenido(anterior, nuevo), [
+        'Semana 1 - Día A: quitado Remo',
+        'Semana 1 - Día A: Sentadilla 4x8 @ 60 kg, descanso 90 s → 5x8 @ 65 kg, descanso 90 s',
+        'Semana 1 - Día A: agregado Plancha (3x30, descanso 45 s)'
+    ]);
+});
+
+test('compararContenido informa el cambio de orden, nombre y notas de un día', () => {
+    const anterior = contenido([semana(dia('Día A', [sentadilla, remo]))]);
+    const nuevo = contenido([semana(dia('Pierna', [remo, sentadilla], 'Calentar 10 min'))]);
+
+    assert.deepEqual(PlanEntrenamiento.compararContenido(anterior, nuevo), [
+        'Semana 1: día "Día A" renombrado a "Pierna"',
+        'Semana 1 - Pierna: notas del día actualizadas',
+        'Semana 1 - Pierna: orden de los ejercicios modificado'
+    ]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const PlanEntrenamientoService = require('../services/PlanEntrenamientoService');
+
+// Base de datos mínima: los clientes no tienen seguimientos
+const db = {
+    collection: () => ({ find: () => ({ sort: () => ({ toArray: async () => [] }), toArray: async () => [] }) })
+};
+
+test('manejarCambioEstadoPlan cancela los contratos vigentes y congelados del plan y sus cuotas a vencer', async () => {
+    const planId = new ObjectId();
+    const otroPlanId = new ObjectId();
+    const clientes = [new ObjectId(), new ObjectId(), new ObjectId()];
+    const contratos = {
+        [clientes[0]]: [{ contratoId: new ObjectId(), planId, estado: 'vigente' }],
+        [clientes[1]]: [{ contratoId: new ObjectId(), planId, estado: 'suspendido' }],
+        [clientes[2]]: [{ contratoId: new ObjectId(), planId: otroPlanId, estado: 'vigente' }]
+    };
+    const cancelados = [];
+    const cuotasCanceladas = [];
+
+    const servicio = new PlanEntrenamientoService(db);
+    servicio.planRepository = {
+        getById: async () => ({ planId, nombre: 'Fuerza', clientes, tieneClientes: () => true })
+    };
+    servicio.contratoRepository = {
+        getActiveContractsByClient: async clienteId => contratos[clienteId].filter(contrato => contrato.estado === 'vigente'),
+        getActiveOrFrozenContractsByClient: async clienteId => contratos[clienteId],
+        cancelContract: async contratoId => cancelados.push(contratoId)
+    };
+    servicio.finanzasService = {
+        cancelarCuotasPendientes: async (contratoId, motivo) => cuotasCanceladas.push({ contratoId, motivo })
+    };
+
+    await servicio.manejarCambioEstadoPlan(planId, 'finalizado');
+
+    const esperados = [contratos[clientes[0]][0].contratoId, contratos[clientes[1]][0].contratoId];
+    assert.deepEqual(cancelados, esperados);
+    assert.deepEqual(cuotasCanceladas.map(cuota => cuota.contratoId), esperados);
+    assert.match(cuotasCanceladas[0].motivo, /plan Fuerza finalizado/);
+});
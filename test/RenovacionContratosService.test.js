@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const dayjs = require('dayjs');
+const { Contrato, Pago } = require('../models');
+const RenovacionContratosService = require('../services/RenovacionContratosService');
+
+const hoy = dayjs('2026-10-18').toDate();
+
+/**
+ * Crea un contrato con renovación automática que termina en 3 días
+ */
+const crearContrato = (datos = {}) => {
+    const inicio = dayjs().startOf('day').subtract(1, 'month').add(3, 'day');
+    return new Contrato({
+        clienteId: new ObjectId(),
+        planId: new ObjectId(),
+        condiciones: 'Condiciones de prueba del contrato',
+        duracionMeses: 1,
+        precio: 100,
+        fechaInicio: inicio.toDate(),
+        fechaFin: inicio.add(1, 'month').toDate(),
+        renovacionAutomatica: true,
+        ...datos
+    });
+};
+
+/**
+ * Crea el servicio con los pagos indicados; devuelve también los filtros con que se consultaron
+ */
+const crearServicio = (pagos = []) => {
+    const servicio = new RenovacionContratosService({ collection: () => ({}) });
+    const consultas = [];
+    servicio.pagoRepository = {
+        getPagosByClient: async (clienteId, filtro) => {
+            consultas.push({ clienteId, filtro });
+            return pagos.filter(pago => pago.clienteId.equals(clienteId)
+                && pago.tipoMovimiento === filtro.tipoMovimiento
+                && filtro.estado.$in.includes(pago.estado)
+                && pago.fechaPago < filtro.fechaPago.$lt);
+        }
+    };
+    return { servicio, consultas };
+};
+
+const pagoVencido = (clienteId, datos = {}) => new Pago({
+    clienteId,
+    fechaPago: dayjs().subtract(10, 'day').toDate(),
+    monto: 50,
+    metodoPago: 'efectivo',
+    estado: 'pendiente',
+    ...datos
+});
+
+test('la renovación anticipada empieza cuando termina el contrato anterior', () => {
+    const contrato = { fechaFin: dayjs('2026-10-22').toDate(), duracionMeses: 1 };
+
+    const periodo = RenovacionContratosService.calcularPeriodoRenovacion(contrato, hoy);
+
+    assert.equal(dayjs(periodo.fechaInicio).format('YYYY-MM-DD'), '2026-10-22');
+    assert.equal(dayjs(periodo.fechaFin).format('YYYY-MM-DD'), '2026-11-22');
+});
+
+test('un contrato vencido hace menos de un período se renueva sin días sin cobertura', () => {
+    const contrato = { fechaFin: dayjs('2026-10-01').toDate(), duracionMeses: 1 };
+
+    const periodo = RenovacionContratosService.calcularPeriodoRenovacion(contrato, hoy);
+
+    assert.equal(dayjs(periodo.fechaInicio).format('YYYY-MM-DD'), '2026-10-01');
+    assert.equal(dayjs(periodo.fechaFin).format('YYYY-MM-DD'), '2026-11-01');
+});
+
+test('si la tarea no se ejecutó durante más de un período, el contrato nuevo empieza hoy', () => {
+    const contrato = { fechaFin: dayjs('2026-08-01').toDate(), duracionMeses: 1 };
+
+    const periodo = RenovacionContratosService.calcularPeriodoRenovacion(contrato, hoy);
+
+    assert.equal(dayjs(periodo.fechaInicio).format('YYYY-MM-DD'), '2026-10-18');
+    assert.equal(dayjs(periodo.fechaFin).format('YYYY-MM-DD'), '2026-11-18');
+});
+
+test('obtenerMotivoOmision omite los contratos sin renovación automática y los congelados', async () => {
+    const { servicio, consultas } = crearServicio();
+
+    assert.equal(await servicio.obtenerMotivoOmision(crearContrato({ renovacionAutomatica: false })), 'Sin renovación automática');
+    const congelado = crearContrato({ estado: 'suspendido' });
+    assert.match(await servicio.obtenerMotivoOmision(congelado), /Contrato congelado/);
+    assert.equal(consultas.length, 0);
+    assert.equal(await servicio.obtenerMotivoOmision(crearContrato()), null);
+});
+
+test('obtenerMotivoOmision omite a los clientes con cobros vencidos', async () => {
+    const contrato = crearContrato();
+    const { servicio } = crearServicio([
+        pagoVencido(contrato.clienteId),
+        pagoVencido(contrato.clienteId, { estado: 'retrasado', monto: 25.5 }),
+        pagoVencido(contrato.clienteId, { estado: 'pagado' }),
+        pagoVencido(contrato.clienteId, { fechaPago: dayjs().add(5, 'day').toDate() })
+    ]);
+
+    assert.equal(await servicio.obtenerMotivoOmision(contrato), '2 pago(s) vencido(s) por $75.5');
+});
+
+test('obtenerMotivoOmision no cuenta los egresos pendientes como deuda', async () => {
+    const contrato = crearContrato();
+    const { servicio, consultas } = crearServicio([pagoVencido(contrato.clienteId, { tipoMovimiento: 'egreso' })]);
+
+    assert.equal(await servicio.obtenerMotivoOmision(contrato), null);
+    assert.equal(consultas[0].filtro.tipoMovimiento, 'ingreso');
+});
+
+test('obtenerMotivoOmision revisa la deuda del pagador en los contratos facturados al grupo', async () => {
+    const pagadorId = new ObjectId();
+    const contrato = crearContrato({
+        facturacionGrupo: { grupoId: new ObjectId(), nombreGrupo: 'Familia Pérez', precioLista: 120, descuentoPorcentaje: 10, pagadorId }
+    });
+    const { servicio, consultas } = crearServicio([pagoVencido(pagadorId)]);
+
+    assert.equal(await servicio.obtenerMotivoOmision(contrato), '1 pago(s) vencido(s) por $50');
+    assert.ok(consultas[0].clienteId.equals(pagadorId));
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { TarifaPlan } = require('../models');
+
+const crearTarifa = (datos = {}) => new TarifaPlan({
+    planId: new ObjectId(),
+    precios: [
+        { meses: 12, precio: 900 },
+        { meses: 1, precio: 100 },
+        { meses: 3, precio: '270' }
+    ],
+    ...datos
+});
+
+test('los escalones se normalizan y se ordenan por duración', () => {
+    const tarifa = crearTarifa();
+
+    assert.deepEqual(tarifa.precios, [
+        { meses: 1, precio: 100 },
+        { meses: 3, precio: 270 },
+        { meses: 12, precio: 900 }
+    ]);
+    assert.equal(tarifa.getPrecioEscalon(3), 270);
+    assert.equal(tarifa.getPrecioEscalon(6), null);
+});
+
+test('calcularPrecio usa el precio exacto del escalón', () => {
+    assert.deepEqual(crearTarifa().calcularPrecio(3), { precio: 270, mesesEscalon: 3, exacto: true, precioMensual: 90 });
+    assert.equal(crearTarifa().calcularPrecio(12).precio, 900);
+});
+
+test('calcularPrecio prorratea desde el escalón inferior las duraciones sin escalón', () => {
+    const tarifa = crearTarifa();
+
+    assert.deepEqual(tarifa.calcularPrecio(5), { precio: 450, mesesEscalon: 3, exacto: false, precioMensual: 90 });
+    assert.deepEqual(tarifa.calcularPrecio(2), { precio: 200, mesesEscalon: 1, exacto: false, precioMensual: 100 });
+    assert.equal(tarifa.calcularPrecio(18).precio, 1350);
+    assert.throws(() => tarifa.calcularPrecio(0), /al menos 1 mes/);
+});
+
+test('la tarifa exige el escalón mensual y escalones válidos sin repetir', () => {
+    assert.throws(() => crearTarifa({ precios: [{ meses: 3, precio: 270 }] }), /precio mensual/);
+    assert.throws(() => crearTarifa({ precios: [{ meses: 2, precio: 180 }] }), /escalones de duración/);
+    assert.throws(() => crearTarifa({ precios: [{ meses: 1, precio: 100 }, { meses: 1, precio: 90 }] }), /repetido/);
+    assert.throws(() => crearTarifa({ precios: [{ meses: 1, precio: 0 }] }), /mayor a cero/);
+});
+
+test('estaVigente respeta el inicio y el fin de la vigencia', () => {
+    const tarifa = crearTarifa({ vigenteDesde: new Date('2026-01-01'), vigenteHasta: new Date('2026-07-01') });
+
+    assert.equal(tarifa.estaVigente(new Date('2025-12-31')), false);
+    assert.equal(tarifa.estaVigente(new Date('2026-03-15')), true);
+    assert.equal(tarifa.estaVigente(new Date('2026-07-01')), false);
+});
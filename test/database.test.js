@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseConfig = require('../config/database');
+
+/**
+ * Crea la configuración con un cliente cuyo servidor responde `hello` con la respuesta indicada
+ */
+const conServidor = (hello) => {
+    const database = new DatabaseConfig();
+    database.client = {
+        startSession: () => ({ endSession: async () => {} }),
+        db: () => ({ command: async () => hello })
+    };
+    return database;
+};
+
+test('areTransactionsAvailable las admite en un replica set o detrás de mongos', async () => {
+    assert.equal(await conServidor({ isWritablePrimary: true, setName: 'rs0' }).areTransactionsAvailable(), true);
+    assert.equal(await conServidor({ isWritablePrimary: true, msg: 'isdbgrid' }).areTransactionsAvailable(), true);
+});
+
+test('areTransactionsAvailable las rechaza en un servidor standalone aunque abra sesiones', async () => {
+    assert.equal(await conServidor({ isWritablePrimary: true }).areTransactionsAvailable(), false);
+    assert.equal(await new DatabaseConfig().areTransactionsAvailable(), false);
+});